@@ -0,0 +1,172 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\CartDraft;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Cart Draft Controller
+ * 
+ * Stores named, in-progress carts (e.g. "Phone order - Pn. Aminah")
+ * per user so they survive shared browsers and machine switches.
+ * Drafts are private: every query is scoped to the authenticated user.
+ */
+class CartDraftController extends Controller
+{
+    /**
+     * List Current User's Drafts
+     * 
+     * Most recently touched draft first
+     * 
+     * @return JsonResponse
+     */
+    public function index()
+    {
+        try {
+            $drafts = CartDraft::where('user_id', Auth::id())
+                ->orderBy('updated_at', 'desc')
+                ->get();
+
+            return response()->json([
+                'success' => true,
+                'data' => $drafts
+            ]);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+
+    /**
+     * Create Draft
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'name' => 'required|string|max:100',
+            'items' => 'present|array'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $draft = CartDraft::create([
+                'user_id' => Auth::id(),
+                'name' => $request->name,
+                'items' => $request->items
+            ]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Draft created',
+                'data' => $draft
+            ], 201);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+
+    /**
+     * Update Draft (rename and/or replace items)
+     * 
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'name' => 'string|max:100',
+            'items' => 'array'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $draft = CartDraft::where('user_id', Auth::id())->find($id);
+
+            if (!$draft) {
+                return response()->json(['success' => false, 'message' => 'Draft not found'], 404);
+            }
+
+            $draft->update($request->only(['name', 'items']));
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Draft saved',
+                'data' => $draft
+            ]);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+
+    /**
+     * Duplicate Draft
+     * 
+     * Copies items into a new draft named "<name> (copy)"
+     * 
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function duplicate($id)
+    {
+        try {
+            $draft = CartDraft::where('user_id', Auth::id())->find($id);
+
+            if (!$draft) {
+                return response()->json(['success' => false, 'message' => 'Draft not found'], 404);
+            }
+
+            $copy = CartDraft::create([
+                'user_id' => $draft->user_id,
+                'name' => mb_substr($draft->name . ' (copy)', 0, 100),
+                'items' => $draft->items
+            ]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Draft duplicated',
+                'data' => $copy
+            ], 201);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+
+    /**
+     * Discard Draft
+     * 
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function destroy($id)
+    {
+        try {
+            $deleted = CartDraft::where('user_id', Auth::id())->where('id', $id)->delete();
+
+            if (!$deleted) {
+                return response()->json(['success' => false, 'message' => 'Draft not found'], 404);
+            }
+
+            return response()->json(['success' => true, 'message' => 'Draft discarded']);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+}
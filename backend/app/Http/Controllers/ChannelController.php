@@ -2,15 +2,19 @@
 
 namespace App\Http\Controllers;
 
+use App\Services\LocationService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
 
 class ChannelController extends Controller
 {
     public function index()
     {
         try {
-            $channels = \App\Models\SalesChannel::withCount('orders as total_orders')->get();
+            $channels = \App\Models\SalesChannel::withCount('orders as total_orders')
+                ->with('locations:id,name,code')
+                ->get();
 
             // Check connection status for each channel
             $channels = $channels->map(function($channel) {
@@ -81,10 +85,26 @@ private function testConnection($channel)
         }
     }
 
+    /**
+     * Update channel settings
+     * location_ids: locations the channel sells from, in allocation order
+     * (empty = all active locations)
+     * reservation_hours: how long an unpaid order holds its stock
+     */
     public function update(Request $request, $id)
     {
+        $validator = Validator::make($request->all(), [
+            'location_ids' => 'nullable|array',
+            'location_ids.*' => 'integer|exists:locations,id',
+            'reservation_hours' => 'sometimes|integer|min:1|max:720'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json(['success' => false, 'errors' => $validator->errors()], 400);
+        }
+
         try {
-            $allowedFields = ['name', 'api_endpoint', 'api_key', 'is_active', 'sync_frequency'];
+            $allowedFields = ['name', 'api_endpoint', 'api_key', 'is_active', 'sync_frequency', 'reservation_hours'];
             $updates = [];
 
             foreach ($allowedFields as $field) {
@@ -93,11 +113,17 @@ public function update(Request $request, $id)
                 }
             }
 
-            if (empty($updates)) {
+            if (empty($updates) && !$request->has('location_ids')) {
                 return response()->json(['success' => false, 'message' => 'No valid fields'], 400);
             }
 
-            DB::table('sales_channels')->where('id', $id)->update($updates);
+            if (!empty($updates)) {
+                DB::table('sales_channels')->where('id', $id)->update($updates);
+            }
+
+            if ($request->has('location_ids')) {
+                app(LocationService::class)->setChannelLocations((int) $id, $request->input('location_ids') ?? []);
+            }
 
             return response()->json(['success' => true, 'message' => 'Channel updated']);
         } catch (\Exception $e) {
@@ -169,6 +195,35 @@ public function sync($id)
         }
     }
 
+    /**
+     * Stock the channel can sell, from the locations it ships from
+     * Filter: search (product name or SKU)
+     */
+    public function stock(Request $request, $id)
+    {
+        try {
+            $channel = \App\Models\SalesChannel::with('locations:id,name,code')->find($id);
+
+            if (!$channel) {
+                return response()->json(['success' => false, 'message' => 'Channel not found'], 404);
+            }
+
+            $service = app(LocationService::class);
+            $locations = DB::table('locations')->whereIn('id', $service->locationsFor($channel->id))->get(['id', 'name', 'code']);
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'channel' => $channel,
+                    'locations' => $locations,
+                    'items' => $service->channelStock($channel->id, $request->input('search'))
+                ]
+            ]);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+
     public function logs()
     {
         try {
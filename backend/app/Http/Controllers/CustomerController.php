@@ -2,6 +2,10 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\Customer;
+use App\Models\CustomerSegment;
+use App\Models\CustomerTag;
+use App\Services\CustomerService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Validator;
@@ -13,6 +17,13 @@
  */
 class CustomerController extends Controller
 {
+    protected CustomerService $customerService;
+
+    public function __construct(CustomerService $customerService)
+    {
+        $this->customerService = $customerService;
+    }
+
     public function index(Request $request)
     {
         try {
@@ -22,14 +33,7 @@ public function index(Request $request)
             $query = DB::table('customers as c');
 
             // --- Logic Ownership: Staff only sees customers they have served ---
-            if ($user->role === 'staff') {
-                $query->whereExists(function ($q) use ($user) {
-                    $q->select(DB::raw(1))
-                      ->from('orders')
-                      ->whereColumn('orders.customer_id', 'c.id')
-                      ->where('orders.assigned_staff_id', $user->id);
-                });
-            }
+            $this->customerService->scopeForUser($query, $user);
 
             if ($request->has('search')) {
                 $search = $request->search;
@@ -40,11 +44,35 @@ public function index(Request $request)
                 });
             }
 
+            if ($request->filled('tag')) {
+                $query->whereExists(function ($q) use ($request) {
+                    $q->select(DB::raw(1))
+                      ->from('customer_tag')
+                      ->whereColumn('customer_tag.customer_id', 'c.id')
+                      ->where('customer_tag.customer_tag_id', $request->tag);
+                });
+            }
+
+            if ($request->filled('segment')) {
+                $segment = CustomerSegment::find($request->segment);
+                if (!$segment) {
+                    return response()->json([
+                        'success' => false,
+                        'message' => 'Segment not found'
+                    ], 404);
+                }
+                CustomerSegment::applyRules($query, $segment->rules);
+            }
+
             $customers = $query->orderBy('c.created_at', 'desc')->paginate($perPage);
 
+            $items = collect($customers->items());
+            $tags = CustomerTag::forCustomers($items->pluck('id')->all());
+            $items->each(fn ($customer) => $customer->tags = $tags->get($customer->id, []));
+
             return response()->json([
                 'success' => true,
-                'data' => $customers->items(),
+                'data' => $items,
                 'pagination' => [
                     'page' => $customers->currentPage(),
                     'limit' => $customers->perPage(),
@@ -82,9 +110,11 @@ public function store(Request $request)
                 'email' => $request->email,
                 'full_name' => $request->full_name,
                 'phone' => $request->phone,
+                'normalised_phone' => Customer::normalisePhone($request->phone),
                 'address' => $request->address,
                 'city' => $request->input('city'),
                 'state' => $request->input('state'),
+                'postal_code' => $request->input('postal_code'),
                 'customer_type' => 'retail',
                 'created_at' => now()
             ]);
@@ -104,28 +134,111 @@ public function store(Request $request)
         }
     }
 
+    /**
+     * Get Customer Profile
+     * 
+     * Customer record plus lifetime stats (orders, spend net of refunds,
+     * average order value, first/last order), the channels they buy from
+     * and the shipping addresses used on their orders.
+     * Cancelled orders are left out of the stats.
+     * 
+     * @param int $id
+     * @return JsonResponse
+     */
     public function show($id)
     {
         try {
-            $user = auth()->user();
-            $query = DB::table('customers')->where('id', $id);
+            if ($denied = $this->denyStaffAccess($id)) {
+                return $denied;
+            }
 
-            // Access Control for Staff
-            if ($user->role === 'staff') {
-                $hasServed = DB::table('orders')
-                    ->where('customer_id', $id)
-                    ->where('assigned_staff_id', $user->id)
-                    ->exists();
+            $customer = DB::table('customers')->where('id', $id)->first();
 
-                if (!$hasServed) {
-                    return response()->json([
-                        'success' => false,
-                        'message' => 'Access denied. You have not served this customer.'
-                    ], 403);
-                }
+            if (!$customer) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Customer not found'
+                ], 404);
             }
 
-            $customer = $query->first();
+            $orders = DB::table('orders')
+                ->where('orders.customer_id', $id)
+                ->where('orders.status', '!=', 'cancelled');
+
+            $stats = (clone $orders)
+                ->selectRaw('COUNT(*) as order_count, COALESCE(SUM(total - refunded_amount), 0) as lifetime_spend, MIN(created_at) as first_order_at, MAX(created_at) as last_order_at')
+                ->first();
+
+            $customer->stats = [
+                'order_count' => (int) $stats->order_count,
+                'lifetime_spend' => round((float) $stats->lifetime_spend, 2),
+                'average_order_value' => $stats->order_count > 0 ? round($stats->lifetime_spend / $stats->order_count, 2) : 0,
+                'first_order_at' => $stats->first_order_at,
+                'last_order_at' => $stats->last_order_at
+            ];
+
+            $customer->channels = (clone $orders)
+                ->join('sales_channels as sc', 'orders.channel_id', '=', 'sc.id')
+                ->groupBy('sc.id', 'sc.name', 'sc.type')
+                ->selectRaw('sc.id, sc.name, sc.type, COUNT(*) as order_count, SUM(orders.total - orders.refunded_amount) as spend')
+                ->orderByDesc('order_count')
+                ->get();
+
+            $customer->tags = CustomerTag::forCustomers([$customer->id])->get($customer->id, []);
+
+            $customer->addresses = (clone $orders)
+                ->groupBy('shipping_address', 'shipping_city', 'shipping_state', 'shipping_postal_code')
+                ->selectRaw('shipping_address as address, shipping_city as city, shipping_state as state, shipping_postal_code as postal_code, COUNT(*) as order_count, MAX(created_at) as last_used_at')
+                ->orderByDesc('last_used_at')
+                ->get();
+
+            return response()->json([
+                'success' => true,
+                'data' => $customer
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Update Customer
+     * 
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'email' => 'required|email|max:100|unique:customers,email,' . (int) $id,
+            'full_name' => 'required|string|max:100',
+            'phone' => 'required|string|max:20',
+            'address' => 'required|string',
+            'city' => 'nullable|string|max:50',
+            'state' => 'nullable|string|max:50',
+            'postal_code' => 'nullable|string|max:10',
+            'country' => 'nullable|string|max:50',
+            'customer_type' => 'nullable|in:retail,wholesale,vip'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            if ($denied = $this->denyStaffAccess($id)) {
+                return $denied;
+            }
+
+            $customer = DB::table('customers')->where('id', $id)->first();
 
             if (!$customer) {
                 return response()->json([
@@ -134,9 +247,185 @@ public function show($id)
                 ], 404);
             }
 
+            DB::table('customers')->where('id', $id)->update([
+                'email' => $request->email,
+                'full_name' => $request->full_name,
+                'phone' => $request->phone,
+                'normalised_phone' => Customer::normalisePhone($request->phone),
+                'address' => $request->address,
+                'city' => $request->input('city'),
+                'state' => $request->input('state'),
+                'postal_code' => $request->input('postal_code'),
+                'country' => $request->input('country', $customer->country),
+                'customer_type' => $request->input('customer_type', $customer->customer_type),
+                'updated_at' => now()
+            ]);
+
             return response()->json([
                 'success' => true,
-                'data' => $customer
+                'message' => 'Customer updated successfully',
+                'data' => DB::table('customers')->where('id', $id)->first()
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Set Customer Tags
+     * 
+     * Body: tag_ids - the customer's full tag list (replaces existing tags)
+     * 
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function updateTags(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'tag_ids' => 'present|array',
+            'tag_ids.*' => 'integer|exists:customer_tags,id'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            if ($denied = $this->denyStaffAccess($id)) {
+                return $denied;
+            }
+
+            $customer = Customer::find($id);
+
+            if (!$customer) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Customer not found'
+                ], 404);
+            }
+
+            $customer->tags()->syncWithPivotValues(array_unique($request->tag_ids), ['created_at' => now()]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Customer tags updated',
+                'data' => CustomerTag::forCustomers([$customer->id])->get($customer->id, [])
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Import Customers
+     * 
+     * Body: rows [{line, full_name, email, phone, address, city, state, postal_code, customer_type}]
+     * (CSV columns already mapped client-side), dry_run, update_existing.
+     * A dry run returns the same per-row preview without saving anything.
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function import(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'rows' => 'required|array|min:1|max:5000',
+            'rows.*' => 'array',
+            'dry_run' => 'boolean',
+            'update_existing' => 'boolean'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $result = $this->customerService->import(
+                $request->rows,
+                $request->boolean('dry_run'),
+                $request->boolean('update_existing'),
+                auth()->user()
+            );
+
+            $summary = $result['summary'];
+
+            return response()->json([
+                'success' => true,
+                'message' => $request->boolean('dry_run')
+                    ? 'Preview only, nothing was saved'
+                    : "{$summary['create']} customers created, {$summary['update']} updated",
+                'data' => $result
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Export Customers (CSV)
+     * 
+     * @return \Symfony\Component\HttpFoundation\Response
+     */
+    public function export()
+    {
+        try {
+            $rows = $this->customerService->exportRows(auth()->user());
+            $filename = 'Customers_' . now()->format('Ymd_His') . '.csv';
+
+            return response()->streamDownload(function () use ($rows) {
+                $handle = fopen('php://output', 'w');
+                // BOM so Excel opens UTF-8 names correctly
+                fwrite($handle, "\xEF\xBB\xBF");
+                foreach ($rows as $row) {
+                    fputcsv($handle, $row, ',', '"', '', "\r\n");
+                }
+                fclose($handle);
+            }, $filename, ['Content-Type' => 'text/csv; charset=UTF-8']);
+
+        } catch (\Exception $e) {
+            \Log::error('Customer export error: ' . $e->getMessage());
+
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to export customers'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Possible Duplicate Customers
+     * 
+     * Groups of customers sharing a phone number (after normalising) or email
+     * 
+     * @return JsonResponse
+     */
+    public function duplicates()
+    {
+        try {
+            return response()->json([
+                'success' => true,
+                'data' => $this->customerService->duplicateGroups()
             ]);
 
         } catch (\Exception $e) {
@@ -146,4 +435,75 @@ public function show($id)
             ], 500);
         }
     }
+
+    /**
+     * Merge Customers
+     * 
+     * Body: merge_id - customer merged into {id}; their orders move to {id}
+     * and the record is deleted.
+     * 
+     * @param Request $request
+     * @param int $id Customer that is kept
+     * @return JsonResponse
+     */
+    public function merge(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'merge_id' => 'required|integer|exists:customers,id'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $result = $this->customerService->merge((int) $id, (int) $request->merge_id);
+
+            return response()->json([
+                'success' => true,
+                'message' => "Customers merged, {$result['orders_moved']} orders moved",
+                'data' => $result
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Staff may only access customers they have served
+     * 
+     * @param int $customerId
+     * @return JsonResponse|null 403 response, or null if allowed
+     */
+    private function denyStaffAccess($customerId)
+    {
+        $user = auth()->user();
+
+        if ($user->role !== 'staff') {
+            return null;
+        }
+
+        $hasServed = DB::table('orders')
+            ->where('customer_id', $customerId)
+            ->where('assigned_staff_id', $user->id)
+            ->exists();
+
+        return $hasServed ? null : response()->json([
+            'success' => false,
+            'message' => 'Access denied. You have not served this customer.'
+        ], 403);
+    }
 }
@@ -0,0 +1,238 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\CustomerSegment;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Customer Segment Controller
+ *
+ * Saved customer segments built from rules, e.g. "spent > RM1000 in the
+ * last 90 days" or "bought from the Shopee channel". Segments filter both
+ * the Customers and Orders lists (see CustomerSegment::applyRules).
+ */
+class CustomerSegmentController extends Controller
+{
+    /**
+     * Get All Segments (with current customer counts)
+     *
+     * @return JsonResponse
+     */
+    public function index()
+    {
+        try {
+            $segments = CustomerSegment::orderBy('name')->get()->map(function ($segment) {
+                $segment->customer_count = $segment->customerIdsQuery()->count();
+                return $segment;
+            });
+
+            return response()->json([
+                'success' => true,
+                'data' => $segments
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Count Customers Matching Rules (before saving)
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function preview(Request $request)
+    {
+        $validator = Validator::make($request->all(), $this->ruleValidation());
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $count = CustomerSegment::applyRules(DB::table('customers as c'), $request->rules)->count();
+
+            return response()->json([
+                'success' => true,
+                'data' => ['customer_count' => $count]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Create Segment
+     *
+     * Body: name, rules [{type, operator?, value, days?}]
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), array_merge(
+            ['name' => 'required|string|max:100'],
+            $this->ruleValidation()
+        ));
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $segment = CustomerSegment::create([
+                'name' => $request->name,
+                'rules' => $this->cleanRules($request->rules),
+                'created_by' => auth()->id()
+            ]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Segment saved',
+                'data' => $segment
+            ], 201);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Update Segment
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), array_merge(
+            ['name' => 'required|string|max:100'],
+            $this->ruleValidation()
+        ));
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $segment = CustomerSegment::find($id);
+
+            if (!$segment) {
+                return response()->json(['success' => false, 'message' => 'Segment not found'], 404);
+            }
+
+            $segment->update([
+                'name' => $request->name,
+                'rules' => $this->cleanRules($request->rules)
+            ]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Segment updated',
+                'data' => $segment
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete Segment
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function destroy($id)
+    {
+        try {
+            $segment = CustomerSegment::find($id);
+
+            if (!$segment) {
+                return response()->json(['success' => false, 'message' => 'Segment not found'], 404);
+            }
+
+            $segment->delete();
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Segment deleted'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Validation rules for a segment's rule list
+     *
+     * @return array
+     */
+    private function ruleValidation(): array
+    {
+        return [
+            'rules' => 'required|array|min:1|max:10',
+            'rules.*.type' => 'required|in:' . implode(',', CustomerSegment::RULE_TYPES),
+            'rules.*.operator' => 'nullable|in:' . implode(',', array_keys(CustomerSegment::OPERATORS)),
+            'rules.*.value' => 'required',
+            'rules.*.days' => 'nullable|integer|min:1|max:3650'
+        ];
+    }
+
+    /**
+     * Keep only the keys each rule type uses
+     *
+     * @param array $rules
+     * @return array
+     */
+    private function cleanRules(array $rules): array
+    {
+        return array_map(function ($rule) {
+            $clean = ['type' => $rule['type'], 'value' => $rule['value']];
+
+            if (in_array($rule['type'], ['spend', 'orders'])) {
+                $clean['operator'] = $rule['operator'] ?? 'gt';
+            }
+
+            if (in_array($rule['type'], ['spend', 'orders', 'channel']) && !empty($rule['days'])) {
+                $clean['days'] = (int) $rule['days'];
+            }
+
+            return $clean;
+        }, array_values($rules));
+    }
+}
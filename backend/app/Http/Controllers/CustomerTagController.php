@@ -0,0 +1,132 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\CustomerTag;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+use Illuminate\Support\Str;
+
+/**
+ * Customer Tag Controller
+ * 
+ * Tags such as VIP, Wholesale, Reseller and Blacklist.
+ * Customers are tagged through PUT /customers/{id}/tags.
+ */
+class CustomerTagController extends Controller
+{
+    /**
+     * Get All Tags (with customer counts)
+     * 
+     * @return JsonResponse
+     */
+    public function index()
+    {
+        try {
+            $tags = DB::table('customer_tags as t')
+                ->leftJoin('customer_tag as ct', 't.id', '=', 'ct.customer_tag_id')
+                ->groupBy('t.id', 't.name', 't.slug', 't.color')
+                ->select('t.id', 't.name', 't.slug', 't.color', DB::raw('COUNT(ct.customer_id) as customer_count'))
+                ->orderBy('t.name')
+                ->get();
+
+            return response()->json([
+                'success' => true,
+                'data' => $tags
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Create Tag
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'name' => 'required|string|max:50|unique:customer_tags,name',
+            'color' => 'nullable|in:' . implode(',', CustomerTag::COLORS)
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $slug = Str::slug($request->name);
+            if ($slug === '' || CustomerTag::where('slug', $slug)->exists()) {
+                $slug .= '-' . Str::lower(Str::random(4));
+            }
+
+            $tag = CustomerTag::create([
+                'name' => trim($request->name),
+                'slug' => ltrim($slug, '-'),
+                'color' => $request->input('color', 'slate')
+            ]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Tag created',
+                'data' => $tag
+            ], 201);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete Tag
+     * 
+     * The Blacklist tag drives the checkout warning and can't be deleted.
+     * 
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function destroy($id)
+    {
+        try {
+            $tag = CustomerTag::find($id);
+
+            if (!$tag) {
+                return response()->json(['success' => false, 'message' => 'Tag not found'], 404);
+            }
+
+            if ($tag->slug === CustomerTag::BLACKLIST) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'The Blacklist tag cannot be deleted'
+                ], 400);
+            }
+
+            $tag->delete();
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Tag deleted'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+}
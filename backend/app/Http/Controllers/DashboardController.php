@@ -92,9 +92,13 @@ public function stats(Request $request)
             // Product statistics (Admin/Staff only)
             $productStats = null;
             if (in_array($user->role, ['admin', 'staff'])) {
+                // A product is low on stock when it, or any of its active variants, is at or below its low_stock_threshold
                 $productStats = DB::table('products')->selectRaw('
                     COUNT(*) as total_products,
-                    SUM(CASE WHEN stock_quantity <= low_stock_threshold THEN 1 ELSE 0 END) as low_stock_products,
+                    SUM(CASE WHEN stock_quantity <= low_stock_threshold OR EXISTS (
+                        SELECT 1 FROM product_variants pv
+                        WHERE pv.product_id = products.id AND pv.is_active = 1 AND pv.stock_quantity <= products.low_stock_threshold
+                    ) THEN 1 ELSE 0 END) as low_stock_products,
                     SUM(CASE WHEN stock_quantity = 0 THEN 1 ELSE 0 END) as out_of_stock_products
                 ')->first();
             }
@@ -2,59 +2,199 @@
 
 namespace App\Http\Controllers;
 
-use App\Models\InventoryTransaction;
-use App\Models\Product;
+use App\Models\ProductVariant;
+use App\Services\InventoryService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
-use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Validator;
 
+/**
+ * Inventory Controller
+ *
+ * Manual stock movements (stock-in, stock-out, count, write-off) and the
+ * stock ledger of every inventory_transactions row
+ */
 class InventoryController extends Controller
 {
+    protected InventoryService $inventoryService;
+
+    public function __construct(InventoryService $inventoryService)
+    {
+        $this->inventoryService = $inventoryService;
+    }
+
+    /**
+     * Stock Ledger
+     *
+     * Every stock movement, newest first, with the stock balance after it
+     * (of the variant when the movement was per variant, otherwise of the
+     * product) and the order number for order movements.
+     * Filters: search (product, SKU, order number, notes), product_id,
+     * variant_id, location_id, type, date_from, date_to.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
     public function index(Request $request)
     {
-        $query = InventoryTransaction::with(['product', 'creator']);
+        try {
+            $perPage = $request->input('limit', 20);
 
-        if ($request->has('product_id')) {
-            $query->where('product_id', $request->product_id);
-        }
+            // Balance after a movement = current stock minus everything that moved since
+            $balance = 'CASE WHEN it.variant_id IS NULL
+                THEN p.stock_quantity - (SELECT COALESCE(SUM(later.quantity), 0) FROM inventory_transactions later WHERE later.product_id = it.product_id AND later.id > it.id)
+                ELSE v.stock_quantity - (SELECT COALESCE(SUM(later.quantity), 0) FROM inventory_transactions later WHERE later.variant_id = it.variant_id AND later.id > it.id)
+                END';
+
+            $query = DB::table('inventory_transactions as it')
+                ->join('products as p', 'it.product_id', '=', 'p.id')
+                ->leftJoin('product_variants as v', 'it.variant_id', '=', 'v.id')
+                ->leftJoin('orders as o', function ($join) {
+                    $join->on('it.reference_id', '=', 'o.id')->where('it.reference_type', '=', 'order');
+                })
+                ->leftJoin('locations as l', 'it.location_id', '=', 'l.id')
+                ->leftJoin('users as u', 'it.created_by', '=', 'u.id')
+                ->select(
+                    'it.id',
+                    'it.product_id',
+                    'it.variant_id',
+                    'it.location_id',
+                    'it.transaction_type',
+                    'it.quantity',
+                    'it.reference_type',
+                    'it.reference_id',
+                    'it.notes',
+                    'it.created_at',
+                    'p.name as product_name',
+                    'p.sku as product_sku',
+                    'v.sku as variant_sku',
+                    'v.options as variant_options',
+                    'o.order_number',
+                    'l.code as location_code',
+                    'l.name as location_name',
+                    'u.full_name as created_by_name',
+                    DB::raw("({$balance}) as balance_after")
+                );
+
+            if ($request->filled('search')) {
+                $search = '%' . $request->search . '%';
+                $query->where(function ($q) use ($search) {
+                    $q->where('p.name', 'like', $search)
+                        ->orWhere('p.sku', 'like', $search)
+                        ->orWhere('v.sku', 'like', $search)
+                        ->orWhere('o.order_number', 'like', $search)
+                        ->orWhere('it.notes', 'like', $search);
+                });
+            }
+
+            if ($request->filled('product_id')) {
+                $query->where('it.product_id', $request->product_id);
+            }
+
+            if ($request->filled('variant_id')) {
+                $query->where('it.variant_id', $request->variant_id);
+            }
+
+            if ($request->filled('location_id')) {
+                $query->where('it.location_id', $request->location_id);
+            }
+
+            if ($request->filled('type')) {
+                $query->where('it.transaction_type', $request->type);
+            }
+
+            if ($request->filled('date_from')) {
+                $query->whereDate('it.created_at', '>=', $request->date_from);
+            }
 
-        return response()->json($query->paginate(20));
+            if ($request->filled('date_to')) {
+                $query->whereDate('it.created_at', '<=', $request->date_to);
+            }
+
+            $transactions = $query->orderBy('it.id', 'desc')->paginate($perPage);
+
+            $rows = collect($transactions->items())->map(function ($row) {
+                $row->variant_name = $row->variant_options ? ProductVariant::label($row->variant_options) : null;
+                $row->balance_after = (int) $row->balance_after;
+                unset($row->variant_options);
+                return $row;
+            });
+
+            return response()->json([
+                'success' => true,
+                'data' => $rows,
+                'pagination' => [
+                    'page' => $transactions->currentPage(),
+                    'limit' => $transactions->perPage(),
+                    'total' => $transactions->total(),
+                    'pages' => $transactions->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
     }
 
+    /**
+     * Adjust Stock
+     *
+     * Body: product_id, variant_id (variant products), location_id
+     * (default location when blank), action (stock_in, stock_out,
+     * set_count, write_off), quantity (units moved, or the counted stock
+     * at the location for set_count) and a reason.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
     public function adjust(Request $request)
     {
-        $validated = $request->validate([
-            'product_id' => 'required|exists:products,id',
-            'quantity' => 'required|integer', // Positive for add, negative for remove
-            'reason' => 'required|string',
-            'type' => 'required|in:adjustment,return,purchase,sale',
+        $validator = Validator::make($request->all(), [
+            'product_id' => 'required|integer|exists:products,id',
+            'variant_id' => 'nullable|integer',
+            'location_id' => 'nullable|integer|exists:locations,id',
+            'action' => 'required|in:' . implode(',', array_keys(InventoryService::MOVEMENT_ACTIONS)),
+            'quantity' => 'required|integer|' . ($request->action === 'set_count' ? 'min:0' : 'min:1'),
+            'reason' => 'required|string|max:255'
         ]);
 
-        try {
-            DB::beginTransaction();
-
-            $product = Product::lockForUpdate()->findOrFail($validated['product_id']);
-            
-            // Create transaction record
-            $transaction = InventoryTransaction::create([
-                'product_id' => $product->id,
-                'transaction_type' => $validated['type'],
-                'quantity' => $validated['quantity'],
-                'reference_type' => 'manual',
-                'notes' => $validated['reason'],
-                'created_by' => Auth::id() ?? 1,
-            ]);
-
-            // Update product stock
-            $product->increment('stock_quantity', $validated['quantity']);
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
 
-            DB::commit();
+        try {
+            $transaction = $this->inventoryService->recordMovement(
+                (int) $request->product_id,
+                $request->filled('variant_id') ? (int) $request->variant_id : null,
+                $request->action,
+                (int) $request->quantity,
+                $request->reason,
+                auth()->id(),
+                $request->filled('location_id') ? (int) $request->location_id : null
+            );
 
-            return response()->json($transaction, 201);
+            return response()->json([
+                'success' => true,
+                'message' => 'Stock updated',
+                'data' => $transaction
+            ], 201);
 
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
         } catch (\Exception $e) {
-            DB::rollBack();
-            return response()->json(['error' => $e->getMessage()], 500);
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
         }
     }
 }
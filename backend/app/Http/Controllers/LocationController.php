@@ -0,0 +1,436 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Location;
+use App\Models\ProductVariant;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Location Controller
+ *
+ * Stock locations (warehouses and stores), the stock held at each and its
+ * per-location low-stock thresholds. Stock moves between locations through
+ * StockTransferController.
+ */
+class LocationController extends Controller
+{
+    /**
+     * Get Locations
+     *
+     * Every location with units held, SKUs stocked, SKUs at or below their
+     * threshold and transfers on the way in.
+     *
+     * @return JsonResponse
+     */
+    public function index()
+    {
+        try {
+            $locations = DB::table('locations as l')
+                ->select(
+                    'l.*',
+                    DB::raw('(SELECT COALESCE(SUM(quantity), 0) FROM location_stocks WHERE location_id = l.id) as units'),
+                    DB::raw('(SELECT COUNT(*) FROM location_stocks WHERE location_id = l.id AND quantity <> 0) as sku_count'),
+                    DB::raw('(SELECT COUNT(*) FROM location_stocks ls JOIN products p ON ls.product_id = p.id
+                        WHERE ls.location_id = l.id AND p.status <> \'inactive\' AND ls.quantity <= COALESCE(ls.low_stock_threshold, p.low_stock_threshold)) as low_count'),
+                    DB::raw('(SELECT COUNT(*) FROM stock_transfers WHERE to_location_id = l.id AND status = \'in_transit\') as incoming_transfers')
+                )
+                ->orderByDesc('l.is_default')
+                ->orderBy('l.name')
+                ->get()
+                ->map(function ($location) {
+                    $location->is_default = (bool) $location->is_default;
+                    $location->is_active = (bool) $location->is_active;
+                    $location->units = (int) $location->units;
+                    return $location;
+                });
+
+            return response()->json([
+                'success' => true,
+                'data' => $locations
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get All Active Locations
+     *
+     * Short list for dropdowns (default first)
+     *
+     * @return JsonResponse
+     */
+    public function options()
+    {
+        try {
+            $locations = DB::table('locations')
+                ->where('is_active', true)
+                ->orderByDesc('is_default')
+                ->orderBy('name')
+                ->get(['id', 'name', 'code', 'type', 'is_default']);
+
+            return response()->json([
+                'success' => true,
+                'data' => $locations
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Create Location
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), $this->rules());
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        DB::beginTransaction();
+
+        try {
+            $location = Location::create($this->fields($request));
+            $this->keepOneDefault($location);
+
+            DB::commit();
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Location created',
+                'data' => $location
+            ], 201);
+
+        } catch (\Exception $e) {
+            DB::rollBack();
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Location with its Stock
+     *
+     * Stock rows (per product, or per variant) with the threshold in effect.
+     * Filters: search (product name or SKU), low (only rows at or below
+     * their threshold).
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function show(Request $request, $id)
+    {
+        try {
+            $location = DB::table('locations')->where('id', $id)->first();
+
+            if (!$location) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Location not found'
+                ], 404);
+            }
+
+            $location->is_default = (bool) $location->is_default;
+            $location->is_active = (bool) $location->is_active;
+
+            $perPage = $request->input('limit', 20);
+
+            $query = DB::table('location_stocks as ls')
+                ->join('products as p', 'ls.product_id', '=', 'p.id')
+                ->leftJoin('product_variants as v', 'ls.variant_id', '=', 'v.id')
+                ->where('ls.location_id', $id)
+                ->select(
+                    'ls.id',
+                    'ls.product_id',
+                    'ls.variant_id',
+                    'ls.quantity',
+                    'ls.low_stock_threshold',
+                    'p.name',
+                    DB::raw('COALESCE(v.sku, p.sku) as sku'),
+                    'v.options as variant_options',
+                    'p.low_stock_threshold as product_threshold'
+                );
+
+            if ($request->filled('search')) {
+                $search = $request->search;
+                $query->where(function ($q) use ($search) {
+                    $q->where('p.name', 'LIKE', "%{$search}%")
+                      ->orWhere('p.sku', 'LIKE', "%{$search}%")
+                      ->orWhere('v.sku', 'LIKE', "%{$search}%");
+                });
+            }
+
+            if ($request->boolean('low')) {
+                $query->whereRaw('ls.quantity <= COALESCE(ls.low_stock_threshold, p.low_stock_threshold)');
+            }
+
+            $stock = $query->orderBy('sku')->paginate($perPage);
+
+            $rows = collect($stock->items())->map(function ($row) {
+                $row->variant_name = $row->variant_options ? ProductVariant::label($row->variant_options) : null;
+                unset($row->variant_options);
+                $row->threshold = $row->low_stock_threshold ?? $row->product_threshold;
+                $row->is_low = $row->quantity <= $row->threshold;
+                return $row;
+            });
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'location' => $location,
+                    'stock' => $rows
+                ],
+                'pagination' => [
+                    'page' => $stock->currentPage(),
+                    'limit' => $stock->perPage(),
+                    'total' => $stock->total(),
+                    'pages' => $stock->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Update Location
+     *
+     * The default location can't be deactivated; make another location the
+     * default first.
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), $this->rules((int) $id));
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        DB::beginTransaction();
+
+        try {
+            $location = Location::lockForUpdate()->find($id);
+
+            if (!$location) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Location not found'
+                ], 404);
+            }
+
+            $fields = $this->fields($request);
+
+            if ($location->is_default && (!$fields['is_default'] || !$fields['is_active'])) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => false,
+                    'message' => "{$location->name} is the default location. Make another location the default first."
+                ], 400);
+            }
+
+            $location->update($fields);
+            $this->keepOneDefault($location);
+
+            DB::commit();
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Location updated',
+                'data' => $location
+            ]);
+
+        } catch (\Exception $e) {
+            DB::rollBack();
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete Location
+     *
+     * Only an unused location (no stock, orders or transfers) can be
+     * deleted; deactivate it otherwise.
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function destroy($id)
+    {
+        try {
+            $location = DB::table('locations')->where('id', $id)->first();
+
+            if (!$location) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Location not found'
+                ], 404);
+            }
+
+            $inUse = $location->is_default
+                || DB::table('location_stocks')->where('location_id', $id)->where('quantity', '!=', 0)->exists()
+                || DB::table('orders')->where('location_id', $id)->exists()
+                || DB::table('stock_transfers')->where('from_location_id', $id)->orWhere('to_location_id', $id)->exists();
+
+            if ($inUse) {
+                return response()->json([
+                    'success' => false,
+                    'message' => "{$location->name} holds stock or has orders or transfers. Deactivate it instead."
+                ], 400);
+            }
+
+            DB::table('locations')->where('id', $id)->delete();
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Location deleted'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Set Low-Stock Threshold of a Stock Row
+     *
+     * Body: low_stock_threshold (blank uses the product's threshold)
+     *
+     * @param Request $request
+     * @param int $id Location ID
+     * @param int $stockId location_stocks ID
+     * @return JsonResponse
+     */
+    public function updateThreshold(Request $request, $id, $stockId)
+    {
+        $validator = Validator::make($request->all(), [
+            'low_stock_threshold' => 'nullable|integer|min:0'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $updated = DB::table('location_stocks')
+                ->where('id', $stockId)
+                ->where('location_id', $id)
+                ->update([
+                    'low_stock_threshold' => $request->input('low_stock_threshold'),
+                    'updated_at' => now()
+                ]);
+
+            if (!$updated) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Stock row not found'
+                ], 404);
+            }
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Threshold updated'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Validation rules for create/update
+     *
+     * @param int|null $id Location being updated
+     * @return array
+     */
+    private function rules(?int $id = null): array
+    {
+        return [
+            'name' => 'required|string|max:100|unique:locations,name' . ($id ? ",{$id}" : ''),
+            'code' => 'required|string|max:10|alpha_dash|unique:locations,code' . ($id ? ",{$id}" : ''),
+            'type' => 'required|in:warehouse,store',
+            'address' => 'nullable|string|max:500',
+            'is_default' => 'nullable|boolean',
+            'is_active' => 'nullable|boolean'
+        ];
+    }
+
+    /**
+     * Location columns from a validated request
+     *
+     * @param Request $request
+     * @return array
+     */
+    private function fields(Request $request): array
+    {
+        $isDefault = $request->boolean('is_default');
+
+        return [
+            'name' => trim($request->name),
+            'code' => strtoupper(trim($request->code)),
+            'type' => $request->type,
+            'address' => $request->input('address'),
+            'is_default' => $isDefault,
+            // The default location is always active
+            'is_active' => $isDefault || $request->boolean('is_active', true)
+        ];
+    }
+
+    /**
+     * Only one location is the default
+     *
+     * @param Location $location Location just saved
+     * @return void
+     */
+    private function keepOneDefault(Location $location): void
+    {
+        if ($location->is_default) {
+            DB::table('locations')->where('id', '!=', $location->id)->update(['is_default' => false]);
+        }
+    }
+}
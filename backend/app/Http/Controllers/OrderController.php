@@ -2,6 +2,16 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\Order;
+use App\Models\OrderEdit;
+use App\Models\OrderStatusHistory;
+use App\Models\Product;
+use App\Models\StockReservation;
+use App\Services\CommissionService;
+use App\Services\CourierTrackingService;
+use App\Services\LocationService;
+use App\Services\ReturnService;
+use App\Services\StockReservationService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Validator;
@@ -10,7 +20,7 @@
  * Order Controller
  * 
  * Handles complete order lifecycle:
- * - Order creation with inventory deduction
+ * - Order creation with inventory deduction (or reservation until paid)
  * - Automated commission calculation
  * - Status management
  * - Payment tracking
@@ -85,6 +95,7 @@ private function calculateCommission($orderId, $userId, $userType, $orderTotal)
                 'commission_type' => $userType,
                 'amount' => $commission,
                 'percentage' => $config->commission_value,
+                'rate_type' => $config->commission_type,
                 'order_total' => $orderTotal,
                 'status' => 'pending',
                 'created_at' => now()
@@ -98,16 +109,26 @@ private function calculateCommission($orderId, $userId, $userType, $orderTotal)
         }
     }
 
+    /**
+     * Apply Role Scoping and Request Filters to an Orders Query
+     * 
+     * @param \Illuminate\Database\Query\Builder $query Query on `orders as o`
+     * @param Request $request
+     * @param \App\Models\User $user
+     * @return \Illuminate\Database\Query\Builder
+     */
+    private function applyOrderFilters($query, Request $request, $user)
+    {
+        return Order::applyListFilters($query, $request->all(), $user);
+    }
+
     /**
      * Get All Orders (with filters and pagination)
      * 
      * Supports filtering by:
-     * - status, payment_status, channel, date range
-     * 
-     * Role-based access:
-     * - Admin: See all orders
-     * - Staff: Only see assigned orders
-     * - Affiliate: Only see referred orders
+     * - status, payment_status, channel, customer, staff, affiliate
+     * - date range, min/max total
+     * - search (order number or marketplace order ID), ids
      * 
      * @param Request $request
      * @return JsonResponse
@@ -132,33 +153,7 @@ public function index(Request $request)
                     'u2.full_name as affiliate_name'
                 );
 
-            // Role-based filtering
-            if ($user->role === 'staff') {
-                $query->where('o.assigned_staff_id', $user->id);
-            } elseif ($user->role === 'affiliate') {
-                $query->where('o.affiliate_id', $user->id);
-            }
-
-            // Apply filters
-            if ($request->filled('status')) {
-                $query->where('o.status', $request->status);
-            }
-
-            if ($request->filled('payment_status')) {
-                $query->where('o.payment_status', $request->payment_status);
-            }
-
-            if ($request->filled('channel')) {
-                $query->where('o.channel_id', $request->channel);
-            }
-
-            if ($request->has('date_from')) {
-                $query->whereDate('o.created_at', '>=', $request->date_from);
-            }
-
-            if ($request->has('date_to')) {
-                $query->whereDate('o.created_at', '<=', $request->date_to);
-            }
+            $this->applyOrderFilters($query, $request, $user);
 
             $orders = $query->orderBy('o.created_at', 'desc')->paginate($perPage);
 
@@ -181,6 +176,117 @@ public function index(Request $request)
         }
     }
 
+    /**
+     * Get IDs of All Orders Matching the Filters
+     * 
+     * Backs "select all matching filter" on the Orders table,
+     * so bulk actions can cover every page without loading full rows.
+     * Returns id and order_number only.
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function matchingIds(Request $request)
+    {
+        try {
+            $user = auth()->user();
+
+            $query = DB::table('orders as o')->select('o.id', 'o.order_number');
+            $this->applyOrderFilters($query, $request, $user);
+
+            return response()->json([
+                'success' => true,
+                'data' => $query->orderBy('o.created_at', 'desc')->get()
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Order Count and Value per Status
+     * 
+     * Powers the column headers of the Orders board.
+     * Honours the same filters as index() (status filter excluded).
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function statusSummary(Request $request)
+    {
+        try {
+            $user = auth()->user();
+
+            $query = DB::table('orders as o')
+                ->select('o.status', DB::raw('COUNT(*) as count'), DB::raw('SUM(o.total) as total_amount'))
+                ->groupBy('o.status');
+
+            $this->applyOrderFilters($query, new Request($request->except('status')), $user);
+
+            return response()->json([
+                'success' => true,
+                'data' => $query->get()
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Staff and Affiliate Options for the Order Filters
+     * 
+     * Admin only: staff and affiliates are already limited to their own orders
+     * 
+     * @return JsonResponse
+     */
+    public function filterOptions()
+    {
+        try {
+            $users = DB::table('users')
+                ->select('id', 'full_name', 'role')
+                ->whereIn('role', ['admin', 'staff', 'affiliate'])
+                ->orderBy('full_name')
+                ->get();
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'staff' => $users->whereIn('role', ['admin', 'staff'])->values(),
+                    'affiliates' => $users->where('role', 'affiliate')->values()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Allowed Status Transitions
+     * 
+     * Lets the frontend block moves the backend would reject
+     * 
+     * @return JsonResponse
+     */
+    public function statusTransitions()
+    {
+        return response()->json([
+            'success' => true,
+            'data' => Order::STATUS_TRANSITIONS
+        ]);
+    }
+
     /**
      * Create New Order
      * 
@@ -189,7 +295,9 @@ public function index(Request $request)
      * 2. Calculate totals (subtotal, tax, shipping)
      * 3. Create order record
      * 4. Create order items
-     * 5. Deduct inventory
+     * 5. Deduct inventory at the fulfilment location (location_id, or
+     *    allocated from the channel's locations); prepaid orders reserve
+     *    it instead until paid (StockReservationService)
      * 6. Calculate commissions (staff & affiliate)
      * 7. Update customer statistics
      * 
@@ -205,9 +313,13 @@ public function store(Request $request)
             'channel_id' => 'required|integer|exists:sales_channels,id',
             'items' => 'required|array|min:1',
             'items.*.product_id' => 'required|integer',
+            'items.*.variant_id' => 'nullable|integer',
             'items.*.quantity' => 'required|integer|min:1',
+            'location_id' => 'nullable|integer|exists:locations,id',
             'shipping_address' => 'required|string',
-            'payment_method' => 'required|in:cod,online_banking,credit_card,ewallet'
+            'payment_method' => 'required|in:cod,online_banking,credit_card,ewallet',
+            'discount' => 'nullable|numeric|min:0',
+            'shipping_fee' => 'nullable|numeric|min:0'
         ]);
 
         if ($validator->fails()) {
@@ -241,25 +353,47 @@ public function store(Request $request)
                     ], 400);
                 }
 
-                // Check stock availability
-                if ($product->stock_quantity < $item['quantity']) {
+                // Products with variants are sold per variant
+                $variant = null;
+                if ($product->has_variants) {
+                    $variant = DB::table('product_variants')
+                        ->where('id', $item['variant_id'] ?? 0)
+                        ->where('product_id', $product->id)
+                        ->where('is_active', true)
+                        ->first();
+
+                    if (!$variant) {
+                        DB::rollBack();
+                        return response()->json([
+                            'success' => false,
+                            'message' => "Choose a variant of {$product->name}"
+                        ], 400);
+                    }
+                }
+
+                $line = Product::lineDetails($product, $variant);
+
+                // Check stock availability (unpaid orders' reservations aren't sellable)
+                if ($line['stock_quantity'] - StockReservation::activeQuantity($product->id, $line['variant_id']) < $item['quantity']) {
                     DB::rollBack();
                     return response()->json([
                         'success' => false,
-                        'message' => "Insufficient stock for {$product->name}"
+                        'message' => "Insufficient stock for {$line['name']}"
                     ], 400);
                 }
 
-                $itemSubtotal = $product->price * $item['quantity'];
+                $itemSubtotal = $line['price'] * $item['quantity'];
                 $subtotal += $itemSubtotal;
 
                 $orderItems[] = [
                     'product_id' => $product->id,
+                    'variant_id' => $line['variant_id'],
                     'product_name' => $product->name,
-                    'sku' => $product->sku,
+                    'variant_name' => $line['variant_name'],
+                    'sku' => $line['sku'],
                     'quantity' => $item['quantity'],
-                    'price' => $product->price,
-                    'cost_price' => $product->cost_price
+                    'price' => $line['price'],
+                    'cost_price' => $line['cost_price']
                 ];
             }
 
@@ -269,6 +403,15 @@ public function store(Request $request)
             $tax = $subtotal * 0.06; // 6% SST Malaysia
             $total = $subtotal - $discount + $shippingFee + $tax;
 
+            $locationId = $request->input('location_id')
+                ?: app(LocationService::class)->allocate($request->channel_id, $orderItems);
+
+            // Prepaid orders hold their stock until the payment arrives
+            $reservations = app(StockReservationService::class);
+            $reserveUntil = $reservations->awaitsPayment($request->payment_method, 'pending')
+                ? $reservations->expiresAt($request->channel_id)
+                : null;
+
             // Create order
             $orderNumber = $this->generateOrderNumber();
             
@@ -276,6 +419,7 @@ public function store(Request $request)
                 'order_number' => $orderNumber,
                 'customer_id' => $request->customer_id,
                 'channel_id' => $request->channel_id,
+                'location_id' => $locationId,
                 'assigned_staff_id' => $user->id,
                 'affiliate_id' => $request->input('affiliate_id'),
                 'subtotal' => $subtotal,
@@ -300,7 +444,9 @@ public function store(Request $request)
                 DB::table('order_items')->insert([
                     'order_id' => $orderId,
                     'product_id' => $item['product_id'],
+                    'variant_id' => $item['variant_id'],
                     'product_name' => $item['product_name'],
+                    'variant_name' => $item['variant_name'],
                     'sku' => $item['sku'],
                     'quantity' => $item['quantity'],
                     'price' => $item['price'],
@@ -308,14 +454,19 @@ public function store(Request $request)
                     // subtotal and profit are MySQL GENERATED columns
                 ]);
 
-                // Deduct stock
-                DB::table('products')
-                    ->where('id', $item['product_id'])
-                    ->decrement('stock_quantity', $item['quantity']);
+                if ($reserveUntil) {
+                    $reservations->reserve($orderId, $item['product_id'], $item['variant_id'], $locationId, $item['quantity'], $reserveUntil);
+                    continue;
+                }
+
+                // Deduct stock (variant and product total)
+                Product::adjustStock($item['product_id'], $item['variant_id'], -$item['quantity'], $locationId);
 
                 // Log inventory transaction
                 DB::table('inventory_transactions')->insert([
                     'product_id' => $item['product_id'],
+                    'variant_id' => $item['variant_id'],
+                    'location_id' => $locationId,
                     'transaction_type' => 'sale',
                     'quantity' => -$item['quantity'],
                     'reference_type' => 'order',
@@ -325,12 +476,12 @@ public function store(Request $request)
                 ]);
 
                 // --- NEW: Trigger Low Stock Alert ---
-                $updatedProduct = DB::table('products')->where('id', $item['product_id'])->first();
-                if ($updatedProduct->stock_quantity <= $updatedProduct->low_stock_threshold) {
+                $level = Product::stockLevel($item['product_id'], $item['variant_id'], $locationId);
+                if ($level->is_low) {
                     DB::table('notifications')->insert([
                         'user_id' => $user->id,
                         'title' => 'Low Stock Alert',
-                        'message' => "Product '{$updatedProduct->name}' is running low ({$updatedProduct->stock_quantity} left).",
+                        'message' => "Product '{$level->name}' is running low at {$level->location} ({$level->stock_quantity} left).",
                         'type' => 'danger',
                         'is_read' => false,
                         'action_url' => '/products',
@@ -383,6 +534,9 @@ public function store(Request $request)
                 ->where('id', $request->customer_id)
                 ->increment('total_spent', $total);
 
+            OrderStatusHistory::record($orderId, 'status', null, 'pending', $user->id,
+                $reserveUntil ? "Order created; stock reserved until {$reserveUntil->format('d M Y, H:i')}" : 'Order created');
+
             // Commit transaction
             DB::commit();
 
@@ -421,13 +575,16 @@ public function show($id)
             $order = DB::table('orders as o')
                 ->leftJoin('customers as c', 'o.customer_id', '=', 'c.id')
                 ->leftJoin('sales_channels as sc', 'o.channel_id', '=', 'sc.id')
+                ->leftJoin('locations as l', 'o.location_id', '=', 'l.id')
                 ->leftJoin('users as u1', 'o.assigned_staff_id', '=', 'u1.id')
                 ->leftJoin('users as u2', 'o.affiliate_id', '=', 'u2.id')
                 ->select(
                     'o.*',
                     'c.full_name as customer_name',
                     'c.email as customer_email',
+                    'c.phone as customer_phone',
                     'sc.name as channel_name',
+                    'l.name as location_name',
                     'u1.full_name as staff_name',
                     'u2.full_name as affiliate_name'
                 )
@@ -463,6 +620,12 @@ public function show($id)
 
             $order->items = $items;
 
+            // Stock still held (not yet deducted) while the order awaits payment
+            $order->reserved_until = DB::table('stock_reservations')
+                ->where('order_id', $id)
+                ->where('status', 'active')
+                ->min('expires_at');
+
             return response()->json([
                 'success' => true,
                 'data' => $order
@@ -476,10 +639,551 @@ public function show($id)
         }
     }
 
+    /**
+     * Get Order Timeline (Audit Trail)
+     * 
+     * Merges every recorded event for an order, newest first:
+     * - status / payment changes (order_status_histories)
+     * - stock deductions and restores (inventory_transactions)
+     * - stock reserved for unpaid orders, released or expired (stock_reservations)
+     * - commission created / approved / paid (commission_transactions)
+     * - edits before fulfilment (order_edits)
+     * - returns / RMAs (order_returns)
+     * 
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function timeline($id)
+    {
+        try {
+            $user = auth()->user();
+
+            $order = DB::table('orders as o')
+                ->leftJoin('sales_channels as sc', 'o.channel_id', '=', 'sc.id')
+                ->select('o.*', 'sc.name as channel_name')
+                ->where('o.id', $id)
+                ->first();
+
+            if (!$order) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Order not found'
+                ], 404);
+            }
+
+            // Same visibility rules as show()
+            if (($user->role === 'staff' && $order->assigned_staff_id != $user->id)
+                || ($user->role === 'affiliate' && $order->affiliate_id != $user->id)) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Access denied'
+                ], 403);
+            }
+
+            $events = collect();
+
+            $history = DB::table('order_status_histories as h')
+                ->leftJoin('users as u', 'h.changed_by', '=', 'u.id')
+                ->select('h.*', 'u.full_name as actor_name')
+                ->where('h.order_id', $id)
+                ->get();
+
+            foreach ($history as $h) {
+                $isPayment = $h->field === 'payment_status';
+                $events->push([
+                    'type' => $h->from_value === null ? 'created' : ($isPayment ? 'payment' : 'status'),
+                    'title' => $h->from_value === null
+                        ? ($h->source === 'webhook' ? 'Order Received via Webhook' : 'Order Created')
+                        : ($isPayment ? 'Payment' : 'Status') . ": {$h->from_value} → {$h->to_value}",
+                    'actor' => $h->actor_name ?? ($h->source === 'webhook' ? 'Webhook' : 'System'),
+                    'source' => $h->source,
+                    'notes' => $h->notes,
+                    'created_at' => $h->created_at
+                ]);
+            }
+
+            // Orders created before history was recorded still get a creation entry
+            if (!$history->contains(fn ($h) => $h->from_value === null && $h->field === 'status')) {
+                $events->push([
+                    'type' => 'created',
+                    'title' => 'Order Created',
+                    'actor' => 'System',
+                    'source' => 'system',
+                    'notes' => "Received from {$order->channel_name}",
+                    'created_at' => $order->created_at
+                ]);
+            }
+
+            $inventory = DB::table('inventory_transactions as it')
+                ->leftJoin('products as p', 'it.product_id', '=', 'p.id')
+                ->leftJoin('users as u', 'it.created_by', '=', 'u.id')
+                ->select('it.*', 'p.name as product_name', 'p.sku', 'u.full_name as actor_name')
+                ->where('it.reference_type', 'order')
+                ->where('it.reference_id', $id)
+                ->get();
+
+            foreach ($inventory as $it) {
+                $restored = $it->quantity > 0;
+                $events->push([
+                    'type' => $restored ? 'stock_restored' : 'stock_deducted',
+                    'title' => ($restored ? 'Stock Restored' : 'Stock Deducted') . ": {$it->product_name} (" . ($restored ? '+' : '') . "{$it->quantity})",
+                    'actor' => $it->actor_name ?? 'System',
+                    'source' => 'system',
+                    'notes' => $it->notes,
+                    'created_at' => $it->created_at
+                ]);
+            }
+
+            // Converted reservations show up above as the sale deduction
+            $reservations = DB::table('stock_reservations as sr')
+                ->leftJoin('products as p', 'sr.product_id', '=', 'p.id')
+                ->select('sr.*', 'p.name as product_name')
+                ->where('sr.order_id', $id)
+                ->get();
+
+            foreach ($reservations as $sr) {
+                $events->push([
+                    'type' => 'reservation',
+                    'title' => "Stock Reserved: {$sr->product_name} ({$sr->quantity})",
+                    'actor' => 'System',
+                    'source' => 'system',
+                    'notes' => 'Held until ' . date('d M Y, H:i', strtotime($sr->expires_at)),
+                    'created_at' => $sr->created_at
+                ]);
+
+                if (in_array($sr->status, ['released', 'expired'])) {
+                    $events->push([
+                        'type' => 'reservation',
+                        'title' => ($sr->status === 'expired' ? 'Reservation Expired' : 'Reservation Released') . ": {$sr->product_name} ({$sr->quantity})",
+                        'actor' => 'System',
+                        'source' => 'system',
+                        'notes' => null,
+                        'created_at' => $sr->closed_at
+                    ]);
+                }
+            }
+
+            $commissions = DB::table('commission_transactions as ct')
+                ->leftJoin('users as u', 'ct.user_id', '=', 'u.id')
+                ->leftJoin('users as a', 'ct.approved_by', '=', 'a.id')
+                ->leftJoin('users as pb', 'ct.paid_by', '=', 'pb.id')
+                ->select('ct.*', 'u.full_name as earner_name', 'a.full_name as approver_name', 'pb.full_name as payer_name')
+                ->where('ct.order_id', $id)
+                ->get();
+
+            foreach ($commissions as $ct) {
+                $label = ucfirst($ct->commission_type) . " commission RM" . number_format($ct->amount, 2) . " for {$ct->earner_name}";
+
+                $events->push([
+                    'type' => 'commission',
+                    'title' => "Commission Created: {$label}",
+                    'actor' => 'System',
+                    'source' => 'system',
+                    'notes' => $ct->notes,
+                    'created_at' => $ct->created_at
+                ]);
+
+                if ($ct->approved_at) {
+                    $events->push([
+                        'type' => 'commission',
+                        'title' => "Commission Approved: {$label}",
+                        'actor' => $ct->approver_name ?? 'System',
+                        'source' => 'system',
+                        'notes' => null,
+                        'created_at' => $ct->approved_at
+                    ]);
+                }
+
+                if ($ct->paid_at) {
+                    $events->push([
+                        'type' => 'commission',
+                        'title' => "Commission Paid: {$label}",
+                        'actor' => $ct->payer_name ?? 'System',
+                        'source' => 'system',
+                        'notes' => null,
+                        'created_at' => $ct->paid_at
+                    ]);
+                }
+
+                if (in_array($ct->status, ['rejected', 'cancelled'])) {
+                    $events->push([
+                        'type' => 'commission',
+                        'title' => "Commission " . ucfirst($ct->status) . ": {$label}",
+                        'actor' => 'System',
+                        'source' => 'system',
+                        'notes' => null,
+                        'created_at' => $ct->updated_at
+                    ]);
+                }
+            }
+
+            $edits = DB::table('order_edits as e')
+                ->leftJoin('users as u', 'e.edited_by', '=', 'u.id')
+                ->select('e.*', 'u.full_name as actor_name')
+                ->where('e.order_id', $id)
+                ->get();
+
+            foreach ($edits as $e) {
+                $summary = collect(json_decode($e->changes, true))->map(function ($change) {
+                    if ($change['from'] === null) return "{$change['label']} (x{$change['to']})";
+                    if ($change['to'] === null) return $change['label'];
+                    return "{$change['label']}: {$change['from']} → {$change['to']}";
+                })->implode('; ');
+
+                $events->push([
+                    'type' => 'edit',
+                    'title' => 'Order Edited: total RM' . number_format($e->old_total, 2) . ' → RM' . number_format($e->new_total, 2),
+                    'actor' => $e->actor_name ?? 'System',
+                    'source' => 'manual',
+                    'notes' => $e->notes ? "{$summary}. {$e->notes}" : $summary,
+                    'created_at' => $e->created_at
+                ]);
+            }
+
+            $returns = DB::table('order_returns as r')
+                ->leftJoin('users as u', 'r.created_by', '=', 'u.id')
+                ->select('r.*', 'u.full_name as actor_name')
+                ->where('r.order_id', $id)
+                ->get();
+
+            foreach ($returns as $r) {
+                $events->push([
+                    'type' => 'return',
+                    'title' => "Return {$r->rma_number}: " . ($r->resolution === 'restock' ? 'restocked' : 'written off') . ', refund RM' . number_format($r->refund_amount, 2),
+                    'actor' => $r->actor_name ?? 'System',
+                    'source' => 'manual',
+                    'notes' => $r->reason,
+                    'created_at' => $r->created_at
+                ]);
+            }
+
+            return response()->json([
+                'success' => true,
+                'data' => $events->sortByDesc('created_at')->values()
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Edit Order (before fulfilment)
+     * 
+     * Only while status is pending/confirmed and no return has been made.
+     * Items: existing lines keep their original price, new lines use the
+     * current product (or variant) price. Stock is deducted/restored by the quantity
+     * difference; totals, tax (6% SST), commissions and customer spend are
+     * recalculated. Every change is recorded in order_edits.
+     * 
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'items' => 'required|array|min:1',
+            'items.*.product_id' => 'required|integer',
+            'items.*.variant_id' => 'nullable|integer',
+            'items.*.quantity' => 'required|integer|min:1',
+            'discount' => 'nullable|numeric|min:0',
+            'shipping_fee' => 'nullable|numeric|min:0',
+            'shipping_address' => 'required|string',
+            'shipping_city' => 'nullable|string|max:50',
+            'shipping_state' => 'nullable|string|max:50',
+            'shipping_postal_code' => 'nullable|string|max:10',
+            'notes' => 'nullable|string|max:500'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        DB::beginTransaction();
+        try {
+            $user = auth()->user();
+
+            $order = DB::table('orders')->where('id', $id)->lockForUpdate()->first();
+            if (!$order) {
+                DB::rollBack();
+                return response()->json(['success' => false, 'message' => 'Order not found'], 404);
+            }
+
+            if ($user->role === 'staff' && $order->assigned_staff_id != $user->id) {
+                DB::rollBack();
+                return response()->json(['success' => false, 'message' => 'Access denied'], 403);
+            }
+
+            if (!in_array($order->status, Order::EDITABLE_STATUSES)) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => false,
+                    'message' => "Orders that are {$order->status} can no longer be edited"
+                ], 400);
+            }
+
+            if (DB::table('order_returns')->where('order_id', $id)->exists()) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Orders with returns can no longer be edited'
+                ], 400);
+            }
+
+            // Lines are matched on product + variant
+            $lineKey = fn ($productId, $variantId) => $productId . ':' . ($variantId ?: '');
+            $existing = DB::table('order_items')->where('order_id', $id)->get()
+                ->keyBy(fn ($item) => $lineKey($item->product_id, $item->variant_id));
+            $wanted = collect($request->items)
+                ->keyBy(fn ($line) => $lineKey($line['product_id'], $line['variant_id'] ?? null));
+            $changes = [];
+            $subtotal = 0;
+            // Unpaid orders change their reservation rather than stock
+            $reserved = app(StockReservationService::class)->hasActive($id);
+
+            if ($wanted->count() !== count($request->items)) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Each product or variant can only be listed once'
+                ], 400);
+            }
+
+            foreach ($wanted as $key => $line) {
+                $productId = $line['product_id'];
+                $current = $existing->get($key);
+                $delta = $line['quantity'] - ($current->quantity ?? 0);
+
+                $product = DB::table('products')->where('id', $productId)->lockForUpdate()->first();
+
+                if (!$product || (!$current && $product->status !== 'active')) {
+                    DB::rollBack();
+                    return response()->json([
+                        'success' => false,
+                        'message' => "Product {$productId} not found or inactive"
+                    ], 400);
+                }
+
+                $variant = null;
+                if (!empty($line['variant_id']) || ($product->has_variants && !$current)) {
+                    $variant = DB::table('product_variants')
+                        ->where('id', $line['variant_id'] ?? 0)
+                        ->where('product_id', $productId)
+                        ->lockForUpdate()
+                        ->first();
+
+                    if (!$variant || (!$current && !$variant->is_active)) {
+                        DB::rollBack();
+                        return response()->json([
+                            'success' => false,
+                            'message' => "Choose a variant of {$product->name}"
+                        ], 400);
+                    }
+                }
+
+                $details = Product::lineDetails($product, $variant);
+                $available = $details['stock_quantity'] - StockReservation::activeQuantity($productId, $details['variant_id']);
+                // A line that never took stock (marketplace parent SKU) changes no stock either
+                $takesStock = !$current || $current->stock_taken;
+
+                if ($takesStock && $delta > 0 && $available < $delta) {
+                    DB::rollBack();
+                    return response()->json([
+                        'success' => false,
+                        'message' => "Insufficient stock for {$details['name']}. Available: {$available}"
+                    ], 400);
+                }
+
+                if ($current) {
+                    $subtotal += $current->price * $line['quantity'];
+                    if ($delta !== 0) {
+                        DB::table('order_items')->where('id', $current->id)->update(['quantity' => $line['quantity'], 'updated_at' => now()]);
+                        $changes[] = ['field' => 'item', 'label' => "Qty {$details['name']}", 'from' => $current->quantity, 'to' => $line['quantity']];
+                    }
+                } else {
+                    $subtotal += $details['price'] * $line['quantity'];
+                    DB::table('order_items')->insert([
+                        'order_id' => $id,
+                        'product_id' => $product->id,
+                        'variant_id' => $details['variant_id'],
+                        'product_name' => $product->name,
+                        'variant_name' => $details['variant_name'],
+                        'sku' => $details['sku'],
+                        'quantity' => $line['quantity'],
+                        'price' => $details['price'],
+                        'cost_price' => $details['cost_price'],
+                        'created_at' => now()
+                    ]);
+                    $changes[] = ['field' => 'item', 'label' => "Added {$details['name']}", 'from' => null, 'to' => $line['quantity']];
+                }
+
+                if ($takesStock && $delta !== 0) {
+                    $this->adjustStockForEdit($productId, $details['variant_id'], $delta, $id, $user->id, $order->location_id, $reserved);
+                }
+            }
+
+            foreach ($existing as $key => $current) {
+                if ($wanted->has($key)) {
+                    continue;
+                }
+                $name = $current->variant_name ? "{$current->product_name} ({$current->variant_name})" : $current->product_name;
+                DB::table('order_items')->where('id', $current->id)->delete();
+                if ($current->stock_taken) {
+                    $this->adjustStockForEdit($current->product_id, $current->variant_id, -$current->quantity, $id, $user->id, $order->location_id, $reserved);
+                }
+                $changes[] = ['field' => 'item', 'label' => "Removed {$name}", 'from' => $current->quantity, 'to' => null];
+            }
+
+            $discount = (float) $request->input('discount', $order->discount);
+            $shippingFee = (float) $request->input('shipping_fee', $order->shipping_fee);
+            $tax = $subtotal * 0.06; // 6% SST Malaysia
+            $total = $subtotal - $discount + $shippingFee + $tax;
+
+            $fields = [
+                'discount' => ['Discount', $discount],
+                'shipping_fee' => ['Shipping fee', $shippingFee],
+                'shipping_address' => ['Shipping address', $request->shipping_address],
+                'shipping_city' => ['City', $request->input('shipping_city', $order->shipping_city)],
+                'shipping_state' => ['State', $request->input('shipping_state', $order->shipping_state)],
+                'shipping_postal_code' => ['Postcode', $request->input('shipping_postal_code', $order->shipping_postal_code)],
+            ];
+
+            $updateData = [];
+            foreach ($fields as $field => [$label, $value]) {
+                $old = $order->$field;
+                $isMoney = in_array($field, ['discount', 'shipping_fee']);
+                if ($isMoney ? round($old, 2) != round($value, 2) : (string) $old !== (string) $value) {
+                    $changes[] = ['field' => $field, 'label' => $label, 'from' => $old, 'to' => $value];
+                }
+                $updateData[$field] = $value;
+            }
+
+            if (empty($changes)) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => true,
+                    'message' => 'No changes to save'
+                ]);
+            }
+
+            DB::table('orders')->where('id', $id)->update(array_merge($updateData, [
+                'subtotal' => $subtotal,
+                'tax' => $tax,
+                'total' => $total,
+                'updated_at' => now()
+            ]));
+
+            // Percentage commissions follow the new total; fixed ones don't change.
+            // The rate type is the one recorded when the commission was earned,
+            // not the earner's current config. Refunds already reversed stay reversed.
+            $commissionTotals = ['staff' => 0, 'affiliate' => 0];
+            $commissions = DB::table('commission_transactions')
+                ->where('order_id', $id)
+                ->whereIn('status', ['pending', 'approved'])
+                ->where('amount', '>=', 0)
+                ->get();
+
+            foreach ($commissions as $ct) {
+                $full = $ct->rate_type === 'fixed'
+                    ? (float) ($ct->original_amount ?? $ct->amount)
+                    : round($total * $ct->percentage / 100, 2);
+                $amount = max(0, round($full - $ct->reversed_amount, 2));
+
+                DB::table('commission_transactions')->where('id', $ct->id)->update([
+                    'amount' => $amount,
+                    'original_amount' => $ct->original_amount === null ? null : $full,
+                    'order_total' => $total,
+                    'updated_at' => now()
+                ]);
+                $commissionTotals[$ct->commission_type] += $amount;
+            }
+
+            if ($commissions->isNotEmpty()) {
+                DB::table('orders')->where('id', $id)->update([
+                    'staff_commission' => $commissionTotals['staff'],
+                    'affiliate_commission' => $commissionTotals['affiliate']
+                ]);
+            }
+
+            if ($order->customer_id && round($total - $order->total, 2) != 0) {
+                DB::table('customers')->where('id', $order->customer_id)->increment('total_spent', $total - $order->total);
+            }
+
+            OrderEdit::create([
+                'order_id' => $id,
+                'changes' => $changes,
+                'old_total' => $order->total,
+                'new_total' => $total,
+                'edited_by' => $user->id,
+                'notes' => $request->input('notes')
+            ]);
+
+            DB::commit();
+            return response()->json([
+                'success' => true,
+                'message' => 'Order updated',
+                'data' => ['changes' => $changes, 'total' => round($total, 2)]
+            ]);
+
+        } catch (\Exception $e) {
+            DB::rollBack();
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Deduct (positive delta) or restore (negative delta) stock for an order edit
+     * 
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int $delta Extra quantity now on the order
+     * @param int $orderId
+     * @param int $userId
+     * @param int|null $locationId The order's fulfilment location
+     * @param bool $reserved The order's stock is reserved, not yet deducted
+     * @return void
+     */
+    private function adjustStockForEdit($productId, $variantId, $delta, $orderId, $userId, $locationId, $reserved = false)
+    {
+        if ($reserved) {
+            app(StockReservationService::class)->adjust($orderId, $productId, $variantId, $delta);
+            return;
+        }
+
+        Product::adjustStock($productId, $variantId, -$delta, $locationId);
+
+        DB::table('inventory_transactions')->insert([
+            'product_id' => $productId,
+            'variant_id' => $variantId,
+            'location_id' => $locationId,
+            'transaction_type' => $delta > 0 ? 'sale' : 'adjustment',
+            'quantity' => -$delta,
+            'reference_type' => 'order',
+            'reference_id' => $orderId,
+            'created_by' => $userId,
+            'notes' => 'Order edited',
+            'created_at' => now()
+        ]);
+    }
+
     /**
      * Update Order Status
      * 
      * Workflow: pending → confirmed → processing → shipped → delivered
+     * Rejects moves not allowed by Order::STATUS_TRANSITIONS
+     * An unpaid order's reserved stock is deducted when it moves forward
+     * and released when it's cancelled
      * 
      * @param Request $request
      * @param int $id
@@ -488,7 +1192,12 @@ public function show($id)
     public function updateStatus(Request $request, $id)
     {
         $validator = Validator::make($request->all(), [
-            'status' => 'required|in:pending,confirmed,processing,packed,shipped,delivered,cancelled,refunded'
+            'status' => 'required|in:pending,confirmed,processing,packed,shipped,delivered,cancelled,refunded',
+            'notes' => 'nullable|string|max:500',
+            // Shipment details, captured when marking an order shipped
+            'courier' => 'nullable|in:' . implode(',', array_keys(CourierTrackingService::COURIERS)),
+            'tracking_number' => 'nullable|string|max:100',
+            'shipped_at' => 'nullable|date'
         ]);
 
         if ($validator->fails()) {
@@ -500,27 +1209,55 @@ public function updateStatus(Request $request, $id)
 
         DB::beginTransaction();
         try {
-            $order = DB::table('orders')->where('id', $id)->first();
+            $order = DB::table('orders')->where('id', $id)->lockForUpdate()->first();
             if (!$order) {
+                DB::rollBack();
                 return response()->json(['success' => false, 'message' => 'Order not found'], 404);
             }
 
             $oldStatus = $order->status;
             $newStatus = $request->status;
 
+            if ($oldStatus === $newStatus) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => true,
+                    'message' => "Order is already {$newStatus}"
+                ]);
+            }
+
+            if (!Order::canTransition($oldStatus, $newStatus)) {
+                DB::rollBack();
+                return response()->json([
+                    'success' => false,
+                    'message' => "Cannot change order status from {$oldStatus} to {$newStatus}"
+                ], 400);
+            }
+
+            $reservations = app(StockReservationService::class);
+
             // If cancelling/refunding from a non-cancelled state, restore stock
+            // (an unpaid order only gives up its reservation)
             if (in_array($newStatus, ['cancelled', 'refunded']) && !in_array($oldStatus, ['cancelled', 'refunded'])) {
-                $items = DB::table('order_items')->where('order_id', $id)->get();
+                // Lines that never took stock (a marketplace parent SKU) have none to give back
+                $items = $reservations->release($id) ? collect() : DB::table('order_items')->where('order_id', $id)->where('stock_taken', true)->get();
+                // Items already returned through an RMA were restocked or written off there
+                $returned = app(ReturnService::class)->returnedQuantities($id);
                 foreach ($items as $item) {
-                    DB::table('products')
-                        ->where('id', $item->product_id)
-                        ->increment('stock_quantity', $item->quantity);
+                    $quantity = $item->quantity - ($returned[$item->id] ?? 0);
+                    if ($quantity <= 0) {
+                        continue;
+                    }
+
+                    Product::adjustStock($item->product_id, $item->variant_id, $quantity, $order->location_id);
                     
                     // Log inventory restoration
                     DB::table('inventory_transactions')->insert([
                         'product_id' => $item->product_id,
+                        'variant_id' => $item->variant_id,
+                        'location_id' => $order->location_id,
                         'transaction_type' => 'adjustment', // or 'restoration'
-                        'quantity' => $item->quantity,
+                        'quantity' => $quantity,
                         'reference_type' => 'order',
                         'reference_id' => $id,
                         'created_by' => auth()->id(),
@@ -529,21 +1266,28 @@ public function updateStatus(Request $request, $id)
                     ]);
                 }
 
-                // Invalidate commissions if cancelled
-                DB::table('commission_transactions')
-                    ->where('order_id', $id)
-                    ->update(['status' => 'rejected', 'updated_at' => now()]);
+                // Cancel unpaid commissions; paid ones are clawed back
+                app(CommissionService::class)->cancelCommissionsForOrder($id, "Order {$newStatus}");
+            } else {
+                // Going ahead with an unpaid order takes its reserved stock
+                $reservations->convert($id, auth()->id(), "Order {$newStatus}");
             }
 
             // Update timestamps for specific statuses
             $updateData = ['status' => $newStatus, 'updated_at' => now()];
             if ($newStatus === 'confirmed') $updateData['confirmed_at'] = now();
             if ($newStatus === 'packed') $updateData['packed_at'] = now();
-            if ($newStatus === 'shipped') $updateData['shipped_at'] = now();
+            if ($newStatus === 'shipped') {
+                $updateData['shipped_at'] = $request->input('shipped_at') ?: now();
+                if ($request->filled('courier')) $updateData['courier'] = $request->courier;
+                if ($request->filled('tracking_number')) $updateData['tracking_number'] = trim($request->tracking_number);
+            }
             if ($newStatus === 'delivered') $updateData['delivered_at'] = now();
 
             DB::table('orders')->where('id', $id)->update($updateData);
 
+            OrderStatusHistory::record($id, 'status', $oldStatus, $newStatus, auth()->id(), $request->input('notes'));
+
             DB::commit();
             return response()->json([
                 'success' => true,
@@ -560,11 +1304,55 @@ public function updateStatus(Request $request, $id)
         }
     }
 
+    /**
+     * Change Fulfilment Location
+     * 
+     * Moves the order's stock from its current location to location_id.
+     * Only before the order is packed.
+     * 
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function updateLocation(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'location_id' => 'required|integer|exists:locations,id'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            app(LocationService::class)->reallocateOrder((int) $id, (int) $request->location_id, auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Fulfilment location updated'
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
     /**
      * Update Payment Status
      * 
-     * When payment status is set to 'paid', automatically approves
-     * related commission transactions.
+     * When payment status is set to 'paid', deducts any stock the order
+     * reserved and automatically approves related commission transactions.
      * When set to 'refunded', rejects commissions.
      * 
      * @param Request $request
@@ -574,7 +1362,8 @@ public function updateStatus(Request $request, $id)
     public function updatePayment(Request $request, $id)
     {
         $validator = Validator::make($request->all(), [
-            'payment_status' => 'required|in:pending,paid,failed,refunded'
+            'payment_status' => 'required|in:pending,paid,failed,refunded',
+            'notes' => 'nullable|string|max:500'
         ]);
 
         if ($validator->fails()) {
@@ -587,13 +1376,25 @@ public function updatePayment(Request $request, $id)
         DB::beginTransaction();
         try {
             $user = auth()->user();
+
+            $order = DB::table('orders')->where('id', $id)->lockForUpdate()->first();
+            if (!$order) {
+                DB::rollBack();
+                return response()->json(['success' => false, 'message' => 'Order not found'], 404);
+            }
             
             DB::table('orders')
                 ->where('id', $id)
                 ->update(['payment_status' => $request->payment_status, 'updated_at' => now()]);
 
-            // If payment confirmed, auto-approve commissions
+            if ($order->payment_status !== $request->payment_status) {
+                OrderStatusHistory::record($id, 'payment_status', $order->payment_status, $request->payment_status, $user->id, $request->input('notes'));
+            }
+
+            // If payment confirmed, take reserved stock and auto-approve commissions
             if ($request->payment_status === 'paid') {
+                app(StockReservationService::class)->convert($id, $user->id, 'Payment received');
+
                 DB::table('commission_transactions')
                     ->where('order_id', $id)
                     ->where('status', 'pending')
@@ -604,14 +1405,9 @@ public function updatePayment(Request $request, $id)
                         'updated_at' => now()
                     ]);
             } 
-            // If payment refunded, reject commissions
+            // If payment refunded, cancel commissions (paid ones are clawed back)
             elseif ($request->payment_status === 'refunded') {
-                DB::table('commission_transactions')
-                    ->where('order_id', $id)
-                    ->update([
-                        'status' => 'rejected',
-                        'updated_at' => now()
-                    ]);
+                app(CommissionService::class)->cancelCommissionsForOrder($id, 'Payment refunded');
             }
 
             DB::commit();
@@ -0,0 +1,132 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Jobs\ExportOrdersJob;
+use App\Models\Order;
+use App\Models\OrderExport;
+use App\Services\OrderExportService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Order Export Controller
+ * 
+ * Exports every order matching the Orders page filters (not just the
+ * current page). Small exports stream straight back; large ones are
+ * queued and delivered through the notification bell.
+ */
+class OrderExportController extends Controller
+{
+    protected OrderExportService $exportService;
+
+    public function __construct(OrderExportService $exportService)
+    {
+        $this->exportService = $exportService;
+    }
+
+    /**
+     * Export Orders
+     * 
+     * Query: format (csv|xlsx), include_items (bool), plus any GET /orders filter.
+     * Returns the file directly, or 202 with the queued export record.
+     * 
+     * @param Request $request
+     * @return \Symfony\Component\HttpFoundation\Response
+     */
+    public function export(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'format' => 'nullable|in:csv,xlsx',
+            'include_items' => 'nullable|boolean'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $user = Auth::user();
+            $format = $request->input('format', 'csv');
+            $includeItems = $request->boolean('include_items');
+            $filters = $request->only(Order::LIST_FILTERS);
+
+            $rowCount = $this->exportService->countRows($filters, $user, $includeItems);
+
+            if ($rowCount > OrderExportService::SYNC_ROW_LIMIT) {
+                $export = OrderExport::create([
+                    'user_id' => $user->id,
+                    'format' => $format,
+                    'include_items' => $includeItems,
+                    'filters' => $filters,
+                    'status' => 'pending'
+                ]);
+
+                ExportOrdersJob::dispatch($export);
+
+                return response()->json([
+                    'success' => true,
+                    'queued' => true,
+                    'message' => "Export of {$rowCount} rows queued. You will be notified when it is ready.",
+                    'data' => $export
+                ], 202);
+            }
+
+            $rows = $this->exportService->rows($filters, $user, $includeItems);
+            $filename = $this->exportService->filename($format);
+
+            if ($format === 'xlsx') {
+                $path = tempnam(sys_get_temp_dir(), 'orders');
+                $this->exportService->writeXlsx($path, $rows);
+
+                return response()->download($path, $filename, [
+                    'Content-Type' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+                ])->deleteFileAfterSend();
+            }
+
+            return response()->streamDownload(function () use ($rows) {
+                $handle = fopen('php://output', 'w');
+                $this->exportService->writeCsv($handle, $rows);
+                fclose($handle);
+            }, $filename, ['Content-Type' => 'text/csv; charset=UTF-8']);
+
+        } catch (\Exception $e) {
+            \Log::error('Order export error: ' . $e->getMessage());
+
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to export orders'
+            ], 500);
+        }
+    }
+
+    /**
+     * Download a Completed Background Export
+     * 
+     * Only the user who requested the export can download it
+     * 
+     * @param int $id
+     * @return \Symfony\Component\HttpFoundation\Response
+     */
+    public function download($id)
+    {
+        $export = OrderExport::where('user_id', Auth::id())->find($id);
+
+        if (!$export) {
+            return response()->json(['success' => false, 'message' => 'Export not found'], 404);
+        }
+
+        if ($export->status !== 'completed' || !Storage::disk('local')->exists($export->file_path)) {
+            return response()->json(['success' => false, 'message' => 'Export is not ready'], 409);
+        }
+
+        $filename = 'Orders_' . $export->created_at->format('Ymd_His') . '.' . $export->format;
+
+        return Storage::disk('local')->download($export->file_path, $filename);
+    }
+}
@@ -2,6 +2,15 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\Location;
+use App\Models\Product;
+use App\Models\ProductImage;
+use App\Models\ProductVariant;
+use App\Models\StockReservation;
+use App\Models\Supplier;
+use App\Services\ProductImageService;
+use App\Services\ProductImportService;
+use App\Services\ProductVariantService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Validator;
@@ -12,9 +21,21 @@
  * Manages product catalog with automated SKU generation
  * SKU Format: {CATEGORY_PREFIX}-{NUMBER}
  * Example: ELEC-001, FASH-002
+ * Variant SKUs extend the product SKU: FASH-002-M-RED
  */
 class ProductController extends Controller
 {
+    protected ProductVariantService $variantService;
+    protected ProductImportService $importService;
+    protected ProductImageService $imageService;
+
+    public function __construct(ProductVariantService $variantService, ProductImportService $importService, ProductImageService $imageService)
+    {
+        $this->variantService = $variantService;
+        $this->importService = $importService;
+        $this->imageService = $imageService;
+    }
+
     /**
      * Generate Next Available SKU for Category
      * 
@@ -27,32 +48,7 @@ class ProductController extends Controller
     private function generateNextSKU($categoryId)
     {
         try {
-            // Get category slug
-            $category = DB::table('categories')->where('id', $categoryId)->first();
-            
-            if (!$category) {
-                return null;
-            }
-
-            // Get prefix (first 4 characters of slug, uppercase)
-            $prefix = strtoupper(substr($category->slug, 0, 4));
-
-            // Find highest existing SKU with this prefix
-            $lastSKU = DB::table('products')
-                ->where('sku', 'LIKE', "{$prefix}-%")
-                ->orderBy('sku', 'desc')
-                ->value('sku');
-
-            $nextNumber = 1;
-            if ($lastSKU) {
-                $parts = explode('-', $lastSKU);
-                $lastNumber = isset($parts[1]) ? intval($parts[1]) : 0;
-                $nextNumber = $lastNumber + 1;
-            }
-
-            // Format: PREFIX-001
-            return $prefix . '-' . str_pad($nextNumber, 3, '0', STR_PAD_LEFT);
-
+            return Product::nextSku((int) $categoryId);
         } catch (\Exception $e) {
             \Log::error('Generate SKU error: ' . $e->getMessage());
             return null;
@@ -62,6 +58,13 @@ private function generateNextSKU($categoryId)
     /**
      * Get All Products (with search and pagination)
      * 
+     * Filters: search, category, supplier, status (default: active and
+     * out_of_stock; `all` includes archived), stock (in_stock, low, out),
+     * min_margin / max_margin (%, products with a cost price only).
+     * Sort: one of Product::SORTS with direction asc|desc (default newest
+     * first). Each row carries recent_sales: units sold in the last
+     * Product::RECENT_SALES_DAYS days.
+     * 
      * @param Request $request
      * @return JsonResponse
      */
@@ -70,9 +73,17 @@ public function index(Request $request)
         try {
             $perPage = $request->input('limit', 20);
             
+            $sales = DB::table('order_items as oi')
+                ->join('orders as o', 'oi.order_id', '=', 'o.id')
+                ->whereNotIn('o.status', ['cancelled', 'refunded'])
+                ->where('o.created_at', '>=', now()->subDays(Product::RECENT_SALES_DAYS))
+                ->groupBy('oi.product_id')
+                ->select('oi.product_id', DB::raw('SUM(oi.quantity) as units'));
+
             $query = DB::table('products as p')
                 ->leftJoin('categories as c', 'p.category_id', '=', 'c.id')
-                ->select('p.*', 'c.name as category_name');
+                ->leftJoinSub($sales, 's', 's.product_id', '=', 'p.id')
+                ->select('p.*', 'c.name as category_name', DB::raw('COALESCE(s.units, 0) as recent_sales'));
 
             // Search filter
             if ($request->filled('search')) {
@@ -80,7 +91,13 @@ public function index(Request $request)
                 $query->where(function($q) use ($search) {
                     $q->where('p.name', 'LIKE', "%{$search}%")
                       ->orWhere('p.sku', 'LIKE', "%{$search}%")
-                      ->orWhere('p.description', 'LIKE', "%{$search}%");
+                      ->orWhere('p.description', 'LIKE', "%{$search}%")
+                      ->orWhereExists(function ($v) use ($search) {
+                          $v->select(DB::raw(1))
+                            ->from('product_variants as pv')
+                            ->whereColumn('pv.product_id', 'p.id')
+                            ->where('pv.sku', 'LIKE', "%{$search}%");
+                      });
                 });
             }
 
@@ -89,19 +106,67 @@ public function index(Request $request)
                 $query->where('p.category_id', $request->category);
             }
 
+            // Supplier filter
+            if ($request->filled('supplier')) {
+                $query->whereExists(function ($q) use ($request) {
+                    $q->select(DB::raw(1))
+                      ->from('product_suppliers as ps')
+                      ->whereColumn('ps.product_id', 'p.id')
+                      ->where('ps.supplier_id', $request->supplier);
+                });
+            }
+
             // Status filter
             if ($request->filled('status')) {
-                $query->where('p.status', $request->status);
+                if ($request->status !== 'all') {
+                    $query->where('p.status', $request->status);
+                }
             } else {
                 // By default, hide inactive (archived) products
                 $query->whereIn('p.status', ['active', 'out_of_stock']);
             }
 
-            $products = $query->orderBy('p.created_at', 'desc')->paginate($perPage);
+            // Stock filter: low means at or under the threshold overall or in any active variant
+            $lowVariant = function ($q) {
+                $q->select(DB::raw(1))
+                  ->from('product_variants as lv')
+                  ->whereColumn('lv.product_id', 'p.id')
+                  ->where('lv.is_active', true)
+                  ->whereColumn('lv.stock_quantity', '<=', 'p.low_stock_threshold');
+            };
+            if ($request->stock === 'out') {
+                $query->where('p.stock_quantity', '<=', 0);
+            } elseif ($request->stock === 'low') {
+                $query->where('p.stock_quantity', '>', 0)->where(function ($q) use ($lowVariant) {
+                    $q->whereColumn('p.stock_quantity', '<=', 'p.low_stock_threshold')->orWhereExists($lowVariant);
+                });
+            } elseif ($request->stock === 'in_stock') {
+                $query->whereColumn('p.stock_quantity', '>', 'p.low_stock_threshold')->whereNotExists($lowVariant);
+            }
+
+            // Margin filter (%)
+            if ($request->filled('min_margin') || $request->filled('max_margin')) {
+                $query->where('p.cost_price', '>', 0);
+                if ($request->filled('min_margin')) {
+                    $query->whereRaw(Product::MARGIN_SQL . ' >= ?', [(float) $request->min_margin]);
+                }
+                if ($request->filled('max_margin')) {
+                    $query->whereRaw(Product::MARGIN_SQL . ' <= ?', [(float) $request->max_margin]);
+                }
+            }
+
+            $sort = Product::SORTS[$request->input('sort')] ?? Product::SORTS['newest'];
+            $direction = $request->input('direction') === 'asc' ? 'asc' : 'desc';
+
+            $products = $query->orderByRaw("{$sort} {$direction}")->orderBy('p.id', $direction)->paginate($perPage);
+            $items = $this->withImages($this->withReservations($this->withLocations($this->withSuppliers($this->withVariants($products->items())))));
+            foreach ($items as $item) {
+                $item->recent_sales = (int) $item->recent_sales;
+            }
 
             return response()->json([
                 'success' => true,
-                'data' => $products->items(),
+                'data' => $items,
                 'pagination' => [
                     'page' => $products->currentPage(),
                     'limit' => $products->perPage(),
@@ -141,7 +206,7 @@ public function show($id)
                 return response()->json(['success' => false, 'message' => 'Product not found'], 404);
             }
 
-            return response()->json(['success' => true, 'data' => $product]);
+            return response()->json(['success' => true, 'data' => $this->withImages($this->withReservations($this->withLocations($this->withSuppliers($this->withVariants([$product])))))[0]]);
         } catch (\Exception $e) {
             return response()->json(['success' => false, 'message' => 'Server error'], 500);
         }
@@ -153,10 +218,10 @@ public function store(Request $request)
             'category_id' => 'required|integer|exists:categories,id',
             'name' => 'required|string|max:200',
             'price' => 'required|numeric|min:0',
-            'stock_quantity' => 'required|integer|min:0',
+            'stock_quantity' => 'required_without:variants|integer|min:0',
             'cost_price' => 'nullable|numeric|min:0',
             'image_url' => 'nullable|url'
-        ]);
+        ] + $this->variantValidation() + $this->supplierValidation());
 
         if ($validator->fails()) {
             return response()->json([
@@ -165,11 +230,14 @@ public function store(Request $request)
             ], 400);
         }
 
+        DB::beginTransaction();
+
         try {
             // Auto-generate SKU
             $sku = $this->generateNextSKU($request->category_id);
             
             if (!$sku) {
+                DB::rollBack();
                 return response()->json([
                     'success' => false,
                     'message' => 'Failed to generate SKU'
@@ -182,14 +250,28 @@ public function store(Request $request)
                 'name' => $request->name,
                 'description' => $request->input('description'),
                 'price' => $request->price,
-                'cost_price' => $request->input('cost_price', 0),
-                'stock_quantity' => $request->stock_quantity,
+                // Defaults to the preferred supplier's last cost
+                'cost_price' => $request->input('cost_price') ?? Supplier::preferredCost($request->input('suppliers') ?? []) ?? 0,
+                'stock_quantity' => $request->input('stock_quantity', 0),
                 'low_stock_threshold' => $request->input('low_stock_threshold', 10),
                 'image_url' => $request->input('image_url'),
                 'status' => 'active',
                 'created_at' => now()
             ]);
 
+            if ($request->filled('variants')) {
+                $this->variantService->sync($productId, $request->input('variant_options') ?? [], $request->variants);
+            }
+
+            if ($request->filled('suppliers')) {
+                Supplier::syncProduct($productId, $request->suppliers);
+            }
+
+            // Opening stock goes to the default location
+            Location::reconcile($productId);
+
+            DB::commit();
+
             return response()->json([
                 'success' => true,
                 'message' => 'Product created successfully',
@@ -197,7 +279,14 @@ public function store(Request $request)
                 'sku' => $sku
             ], 201);
 
+        } catch (\InvalidArgumentException $e) {
+            DB::rollBack();
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
         } catch (\Exception $e) {
+            DB::rollBack();
             return response()->json([
                 'success' => false,
                 'message' => 'Server error'
@@ -224,7 +313,7 @@ public function update(Request $request, $id)
             'cost_price' => 'nullable|numeric|min:0',
             'image_url' => 'nullable|url',
             'status' => 'in:active,out_of_stock,inactive'
-        ]);
+        ] + $this->variantValidation() + $this->supplierValidation());
 
         if ($validator->fails()) {
             return response()->json([
@@ -247,23 +336,75 @@ public function update(Request $request, $id)
                 }
             }
 
-            if (empty($updates)) {
+            if (empty($updates) && !$request->has('variants') && !$request->has('suppliers')) {
                 return response()->json([
                     'success' => false,
                     'message' => 'No valid fields to update'
                 ], 400);
             }
 
-            DB::table('products')
-                ->where('id', $id)
-                ->update($updates);
+            DB::beginTransaction();
+
+            if ($request->has('variants')) {
+                $this->variantService->sync($id, $request->input('variant_options') ?? [], $request->input('variants') ?? [], auth()->id());
+            }
+
+            if ($request->has('suppliers')) {
+                Supplier::syncProduct($id, $request->input('suppliers') ?? []);
+            }
+
+            $product = DB::table('products')->where('id', $id)->first();
+
+            // Stock of a variant product is the total of its variants
+            if ($product && $product->has_variants) {
+                unset($updates['stock_quantity']);
+            }
+
+            // Stock edits show up in the stock ledger like any other movement
+            if ($product && isset($updates['stock_quantity']) && (int) $updates['stock_quantity'] !== (int) $product->stock_quantity) {
+                DB::table('inventory_transactions')->insert([
+                    'product_id' => $product->id,
+                    'location_id' => Location::defaultId(),
+                    'transaction_type' => 'adjustment',
+                    'quantity' => (int) $updates['stock_quantity'] - $product->stock_quantity,
+                    'reference_type' => 'manual',
+                    'reference_id' => null,
+                    'created_by' => auth()->id(),
+                    'notes' => 'Stock edited on product form',
+                    'created_at' => now()
+                ]);
+            }
+
+            if (!empty($updates)) {
+                DB::table('products')
+                    ->where('id', $id)
+                    ->update($updates);
+            }
+
+            if ($product && array_key_exists('image_url', $updates)) {
+                $this->imageService->useImageUrl($product->id, $updates['image_url']);
+            }
+
+            // Stock edited here (or in the variant editor) is booked against the default location
+            if ($product) {
+                Location::reconcile($product->id);
+            }
+
+            DB::commit();
 
             return response()->json([
                 'success' => true,
                 'message' => 'Product updated successfully'
             ]);
 
+        } catch (\InvalidArgumentException $e) {
+            DB::rollBack();
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
         } catch (\Exception $e) {
+            DB::rollBack();
             return response()->json([
                 'success' => false,
                 'message' => 'Server error'
@@ -271,6 +412,59 @@ public function update(Request $request, $id)
         }
     }
 
+    /**
+     * Import Products
+     * 
+     * Body: rows [{line, sku, name, category, price, cost_price, stock_quantity,
+     * low_stock_threshold, status, image_url}] (CSV columns already mapped
+     * client-side), dry_run. Rows are matched by SKU: existing SKUs are
+     * updated, new or blank ones created. A dry run returns the same per-row
+     * preview without saving anything.
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function import(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'rows' => 'required|array|min:1|max:5000',
+            'rows.*' => 'array',
+            'dry_run' => 'boolean'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $result = $this->importService->import(
+                $request->rows,
+                $request->boolean('dry_run'),
+                auth()->id()
+            );
+
+            $summary = $result['summary'];
+
+            return response()->json([
+                'success' => true,
+                'message' => $request->boolean('dry_run')
+                    ? 'Preview only, nothing was saved'
+                    : "{$summary['create']} products created, {$summary['update']} updated",
+                'data' => $result
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
     /**
      * Delete Product (with safety check)
      * 
@@ -313,6 +507,7 @@ public function destroy(Request $request, $id)
             }
 
             DB::table('products')->where('id', $id)->delete();
+            $this->imageService->deleteFiles((int) $id);
 
             return response()->json([
                 'success' => true,
@@ -386,5 +581,142 @@ public function nextSKU($categoryId)
             ], 500);
         }
     }
-}
 
+    /**
+     * Validation rules for the variant editor payload
+     *
+     * @return array
+     */
+    private function variantValidation(): array
+    {
+        return [
+            'variant_options' => 'nullable|array|max:3',
+            'variant_options.*.name' => 'required|string|max:30',
+            'variant_options.*.values' => 'required|array|min:1|max:30',
+            'variants' => 'nullable|array|max:100',
+            'variants.*.id' => 'nullable|integer',
+            'variants.*.options' => 'required|array|min:1',
+            'variants.*.sku' => 'nullable|string|max:50',
+            'variants.*.price' => 'nullable|numeric|min:0',
+            'variants.*.cost_price' => 'nullable|numeric|min:0',
+            'variants.*.stock_quantity' => 'required|integer|min:0',
+            'variants.*.is_active' => 'nullable|boolean'
+        ];
+    }
+
+    /**
+     * Validation rules for the product's supplier links
+     *
+     * @return array
+     */
+    private function supplierValidation(): array
+    {
+        return [
+            'suppliers' => 'nullable|array|max:20',
+            'suppliers.*.supplier_id' => 'required|integer|distinct|exists:suppliers,id',
+            'suppliers.*.supplier_sku' => 'nullable|string|max:50',
+            'suppliers.*.last_cost' => 'nullable|numeric|min:0',
+            'suppliers.*.is_preferred' => 'nullable|boolean'
+        ];
+    }
+
+    /**
+     * Attach supplier links to product rows (preferred first)
+     *
+     * @param array $products
+     * @return array
+     */
+    private function withSuppliers(array $products): array
+    {
+        $suppliers = Supplier::forProducts(collect($products)->pluck('id')->all());
+
+        foreach ($products as $product) {
+            $product->suppliers = $suppliers->get($product->id, collect());
+        }
+
+        return $products;
+    }
+
+    /**
+     * Attach per-location stock to product rows
+     *
+     * @param array $products
+     * @return array
+     */
+    private function withLocations(array $products): array
+    {
+        $locations = Location::forProducts(collect($products)->pluck('id')->all());
+
+        foreach ($products as $product) {
+            $product->locations = $locations->get($product->id, collect());
+        }
+
+        return $products;
+    }
+
+    /**
+     * Attach reserved and available stock to product rows and their variants
+     *
+     * stock_quantity is what's on hand; reserved_quantity is held for unpaid
+     * orders, and available_quantity (on hand less reserved) can be sold.
+     *
+     * @param array $products
+     * @return array
+     */
+    private function withReservations(array $products): array
+    {
+        $reserved = StockReservation::forProducts(collect($products)->pluck('id')->all());
+
+        foreach ($products as $product) {
+            $held = $reserved->get($product->id, collect());
+
+            $product->variants = $product->variants->map(fn ($variant) => array_merge($variant, [
+                'reserved_quantity' => $held->get((string) $variant['id'], 0),
+                'available_quantity' => $variant['stock_quantity'] - $held->get((string) $variant['id'], 0)
+            ]));
+
+            $product->reserved_quantity = $held->sum();
+            $product->available_quantity = $product->stock_quantity - $product->reserved_quantity;
+        }
+
+        return $products;
+    }
+
+    /**
+     * Attach the image gallery to product rows, in display order
+     *
+     * @param array $products
+     * @return array
+     */
+    private function withImages(array $products): array
+    {
+        $images = ProductImage::forProducts($products);
+
+        foreach ($products as $product) {
+            $product->images = $images->get($product->id, collect());
+        }
+
+        return $products;
+    }
+
+    /**
+     * Attach variants to product rows (empty for single-SKU products)
+     *
+     * @param array $products
+     * @return array
+     */
+    private function withVariants(array $products): array
+    {
+        $variants = ProductVariant::forProducts(
+            collect($products)->where('has_variants', true)->pluck('id')->all()
+        );
+
+        foreach ($products as $product) {
+            $product->has_variants = (bool) $product->has_variants;
+            $product->variant_options = $product->variant_options ? json_decode($product->variant_options, true) : [];
+            $product->variants = $variants->get($product->id, collect());
+        }
+
+        return $products;
+    }
+}
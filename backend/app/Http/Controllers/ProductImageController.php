@@ -0,0 +1,164 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\ProductImageService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Product Image Controller
+ *
+ * A product's image gallery: upload, reorder, alt text, primary image
+ * and delete. Uploaded files are served from the public disk
+ * (php artisan storage:link).
+ */
+class ProductImageController extends Controller
+{
+    protected ProductImageService $imageService;
+
+    public function __construct(ProductImageService $imageService)
+    {
+        $this->imageService = $imageService;
+    }
+
+    /**
+     * Add Product Images
+     *
+     * Multipart body: images[] (JPEG, PNG or WebP up to 5 MB each) and/or
+     * url (an image hosted elsewhere)
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function store(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'images' => 'required_without:url|array|max:' . ProductImageService::MAX_IMAGES,
+            'images.*' => 'image|mimes:jpeg,png,webp|max:5120',
+            'url' => 'required_without:images|nullable|url|max:255'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        if (!DB::table('products')->where('id', $id)->exists()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Product not found'
+            ], 404);
+        }
+
+        try {
+            $images = $this->imageService->add((int) $id, $request->file('images', []), $request->input('url'));
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Images added',
+                'data' => $images
+            ], 201);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Update Product Gallery
+     *
+     * Body: images [{id, alt_text}] (every image, in display order),
+     * primary_id (optional)
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'images' => 'required|array|min:1',
+            'images.*.id' => 'required|integer',
+            'images.*.alt_text' => 'nullable|string|max:200',
+            'primary_id' => 'nullable|integer'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $images = DB::transaction(fn () => $this->imageService->sync(
+                (int) $id,
+                $request->input('images'),
+                $request->filled('primary_id') ? (int) $request->input('primary_id') : null
+            ));
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Gallery updated',
+                'data' => $images
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete Product Image
+     *
+     * The next image in the gallery becomes primary when the primary one goes.
+     *
+     * @param int $id
+     * @param int $imageId
+     * @return JsonResponse
+     */
+    public function destroy($id, $imageId)
+    {
+        try {
+            $images = $this->imageService->delete((int) $id, (int) $imageId);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Image deleted',
+                'data' => $images
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 404);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+}
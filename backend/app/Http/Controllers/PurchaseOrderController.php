@@ -0,0 +1,296 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\PurchaseOrderService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Purchase Order Controller
+ *
+ * Replenishment: reorder suggestions from low-stock data, purchase orders
+ * per supplier, and receiving them (fully or in part)
+ */
+class PurchaseOrderController extends Controller
+{
+    protected PurchaseOrderService $purchaseOrderService;
+
+    public function __construct(PurchaseOrderService $purchaseOrderService)
+    {
+        $this->purchaseOrderService = $purchaseOrderService;
+    }
+
+    /**
+     * Get Purchase Orders
+     *
+     * Newest first, with line, unit and cost totals.
+     * Filters: status, supplier_id.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request)
+    {
+        try {
+            $perPage = $request->input('limit', 20);
+
+            $query = DB::table('purchase_orders as po')
+                ->join('suppliers as s', 'po.supplier_id', '=', 's.id')
+                ->join('locations as l', 'po.location_id', '=', 'l.id')
+                ->leftJoin('users as u', 'po.created_by', '=', 'u.id')
+                ->select(
+                    'po.*',
+                    's.name as supplier_name',
+                    's.currency',
+                    'l.name as location_name',
+                    'u.full_name as created_by_name',
+                    DB::raw('(SELECT COUNT(*) FROM purchase_order_items WHERE purchase_order_id = po.id) as item_count'),
+                    DB::raw('(SELECT COALESCE(SUM(quantity_ordered), 0) FROM purchase_order_items WHERE purchase_order_id = po.id) as units_ordered'),
+                    DB::raw('(SELECT COALESCE(SUM(quantity_received), 0) FROM purchase_order_items WHERE purchase_order_id = po.id) as units_received'),
+                    DB::raw('(SELECT COALESCE(SUM(quantity_ordered * unit_cost), 0) FROM purchase_order_items WHERE purchase_order_id = po.id) as total_cost')
+                );
+
+            if ($request->filled('status')) {
+                $query->where('po.status', $request->status);
+            }
+
+            if ($request->filled('supplier_id')) {
+                $query->where('po.supplier_id', $request->supplier_id);
+            }
+
+            $orders = $query->orderBy('po.created_at', 'desc')->orderBy('po.id', 'desc')->paginate($perPage);
+
+            return response()->json([
+                'success' => true,
+                'data' => $orders->items(),
+                'pagination' => [
+                    'page' => $orders->currentPage(),
+                    'limit' => $orders->perPage(),
+                    'total' => $orders->total(),
+                    'pages' => $orders->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Reorder Suggestions
+     *
+     * Query: days (sales window, default 30), lead_time_days (for suppliers
+     * without one, default 7), supplier_id
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function suggestions(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'days' => 'nullable|integer|min:1|max:365',
+            'lead_time_days' => 'nullable|integer|min:0|max:365',
+            'supplier_id' => 'nullable|integer'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $suggestions = $this->purchaseOrderService->suggestions(
+                (int) $request->input('days', 30),
+                (int) $request->input('lead_time_days', 7),
+                $request->filled('supplier_id') ? (int) $request->supplier_id : null
+            );
+
+            return response()->json([
+                'success' => true,
+                'data' => $suggestions
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Create Purchase Orders
+     *
+     * One purchase order per supplier in the lines.
+     * Body: location_id (default location when empty), notes,
+     * items [{supplier_id, product_id, variant_id (variant products), quantity, unit_cost}]
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'location_id' => 'nullable|integer|exists:locations,id',
+            'notes' => 'nullable|string|max:500',
+            'items' => 'required|array|min:1',
+            'items.*.supplier_id' => 'required|integer',
+            'items.*.product_id' => 'required|integer',
+            'items.*.variant_id' => 'nullable|integer',
+            'items.*.quantity' => 'required|integer|min:1',
+            'items.*.unit_cost' => 'nullable|numeric|min:0'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $orders = $this->purchaseOrderService->create(
+                $request->only(['location_id', 'notes', 'items']),
+                auth()->id()
+            );
+
+            return response()->json([
+                'success' => true,
+                'message' => $orders->count() === 1
+                    ? "Purchase order {$orders->first()->reference} created"
+                    : "{$orders->count()} purchase orders created",
+                'data' => $orders->map(fn ($order) => $this->purchaseOrderService->find($order->id))
+            ], 201);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Purchase Order with its Lines
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function show($id)
+    {
+        try {
+            $order = $this->purchaseOrderService->find((int) $id);
+
+            if (!$order) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Purchase order not found'
+                ], 404);
+            }
+
+            return response()->json([
+                'success' => true,
+                'data' => $order
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Receive Stock against a Purchase Order
+     *
+     * Body: items [{item_id, quantity}]; lines left out or at 0 stay
+     * outstanding
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function receive(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'items' => 'required|array|min:1',
+            'items.*.item_id' => 'required|integer',
+            'items.*.quantity' => 'required|integer|min:0'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $order = $this->purchaseOrderService->receive((int) $id, $request->items, auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => $order->status === 'received'
+                    ? "Purchase order {$order->reference} received"
+                    : "Purchase order {$order->reference} partly received",
+                'data' => $this->purchaseOrderService->find($order->id)
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Cancel Purchase Order
+     *
+     * Stock already received stays
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function cancel($id)
+    {
+        try {
+            $order = $this->purchaseOrderService->cancel((int) $id);
+
+            return response()->json([
+                'success' => true,
+                'message' => "Purchase order {$order->reference} cancelled",
+                'data' => $this->purchaseOrderService->find($order->id)
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+}
@@ -0,0 +1,246 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\ReturnService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Return Controller
+ *
+ * Returns / partial cancellations (RMA) against existing orders.
+ * Stock, refunds and commission reversal are handled by ReturnService.
+ */
+class ReturnController extends Controller
+{
+    protected ReturnService $returnService;
+
+    public function __construct(ReturnService $returnService)
+    {
+        $this->returnService = $returnService;
+    }
+
+    /**
+     * Get All Returns
+     *
+     * Filters: search (RMA or order number), resolution, date_from, date_to
+     * Staff only see returns on orders assigned to them.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request)
+    {
+        try {
+            $user = auth()->user();
+            $perPage = $request->input('limit', 20);
+
+            $query = DB::table('order_returns as r')
+                ->join('orders as o', 'r.order_id', '=', 'o.id')
+                ->leftJoin('customers as c', 'o.customer_id', '=', 'c.id')
+                ->leftJoin('users as u', 'r.created_by', '=', 'u.id')
+                ->select(
+                    'r.*',
+                    'o.order_number',
+                    'c.full_name as customer_name',
+                    'u.full_name as created_by_name',
+                    DB::raw('(SELECT COALESCE(SUM(quantity), 0) FROM order_return_items WHERE order_return_id = r.id) as item_count')
+                );
+
+            if ($user->role === 'staff') {
+                $query->where('o.assigned_staff_id', $user->id);
+            }
+
+            if ($request->filled('search')) {
+                $search = '%' . $request->search . '%';
+                $query->where(function ($q) use ($search) {
+                    $q->where('r.rma_number', 'like', $search)
+                        ->orWhere('o.order_number', 'like', $search);
+                });
+            }
+
+            if ($request->filled('resolution')) {
+                $query->where('r.resolution', $request->resolution);
+            }
+
+            if ($request->filled('date_from')) {
+                $query->whereDate('r.created_at', '>=', $request->date_from);
+            }
+
+            if ($request->filled('date_to')) {
+                $query->whereDate('r.created_at', '<=', $request->date_to);
+            }
+
+            $returns = $query->orderBy('r.created_at', 'desc')->paginate($perPage);
+
+            return response()->json([
+                'success' => true,
+                'data' => $returns->items(),
+                'pagination' => [
+                    'page' => $returns->currentPage(),
+                    'limit' => $returns->perPage(),
+                    'total' => $returns->total(),
+                    'pages' => $returns->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Returns for an Order
+     *
+     * Returns the order's RMAs with their items, plus each order item's
+     * remaining returnable quantity and the amount still refundable.
+     *
+     * @param int $id Order ID
+     * @return JsonResponse
+     */
+    public function forOrder($id)
+    {
+        try {
+            $order = DB::table('orders')->where('id', $id)->first();
+
+            if ($denied = $this->denyAccess($order)) {
+                return $denied;
+            }
+
+            $returns = DB::table('order_returns as r')
+                ->leftJoin('users as u', 'r.created_by', '=', 'u.id')
+                ->select('r.*', 'u.full_name as created_by_name')
+                ->where('r.order_id', $id)
+                ->orderBy('r.created_at', 'desc')
+                ->get();
+
+            $returnItems = DB::table('order_return_items as ri')
+                ->join('order_items as oi', 'ri.order_item_id', '=', 'oi.id')
+                ->select('ri.order_return_id', 'ri.order_item_id', 'ri.quantity', 'oi.product_name', 'oi.variant_name', 'oi.sku')
+                ->whereIn('ri.order_return_id', $returns->pluck('id'))
+                ->get()
+                ->groupBy('order_return_id');
+
+            foreach ($returns as $return) {
+                $return->items = $returnItems->get($return->id, collect())->values();
+            }
+
+            $returned = $this->returnService->returnedQuantities($id);
+
+            $items = DB::table('order_items')
+                ->select('id', 'product_name', 'variant_name', 'sku', 'quantity', 'price')
+                ->where('order_id', $id)
+                ->get()
+                ->map(function ($item) use ($returned) {
+                    $item->returned = $returned[$item->id] ?? 0;
+                    $item->returnable = $item->quantity - $item->returned;
+                    return $item;
+                });
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'returns' => $returns,
+                    'items' => $items,
+                    'refunded_amount' => (float) $order->refunded_amount,
+                    'refundable' => round($order->total - $order->refunded_amount, 2),
+                    'can_return' => !in_array($order->status, ReturnService::NON_RETURNABLE_STATUSES)
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Create Return (RMA)
+     *
+     * Body: reason, resolution (restock|write_off), refund_amount,
+     * items [{order_item_id, quantity}]
+     *
+     * @param Request $request
+     * @param int $id Order ID
+     * @return JsonResponse
+     */
+    public function store(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'reason' => 'required|string|max:500',
+            'resolution' => 'required|in:restock,write_off',
+            'refund_amount' => 'nullable|numeric|min:0',
+            'items' => 'required|array|min:1',
+            'items.*.order_item_id' => 'required|integer|distinct',
+            'items.*.quantity' => 'required|integer|min:1'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $order = DB::table('orders')->where('id', $id)->first();
+
+            if ($denied = $this->denyAccess($order)) {
+                return $denied;
+            }
+
+            $return = $this->returnService->createReturn((int) $id, $request->only(['reason', 'resolution', 'refund_amount', 'items']), auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => "Return {$return->rma_number} created",
+                'data' => $return
+            ], 201);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * 404/403 response if the order is missing or not visible to the user
+     *
+     * @param object|null $order
+     * @return JsonResponse|null
+     */
+    private function denyAccess($order)
+    {
+        if (!$order) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Order not found'
+            ], 404);
+        }
+
+        $user = auth()->user();
+        if ($user->role === 'staff' && $order->assigned_staff_id != $user->id) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Access denied'
+            ], 403);
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,272 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Order;
+use App\Models\OrderStatusHistory;
+use App\Services\CourierTrackingService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Shipment Controller
+ *
+ * Courier / tracking number / ship date on orders:
+ * - Manual edits from OrderDetail
+ * - Courier status lookups (stubbed, see CourierTrackingService)
+ * - Bulk tracking upload from CSV keyed by order number
+ */
+class ShipmentController extends Controller
+{
+    protected CourierTrackingService $trackingService;
+
+    public function __construct(CourierTrackingService $trackingService)
+    {
+        $this->trackingService = $trackingService;
+    }
+
+    /**
+     * Update Shipment Details
+     *
+     * Body: courier, tracking_number, shipped_at (date, optional)
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'courier' => 'required|in:' . implode(',', array_keys(CourierTrackingService::COURIERS)),
+            'tracking_number' => 'required|string|max:100',
+            'shipped_at' => 'nullable|date'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $order = DB::table('orders')->where('id', $id)->first();
+
+            if (!$order) {
+                return response()->json(['success' => false, 'message' => 'Order not found'], 404);
+            }
+
+            $user = auth()->user();
+            if ($user->role === 'staff' && $order->assigned_staff_id != $user->id) {
+                return response()->json(['success' => false, 'message' => 'Access denied'], 403);
+            }
+
+            $updateData = [
+                'courier' => $request->courier,
+                'tracking_number' => trim($request->tracking_number),
+                'updated_at' => now()
+            ];
+
+            if ($request->filled('shipped_at')) {
+                $updateData['shipped_at'] = $request->shipped_at;
+            }
+
+            DB::table('orders')->where('id', $id)->update($updateData);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Shipment details saved'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Courier Tracking Status
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function tracking($id)
+    {
+        try {
+            $user = auth()->user();
+            $order = DB::table('orders')->where('id', $id)->first();
+
+            if (!$order) {
+                return response()->json(['success' => false, 'message' => 'Order not found'], 404);
+            }
+
+            if (($user->role === 'staff' && $order->assigned_staff_id != $user->id)
+                || ($user->role === 'affiliate' && $order->affiliate_id != $user->id)) {
+                return response()->json(['success' => false, 'message' => 'Access denied'], 403);
+            }
+
+            if (!$order->courier || !$order->tracking_number) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Order has no tracking number yet'
+                ], 404);
+            }
+
+            return response()->json([
+                'success' => true,
+                'data' => $this->trackingService->lookup($order->courier, $order->tracking_number, $order->shipped_at)
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Bulk Import Tracking Numbers
+     *
+     * CSV columns (header row required): order_number, courier, tracking_number, shipped_at (optional).
+     * Orders that can still move to "shipped" are marked shipped; rows that
+     * fail are reported back with their line number and the rest still apply.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function import(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'file' => 'required|file|mimes:csv,txt|max:2048'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $user = auth()->user();
+            $handle = fopen($request->file('file')->getRealPath(), 'r');
+
+            $header = fgetcsv($handle);
+            $header = array_map(fn ($h) => strtolower(trim(preg_replace('/^\xEF\xBB\xBF/', '', (string) $h))), $header ?: []);
+
+            foreach (['order_number', 'courier', 'tracking_number'] as $column) {
+                if (!in_array($column, $header)) {
+                    fclose($handle);
+                    return response()->json([
+                        'success' => false,
+                        'message' => "Missing column: {$column}"
+                    ], 400);
+                }
+            }
+
+            $result = ['updated' => 0, 'shipped' => 0, 'errors' => []];
+            $line = 1;
+
+            while (($values = fgetcsv($handle)) !== false) {
+                $line++;
+                if (count(array_filter($values, fn ($v) => trim((string) $v) !== '')) === 0) {
+                    continue;
+                }
+
+                $row = array_combine($header, array_pad(array_slice($values, 0, count($header)), count($header), null));
+
+                try {
+                    $shipped = $this->importRow($row, $user);
+                    $result['updated']++;
+                    if ($shipped) {
+                        $result['shipped']++;
+                    }
+                } catch (\InvalidArgumentException $e) {
+                    $result['errors'][] = ['line' => $line, 'order_number' => trim((string) $row['order_number']), 'message' => $e->getMessage()];
+                }
+            }
+
+            fclose($handle);
+
+            return response()->json([
+                'success' => true,
+                'message' => "{$result['updated']} orders updated, {$result['shipped']} marked as shipped",
+                'data' => $result
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error',
+                'error' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Apply one CSV row
+     *
+     * @param array $row
+     * @param \App\Models\User $user
+     * @return bool True if the order was also marked shipped
+     * @throws \InvalidArgumentException If the row can't be applied
+     */
+    private function importRow(array $row, $user): bool
+    {
+        $orderNumber = trim((string) $row['order_number']);
+        $trackingNumber = trim((string) $row['tracking_number']);
+        $courier = $this->trackingService->resolveCode($row['courier']);
+
+        if ($orderNumber === '' || $trackingNumber === '') {
+            throw new \InvalidArgumentException('Order number and tracking number are required');
+        }
+
+        if (!$courier) {
+            throw new \InvalidArgumentException("Unknown courier \"{$row['courier']}\"");
+        }
+
+        $shippedAt = now();
+        if (!empty($row['shipped_at'])) {
+            $timestamp = strtotime($row['shipped_at']);
+            if ($timestamp === false) {
+                throw new \InvalidArgumentException("Invalid ship date \"{$row['shipped_at']}\"");
+            }
+            $shippedAt = date('Y-m-d H:i:s', $timestamp);
+        }
+
+        return DB::transaction(function () use ($orderNumber, $trackingNumber, $courier, $shippedAt, $user) {
+            $order = DB::table('orders')->where('order_number', $orderNumber)->lockForUpdate()->first();
+
+            if (!$order) {
+                throw new \InvalidArgumentException('Order not found');
+            }
+
+            if ($user->role === 'staff' && $order->assigned_staff_id != $user->id) {
+                throw new \InvalidArgumentException('Access denied');
+            }
+
+            $markShipped = Order::canTransition($order->status, 'shipped');
+            if (!$markShipped && !in_array($order->status, ['shipped', 'delivered'])) {
+                throw new \InvalidArgumentException("Order is {$order->status} and cannot be shipped");
+            }
+
+            $updateData = ['courier' => $courier, 'tracking_number' => $trackingNumber, 'updated_at' => now()];
+            if ($markShipped) {
+                $updateData['status'] = 'shipped';
+                $updateData['shipped_at'] = $shippedAt;
+            }
+
+            DB::table('orders')->where('id', $order->id)->update($updateData);
+
+            if ($markShipped) {
+                OrderStatusHistory::record($order->id, 'status', $order->status, 'shipped', $user->id, "Tracking {$trackingNumber} imported from CSV");
+            }
+
+            return $markShipped;
+        });
+    }
+}
@@ -0,0 +1,229 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\StockTransferService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Stock Transfer Controller
+ *
+ * Moving stock between locations: ship, receive and cancel
+ */
+class StockTransferController extends Controller
+{
+    protected StockTransferService $stockTransferService;
+
+    public function __construct(StockTransferService $stockTransferService)
+    {
+        $this->stockTransferService = $stockTransferService;
+    }
+
+    /**
+     * Get Stock Transfers
+     *
+     * Newest first, with line and unit counts.
+     * Filters: status, location_id (either end of the transfer).
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request)
+    {
+        try {
+            $perPage = $request->input('limit', 20);
+
+            $query = DB::table('stock_transfers as t')
+                ->join('locations as f', 't.from_location_id', '=', 'f.id')
+                ->join('locations as d', 't.to_location_id', '=', 'd.id')
+                ->leftJoin('users as u', 't.created_by', '=', 'u.id')
+                ->select(
+                    't.*',
+                    'f.name as from_location',
+                    'd.name as to_location',
+                    'u.full_name as created_by_name',
+                    DB::raw('(SELECT COUNT(*) FROM stock_transfer_items WHERE stock_transfer_id = t.id) as item_count'),
+                    DB::raw('(SELECT COALESCE(SUM(quantity), 0) FROM stock_transfer_items WHERE stock_transfer_id = t.id) as units')
+                );
+
+            if ($request->filled('status')) {
+                $query->where('t.status', $request->status);
+            }
+
+            if ($request->filled('location_id')) {
+                $locationId = $request->location_id;
+                $query->where(function ($q) use ($locationId) {
+                    $q->where('t.from_location_id', $locationId)
+                      ->orWhere('t.to_location_id', $locationId);
+                });
+            }
+
+            $transfers = $query->orderBy('t.created_at', 'desc')->orderBy('t.id', 'desc')->paginate($perPage);
+
+            return response()->json([
+                'success' => true,
+                'data' => $transfers->items(),
+                'pagination' => [
+                    'page' => $transfers->currentPage(),
+                    'limit' => $transfers->perPage(),
+                    'total' => $transfers->total(),
+                    'pages' => $transfers->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Ship Stock Transfer
+     *
+     * Body: from_location_id, to_location_id, notes,
+     * items [{product_id, variant_id (variant products), quantity}]
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'from_location_id' => 'required|integer|exists:locations,id',
+            'to_location_id' => 'required|integer|exists:locations,id|different:from_location_id',
+            'notes' => 'nullable|string|max:500',
+            'items' => 'required|array|min:1',
+            'items.*.product_id' => 'required|integer',
+            'items.*.variant_id' => 'nullable|integer',
+            'items.*.quantity' => 'required|integer|min:1'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $transfer = $this->stockTransferService->create(
+                $request->only(['from_location_id', 'to_location_id', 'notes', 'items']),
+                auth()->id()
+            );
+
+            return response()->json([
+                'success' => true,
+                'message' => "Transfer {$transfer->reference} shipped",
+                'data' => $this->stockTransferService->find($transfer->id)
+            ], 201);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Stock Transfer with its Lines
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function show($id)
+    {
+        try {
+            $transfer = $this->stockTransferService->find((int) $id);
+
+            if (!$transfer) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Transfer not found'
+                ], 404);
+            }
+
+            return response()->json([
+                'success' => true,
+                'data' => $transfer
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Receive Stock Transfer at its Destination
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function receive($id)
+    {
+        try {
+            $transfer = $this->stockTransferService->receive((int) $id, auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => "Transfer {$transfer->reference} received",
+                'data' => $this->stockTransferService->find($transfer->id)
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Cancel Stock Transfer
+     *
+     * Stock in transit goes back to the source location
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function cancel($id)
+    {
+        try {
+            $transfer = $this->stockTransferService->cancel((int) $id, auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => "Transfer {$transfer->reference} cancelled",
+                'data' => $this->stockTransferService->find($transfer->id)
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+}
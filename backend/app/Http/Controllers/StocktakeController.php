@@ -0,0 +1,366 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\StocktakeService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Stocktake Controller
+ *
+ * Cycle counts: start, scan/count, variance report, post and export
+ */
+class StocktakeController extends Controller
+{
+    protected StocktakeService $stocktakeService;
+
+    public function __construct(StocktakeService $stocktakeService)
+    {
+        $this->stocktakeService = $stocktakeService;
+    }
+
+    /**
+     * Get Stocktakes
+     *
+     * Newest first, with counted/total line counts so open counts can be
+     * resumed. Filter: status.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request)
+    {
+        try {
+            $perPage = $request->input('limit', 20);
+
+            $query = DB::table('stocktakes as s')
+                ->leftJoin('categories as c', 's.category_id', '=', 'c.id')
+                ->leftJoin('locations as l', 's.location_id', '=', 'l.id')
+                ->leftJoin('users as u', 's.created_by', '=', 'u.id')
+                ->select(
+                    's.*',
+                    'c.name as category_name',
+                    'l.name as location_name',
+                    'u.full_name as created_by_name',
+                    DB::raw('(SELECT COUNT(*) FROM stocktake_items WHERE stocktake_id = s.id) as line_count'),
+                    DB::raw('(SELECT COUNT(*) FROM stocktake_items WHERE stocktake_id = s.id AND counted_quantity IS NOT NULL) as counted_count')
+                );
+
+            if ($request->filled('status')) {
+                $query->where('s.status', $request->status);
+            }
+
+            $stocktakes = $query->orderBy('s.created_at', 'desc')->paginate($perPage);
+
+            return response()->json([
+                'success' => true,
+                'data' => $stocktakes->items(),
+                'pagination' => [
+                    'page' => $stocktakes->currentPage(),
+                    'limit' => $stocktakes->perPage(),
+                    'total' => $stocktakes->total(),
+                    'pages' => $stocktakes->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Start Stocktake
+     *
+     * Body: category_id (optional, all categories when blank), location_id
+     * (stock location counted, optional), location (area counted), notes
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), [
+            'category_id' => 'nullable|integer|exists:categories,id',
+            'location_id' => 'nullable|integer|exists:locations,id',
+            'location' => 'nullable|string|max:100',
+            'notes' => 'nullable|string|max:500'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $stocktake = $this->stocktakeService->create($request->only(['category_id', 'location_id', 'location', 'notes']), auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => "Stocktake {$stocktake->reference} started",
+                'data' => $stocktake
+            ], 201);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Stocktake with Variance Report
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function show($id)
+    {
+        try {
+            $stocktake = DB::table('stocktakes as s')
+                ->leftJoin('categories as c', 's.category_id', '=', 'c.id')
+                ->leftJoin('locations as l', 's.location_id', '=', 'l.id')
+                ->where('s.id', $id)
+                ->select('s.*', 'c.name as category_name', 'l.name as location_name')
+                ->first();
+
+            if (!$stocktake) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Stocktake not found'
+                ], 404);
+            }
+
+            $report = $this->stocktakeService->report((int) $id);
+
+            return response()->json([
+                'success' => true,
+                'data' => array_merge((array) $stocktake, $report)
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Scan SKU
+     *
+     * Body: sku (product or variant), quantity (default 1; negative undoes a scan)
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function scan(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'sku' => 'required|string|max:50',
+            'quantity' => 'nullable|integer|min:-10000|max:10000'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $item = $this->stocktakeService->scan((int) $id, $request->sku, (int) $request->input('quantity', 1));
+
+            return response()->json([
+                'success' => true,
+                'data' => $item
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Save Counts
+     *
+     * Body: items [{id, counted_quantity}] (null clears a count)
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function updateCounts(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'items' => 'required|array|min:1',
+            'items.*.id' => 'required|integer',
+            'items.*.counted_quantity' => 'nullable|integer|min:0'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $this->stocktakeService->setCounts((int) $id, $request->items);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Counts saved'
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Post Stocktake
+     *
+     * Admin only. Body: item_ids (approved lines). Their variances are
+     * posted as stock adjustments and the stocktake is closed.
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function post(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), [
+            'item_ids' => 'present|array',
+            'item_ids.*' => 'integer'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $result = $this->stocktakeService->post((int) $id, $request->item_ids, auth()->id());
+
+            return response()->json([
+                'success' => true,
+                'message' => "{$result['adjusted']} stock adjustments posted",
+                'data' => $result
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Cancel Stocktake
+     *
+     * Only while counting; stock is not touched.
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function destroy($id)
+    {
+        try {
+            $updated = DB::table('stocktakes')
+                ->where('id', $id)
+                ->where('status', 'counting')
+                ->update(['status' => 'cancelled', 'updated_at' => now()]);
+
+            if (!$updated) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Only a stocktake that is still counting can be cancelled'
+                ], 400);
+            }
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Stocktake cancelled'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Export Variance Report (CSV)
+     *
+     * @param int $id
+     * @return \Symfony\Component\HttpFoundation\Response
+     */
+    public function export($id)
+    {
+        try {
+            $reference = DB::table('stocktakes')->where('id', $id)->value('reference');
+
+            if (!$reference) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Stocktake not found'
+                ], 404);
+            }
+
+            $rows = $this->stocktakeService->exportRows((int) $id);
+
+            return response()->streamDownload(function () use ($rows) {
+                $handle = fopen('php://output', 'w');
+                // BOM so Excel opens UTF-8 names correctly
+                fwrite($handle, "\xEF\xBB\xBF");
+                foreach ($rows as $row) {
+                    fputcsv($handle, $row, ',', '"', '', "\r\n");
+                }
+                fclose($handle);
+            }, "Stocktake_{$reference}.csv", ['Content-Type' => 'text/csv; charset=UTF-8']);
+
+        } catch (\Exception $e) {
+            \Log::error('Stocktake export error: ' . $e->getMessage());
+
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to export stocktake'
+            ], 500);
+        }
+    }
+}
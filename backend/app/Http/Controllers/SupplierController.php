@@ -0,0 +1,304 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Supplier;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Supplier Controller
+ *
+ * Supplier directory: contact details, lead time, currency and payment terms.
+ * Products are linked to suppliers through the product form (PUT /products/{id}).
+ */
+class SupplierController extends Controller
+{
+    /**
+     * Get Suppliers (with search and pagination)
+     *
+     * Filters: search (name, contact, email, phone), status (active/inactive)
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request)
+    {
+        try {
+            $perPage = $request->input('limit', 20);
+
+            $query = DB::table('suppliers as s')
+                ->select('s.*', DB::raw('(SELECT COUNT(*) FROM product_suppliers WHERE supplier_id = s.id) as product_count'));
+
+            if ($request->filled('search')) {
+                $search = $request->search;
+                $query->where(function ($q) use ($search) {
+                    $q->where('s.name', 'LIKE', "%{$search}%")
+                      ->orWhere('s.contact_name', 'LIKE', "%{$search}%")
+                      ->orWhere('s.email', 'LIKE', "%{$search}%")
+                      ->orWhere('s.phone', 'LIKE', "%{$search}%");
+                });
+            }
+
+            if ($request->filled('status')) {
+                $query->where('s.is_active', $request->status === 'active');
+            }
+
+            $suppliers = $query->orderBy('s.name')->paginate($perPage);
+
+            return response()->json([
+                'success' => true,
+                'data' => $suppliers->items(),
+                'pagination' => [
+                    'page' => $suppliers->currentPage(),
+                    'limit' => $suppliers->perPage(),
+                    'total' => $suppliers->total(),
+                    'pages' => $suppliers->lastPage()
+                ]
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get All Active Suppliers
+     *
+     * Short list for dropdowns (product form, product filter)
+     *
+     * @return JsonResponse
+     */
+    public function options()
+    {
+        try {
+            $suppliers = DB::table('suppliers')
+                ->where('is_active', true)
+                ->orderBy('name')
+                ->get(['id', 'name', 'currency', 'lead_time_days']);
+
+            return response()->json([
+                'success' => true,
+                'data' => $suppliers
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Create Supplier
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request)
+    {
+        $validator = Validator::make($request->all(), $this->rules());
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $supplier = Supplier::create($this->fields($request));
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Supplier created',
+                'data' => $supplier
+            ], 201);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Get Supplier
+     *
+     * Supplier record plus the products it supplies, with the supplier SKU,
+     * last purchase cost and whether it is the product's preferred supplier.
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function show($id)
+    {
+        try {
+            $supplier = DB::table('suppliers')->where('id', $id)->first();
+
+            if (!$supplier) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Supplier not found'
+                ], 404);
+            }
+
+            $supplier->is_active = (bool) $supplier->is_active;
+            $supplier->products = DB::table('product_suppliers as ps')
+                ->join('products as p', 'ps.product_id', '=', 'p.id')
+                ->where('ps.supplier_id', $id)
+                ->orderBy('p.name')
+                ->select(
+                    'p.id',
+                    'p.name',
+                    'p.sku',
+                    'p.cost_price',
+                    'p.stock_quantity',
+                    'p.status',
+                    'ps.supplier_sku',
+                    'ps.last_cost',
+                    'ps.is_preferred'
+                )
+                ->get();
+
+            return response()->json([
+                'success' => true,
+                'data' => $supplier
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Update Supplier
+     *
+     * @param Request $request
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function update(Request $request, $id)
+    {
+        $validator = Validator::make($request->all(), $this->rules((int) $id));
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $supplier = Supplier::find($id);
+
+            if (!$supplier) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Supplier not found'
+                ], 404);
+            }
+
+            $supplier->update($this->fields($request));
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Supplier updated',
+                'data' => $supplier
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete Supplier
+     *
+     * Removes its product links too. Set the supplier inactive instead to
+     * keep the history.
+     *
+     * @param int $id
+     * @return JsonResponse
+     */
+    public function destroy($id)
+    {
+        try {
+            $deleted = DB::table('suppliers')->where('id', $id)->delete();
+
+            if (!$deleted) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Supplier not found'
+                ], 404);
+            }
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Supplier deleted'
+            ]);
+
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Server error'
+            ], 500);
+        }
+    }
+
+    /**
+     * Validation rules for create/update
+     *
+     * @param int|null $id Supplier being updated
+     * @return array
+     */
+    private function rules(?int $id = null): array
+    {
+        return [
+            'name' => 'required|string|max:150|unique:suppliers,name' . ($id ? ",{$id}" : ''),
+            'contact_name' => 'nullable|string|max:100',
+            'email' => 'nullable|email|max:100',
+            'phone' => 'nullable|string|max:20',
+            'address' => 'nullable|string|max:500',
+            'currency' => 'nullable|string|size:3|alpha',
+            'lead_time_days' => 'nullable|integer|min:0|max:365',
+            'payment_terms' => 'nullable|string|max:100',
+            'notes' => 'nullable|string|max:1000',
+            'is_active' => 'nullable|boolean'
+        ];
+    }
+
+    /**
+     * Supplier columns from a validated request
+     *
+     * @param Request $request
+     * @return array
+     */
+    private function fields(Request $request): array
+    {
+        return [
+            'name' => trim($request->name),
+            'contact_name' => $request->input('contact_name'),
+            'email' => $request->input('email'),
+            'phone' => $request->input('phone'),
+            'address' => $request->input('address'),
+            'currency' => strtoupper($request->input('currency') ?: 'MYR'),
+            'lead_time_days' => $request->input('lead_time_days'),
+            'payment_terms' => $request->input('payment_terms'),
+            'notes' => $request->input('notes'),
+            'is_active' => $request->boolean('is_active', true)
+        ];
+    }
+}
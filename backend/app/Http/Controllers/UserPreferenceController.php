@@ -0,0 +1,78 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\UserPreference;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * User Preference Controller
+ *
+ * Screen settings (views, filters, sort) saved per user under a key such
+ * as "products", so they follow the user to any browser or device.
+ * Every query is scoped to the authenticated user.
+ */
+class UserPreferenceController extends Controller
+{
+    /**
+     * Get Preferences
+     *
+     * data is null when nothing has been saved under the key yet
+     *
+     * @param string $key
+     * @return JsonResponse
+     */
+    public function show($key)
+    {
+        try {
+            $preference = UserPreference::where('user_id', Auth::id())->where('key', $key)->first();
+
+            return response()->json([
+                'success' => true,
+                'data' => $preference?->value
+            ]);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+
+    /**
+     * Save Preferences
+     *
+     * Body: value (object, replaces what was saved under the key)
+     *
+     * @param Request $request
+     * @param string $key
+     * @return JsonResponse
+     */
+    public function update(Request $request, $key)
+    {
+        $validator = Validator::make($request->all(), [
+            'value' => 'present|array'
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'errors' => $validator->errors()
+            ], 400);
+        }
+
+        try {
+            $preference = UserPreference::updateOrCreate(
+                ['user_id' => Auth::id(), 'key' => $key],
+                ['value' => $request->input('value')]
+            );
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Preferences saved',
+                'data' => $preference->value
+            ]);
+        } catch (\Exception $e) {
+            return response()->json(['success' => false, 'message' => 'Server error'], 500);
+        }
+    }
+}
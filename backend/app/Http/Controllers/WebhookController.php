@@ -2,6 +2,12 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\Customer;
+use App\Models\OrderStatusHistory;
+use App\Models\Product;
+use App\Models\ProductVariant;
+use App\Services\LocationService;
+use App\Services\StockReservationService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Validator;
@@ -19,6 +25,11 @@ class WebhookController extends Controller
      * 
      * Accepts order from external marketplace and creates it in OMS
      * Automatically handles customer creation and product mapping
+     * (item SKUs match a product variant's SKU or a product's SKU)
+     * 
+     * payment_status 'pending' on a prepaid order (not COD) means the buyer
+     * hasn't paid yet: the order stays pending and reserves its stock until
+     * paymentConfirmation() arrives or the reservation expires.
      * 
      * @param Request $request
      * @return JsonResponse
@@ -30,7 +41,8 @@ public function injectOrder(Request $request)
             'external_order_id' => 'required|string',
             'customer' => 'required|array',
             'items' => 'required|array|min:1',
-            'totals' => 'required|array'
+            'totals' => 'required|array',
+            'payment_status' => 'nullable|in:pending,paid'
         ]);
 
         if ($validator->fails()) {
@@ -57,6 +69,7 @@ public function injectOrder(Request $request)
                     'email' => $request->customer['email'],
                     'full_name' => $request->customer['name'],
                     'phone' => $request->customer['phone'] ?? null,
+                    'normalised_phone' => Customer::normalisePhone($request->customer['phone'] ?? null),
                     'address' => $request->shipping['address'] ?? '',
                     'city' => $request->shipping['city'] ?? '',
                     'created_at' => now()
@@ -81,49 +94,105 @@ public function injectOrder(Request $request)
                 $channelId = $channel->id;
             }
 
+            // Find products by SKU: variant SKUs first, then product SKUs
+            $matched = [];
+            $lines = [];
+            foreach ($request->items as $index => $item) {
+                $variant = DB::table('product_variants')->where('sku', $item['sku'])->first();
+                $product = $variant
+                    ? DB::table('products')->where('id', $variant->product_id)->first()
+                    : DB::table('products')->where('sku', $item['sku'])->first();
+                $matched[$index] = [$product, $variant];
+
+                if ($product && !($product->has_variants && !$variant)) {
+                    $lines[] = ['product_id' => $product->id, 'variant_id' => $variant->id ?? null, 'quantity' => $item['quantity']];
+                }
+            }
+
+            // Ship from the channel's locations
+            $locationId = app(LocationService::class)->allocate($channelId, $lines);
+
+            // Unpaid prepaid orders hold their stock until the payment arrives
+            $paymentMethod = $request->payment_method ?? 'online_banking';
+            $paymentStatus = $request->input('payment_status', $paymentMethod === 'cod' ? 'pending' : 'paid');
+            $reservations = app(StockReservationService::class);
+            $reserveUntil = $reservations->awaitsPayment($paymentMethod, $paymentStatus)
+                ? $reservations->expiresAt($channelId)
+                : null;
+            $status = $reserveUntil ? 'pending' : 'confirmed';
+
             // Generate order number
             $orderNumber = 'ORD-' . strtoupper($request->marketplace) . '-' . $request->external_order_id;
 
             // Create order
             $orderId = DB::table('orders')->insertGetId([
                 'order_number' => $orderNumber,
+                'external_order_id' => $request->external_order_id,
                 'customer_id' => $customerId,
                 'channel_id' => $channelId,
+                'location_id' => $locationId,
                 'subtotal' => $request->totals['subtotal'],
                 'discount' => $request->totals['discount'] ?? 0,
                 'shipping_fee' => $request->totals['shipping_fee'] ?? 0,
                 'tax' => $request->totals['tax'] ?? 0,
                 'total' => $request->totals['total'],
-                'status' => 'confirmed',
-                'payment_status' => $request->payment_method === 'cod' ? 'pending' : 'paid',
-                'payment_method' => $request->payment_method ?? 'online_banking',
+                'status' => $status,
+                'payment_status' => $paymentStatus,
+                'payment_method' => $paymentMethod,
                 'shipping_address' => $request->shipping['address'] ?? '',
                 'shipping_city' => $request->shipping['city'] ?? '',
                 'created_at' => now()
             ]);
 
             // Insert order items
-            foreach ($request->items as $item) {
-                // Find product by SKU
-                $product = DB::table('products')->where('sku', $item['sku'])->first();
+            foreach ($request->items as $index => $item) {
+                [$product, $variant] = $matched[$index];
 
                 if ($product) {
+                    // A parent SKU of a variant product doesn't say which variant's stock to take
+                    $needsVariant = $product->has_variants && !$variant;
+
                     DB::table('order_items')->insert([
                         'order_id' => $orderId,
                         'product_id' => $product->id,
+                        'variant_id' => $variant->id ?? null,
+                        'stock_taken' => !$needsVariant,
                         'product_name' => $item['name'],
+                        'variant_name' => $variant ? ProductVariant::label($variant->options) : null,
                         'sku' => $item['sku'],
                         'quantity' => $item['quantity'],
                         'price' => $item['price'],
-                        'cost_price' => $product->cost_price
+                        'cost_price' => $variant->cost_price ?? $product->cost_price
                     ]);
 
+                    // Recorded without taking stock; the order is edited to the right variant
+                    if ($needsVariant) {
+                        DB::table('notifications')->insert([
+                            'user_id' => 1,
+                            'title' => 'Variant Needed',
+                            'message' => "Order {$orderNumber}: {$item['sku']} is the parent SKU of '{$product->name}'. Edit the order to choose a variant; no stock was taken for it.",
+                            'type' => 'warning',
+                            'is_read' => false,
+                            'action_url' => "/orders/{$orderId}",
+                            'created_at' => now(),
+                            'updated_at' => now()
+                        ]);
+                        continue;
+                    }
+
+                    if ($reserveUntil) {
+                        $reservations->reserve($orderId, $product->id, $variant->id ?? null, $locationId, $item['quantity'], $reserveUntil);
+                        continue;
+                    }
+
                     // Deduct stock
-                    DB::table('products')->where('id', $product->id)->decrement('stock_quantity', $item['quantity']);
+                    Product::adjustStock($product->id, $variant->id ?? null, -$item['quantity'], $locationId);
 
                     // Log inventory transaction (Sync with Audit Trail)
                     DB::table('inventory_transactions')->insert([
                         'product_id' => $product->id,
+                        'variant_id' => $variant->id ?? null,
+                        'location_id' => $locationId,
                         'transaction_type' => 'sale',
                         'quantity' => -$item['quantity'],
                         'reference_type' => 'order',
@@ -134,12 +203,12 @@ public function injectOrder(Request $request)
                     ]);
 
                     // Check for Low Stock (Sync with Alerts)
-                    $updatedProduct = DB::table('products')->where('id', $product->id)->first();
-                    if ($updatedProduct->stock_quantity <= $updatedProduct->low_stock_threshold) {
+                    $level = Product::stockLevel($product->id, $variant->id ?? null, $locationId);
+                    if ($level->is_low) {
                         DB::table('notifications')->insert([
                             'user_id' => 1,
                             'title' => '⚠️ Critical: Low Stock',
-                            'message' => "Product '{$updatedProduct->name}' hit low stock after {$request->marketplace} order.",
+                            'message' => "Product '{$level->name}' hit low stock at {$level->location} after {$request->marketplace} order.",
                             'type' => 'danger',
                             'is_read' => false,
                             'action_url' => '/products',
@@ -159,6 +228,13 @@ public function injectOrder(Request $request)
                 ->where('id', $customerId)
                 ->increment('total_spent', $request->totals['total']);
 
+            OrderStatusHistory::record(
+                $orderId, 'status', null, $status, null,
+                'Received from ' . ucfirst($request->marketplace) . " (external ID {$request->external_order_id})"
+                    . ($reserveUntil ? "; awaiting payment, stock reserved until {$reserveUntil->format('d M Y, H:i')}" : ''),
+                'webhook'
+            );
+
             // --- NEW: Notify Admin about External Order ---
             DB::table('notifications')->insert([
                 'user_id' => 1, // Notify Admin
@@ -201,13 +277,46 @@ public function injectOrder(Request $request)
         }
     }
 
+    /**
+     * Payment Confirmation
+     * 
+     * Marks the order paid, turns any stock it reserved into a deduction
+     * and approves its commissions. Payment for an order already cancelled
+     * (e.g. its reservation expired) is flagged to the admin for refund.
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
     public function paymentConfirmation(Request $request)
     {
+        DB::beginTransaction();
+
         try {
+            $order = DB::table('orders')->where('order_number', $request->order_number)->lockForUpdate()->first();
+
             DB::table('orders')
                 ->where('order_number', $request->order_number)
                 ->update(['payment_status' => 'paid']);
 
+            if ($order && $order->payment_status !== 'paid') {
+                OrderStatusHistory::record($order->id, 'payment_status', $order->payment_status, 'paid', null, 'Payment confirmed by gateway', 'webhook');
+
+                app(StockReservationService::class)->convert($order->id, null, 'Payment confirmed by gateway');
+
+                if ($order->status === 'cancelled') {
+                    DB::table('notifications')->insert([
+                        'user_id' => 1,
+                        'title' => 'Payment for Cancelled Order',
+                        'message' => "Order {$order->order_number} was paid after it was cancelled. Refund the customer or re-create the order.",
+                        'type' => 'warning',
+                        'is_read' => false,
+                        'action_url' => "/orders/{$order->id}",
+                        'created_at' => now(),
+                        'updated_at' => now()
+                    ]);
+                }
+            }
+
             // Auto-approve commissions
             DB::table('commission_transactions')
                 ->whereIn('order_id', function($query) use ($request) {
@@ -216,8 +325,11 @@ public function paymentConfirmation(Request $request)
                 ->where('status', 'pending')
                 ->update(['status' => 'approved', 'approved_at' => now()]);
 
+            DB::commit();
+
             return response()->json(['success' => true, 'message' => 'Payment confirmed']);
         } catch (\Exception $e) {
+            DB::rollBack();
             return response()->json(['success' => false, 'message' => 'Server error'], 500);
         }
     }
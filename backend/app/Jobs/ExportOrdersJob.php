@@ -0,0 +1,88 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\Notification;
+use App\Models\OrderExport;
+use App\Services\OrderExportService;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+
+/**
+ * Export Orders Job
+ * 
+ * Builds a large order export in the background and notifies the
+ * requesting user through the notification bell when it is ready.
+ */
+class ExportOrdersJob implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    public $timeout = 600;
+
+    public function __construct(public OrderExport $export)
+    {
+    }
+
+    /**
+     * Execute the job.
+     */
+    public function handle(OrderExportService $exportService): void
+    {
+        $export = $this->export;
+        $export->update(['status' => 'processing']);
+
+        $relativePath = "exports/order-export-{$export->id}.{$export->format}";
+        Storage::disk('local')->makeDirectory('exports');
+        $fullPath = Storage::disk('local')->path($relativePath);
+
+        $rows = $exportService->rows($export->filters ?? [], $export->user, $export->include_items);
+
+        if ($export->format === 'xlsx') {
+            $count = $exportService->writeXlsx($fullPath, $rows);
+        } else {
+            $handle = fopen($fullPath, 'w');
+            $count = $exportService->writeCsv($handle, $rows);
+            fclose($handle);
+        }
+
+        $export->update([
+            'status' => 'completed',
+            'row_count' => $count,
+            'file_path' => $relativePath
+        ]);
+
+        Notification::create([
+            'user_id' => $export->user_id,
+            'title' => '📦 Order Export Ready',
+            'message' => "Your " . strtoupper($export->format) . " export of {$count} rows is ready. Click to download.",
+            'type' => 'success',
+            'is_read' => false,
+            'action_url' => "/exports/{$export->id}/download",
+        ]);
+    }
+
+    /**
+     * Handle a job failure.
+     */
+    public function failed(\Throwable $e): void
+    {
+        Log::error("Order export {$this->export->id} failed: {$e->getMessage()}");
+
+        $this->export->update(['status' => 'failed', 'error' => $e->getMessage()]);
+
+        Notification::create([
+            'user_id' => $this->export->user_id,
+            'title' => 'Order Export Failed',
+            'message' => 'Your order export could not be generated. Please try again.',
+            'type' => 'danger',
+            'is_read' => false,
+            'action_url' => '/orders',
+        ]);
+    }
+}
@@ -0,0 +1,23 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class CartDraft extends Model
+{
+    protected $fillable = [
+        'user_id',
+        'name',
+        'items'
+    ];
+
+    protected $casts = [
+        'items' => 'array'
+    ];
+
+    public function user()
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -14,7 +14,10 @@ class CommissionTransaction extends Model
         'order_id',
         'commission_type',
         'amount',
+        'original_amount',
+        'reversed_amount',
         'percentage',
+        'rate_type',
         'order_total',
         'status',
         'approved_by',
@@ -26,6 +29,8 @@ class CommissionTransaction extends Model
 
     protected $casts = [
         'amount' => 'decimal:2',
+        'original_amount' => 'decimal:2',
+        'reversed_amount' => 'decimal:2',
         'percentage' => 'decimal:2',
         'order_total' => 'decimal:2',
         'approved_at' => 'datetime',
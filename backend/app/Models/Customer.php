@@ -11,8 +11,40 @@ class Customer extends Model
 
     protected $guarded = ['id'];
 
+    protected static function booted()
+    {
+        static::saving(function (Customer $customer) {
+            $customer->normalised_phone = self::normalisePhone($customer->phone);
+        });
+    }
+
     public function orders()
     {
         return $this->hasMany(Order::class);
     }
-}
\ No newline at end of file
+
+    public function tags()
+    {
+        return $this->belongsToMany(CustomerTag::class, 'customer_tag');
+    }
+
+    /**
+     * Phone number reduced to digits for duplicate matching
+     *
+     * "+60 12-345 6789", "6012-3456789" and "012 345 6789" all become "0123456789".
+     *
+     * @param string|null $phone
+     * @return string|null
+     */
+    public static function normalisePhone(?string $phone): ?string
+    {
+        $digits = preg_replace('/\D/', '', (string) $phone);
+
+        // Malaysian country code in front of a local number
+        if (str_starts_with($digits, '60') && strlen($digits) >= 11) {
+            $digits = substr($digits, 1);
+        }
+
+        return $digits === '' ? null : $digits;
+    }
+}
@@ -0,0 +1,112 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+
+class CustomerSegment extends Model
+{
+    /**
+     * Rule types a segment can be built from. All rules must match (AND).
+     *
+     * - spend:         net spend (after refunds) compared with `value` (RM), optionally within `days`
+     * - orders:        order count compared with `value`, optionally within `days`
+     * - channel:       has ordered from channel `value`, optionally within `days`
+     * - tag:           has customer tag `value`
+     * - customer_type: customers.customer_type is `value`
+     */
+    public const RULE_TYPES = ['spend', 'orders', 'channel', 'tag', 'customer_type'];
+
+    /**
+     * Comparison operators for spend / orders rules
+     */
+    public const OPERATORS = ['gt' => '>', 'gte' => '>=', 'lt' => '<', 'lte' => '<='];
+
+    protected $fillable = [
+        'name',
+        'rules',
+        'created_by'
+    ];
+
+    protected $casts = [
+        'rules' => 'array'
+    ];
+
+    public function creator()
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+
+    /**
+     * Restrict a customers query to customers matching every rule
+     *
+     * Cancelled orders never count towards spend, order count or channel.
+     *
+     * @param \Illuminate\Database\Query\Builder $query Query on `customers as c`
+     * @param array $rules [{type, operator?, value, days?}]
+     * @return \Illuminate\Database\Query\Builder
+     */
+    public static function applyRules($query, array $rules)
+    {
+        foreach ($rules as $rule) {
+            $type = $rule['type'] ?? null;
+            $value = $rule['value'] ?? null;
+            $days = !empty($rule['days']) ? (int) $rule['days'] : null;
+
+            // Orders of this customer that count towards the rule
+            $orders = function ($q) use ($days) {
+                $q->from('orders as so')
+                  ->whereColumn('so.customer_id', 'c.id')
+                  ->where('so.status', '!=', 'cancelled');
+                if ($days) {
+                    $q->where('so.created_at', '>=', now()->subDays($days));
+                }
+            };
+
+            switch ($type) {
+                case 'spend':
+                case 'orders':
+                    $operator = self::OPERATORS[$rule['operator'] ?? 'gt'] ?? '>';
+                    $aggregate = $type === 'spend' ? 'COALESCE(SUM(so.total - so.refunded_amount), 0)' : 'COUNT(*)';
+                    $query->where(function ($sub) use ($orders, $aggregate) {
+                        $orders($sub);
+                        $sub->selectRaw($aggregate);
+                    }, $operator, (float) $value);
+                    break;
+
+                case 'channel':
+                    $query->whereExists(function ($sub) use ($orders, $value) {
+                        $orders($sub);
+                        $sub->select(DB::raw(1))->where('so.channel_id', $value);
+                    });
+                    break;
+
+                case 'tag':
+                    $query->whereExists(function ($sub) use ($value) {
+                        $sub->select(DB::raw(1))
+                            ->from('customer_tag as sct')
+                            ->whereColumn('sct.customer_id', 'c.id')
+                            ->where('sct.customer_tag_id', $value);
+                    });
+                    break;
+
+                case 'customer_type':
+                    $query->where('c.customer_type', $value);
+                    break;
+            }
+        }
+
+        return $query;
+    }
+
+    /**
+     * IDs of customers in this segment, as a subquery
+     *
+     * @return \Illuminate\Database\Query\Builder
+     */
+    public function customerIdsQuery()
+    {
+        return self::applyRules(DB::table('customers as c')->select('c.id'), $this->rules ?? []);
+    }
+}
@@ -0,0 +1,48 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+
+class CustomerTag extends Model
+{
+    /**
+     * Staff are warned at checkout when a customer has this tag
+     */
+    public const BLACKLIST = 'blacklist';
+
+    /**
+     * Badge colours the frontend knows how to render
+     */
+    public const COLORS = ['slate', 'brand', 'info', 'success', 'warning', 'danger', 'purple'];
+
+    protected $fillable = [
+        'name',
+        'slug',
+        'color'
+    ];
+
+    public function customers()
+    {
+        return $this->belongsToMany(Customer::class, 'customer_tag');
+    }
+
+    /**
+     * Tags for each of the given customers
+     *
+     * @param array $customerIds
+     * @return \Illuminate\Support\Collection customer_id => [{id, name, slug, color}]
+     */
+    public static function forCustomers(array $customerIds)
+    {
+        return DB::table('customer_tag as ct')
+            ->join('customer_tags as t', 'ct.customer_tag_id', '=', 't.id')
+            ->whereIn('ct.customer_id', $customerIds)
+            ->orderBy('t.name')
+            ->select('ct.customer_id', 't.id', 't.name', 't.slug', 't.color')
+            ->get()
+            ->groupBy('customer_id')
+            ->map(fn ($tags) => $tags->map(fn ($t) => ['id' => $t->id, 'name' => $t->name, 'slug' => $t->slug, 'color' => $t->color])->values());
+    }
+}
@@ -11,6 +11,8 @@ class InventoryTransaction extends Model
 
     protected $fillable = [
         'product_id',
+        'variant_id',
+        'location_id',
         'transaction_type',
         'quantity',
         'reference_type',
@@ -24,6 +26,16 @@ public function product()
         return $this->belongsTo(Product::class);
     }
 
+    public function variant()
+    {
+        return $this->belongsTo(ProductVariant::class);
+    }
+
+    public function location()
+    {
+        return $this->belongsTo(Location::class);
+    }
+
     public function creator()
     {
         return $this->belongsTo(User::class, 'created_by');
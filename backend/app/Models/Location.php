@@ -0,0 +1,172 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+
+class Location extends Model
+{
+    protected $fillable = [
+        'name',
+        'code',
+        'type',
+        'address',
+        'is_default',
+        'is_active'
+    ];
+
+    protected $casts = [
+        'is_default' => 'boolean',
+        'is_active' => 'boolean'
+    ];
+
+    public function channels()
+    {
+        return $this->belongsToMany(SalesChannel::class, 'channel_locations', 'location_id', 'channel_id')
+            ->withPivot('priority');
+    }
+
+    /**
+     * Location that stock changes without a location are booked against
+     *
+     * @return int|null
+     */
+    public static function defaultId(): ?int
+    {
+        return DB::table('locations')->orderByDesc('is_default')->orderBy('id')->value('id');
+    }
+
+    /**
+     * Stock row of a product or variant at a location
+     *
+     * @param int $locationId
+     * @param int $productId
+     * @param int|null $variantId
+     * @return object|null {id, quantity, low_stock_threshold}
+     */
+    public static function stockRow(int $locationId, int $productId, ?int $variantId = null)
+    {
+        return DB::table('location_stocks')
+            ->where('location_id', $locationId)
+            ->where('product_id', $productId)
+            ->where('variant_id', $variantId)
+            ->first();
+    }
+
+    /**
+     * Change a location's stock of a product or variant by $delta
+     *
+     * Only touches location_stocks; Product::adjustStock keeps the product
+     * and variant totals in step.
+     *
+     * @param int $locationId
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int $delta
+     * @return void
+     */
+    public static function incrementStock(int $locationId, int $productId, ?int $variantId, int $delta): void
+    {
+        $row = self::stockRow($locationId, $productId, $variantId);
+
+        if ($row) {
+            DB::table('location_stocks')->where('id', $row->id)->update([
+                'quantity' => DB::raw('quantity + ' . (int) $delta),
+                'updated_at' => now()
+            ]);
+            return;
+        }
+
+        DB::table('location_stocks')->insert([
+            'location_id' => $locationId,
+            'product_id' => $productId,
+            'variant_id' => $variantId,
+            'quantity' => $delta,
+            'created_at' => now(),
+            'updated_at' => now()
+        ]);
+    }
+
+    /**
+     * Book any difference between a product's stock totals and its
+     * location stock against the default location
+     *
+     * For code that sets products.stock_quantity (or a variant's) directly:
+     * product form, variant editor, CSV import of new products.
+     *
+     * @param int $productId
+     * @return void
+     */
+    public static function reconcile(int $productId): void
+    {
+        $product = DB::table('products')->where('id', $productId)->first();
+        $defaultId = self::defaultId();
+
+        if (!$product || !$defaultId) {
+            return;
+        }
+
+        $totals = $product->has_variants
+            ? DB::table('product_variants')->where('product_id', $productId)->pluck('stock_quantity', 'id')
+            : collect(['' => $product->stock_quantity]);
+
+        // Stock moves into the variants when a product gets them
+        if ($product->has_variants) {
+            DB::table('location_stocks')->where('product_id', $productId)->whereNull('variant_id')->delete();
+        }
+
+        $held = DB::table('location_stocks')
+            ->where('product_id', $productId)
+            ->selectRaw('variant_id, SUM(quantity) as quantity')
+            ->groupBy('variant_id')
+            ->pluck('quantity', 'variant_id');
+
+        foreach ($totals as $variantId => $total) {
+            $difference = (int) $total - (int) ($held[$variantId] ?? 0);
+            if ($difference !== 0) {
+                self::incrementStock($defaultId, $productId, $variantId === '' ? null : (int) $variantId, $difference);
+            }
+        }
+    }
+
+    /**
+     * Per-location stock of each of the given products (variants summed)
+     *
+     * Every active location is listed, inactive ones only while they
+     * still hold stock.
+     *
+     * @param array $productIds
+     * @return \Illuminate\Support\Collection product_id => [{location_id, name, code, quantity, is_low}]
+     */
+    public static function forProducts(array $productIds)
+    {
+        $locations = DB::table('locations')->orderByDesc('is_default')->orderBy('name')->get();
+
+        $stock = DB::table('location_stocks as ls')
+            ->join('products as p', 'ls.product_id', '=', 'p.id')
+            ->whereIn('ls.product_id', $productIds)
+            ->select('ls.product_id', 'ls.location_id', 'ls.quantity', DB::raw('COALESCE(ls.low_stock_threshold, p.low_stock_threshold) as threshold'))
+            ->get()
+            ->groupBy('product_id');
+
+        return collect($productIds)->mapWithKeys(function ($productId) use ($locations, $stock) {
+            $rows = ($stock[$productId] ?? collect())->groupBy('location_id');
+
+            $breakdown = $locations->map(function ($location) use ($rows) {
+                $held = $rows[$location->id] ?? collect();
+
+                return [
+                    'location_id' => $location->id,
+                    'name' => $location->name,
+                    'code' => $location->code,
+                    'is_active' => (bool) $location->is_active,
+                    'quantity' => (int) $held->sum('quantity'),
+                    'is_low' => $held->contains(fn ($row) => $row->quantity <= $row->threshold)
+                ];
+            })->filter(fn ($row) => $row['is_active'] || $row['quantity'] !== 0)->values();
+
+            return [$productId => $breakdown];
+        });
+    }
+}
@@ -9,8 +9,147 @@ class Order extends Model
 {
     use HasFactory;
 
+    /**
+     * Allowed status transitions (from => [to, ...])
+     * 
+     * Forward-only fulfilment flow; steps may be skipped (e.g. confirmed → shipped).
+     * Cancel only before shipping, refund only after. Cancelled/refunded are final.
+     */
+    public const STATUS_TRANSITIONS = [
+        'pending' => ['confirmed', 'processing', 'cancelled'],
+        'confirmed' => ['processing', 'packed', 'shipped', 'cancelled'],
+        'processing' => ['packed', 'shipped', 'cancelled'],
+        'packed' => ['shipped', 'cancelled'],
+        'shipped' => ['delivered', 'refunded'],
+        'delivered' => ['refunded'],
+        'cancelled' => [],
+        'refunded' => [],
+    ];
+
+    /**
+     * Statuses in which items, amounts and address can still be edited (before fulfilment)
+     */
+    public const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+    /**
+     * Check if an order may move from one status to another
+     * 
+     * @param string $from
+     * @param string $to
+     * @return bool
+     */
+    public static function canTransition(string $from, string $to): bool
+    {
+        return in_array($to, self::STATUS_TRANSITIONS[$from] ?? []);
+    }
+
+    /**
+     * Query parameters accepted by applyListFilters()
+     */
+    public const LIST_FILTERS = [
+        'status', 'payment_status', 'channel', 'customer', 'customer_tag', 'customer_segment', 'staff', 'affiliate',
+        'date_from', 'date_to', 'min_total', 'max_total', 'search', 'ids',
+    ];
+
+    /**
+     * Apply Role Scoping and List Filters to an Orders Query
+     * 
+     * Shared by the order list, board summary, bulk selection and export
+     * so they always agree on which orders the current user can see.
+     * 
+     * Role-based access:
+     * - Admin: See all orders
+     * - Staff: Only see assigned orders
+     * - Affiliate: Only see referred orders
+     * 
+     * Filters: see LIST_FILTERS. `search` matches order number or the
+     * marketplace's external order ID; `ids` is comma-separated;
+     * `customer_tag` / `customer_segment` take a tag or saved segment ID.
+     * 
+     * @param \Illuminate\Database\Query\Builder $query Query on `orders as o`
+     * @param array $filters
+     * @param User $user
+     * @return \Illuminate\Database\Query\Builder
+     */
+    public static function applyListFilters($query, array $filters, User $user)
+    {
+        // Role-based filtering
+        if ($user->role === 'staff') {
+            $query->where('o.assigned_staff_id', $user->id);
+        } elseif ($user->role === 'affiliate') {
+            $query->where('o.affiliate_id', $user->id);
+        }
+
+        if (!empty($filters['status'])) {
+            $query->where('o.status', $filters['status']);
+        }
+
+        if (!empty($filters['payment_status'])) {
+            $query->where('o.payment_status', $filters['payment_status']);
+        }
+
+        if (!empty($filters['channel'])) {
+            $query->where('o.channel_id', $filters['channel']);
+        }
+
+        if (!empty($filters['customer'])) {
+            $query->where('o.customer_id', $filters['customer']);
+        }
+
+        if (!empty($filters['customer_tag'])) {
+            $query->whereIn('o.customer_id', function ($q) use ($filters) {
+                $q->select('customer_id')->from('customer_tag')->where('customer_tag_id', $filters['customer_tag']);
+            });
+        }
+
+        if (!empty($filters['customer_segment'])) {
+            $segment = CustomerSegment::find($filters['customer_segment']);
+            $query->whereIn('o.customer_id', $segment ? $segment->customerIdsQuery() : [0]);
+        }
+
+        if (!empty($filters['staff'])) {
+            $query->where('o.assigned_staff_id', $filters['staff']);
+        }
+
+        if (!empty($filters['affiliate'])) {
+            $query->where('o.affiliate_id', $filters['affiliate']);
+        }
+
+        if (!empty($filters['date_from'])) {
+            $query->whereDate('o.created_at', '>=', $filters['date_from']);
+        }
+
+        if (!empty($filters['date_to'])) {
+            $query->whereDate('o.created_at', '<=', $filters['date_to']);
+        }
+
+        if (isset($filters['min_total']) && is_numeric($filters['min_total'])) {
+            $query->where('o.total', '>=', $filters['min_total']);
+        }
+
+        if (isset($filters['max_total']) && is_numeric($filters['max_total'])) {
+            $query->where('o.total', '<=', $filters['max_total']);
+        }
+
+        if (!empty($filters['search'])) {
+            $search = trim($filters['search']);
+            $query->where(function ($q) use ($search) {
+                $q->where('o.order_number', 'LIKE', "%{$search}%")
+                  ->orWhere('o.external_order_id', 'LIKE', "%{$search}%");
+            });
+        }
+
+        // Explicit selection, used by bulk actions
+        if (!empty($filters['ids'])) {
+            $query->whereIn('o.id', array_filter(explode(',', $filters['ids']), 'is_numeric'));
+        }
+
+        return $query;
+    }
+
     protected $fillable = [
         'order_number',
+        'external_order_id',
         'customer_id',
         'channel_id',
         'assigned_staff_id',
@@ -20,6 +159,7 @@ class Order extends Model
         'shipping_fee',
         'tax',
         'total',
+        'refunded_amount',
         'status',
         'payment_status',
         'payment_method',
@@ -27,6 +167,7 @@ class Order extends Model
         'shipping_city',
         'shipping_state',
         'shipping_postal_code',
+        'courier',
         'tracking_number',
         'notes',
         'confirmed_at',
@@ -41,6 +182,7 @@ class Order extends Model
         'shipping_fee' => 'decimal:2',
         'tax' => 'decimal:2',
         'total' => 'decimal:2',
+        'refunded_amount' => 'decimal:2',
         'confirmed_at' => 'datetime',
         'packed_at' => 'datetime',
         'shipped_at' => 'datetime',
@@ -76,4 +218,14 @@ public function commissionTransactions()
     {
         return $this->hasMany(CommissionTransaction::class);
     }
+
+    public function edits()
+    {
+        return $this->hasMany(OrderEdit::class);
+    }
+
+    public function returns()
+    {
+        return $this->hasMany(OrderReturn::class);
+    }
 }
@@ -0,0 +1,33 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class OrderEdit extends Model
+{
+    protected $fillable = [
+        'order_id',
+        'changes',
+        'old_total',
+        'new_total',
+        'edited_by',
+        'notes'
+    ];
+
+    protected $casts = [
+        'changes' => 'array',
+        'old_total' => 'decimal:2',
+        'new_total' => 'decimal:2'
+    ];
+
+    public function order()
+    {
+        return $this->belongsTo(Order::class);
+    }
+
+    public function editor()
+    {
+        return $this->belongsTo(User::class, 'edited_by');
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class OrderExport extends Model
+{
+    protected $fillable = [
+        'user_id',
+        'format',
+        'include_items',
+        'filters',
+        'status',
+        'row_count',
+        'file_path',
+        'error'
+    ];
+
+    protected $casts = [
+        'include_items' => 'boolean',
+        'filters' => 'array'
+    ];
+
+    public function user()
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -12,7 +12,10 @@ class OrderItem extends Model
     protected $fillable = [
         'order_id',
         'product_id',
+        'variant_id',
+        'stock_taken',
         'product_name',
+        'variant_name',
         'sku',
         'quantity',
         'price',
@@ -20,6 +23,7 @@ class OrderItem extends Model
     ];
 
     protected $casts = [
+        'stock_taken' => 'boolean',
         'price' => 'decimal:2',
         'cost_price' => 'decimal:2',
         'subtotal' => 'decimal:2',
@@ -35,4 +39,9 @@ public function product()
     {
         return $this->belongsTo(Product::class);
     }
+
+    public function variant()
+    {
+        return $this->belongsTo(ProductVariant::class);
+    }
 }
@@ -0,0 +1,38 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class OrderReturn extends Model
+{
+    protected $fillable = [
+        'rma_number',
+        'order_id',
+        'reason',
+        'resolution',
+        'refund_amount',
+        'commission_reversed',
+        'created_by'
+    ];
+
+    protected $casts = [
+        'refund_amount' => 'decimal:2',
+        'commission_reversed' => 'decimal:2'
+    ];
+
+    public function order()
+    {
+        return $this->belongsTo(Order::class);
+    }
+
+    public function items()
+    {
+        return $this->hasMany(OrderReturnItem::class);
+    }
+
+    public function creator()
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+}
@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class OrderReturnItem extends Model
+{
+    protected $fillable = [
+        'order_return_id',
+        'order_item_id',
+        'product_id',
+        'quantity'
+    ];
+
+    public function orderReturn()
+    {
+        return $this->belongsTo(OrderReturn::class);
+    }
+
+    public function orderItem()
+    {
+        return $this->belongsTo(OrderItem::class);
+    }
+}
@@ -0,0 +1,53 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class OrderStatusHistory extends Model
+{
+    protected $fillable = [
+        'order_id',
+        'field',
+        'from_value',
+        'to_value',
+        'source',
+        'changed_by',
+        'notes'
+    ];
+
+    /**
+     * Record a status or payment status change for an order
+     * 
+     * @param int $orderId
+     * @param string $field status|payment_status
+     * @param string|null $from Previous value (null when the order is created)
+     * @param string $to New value
+     * @param int|null $changedBy User id, null for webhooks/automation
+     * @param string|null $notes
+     * @param string $source manual|webhook|system
+     * @return self
+     */
+    public static function record(int $orderId, string $field, ?string $from, string $to, ?int $changedBy, ?string $notes = null, string $source = 'manual'): self
+    {
+        return self::create([
+            'order_id' => $orderId,
+            'field' => $field,
+            'from_value' => $from,
+            'to_value' => $to,
+            'source' => $source,
+            'changed_by' => $changedBy,
+            'notes' => $notes
+        ]);
+    }
+
+    public function order()
+    {
+        return $this->belongsTo(Order::class);
+    }
+
+    public function user()
+    {
+        return $this->belongsTo(User::class, 'changed_by');
+    }
+}
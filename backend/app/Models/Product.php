@@ -4,6 +4,7 @@
 
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
 
 class Product extends Model
 {
@@ -11,11 +12,65 @@ class Product extends Model
 
     protected $guarded = ['id'];
 
+    protected $casts = [
+        'variant_options' => 'array',
+        'has_variants' => 'boolean'
+    ];
+
+    /**
+     * Margin as a percentage of the selling price (null when there's no price)
+     */
+    public const MARGIN_SQL = 'CASE WHEN p.price > 0 THEN (p.price - COALESCE(p.cost_price, 0)) / p.price * 100 END';
+
+    /**
+     * Catalogue sort options (sort key => column or expression on `products as p`)
+     *
+     * recent_sales is units sold in the last RECENT_SALES_DAYS, joined in by
+     * the product list.
+     */
+    public const SORTS = [
+        'newest' => 'p.created_at',
+        'name' => 'p.name',
+        'price' => 'p.price',
+        'stock' => 'p.stock_quantity',
+        'margin' => self::MARGIN_SQL,
+        'sales' => 'recent_sales'
+    ];
+
+    public const RECENT_SALES_DAYS = 30;
+
+    protected static function booted()
+    {
+        // Stock set on the model lands at the default location
+        static::saved(function (Product $product) {
+            if ($product->wasRecentlyCreated || $product->wasChanged(['stock_quantity', 'has_variants'])) {
+                Location::reconcile($product->id);
+            }
+        });
+    }
+
     public function category()
     {
         return $this->belongsTo(Category::class);
     }
 
+    public function variants()
+    {
+        return $this->hasMany(ProductVariant::class);
+    }
+
+    public function suppliers()
+    {
+        return $this->belongsToMany(Supplier::class, 'product_suppliers')
+            ->withPivot('supplier_sku', 'last_cost', 'is_preferred')
+            ->withTimestamps();
+    }
+
+    public function images()
+    {
+        return $this->hasMany(ProductImage::class)->orderBy('position');
+    }
+
     public function orderItems()
     {
         return $this->hasMany(OrderItem::class);
@@ -25,4 +80,151 @@ public function inventoryTransactions()
     {
         return $this->hasMany(InventoryTransaction::class);
     }
-}
\ No newline at end of file
+
+    /**
+     * Next free SKU in a category, e.g. ELEC-004
+     *
+     * Prefix is the first 4 characters of the category slug; the number
+     * follows the highest existing one and never reuses deleted numbers.
+     * $reserved holds SKUs claimed but not saved yet (e.g. earlier rows of
+     * an import preview) so they're skipped too.
+     *
+     * @param int $categoryId
+     * @param array $reserved
+     * @return string|null Null when the category doesn't exist
+     */
+    public static function nextSku(int $categoryId, array $reserved = []): ?string
+    {
+        $category = DB::table('categories')->where('id', $categoryId)->first();
+
+        if (!$category) {
+            return null;
+        }
+
+        $prefix = strtoupper(substr($category->slug, 0, 4));
+
+        $lastSKU = DB::table('products')
+            ->where('sku', 'LIKE', "{$prefix}-%")
+            ->orderBy('sku', 'desc')
+            ->value('sku');
+
+        $lastNumber = 0;
+        foreach (array_merge([$lastSKU], $reserved) as $sku) {
+            if ($sku && str_starts_with($sku, "{$prefix}-")) {
+                $parts = explode('-', $sku);
+                $lastNumber = max($lastNumber, isset($parts[1]) ? intval($parts[1]) : 0);
+            }
+        }
+
+        // Format: PREFIX-001
+        return $prefix . '-' . str_pad($lastNumber + 1, 3, '0', STR_PAD_LEFT);
+    }
+
+    /**
+     * Order line details for a product, or one of its variants
+     *
+     * A variant's price and cost override the product's when set.
+     *
+     * @param object $product Row from products
+     * @param object|null $variant Row from product_variants
+     * @return array [variant_id, variant_name, name, sku, price, cost_price, stock_quantity]
+     */
+    public static function lineDetails($product, $variant = null): array
+    {
+        if (!$variant) {
+            return [
+                'variant_id' => null,
+                'variant_name' => null,
+                'name' => $product->name,
+                'sku' => $product->sku,
+                'price' => $product->price,
+                'cost_price' => $product->cost_price,
+                'stock_quantity' => $product->stock_quantity
+            ];
+        }
+
+        $variantName = ProductVariant::label($variant->options);
+
+        return [
+            'variant_id' => $variant->id,
+            'variant_name' => $variantName,
+            'name' => "{$product->name} ({$variantName})",
+            'sku' => $variant->sku,
+            'price' => $variant->price ?? $product->price,
+            'cost_price' => $variant->cost_price ?? $product->cost_price,
+            'stock_quantity' => $variant->stock_quantity
+        ];
+    }
+
+    /**
+     * Change stock by $delta (negative deducts)
+     *
+     * A variant's own stock changes along with the product's, which is
+     * always the total of its variants so catalogue, dashboard and stock
+     * value figures keep working at product level. The change is booked
+     * against a location too; null means the default location.
+     *
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int $delta
+     * @param int|null $locationId
+     * @return void
+     */
+    public static function adjustStock(int $productId, ?int $variantId, int $delta, ?int $locationId = null): void
+    {
+        if ($delta === 0) {
+            return;
+        }
+
+        if ($variantId) {
+            DB::table('product_variants')->where('id', $variantId)->increment('stock_quantity', $delta);
+        }
+
+        DB::table('products')->where('id', $productId)->increment('stock_quantity', $delta);
+
+        Location::incrementStock($locationId ?? Location::defaultId(), $productId, $variantId, $delta);
+    }
+
+    /**
+     * Stock level of a product or variant, for low-stock checks
+     *
+     * Variants share the product's low_stock_threshold. With a location,
+     * the level is that location's stock against its own threshold (which
+     * falls back to the product's).
+     *
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int|null $locationId
+     * @return object|null {name, sku, location, stock_quantity, low_stock_threshold, is_low}
+     */
+    public static function stockLevel(int $productId, ?int $variantId = null, ?int $locationId = null)
+    {
+        $product = DB::table('products')->where('id', $productId)->first();
+        $variant = $variantId ? DB::table('product_variants')->where('id', $variantId)->first() : null;
+
+        if (!$product || ($variantId && !$variant)) {
+            return null;
+        }
+
+        $line = self::lineDetails($product, $variant);
+        $quantity = $line['stock_quantity'];
+        $threshold = $product->low_stock_threshold;
+        $location = null;
+
+        if ($locationId) {
+            $stock = Location::stockRow($locationId, $productId, $variantId);
+            $quantity = $stock->quantity ?? 0;
+            $threshold = $stock->low_stock_threshold ?? $threshold;
+            $location = DB::table('locations')->where('id', $locationId)->value('name');
+        }
+
+        return (object) [
+            'name' => $line['name'],
+            'sku' => $line['sku'],
+            'location' => $location,
+            'stock_quantity' => $quantity,
+            'low_stock_threshold' => $threshold,
+            'is_low' => $quantity <= $threshold
+        ];
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Storage;
+
+class ProductImage extends Model
+{
+    protected $fillable = [
+        'product_id',
+        'path',
+        'url',
+        'alt_text',
+        'position',
+        'is_primary'
+    ];
+
+    protected $casts = [
+        'position' => 'integer',
+        'is_primary' => 'boolean'
+    ];
+
+    public function product()
+    {
+        return $this->belongsTo(Product::class);
+    }
+
+    /**
+     * Public URL of an image row: the uploaded file's, or the hosted URL
+     *
+     * @param object $image Row from product_images
+     * @return string
+     */
+    public static function publicUrl($image): string
+    {
+        return $image->path ? Storage::disk('public')->url($image->path) : $image->url;
+    }
+
+    /**
+     * Gallery of each of the given products, in display order
+     *
+     * A product with an image_url but no gallery rows (set by the CSV
+     * import or the API) shows that URL as its only image, without an id.
+     *
+     * @param array $products Rows from products
+     * @return \Illuminate\Support\Collection product_id => [{id, url, alt_text, position, is_primary}]
+     */
+    public static function forProducts(array $products)
+    {
+        $images = DB::table('product_images')
+            ->whereIn('product_id', collect($products)->pluck('id')->all())
+            ->orderBy('position')
+            ->orderBy('id')
+            ->get()
+            ->groupBy('product_id');
+
+        return collect($products)->mapWithKeys(function ($product) use ($images) {
+            $gallery = ($images[$product->id] ?? collect())->map(fn ($image) => [
+                'id' => $image->id,
+                'url' => self::publicUrl($image),
+                'alt_text' => $image->alt_text,
+                'position' => (int) $image->position,
+                'is_primary' => (bool) $image->is_primary
+            ])->values();
+
+            if ($gallery->isEmpty() && $product->image_url) {
+                $gallery = collect([['id' => null, 'url' => $product->image_url, 'alt_text' => $product->name, 'position' => 0, 'is_primary' => true]]);
+            }
+
+            return [$product->id => $gallery];
+        });
+    }
+}
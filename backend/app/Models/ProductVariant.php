@@ -0,0 +1,79 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+
+class ProductVariant extends Model
+{
+    protected $fillable = [
+        'product_id',
+        'sku',
+        'options',
+        'price',
+        'cost_price',
+        'stock_quantity',
+        'is_active'
+    ];
+
+    protected $casts = [
+        'options' => 'array',
+        'price' => 'decimal:2',
+        'cost_price' => 'decimal:2',
+        'is_active' => 'boolean'
+    ];
+
+    protected static function booted()
+    {
+        // Stock set on the model lands at the default location
+        static::saved(function (ProductVariant $variant) {
+            if ($variant->wasRecentlyCreated || $variant->wasChanged('stock_quantity')) {
+                Location::reconcile($variant->product_id);
+            }
+        });
+    }
+
+    public function product()
+    {
+        return $this->belongsTo(Product::class);
+    }
+
+    /**
+     * Display name from the option values, e.g. "M / Red"
+     *
+     * @param array|string|null $options Decoded or JSON {axis: value}
+     * @return string
+     */
+    public static function label($options): string
+    {
+        $options = is_string($options) ? json_decode($options, true) : (array) $options;
+
+        return implode(' / ', array_values($options ?? []));
+    }
+
+    /**
+     * Variants for each of the given products
+     *
+     * @param array $productIds
+     * @return \Illuminate\Support\Collection product_id => [{id, sku, options, name, price, cost_price, stock_quantity, is_active}]
+     */
+    public static function forProducts(array $productIds)
+    {
+        return DB::table('product_variants')
+            ->whereIn('product_id', $productIds)
+            ->orderBy('id')
+            ->get()
+            ->groupBy('product_id')
+            ->map(fn ($variants) => $variants->map(fn ($v) => [
+                'id' => $v->id,
+                'sku' => $v->sku,
+                'options' => json_decode($v->options, true),
+                'name' => self::label($v->options),
+                'price' => $v->price,
+                'cost_price' => $v->cost_price,
+                'stock_quantity' => $v->stock_quantity,
+                'is_active' => (bool) $v->is_active
+            ])->values());
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class PurchaseOrder extends Model
+{
+    protected $fillable = [
+        'reference',
+        'supplier_id',
+        'location_id',
+        'status',
+        'notes',
+        'created_by',
+        'received_at'
+    ];
+
+    protected $casts = [
+        'received_at' => 'datetime'
+    ];
+
+    public function items()
+    {
+        return $this->hasMany(PurchaseOrderItem::class);
+    }
+
+    public function supplier()
+    {
+        return $this->belongsTo(Supplier::class);
+    }
+
+    public function location()
+    {
+        return $this->belongsTo(Location::class);
+    }
+
+    public function creator()
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+}
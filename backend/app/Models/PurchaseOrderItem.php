@@ -0,0 +1,38 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class PurchaseOrderItem extends Model
+{
+    protected $fillable = [
+        'purchase_order_id',
+        'product_id',
+        'variant_id',
+        'quantity_ordered',
+        'quantity_received',
+        'unit_cost'
+    ];
+
+    protected $casts = [
+        'quantity_ordered' => 'integer',
+        'quantity_received' => 'integer',
+        'unit_cost' => 'decimal:2'
+    ];
+
+    public function purchaseOrder()
+    {
+        return $this->belongsTo(PurchaseOrder::class);
+    }
+
+    public function product()
+    {
+        return $this->belongsTo(Product::class);
+    }
+
+    public function variant()
+    {
+        return $this->belongsTo(ProductVariant::class);
+    }
+}
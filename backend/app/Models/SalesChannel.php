@@ -16,6 +16,16 @@ public function orders()
         return $this->hasMany(Order::class, 'channel_id');
     }
 
+    /**
+     * Locations the channel sells and ships from, in allocation order
+     */
+    public function locations()
+    {
+        return $this->belongsToMany(Location::class, 'channel_locations', 'channel_id', 'location_id')
+            ->withPivot('priority')
+            ->orderBy('channel_locations.priority');
+    }
+
     public function apiLogs()
     {
         return $this->hasMany(ApiLog::class, 'channel_id');
@@ -0,0 +1,76 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+
+class StockReservation extends Model
+{
+    protected $fillable = [
+        'order_id',
+        'product_id',
+        'variant_id',
+        'location_id',
+        'quantity',
+        'status',
+        'expires_at',
+        'closed_at'
+    ];
+
+    protected $casts = [
+        'expires_at' => 'datetime',
+        'closed_at' => 'datetime'
+    ];
+
+    public function order()
+    {
+        return $this->belongsTo(Order::class);
+    }
+
+    public function product()
+    {
+        return $this->belongsTo(Product::class);
+    }
+
+    public function variant()
+    {
+        return $this->belongsTo(ProductVariant::class);
+    }
+
+    /**
+     * Units of a product or variant held by active reservations
+     *
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int|null $locationId Null counts every location
+     * @return int
+     */
+    public static function activeQuantity(int $productId, ?int $variantId = null, ?int $locationId = null): int
+    {
+        return (int) DB::table('stock_reservations')
+            ->where('status', 'active')
+            ->where('product_id', $productId)
+            ->where('variant_id', $variantId)
+            ->when($locationId, fn ($q) => $q->where('location_id', $locationId))
+            ->sum('quantity');
+    }
+
+    /**
+     * Active reservations of each of the given products
+     *
+     * @param array $productIds
+     * @return \Illuminate\Support\Collection product_id => [variant_id ('' for none) => quantity]
+     */
+    public static function forProducts(array $productIds)
+    {
+        return DB::table('stock_reservations')
+            ->where('status', 'active')
+            ->whereIn('product_id', $productIds)
+            ->selectRaw('product_id, variant_id, SUM(quantity) as quantity')
+            ->groupBy('product_id', 'variant_id')
+            ->get()
+            ->groupBy('product_id')
+            ->map(fn ($rows) => $rows->mapWithKeys(fn ($row) => [(string) $row->variant_id => (int) $row->quantity]));
+    }
+}
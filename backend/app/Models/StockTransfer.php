@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class StockTransfer extends Model
+{
+    protected $fillable = [
+        'reference',
+        'from_location_id',
+        'to_location_id',
+        'status',
+        'notes',
+        'created_by',
+        'received_by',
+        'received_at'
+    ];
+
+    protected $casts = [
+        'received_at' => 'datetime'
+    ];
+
+    public function items()
+    {
+        return $this->hasMany(StockTransferItem::class);
+    }
+
+    public function fromLocation()
+    {
+        return $this->belongsTo(Location::class, 'from_location_id');
+    }
+
+    public function toLocation()
+    {
+        return $this->belongsTo(Location::class, 'to_location_id');
+    }
+
+    public function creator()
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+}
@@ -0,0 +1,30 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class StockTransferItem extends Model
+{
+    protected $fillable = [
+        'stock_transfer_id',
+        'product_id',
+        'variant_id',
+        'quantity'
+    ];
+
+    public function transfer()
+    {
+        return $this->belongsTo(StockTransfer::class, 'stock_transfer_id');
+    }
+
+    public function product()
+    {
+        return $this->belongsTo(Product::class);
+    }
+
+    public function variant()
+    {
+        return $this->belongsTo(ProductVariant::class);
+    }
+}
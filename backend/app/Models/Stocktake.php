@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Stocktake extends Model
+{
+    protected $fillable = [
+        'reference',
+        'category_id',
+        'location_id',
+        'location',
+        'status',
+        'notes',
+        'created_by',
+        'posted_by',
+        'posted_at'
+    ];
+
+    protected $casts = [
+        'posted_at' => 'datetime'
+    ];
+
+    public function items()
+    {
+        return $this->hasMany(StocktakeItem::class);
+    }
+
+    public function category()
+    {
+        return $this->belongsTo(Category::class);
+    }
+
+    public function stockLocation()
+    {
+        return $this->belongsTo(Location::class, 'location_id');
+    }
+
+    public function creator()
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+}
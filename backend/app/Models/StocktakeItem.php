@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class StocktakeItem extends Model
+{
+    protected $fillable = [
+        'stocktake_id',
+        'product_id',
+        'variant_id',
+        'counted_quantity',
+        'counted_at',
+        'adjusted_quantity'
+    ];
+
+    protected $casts = [
+        'counted_at' => 'datetime'
+    ];
+
+    public function stocktake()
+    {
+        return $this->belongsTo(Stocktake::class);
+    }
+
+    public function product()
+    {
+        return $this->belongsTo(Product::class);
+    }
+
+    public function variant()
+    {
+        return $this->belongsTo(ProductVariant::class);
+    }
+}
@@ -0,0 +1,113 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\DB;
+
+class Supplier extends Model
+{
+    protected $fillable = [
+        'name',
+        'contact_name',
+        'email',
+        'phone',
+        'address',
+        'currency',
+        'lead_time_days',
+        'payment_terms',
+        'notes',
+        'is_active'
+    ];
+
+    protected $casts = [
+        'lead_time_days' => 'integer',
+        'is_active' => 'boolean'
+    ];
+
+    public function products()
+    {
+        return $this->belongsToMany(Product::class, 'product_suppliers')
+            ->withPivot('supplier_sku', 'last_cost', 'is_preferred')
+            ->withTimestamps();
+    }
+
+    /**
+     * Supplier links for each of the given products, preferred first
+     *
+     * @param array $productIds
+     * @return \Illuminate\Support\Collection product_id => [{supplier_id, name, currency, lead_time_days, supplier_sku, last_cost, is_preferred}]
+     */
+    public static function forProducts(array $productIds)
+    {
+        return DB::table('product_suppliers as ps')
+            ->join('suppliers as s', 'ps.supplier_id', '=', 's.id')
+            ->whereIn('ps.product_id', $productIds)
+            ->orderByDesc('ps.is_preferred')
+            ->orderBy('s.name')
+            ->select('ps.product_id', 'ps.supplier_id', 's.name', 's.currency', 's.lead_time_days', 'ps.supplier_sku', 'ps.last_cost', 'ps.is_preferred')
+            ->get()
+            ->groupBy('product_id')
+            ->map(fn ($links) => $links->map(fn ($l) => [
+                'supplier_id' => $l->supplier_id,
+                'name' => $l->name,
+                'currency' => $l->currency,
+                'lead_time_days' => $l->lead_time_days,
+                'supplier_sku' => $l->supplier_sku,
+                'last_cost' => $l->last_cost,
+                'is_preferred' => (bool) $l->is_preferred
+            ])->values());
+    }
+
+    /**
+     * Replace a product's supplier links
+     *
+     * A product with suppliers always has exactly one preferred supplier:
+     * the first link flagged as preferred, or the first link when none is.
+     *
+     * @param int $productId
+     * @param array $links [{supplier_id, supplier_sku?, last_cost?, is_preferred?}]
+     * @return void
+     */
+    public static function syncProduct(int $productId, array $links): void
+    {
+        $links = array_values($links);
+        $preferred = 0;
+        foreach ($links as $index => $link) {
+            if (!empty($link['is_preferred'])) {
+                $preferred = $index;
+                break;
+            }
+        }
+
+        DB::table('product_suppliers')->where('product_id', $productId)->delete();
+
+        foreach ($links as $index => $link) {
+            DB::table('product_suppliers')->insert([
+                'product_id' => $productId,
+                'supplier_id' => $link['supplier_id'],
+                'supplier_sku' => isset($link['supplier_sku']) && trim($link['supplier_sku']) !== '' ? trim($link['supplier_sku']) : null,
+                'last_cost' => isset($link['last_cost']) && $link['last_cost'] !== '' ? $link['last_cost'] : null,
+                'is_preferred' => $index === $preferred,
+                'created_at' => now(),
+                'updated_at' => now()
+            ]);
+        }
+    }
+
+    /**
+     * Last cost from the preferred supplier in a link list
+     *
+     * Used to default a product's cost_price when none is given.
+     *
+     * @param array $links [{supplier_id, last_cost?, is_preferred?}]
+     * @return float|null
+     */
+    public static function preferredCost(array $links): ?float
+    {
+        $links = array_values($links);
+        $preferred = collect($links)->first(fn ($link) => !empty($link['is_preferred'])) ?? ($links[0] ?? null);
+
+        return isset($preferred['last_cost']) && $preferred['last_cost'] !== '' ? (float) $preferred['last_cost'] : null;
+    }
+}
@@ -82,6 +82,7 @@ public function calculateAndCreate(
                 'commission_type' => $commissionType,
                 'amount' => $amount,
                 'percentage' => $config ? $config->commission_value : 0,
+                'rate_type' => $config ? $config->commission_type : 'percentage',
                 'order_total' => $orderTotal,
                 'status' => 'pending',
             ]);
@@ -109,19 +110,119 @@ public function approveCommissionsForOrder(int $orderId, int $approvedBy): int
     }
 
     /**
-     * Reject commissions for an order
+     * Cancel commissions for an order (order cancelled or refunded)
+     * 
+     * Unpaid commissions are cancelled. Ones already paid out keep their
+     * status and have what's left of them clawed back through
+     * reverseCommissionsForOrder(). Clawback rows of earlier refunds stay
+     * as they are.
      * 
      * @param int $orderId Order ID
-     * @return int Number of commissions rejected
+     * @param string $note Reason recorded on clawbacks
+     * @return int Number of commissions cancelled
      */
-    public function rejectCommissionsForOrder(int $orderId): int
+    public function cancelCommissionsForOrder(int $orderId, string $note): int
     {
-        return CommissionTransaction::where('order_id', $orderId)
+        $cancelled = CommissionTransaction::where('order_id', $orderId)
             ->whereIn('status', ['pending', 'approved'])
+            ->where('amount', '>=', 0)
             ->update([
-                'status' => 'rejected',
+                'status' => 'cancelled',
                 'updated_at' => now(),
             ]);
+
+        $this->reverseCommissionsForOrder($orderId, 1, $note);
+
+        return $cancelled;
+    }
+
+    /**
+     * Reverse part of an order's commissions (partial refunds/returns)
+     * 
+     * Unpaid commissions are reduced in place. Commissions already paid out
+     * get a negative 'approved' adjustment so the amount is clawed back
+     * from the earner's next payout.
+     * 
+     * The share is taken of the original commission (the amount before the
+     * first reversal), so two 50% refunds reverse all of it, and never more
+     * than what's left.
+     * 
+     * @param int $orderId Order ID
+     * @param float $ratio Share of the original commission to reverse (0-1)
+     * @param string $note Reason recorded on the commission
+     * @return float Total commission reversed
+     */
+    public function reverseCommissionsForOrder(int $orderId, float $ratio, string $note): float
+    {
+        $ratio = min(max($ratio, 0), 1);
+        $reversed = 0.0;
+
+        $commissions = CommissionTransaction::where('order_id', $orderId)
+            ->whereIn('status', ['pending', 'approved', 'paid'])
+            ->where('amount', '>', 0)
+            ->get();
+
+        foreach ($commissions as $commission) {
+            $original = (float) ($commission->original_amount ?? $commission->amount);
+            $amount = min(round($original * $ratio, 2), round($original - $commission->reversed_amount, 2));
+            if ($amount <= 0) {
+                continue;
+            }
+
+            if ($commission->status === 'paid') {
+                CommissionTransaction::create([
+                    'user_id' => $commission->user_id,
+                    'order_id' => $orderId,
+                    'commission_type' => $commission->commission_type,
+                    'amount' => -$amount,
+                    'percentage' => $commission->percentage,
+                    'rate_type' => $commission->rate_type,
+                    'order_total' => $commission->order_total,
+                    'status' => 'approved',
+                    'approved_at' => now(),
+                    'notes' => "Clawback: {$note}",
+                ]);
+                $commission->update([
+                    'original_amount' => $original,
+                    'reversed_amount' => $commission->reversed_amount + $amount,
+                ]);
+            } else {
+                $commission->update([
+                    'amount' => $commission->amount - $amount,
+                    'original_amount' => $original,
+                    'reversed_amount' => $commission->reversed_amount + $amount,
+                    'notes' => trim(($commission->notes ? "{$commission->notes}\n" : '') . "Reduced RM" . number_format($amount, 2) . ": {$note}"),
+                ]);
+            }
+
+            $reversed += $amount;
+        }
+
+        return $reversed;
+    }
+
+    /**
+     * Net commission of an order per earner type, for orders.staff_commission
+     * and orders.affiliate_commission
+     * 
+     * Counts every commission that isn't cancelled, clawbacks included, so
+     * reversed amounts are taken off.
+     * 
+     * @param int $orderId Order ID
+     * @return array ['staff_commission' => float, 'affiliate_commission' => float]
+     */
+    public function orderTotals(int $orderId): array
+    {
+        $totals = CommissionTransaction::where('order_id', $orderId)
+            ->where('status', '!=', 'cancelled')
+            ->groupBy('commission_type')
+            ->selectRaw('commission_type, SUM(amount) as total')
+            ->pluck('total', 'commission_type');
+
+        return [
+            'staff_commission' => round((float) ($totals['staff'] ?? 0), 2),
+            'affiliate_commission' => round((float) ($totals['affiliate'] ?? 0), 2),
+        ];
     }
 
     /**
@@ -192,7 +293,7 @@ public function getSummary(?int $userId = null): array
             'pending' => $summary['pending'] ?? ['count' => 0, 'total_amount' => 0],
             'approved' => $summary['approved'] ?? ['count' => 0, 'total_amount' => 0],
             'paid' => $summary['paid'] ?? ['count' => 0, 'total_amount' => 0],
-            'rejected' => $summary['rejected'] ?? ['count' => 0, 'total_amount' => 0],
+            'cancelled' => $summary['cancelled'] ?? ['count' => 0, 'total_amount' => 0],
         ];
     }
 
@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Services;
+
+use Carbon\Carbon;
+
+/**
+ * Courier Tracking Service
+ *
+ * Supported couriers and shipment status lookups.
+ * Lookups are a local stub until courier APIs are integrated: the status
+ * is derived from how long ago the parcel was shipped.
+ */
+class CourierTrackingService
+{
+    /**
+     * Courier code => display name
+     */
+    public const COURIERS = [
+        'jnt' => 'J&T Express',
+        'poslaju' => 'Pos Laju',
+        'dhl' => 'DHL eCommerce',
+        'ninjavan' => 'Ninja Van',
+    ];
+
+    /**
+     * Look up the current status of a shipment
+     *
+     * @param string $courier Courier code
+     * @param string $trackingNumber
+     * @param string|null $shippedAt Ship date (defaults to now)
+     * @return array ['courier', 'tracking_number', 'status', 'checkpoints' => [['status', 'location', 'time']]]
+     */
+    public function lookup(string $courier, string $trackingNumber, ?string $shippedAt = null): array
+    {
+        $shipped = $shippedAt ? Carbon::parse($shippedAt) : now();
+
+        // Stubbed courier milestones: [hours after shipping, status, location]
+        $milestones = [
+            [0, 'picked_up', 'Seller drop-off'],
+            [12, 'in_transit', 'Sorting hub'],
+            [36, 'out_for_delivery', 'Destination hub'],
+            [48, 'delivered', 'Recipient address'],
+        ];
+
+        $checkpoints = [];
+        foreach ($milestones as [$hours, $status, $location]) {
+            $time = $shipped->copy()->addHours($hours);
+            if ($time->isFuture()) {
+                break;
+            }
+            $checkpoints[] = ['status' => $status, 'location' => $location, 'time' => $time->toDateTimeString()];
+        }
+
+        return [
+            'courier' => self::COURIERS[$courier] ?? $courier,
+            'tracking_number' => $trackingNumber,
+            'status' => empty($checkpoints) ? 'pending' : end($checkpoints)['status'],
+            'checkpoints' => array_reverse($checkpoints),
+        ];
+    }
+
+    /**
+     * Match a courier name from a CSV/user input to a courier code
+     *
+     * Accepts the code or display name in any case, e.g. "J&T", "Poslaju", "ninja van".
+     *
+     * @param string|null $value
+     * @return string|null Courier code, or null if not recognised
+     */
+    public function resolveCode(?string $value): ?string
+    {
+        $normalised = preg_replace('/[^a-z]/', '', strtolower((string) $value));
+        if ($normalised === '') {
+            return null;
+        }
+
+        foreach (self::COURIERS as $code => $name) {
+            $nameKey = preg_replace('/[^a-z]/', '', strtolower($name));
+            if ($normalised === $code || $normalised === $nameKey || str_starts_with($nameKey, $normalised)) {
+                return $code;
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,338 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Customer;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Customer Service
+ *
+ * Bulk customer data operations:
+ * - CSV import (already mapped to customer fields) with dry-run preview
+ * - Duplicate detection by email or normalised phone
+ * - Merging two customer records (orders and tags move over)
+ * - CSV export
+ */
+class CustomerService
+{
+    /**
+     * Customer fields an import row can fill
+     */
+    public const IMPORT_FIELDS = ['full_name', 'email', 'phone', 'address', 'city', 'state', 'postal_code', 'customer_type'];
+
+    /**
+     * Find an existing customer with the same email or phone
+     *
+     * @param string|null $email
+     * @param string|null $phone
+     * @param int|null $ignoreId Customer to leave out (e.g. the one being edited)
+     * @return array|null ['customer' => object, 'matched_on' => 'email'|'phone']
+     */
+    public function findDuplicate(?string $email, ?string $phone, ?int $ignoreId = null): ?array
+    {
+        $query = DB::table('customers')->select('id', 'full_name', 'email', 'phone');
+        if ($ignoreId) {
+            $query->where('id', '!=', $ignoreId);
+        }
+
+        if ($email && ($customer = (clone $query)->whereRaw('LOWER(email) = ?', [strtolower(trim($email))])->first())) {
+            return ['customer' => $customer, 'matched_on' => 'email'];
+        }
+
+        $normalised = Customer::normalisePhone($phone);
+        if ($normalised && ($customer = (clone $query)->where('normalised_phone', $normalised)->first())) {
+            return ['customer' => $customer, 'matched_on' => 'phone'];
+        }
+
+        return null;
+    }
+
+    /**
+     * Import customer rows
+     *
+     * Each row is validated and matched against existing customers and the
+     * rows before it. New customers are created; duplicates of an existing
+     * customer are skipped, or fill in that customer's details when
+     * $updateExisting is set (the existing email is kept).
+     * Staff can only update customers they have served (scopeForUser); a
+     * match outside that is skipped and reported without the customer's
+     * id or name. Nothing is written on a dry run.
+     *
+     * @param array $rows [{line, full_name, email, phone, ...}]
+     * @param bool $dryRun
+     * @param bool $updateExisting
+     * @param \App\Models\User $user User importing
+     * @return array ['summary' => [create, update, skip, invalid], 'rows' => [{line, action, errors, duplicate_of}]]
+     */
+    public function import(array $rows, bool $dryRun, bool $updateExisting, $user): array
+    {
+        $apply = function () use ($rows, $dryRun, $updateExisting, $user) {
+            $summary = ['create' => 0, 'update' => 0, 'skip' => 0, 'invalid' => 0];
+            $results = [];
+            $seenEmails = [];
+            $seenPhones = [];
+
+            foreach ($rows as $index => $row) {
+                $line = $row['line'] ?? $index + 2;
+                $data = $this->cleanRow($row);
+                $result = ['line' => $line, 'action' => 'create', 'errors' => [], 'duplicate_of' => null];
+
+                $validator = Validator::make($data, [
+                    'full_name' => 'required|string|max:100',
+                    'email' => 'required|email|max:100',
+                    'phone' => 'nullable|string|max:20',
+                    'city' => 'nullable|string|max:50',
+                    'state' => 'nullable|string|max:50',
+                    'postal_code' => 'nullable|string|max:10',
+                    'customer_type' => 'in:retail,wholesale,vip'
+                ]);
+
+                $emailKey = strtolower($data['email'] ?? '');
+                $phoneKey = Customer::normalisePhone($data['phone']);
+
+                if ($validator->fails()) {
+                    $result['action'] = 'invalid';
+                    $result['errors'] = $validator->errors()->all();
+                } elseif (isset($seenEmails[$emailKey]) || ($phoneKey && isset($seenPhones[$phoneKey]))) {
+                    $result['action'] = 'skip';
+                    $result['errors'] = ['Duplicate of line ' . ($seenEmails[$emailKey] ?? $seenPhones[$phoneKey]) . ' in this file'];
+                } elseif (($duplicate = $this->findDuplicate($data['email'], $data['phone'])) && !$this->isInScope($duplicate['customer']->id, $user)) {
+                    $result['action'] = 'skip';
+                    $result['errors'] = ['Matches an existing customer you have not served'];
+                    $result['duplicate_of'] = ['id' => null, 'full_name' => null, 'matched_on' => $duplicate['matched_on']];
+                } elseif ($duplicate) {
+                    $result['duplicate_of'] = [
+                        'id' => $duplicate['customer']->id,
+                        'full_name' => $duplicate['customer']->full_name,
+                        'matched_on' => $duplicate['matched_on']
+                    ];
+                    $result['action'] = $updateExisting ? 'update' : 'skip';
+                }
+
+                if ($result['action'] !== 'invalid') {
+                    $seenEmails[$emailKey] = $seenEmails[$emailKey] ?? $line;
+                    if ($phoneKey) {
+                        $seenPhones[$phoneKey] = $seenPhones[$phoneKey] ?? $line;
+                    }
+                }
+
+                if (!$dryRun && $result['action'] === 'create') {
+                    DB::table('customers')->insert(array_merge($data, [
+                        'normalised_phone' => $phoneKey,
+                        'created_at' => now(),
+                        'updated_at' => now()
+                    ]));
+                } elseif (!$dryRun && $result['action'] === 'update') {
+                    $changes = array_filter(
+                        array_diff_key($data, ['email' => true, 'customer_type' => true]),
+                        fn ($value) => $value !== null
+                    );
+                    if ($phoneKey) {
+                        $changes['normalised_phone'] = $phoneKey;
+                    }
+                    DB::table('customers')
+                        ->where('id', $result['duplicate_of']['id'])
+                        ->update(array_merge($changes, ['updated_at' => now()]));
+                }
+
+                $summary[$result['action']]++;
+                $results[] = $result;
+            }
+
+            return ['summary' => $summary, 'rows' => $results];
+        };
+
+        return $dryRun ? $apply() : DB::transaction($apply);
+    }
+
+    /**
+     * Merge one customer into another
+     *
+     * Orders and tags move to the kept customer, blank contact fields on the
+     * kept record are filled from the merged one, order/spend totals are
+     * added together and the merged customer is deleted.
+     *
+     * @param int $keepId Customer that remains
+     * @param int $mergeId Customer merged in and removed
+     * @return array ['customer' => object, 'orders_moved' => int]
+     * @throws \InvalidArgumentException If the customers can't be merged
+     */
+    public function merge(int $keepId, int $mergeId): array
+    {
+        if ($keepId === $mergeId) {
+            throw new \InvalidArgumentException('Cannot merge a customer into itself');
+        }
+
+        return DB::transaction(function () use ($keepId, $mergeId) {
+            $keep = DB::table('customers')->where('id', $keepId)->lockForUpdate()->first();
+            $merge = DB::table('customers')->where('id', $mergeId)->lockForUpdate()->first();
+
+            if (!$keep || !$merge) {
+                throw new \InvalidArgumentException('Customer not found');
+            }
+
+            $ordersMoved = DB::table('orders')
+                ->where('customer_id', $mergeId)
+                ->update(['customer_id' => $keepId, 'updated_at' => now()]);
+
+            $updateData = [
+                'total_orders' => $keep->total_orders + $merge->total_orders,
+                'total_spent' => $keep->total_spent + $merge->total_spent,
+                'updated_at' => now()
+            ];
+
+            foreach (['phone', 'normalised_phone', 'address', 'city', 'state', 'postal_code'] as $field) {
+                if (empty($keep->$field) && !empty($merge->$field)) {
+                    $updateData[$field] = $merge->$field;
+                }
+            }
+
+            DB::table('customers')->where('id', $keepId)->update($updateData);
+
+            $tagIds = DB::table('customer_tag')->where('customer_id', $mergeId)->pluck('customer_tag_id');
+            DB::table('customer_tag')->insertOrIgnore($tagIds->map(fn ($tagId) => [
+                'customer_id' => $keepId,
+                'customer_tag_id' => $tagId,
+                'created_at' => now()
+            ])->all());
+
+            DB::table('customers')->where('id', $mergeId)->delete();
+
+            return [
+                'customer' => DB::table('customers')->where('id', $keepId)->first(),
+                'orders_moved' => $ordersMoved
+            ];
+        });
+    }
+
+    /**
+     * Groups of customers that share a normalised phone or an email
+     * differing only in case
+     *
+     * @param int $limit Maximum number of groups
+     * @return array [{matched_on, value, customers: [...]}]
+     */
+    public function duplicateGroups(int $limit = 50): array
+    {
+        $groups = [];
+
+        $phones = DB::table('customers')
+            ->whereNotNull('normalised_phone')
+            ->groupBy('normalised_phone')
+            ->havingRaw('COUNT(*) > 1')
+            ->limit($limit)
+            ->pluck('normalised_phone');
+
+        foreach ($phones as $phone) {
+            $groups[] = [
+                'matched_on' => 'phone',
+                'value' => $phone,
+                'customers' => $this->groupMembers(DB::table('customers')->where('normalised_phone', $phone))
+            ];
+        }
+
+        $emails = DB::table('customers')
+            ->selectRaw('LOWER(email) as email_key')
+            ->groupByRaw('LOWER(email)')
+            ->havingRaw('COUNT(*) > 1')
+            ->limit(max($limit - count($groups), 0))
+            ->pluck('email_key');
+
+        foreach ($emails as $email) {
+            $groups[] = [
+                'matched_on' => 'email',
+                'value' => $email,
+                'customers' => $this->groupMembers(DB::table('customers')->whereRaw('LOWER(email) = ?', [$email]))
+            ];
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Customer export rows, header first
+     *
+     * @param \App\Models\User $user Staff only get customers they have served
+     * @return \Generator
+     */
+    public function exportRows($user): \Generator
+    {
+        yield ['ID', 'Full Name', 'Email', 'Phone', 'Address', 'City', 'State', 'Postal Code', 'Country', 'Customer Type', 'Total Orders', 'Total Spent', 'Created At'];
+
+        $query = DB::table('customers as c')->orderBy('c.id');
+        $this->scopeForUser($query, $user);
+
+        foreach ($query->cursor() as $c) {
+            yield [
+                $c->id, $c->full_name, $c->email, $c->phone, $c->address, $c->city, $c->state,
+                $c->postal_code, $c->country, $c->customer_type, $c->total_orders, $c->total_spent, $c->created_at
+            ];
+        }
+    }
+
+    /**
+     * Staff only see customers they have served
+     *
+     * @param \Illuminate\Database\Query\Builder $query Query on `customers as c`
+     * @param \App\Models\User $user
+     * @return \Illuminate\Database\Query\Builder
+     */
+    public function scopeForUser($query, $user)
+    {
+        if ($user->role === 'staff') {
+            $query->whereExists(function ($q) use ($user) {
+                $q->select(DB::raw(1))
+                  ->from('orders')
+                  ->whereColumn('orders.customer_id', 'c.id')
+                  ->where('orders.assigned_staff_id', $user->id);
+            });
+        }
+
+        return $query;
+    }
+
+    /**
+     * Whether a customer is one the user may see (see scopeForUser)
+     *
+     * @param int $customerId
+     * @param \App\Models\User $user
+     * @return bool
+     */
+    private function isInScope(int $customerId, $user): bool
+    {
+        return $this->scopeForUser(DB::table('customers as c')->where('c.id', $customerId), $user)->exists();
+    }
+
+    /**
+     * Trim an import row down to customer fields, blanks as null
+     *
+     * @param array $row
+     * @return array
+     */
+    private function cleanRow(array $row): array
+    {
+        $data = [];
+        foreach (self::IMPORT_FIELDS as $field) {
+            $value = trim((string) ($row[$field] ?? ''));
+            $data[$field] = $value === '' ? null : $value;
+        }
+
+        $data['customer_type'] = strtolower($data['customer_type'] ?? 'retail');
+
+        return $data;
+    }
+
+    /**
+     * @param \Illuminate\Database\Query\Builder $query
+     * @return \Illuminate\Support\Collection
+     */
+    private function groupMembers($query)
+    {
+        return $query
+            ->select('id', 'full_name', 'email', 'phone', 'total_orders', 'total_spent', 'created_at')
+            ->orderBy('created_at')
+            ->get();
+    }
+}
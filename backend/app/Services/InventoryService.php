@@ -2,6 +2,7 @@
 
 namespace App\Services;
 
+use App\Models\Location;
 use App\Models\Product;
 use App\Models\InventoryTransaction;
 use Illuminate\Support\Facades\DB;
@@ -17,6 +18,16 @@
  */
 class InventoryService
 {
+    /**
+     * Manual movement actions and the ledger transaction type each one logs
+     */
+    public const MOVEMENT_ACTIONS = [
+        'stock_in' => 'purchase',
+        'stock_out' => 'adjustment',
+        'set_count' => 'adjustment',
+        'write_off' => 'write_off'
+    ];
+
     protected NotificationService $notificationService;
 
     public function __construct(NotificationService $notificationService)
@@ -55,12 +66,13 @@ public function deductStock(
                 throw new \Exception("Insufficient stock for {$product->name}. Available: {$product->stock_quantity}, Required: {$quantity}");
             }
 
-            // Deduct stock
-            $product->decrement('stock_quantity', $quantity);
+            // Deduct stock (from the default location)
+            Product::adjustStock($productId, null, -$quantity);
 
             // Log transaction
             InventoryTransaction::create([
                 'product_id' => $productId,
+                'location_id' => Location::defaultId(),
                 'transaction_type' => $transactionType,
                 'quantity' => -$quantity,
                 'reference_type' => 'order',
@@ -85,6 +97,9 @@ public function deductStock(
      * @param int $referenceId Reference ID (order_id, etc.)
      * @param int $createdBy User ID who created the transaction
      * @param string|null $notes Additional notes
+     * @param string $transactionType 'adjustment' for cancellations, 'return' for RMAs
+     * @param int|null $variantId Variant the stock goes back to
+     * @param int|null $locationId Location the stock goes back to (null = default)
      * @return Product Updated product
      */
     public function restoreStock(
@@ -92,22 +107,27 @@ public function restoreStock(
         int $quantity,
         int $referenceId = null,
         int $createdBy = null,
-        ?string $notes = null
+        ?string $notes = null,
+        string $transactionType = 'adjustment',
+        ?int $variantId = null,
+        ?int $locationId = null
     ): Product {
-        return DB::transaction(function () use ($productId, $quantity, $referenceId, $createdBy, $notes) {
+        return DB::transaction(function () use ($productId, $quantity, $referenceId, $createdBy, $notes, $transactionType, $variantId, $locationId) {
             $product = Product::where('id', $productId)->lockForUpdate()->first();
 
             if (!$product) {
                 throw new \Exception("Product not found");
             }
 
-            // Restore stock
-            $product->increment('stock_quantity', $quantity);
+            // Restore stock (variant and product total)
+            Product::adjustStock($productId, $variantId, $quantity, $locationId);
 
             // Log transaction
             InventoryTransaction::create([
                 'product_id' => $productId,
-                'transaction_type' => 'adjustment',
+                'variant_id' => $variantId,
+                'location_id' => $locationId ?? Location::defaultId(),
+                'transaction_type' => $transactionType,
                 'quantity' => $quantity,
                 'reference_type' => 'order',
                 'reference_id' => $referenceId,
@@ -120,37 +140,51 @@ public function restoreStock(
     }
 
     /**
-     * Add stock manually (restock)
+     * Add stock (goods received), logged as a purchase
      * 
      * @param int $productId Product ID
      * @param int $quantity Quantity to add
      * @param int $createdBy User ID who created the transaction
      * @param string|null $notes Additional notes
+     * @param int|null $variantId Variant received (required for variant products)
+     * @param int|null $locationId Location received at (default location when null)
+     * @param string $referenceType What the stock came in against (manual, purchase_order)
+     * @param int|null $referenceId ID of that record
      * @return Product Updated product
      */
     public function addStock(
         int $productId,
         int $quantity,
         int $createdBy,
-        ?string $notes = null
+        ?string $notes = null,
+        ?int $variantId = null,
+        ?int $locationId = null,
+        string $referenceType = 'manual',
+        ?int $referenceId = null
     ): Product {
-        return DB::transaction(function () use ($productId, $quantity, $createdBy, $notes) {
+        return DB::transaction(function () use ($productId, $quantity, $createdBy, $notes, $variantId, $locationId, $referenceType, $referenceId) {
             $product = Product::where('id', $productId)->lockForUpdate()->first();
 
             if (!$product) {
                 throw new \Exception("Product not found");
             }
 
-            // Add stock
-            $product->increment('stock_quantity', $quantity);
+            if ($product->has_variants && !$variantId) {
+                throw new \InvalidArgumentException("Choose a variant of {$product->name}");
+            }
+
+            // Add stock (variant and product total)
+            Product::adjustStock($productId, $variantId, $quantity, $locationId);
 
             // Log transaction
             InventoryTransaction::create([
                 'product_id' => $productId,
-                'transaction_type' => 'restock',
+                'variant_id' => $variantId,
+                'location_id' => $locationId ?? Location::defaultId(),
+                'transaction_type' => 'purchase',
                 'quantity' => $quantity,
-                'reference_type' => 'manual',
-                'reference_id' => null,
+                'reference_type' => $referenceType,
+                'reference_id' => $referenceId,
                 'created_by' => $createdBy,
                 'notes' => $notes ?? 'Manual stock addition',
             ]);
@@ -166,33 +200,90 @@ public function addStock(
      * @param int $newQuantity New stock quantity
      * @param int $createdBy User ID who created the transaction
      * @param string|null $notes Additional notes
+     * @param int|null $variantId Variant counted (variant products)
+     * @param int|null $locationId Location counted; $newQuantity is then that location's stock
      * @return Product Updated product
      */
     public function adjustStock(
         int $productId,
         int $newQuantity,
         int $createdBy,
-        ?string $notes = null
+        ?string $notes = null,
+        ?int $variantId = null,
+        ?int $locationId = null
     ): Product {
-        return DB::transaction(function () use ($productId, $newQuantity, $createdBy, $notes) {
+        return DB::transaction(function () use ($productId, $newQuantity, $createdBy, $notes, $variantId, $locationId) {
             $product = Product::where('id', $productId)->lockForUpdate()->first();
 
             if (!$product) {
                 throw new \Exception("Product not found");
             }
 
-            $difference = $newQuantity - $product->stock_quantity;
+            $current = $product->stock_quantity;
+            if ($variantId) {
+                $current = DB::table('product_variants')
+                    ->where('id', $variantId)
+                    ->where('product_id', $productId)
+                    ->lockForUpdate()
+                    ->value('stock_quantity');
+
+                if ($current === null) {
+                    throw new \Exception("Variant not found");
+                }
+            }
+
+            if ($locationId) {
+                $current = Location::stockRow($locationId, $productId, $variantId)->quantity ?? 0;
+            }
+
+            $difference = $newQuantity - $current;
 
             if ($difference == 0) {
                 return $product; // No change needed
             }
 
-            // Update stock
-            $product->update(['stock_quantity' => $newQuantity]);
+            return $this->adjustStockBy($productId, $difference, $createdBy, $notes, $variantId, $locationId);
+        });
+    }
+
+    /**
+     * Adjust stock by a difference (corrections worked out earlier, e.g. a
+     * stocktake variance), logged as an adjustment
+     *
+     * Movements since the difference was worked out (sales, returns,
+     * transfers) are kept, unlike adjustStock() which sets the quantity.
+     *
+     * @param int $productId Product ID
+     * @param int $difference Units to add (negative to remove)
+     * @param int $createdBy User ID who created the transaction
+     * @param string|null $notes Additional notes
+     * @param int|null $variantId Variant adjusted (variant products)
+     * @param int|null $locationId Location adjusted (default location when null)
+     * @return Product Updated product
+     */
+    public function adjustStockBy(
+        int $productId,
+        int $difference,
+        int $createdBy,
+        ?string $notes = null,
+        ?int $variantId = null,
+        ?int $locationId = null
+    ): Product {
+        return DB::transaction(function () use ($productId, $difference, $createdBy, $notes, $variantId, $locationId) {
+            $product = Product::where('id', $productId)->lockForUpdate()->first();
+
+            if (!$product) {
+                throw new \Exception("Product not found");
+            }
+
+            // Update stock (variant and product total)
+            Product::adjustStock($productId, $variantId, $difference, $locationId);
 
             // Log transaction
             InventoryTransaction::create([
                 'product_id' => $productId,
+                'variant_id' => $variantId,
+                'location_id' => $locationId ?? Location::defaultId(),
                 'transaction_type' => 'adjustment',
                 'quantity' => $difference,
                 'reference_type' => 'manual',
@@ -202,9 +293,105 @@ public function adjustStock(
             ]);
 
             // Check for low stock alert
-            $this->checkLowStock($product, $createdBy);
+            $product->refresh();
+            if (!$locationId || !$this->checkLowLocationStock($productId, $variantId, $locationId, $createdBy)) {
+                $this->checkLowStock($product, $createdBy);
+            }
 
-            return $product->refresh();
+            return $product;
+        });
+    }
+
+    /**
+     * Record a manual stock movement from the Inventory page
+     * 
+     * - stock_in: goods received (+quantity, logged as purchase)
+     * - stock_out: stock taken out for another reason (-quantity, adjustment)
+     * - set_count: physical count, logs the difference (adjustment)
+     * - write_off: damaged or lost stock (-quantity, write_off)
+     * 
+     * Variant products move stock per variant. Stock moves in or out of
+     * one location, and set_count counts that location's stock.
+     * 
+     * @param int $productId Product ID
+     * @param int|null $variantId Variant ID (required for variant products)
+     * @param string $action One of MOVEMENT_ACTIONS
+     * @param int $quantity Units moved, or the counted stock for set_count
+     * @param string $reason Why the stock changed (stored as notes)
+     * @param int $createdBy User ID who made the movement
+     * @param int|null $locationId Location (null = default)
+     * @return InventoryTransaction
+     * @throws \InvalidArgumentException If the movement isn't possible
+     */
+    public function recordMovement(
+        int $productId,
+        ?int $variantId,
+        string $action,
+        int $quantity,
+        string $reason,
+        int $createdBy,
+        ?int $locationId = null
+    ): InventoryTransaction {
+        return DB::transaction(function () use ($productId, $variantId, $action, $quantity, $reason, $createdBy, $locationId) {
+            $product = Product::where('id', $productId)->lockForUpdate()->first();
+
+            if (!$product) {
+                throw new \InvalidArgumentException('Product not found');
+            }
+
+            $variant = null;
+            if ($variantId) {
+                $variant = DB::table('product_variants')
+                    ->where('id', $variantId)
+                    ->where('product_id', $productId)
+                    ->lockForUpdate()
+                    ->first();
+
+                if (!$variant) {
+                    throw new \InvalidArgumentException("Variant {$variantId} does not belong to {$product->name}");
+                }
+            } elseif ($product->has_variants) {
+                throw new \InvalidArgumentException("Choose a variant of {$product->name}");
+            }
+
+            $locationId = $locationId ?? Location::defaultId();
+            $current = (int) (Location::stockRow($locationId, $productId, $variantId)->quantity ?? 0);
+            $delta = match ($action) {
+                'stock_in' => $quantity,
+                'set_count' => $quantity - $current,
+                default => -$quantity
+            };
+
+            if ($delta === 0) {
+                throw new \InvalidArgumentException("Stock is already {$current}");
+            }
+
+            if ($current + $delta < 0) {
+                throw new \InvalidArgumentException("Only {$current} in stock");
+            }
+
+            Product::adjustStock($productId, $variantId, $delta, $locationId);
+
+            $transaction = InventoryTransaction::create([
+                'product_id' => $productId,
+                'variant_id' => $variantId,
+                'location_id' => $locationId,
+                'transaction_type' => self::MOVEMENT_ACTIONS[$action],
+                'quantity' => $delta,
+                'reference_type' => 'manual',
+                'reference_id' => null,
+                'created_by' => $createdBy,
+                'notes' => $reason,
+            ]);
+
+            // One alert: the location's, else the total's
+            if ($delta < 0
+                && !$this->checkLowLocationStock($productId, $variantId, $locationId, $createdBy)
+                && Product::stockLevel($productId, $variantId)->is_low) {
+                $this->notificationService->notifyLowStock($product->refresh(), $createdBy);
+            }
+
+            return $transaction;
         });
     }
 
@@ -222,6 +409,28 @@ public function checkLowStock(Product $product, ?int $userId = null): void
         }
     }
 
+    /**
+     * Alert when a location's stock of a product or variant is at or
+     * below its threshold
+     * 
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int $locationId
+     * @param int|null $userId User ID to notify (null = all admins)
+     * @return bool Whether an alert was sent
+     */
+    public function checkLowLocationStock(int $productId, ?int $variantId, int $locationId, ?int $userId = null): bool
+    {
+        $level = Product::stockLevel($productId, $variantId, $locationId);
+
+        if (!$level || !$level->is_low) {
+            return false;
+        }
+
+        $this->notificationService->notifyLowLocationStock($level, $userId);
+        return true;
+    }
+
     /**
      * Get low stock products
      * 
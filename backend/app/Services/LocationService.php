@@ -0,0 +1,275 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Location;
+use App\Models\OrderEdit;
+use App\Models\Product;
+use App\Models\ProductVariant;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Location Service
+ *
+ * Stock held at more than one place (warehouse, store):
+ * - Allocates orders to a fulfilment location
+ * - Moves an order's stock when its fulfilment location changes
+ * - Derives each sales channel's sellable stock from the locations it
+ *   ships from
+ *
+ * Transfers between locations live in StockTransferService.
+ */
+class LocationService
+{
+    protected InventoryService $inventoryService;
+
+    public function __construct(InventoryService $inventoryService)
+    {
+        $this->inventoryService = $inventoryService;
+    }
+
+    /**
+     * Locations a channel sells from, in allocation order
+     *
+     * The channel's chosen active locations by priority; all active
+     * locations (default first) when none are chosen.
+     *
+     * @param int|null $channelId
+     * @return array Location IDs
+     */
+    public function locationsFor(?int $channelId): array
+    {
+        if ($channelId) {
+            $chosen = DB::table('channel_locations as cl')
+                ->join('locations as l', 'cl.location_id', '=', 'l.id')
+                ->where('cl.channel_id', $channelId)
+                ->where('l.is_active', true)
+                ->orderBy('cl.priority')
+                ->pluck('l.id')
+                ->all();
+
+            if (!empty($chosen)) {
+                return $chosen;
+            }
+        }
+
+        return DB::table('locations')
+            ->where('is_active', true)
+            ->orderByDesc('is_default')
+            ->orderBy('id')
+            ->pluck('id')
+            ->all();
+    }
+
+    /**
+     * Pick the fulfilment location for an order
+     *
+     * The first of the channel's locations that holds enough of every line
+     * (stock reserved for unpaid orders doesn't count). When none can fill
+     * the whole order, the one that can fill the most lines; its stock may
+     * go negative until stock is transferred in.
+     *
+     * @param int|null $channelId
+     * @param array $lines [{product_id, variant_id, quantity}]
+     * @return int|null Null when there are no active locations
+     */
+    public function allocate(?int $channelId, array $lines): ?int
+    {
+        $locationIds = $this->locationsFor($channelId);
+
+        if (empty($locationIds)) {
+            return Location::defaultId();
+        }
+
+        $stock = DB::table('location_stocks')
+            ->whereIn('location_id', $locationIds)
+            ->whereIn('product_id', array_column($lines, 'product_id'))
+            ->get(['location_id', 'product_id', 'variant_id', 'quantity']);
+
+        $reserved = DB::table('stock_reservations')
+            ->where('status', 'active')
+            ->whereIn('location_id', $locationIds)
+            ->whereIn('product_id', array_column($lines, 'product_id'))
+            ->selectRaw('location_id, product_id, variant_id, SUM(quantity) as quantity')
+            ->groupBy('location_id', 'product_id', 'variant_id')
+            ->get();
+
+        $best = null;
+        $bestFilled = -1;
+
+        foreach ($locationIds as $locationId) {
+            $filled = 0;
+            foreach ($lines as $line) {
+                $matches = fn ($row) => $row->location_id == $locationId
+                    && $row->product_id == $line['product_id']
+                    && $row->variant_id == ($line['variant_id'] ?? null);
+                $held = $stock->first($matches);
+
+                if ($held && $held->quantity - ($reserved->first($matches)->quantity ?? 0) >= $line['quantity']) {
+                    $filled++;
+                }
+            }
+
+            if ($filled === count($lines)) {
+                return $locationId;
+            }
+
+            if ($filled > $bestFilled) {
+                $best = $locationId;
+                $bestFilled = $filled;
+            }
+        }
+
+        return $best;
+    }
+
+    /**
+     * Fulfil an order from another location
+     *
+     * The order's stock goes back to the old location and is taken from the
+     * new one (both logged as transfer movements), and the change shows in
+     * the order's edit history. An unpaid order's reservation just moves.
+     * Only for orders that haven't been packed.
+     *
+     * @param int $orderId
+     * @param int $locationId
+     * @param int $userId
+     * @return void
+     * @throws \InvalidArgumentException If the order can't be moved
+     */
+    public function reallocateOrder(int $orderId, int $locationId, int $userId): void
+    {
+        DB::transaction(function () use ($orderId, $locationId, $userId) {
+            $order = DB::table('orders')->where('id', $orderId)->lockForUpdate()->first();
+
+            if (!$order) {
+                throw new \InvalidArgumentException('Order not found');
+            }
+
+            if (!in_array($order->status, ['pending', 'confirmed', 'processing'])) {
+                throw new \InvalidArgumentException("Orders that are {$order->status} can't change fulfilment location");
+            }
+
+            $location = DB::table('locations')->where('id', $locationId)->where('is_active', true)->first();
+            if (!$location) {
+                throw new \InvalidArgumentException('Location not found or inactive');
+            }
+
+            $fromId = $order->location_id ?? Location::defaultId();
+            if ($fromId == $locationId) {
+                throw new \InvalidArgumentException("Order is already fulfilled from {$location->name}");
+            }
+            $fromName = DB::table('locations')->where('id', $fromId)->value('name');
+
+            $reservations = DB::table('stock_reservations')->where('order_id', $orderId)->where('status', 'active');
+            $reserved = (clone $reservations)->exists();
+            if ($reserved) {
+                $reservations->update(['location_id' => $locationId, 'updated_at' => now()]);
+            }
+
+            foreach ($reserved ? [] : DB::table('order_items')->where('order_id', $orderId)->where('stock_taken', true)->get() as $item) {
+                Product::adjustStock($item->product_id, $item->variant_id, $item->quantity, $fromId);
+                Product::adjustStock($item->product_id, $item->variant_id, -$item->quantity, $locationId);
+
+                foreach ([[$fromId, $item->quantity], [$locationId, -$item->quantity]] as [$movedAt, $quantity]) {
+                    DB::table('inventory_transactions')->insert([
+                        'product_id' => $item->product_id,
+                        'variant_id' => $item->variant_id,
+                        'location_id' => $movedAt,
+                        'transaction_type' => 'transfer',
+                        'quantity' => $quantity,
+                        'reference_type' => 'order',
+                        'reference_id' => $orderId,
+                        'created_by' => $userId,
+                        'notes' => "Fulfilment moved from {$fromName} to {$location->name}",
+                        'created_at' => now()
+                    ]);
+                }
+
+                $this->inventoryService->checkLowLocationStock($item->product_id, $item->variant_id, $locationId, $userId);
+            }
+
+            DB::table('orders')->where('id', $orderId)->update(['location_id' => $locationId, 'updated_at' => now()]);
+
+            OrderEdit::create([
+                'order_id' => $orderId,
+                'changes' => [['field' => 'location_id', 'label' => 'Fulfilment location', 'from' => $fromName, 'to' => $location->name]],
+                'old_total' => $order->total,
+                'new_total' => $order->total,
+                'edited_by' => $userId
+            ]);
+        });
+    }
+
+    /**
+     * Stock a channel can sell: the total held at its locations, less what
+     * unpaid orders have reserved there
+     *
+     * @param int $channelId
+     * @param string|null $search Product name or SKU
+     * @return \Illuminate\Support\Collection [{product_id, variant_id, sku, name, total_stock, channel_stock}]
+     */
+    public function channelStock(int $channelId, ?string $search = null)
+    {
+        $locationIds = implode(',', array_map('intval', $this->locationsFor($channelId) ?: [0]));
+
+        return DB::table('location_stocks as ls')
+            ->join('products as p', 'ls.product_id', '=', 'p.id')
+            ->leftJoin('product_variants as v', 'ls.variant_id', '=', 'v.id')
+            ->where('p.status', '!=', 'inactive')
+            ->when($search, function ($q) use ($search) {
+                $q->where(function ($q) use ($search) {
+                    $q->where('p.name', 'like', "%{$search}%")
+                        ->orWhere('p.sku', 'like', "%{$search}%")
+                        ->orWhere('v.sku', 'like', "%{$search}%");
+                });
+            })
+            ->groupBy('ls.product_id', 'ls.variant_id', 'p.name', 'p.sku', 'v.sku', 'v.options', 'p.stock_quantity', 'v.stock_quantity')
+            ->orderBy('p.sku')
+            ->select(
+                'ls.product_id',
+                'ls.variant_id',
+                'p.name',
+                DB::raw('COALESCE(v.sku, p.sku) as sku'),
+                'v.options as variant_options',
+                DB::raw('COALESCE(v.stock_quantity, p.stock_quantity) as total_stock'),
+                DB::raw("SUM(CASE WHEN ls.location_id IN ({$locationIds}) THEN ls.quantity ELSE 0 END) as channel_stock"),
+                DB::raw("(SELECT COALESCE(SUM(sr.quantity), 0) FROM stock_reservations sr
+                    WHERE sr.status = 'active' AND sr.product_id = ls.product_id
+                    AND (sr.variant_id = ls.variant_id OR (sr.variant_id IS NULL AND ls.variant_id IS NULL))
+                    AND sr.location_id IN ({$locationIds})) as reserved")
+            )
+            ->get()
+            ->map(function ($row) {
+                $row->variant_name = $row->variant_options ? ProductVariant::label($row->variant_options) : null;
+                unset($row->variant_options);
+                $row->total_stock = (int) $row->total_stock;
+                // Negative location stock (oversold) isn't sellable
+                $row->channel_stock = max(0, (int) $row->channel_stock - (int) $row->reserved);
+                unset($row->reserved);
+                return $row;
+            });
+    }
+
+    /**
+     * Choose the locations a channel sells from (in allocation order)
+     *
+     * @param int $channelId
+     * @param array $locationIds Empty means every active location
+     * @return void
+     */
+    public function setChannelLocations(int $channelId, array $locationIds): void
+    {
+        DB::transaction(function () use ($channelId, $locationIds) {
+            DB::table('channel_locations')->where('channel_id', $channelId)->delete();
+
+            foreach (array_values(array_unique($locationIds)) as $priority => $locationId) {
+                DB::table('channel_locations')->insert([
+                    'channel_id' => $channelId,
+                    'location_id' => $locationId,
+                    'priority' => $priority
+                ]);
+            }
+        });
+    }
+}
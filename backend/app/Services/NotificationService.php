@@ -155,6 +155,33 @@ public function notifyLowStock(Product $product, ?int $userId = null): void
         }
     }
 
+    /**
+     * Notify about low stock at one location
+     * 
+     * @param object $level Product::stockLevel() for the location
+     * @param int|null $userId User ID to notify (null = all admins)
+     * @return void
+     */
+    public function notifyLowLocationStock($level, ?int $userId = null): void
+    {
+        try {
+            $userIds = $userId ? [$userId] : $this->getAdminUserIds();
+
+            foreach ($userIds as $uid) {
+                Notification::create([
+                    'user_id' => $uid,
+                    'title' => '⚠️ Low Stock Alert',
+                    'message' => "Product '{$level->name}' (SKU: {$level->sku}) is running low at {$level->location}. Current stock: {$level->stock_quantity}",
+                    'type' => 'warning',
+                    'is_read' => false,
+                    'action_url' => '/locations',
+                ]);
+            }
+        } catch (\Exception $e) {
+            Log::error("Failed to send low stock notification: {$e->getMessage()}");
+        }
+    }
+
     /**
      * Notify about critical low stock
      * 
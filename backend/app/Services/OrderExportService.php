@@ -0,0 +1,236 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Order;
+use App\Models\User;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Order Export Service
+ *
+ * Builds order exports for every order matching the list filters
+ * - CSV (RFC 4180 quoting, CRLF line endings, UTF-8 BOM for Excel)
+ * - XLSX (single worksheet, written without external libraries)
+ * - Optional line-item expansion: one row per order item
+ */
+class OrderExportService
+{
+    /**
+     * Exports above this many rows are queued instead of streamed
+     */
+    public const SYNC_ROW_LIMIT = 2000;
+
+    /**
+     * Rows fetched per query while exporting
+     */
+    private const CHUNK_SIZE = 500;
+
+    private const ORDER_COLUMNS = [
+        'Order Number', 'Date', 'Customer', 'Email', 'Channel', 'Status', 'Payment Status',
+        'Payment Method', 'Subtotal (RM)', 'Discount (RM)', 'Shipping (RM)', 'Tax (RM)', 'Total (RM)', 'Courier', 'Tracking Number', 'Shipped At'
+    ];
+
+    private const ITEM_COLUMNS = ['SKU', 'Product', 'Qty', 'Unit Price (RM)', 'Line Total (RM)', 'Profit (RM)'];
+
+    /**
+     * Count the rows an export would produce
+     *
+     * @param array $filters Same filters as GET /orders
+     * @param User $user User requesting the export (for role scoping)
+     * @param bool $includeItems Expand to one row per order item
+     * @return int
+     */
+    public function countRows(array $filters, User $user, bool $includeItems): int
+    {
+        $query = Order::applyListFilters(DB::table('orders as o'), $filters, $user);
+
+        if ($includeItems) {
+            $query->join('order_items as oi', 'oi.order_id', '=', 'o.id');
+        }
+
+        return $query->count();
+    }
+
+    /**
+     * Yield the header row followed by one row per order (or order item)
+     *
+     * @param array $filters
+     * @param User $user
+     * @param bool $includeItems
+     * @return \Generator
+     */
+    public function rows(array $filters, User $user, bool $includeItems): \Generator
+    {
+        yield $includeItems ? array_merge(self::ORDER_COLUMNS, self::ITEM_COLUMNS) : self::ORDER_COLUMNS;
+
+        $query = DB::table('orders as o')
+            ->leftJoin('customers as c', 'o.customer_id', '=', 'c.id')
+            ->leftJoin('sales_channels as sc', 'o.channel_id', '=', 'sc.id')
+            ->select(
+                'o.id',
+                'o.order_number',
+                'o.created_at',
+                'c.full_name as customer_name',
+                'c.email as customer_email',
+                'sc.name as channel_name',
+                'o.status',
+                'o.payment_status',
+                'o.payment_method',
+                'o.subtotal',
+                'o.discount',
+                'o.shipping_fee',
+                'o.tax',
+                'o.total',
+                'o.courier',
+                'o.tracking_number',
+                'o.shipped_at'
+            );
+
+        Order::applyListFilters($query, $filters, $user);
+
+        $query->orderBy('o.created_at', 'desc')->orderBy('o.id', 'desc');
+
+        if ($includeItems) {
+            $query->join('order_items as oi', 'oi.order_id', '=', 'o.id')
+                ->addSelect('oi.sku', 'oi.product_name', 'oi.quantity', 'oi.price', 'oi.subtotal as line_total', 'oi.profit')
+                ->orderBy('oi.id');
+        }
+
+        foreach ($query->lazy(self::CHUNK_SIZE) as $row) {
+            $line = [
+                $row->order_number,
+                date('Y-m-d H:i', strtotime($row->created_at)),
+                $row->customer_name,
+                $row->customer_email,
+                $row->channel_name,
+                $row->status,
+                $row->payment_status,
+                $row->payment_method,
+                (float) $row->subtotal,
+                (float) $row->discount,
+                (float) $row->shipping_fee,
+                (float) $row->tax,
+                (float) $row->total,
+                CourierTrackingService::COURIERS[$row->courier] ?? $row->courier,
+                $row->tracking_number,
+                $row->shipped_at ? date('Y-m-d H:i', strtotime($row->shipped_at)) : null,
+            ];
+
+            if ($includeItems) {
+                array_push($line, $row->sku, $row->product_name, (int) $row->quantity, (float) $row->price, (float) $row->line_total, (float) $row->profit);
+            }
+
+            yield $line;
+        }
+    }
+
+    /**
+     * Write rows as RFC 4180 CSV
+     *
+     * @param resource $handle Writable stream
+     * @param iterable $rows
+     * @return int Data rows written (header excluded)
+     */
+    public function writeCsv($handle, iterable $rows): int
+    {
+        // BOM so Excel opens UTF-8 names (e.g. accented or Chinese) correctly
+        fwrite($handle, "\xEF\xBB\xBF");
+
+        $count = -1;
+        foreach ($rows as $row) {
+            fputcsv($handle, $row, ',', '"', '', "\r\n");
+            $count++;
+        }
+
+        return max($count, 0);
+    }
+
+    /**
+     * Write rows as a single-sheet XLSX workbook
+     *
+     * @param string $path Destination file
+     * @param iterable $rows
+     * @return int Data rows written (header excluded)
+     */
+    public function writeXlsx(string $path, iterable $rows): int
+    {
+        // Sheet XML is streamed to a temp file so memory stays flat on large exports
+        $sheetPath = tempnam(sys_get_temp_dir(), 'xlsx');
+        $sheet = fopen($sheetPath, 'w');
+        fwrite($sheet, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+
+        $count = 0;
+        foreach ($rows as $row) {
+            $count++;
+            fwrite($sheet, '<row r="' . $count . '">');
+            foreach (array_values($row) as $i => $value) {
+                $ref = $this->columnLetter($i) . $count;
+                if (is_int($value) || is_float($value)) {
+                    fwrite($sheet, '<c r="' . $ref . '"><v>' . $value . '</v></c>');
+                } elseif ($value !== null && $value !== '') {
+                    $text = htmlspecialchars((string) $value, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+                    fwrite($sheet, '<c r="' . $ref . '" t="inlineStr"><is><t xml:space="preserve">' . $text . '</t></is></c>');
+                }
+            }
+            fwrite($sheet, '</row>');
+        }
+
+        fwrite($sheet, '</sheetData></worksheet>');
+        fclose($sheet);
+
+        $zip = new \ZipArchive();
+        $zip->open($path, \ZipArchive::CREATE | \ZipArchive::OVERWRITE);
+        $zip->addFromString('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            . '</Types>');
+        $zip->addFromString('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>');
+        $zip->addFromString('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets><sheet name="Orders" sheetId="1" r:id="rId1"/></sheets></workbook>');
+        $zip->addFromString('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            . '</Relationships>');
+        $zip->addFile($sheetPath, 'xl/worksheets/sheet1.xml');
+        $zip->close();
+
+        unlink($sheetPath);
+
+        return max($count - 1, 0);
+    }
+
+    /**
+     * Download file name for an export
+     *
+     * @param string $format csv|xlsx
+     * @return string
+     */
+    public function filename(string $format): string
+    {
+        return 'Orders_' . now()->format('Ymd_His') . '.' . $format;
+    }
+
+    /**
+     * Convert a zero-based column index to a spreadsheet column (0 => A, 26 => AA)
+     *
+     * @param int $index
+     * @return string
+     */
+    private function columnLetter(int $index): string
+    {
+        $letter = '';
+        for ($index++; $index > 0; $index = intdiv($index - 1, 26)) {
+            $letter = chr(65 + ($index - 1) % 26) . $letter;
+        }
+        return $letter;
+    }
+}
@@ -210,8 +210,8 @@ public function updateStatus(Order $order, string $newStatus, array $data, $user
                     );
                 }
 
-                // Reject commissions
-                $this->commissionService->rejectCommissionsForOrder($order->id);
+                // Cancel commissions
+                $this->commissionService->cancelCommissionsForOrder($order->id, "Order {$newStatus}");
             }
 
             // Update order status
@@ -254,9 +254,9 @@ public function updatePaymentStatus(Order $order, string $paymentStatus, $user):
                 $this->commissionService->approveCommissionsForOrder($order->id, $user->id);
             }
             
-            // Reject commissions if refunded
+            // Cancel commissions if refunded
             if ($paymentStatus === 'refunded') {
-                $this->commissionService->rejectCommissionsForOrder($order->id);
+                $this->commissionService->cancelCommissionsForOrder($order->id, 'Payment refunded');
             }
 
             return $order->fresh();
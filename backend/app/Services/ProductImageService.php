@@ -0,0 +1,261 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\ProductImage;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Storage;
+
+/**
+ * Product Image Service
+ *
+ * Keeps a product's gallery (product_images) and its image_url in step:
+ * - Uploads are stored on the public disk under products/{id}
+ * - Exactly one image is primary; the first one when none is chosen
+ * - products.image_url always holds the primary image's URL, so carts,
+ *   order items and channel syncs that show a single image keep working
+ *
+ * A product whose image_url was set before it had a gallery (CSV import,
+ * API) gets that URL as its first gallery image once the gallery changes.
+ */
+class ProductImageService
+{
+    /**
+     * Most images a product can hold
+     */
+    public const MAX_IMAGES = 12;
+
+    /**
+     * Add uploaded files and/or a hosted image URL to a product's gallery
+     *
+     * New images go to the end of the gallery. The product row is locked so
+     * uploads running side by side can't both pass the MAX_IMAGES check or
+     * take the same positions; files already stored are deleted again if
+     * the gallery can't be saved.
+     *
+     * @param int $productId
+     * @param UploadedFile[] $files
+     * @param string|null $url Image hosted elsewhere
+     * @return \Illuminate\Support\Collection The product's gallery (see ProductImage::forProducts)
+     * @throws \InvalidArgumentException If the gallery would go over MAX_IMAGES
+     */
+    public function add(int $productId, array $files, ?string $url = null)
+    {
+        $stored = [];
+
+        try {
+            return DB::transaction(function () use ($productId, $files, $url, &$stored) {
+                $product = DB::table('products')->where('id', $productId)->lockForUpdate()->first();
+                $this->adoptImageUrl($product);
+
+                $count = DB::table('product_images')->where('product_id', $productId)->count();
+                if ($count + count($files) + ($url ? 1 : 0) > self::MAX_IMAGES) {
+                    throw new \InvalidArgumentException('A product can have at most ' . self::MAX_IMAGES . ' images');
+                }
+
+                $position = (int) DB::table('product_images')->where('product_id', $productId)->max('position') + ($count > 0 ? 1 : 0);
+
+                foreach ($files as $file) {
+                    $path = $file->store("products/{$productId}", 'public');
+                    if ($path === false) {
+                        throw new \RuntimeException("Could not store {$file->getClientOriginalName()}");
+                    }
+                    $stored[] = $path;
+
+                    ProductImage::create([
+                        'product_id' => $productId,
+                        'path' => $path,
+                        'alt_text' => $product->name,
+                        'position' => $position++
+                    ]);
+                }
+
+                if ($url) {
+                    ProductImage::create([
+                        'product_id' => $productId,
+                        'url' => $url,
+                        'alt_text' => $product->name,
+                        'position' => $position
+                    ]);
+                }
+
+                $this->syncPrimary($productId);
+
+                return $this->gallery($productId);
+            });
+        } catch (\Throwable $e) {
+            Storage::disk('public')->delete($stored);
+            throw $e;
+        }
+    }
+
+    /**
+     * Reorder a product's gallery, set alt texts and choose the primary image
+     *
+     * @param int $productId
+     * @param array $images [{id, alt_text?}] Every image of the product, in display order
+     * @param int|null $primaryId Keeps the current primary image when null
+     * @return \Illuminate\Support\Collection The product's gallery
+     * @throws \InvalidArgumentException If the list doesn't match the product's images
+     */
+    public function sync(int $productId, array $images, ?int $primaryId = null)
+    {
+        $ids = DB::table('product_images')->where('product_id', $productId)->pluck('id')->map(fn ($id) => (int) $id)->sort()->values();
+        $given = collect($images)->pluck('id')->map(fn ($id) => (int) $id);
+
+        if ($given->sort()->values()->all() !== $ids->all()) {
+            throw new \InvalidArgumentException('Image list does not match the product\'s images');
+        }
+        if ($primaryId && !$ids->contains($primaryId)) {
+            throw new \InvalidArgumentException('Primary image does not belong to this product');
+        }
+
+        foreach (array_values($images) as $position => $image) {
+            $updates = ['position' => $position, 'updated_at' => now()];
+            if (array_key_exists('alt_text', $image)) {
+                $updates['alt_text'] = $image['alt_text'];
+            }
+            if ($primaryId) {
+                $updates['is_primary'] = (int) $image['id'] === $primaryId;
+            }
+
+            DB::table('product_images')->where('id', $image['id'])->update($updates);
+        }
+
+        $this->syncPrimary($productId);
+
+        return $this->gallery($productId);
+    }
+
+    /**
+     * Make a URL set directly on products.image_url (product form API, CSV
+     * import) the primary gallery image
+     *
+     * Products without a gallery need nothing: their image_url is shown as
+     * is. A cleared image_url is put back to the primary image's, since
+     * gallery images are removed one by one.
+     *
+     * @param int $productId
+     * @param string|null $url
+     * @return void
+     */
+    public function useImageUrl(int $productId, ?string $url): void
+    {
+        $images = DB::table('product_images')->where('product_id', $productId)->get();
+        if ($images->isEmpty()) {
+            return;
+        }
+
+        if ($url) {
+            $image = $images->first(fn ($image) => ProductImage::publicUrl($image) === $url);
+            $imageId = $image ? $image->id : DB::table('product_images')->insertGetId([
+                'product_id' => $productId,
+                'url' => $url,
+                'alt_text' => DB::table('products')->where('id', $productId)->value('name'),
+                'position' => $images->max('position') + 1,
+                'created_at' => now(),
+                'updated_at' => now()
+            ]);
+
+            DB::table('product_images')->where('product_id', $productId)->update(['is_primary' => false]);
+            DB::table('product_images')->where('id', $imageId)->update(['is_primary' => true]);
+        }
+
+        $this->syncPrimary($productId);
+    }
+
+    /**
+     * Remove an image (and its file) from a product's gallery
+     *
+     * @param int $productId
+     * @param int $imageId
+     * @return \Illuminate\Support\Collection The product's gallery
+     * @throws \InvalidArgumentException If the image isn't the product's
+     */
+    public function delete(int $productId, int $imageId)
+    {
+        $image = DB::table('product_images')->where('id', $imageId)->where('product_id', $productId)->first();
+        if (!$image) {
+            throw new \InvalidArgumentException('Image not found');
+        }
+
+        DB::table('product_images')->where('id', $imageId)->delete();
+
+        if ($image->path) {
+            Storage::disk('public')->delete($image->path);
+        }
+
+        $this->syncPrimary($productId);
+
+        return $this->gallery($productId);
+    }
+
+    /**
+     * Remove the uploaded files of a product being deleted
+     *
+     * The rows go with the product (foreign key cascade).
+     *
+     * @param int $productId
+     * @return void
+     */
+    public function deleteFiles(int $productId): void
+    {
+        Storage::disk('public')->deleteDirectory("products/{$productId}");
+    }
+
+    /**
+     * Gallery of one product
+     *
+     * @param int $productId
+     * @return \Illuminate\Support\Collection
+     */
+    public function gallery(int $productId)
+    {
+        $product = DB::table('products')->where('id', $productId)->first();
+
+        return ProductImage::forProducts([$product])->get($productId, collect());
+    }
+
+    /**
+     * Turn an image_url set before the product had a gallery into its first image
+     *
+     * @param object $product
+     * @return void
+     */
+    private function adoptImageUrl($product): void
+    {
+        if (!$product->image_url || DB::table('product_images')->where('product_id', $product->id)->exists()) {
+            return;
+        }
+
+        ProductImage::create([
+            'product_id' => $product->id,
+            'url' => $product->image_url,
+            'alt_text' => $product->name,
+            'position' => 0,
+            'is_primary' => true
+        ]);
+    }
+
+    /**
+     * Make sure one image is primary and copy its URL to products.image_url
+     *
+     * @param int $productId
+     * @return void
+     */
+    private function syncPrimary(int $productId): void
+    {
+        $images = DB::table('product_images')->where('product_id', $productId)->orderBy('position')->orderBy('id')->get();
+        $primary = $images->firstWhere('is_primary', true) ?? $images->first();
+
+        if ($primary && !$primary->is_primary) {
+            DB::table('product_images')->where('id', $primary->id)->update(['is_primary' => true]);
+        }
+
+        DB::table('products')->where('id', $productId)->update([
+            'image_url' => $primary ? ProductImage::publicUrl($primary) : null,
+            'updated_at' => now()
+        ]);
+    }
+}
@@ -0,0 +1,311 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Location;
+use App\Models\Product;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Product Import Service
+ *
+ * Bulk catalogue create/update from CSV rows (already mapped to product
+ * fields), matched by SKU:
+ * - Known product SKU: update the filled-in columns
+ * - Known variant SKU: update that variant's price, cost and stock
+ * - Unknown or blank SKU: create a product (blank SKUs are generated)
+ *
+ * Stock changes are booked against the default location.
+ */
+class ProductImportService
+{
+    /**
+     * Product fields an import row can fill
+     */
+    public const IMPORT_FIELDS = ['sku', 'name', 'category', 'price', 'cost_price', 'stock_quantity', 'low_stock_threshold', 'status', 'image_url'];
+
+    /**
+     * Import product rows
+     *
+     * Blank cells keep the current value on updates. Rows use the same checks
+     * as the product form: cost must be below the selling price, image URLs
+     * must be valid and SKUs may only hold letters, numbers and hyphens.
+     * Stock changes on existing SKUs are logged as manual adjustments.
+     * Nothing is written on a dry run.
+     *
+     * @param array $rows [{line, sku, name, category, price, ...}]
+     * @param bool $dryRun
+     * @param int $userId User recorded on stock adjustments
+     * @return array ['summary' => [create, update, invalid], 'rows' => [{line, action, sku, product_id, errors}]]
+     */
+    public function import(array $rows, bool $dryRun, int $userId): array
+    {
+        $apply = function () use ($rows, $dryRun, $userId) {
+            $summary = ['create' => 0, 'update' => 0, 'invalid' => 0];
+            $results = [];
+            $seenSkus = [];
+            $generatedSkus = [];
+            $categories = DB::table('categories')->get();
+
+            foreach ($rows as $index => $row) {
+                $line = $row['line'] ?? $index + 2;
+                $data = $this->cleanRow($row);
+                $result = ['line' => $line, 'action' => 'create', 'sku' => $data['sku'], 'product_id' => null, 'errors' => []];
+
+                $validator = Validator::make($data, [
+                    'sku' => ['nullable', 'string', 'min:3', 'max:50', 'regex:/^[A-Z0-9-]+$/'],
+                    'name' => 'nullable|string|max:200',
+                    'category' => 'nullable|string',
+                    'price' => 'nullable|numeric|min:0',
+                    'cost_price' => 'nullable|numeric|min:0',
+                    'stock_quantity' => 'nullable|integer|min:0',
+                    'low_stock_threshold' => 'nullable|integer|min:0',
+                    'status' => 'nullable|in:active,out_of_stock,inactive',
+                    'image_url' => 'nullable|url'
+                ], [
+                    'sku.regex' => 'SKU can only contain letters, numbers, and hyphens'
+                ]);
+
+                $errors = $validator->fails() ? $validator->errors()->all() : [];
+
+                if (empty($errors) && $data['sku'] && isset($seenSkus[$data['sku']])) {
+                    $errors[] = "Duplicate of line {$seenSkus[$data['sku']]} in this file";
+                }
+
+                $categoryId = null;
+                if (empty($errors) && $data['category'] !== null) {
+                    $categoryId = $this->findCategory($categories, $data['category']);
+                    if (!$categoryId) {
+                        $errors[] = "Unknown category {$data['category']}";
+                    }
+                }
+
+                $product = null;
+                $variant = null;
+                if (empty($errors) && $data['sku']) {
+                    $product = DB::table('products')->where('sku', $data['sku'])->first();
+                    if (!$product && ($variant = DB::table('product_variants')->where('sku', $data['sku'])->first())) {
+                        $product = DB::table('products')->where('id', $variant->product_id)->first();
+                    }
+                }
+
+                if (empty($errors)) {
+                    $errors = $product
+                        ? $this->updateErrors($data, $product, $variant)
+                        : $this->createErrors($data);
+                }
+
+                if (!empty($errors)) {
+                    $result['action'] = 'invalid';
+                    $result['errors'] = $errors;
+                    $summary['invalid']++;
+                    $results[] = $result;
+                    continue;
+                }
+
+                if ($product) {
+                    $result['action'] = 'update';
+                    $result['product_id'] = $product->id;
+
+                    if (!$dryRun) {
+                        $this->applyUpdate($data, $categoryId, $product, $variant, $userId);
+                    }
+                } else {
+                    if (!$data['sku']) {
+                        $data['sku'] = Product::nextSku($categoryId, $generatedSkus);
+                        $generatedSkus[] = $data['sku'];
+                        $result['sku'] = $data['sku'];
+                    }
+
+                    if (!$dryRun) {
+                        $result['product_id'] = DB::table('products')->insertGetId([
+                            'category_id' => $categoryId,
+                            'sku' => $data['sku'],
+                            'name' => $data['name'],
+                            'price' => $data['price'],
+                            'cost_price' => $data['cost_price'] ?? 0,
+                            'stock_quantity' => $data['stock_quantity'] ?? 0,
+                            'low_stock_threshold' => $data['low_stock_threshold'] ?? 10,
+                            'image_url' => $data['image_url'],
+                            'status' => $data['status'] ?? 'active',
+                            'created_at' => now(),
+                            'updated_at' => now()
+                        ]);
+                        Location::reconcile($result['product_id']);
+                    }
+                }
+
+                $seenSkus[$result['sku']] = $line;
+                $summary[$result['action']]++;
+                $results[] = $result;
+            }
+
+            return ['summary' => $summary, 'rows' => $results];
+        };
+
+        return $dryRun ? $apply() : DB::transaction($apply);
+    }
+
+    /**
+     * Checks for a row that creates a product
+     *
+     * @param array $data
+     * @return array Error messages
+     */
+    private function createErrors(array $data): array
+    {
+        $errors = [];
+
+        foreach (['name' => 'Name', 'category' => 'Category', 'price' => 'Price'] as $field => $label) {
+            if ($data[$field] === null) {
+                $errors[] = "{$label} is required for a new product";
+            }
+        }
+
+        if ($data['price'] !== null && (float) $data['price'] <= 0) {
+            $errors[] = 'Price must be greater than 0';
+        }
+
+        if ($data['price'] !== null && $data['cost_price'] !== null && (float) $data['cost_price'] >= (float) $data['price']) {
+            $errors[] = 'Cost price must be lower than selling price';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Checks for a row that updates a product or variant, against the
+     * values it will end up with
+     *
+     * @param array $data
+     * @param object $product
+     * @param object|null $variant
+     * @return array Error messages
+     */
+    private function updateErrors(array $data, $product, $variant): array
+    {
+        $errors = [];
+
+        if ($data['price'] !== null && (float) $data['price'] <= 0) {
+            $errors[] = 'Price must be greater than 0';
+        }
+
+        if ($variant) {
+            $price = $data['price'] ?? $variant->price ?? $product->price;
+            $cost = $data['cost_price'] ?? $variant->cost_price ?? $product->cost_price;
+        } else {
+            $price = $data['price'] ?? $product->price;
+            $cost = $data['cost_price'] ?? $product->cost_price;
+
+            // Stock of a variant product is the total of its variants
+            if ($product->has_variants && $data['stock_quantity'] !== null) {
+                $errors[] = "{$product->sku} has variants, import stock against the variant SKUs";
+            }
+        }
+
+        if ((float) $cost > 0 && (float) $cost >= (float) $price) {
+            $errors[] = 'Cost price must be lower than selling price';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Write an update row. Variant rows only change the variant's price,
+     * cost and stock; the other columns belong to the parent product.
+     *
+     * @param array $data
+     * @param int|null $categoryId
+     * @param object $product
+     * @param object|null $variant
+     * @param int $userId
+     * @return void
+     */
+    private function applyUpdate(array $data, ?int $categoryId, $product, $variant, int $userId): void
+    {
+        $fields = $variant
+            ? ['price', 'cost_price']
+            : ['name', 'price', 'cost_price', 'low_stock_threshold', 'status', 'image_url'];
+
+        $updates = array_filter(array_intersect_key($data, array_flip($fields)), fn ($value) => $value !== null);
+
+        if (!$variant && $categoryId) {
+            $updates['category_id'] = $categoryId;
+        }
+
+        if (!empty($updates)) {
+            DB::table($variant ? 'product_variants' : 'products')
+                ->where('id', $variant ? $variant->id : $product->id)
+                ->update(array_merge($updates, ['updated_at' => now()]));
+        }
+
+        if (isset($updates['image_url'])) {
+            app(ProductImageService::class)->useImageUrl($product->id, $updates['image_url']);
+        }
+
+        if ($data['stock_quantity'] === null) {
+            return;
+        }
+
+        $delta = (int) $data['stock_quantity'] - ($variant ? $variant->stock_quantity : $product->stock_quantity);
+        if ($delta === 0) {
+            return;
+        }
+
+        Product::adjustStock($product->id, $variant->id ?? null, $delta);
+
+        DB::table('inventory_transactions')->insert([
+            'product_id' => $product->id,
+            'variant_id' => $variant->id ?? null,
+            'location_id' => Location::defaultId(),
+            'transaction_type' => 'adjustment',
+            'quantity' => $delta,
+            'reference_type' => 'manual',
+            'reference_id' => null,
+            'created_by' => $userId,
+            'notes' => 'CSV import',
+            'created_at' => now()
+        ]);
+    }
+
+    /**
+     * Category by id, name or slug (case-insensitive)
+     *
+     * @param \Illuminate\Support\Collection $categories
+     * @param string $value
+     * @return int|null
+     */
+    private function findCategory($categories, string $value): ?int
+    {
+        $key = strtolower($value);
+
+        $category = $categories->first(fn ($category) => (string) $category->id === $value
+            || strtolower($category->name) === $key
+            || strtolower($category->slug) === $key);
+
+        return $category->id ?? null;
+    }
+
+    /**
+     * @param array $row
+     * @return array Import fields, blanks as null, SKU and status normalised
+     */
+    private function cleanRow(array $row): array
+    {
+        $data = [];
+        foreach (self::IMPORT_FIELDS as $field) {
+            $value = trim((string) ($row[$field] ?? ''));
+            $data[$field] = $value === '' ? null : $value;
+        }
+
+        if ($data['sku'] !== null) {
+            $data['sku'] = strtoupper($data['sku']);
+        }
+        if ($data['status'] !== null) {
+            $data['status'] = strtolower(str_replace(' ', '_', $data['status']));
+        }
+
+        return $data;
+    }
+}
@@ -0,0 +1,199 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Location;
+use App\Models\ProductVariant;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Product Variant Service
+ *
+ * Keeps a product's variant matrix (e.g. size x colour) in step with the
+ * variant editor:
+ * - Creates, updates and retires variants
+ * - Generates variant SKUs from the product SKU (FASH-001-M-RED)
+ * - Rolls variant stock up into the product's stock_quantity
+ *
+ * Stock set here is booked against the default location (see
+ * Location::reconcile).
+ */
+class ProductVariantService
+{
+    /**
+     * Replace a product's variants with the given list
+     *
+     * Rows with an id update that variant, rows without one are created.
+     * Variants left out are deleted, or deactivated when order items still
+     * reference them. An empty list turns the product back into a single SKU.
+     * When $userId is given, stock changes are logged to the stock ledger.
+     *
+     * @param int $productId
+     * @param array $options Option axes [{name, values: [...]}]
+     * @param array $variants [{id?, options: {axis: value}, sku?, price?, cost_price?, stock_quantity, is_active?}]
+     * @param int|null $userId User recorded on stock adjustments
+     * @return \Illuminate\Support\Collection The product's variants (see ProductVariant::forProducts)
+     * @throws \InvalidArgumentException If a SKU is taken or an option combination repeats
+     */
+    public function sync(int $productId, array $options, array $variants, ?int $userId = null)
+    {
+        return DB::transaction(function () use ($productId, $options, $variants, $userId) {
+            $product = DB::table('products')->where('id', $productId)->lockForUpdate()->first();
+
+            if (!$product) {
+                throw new \InvalidArgumentException('Product not found');
+            }
+
+            $existing = DB::table('product_variants')->where('product_id', $productId)->get()->keyBy('id');
+            $keptIds = [];
+            $seen = [];
+
+            foreach ($variants as $row) {
+                $values = array_filter(
+                    array_map(fn ($value) => trim((string) $value), $row['options'] ?? []),
+                    fn ($value) => $value !== ''
+                );
+                $label = ProductVariant::label($values);
+
+                if ($label === '') {
+                    throw new \InvalidArgumentException('Every variant needs at least one option value');
+                }
+
+                if (isset($seen[$label])) {
+                    throw new \InvalidArgumentException("Variant {$label} is listed more than once");
+                }
+                $seen[$label] = true;
+
+                $current = null;
+                if (!empty($row['id'])) {
+                    $current = $existing->get($row['id']);
+                    if (!$current) {
+                        throw new \InvalidArgumentException("Variant {$row['id']} does not belong to this product");
+                    }
+                }
+
+                $sku = strtoupper(trim((string) ($row['sku'] ?? '')));
+                if ($sku === '') {
+                    $sku = $current->sku ?? $this->generateSku($product->sku, $values);
+                } elseif ($this->skuTaken($sku, $current->id ?? null)) {
+                    throw new \InvalidArgumentException("SKU {$sku} is already in use");
+                }
+
+                $data = [
+                    'sku' => $sku,
+                    'options' => json_encode($values),
+                    'price' => $this->money($row['price'] ?? null),
+                    'cost_price' => $this->money($row['cost_price'] ?? null),
+                    'stock_quantity' => (int) ($row['stock_quantity'] ?? 0),
+                    'is_active' => (bool) ($row['is_active'] ?? true),
+                    'updated_at' => now()
+                ];
+
+                if ($current) {
+                    DB::table('product_variants')->where('id', $current->id)->update($data);
+                    $keptIds[] = $current->id;
+                } else {
+                    $keptIds[] = DB::table('product_variants')->insertGetId(array_merge($data, [
+                        'product_id' => $productId,
+                        'created_at' => now()
+                    ]));
+                }
+
+                $stockChange = $data['stock_quantity'] - ($current->stock_quantity ?? 0);
+                if ($userId && $stockChange !== 0) {
+                    DB::table('inventory_transactions')->insert([
+                        'product_id' => $productId,
+                        'variant_id' => end($keptIds),
+                        'location_id' => Location::defaultId(),
+                        'transaction_type' => 'adjustment',
+                        'quantity' => $stockChange,
+                        'reference_type' => 'manual',
+                        'reference_id' => null,
+                        'created_by' => $userId,
+                        'notes' => $current ? 'Stock edited in variant editor' : 'Opening stock of new variant',
+                        'created_at' => now()
+                    ]);
+                }
+            }
+
+            foreach ($existing as $id => $variant) {
+                if (in_array($id, $keptIds)) {
+                    continue;
+                }
+
+                // Sold variants stay for order history but can't be sold again
+                if (DB::table('order_items')->where('variant_id', $id)->exists()) {
+                    DB::table('product_variants')->where('id', $id)->update(['is_active' => false, 'updated_at' => now()]);
+                } else {
+                    DB::table('product_variants')->where('id', $id)->delete();
+                }
+            }
+
+            $hasVariants = !empty($keptIds);
+            $update = [
+                'variant_options' => $hasVariants ? json_encode(array_values($options)) : null,
+                'has_variants' => $hasVariants,
+                'updated_at' => now()
+            ];
+
+            if ($hasVariants) {
+                $update['stock_quantity'] = (int) DB::table('product_variants')->where('product_id', $productId)->sum('stock_quantity');
+            }
+
+            DB::table('products')->where('id', $productId)->update($update);
+
+            return ProductVariant::forProducts([$productId])->get($productId, collect());
+        });
+    }
+
+    /**
+     * Variant SKU from the product SKU and option values, e.g. FASH-001-M-RED
+     *
+     * @param string $productSku
+     * @param array $values
+     * @return string
+     */
+    private function generateSku(string $productSku, array $values): string
+    {
+        $suffix = implode('-', array_map(
+            fn ($value) => strtoupper(preg_replace('/[^A-Za-z0-9]/', '', $value)),
+            array_values($values)
+        ));
+        $base = substr(rtrim("{$productSku}-{$suffix}", '-'), 0, 45);
+
+        $sku = $base;
+        for ($n = 2; $this->skuTaken($sku); $n++) {
+            $sku = "{$base}-{$n}";
+        }
+
+        return $sku;
+    }
+
+    /**
+     * Variant SKUs share one namespace with product SKUs (webhook matching)
+     *
+     * @param string $sku
+     * @param int|null $ignoreVariantId
+     * @return bool
+     */
+    private function skuTaken(string $sku, ?int $ignoreVariantId = null): bool
+    {
+        if (DB::table('products')->where('sku', $sku)->exists()) {
+            return true;
+        }
+
+        return DB::table('product_variants')
+            ->where('sku', $sku)
+            ->when($ignoreVariantId, fn ($q) => $q->where('id', '!=', $ignoreVariantId))
+            ->exists();
+    }
+
+    /**
+     * @param mixed $value
+     * @return float|null Blank means "use the product's"
+     */
+    private function money($value): ?float
+    {
+        return $value === null || $value === '' ? null : round((float) $value, 2);
+    }
+}
@@ -0,0 +1,374 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Location;
+use App\Models\ProductVariant;
+use App\Models\PurchaseOrder;
+use App\Models\Supplier;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Purchase Order Service
+ *
+ * Replenishment from low-stock data:
+ * - Suggestions: what to reorder, from recent sales velocity, the low
+ *   stock threshold and the supplier's lead time
+ * - Purchase orders: suggestions grouped per supplier, received in one go
+ *   or in parts. Received stock is booked through InventoryService::addStock
+ *   as purchase movements.
+ */
+class PurchaseOrderService
+{
+    /**
+     * Statuses still waiting for stock (counted as on order)
+     */
+    public const OPEN_STATUSES = ['ordered', 'partial'];
+
+    protected InventoryService $inventoryService;
+
+    public function __construct(InventoryService $inventoryService)
+    {
+        $this->inventoryService = $inventoryService;
+    }
+
+    /**
+     * Reorder suggestions for active products and variants
+     *
+     * Daily sales are the units sold over the last $days (cancelled and
+     * refunded orders aside). An item needs reordering once its stock plus
+     * what is already on order is at or below the reorder point: the low
+     * stock threshold plus the sales expected during the lead time. The
+     * suggested quantity tops it back up to the reorder point plus another
+     * $days of sales.
+     *
+     * @param int $days Sales window in days
+     * @param int $leadTimeDays Lead time for suppliers without their own
+     * @param int|null $supplierId Only items whose preferred supplier this is
+     * @return \Illuminate\Support\Collection [{product_id, variant_id, name, variant_name, sku, stock_quantity, on_order, low_stock_threshold, sold, daily_sales, days_of_stock, lead_time_days, suggested_quantity, supplier_id, supplier_name, currency, supplier_sku, unit_cost}]
+     */
+    public function suggestions(int $days, int $leadTimeDays, ?int $supplierId = null)
+    {
+        $sold = DB::table('order_items as oi')
+            ->join('orders as o', 'oi.order_id', '=', 'o.id')
+            ->where('o.created_at', '>=', now()->subDays($days))
+            ->whereNotIn('o.status', ['cancelled', 'refunded'])
+            ->groupBy('oi.product_id', 'oi.variant_id')
+            ->select('oi.product_id', 'oi.variant_id', DB::raw('SUM(oi.quantity) as units'))
+            ->get()
+            ->keyBy(fn ($row) => "{$row->product_id}-{$row->variant_id}");
+
+        $onOrder = DB::table('purchase_order_items as i')
+            ->join('purchase_orders as po', 'i.purchase_order_id', '=', 'po.id')
+            ->whereIn('po.status', self::OPEN_STATUSES)
+            ->groupBy('i.product_id', 'i.variant_id')
+            ->select('i.product_id', 'i.variant_id', DB::raw('SUM(i.quantity_ordered - i.quantity_received) as units'))
+            ->get()
+            ->keyBy(fn ($row) => "{$row->product_id}-{$row->variant_id}");
+
+        // One row per simple product and per active variant
+        $items = DB::table('products as p')
+            ->leftJoin('product_variants as v', function ($join) {
+                $join->on('v.product_id', '=', 'p.id')
+                    ->where('p.has_variants', true)
+                    ->where('v.is_active', true);
+            })
+            ->where('p.status', 'active')
+            ->where(fn ($q) => $q->where('p.has_variants', false)->orWhereNotNull('v.id'))
+            ->orderBy('p.name')
+            ->orderBy('v.id')
+            ->select(
+                'p.id as product_id',
+                'v.id as variant_id',
+                'p.name',
+                DB::raw('COALESCE(v.sku, p.sku) as sku'),
+                'v.options as variant_options',
+                DB::raw('COALESCE(v.stock_quantity, p.stock_quantity) as stock_quantity'),
+                DB::raw('COALESCE(v.cost_price, p.cost_price) as cost_price'),
+                'p.low_stock_threshold'
+            )
+            ->get();
+
+        $suppliers = Supplier::forProducts($items->pluck('product_id')->unique()->all());
+
+        return $items->map(function ($item) use ($sold, $onOrder, $suppliers, $days, $leadTimeDays) {
+            $key = "{$item->product_id}-{$item->variant_id}";
+            $units = (int) ($sold[$key]->units ?? 0);
+            $pending = (int) ($onOrder[$key]->units ?? 0);
+            $supplier = $suppliers->get($item->product_id)?->first();
+            $leadTime = (int) ($supplier['lead_time_days'] ?? $leadTimeDays);
+
+            // Rounded first so 0.1 x 30 doesn't ceil to 4
+            $reorderPoint = $item->low_stock_threshold + (int) ceil(round($units * $leadTime / $days, 6));
+            $projected = $item->stock_quantity + $pending;
+
+            if ($projected > $reorderPoint) {
+                return null;
+            }
+
+            return [
+                'product_id' => $item->product_id,
+                'variant_id' => $item->variant_id,
+                'name' => $item->name,
+                'variant_name' => $item->variant_options ? ProductVariant::label($item->variant_options) : null,
+                'sku' => $item->sku,
+                'stock_quantity' => (int) $item->stock_quantity,
+                'on_order' => $pending,
+                'low_stock_threshold' => (int) $item->low_stock_threshold,
+                'sold' => $units,
+                'daily_sales' => round($units / $days, 2),
+                'days_of_stock' => $units > 0 ? (int) floor($item->stock_quantity * $days / $units) : null,
+                'lead_time_days' => $leadTime,
+                'suggested_quantity' => max(1, $reorderPoint + $units - $projected),
+                'supplier_id' => $supplier['supplier_id'] ?? null,
+                'supplier_name' => $supplier['name'] ?? null,
+                'currency' => $supplier['currency'] ?? null,
+                'supplier_sku' => $supplier['supplier_sku'] ?? null,
+                'unit_cost' => $supplier['last_cost'] ?? $item->cost_price
+            ];
+        })
+            ->filter()
+            ->when($supplierId, fn ($rows) => $rows->where('supplier_id', $supplierId))
+            ->values();
+    }
+
+    /**
+     * Raise purchase orders, one per supplier in the lines
+     *
+     * @param array $data location_id?, notes?, items [{supplier_id, product_id, variant_id?, quantity, unit_cost?}]
+     * @param int $userId
+     * @return \Illuminate\Support\Collection Created PurchaseOrder models
+     * @throws \InvalidArgumentException If a supplier, location or line is invalid
+     */
+    public function create(array $data, int $userId)
+    {
+        return DB::transaction(function () use ($data, $userId) {
+            $locationId = $data['location_id'] ?? Location::defaultId();
+
+            if (!DB::table('locations')->where('id', $locationId)->where('is_active', true)->exists()) {
+                throw new \InvalidArgumentException('Location not found or inactive');
+            }
+
+            return collect($data['items'])->groupBy('supplier_id')->map(function ($lines, $supplierId) use ($data, $locationId, $userId) {
+                $supplier = DB::table('suppliers')->where('id', $supplierId)->where('is_active', true)->first();
+
+                if (!$supplier) {
+                    throw new \InvalidArgumentException("Supplier {$supplierId} not found or inactive");
+                }
+
+                $order = PurchaseOrder::create([
+                    'reference' => $this->generateReference(),
+                    'supplier_id' => $supplier->id,
+                    'location_id' => $locationId,
+                    'notes' => $data['notes'] ?? null,
+                    'status' => 'ordered',
+                    'created_by' => $userId
+                ]);
+
+                $seen = [];
+                foreach ($lines as $line) {
+                    $product = DB::table('products')->where('id', $line['product_id'])->first();
+                    $variantId = !empty($line['variant_id']) ? (int) $line['variant_id'] : null;
+
+                    if (!$product) {
+                        throw new \InvalidArgumentException("Product {$line['product_id']} not found");
+                    }
+
+                    if ($product->has_variants && !$variantId) {
+                        throw new \InvalidArgumentException("Choose a variant of {$product->name}");
+                    }
+
+                    if ($variantId && !DB::table('product_variants')->where('id', $variantId)->where('product_id', $product->id)->exists()) {
+                        throw new \InvalidArgumentException("Variant {$variantId} does not belong to {$product->name}");
+                    }
+
+                    $key = "{$product->id}-{$variantId}";
+                    if (isset($seen[$key])) {
+                        throw new \InvalidArgumentException("{$product->name} is listed more than once for {$supplier->name}");
+                    }
+                    $seen[$key] = true;
+
+                    $order->items()->create([
+                        'product_id' => $product->id,
+                        'variant_id' => $variantId,
+                        'quantity_ordered' => $line['quantity'],
+                        'unit_cost' => $line['unit_cost'] ?? null
+                    ]);
+                }
+
+                return $order;
+            })->values();
+        });
+    }
+
+    /**
+     * Receive stock against a purchase order, fully or in part
+     *
+     * Each received quantity is posted as a stock-in at the order's
+     * location. The order is received once every line is in full.
+     *
+     * @param int $orderId
+     * @param array $lines [{item_id, quantity}]
+     * @param int $userId
+     * @return PurchaseOrder
+     * @throws \InvalidArgumentException If the order is closed or a quantity is more than is outstanding
+     */
+    public function receive(int $orderId, array $lines, int $userId): PurchaseOrder
+    {
+        return DB::transaction(function () use ($orderId, $lines, $userId) {
+            $order = $this->open($orderId);
+            $supplier = DB::table('suppliers')->where('id', $order->supplier_id)->value('name');
+            $items = $order->items()->with('product')->lockForUpdate()->get()->keyBy('id');
+            $received = 0;
+
+            foreach ($lines as $line) {
+                $item = $items->get($line['item_id']);
+                $quantity = (int) $line['quantity'];
+
+                if (!$item) {
+                    throw new \InvalidArgumentException("Line {$line['item_id']} is not on {$order->reference}");
+                }
+
+                if ($quantity === 0) {
+                    continue;
+                }
+
+                $outstanding = $item->quantity_ordered - $item->quantity_received;
+                if ($quantity > $outstanding) {
+                    throw new \InvalidArgumentException("Only {$outstanding} of {$item->product->name} still to receive");
+                }
+
+                $this->inventoryService->addStock(
+                    $item->product_id,
+                    $quantity,
+                    $userId,
+                    "{$order->reference}: Received from {$supplier}",
+                    $item->variant_id,
+                    $order->location_id,
+                    'purchase_order',
+                    $order->id
+                );
+
+                $item->increment('quantity_received', $quantity);
+                $received += $quantity;
+            }
+
+            if ($received === 0) {
+                throw new \InvalidArgumentException('Enter a quantity to receive');
+            }
+
+            $complete = $items->every(fn ($item) => $item->quantity_received >= $item->quantity_ordered);
+            $order->update([
+                'status' => $complete ? 'received' : 'partial',
+                'received_at' => $complete ? now() : null
+            ]);
+
+            return $order;
+        });
+    }
+
+    /**
+     * Cancel a purchase order; stock already received stays
+     *
+     * @param int $orderId
+     * @return PurchaseOrder
+     * @throws \InvalidArgumentException If the order is already closed
+     */
+    public function cancel(int $orderId): PurchaseOrder
+    {
+        return DB::transaction(function () use ($orderId) {
+            $order = $this->open($orderId);
+            $order->update(['status' => 'cancelled']);
+
+            return $order;
+        });
+    }
+
+    /**
+     * Purchase order with its lines, supplier and location names
+     *
+     * @param int $orderId
+     * @return object|null
+     */
+    public function find(int $orderId)
+    {
+        $order = DB::table('purchase_orders as po')
+            ->join('suppliers as s', 'po.supplier_id', '=', 's.id')
+            ->join('locations as l', 'po.location_id', '=', 'l.id')
+            ->leftJoin('users as u', 'po.created_by', '=', 'u.id')
+            ->where('po.id', $orderId)
+            ->select('po.*', 's.name as supplier_name', 's.currency', 'l.name as location_name', 'u.full_name as created_by_name')
+            ->first();
+
+        if (!$order) {
+            return null;
+        }
+
+        $order->items = DB::table('purchase_order_items as i')
+            ->join('products as p', 'i.product_id', '=', 'p.id')
+            ->leftJoin('product_variants as v', 'i.variant_id', '=', 'v.id')
+            ->leftJoin('product_suppliers as ps', function ($join) use ($order) {
+                $join->on('ps.product_id', '=', 'i.product_id')->where('ps.supplier_id', $order->supplier_id);
+            })
+            ->where('i.purchase_order_id', $orderId)
+            ->select(
+                'i.id',
+                'i.product_id',
+                'i.variant_id',
+                'i.quantity_ordered',
+                'i.quantity_received',
+                'i.unit_cost',
+                'p.name',
+                DB::raw('COALESCE(v.sku, p.sku) as sku'),
+                'ps.supplier_sku',
+                'v.options as variant_options'
+            )
+            ->orderBy('i.id')
+            ->get()
+            ->map(function ($item) {
+                $item->variant_name = $item->variant_options ? ProductVariant::label($item->variant_options) : null;
+                unset($item->variant_options);
+                return $item;
+            });
+
+        return $order;
+    }
+
+    /**
+     * Locked purchase order that is still waiting for stock
+     *
+     * @param int $orderId
+     * @return PurchaseOrder
+     * @throws \InvalidArgumentException
+     */
+    private function open(int $orderId): PurchaseOrder
+    {
+        $order = PurchaseOrder::where('id', $orderId)->lockForUpdate()->first();
+
+        if (!$order) {
+            throw new \InvalidArgumentException('Purchase order not found');
+        }
+
+        if (!in_array($order->status, self::OPEN_STATUSES, true)) {
+            throw new \InvalidArgumentException("Purchase order {$order->reference} is already {$order->status}");
+        }
+
+        return $order;
+    }
+
+    /**
+     * Generate Unique Purchase Order Reference
+     *
+     * Format: PO-YYYYMMDD-RANDOM
+     *
+     * @return string
+     */
+    private function generateReference(): string
+    {
+        do {
+            $reference = 'PO-' . date('Ymd') . '-' . strtoupper(substr(md5(uniqid(rand(), true)), 0, 6));
+        } while (PurchaseOrder::where('reference', $reference)->exists());
+
+        return $reference;
+    }
+}
@@ -0,0 +1,178 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\OrderReturn;
+use App\Models\OrderStatusHistory;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Return Service
+ *
+ * Handles returns / partial cancellations (RMA) for orders
+ * - Returned quantities are capped at what was ordered minus earlier returns
+ * - Stock is restored (restock) or left out of inventory (write-off)
+ * - Refunds accumulate on orders.refunded_amount
+ * - Commissions are reversed in proportion to the refund
+ */
+class ReturnService
+{
+    /**
+     * Orders in these statuses can't be returned against
+     */
+    public const NON_RETURNABLE_STATUSES = ['pending', 'cancelled', 'refunded'];
+
+    protected InventoryService $inventoryService;
+    protected CommissionService $commissionService;
+
+    public function __construct(InventoryService $inventoryService, CommissionService $commissionService)
+    {
+        $this->inventoryService = $inventoryService;
+        $this->commissionService = $commissionService;
+    }
+
+    /**
+     * Create a return for an order
+     *
+     * @param int $orderId Order ID
+     * @param array $data reason, resolution (restock|write_off), refund_amount, items [{order_item_id, quantity}]
+     * @param int $createdBy User ID creating the return
+     * @return OrderReturn Created return with items
+     * @throws \InvalidArgumentException If the return isn't allowed
+     */
+    public function createReturn(int $orderId, array $data, int $createdBy): OrderReturn
+    {
+        return DB::transaction(function () use ($orderId, $data, $createdBy) {
+            $order = DB::table('orders')->where('id', $orderId)->lockForUpdate()->first();
+
+            if (!$order) {
+                throw new \InvalidArgumentException('Order not found');
+            }
+
+            if (in_array($order->status, self::NON_RETURNABLE_STATUSES)) {
+                throw new \InvalidArgumentException("Orders that are {$order->status} cannot be returned");
+            }
+
+            $orderItems = DB::table('order_items')->where('order_id', $orderId)->get()->keyBy('id');
+            $returned = $this->returnedQuantities($orderId);
+
+            foreach ($data['items'] as $line) {
+                $item = $orderItems->get($line['order_item_id']);
+                if (!$item) {
+                    throw new \InvalidArgumentException("Item #{$line['order_item_id']} does not belong to this order");
+                }
+
+                $remaining = $item->quantity - ($returned[$item->id] ?? 0);
+                if ($line['quantity'] > $remaining) {
+                    throw new \InvalidArgumentException("Only {$remaining} of {$item->product_name} can still be returned");
+                }
+            }
+
+            $refund = round((float) ($data['refund_amount'] ?? 0), 2);
+            $refundable = round($order->total - $order->refunded_amount, 2);
+            if ($refund > $refundable) {
+                throw new \InvalidArgumentException('Refund cannot exceed RM' . number_format($refundable, 2) . ' remaining on this order');
+            }
+
+            $return = OrderReturn::create([
+                'rma_number' => $this->generateRmaNumber(),
+                'order_id' => $orderId,
+                'reason' => $data['reason'],
+                'resolution' => $data['resolution'],
+                'refund_amount' => $refund,
+                'created_by' => $createdBy,
+            ]);
+
+            foreach ($data['items'] as $line) {
+                $item = $orderItems->get($line['order_item_id']);
+
+                $return->items()->create([
+                    'order_item_id' => $item->id,
+                    'product_id' => $item->product_id,
+                    'quantity' => $line['quantity'],
+                ]);
+
+                // A line that never took stock (marketplace parent SKU) has none to put back
+                if ($data['resolution'] === 'restock' && $item->stock_taken) {
+                    $this->inventoryService->restoreStock(
+                        $item->product_id,
+                        $line['quantity'],
+                        $orderId,
+                        $createdBy,
+                        "Returned via {$return->rma_number}",
+                        'return',
+                        $item->variant_id,
+                        $order->location_id
+                    );
+                }
+            }
+
+            if ($refund > 0) {
+                $refundedAmount = round($order->refunded_amount + $refund, 2);
+                $update = ['refunded_amount' => $refundedAmount, 'updated_at' => now()];
+
+                // Fully refunded orders flip the payment status; partial refunds keep it
+                if ($refundedAmount >= $order->total && $order->payment_status !== 'refunded') {
+                    $update['payment_status'] = 'refunded';
+                    OrderStatusHistory::record($orderId, 'payment_status', $order->payment_status, 'refunded', $createdBy, "Fully refunded via {$return->rma_number}");
+                }
+
+                DB::table('orders')->where('id', $orderId)->update($update);
+
+                if ($order->customer_id) {
+                    DB::table('customers')->where('id', $order->customer_id)->decrement('total_spent', $refund);
+                }
+
+                if ($order->total > 0) {
+                    $return->commission_reversed = $this->commissionService->reverseCommissionsForOrder(
+                        $orderId,
+                        $refund / $order->total,
+                        "{$return->rma_number} refund RM" . number_format($refund, 2)
+                    );
+                    $return->save();
+
+                    // The order's commission figures show what's left after the reversal
+                    if ($return->commission_reversed > 0) {
+                        DB::table('orders')->where('id', $orderId)->update($this->commissionService->orderTotals($orderId));
+                    }
+                }
+            }
+
+            return $return->load('items');
+        });
+    }
+
+    /**
+     * Quantity already returned per order item
+     *
+     * @param int $orderId Order ID
+     * @return array [order_item_id => quantity]
+     */
+    public function returnedQuantities(int $orderId): array
+    {
+        return DB::table('order_return_items as ri')
+            ->join('order_returns as r', 'ri.order_return_id', '=', 'r.id')
+            ->where('r.order_id', $orderId)
+            ->groupBy('ri.order_item_id')
+            ->selectRaw('ri.order_item_id, SUM(ri.quantity) as quantity')
+            ->pluck('quantity', 'order_item_id')
+            ->map(fn ($qty) => (int) $qty)
+            ->all();
+    }
+
+    /**
+     * Generate Unique RMA Number
+     *
+     * Format: RMA-YYYYMMDD-RANDOM
+     *
+     * @return string
+     */
+    private function generateRmaNumber(): string
+    {
+        do {
+            $number = 'RMA-' . date('Ymd') . '-' . strtoupper(substr(md5(uniqid(rand(), true)), 0, 6));
+        } while (OrderReturn::where('rma_number', $number)->exists());
+
+        return $number;
+    }
+}
@@ -0,0 +1,251 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\OrderStatusHistory;
+use App\Models\Product;
+use App\Models\StockReservation;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Stock Reservation Service
+ *
+ * Orders paid up front (online banking, card, e-wallet) don't take stock
+ * until the money arrives. While unpaid they reserve it: the units stay
+ * on hand but are no longer available to sell. A reservation is:
+ * - Converted into a normal deduction once the order is paid or confirmed
+ * - Released when the order is cancelled
+ * - Expired after the channel's reservation_hours, cancelling the order
+ *
+ * COD orders are paid on delivery, so they take stock straight away.
+ */
+class StockReservationService
+{
+    /**
+     * Reservation window when the order's channel has none
+     */
+    public const DEFAULT_HOURS = 24;
+
+    protected InventoryService $inventoryService;
+
+    public function __construct(InventoryService $inventoryService)
+    {
+        $this->inventoryService = $inventoryService;
+    }
+
+    /**
+     * Whether a new order should reserve its stock rather than deduct it
+     *
+     * @param string|null $paymentMethod
+     * @param string $paymentStatus
+     * @return bool
+     */
+    public function awaitsPayment(?string $paymentMethod, string $paymentStatus): bool
+    {
+        return $paymentMethod !== 'cod' && $paymentStatus === 'pending';
+    }
+
+    /**
+     * When a reservation made now for the channel runs out
+     *
+     * @param int|null $channelId
+     * @return \Illuminate\Support\Carbon
+     */
+    public function expiresAt(?int $channelId)
+    {
+        $hours = $channelId ? DB::table('sales_channels')->where('id', $channelId)->value('reservation_hours') : null;
+
+        return now()->addHours($hours ?: self::DEFAULT_HOURS);
+    }
+
+    /**
+     * Hold stock of an order line
+     *
+     * @param int $orderId
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int|null $locationId The order's fulfilment location
+     * @param int $quantity
+     * @param \DateTimeInterface $expiresAt
+     * @return StockReservation
+     */
+    public function reserve(int $orderId, int $productId, ?int $variantId, ?int $locationId, int $quantity, $expiresAt): StockReservation
+    {
+        return StockReservation::create([
+            'order_id' => $orderId,
+            'product_id' => $productId,
+            'variant_id' => $variantId,
+            'location_id' => $locationId,
+            'quantity' => $quantity,
+            'status' => 'active',
+            'expires_at' => $expiresAt
+        ]);
+    }
+
+    /**
+     * Whether an order still holds reserved (not yet deducted) stock
+     *
+     * @param int $orderId
+     * @return bool
+     */
+    public function hasActive(int $orderId): bool
+    {
+        return DB::table('stock_reservations')->where('order_id', $orderId)->where('status', 'active')->exists();
+    }
+
+    /**
+     * Change an order line's reservation by $delta (order edits)
+     *
+     * A new line gets a reservation with the order's existing expiry;
+     * one brought to zero is released.
+     *
+     * @param int $orderId
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int $delta Extra quantity now on the order
+     * @return void
+     */
+    public function adjust(int $orderId, int $productId, ?int $variantId, int $delta): void
+    {
+        $active = DB::table('stock_reservations')->where('order_id', $orderId)->where('status', 'active');
+        $line = (clone $active)->where('product_id', $productId)->where('variant_id', $variantId)->first();
+
+        if (!$line) {
+            $this->reserve($orderId, $productId, $variantId, DB::table('orders')->where('id', $orderId)->value('location_id'),
+                $delta, (clone $active)->min('expires_at'));
+            return;
+        }
+
+        $quantity = $line->quantity + $delta;
+        DB::table('stock_reservations')->where('id', $line->id)->update($quantity > 0
+            ? ['quantity' => $quantity, 'updated_at' => now()]
+            : ['status' => 'released', 'closed_at' => now(), 'updated_at' => now()]);
+    }
+
+    /**
+     * Turn an order's active reservations into stock deductions
+     *
+     * Each line is deducted at its location and logged as a sale, with
+     * the usual low-stock alerts.
+     *
+     * @param int $orderId
+     * @param int|null $userId Null when the payment gateway confirmed it
+     * @param string $notes Why the stock was taken
+     * @return bool False when nothing was reserved
+     */
+    public function convert(int $orderId, ?int $userId, string $notes): bool
+    {
+        $reservations = DB::table('stock_reservations')
+            ->where('order_id', $orderId)
+            ->where('status', 'active')
+            ->lockForUpdate()
+            ->get();
+
+        foreach ($reservations as $reservation) {
+            Product::adjustStock($reservation->product_id, $reservation->variant_id, -$reservation->quantity, $reservation->location_id);
+
+            DB::table('inventory_transactions')->insert([
+                'product_id' => $reservation->product_id,
+                'variant_id' => $reservation->variant_id,
+                'location_id' => $reservation->location_id,
+                'transaction_type' => 'sale',
+                'quantity' => -$reservation->quantity,
+                'reference_type' => 'order',
+                'reference_id' => $orderId,
+                'created_by' => $userId ?? 1, // System/Admin ID for automation
+                'notes' => $notes,
+                'created_at' => now()
+            ]);
+
+            if ($reservation->location_id) {
+                $this->inventoryService->checkLowLocationStock($reservation->product_id, $reservation->variant_id, $reservation->location_id, $userId);
+            }
+
+            DB::table('stock_reservations')->where('id', $reservation->id)->update([
+                'status' => 'converted',
+                'closed_at' => now(),
+                'updated_at' => now()
+            ]);
+        }
+
+        return $reservations->isNotEmpty();
+    }
+
+    /**
+     * Let go of an order's active reservations without touching stock
+     *
+     * @param int $orderId
+     * @param string $status released or expired
+     * @return bool False when nothing was reserved
+     */
+    public function release(int $orderId, string $status = 'released'): bool
+    {
+        return DB::table('stock_reservations')
+            ->where('order_id', $orderId)
+            ->where('status', 'active')
+            ->update(['status' => $status, 'closed_at' => now(), 'updated_at' => now()]) > 0;
+    }
+
+    /**
+     * Cancel unpaid orders whose reservations have run out
+     *
+     * The stock is released, commissions are cancelled and the order's
+     * history shows why. An order that fails is logged and retried on the
+     * next run; the rest are still processed. Run every few minutes by the
+     * scheduler (reservations:release-expired).
+     *
+     * @return int Orders cancelled
+     */
+    public function releaseExpired(): int
+    {
+        $orderIds = DB::table('stock_reservations')
+            ->where('status', 'active')
+            ->where('expires_at', '<=', now())
+            ->distinct()
+            ->pluck('order_id');
+
+        $cancelled = 0;
+
+        foreach ($orderIds as $orderId) {
+            try {
+                $cancelled += $this->expireOrder($orderId);
+            } catch (\Exception $e) {
+                Log::error("Releasing expired reservation of order {$orderId} failed: {$e->getMessage()}");
+            }
+        }
+
+        return $cancelled;
+    }
+
+    /**
+     * Cancel one unpaid order whose reservation has run out
+     *
+     * @param int $orderId
+     * @return int 1 when the order was cancelled, 0 when it was paid or moved on
+     */
+    private function expireOrder(int $orderId): int
+    {
+        return DB::transaction(function () use ($orderId) {
+            $order = DB::table('orders')->where('id', $orderId)->lockForUpdate()->first();
+
+            // Paid or moved on in the meantime: nothing to cancel
+            if (!$order || $order->status !== 'pending' || $order->payment_status === 'paid') {
+                return 0;
+            }
+
+            $this->release($orderId, 'expired');
+
+            DB::table('orders')->where('id', $orderId)->update(['status' => 'cancelled', 'updated_at' => now()]);
+
+            DB::table('commission_transactions')
+                ->where('order_id', $orderId)
+                ->whereIn('status', ['pending', 'approved'])
+                ->update(['status' => 'cancelled', 'updated_at' => now()]);
+
+            OrderStatusHistory::record($orderId, 'status', 'pending', 'cancelled', null, 'Payment not received in time; reserved stock released', 'system');
+
+            return 1;
+        });
+    }
+}
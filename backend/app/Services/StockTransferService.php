@@ -0,0 +1,267 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Product;
+use App\Models\ProductVariant;
+use App\Models\StockReservation;
+use App\Models\StockTransfer;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Stock Transfer Service
+ *
+ * Moves stock between locations in two steps:
+ * - Ship: stock leaves the source location and is in transit (not sellable
+ *   anywhere, so the product total drops)
+ * - Receive: stock arrives at the destination
+ *
+ * A transfer still in transit can be cancelled, which puts the stock back
+ * at the source. Every step is logged as a transfer movement.
+ */
+class StockTransferService
+{
+    protected InventoryService $inventoryService;
+
+    public function __construct(InventoryService $inventoryService)
+    {
+        $this->inventoryService = $inventoryService;
+    }
+
+    /**
+     * Ship stock from one location to another
+     *
+     * @param array $data from_location_id, to_location_id, notes?, items [{product_id, variant_id?, quantity}]
+     * @param int $userId
+     * @return StockTransfer
+     * @throws \InvalidArgumentException If a location or line is invalid, or the source is short
+     */
+    public function create(array $data, int $userId): StockTransfer
+    {
+        return DB::transaction(function () use ($data, $userId) {
+            if ($data['from_location_id'] == $data['to_location_id']) {
+                throw new \InvalidArgumentException('Choose two different locations');
+            }
+
+            $locations = DB::table('locations')
+                ->whereIn('id', [$data['from_location_id'], $data['to_location_id']])
+                ->where('is_active', true)
+                ->pluck('name', 'id');
+
+            if ($locations->count() !== 2) {
+                throw new \InvalidArgumentException('Location not found or inactive');
+            }
+
+            $transfer = StockTransfer::create([
+                'reference' => $this->generateReference(),
+                'from_location_id' => $data['from_location_id'],
+                'to_location_id' => $data['to_location_id'],
+                'notes' => $data['notes'] ?? null,
+                'status' => 'in_transit',
+                'created_by' => $userId
+            ]);
+
+            $seen = [];
+            foreach ($data['items'] as $line) {
+                $product = DB::table('products')->where('id', $line['product_id'])->lockForUpdate()->first();
+                $variantId = !empty($line['variant_id']) ? (int) $line['variant_id'] : null;
+
+                if (!$product) {
+                    throw new \InvalidArgumentException("Product {$line['product_id']} not found");
+                }
+
+                if ($product->has_variants && !$variantId) {
+                    throw new \InvalidArgumentException("Choose a variant of {$product->name}");
+                }
+
+                if ($variantId && !DB::table('product_variants')->where('id', $variantId)->where('product_id', $product->id)->exists()) {
+                    throw new \InvalidArgumentException("Variant {$variantId} does not belong to {$product->name}");
+                }
+
+                $key = "{$product->id}-{$variantId}";
+                if (isset($seen[$key])) {
+                    throw new \InvalidArgumentException("{$product->name} is listed more than once");
+                }
+                $seen[$key] = true;
+
+                // Stock reserved for unpaid orders stays put
+                $level = Product::stockLevel($product->id, $variantId, $transfer->from_location_id);
+                $available = $level->stock_quantity - StockReservation::activeQuantity($product->id, $variantId, $transfer->from_location_id);
+                if ($available < $line['quantity']) {
+                    throw new \InvalidArgumentException("Only {$available} of {$level->name} available at {$level->location}");
+                }
+
+                $transfer->items()->create([
+                    'product_id' => $product->id,
+                    'variant_id' => $variantId,
+                    'quantity' => $line['quantity']
+                ]);
+
+                $this->move($transfer, $product->id, $variantId, -$line['quantity'], $transfer->from_location_id, $userId,
+                    "Shipped to {$locations[$transfer->to_location_id]}");
+
+                $this->inventoryService->checkLowLocationStock($product->id, $variantId, $transfer->from_location_id, $userId);
+            }
+
+            return $transfer;
+        });
+    }
+
+    /**
+     * Receive an in-transit transfer at its destination
+     *
+     * @param int $transferId
+     * @param int $userId
+     * @return StockTransfer
+     * @throws \InvalidArgumentException If the transfer isn't in transit
+     */
+    public function receive(int $transferId, int $userId): StockTransfer
+    {
+        return DB::transaction(function () use ($transferId, $userId) {
+            $transfer = $this->inTransit($transferId);
+            $from = DB::table('locations')->where('id', $transfer->from_location_id)->value('name');
+
+            foreach ($transfer->items as $item) {
+                $this->move($transfer, $item->product_id, $item->variant_id, $item->quantity, $transfer->to_location_id, $userId,
+                    "Received from {$from}");
+            }
+
+            $transfer->update([
+                'status' => 'received',
+                'received_by' => $userId,
+                'received_at' => now()
+            ]);
+
+            return $transfer;
+        });
+    }
+
+    /**
+     * Cancel an in-transit transfer; the stock goes back to the source
+     *
+     * @param int $transferId
+     * @param int $userId
+     * @return StockTransfer
+     * @throws \InvalidArgumentException If the transfer isn't in transit
+     */
+    public function cancel(int $transferId, int $userId): StockTransfer
+    {
+        return DB::transaction(function () use ($transferId, $userId) {
+            $transfer = $this->inTransit($transferId);
+
+            foreach ($transfer->items as $item) {
+                $this->move($transfer, $item->product_id, $item->variant_id, $item->quantity, $transfer->from_location_id, $userId,
+                    'Transfer cancelled');
+            }
+
+            $transfer->update(['status' => 'cancelled']);
+
+            return $transfer;
+        });
+    }
+
+    /**
+     * Transfer with its lines and location names
+     *
+     * @param int $transferId
+     * @return object|null
+     */
+    public function find(int $transferId)
+    {
+        $transfer = DB::table('stock_transfers as t')
+            ->join('locations as f', 't.from_location_id', '=', 'f.id')
+            ->join('locations as d', 't.to_location_id', '=', 'd.id')
+            ->leftJoin('users as c', 't.created_by', '=', 'c.id')
+            ->leftJoin('users as r', 't.received_by', '=', 'r.id')
+            ->where('t.id', $transferId)
+            ->select('t.*', 'f.name as from_location', 'd.name as to_location', 'c.full_name as created_by_name', 'r.full_name as received_by_name')
+            ->first();
+
+        if (!$transfer) {
+            return null;
+        }
+
+        $transfer->items = DB::table('stock_transfer_items as i')
+            ->join('products as p', 'i.product_id', '=', 'p.id')
+            ->leftJoin('product_variants as v', 'i.variant_id', '=', 'v.id')
+            ->where('i.stock_transfer_id', $transferId)
+            ->select('i.id', 'i.product_id', 'i.variant_id', 'i.quantity', 'p.name', DB::raw('COALESCE(v.sku, p.sku) as sku'), 'v.options as variant_options')
+            ->orderBy('i.id')
+            ->get()
+            ->map(function ($item) {
+                $item->variant_name = $item->variant_options ? ProductVariant::label($item->variant_options) : null;
+                unset($item->variant_options);
+                return $item;
+            });
+
+        return $transfer;
+    }
+
+    /**
+     * Book one line of a transfer at a location and log it
+     *
+     * @param StockTransfer $transfer
+     * @param int $productId
+     * @param int|null $variantId
+     * @param int $quantity Negative when stock leaves the location
+     * @param int $locationId
+     * @param int $userId
+     * @param string $notes
+     * @return void
+     */
+    private function move(StockTransfer $transfer, int $productId, ?int $variantId, int $quantity, int $locationId, int $userId, string $notes): void
+    {
+        Product::adjustStock($productId, $variantId, $quantity, $locationId);
+
+        DB::table('inventory_transactions')->insert([
+            'product_id' => $productId,
+            'variant_id' => $variantId,
+            'location_id' => $locationId,
+            'transaction_type' => 'transfer',
+            'quantity' => $quantity,
+            'reference_type' => 'transfer',
+            'reference_id' => $transfer->id,
+            'created_by' => $userId,
+            'notes' => "{$transfer->reference}: {$notes}",
+            'created_at' => now()
+        ]);
+    }
+
+    /**
+     * Locked transfer that is still in transit
+     *
+     * @param int $transferId
+     * @return StockTransfer
+     * @throws \InvalidArgumentException
+     */
+    private function inTransit(int $transferId): StockTransfer
+    {
+        $transfer = StockTransfer::where('id', $transferId)->lockForUpdate()->first();
+
+        if (!$transfer) {
+            throw new \InvalidArgumentException('Transfer not found');
+        }
+
+        if ($transfer->status !== 'in_transit') {
+            throw new \InvalidArgumentException("Transfer {$transfer->reference} is already {$transfer->status}");
+        }
+
+        return $transfer;
+    }
+
+    /**
+     * Generate Unique Transfer Reference
+     *
+     * Format: TR-YYYYMMDD-RANDOM
+     *
+     * @return string
+     */
+    private function generateReference(): string
+    {
+        do {
+            $reference = 'TR-' . date('Ymd') . '-' . strtoupper(substr(md5(uniqid(rand(), true)), 0, 6));
+        } while (StockTransfer::where('reference', $reference)->exists());
+
+        return $reference;
+    }
+}
@@ -0,0 +1,406 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Location;
+use App\Models\ProductVariant;
+use App\Models\Stocktake;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Stocktake Service
+ *
+ * Cycle counts (monthly stocktake):
+ * - Start a count for a category and/or location; every SKU in scope gets a line
+ * - Scan or type SKUs to add to the counted quantity, or set counts directly
+ * - Variance report against the system stock when each line was counted
+ *   (of the stock location when the count is for one, otherwise the
+ *   total), exportable as CSV
+ * - Post approved variances as stock adjustments
+ *
+ * Counts are saved as they are entered, so a stocktake can be resumed.
+ * Because stock keeps moving while it is open, variances are posted as
+ * differences rather than by setting stock to the counted quantity.
+ */
+class StocktakeService
+{
+    protected InventoryService $inventoryService;
+
+    public function __construct(InventoryService $inventoryService)
+    {
+        $this->inventoryService = $inventoryService;
+    }
+
+    /**
+     * Start a stocktake
+     *
+     * Lines are created for every sellable product in the category (all
+     * categories when none is given), one per active variant for variant
+     * products.
+     *
+     * @param array $data [category_id?, location_id?, location?, notes?]
+     * @param int $userId
+     * @return Stocktake
+     */
+    public function create(array $data, int $userId): Stocktake
+    {
+        return DB::transaction(function () use ($data, $userId) {
+            $stocktake = Stocktake::create([
+                'reference' => $this->generateReference(),
+                'category_id' => $data['category_id'] ?? null,
+                'location_id' => $data['location_id'] ?? null,
+                'location' => $data['location'] ?? null,
+                'notes' => $data['notes'] ?? null,
+                'status' => 'counting',
+                'created_by' => $userId
+            ]);
+
+            $products = DB::table('products')
+                ->whereIn('status', ['active', 'out_of_stock'])
+                ->when($stocktake->category_id, fn ($q) => $q->where('category_id', $stocktake->category_id))
+                ->orderBy('sku')
+                ->get(['id', 'has_variants']);
+
+            $variants = ProductVariant::forProducts($products->where('has_variants', true)->pluck('id')->all());
+
+            $lines = [];
+            foreach ($products as $product) {
+                $variantIds = $product->has_variants
+                    ? $variants->get($product->id, collect())->where('is_active', true)->pluck('id')->all()
+                    : [null];
+
+                foreach ($variantIds as $variantId) {
+                    $lines[] = [
+                        'stocktake_id' => $stocktake->id,
+                        'product_id' => $product->id,
+                        'variant_id' => $variantId,
+                        'created_at' => now(),
+                        'updated_at' => now()
+                    ];
+                }
+            }
+
+            foreach (array_chunk($lines, 500) as $chunk) {
+                DB::table('stocktake_items')->insert($chunk);
+            }
+
+            return $stocktake;
+        });
+    }
+
+    /**
+     * Count a scanned or typed SKU
+     *
+     * Adds $quantity to the line's count (one per scan by default). SKUs
+     * outside the stocktake's scope get a new line, so stock found in the
+     * wrong place is still counted. The first scan of a line records the
+     * system stock it is compared with.
+     *
+     * @param int $stocktakeId
+     * @param string $sku Product or variant SKU
+     * @param int $quantity
+     * @return object The line (see report())
+     * @throws \InvalidArgumentException If the SKU is unknown or the stocktake is closed
+     */
+    public function scan(int $stocktakeId, string $sku, int $quantity = 1)
+    {
+        return DB::transaction(function () use ($stocktakeId, $sku, $quantity) {
+            $stocktake = $this->openStocktake($stocktakeId);
+
+            $sku = strtoupper(trim($sku));
+            $variant = DB::table('product_variants')->where('sku', $sku)->first();
+            $product = $variant
+                ? DB::table('products')->where('id', $variant->product_id)->first()
+                : DB::table('products')->where('sku', $sku)->first();
+
+            if (!$product) {
+                throw new \InvalidArgumentException("SKU {$sku} not found");
+            }
+
+            if ($product->has_variants && !$variant) {
+                throw new \InvalidArgumentException("{$product->name} has variants, scan the variant SKU");
+            }
+
+            $line = DB::table('stocktake_items')
+                ->where('stocktake_id', $stocktakeId)
+                ->where('product_id', $product->id)
+                ->where('variant_id', $variant->id ?? null)
+                ->lockForUpdate()
+                ->first();
+
+            if ($line) {
+                DB::table('stocktake_items')->where('id', $line->id)->update([
+                    'counted_quantity' => max(0, ($line->counted_quantity ?? 0) + $quantity),
+                    'expected_quantity' => $line->counted_quantity === null
+                        ? $this->systemQuantity($stocktake, $product->id, $variant->id ?? null)
+                        : $line->expected_quantity,
+                    'counted_at' => now(),
+                    'updated_at' => now()
+                ]);
+                $lineId = $line->id;
+            } else {
+                $lineId = DB::table('stocktake_items')->insertGetId([
+                    'stocktake_id' => $stocktakeId,
+                    'product_id' => $product->id,
+                    'variant_id' => $variant->id ?? null,
+                    'expected_quantity' => $this->systemQuantity($stocktake, $product->id, $variant->id ?? null),
+                    'counted_quantity' => max(0, $quantity),
+                    'counted_at' => now(),
+                    'created_at' => now(),
+                    'updated_at' => now()
+                ]);
+            }
+
+            return $this->report($stocktakeId, $lineId)['items']->first();
+        });
+    }
+
+    /**
+     * Set counted quantities directly (null clears a count)
+     *
+     * A count typed in replaces the line's count, so the system stock it is
+     * compared with is taken again.
+     *
+     * @param int $stocktakeId
+     * @param array $counts [{id, counted_quantity}]
+     * @return void
+     * @throws \InvalidArgumentException If the stocktake is closed
+     */
+    public function setCounts(int $stocktakeId, array $counts): void
+    {
+        DB::transaction(function () use ($stocktakeId, $counts) {
+            $stocktake = $this->openStocktake($stocktakeId);
+
+            foreach ($counts as $count) {
+                $counted = $count['counted_quantity'] ?? null;
+                $line = DB::table('stocktake_items')->where('stocktake_id', $stocktakeId)->where('id', $count['id'])->first();
+
+                if (!$line) {
+                    continue;
+                }
+
+                DB::table('stocktake_items')
+                    ->where('id', $line->id)
+                    ->update([
+                        'counted_quantity' => $counted === null ? null : (int) $counted,
+                        'expected_quantity' => $counted === null ? null : $this->systemQuantity($stocktake, $line->product_id, $line->variant_id),
+                        'counted_at' => $counted === null ? null : now(),
+                        'updated_at' => now()
+                    ]);
+            }
+        });
+    }
+
+    /**
+     * Variance report
+     *
+     * system_quantity is the stock when the line was counted (the current
+     * stock for lines not counted yet), of the variant for variant lines and
+     * of the stocktake's stock location when it has one. Variance is counted
+     * minus system_quantity; posted stocktakes show what was adjusted instead.
+     * current_quantity is the stock right now.
+     *
+     * @param int $stocktakeId
+     * @param int|null $lineId Only this line
+     * @return array ['items' => Collection, 'summary' => [lines, counted, with_variance, variance_units, variance_value]]
+     */
+    public function report(int $stocktakeId, ?int $lineId = null): array
+    {
+        $locationId = DB::table('stocktakes')->where('id', $stocktakeId)->value('location_id');
+        $currentQuantity = $locationId
+            ? DB::raw('COALESCE(ls.quantity, 0) as current_quantity')
+            : DB::raw('COALESCE(v.stock_quantity, p.stock_quantity) as current_quantity');
+
+        $items = DB::table('stocktake_items as si')
+            ->join('products as p', 'si.product_id', '=', 'p.id')
+            ->leftJoin('product_variants as v', 'si.variant_id', '=', 'v.id')
+            ->when($locationId, function ($q) use ($locationId) {
+                $q->leftJoin('location_stocks as ls', function ($join) use ($locationId) {
+                    $join->on('ls.product_id', '=', 'si.product_id')
+                        ->on(DB::raw('COALESCE(ls.variant_id, 0)'), '=', DB::raw('COALESCE(si.variant_id, 0)'))
+                        ->where('ls.location_id', '=', $locationId);
+                });
+            })
+            ->where('si.stocktake_id', $stocktakeId)
+            ->when($lineId, fn ($q) => $q->where('si.id', $lineId))
+            ->select(
+                'si.id',
+                'si.product_id',
+                'si.variant_id',
+                'si.counted_quantity',
+                'si.expected_quantity',
+                'si.counted_at',
+                'si.adjusted_quantity',
+                'p.name',
+                DB::raw('COALESCE(v.sku, p.sku) as sku'),
+                'v.options as variant_options',
+                $currentQuantity,
+                DB::raw('COALESCE(v.cost_price, p.cost_price) as cost_price')
+            )
+            ->orderBy('sku')
+            ->get()
+            ->map(function ($item) {
+                $item->variant_name = $item->variant_options ? ProductVariant::label($item->variant_options) : null;
+                unset($item->variant_options);
+                $item->current_quantity = (int) $item->current_quantity;
+                $item->system_quantity = $item->expected_quantity === null ? $item->current_quantity : (int) $item->expected_quantity;
+                unset($item->expected_quantity);
+                $item->counted_quantity = $item->counted_quantity === null ? null : (int) $item->counted_quantity;
+                $item->variance = $item->adjusted_quantity !== null
+                    ? (int) $item->adjusted_quantity
+                    : ($item->counted_quantity === null ? null : $item->counted_quantity - $item->system_quantity);
+                $item->variance_value = $item->variance === null ? null : round($item->variance * (float) $item->cost_price, 2);
+                return $item;
+            });
+
+        $counted = $items->whereNotNull('counted_quantity');
+
+        return [
+            'items' => $items,
+            'summary' => [
+                'lines' => $items->count(),
+                'counted' => $counted->count(),
+                'with_variance' => $counted->where('variance', '!=', 0)->count(),
+                'variance_units' => $counted->sum('variance'),
+                'variance_value' => round($counted->sum('variance_value'), 2)
+            ]
+        ];
+    }
+
+    /**
+     * Post approved variances and close the stocktake
+     *
+     * Each approved, counted line moves stock by its variance through
+     * InventoryService::adjustStockBy (logged as an adjustment), so stock
+     * that moved after the count keeps those movements. A shortfall larger
+     * than the stock left is capped so stock doesn't go below zero. Lines
+     * left out keep their count for the record but don't touch stock.
+     *
+     * @param int $stocktakeId
+     * @param array $itemIds Approved line IDs
+     * @param int $userId
+     * @return array ['adjusted' => int, 'units' => int] Units actually posted
+     * @throws \InvalidArgumentException If the stocktake is closed or a line isn't counted
+     */
+    public function post(int $stocktakeId, array $itemIds, int $userId): array
+    {
+        return DB::transaction(function () use ($stocktakeId, $itemIds, $userId) {
+            $stocktake = $this->openStocktake($stocktakeId);
+            $adjusted = 0;
+            $units = 0;
+
+            foreach ($this->report($stocktakeId)['items']->whereIn('id', $itemIds) as $item) {
+                if ($item->counted_quantity === null) {
+                    throw new \InvalidArgumentException("{$item->sku} has not been counted");
+                }
+
+                $difference = max($item->variance, -$item->current_quantity);
+
+                DB::table('stocktake_items')->where('id', $item->id)->update([
+                    'adjusted_quantity' => $difference,
+                    'updated_at' => now()
+                ]);
+
+                if ($difference === 0) {
+                    continue;
+                }
+
+                $this->inventoryService->adjustStockBy(
+                    $item->product_id,
+                    $difference,
+                    $userId,
+                    "Stocktake {$stocktake->reference}",
+                    $item->variant_id,
+                    $stocktake->location_id
+                );
+
+                $adjusted++;
+                $units += $difference;
+            }
+
+            $stocktake->update([
+                'status' => 'posted',
+                'posted_by' => $userId,
+                'posted_at' => now()
+            ]);
+
+            return ['adjusted' => $adjusted, 'units' => $units];
+        });
+    }
+
+    /**
+     * Variance report rows for CSV export (header first)
+     *
+     * @param int $stocktakeId
+     * @return \Generator
+     */
+    public function exportRows(int $stocktakeId): \Generator
+    {
+        yield ['SKU', 'Product', 'Variant', 'System Qty', 'Counted Qty', 'Variance', 'Cost Price', 'Variance Value', 'Posted Adjustment', 'Counted At'];
+
+        foreach ($this->report($stocktakeId)['items'] as $item) {
+            yield [
+                $item->sku, $item->name, $item->variant_name, $item->system_quantity, $item->counted_quantity,
+                $item->variance, $item->cost_price, $item->variance_value, $item->adjusted_quantity, $item->counted_at
+            ];
+        }
+    }
+
+    /**
+     * Stock of a line right now: at the stocktake's location when it has
+     * one, otherwise of the variant (variant lines) or product
+     *
+     * @param Stocktake $stocktake
+     * @param int $productId
+     * @param int|null $variantId
+     * @return int
+     */
+    private function systemQuantity(Stocktake $stocktake, int $productId, ?int $variantId): int
+    {
+        if ($stocktake->location_id) {
+            return (int) (Location::stockRow($stocktake->location_id, $productId, $variantId)->quantity ?? 0);
+        }
+
+        return (int) ($variantId
+            ? DB::table('product_variants')->where('id', $variantId)->value('stock_quantity')
+            : DB::table('products')->where('id', $productId)->value('stock_quantity'));
+    }
+
+    /**
+     * Locked stocktake that is still counting
+     *
+     * @param int $stocktakeId
+     * @return Stocktake
+     * @throws \InvalidArgumentException
+     */
+    private function openStocktake(int $stocktakeId): Stocktake
+    {
+        $stocktake = Stocktake::where('id', $stocktakeId)->lockForUpdate()->first();
+
+        if (!$stocktake) {
+            throw new \InvalidArgumentException('Stocktake not found');
+        }
+
+        if ($stocktake->status !== 'counting') {
+            throw new \InvalidArgumentException("Stocktake {$stocktake->reference} is already {$stocktake->status}");
+        }
+
+        return $stocktake;
+    }
+
+    /**
+     * Generate Unique Stocktake Reference
+     *
+     * Format: ST-YYYYMMDD-RANDOM
+     *
+     * @return string
+     */
+    private function generateReference(): string
+    {
+        do {
+            $reference = 'ST-' . date('Ymd') . '-' . strtoupper(substr(md5(uniqid(rand(), true)), 0, 6));
+        } while (Stocktake::where('reference', $reference)->exists());
+
+        return $reference;
+    }
+}
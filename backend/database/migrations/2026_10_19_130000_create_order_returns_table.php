@@ -0,0 +1,61 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('order_returns', function (Blueprint $table) {
+            $table->id();
+            $table->string('rma_number', 50)->unique();
+            $table->unsignedBigInteger('order_id');
+            $table->text('reason');
+            $table->enum('resolution', ['restock', 'write_off']);
+            $table->decimal('refund_amount', 10, 2)->default(0.00);
+            $table->decimal('commission_reversed', 10, 2)->default(0.00);
+            $table->unsignedBigInteger('created_by');
+            $table->timestamps();
+
+            $table->foreign('order_id')->references('id')->on('orders')->onDelete('cascade');
+            $table->foreign('created_by')->references('id')->on('users')->onDelete('restrict');
+            $table->index(['order_id', 'created_at']);
+        });
+
+        Schema::create('order_return_items', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('order_return_id');
+            $table->unsignedBigInteger('order_item_id');
+            $table->unsignedBigInteger('product_id');
+            $table->integer('quantity');
+            $table->timestamps();
+
+            $table->foreign('order_return_id')->references('id')->on('order_returns')->onDelete('cascade');
+            $table->foreign('order_item_id')->references('id')->on('order_items')->onDelete('cascade');
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('restrict');
+            $table->index('order_item_id');
+        });
+
+        Schema::table('orders', function (Blueprint $table) {
+            $table->decimal('refunded_amount', 10, 2)->default(0.00)->after('total');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('orders', function (Blueprint $table) {
+            $table->dropColumn('refunded_amount');
+        });
+
+        Schema::dropIfExists('order_return_items');
+        Schema::dropIfExists('order_returns');
+    }
+};
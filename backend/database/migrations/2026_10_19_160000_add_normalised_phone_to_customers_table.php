@@ -0,0 +1,40 @@
+<?php
+
+use App\Models\Customer;
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('customers', function (Blueprint $table) {
+            $table->string('normalised_phone', 20)->nullable()->after('phone');
+            $table->index('normalised_phone');
+        });
+
+        DB::table('customers')->whereNotNull('phone')->orderBy('id')->chunkById(500, function ($customers) {
+            foreach ($customers as $customer) {
+                DB::table('customers')
+                    ->where('id', $customer->id)
+                    ->update(['normalised_phone' => Customer::normalisePhone($customer->phone)]);
+            }
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('customers', function (Blueprint $table) {
+            $table->dropIndex(['normalised_phone']);
+            $table->dropColumn('normalised_phone');
+        });
+    }
+};
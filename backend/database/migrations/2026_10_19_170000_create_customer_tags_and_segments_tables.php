@@ -0,0 +1,61 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('customer_tags', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 50)->unique();
+            $table->string('slug', 50)->unique();
+            $table->string('color', 20)->default('slate');
+            $table->timestamps();
+        });
+
+        Schema::create('customer_tag', function (Blueprint $table) {
+            $table->unsignedBigInteger('customer_id');
+            $table->unsignedBigInteger('customer_tag_id');
+            $table->timestamp('created_at')->nullable();
+
+            $table->primary(['customer_id', 'customer_tag_id']);
+            $table->foreign('customer_id')->references('id')->on('customers')->onDelete('cascade');
+            $table->foreign('customer_tag_id')->references('id')->on('customer_tags')->onDelete('cascade');
+            $table->index('customer_tag_id');
+        });
+
+        Schema::create('customer_segments', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 100);
+            $table->json('rules');
+            $table->unsignedBigInteger('created_by')->nullable();
+            $table->timestamps();
+
+            $table->foreign('created_by')->references('id')->on('users')->onDelete('set null');
+        });
+
+        DB::table('customer_tags')->insert([
+            ['name' => 'VIP', 'slug' => 'vip', 'color' => 'purple', 'created_at' => now(), 'updated_at' => now()],
+            ['name' => 'Wholesale', 'slug' => 'wholesale', 'color' => 'info', 'created_at' => now(), 'updated_at' => now()],
+            ['name' => 'Reseller', 'slug' => 'reseller', 'color' => 'success', 'created_at' => now(), 'updated_at' => now()],
+            ['name' => 'Blacklist', 'slug' => 'blacklist', 'color' => 'danger', 'created_at' => now(), 'updated_at' => now()],
+        ]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('customer_segments');
+        Schema::dropIfExists('customer_tag');
+        Schema::dropIfExists('customer_tags');
+    }
+};
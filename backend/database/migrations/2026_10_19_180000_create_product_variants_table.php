@@ -0,0 +1,74 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('products', function (Blueprint $table) {
+            // Option axes, e.g. [{"name": "Size", "values": ["S", "M"]}]
+            $table->json('variant_options')->nullable()->after('weight');
+            $table->boolean('has_variants')->default(false)->after('variant_options');
+        });
+
+        Schema::create('product_variants', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('product_id');
+            $table->string('sku', 50)->unique();
+            // Value per option axis, e.g. {"Size": "M", "Colour": "Red"}
+            $table->json('options');
+            // Null price / cost fall back to the product's
+            $table->decimal('price', 10, 2)->nullable();
+            $table->decimal('cost_price', 10, 2)->nullable();
+            $table->integer('stock_quantity')->default(0);
+            $table->boolean('is_active')->default(true);
+            $table->timestamps();
+
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('cascade');
+            $table->index('product_id');
+        });
+
+        Schema::table('order_items', function (Blueprint $table) {
+            $table->unsignedBigInteger('variant_id')->nullable()->after('product_id');
+            $table->string('variant_name', 100)->nullable()->after('product_name');
+
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('restrict');
+        });
+
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->unsignedBigInteger('variant_id')->nullable()->after('product_id');
+
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('cascade');
+            $table->index('variant_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->dropForeign(['variant_id']);
+            $table->dropIndex(['variant_id']);
+            $table->dropColumn('variant_id');
+        });
+
+        Schema::table('order_items', function (Blueprint $table) {
+            $table->dropForeign(['variant_id']);
+            $table->dropColumn(['variant_id', 'variant_name']);
+        });
+
+        Schema::dropIfExists('product_variants');
+
+        Schema::table('products', function (Blueprint $table) {
+            $table->dropColumn(['variant_options', 'has_variants']);
+        });
+    }
+};
@@ -0,0 +1,32 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            // Damaged / lost stock, kept apart from other adjustments
+            $table->enum('transaction_type', ['purchase', 'sale', 'adjustment', 'return', 'write_off'])->change();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        DB::table('inventory_transactions')->where('transaction_type', 'write_off')->update(['transaction_type' => 'adjustment']);
+
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->enum('transaction_type', ['purchase', 'sale', 'adjustment', 'return'])->change();
+        });
+    }
+};
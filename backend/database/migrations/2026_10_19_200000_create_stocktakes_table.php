@@ -0,0 +1,60 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('stocktakes', function (Blueprint $table) {
+            $table->id();
+            $table->string('reference', 50)->unique();
+            // Count scope: a category and/or a free-text location (e.g. "Rak A")
+            $table->unsignedBigInteger('category_id')->nullable();
+            $table->string('location', 100)->nullable();
+            $table->enum('status', ['counting', 'posted', 'cancelled'])->default('counting');
+            $table->text('notes')->nullable();
+            $table->unsignedBigInteger('created_by');
+            $table->unsignedBigInteger('posted_by')->nullable();
+            $table->timestamp('posted_at')->nullable();
+            $table->timestamps();
+
+            $table->foreign('category_id')->references('id')->on('categories')->onDelete('set null');
+            $table->foreign('created_by')->references('id')->on('users')->onDelete('restrict');
+            $table->foreign('posted_by')->references('id')->on('users')->onDelete('restrict');
+            $table->index('status');
+        });
+
+        Schema::create('stocktake_items', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('stocktake_id');
+            $table->unsignedBigInteger('product_id');
+            $table->unsignedBigInteger('variant_id')->nullable();
+            // Null until counted; uncounted lines are never posted
+            $table->integer('counted_quantity')->nullable();
+            $table->timestamp('counted_at')->nullable();
+            // Difference posted to stock when the stocktake was approved
+            $table->integer('adjusted_quantity')->nullable();
+            $table->timestamps();
+
+            $table->foreign('stocktake_id')->references('id')->on('stocktakes')->onDelete('cascade');
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('cascade');
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('cascade');
+            $table->index(['stocktake_id', 'product_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('stocktake_items');
+        Schema::dropIfExists('stocktakes');
+    }
+};
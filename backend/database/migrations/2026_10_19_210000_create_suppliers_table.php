@@ -0,0 +1,55 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('suppliers', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 150)->unique();
+            $table->string('contact_name', 100)->nullable();
+            $table->string('email', 100)->nullable();
+            $table->string('phone', 20)->nullable();
+            $table->text('address')->nullable();
+            $table->string('currency', 3)->default('MYR');
+            // Days from placing an order to receiving the stock
+            $table->unsignedSmallInteger('lead_time_days')->nullable();
+            $table->string('payment_terms', 100)->nullable();
+            $table->text('notes')->nullable();
+            $table->boolean('is_active')->default(true);
+            $table->timestamps();
+        });
+
+        Schema::create('product_suppliers', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('product_id');
+            $table->unsignedBigInteger('supplier_id');
+            $table->string('supplier_sku', 50)->nullable();
+            // In the supplier's currency
+            $table->decimal('last_cost', 10, 2)->nullable();
+            $table->boolean('is_preferred')->default(false);
+            $table->timestamps();
+
+            $table->unique(['product_id', 'supplier_id']);
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('cascade');
+            $table->foreign('supplier_id')->references('id')->on('suppliers')->onDelete('cascade');
+            $table->index('supplier_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('product_suppliers');
+        Schema::dropIfExists('suppliers');
+    }
+};
@@ -0,0 +1,169 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('locations', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 100)->unique();
+            $table->string('code', 10)->unique();
+            $table->enum('type', ['warehouse', 'store'])->default('warehouse');
+            $table->text('address')->nullable();
+            // Stock changes without a location (product form, imports) land here
+            $table->boolean('is_default')->default(false);
+            $table->boolean('is_active')->default(true);
+            $table->timestamps();
+        });
+
+        // On-hand stock per location; products.stock_quantity (and each
+        // variant's) stays the total across locations
+        Schema::create('location_stocks', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('location_id');
+            $table->unsignedBigInteger('product_id');
+            $table->unsignedBigInteger('variant_id')->nullable();
+            $table->integer('quantity')->default(0);
+            // Null uses the product's low_stock_threshold
+            $table->integer('low_stock_threshold')->nullable();
+            $table->timestamps();
+
+            $table->unique(['location_id', 'product_id', 'variant_id']);
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('cascade');
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('cascade');
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('cascade');
+            $table->index('product_id');
+        });
+
+        // Locations a channel sells from, in allocation order
+        Schema::create('channel_locations', function (Blueprint $table) {
+            $table->unsignedBigInteger('channel_id');
+            $table->unsignedBigInteger('location_id');
+            $table->unsignedTinyInteger('priority')->default(0);
+
+            $table->primary(['channel_id', 'location_id']);
+            $table->foreign('channel_id')->references('id')->on('sales_channels')->onDelete('cascade');
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('cascade');
+        });
+
+        Schema::create('stock_transfers', function (Blueprint $table) {
+            $table->id();
+            $table->string('reference', 50)->unique();
+            $table->unsignedBigInteger('from_location_id');
+            $table->unsignedBigInteger('to_location_id');
+            $table->enum('status', ['in_transit', 'received', 'cancelled'])->default('in_transit');
+            $table->text('notes')->nullable();
+            $table->unsignedBigInteger('created_by');
+            $table->unsignedBigInteger('received_by')->nullable();
+            $table->timestamp('received_at')->nullable();
+            $table->timestamps();
+
+            $table->foreign('from_location_id')->references('id')->on('locations')->onDelete('restrict');
+            $table->foreign('to_location_id')->references('id')->on('locations')->onDelete('restrict');
+            $table->foreign('created_by')->references('id')->on('users')->onDelete('restrict');
+            $table->foreign('received_by')->references('id')->on('users')->onDelete('restrict');
+            $table->index('status');
+        });
+
+        Schema::create('stock_transfer_items', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('stock_transfer_id');
+            $table->unsignedBigInteger('product_id');
+            $table->unsignedBigInteger('variant_id')->nullable();
+            $table->integer('quantity');
+            $table->timestamps();
+
+            $table->foreign('stock_transfer_id')->references('id')->on('stock_transfers')->onDelete('cascade');
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('restrict');
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('restrict');
+        });
+
+        Schema::table('orders', function (Blueprint $table) {
+            // Fulfilment location the order's stock was taken from
+            $table->unsignedBigInteger('location_id')->nullable()->after('channel_id');
+
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('set null');
+        });
+
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->unsignedBigInteger('location_id')->nullable()->after('variant_id');
+            $table->enum('transaction_type', ['purchase', 'sale', 'adjustment', 'return', 'write_off', 'transfer'])->change();
+            $table->enum('reference_type', ['order', 'manual', 'supplier', 'transfer'])->change();
+
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('set null');
+            $table->index('location_id');
+        });
+
+        Schema::table('stocktakes', function (Blueprint $table) {
+            // Counted against this location's stock (null = total stock)
+            $table->unsignedBigInteger('location_id')->nullable()->after('category_id');
+
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('set null');
+        });
+
+        // Existing stock all sits in the first (default) location
+        $locationId = DB::table('locations')->insertGetId([
+            'name' => 'KL Warehouse',
+            'code' => 'KL',
+            'type' => 'warehouse',
+            'is_default' => true,
+            'is_active' => true,
+            'created_at' => now(),
+            'updated_at' => now()
+        ]);
+
+        DB::statement(
+            'INSERT INTO location_stocks (location_id, product_id, variant_id, quantity, created_at, updated_at)
+             SELECT ?, id, NULL, stock_quantity, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP FROM products WHERE has_variants = 0',
+            [$locationId]
+        );
+        DB::statement(
+            'INSERT INTO location_stocks (location_id, product_id, variant_id, quantity, created_at, updated_at)
+             SELECT ?, product_id, id, stock_quantity, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP FROM product_variants',
+            [$locationId]
+        );
+        DB::table('inventory_transactions')->update(['location_id' => $locationId]);
+        DB::table('orders')->update(['location_id' => $locationId]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('stocktakes', function (Blueprint $table) {
+            $table->dropForeign(['location_id']);
+            $table->dropColumn('location_id');
+        });
+
+        DB::table('inventory_transactions')->where('transaction_type', 'transfer')->update(['transaction_type' => 'adjustment']);
+        DB::table('inventory_transactions')->where('reference_type', 'transfer')->update(['reference_type' => 'manual']);
+
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->dropForeign(['location_id']);
+            $table->dropIndex(['location_id']);
+            $table->dropColumn('location_id');
+            $table->enum('transaction_type', ['purchase', 'sale', 'adjustment', 'return', 'write_off'])->change();
+            $table->enum('reference_type', ['order', 'manual', 'supplier'])->change();
+        });
+
+        Schema::table('orders', function (Blueprint $table) {
+            $table->dropForeign(['location_id']);
+            $table->dropColumn('location_id');
+        });
+
+        Schema::dropIfExists('stock_transfer_items');
+        Schema::dropIfExists('stock_transfers');
+        Schema::dropIfExists('channel_locations');
+        Schema::dropIfExists('location_stocks');
+        Schema::dropIfExists('locations');
+    }
+};
@@ -0,0 +1,54 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Stock held for unpaid orders: still on hand (stock_quantity) but
+        // no longer available to sell, until the order is paid (converted to
+        // a deduction), cancelled (released) or not paid in time (expired)
+        Schema::create('stock_reservations', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('order_id');
+            $table->unsignedBigInteger('product_id');
+            $table->unsignedBigInteger('variant_id')->nullable();
+            $table->unsignedBigInteger('location_id')->nullable();
+            $table->integer('quantity');
+            $table->enum('status', ['active', 'converted', 'released', 'expired'])->default('active');
+            $table->timestamp('expires_at');
+            $table->timestamp('closed_at')->nullable();
+            $table->timestamps();
+
+            $table->foreign('order_id')->references('id')->on('orders')->onDelete('cascade');
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('cascade');
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('cascade');
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('set null');
+            $table->index(['status', 'expires_at']);
+            $table->index(['product_id', 'status']);
+        });
+
+        Schema::table('sales_channels', function (Blueprint $table) {
+            // How long an unpaid order from this channel holds its stock
+            $table->unsignedSmallInteger('reservation_hours')->default(24)->after('sync_frequency');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('sales_channels', function (Blueprint $table) {
+            $table->dropColumn('reservation_hours');
+        });
+
+        Schema::dropIfExists('stock_reservations');
+    }
+};
@@ -0,0 +1,46 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Product gallery: uploaded files (path on the public disk) or
+        // images hosted elsewhere (url). products.image_url keeps the
+        // primary image's URL for everything that shows a single image.
+        Schema::create('product_images', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('product_id');
+            $table->string('path', 255)->nullable();
+            $table->string('url')->nullable();
+            $table->string('alt_text', 200)->nullable();
+            $table->unsignedSmallInteger('position')->default(0);
+            $table->boolean('is_primary')->default(false);
+            $table->timestamps();
+
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('cascade');
+            $table->index(['product_id', 'position']);
+        });
+
+        // Existing image URLs become each product's primary image
+        DB::statement(
+            "INSERT INTO product_images (product_id, url, alt_text, position, is_primary, created_at, updated_at)
+             SELECT id, image_url, name, 0, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP FROM products WHERE image_url IS NOT NULL AND image_url != ''"
+        );
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('product_images');
+    }
+};
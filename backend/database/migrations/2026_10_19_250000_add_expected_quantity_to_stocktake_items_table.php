@@ -0,0 +1,30 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('stocktake_items', function (Blueprint $table) {
+            // System stock when the line was counted: variance is counted
+            // minus this, so sales made before posting aren't counted again
+            $table->integer('expected_quantity')->nullable()->after('variant_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('stocktake_items', function (Blueprint $table) {
+            $table->dropColumn('expected_quantity');
+        });
+    }
+};
@@ -0,0 +1,33 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('commission_transactions', function (Blueprint $table) {
+            // Partial refunds: the commission before the first one, and the
+            // total taken back since (reduced from an unpaid amount or clawed
+            // back from a paid one), so each refund is worked out on the
+            // original commission
+            $table->decimal('original_amount', 10, 2)->nullable()->after('amount');
+            $table->decimal('reversed_amount', 10, 2)->default(0)->after('original_amount');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('commission_transactions', function (Blueprint $table) {
+            $table->dropColumn(['original_amount', 'reversed_amount']);
+        });
+    }
+};
@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('commission_transactions', function (Blueprint $table) {
+            // How the commission was worked out when it was earned: a share of
+            // the order total, or a fixed amount (which 'percentage' then holds)
+            $table->enum('rate_type', ['percentage', 'fixed'])->default('percentage')->after('percentage');
+        });
+
+        // Existing rows: a commission that isn't its rate's share of the
+        // order total was a fixed one
+        DB::statement(
+            "UPDATE commission_transactions SET rate_type = 'fixed'
+             WHERE amount > 0 AND ROUND(order_total * percentage / 100, 2) <> ROUND(COALESCE(original_amount, amount), 2)"
+        );
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('commission_transactions', function (Blueprint $table) {
+            $table->dropColumn('rate_type');
+        });
+    }
+};
@@ -0,0 +1,49 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('order_items', function (Blueprint $table) {
+            // False for marketplace lines naming a variant product's parent SKU:
+            // no stock was deducted or reserved, so none is put back either
+            $table->boolean('stock_taken')->default(true)->after('variant_id');
+        });
+
+        // Such lines so far left no stock movement or reservation behind
+        DB::table('order_items as oi')
+            ->join('products as p', 'oi.product_id', '=', 'p.id')
+            ->where('p.has_variants', true)
+            ->whereNull('oi.variant_id')
+            ->whereNotExists(fn ($query) => $query->select(DB::raw(1))
+                ->from('inventory_transactions as it')
+                ->whereColumn('it.reference_id', 'oi.order_id')
+                ->where('it.reference_type', 'order')
+                ->whereColumn('it.product_id', 'oi.product_id'))
+            ->whereNotExists(fn ($query) => $query->select(DB::raw(1))
+                ->from('stock_reservations as sr')
+                ->whereColumn('sr.order_id', 'oi.order_id')
+                ->whereColumn('sr.product_id', 'oi.product_id'))
+            ->pluck('oi.id')
+            ->chunk(500)
+            ->each(fn ($ids) => DB::table('order_items')->whereIn('id', $ids)->update(['stock_taken' => false]));
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('order_items', function (Blueprint $table) {
+            $table->dropColumn('stock_taken');
+        });
+    }
+};
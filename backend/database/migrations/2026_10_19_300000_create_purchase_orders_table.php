@@ -0,0 +1,68 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('purchase_orders', function (Blueprint $table) {
+            $table->id();
+            $table->string('reference', 50)->unique();
+            $table->unsignedBigInteger('supplier_id');
+            // Where the stock is received
+            $table->unsignedBigInteger('location_id');
+            $table->enum('status', ['ordered', 'partial', 'received', 'cancelled'])->default('ordered');
+            $table->text('notes')->nullable();
+            $table->unsignedBigInteger('created_by');
+            $table->timestamp('received_at')->nullable();
+            $table->timestamps();
+
+            $table->foreign('supplier_id')->references('id')->on('suppliers')->onDelete('restrict');
+            $table->foreign('location_id')->references('id')->on('locations')->onDelete('restrict');
+            $table->foreign('created_by')->references('id')->on('users')->onDelete('restrict');
+            $table->index('status');
+        });
+
+        Schema::create('purchase_order_items', function (Blueprint $table) {
+            $table->id();
+            $table->unsignedBigInteger('purchase_order_id');
+            $table->unsignedBigInteger('product_id');
+            $table->unsignedBigInteger('variant_id')->nullable();
+            $table->integer('quantity_ordered');
+            $table->integer('quantity_received')->default(0);
+            // In the supplier's currency
+            $table->decimal('unit_cost', 10, 2)->nullable();
+            $table->timestamps();
+
+            $table->foreign('purchase_order_id')->references('id')->on('purchase_orders')->onDelete('cascade');
+            $table->foreign('product_id')->references('id')->on('products')->onDelete('restrict');
+            $table->foreign('variant_id')->references('id')->on('product_variants')->onDelete('restrict');
+        });
+
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->enum('reference_type', ['order', 'manual', 'supplier', 'transfer', 'purchase_order'])->change();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        DB::table('inventory_transactions')->where('reference_type', 'purchase_order')->update(['reference_type' => 'supplier']);
+
+        Schema::table('inventory_transactions', function (Blueprint $table) {
+            $table->enum('reference_type', ['order', 'manual', 'supplier', 'transfer'])->change();
+        });
+
+        Schema::dropIfExists('purchase_order_items');
+        Schema::dropIfExists('purchase_orders');
+    }
+};
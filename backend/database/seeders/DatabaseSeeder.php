@@ -32,7 +32,7 @@ public function run(): void
         $clothing = \App\Models\Category::create(['name' => 'Clothing', 'slug' => 'clothing']);
 
         // Create Products
-        \App\Models\Product::create([
+        $headphones = \App\Models\Product::create([
             'name' => 'Wireless Headphones',
             'sku' => 'ELEC-001',
             'price' => 199.99,
@@ -56,6 +56,63 @@ public function run(): void
             'status' => 'active'
         ]);
 
+        // Suppliers
+        \App\Models\Supplier::create([
+            'name' => 'Shenzhen Audio Trading',
+            'contact_name' => 'Lily Chen',
+            'email' => 'sales@szaudio.example.com',
+            'phone' => '+86 755 8888 1234',
+            'currency' => 'USD',
+            'lead_time_days' => 21,
+            'payment_terms' => '30% deposit, balance before shipping'
+        ]);
+
+        $klSupplier = \App\Models\Supplier::create([
+            'name' => 'KL Electronics Wholesale',
+            'contact_name' => 'Ahmad Faizal',
+            'email' => 'order@klew.example.com',
+            'phone' => '0321234567',
+            'currency' => 'MYR',
+            'lead_time_days' => 3,
+            'payment_terms' => 'Net 30'
+        ]);
+
+        $headphones->suppliers()->attach($klSupplier->id, [
+            'supplier_sku' => 'KLEW-WH100',
+            'last_cost' => 80.00,
+            'is_preferred' => true
+        ]);
+
+        // Product sold in size / colour variants
+        $tee = \App\Models\Product::create([
+            'name' => 'Cotton T-Shirt',
+            'sku' => 'CLOT-001',
+            'price' => 39.90,
+            'cost_price' => 15.00,
+            'stock_quantity' => 40,
+            'low_stock_threshold' => 3,
+            'category_id' => $clothing->id,
+            'description' => 'Everyday cotton crew neck tee',
+            'status' => 'active',
+            'has_variants' => true,
+            'variant_options' => [
+                ['name' => 'Size', 'values' => ['S', 'M']],
+                ['name' => 'Colour', 'values' => ['Black', 'White']]
+            ]
+        ]);
+
+        foreach (['S', 'M'] as $size) {
+            foreach (['Black', 'White'] as $colour) {
+                \App\Models\ProductVariant::create([
+                    'product_id' => $tee->id,
+                    'sku' => 'CLOT-001-' . $size . '-' . strtoupper($colour),
+                    'options' => ['Size' => $size, 'Colour' => $colour],
+                    'price' => $size === 'M' ? 42.90 : null,
+                    'stock_quantity' => 10
+                ]);
+            }
+        }
+
         // Create Sales Channels
         \App\Models\SalesChannel::create([
             'name' => 'Website',
@@ -64,17 +121,39 @@ public function run(): void
             'is_active' => true
         ]);
 
-        \App\Models\SalesChannel::create([
+        $shopee = \App\Models\SalesChannel::create([
             'name' => 'Shopee Store',
             'type' => 'shopee',
             'is_active' => true
         ]);
 
+        // Stock locations: the migration creates the default KL Warehouse,
+        // which holds the stock seeded above
+        $penang = \App\Models\Location::create([
+            'name' => 'Penang Store',
+            'code' => 'PG',
+            'type' => 'store',
+            'address' => 'Gurney Plaza, Georgetown, Penang'
+        ]);
+
+        foreach (\App\Models\Product::pluck('id') as $productId) {
+            \App\Models\Location::reconcile($productId);
+        }
+
+        // Move some headphones to the store and let Shopee ship from it first
+        \App\Models\Location::incrementStock(\App\Models\Location::defaultId(), $headphones->id, null, -15);
+        \App\Models\Location::incrementStock($penang->id, $headphones->id, null, 15);
+        $shopee->locations()->attach([
+            $penang->id => ['priority' => 0],
+            \App\Models\Location::defaultId() => ['priority' => 1]
+        ]);
+
         // Create Default Customer
         \Illuminate\Support\Facades\DB::table('customers')->insert([
             'email' => 'walkin@example.com',
             'full_name' => 'Walk-in Customer',
             'phone' => '0123456789',
+            'normalised_phone' => '0123456789',
             'address' => 'Shop Counter',
             'customer_type' => 'retail',
             'created_at' => now(),
@@ -83,10 +162,12 @@ public function run(): void
 
         // Create More Customers
         for ($i = 1; $i <= 5; $i++) {
+            $phone = fake()->phoneNumber();
             \Illuminate\Support\Facades\DB::table('customers')->insert([
                 'email' => "customer{$i}@example.com",
                 'full_name' => fake()->name(),
-                'phone' => fake()->phoneNumber(),
+                'phone' => $phone,
+                'normalised_phone' => \App\Models\Customer::normalisePhone($phone),
                 'address' => fake()->address(),
                 'customer_type' => fake()->randomElement(['retail', 'wholesale', 'vip']),
                 'created_at' => now()->subDays(rand(1, 60)),
@@ -140,6 +221,7 @@ public function run(): void
                     'order_number' => $orderNumber,
                     'customer_id' => fake()->randomElement($customers),
                     'channel_id' => fake()->randomElement($channels),
+                    'location_id' => \App\Models\Location::defaultId(),
                     'assigned_staff_id' => ($agent->role === 'staff' ? $agent->id : $user->id),
                     'affiliate_id' => ($agent->role === 'affiliate' ? $agent->id : null),
                     'subtotal' => $subtotal,
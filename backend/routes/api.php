@@ -3,13 +3,27 @@
 use Illuminate\Support\Facades\Route;
 use App\Http\Controllers\AuthController;
 use App\Http\Controllers\ProductController;
+use App\Http\Controllers\ProductImageController;
 use App\Http\Controllers\OrderController;
 use App\Http\Controllers\CustomerController;
+use App\Http\Controllers\CustomerSegmentController;
+use App\Http\Controllers\CustomerTagController;
 use App\Http\Controllers\CommissionController;
 use App\Http\Controllers\DashboardController;
+use App\Http\Controllers\InventoryController;
+use App\Http\Controllers\LocationController;
+use App\Http\Controllers\StockTransferController;
+use App\Http\Controllers\PurchaseOrderController;
 use App\Http\Controllers\ChannelController;
 use App\Http\Controllers\WebhookController;
 use App\Http\Controllers\NotificationController;
+use App\Http\Controllers\CartDraftController;
+use App\Http\Controllers\OrderExportController;
+use App\Http\Controllers\ReturnController;
+use App\Http\Controllers\ShipmentController;
+use App\Http\Controllers\StocktakeController;
+use App\Http\Controllers\SupplierController;
+use App\Http\Controllers\UserPreferenceController;
 
 /*
 |--------------------------------------------------------------------------
@@ -89,27 +103,129 @@
     Route::prefix('products')->group(function () {
         Route::get('/', [ProductController::class, 'index']);
         Route::post('/', [ProductController::class, 'store']);
+        Route::post('/import', [ProductController::class, 'import'])->middleware('role:admin,staff');
         Route::get('/{id}', [ProductController::class, 'show']);
         Route::put('/{id}', [ProductController::class, 'update']);
         Route::delete('/{id}', [ProductController::class, 'destroy']);
+        Route::post('/{id}/images', [ProductImageController::class, 'store'])->middleware('role:admin,staff');
+        Route::put('/{id}/images', [ProductImageController::class, 'update'])->middleware('role:admin,staff');
+        Route::delete('/{id}/images/{imageId}', [ProductImageController::class, 'destroy'])->middleware('role:admin,staff');
         Route::get('/categories/all', [ProductController::class, 'categories']);
         Route::get('/sku/next/{categoryId}', [ProductController::class, 'nextSKU']);
     });
+
+    // Inventory (stock movements & ledger)
+    Route::prefix('inventory')->group(function () {
+        Route::get('/transactions', [InventoryController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/adjust', [InventoryController::class, 'adjust'])->middleware('role:admin,staff');
+    });
+
+    // Stocktakes (cycle counts)
+    Route::prefix('stocktakes')->group(function () {
+        Route::get('/', [StocktakeController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [StocktakeController::class, 'store'])->middleware('role:admin,staff');
+        Route::get('/{id}', [StocktakeController::class, 'show'])->middleware('role:admin,staff');
+        Route::delete('/{id}', [StocktakeController::class, 'destroy'])->middleware('role:admin,staff');
+        Route::get('/{id}/export', [StocktakeController::class, 'export'])->middleware('role:admin,staff');
+        Route::post('/{id}/scan', [StocktakeController::class, 'scan'])->middleware('role:admin,staff');
+        Route::put('/{id}/items', [StocktakeController::class, 'updateCounts'])->middleware('role:admin,staff');
+        Route::post('/{id}/post', [StocktakeController::class, 'post'])->middleware('role:admin');
+    });
+
+    // Suppliers
+    Route::prefix('suppliers')->group(function () {
+        Route::get('/', [SupplierController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [SupplierController::class, 'store'])->middleware('role:admin,staff');
+        Route::get('/all', [SupplierController::class, 'options'])->middleware('role:admin,staff');
+        Route::get('/{id}', [SupplierController::class, 'show'])->middleware('role:admin,staff');
+        Route::put('/{id}', [SupplierController::class, 'update'])->middleware('role:admin,staff');
+        Route::delete('/{id}', [SupplierController::class, 'destroy'])->middleware('role:admin');
+    });
+
+    // Stock locations (warehouses, stores)
+    Route::prefix('locations')->group(function () {
+        Route::get('/', [LocationController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [LocationController::class, 'store'])->middleware('role:admin');
+        Route::get('/all', [LocationController::class, 'options'])->middleware('role:admin,staff');
+        Route::get('/{id}', [LocationController::class, 'show'])->middleware('role:admin,staff');
+        Route::put('/{id}', [LocationController::class, 'update'])->middleware('role:admin');
+        Route::delete('/{id}', [LocationController::class, 'destroy'])->middleware('role:admin');
+        Route::put('/{id}/stock/{stockId}', [LocationController::class, 'updateThreshold'])->middleware('role:admin,staff');
+    });
+
+    // Stock transfers between locations
+    Route::prefix('stock-transfers')->group(function () {
+        Route::get('/', [StockTransferController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [StockTransferController::class, 'store'])->middleware('role:admin,staff');
+        Route::get('/{id}', [StockTransferController::class, 'show'])->middleware('role:admin,staff');
+        Route::post('/{id}/receive', [StockTransferController::class, 'receive'])->middleware('role:admin,staff');
+        Route::post('/{id}/cancel', [StockTransferController::class, 'cancel'])->middleware('role:admin,staff');
+    });
+
+    // Replenishment: reorder suggestions and supplier purchase orders
+    Route::prefix('purchase-orders')->group(function () {
+        Route::get('/', [PurchaseOrderController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [PurchaseOrderController::class, 'store'])->middleware('role:admin,staff');
+        Route::get('/suggestions', [PurchaseOrderController::class, 'suggestions'])->middleware('role:admin,staff');
+        Route::get('/{id}', [PurchaseOrderController::class, 'show'])->middleware('role:admin,staff');
+        Route::post('/{id}/receive', [PurchaseOrderController::class, 'receive'])->middleware('role:admin,staff');
+        Route::post('/{id}/cancel', [PurchaseOrderController::class, 'cancel'])->middleware('role:admin,staff');
+    });
     
     // Orders Management
     Route::prefix('orders')->group(function () {
         Route::get('/', [OrderController::class, 'index']);
         Route::post('/', [OrderController::class, 'store']);
+        Route::get('/ids', [OrderController::class, 'matchingIds']);
+        Route::get('/export', [OrderExportController::class, 'export']);
+        Route::get('/status-summary', [OrderController::class, 'statusSummary']);
+        Route::get('/status-transitions', [OrderController::class, 'statusTransitions']);
+        Route::get('/filter-options', [OrderController::class, 'filterOptions'])->middleware('role:admin');
+        Route::post('/tracking/import', [ShipmentController::class, 'import'])->middleware('role:admin,staff');
         Route::get('/{id}', [OrderController::class, 'show']);
+        Route::put('/{id}', [OrderController::class, 'update'])->middleware('role:admin,staff');
+        Route::get('/{id}/timeline', [OrderController::class, 'timeline']);
         Route::patch('/{id}/status', [OrderController::class, 'updateStatus'])->middleware('role:admin,staff');
         Route::patch('/{id}/payment', [OrderController::class, 'updatePayment'])->middleware('role:admin,staff');
+        Route::patch('/{id}/location', [OrderController::class, 'updateLocation'])->middleware('role:admin,staff');
+        Route::patch('/{id}/shipment', [ShipmentController::class, 'update'])->middleware('role:admin,staff');
+        Route::get('/{id}/tracking', [ShipmentController::class, 'tracking']);
+        Route::get('/{id}/returns', [ReturnController::class, 'forOrder'])->middleware('role:admin,staff');
+        Route::post('/{id}/returns', [ReturnController::class, 'store'])->middleware('role:admin,staff');
     });
     
+    // Background export downloads (link delivered via notifications)
+    Route::get('/exports/{id}/download', [OrderExportController::class, 'download']);
+    
+    // Returns (RMA)
+    Route::get('/returns', [ReturnController::class, 'index'])->middleware('role:admin,staff');
+    
     // Customers Management
     Route::prefix('customers')->group(function () {
         Route::get('/', [CustomerController::class, 'index']);
         Route::post('/', [CustomerController::class, 'store']);
+        Route::get('/export', [CustomerController::class, 'export'])->middleware('role:admin,staff');
+        Route::get('/duplicates', [CustomerController::class, 'duplicates'])->middleware('role:admin');
+        Route::post('/import', [CustomerController::class, 'import'])->middleware('role:admin,staff');
         Route::get('/{id}', [CustomerController::class, 'show']);
+        Route::put('/{id}', [CustomerController::class, 'update'])->middleware('role:admin,staff');
+        Route::post('/{id}/merge', [CustomerController::class, 'merge'])->middleware('role:admin');
+        Route::put('/{id}/tags', [CustomerController::class, 'updateTags'])->middleware('role:admin,staff');
+    });
+    
+    // Customer Tags & Segments
+    Route::prefix('customer-tags')->group(function () {
+        Route::get('/', [CustomerTagController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [CustomerTagController::class, 'store'])->middleware('role:admin,staff');
+        Route::delete('/{id}', [CustomerTagController::class, 'destroy'])->middleware('role:admin');
+    });
+    
+    Route::prefix('customer-segments')->group(function () {
+        Route::get('/', [CustomerSegmentController::class, 'index'])->middleware('role:admin,staff');
+        Route::post('/', [CustomerSegmentController::class, 'store'])->middleware('role:admin,staff');
+        Route::post('/preview', [CustomerSegmentController::class, 'preview'])->middleware('role:admin,staff');
+        Route::put('/{id}', [CustomerSegmentController::class, 'update'])->middleware('role:admin,staff');
+        Route::delete('/{id}', [CustomerSegmentController::class, 'destroy'])->middleware('role:admin,staff');
     });
     
     // Commission Management
@@ -132,9 +248,25 @@
         Route::get('/', [ChannelController::class, 'index']);
         Route::put('/{id}', [ChannelController::class, 'update'])->middleware('role:admin');
         Route::post('/{id}/sync', [ChannelController::class, 'sync']);
+        Route::get('/{id}/stock', [ChannelController::class, 'stock'])->middleware('role:admin,staff');
         Route::get('/logs/all', [ChannelController::class, 'logs'])->middleware('role:admin');
     });
 
+    // Cart Drafts (per-user saved carts)
+    Route::prefix('cart-drafts')->group(function () {
+        Route::get('/', [CartDraftController::class, 'index']);
+        Route::post('/', [CartDraftController::class, 'store']);
+        Route::put('/{id}', [CartDraftController::class, 'update']);
+        Route::post('/{id}/duplicate', [CartDraftController::class, 'duplicate']);
+        Route::delete('/{id}', [CartDraftController::class, 'destroy']);
+    });
+
+    // User Preferences (per-user screen settings)
+    Route::prefix('preferences')->group(function () {
+        Route::get('/{key}', [UserPreferenceController::class, 'show'])->where('key', '[a-z_]+');
+        Route::put('/{key}', [UserPreferenceController::class, 'update'])->where('key', '[a-z_]+');
+    });
+
     // Notifications
     Route::prefix('notifications')->group(function () {
         Route::get('/', [NotificationController::class, 'index']);
@@ -1,8 +1,16 @@
 <?php
 
+use App\Services\StockReservationService;
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Schedule;
 
 Artisan::command('inspire', function () {
     $this->comment(Inspiring::quote());
 })->purpose('Display an inspiring quote');
+
+Artisan::command('reservations:release-expired', function (StockReservationService $reservations) {
+    $this->info($reservations->releaseExpired() . ' unpaid order(s) cancelled');
+})->purpose('Cancel unpaid orders whose stock reservation has expired');
+
+Schedule::command('reservations:release-expired')->everyFiveMinutes()->withoutOverlapping();
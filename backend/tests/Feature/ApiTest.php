@@ -3,10 +3,12 @@
 namespace Tests\Feature;
 
 use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
 use Tests\TestCase;
 use App\Models\User;
 use App\Models\Product;
 use App\Models\Customer;
+use App\Models\CustomerTag;
 use App\Models\SalesChannel;
 use App\Models\Category;
 
@@ -136,4 +138,1488 @@ public function test_can_create_order()
         $this->assertDatabaseHas('orders', ['customer_id' => $customer->id]);
         $this->assertDatabaseHas('order_items', ['product_id' => $product->id]);
     }
+
+    public function test_cart_drafts_are_saved_per_user()
+    {
+        $response = $this->postJson('/api/cart-drafts', [
+            'name' => 'Phone order - Pn. Aminah',
+            'items' => [['id' => 1, 'name' => 'Widget', 'price' => 10, 'quantity' => 2]]
+        ]);
+        $response->assertStatus(201);
+        $draftId = $response->json('data.id');
+
+        // Duplicate keeps the items under a new name
+        $this->postJson("/api/cart-drafts/{$draftId}/duplicate")
+            ->assertStatus(201)
+            ->assertJsonFragment(['name' => 'Phone order - Pn. Aminah (copy)']);
+
+        $this->getJson('/api/cart-drafts')
+            ->assertStatus(200)
+            ->assertJsonCount(2, 'data');
+
+        // Another user cannot see or modify the draft
+        $other = User::factory()->create(['role' => 'staff']);
+        $this->actingAs($other, 'api');
+        $this->withHeaders(['Authorization' => 'Bearer ' . \Tymon\JWTAuth\Facades\JWTAuth::fromUser($other)]);
+
+        $this->getJson('/api/cart-drafts')->assertJsonCount(0, 'data');
+        $this->putJson("/api/cart-drafts/{$draftId}", ['items' => []])->assertStatus(404);
+    }
+
+    public function test_user_preferences_are_saved_per_user()
+    {
+        $this->getJson('/api/preferences/products')
+            ->assertStatus(200)
+            ->assertJson(['data' => null]);
+
+        $prefs = ['view' => 'table', 'min_margin' => '20', 'sort' => 'margin', 'direction' => 'asc'];
+        $this->putJson('/api/preferences/products', ['value' => $prefs])->assertStatus(200);
+
+        // Saving again replaces the stored settings rather than adding a row
+        $prefs['view'] = 'grid';
+        $this->putJson('/api/preferences/products', ['value' => $prefs])->assertStatus(200);
+        $this->getJson('/api/preferences/products')->assertJson(['data' => $prefs]);
+        $this->assertEquals(1, \App\Models\UserPreference::count());
+
+        $this->putJson('/api/preferences/products', ['value' => 'table'])->assertStatus(400);
+
+        // Another user starts from their own (empty) settings
+        $other = User::factory()->create(['role' => 'staff']);
+        $this->actingAs($other, 'api');
+        $this->withHeaders(['Authorization' => 'Bearer ' . \Tymon\JWTAuth\Facades\JWTAuth::fromUser($other)]);
+
+        $this->getJson('/api/preferences/products')->assertJson(['data' => null]);
+    }
+
+    public function test_order_status_changes_follow_the_workflow()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Jane Doe',
+            'email' => 'jane@example.com',
+            'phone' => '555-1234'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Gadget',
+            'sku' => 'GADGET-01',
+            'price' => 20.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '123 Main St',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 1, 'unit_price' => 20.00]]
+        ])->json('orderId');
+
+        // Skipping straight from pending to delivered is rejected
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'delivered'])
+            ->assertStatus(400);
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'status' => 'pending']);
+
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'cancelled'])
+            ->assertStatus(200);
+
+        // Cancelled is final
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'confirmed'])
+            ->assertStatus(400);
+
+        $this->getJson('/api/orders/status-summary')
+            ->assertStatus(200)
+            ->assertJsonFragment(['status' => 'cancelled', 'count' => 1]);
+    }
+
+    public function test_order_timeline_records_status_and_stock_events()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Timeline Customer',
+            'email' => 'timeline@example.com',
+            'phone' => '555-2222'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Gizmo',
+            'sku' => 'GIZMO-01',
+            'price' => 30.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '2 Jalan Audit',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 2, 'unit_price' => 30.00]]
+        ])->json('orderId');
+
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'cancelled', 'notes' => 'Customer changed mind'])
+            ->assertStatus(200);
+
+        $this->getJson("/api/orders/{$orderId}/timeline")
+            ->assertStatus(200)
+            ->assertJsonFragment(['title' => 'Order Created'])
+            ->assertJsonFragment(['title' => 'Status: pending → cancelled', 'notes' => 'Customer changed mind'])
+            ->assertJsonFragment(['type' => 'stock_restored']);
+    }
+
+    public function test_order_export_quotes_values_and_expands_items()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Doe, John "JD"',
+            'email' => 'jd@example.com',
+            'phone' => '555-0000'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Widget',
+            'sku' => 'WIDGET-EXP',
+            'price' => 15.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '1 Jalan Export',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 3, 'unit_price' => 15.00]]
+        ])->assertStatus(201);
+
+        $response = $this->get('/api/orders/export?format=csv&include_items=1');
+        $response->assertStatus(200);
+        $csv = $response->streamedContent();
+
+        // Commas and quotes in values are quoted per RFC 4180
+        $this->assertStringContainsString('"Doe, John ""JD"""', $csv);
+        $this->assertStringContainsString('WIDGET-EXP', $csv);
+        $this->assertStringContainsString("\r\n", $csv);
+    }
+
+    public function test_partial_return_restocks_items_and_records_refund()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Return Customer',
+            'email' => 'return@example.com',
+            'phone' => '555-3333'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Returnable',
+            'sku' => 'RETURN-01',
+            'price' => 15.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '3 Jalan Pulang',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 3, 'unit_price' => 15.00]]
+        ])->json('orderId');
+
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'confirmed'])->assertStatus(200);
+
+        $itemId = $this->getJson("/api/orders/{$orderId}/returns")->json('data.items.0.id');
+
+        $this->postJson("/api/orders/{$orderId}/returns", [
+            'reason' => 'Wrong size',
+            'resolution' => 'restock',
+            'refund_amount' => 15.00,
+            'items' => [['order_item_id' => $itemId, 'quantity' => 1]]
+        ])->assertStatus(201);
+
+        $this->assertEquals(8, $product->fresh()->stock_quantity);
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'refunded_amount' => 15.00, 'payment_status' => 'pending']);
+
+        // Only the two remaining units can still be returned
+        $this->postJson("/api/orders/{$orderId}/returns", [
+            'reason' => 'Too many',
+            'resolution' => 'write_off',
+            'items' => [['order_item_id' => $itemId, 'quantity' => 3]]
+        ])->assertStatus(400);
+
+        // Cancelling afterwards doesn't restock the returned unit twice
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'cancelled'])->assertStatus(200);
+        $this->assertEquals(10, $product->fresh()->stock_quantity);
+    }
+
+    public function test_partial_refunds_reverse_commission_from_the_original_amount()
+    {
+        $affiliate = User::factory()->create(['role' => 'affiliate']);
+        \App\Models\CommissionConfig::create([
+            'user_id' => $affiliate->id,
+            'commission_type' => 'percentage',
+            'commission_value' => 10,
+            'is_active' => true,
+            'effective_from' => now()->subDay()
+        ]);
+        $customer = Customer::create(['full_name' => 'Refund Customer', 'email' => 'refund@example.com', 'phone' => '555-3434']);
+        $channel = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+        $product = Product::create([
+            'name' => 'Lamp',
+            'sku' => 'REFUND-01',
+            'price' => 50.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        // Total RM106 (with 6% SST), commission RM10.60
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'affiliate_id' => $affiliate->id,
+            'shipping_address' => '4 Jalan Lampu',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 2, 'unit_price' => 50.00]]
+        ])->json('orderId');
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'confirmed'])->assertStatus(200);
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $orderId, 'amount' => 10.60]);
+
+        $itemId = $this->getJson("/api/orders/{$orderId}/returns")->json('data.items.0.id');
+        $refundHalf = fn () => $this->postJson("/api/orders/{$orderId}/returns", [
+            'reason' => 'Broken',
+            'resolution' => 'write_off',
+            'refund_amount' => 53.00,
+            'items' => [['order_item_id' => $itemId, 'quantity' => 1]]
+        ])->assertStatus(201);
+
+        // Each half refund takes half of the original commission
+        $refundHalf();
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $orderId, 'amount' => 5.30, 'reversed_amount' => 5.30]);
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'affiliate_commission' => 5.30]);
+
+        $refundHalf();
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $orderId, 'amount' => 0, 'original_amount' => 10.60, 'reversed_amount' => 10.60]);
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'affiliate_commission' => 0]);
+    }
+
+    public function test_cancelling_orders_cancels_unpaid_commissions_and_claws_back_paid_ones()
+    {
+        $affiliate = User::factory()->create(['role' => 'affiliate']);
+        \App\Models\CommissionConfig::create([
+            'user_id' => $affiliate->id,
+            'commission_type' => 'percentage',
+            'commission_value' => 10,
+            'is_active' => true,
+            'effective_from' => now()->subDay()
+        ]);
+        $customer = Customer::create(['full_name' => 'Cancel Customer', 'email' => 'cancel@example.com', 'phone' => '555-4545']);
+        $channel = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+        $product = Product::create([
+            'name' => 'Fan',
+            'sku' => 'CANCEL-01',
+            'price' => 50.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        // Total RM106 (with 6% SST), commission RM10.60
+        $order = function () use ($customer, $channel, $affiliate, $product) {
+            $orderId = $this->postJson('/api/orders', [
+                'customer_id' => $customer->id,
+                'channel_id' => $channel->id,
+                'affiliate_id' => $affiliate->id,
+                'shipping_address' => '7 Jalan Kipas',
+                'payment_method' => 'cod',
+                'items' => [['product_id' => $product->id, 'quantity' => 2, 'unit_price' => 50.00]]
+            ])->json('orderId');
+            $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'confirmed'])->assertStatus(200);
+            return $orderId;
+        };
+
+        $unpaidId = $order();
+        $this->patchJson("/api/orders/{$unpaidId}/status", ['status' => 'cancelled'])->assertStatus(200);
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $unpaidId, 'amount' => 10.60, 'status' => 'cancelled']);
+
+        // A paid-out commission stays paid and is clawed back from the next payout
+        $paidId = $order();
+        \App\Models\CommissionTransaction::where('order_id', $paidId)->update(['status' => 'paid', 'paid_at' => now()]);
+        $this->patchJson("/api/orders/{$paidId}/status", ['status' => 'cancelled'])->assertStatus(200);
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $paidId, 'amount' => 10.60, 'status' => 'paid', 'reversed_amount' => 10.60]);
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $paidId, 'amount' => -10.60, 'status' => 'approved']);
+        $this->assertEquals(2, \App\Models\CommissionTransaction::where('order_id', $paidId)->count());
+    }
+
+    public function test_order_edit_adjusts_stock_totals_and_records_changes()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Edit Customer',
+            'email' => 'edit@example.com',
+            'phone' => '555-4444'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $first = Product::create([
+            'name' => 'First',
+            'sku' => 'EDIT-01',
+            'price' => 10.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $second = Product::create([
+            'name' => 'Second',
+            'sku' => 'EDIT-02',
+            'price' => 20.00,
+            'stock_quantity' => 5,
+            'category_id' => $this->category->id
+        ]);
+
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '4 Jalan Lama',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $first->id, 'quantity' => 2, 'unit_price' => 10.00]]
+        ])->json('orderId');
+
+        $this->putJson("/api/orders/{$orderId}", [
+            'items' => [
+                ['product_id' => $first->id, 'quantity' => 1],
+                ['product_id' => $second->id, 'quantity' => 2]
+            ],
+            'discount' => 5.00,
+            'shipping_fee' => 0,
+            'shipping_address' => '4 Jalan Baru'
+        ])->assertStatus(200);
+
+        $this->assertEquals(9, $first->fresh()->stock_quantity);
+        $this->assertEquals(3, $second->fresh()->stock_quantity);
+
+        // 50.00 subtotal - 5.00 discount + 3.00 tax
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'subtotal' => 50.00, 'total' => 48.00, 'shipping_address' => '4 Jalan Baru']);
+        $this->assertDatabaseHas('order_edits', ['order_id' => $orderId, 'new_total' => 48.00]);
+
+        $this->getJson("/api/orders/{$orderId}/timeline")->assertJsonFragment(['type' => 'edit']);
+
+        // Once fulfilment starts the order is locked
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'processing'])->assertStatus(200);
+        $this->putJson("/api/orders/{$orderId}", [
+            'items' => [['product_id' => $first->id, 'quantity' => 3]],
+            'shipping_address' => '4 Jalan Baru'
+        ])->assertStatus(400);
+    }
+
+    public function test_order_edit_recalculates_commission_by_its_recorded_rate_type()
+    {
+        $fixedEarner = User::factory()->create(['role' => 'affiliate']);
+        $fixedConfig = \App\Models\CommissionConfig::create([
+            'user_id' => $fixedEarner->id,
+            'commission_type' => 'fixed',
+            'commission_value' => 10,
+            'is_active' => true,
+            'effective_from' => now()->subDay()
+        ]);
+        $customer = Customer::create(['full_name' => 'Rate Customer', 'email' => 'rate@example.com', 'phone' => '555-4545']);
+        $channel = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+        $product = Product::create([
+            'name' => 'Kettle',
+            'sku' => 'RATE-01',
+            'price' => 100.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'affiliate_id' => $fixedEarner->id,
+            'shipping_address' => '6 Jalan Tetap',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 1, 'unit_price' => 100.00]]
+        ])->json('orderId');
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $orderId, 'amount' => 10.00, 'rate_type' => 'fixed']);
+
+        // The earner moves to a percentage rate (and ends up with two active configs)
+        $fixedConfig->update(['is_active' => false]);
+        foreach ([10, 12] as $rate) {
+            \App\Models\CommissionConfig::create([
+                'user_id' => $fixedEarner->id,
+                'commission_type' => 'percentage',
+                'commission_value' => $rate,
+                'is_active' => true,
+                'effective_from' => now()->subDay()
+            ]);
+        }
+
+        $this->putJson("/api/orders/{$orderId}", [
+            'items' => [['product_id' => $product->id, 'quantity' => 2]],
+            'shipping_address' => '6 Jalan Tetap'
+        ])->assertStatus(200);
+
+        // Still the RM10 earned, once
+        $this->assertEquals(1, \App\Models\CommissionTransaction::where('order_id', $orderId)->count());
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $orderId, 'amount' => 10.00, 'order_total' => 212.00]);
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'affiliate_commission' => 10.00]);
+    }
+
+    public function test_tracking_csv_import_marks_orders_shipped()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Tracking Customer',
+            'email' => 'tracking@example.com',
+            'phone' => '555-5555'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Parcel',
+            'sku' => 'PARCEL-01',
+            'price' => 12.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $order = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '5 Jalan Kurier',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 1, 'unit_price' => 12.00]]
+        ]);
+
+        $orderNumber = $order->json('orderNumber');
+        $this->patchJson("/api/orders/{$order->json('orderId')}/status", ['status' => 'confirmed'])->assertStatus(200);
+
+        $csv = "order_number,courier,tracking_number,shipped_at\n"
+            . "{$orderNumber},J&T,JT123456789,2026-01-02\n"
+            . "ORD-MISSING,Poslaju,EP000000001MY,\n";
+
+        $this->post('/api/orders/tracking/import', [
+            'file' => UploadedFile::fake()->createWithContent('tracking.csv', $csv)
+        ])
+            ->assertStatus(200)
+            ->assertJsonPath('data.updated', 1)
+            ->assertJsonPath('data.shipped', 1)
+            ->assertJsonPath('data.errors.0.line', 3);
+
+        $this->assertDatabaseHas('orders', [
+            'order_number' => $orderNumber,
+            'status' => 'shipped',
+            'courier' => 'jnt',
+            'tracking_number' => 'JT123456789'
+        ]);
+    }
+
+    public function test_customer_profile_stats_and_update()
+    {
+        $customer = Customer::create([
+            'full_name' => 'Profile Customer',
+            'email' => 'profile@example.com',
+            'phone' => '555-6666',
+            'address' => '1 Jalan Lama'
+        ]);
+
+        Customer::create([
+            'full_name' => 'Other Customer',
+            'email' => 'taken@example.com',
+            'phone' => '555-7777'
+        ]);
+
+        $channel = SalesChannel::create([
+            'name' => 'Shopee Store',
+            'type' => 'shopee',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Mug',
+            'sku' => 'MUG-01',
+            'price' => 10.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        foreach ([1, 3] as $quantity) {
+            $this->postJson('/api/orders', [
+                'customer_id' => $customer->id,
+                'channel_id' => $channel->id,
+                'shipping_address' => '9 Jalan Baru',
+                'payment_method' => 'cod',
+                'items' => [['product_id' => $product->id, 'quantity' => $quantity, 'unit_price' => 10.00]]
+            ])->assertStatus(201);
+        }
+
+        // 10 + 30 = 40 subtotal, plus 6% tax
+        $this->getJson("/api/customers/{$customer->id}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.stats.order_count', 2)
+            ->assertJsonPath('data.stats.lifetime_spend', 42.4)
+            ->assertJsonPath('data.stats.average_order_value', 21.2)
+            ->assertJsonPath('data.channels.0.name', 'Shopee Store')
+            ->assertJsonPath('data.addresses.0.address', '9 Jalan Baru');
+
+        $this->putJson("/api/customers/{$customer->id}", [
+            'full_name' => 'Profile Customer',
+            'email' => 'taken@example.com',
+            'phone' => '555-6666',
+            'address' => '1 Jalan Lama'
+        ])->assertStatus(400);
+
+        $this->putJson("/api/customers/{$customer->id}", [
+            'full_name' => 'Profile Customer Renamed',
+            'email' => 'profile@example.com',
+            'phone' => '555-8888',
+            'address' => '2 Jalan Baharu',
+            'customer_type' => 'vip'
+        ])->assertStatus(200);
+
+        $this->assertDatabaseHas('customers', [
+            'id' => $customer->id,
+            'full_name' => 'Profile Customer Renamed',
+            'phone' => '555-8888',
+            'customer_type' => 'vip'
+        ]);
+    }
+
+    public function test_customer_import_flags_duplicates_and_merge_moves_orders()
+    {
+        $existing = Customer::create([
+            'full_name' => 'Existing Buyer',
+            'email' => 'existing@example.com',
+            'phone' => '012-345 6789'
+        ]);
+
+        $rows = [
+            ['line' => 2, 'full_name' => 'New Buyer', 'email' => 'new@example.com', 'phone' => '0198765432'],
+            ['line' => 3, 'full_name' => 'Same Phone', 'email' => 'other@example.com', 'phone' => '+60 12-345 6789'],
+            ['line' => 4, 'full_name' => 'New Buyer Again', 'email' => 'NEW@example.com', 'phone' => ''],
+            ['line' => 5, 'full_name' => '', 'email' => 'not-an-email', 'phone' => '']
+        ];
+
+        $this->postJson('/api/customers/import', ['rows' => $rows, 'dry_run' => true])
+            ->assertStatus(200)
+            ->assertJsonPath('data.summary.create', 1)
+            ->assertJsonPath('data.summary.skip', 2)
+            ->assertJsonPath('data.summary.invalid', 1)
+            ->assertJsonPath('data.rows.1.duplicate_of.id', $existing->id)
+            ->assertJsonPath('data.rows.1.duplicate_of.matched_on', 'phone');
+
+        $this->assertDatabaseMissing('customers', ['email' => 'new@example.com']);
+
+        $this->postJson('/api/customers/import', ['rows' => $rows, 'dry_run' => false])
+            ->assertStatus(200)
+            ->assertJsonPath('data.summary.create', 1);
+
+        $imported = Customer::where('email', 'new@example.com')->first();
+        $this->assertEquals('0198765432', $imported->normalised_phone);
+
+        $channel = SalesChannel::create([
+            'name' => 'Web Store',
+            'type' => 'website',
+            'is_active' => true
+        ]);
+
+        $product = Product::create([
+            'name' => 'Tote Bag',
+            'sku' => 'TOTE-01',
+            'price' => 20.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $order = $this->postJson('/api/orders', [
+            'customer_id' => $imported->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '3 Jalan Gabung',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 1, 'unit_price' => 20.00]]
+        ]);
+
+        $this->postJson("/api/customers/{$existing->id}/merge", ['merge_id' => $existing->id])
+            ->assertStatus(400);
+
+        $this->postJson("/api/customers/{$existing->id}/merge", ['merge_id' => $imported->id])
+            ->assertStatus(200)
+            ->assertJsonPath('data.orders_moved', 1);
+
+        $this->assertDatabaseHas('orders', ['id' => $order->json('orderId'), 'customer_id' => $existing->id]);
+        $this->assertDatabaseMissing('customers', ['id' => $imported->id]);
+    }
+
+    public function test_staff_customer_import_only_updates_customers_they_served()
+    {
+        $served = Customer::create(['full_name' => 'Served Buyer', 'email' => 'served@example.com', 'phone' => '0111111111']);
+        $stranger = Customer::create(['full_name' => 'Someone Else', 'email' => 'stranger@example.com', 'phone' => '0122222222']);
+        $channel = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+        $product = Product::create([
+            'name' => 'Notebook',
+            'sku' => 'NOTE-01',
+            'price' => 8.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $staff = User::factory()->create(['role' => 'staff']);
+        $this->actingAs($staff, 'api');
+        $this->withHeaders(['Authorization' => 'Bearer ' . \Tymon\JWTAuth\Facades\JWTAuth::fromUser($staff)]);
+
+        // Orders placed by a staff member are assigned to them
+        $this->postJson('/api/orders', [
+            'customer_id' => $served->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '7 Jalan Kenal',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 1]]
+        ])->assertStatus(201);
+
+        $rows = [
+            ['line' => 2, 'full_name' => 'Served Buyer', 'email' => 'served@example.com', 'city' => 'Ipoh'],
+            ['line' => 3, 'full_name' => 'Renamed Stranger', 'email' => 'stranger@example.com', 'city' => 'Ipoh']
+        ];
+
+        // The out-of-scope match is skipped and not named
+        $preview = $this->postJson('/api/customers/import', ['rows' => $rows, 'dry_run' => true, 'update_existing' => true])
+            ->assertStatus(200)
+            ->assertJsonPath('data.summary.update', 1)
+            ->assertJsonPath('data.summary.skip', 1)
+            ->assertJsonPath('data.rows.0.duplicate_of.id', $served->id)
+            ->assertJsonPath('data.rows.1.duplicate_of.id', null)
+            ->assertJsonPath('data.rows.1.duplicate_of.full_name', null);
+        $this->assertStringNotContainsString('Someone Else', $preview->getContent());
+
+        $this->postJson('/api/customers/import', ['rows' => $rows, 'dry_run' => false, 'update_existing' => true])
+            ->assertStatus(200);
+
+        $this->assertDatabaseHas('customers', ['id' => $served->id, 'city' => 'Ipoh']);
+        $this->assertDatabaseHas('customers', ['id' => $stranger->id, 'full_name' => 'Someone Else', 'city' => null]);
+    }
+
+    public function test_customer_tags_and_segments_filter_customers_and_orders()
+    {
+        $bigSpender = Customer::create(['full_name' => 'Big Spender', 'email' => 'big@example.com', 'phone' => '555-1010']);
+        $smallSpender = Customer::create(['full_name' => 'Small Spender', 'email' => 'small@example.com', 'phone' => '555-2020']);
+
+        $shopee = SalesChannel::create(['name' => 'Shopee Store', 'type' => 'shopee', 'is_active' => true]);
+        $website = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+
+        $product = Product::create([
+            'name' => 'Speaker',
+            'sku' => 'SPK-01',
+            'price' => 600.00,
+            'stock_quantity' => 20,
+            'category_id' => $this->category->id
+        ]);
+
+        $orderFor = function ($customer, $channel, $quantity) use ($product) {
+            return $this->postJson('/api/orders', [
+                'customer_id' => $customer->id,
+                'channel_id' => $channel->id,
+                'shipping_address' => '1 Jalan Segmen',
+                'payment_method' => 'cod',
+                'items' => [['product_id' => $product->id, 'quantity' => $quantity, 'unit_price' => 600.00]]
+            ])->json('orderId');
+        };
+
+        $bigOrderId = $orderFor($bigSpender, $shopee, 2);
+        $orderFor($smallSpender, $website, 1);
+
+        $blacklist = CustomerTag::where('slug', CustomerTag::BLACKLIST)->first();
+
+        $this->putJson("/api/customers/{$smallSpender->id}/tags", ['tag_ids' => [$blacklist->id]])
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.slug', 'blacklist');
+
+        $this->getJson("/api/customers?tag={$blacklist->id}")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $smallSpender->id)
+            ->assertJsonPath('data.0.tags.0.name', 'Blacklist');
+
+        $this->deleteJson("/api/customer-tags/{$blacklist->id}")->assertStatus(400);
+
+        $rules = [
+            ['type' => 'spend', 'operator' => 'gt', 'value' => 1000, 'days' => 90],
+            ['type' => 'channel', 'value' => $shopee->id]
+        ];
+
+        $this->postJson('/api/customer-segments/preview', ['rules' => $rules])
+            ->assertStatus(200)
+            ->assertJsonPath('data.customer_count', 1);
+
+        $segmentId = $this->postJson('/api/customer-segments', ['name' => 'Shopee big spenders', 'rules' => $rules])
+            ->assertStatus(201)
+            ->json('data.id');
+
+        $this->getJson("/api/customers?segment={$segmentId}")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $bigSpender->id);
+
+        $this->getJson("/api/orders?customer_segment={$segmentId}")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $bigOrderId);
+
+        $this->getJson("/api/orders?customer_tag={$blacklist->id}")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.customer_id', $smallSpender->id);
+    }
+
+    public function test_product_variants_are_sold_and_stocked_per_variant()
+    {
+        $customer = Customer::create(['full_name' => 'Variant Buyer', 'email' => 'variant@example.com', 'phone' => '555-3030']);
+        $channel = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+
+        $created = $this->postJson('/api/products', [
+            'name' => 'Linen Shirt',
+            'price' => 50.00,
+            'low_stock_threshold' => 2,
+            'category_id' => $this->category->id,
+            'variant_options' => [['name' => 'Size', 'values' => ['S', 'M']]],
+            'variants' => [
+                ['options' => ['Size' => 'S'], 'stock_quantity' => 5],
+                ['options' => ['Size' => 'M'], 'price' => 55.00, 'stock_quantity' => 3]
+            ]
+        ])->assertStatus(201);
+
+        $productId = $created->json('productId');
+        $sku = $created->json('sku');
+
+        $medium = $this->getJson("/api/products/{$productId}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.has_variants', true)
+            ->assertJsonPath('data.variants.1.sku', "{$sku}-M")
+            ->json('data.variants.1');
+
+        // Product stock is the total of its variants
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 8]);
+
+        $order = fn ($items) => $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '5 Jalan Varian',
+            'payment_method' => 'cod',
+            'items' => $items
+        ]);
+
+        // A variant has to be chosen
+        $order([['product_id' => $productId, 'quantity' => 1]])->assertStatus(400);
+
+        $orderId = $order([['product_id' => $productId, 'variant_id' => $medium['id'], 'quantity' => 2]])
+            ->assertStatus(201)
+            ->json('orderId');
+
+        $this->assertDatabaseHas('order_items', [
+            'order_id' => $orderId,
+            'variant_id' => $medium['id'],
+            'variant_name' => 'M',
+            'sku' => "{$sku}-M",
+            'price' => 55.00
+        ]);
+        $this->assertDatabaseHas('product_variants', ['id' => $medium['id'], 'stock_quantity' => 1]);
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 6]);
+        $this->assertDatabaseHas('inventory_transactions', ['reference_id' => $orderId, 'variant_id' => $medium['id'], 'quantity' => -2]);
+        $this->assertDatabaseHas('notifications', ['title' => 'Low Stock Alert', 'message' => "Product 'Linen Shirt (M)' is running low (1 left)."]);
+
+        // Stock is checked per variant, not against the product total
+        $order([['product_id' => $productId, 'variant_id' => $medium['id'], 'quantity' => 2]])->assertStatus(400);
+
+        // Cancelling puts the stock back on the variant
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'cancelled'])->assertStatus(200);
+        $this->assertDatabaseHas('product_variants', ['id' => $medium['id'], 'stock_quantity' => 3]);
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 8]);
+    }
+
+    public function test_product_import_matches_by_sku_and_generates_new_skus()
+    {
+        $existing = Product::create([
+            'name' => 'Desk Mat',
+            'sku' => 'GENE-001',
+            'price' => 20.00,
+            'cost_price' => 8.00,
+            'stock_quantity' => 5,
+            'category_id' => $this->category->id
+        ]);
+
+        $rows = [
+            ['line' => 2, 'sku' => 'gene-001', 'price' => '25.00', 'stock_quantity' => '8'],
+            ['line' => 3, 'sku' => '', 'name' => 'Desk Lamp', 'category' => 'general', 'price' => '30', 'cost_price' => '12'],
+            ['line' => 4, 'sku' => '', 'name' => 'Desk Fan', 'category' => 'General', 'price' => '50'],
+            ['line' => 5, 'sku' => 'BAD SKU!', 'name' => 'Broken', 'category' => 'General', 'price' => '10'],
+            ['line' => 6, 'name' => 'Lost Item', 'category' => 'Unknown', 'price' => '10'],
+            ['line' => 7, 'sku' => 'GENE-001', 'price' => '26.00'],
+            ['line' => 8, 'name' => 'Loss Maker', 'category' => 'General', 'price' => '10', 'cost_price' => '15']
+        ];
+
+        $this->postJson('/api/products/import', ['rows' => $rows, 'dry_run' => true])
+            ->assertStatus(200)
+            ->assertJsonPath('data.summary.create', 2)
+            ->assertJsonPath('data.summary.update', 1)
+            ->assertJsonPath('data.summary.invalid', 4)
+            ->assertJsonPath('data.rows.1.sku', 'GENE-002')
+            ->assertJsonPath('data.rows.2.sku', 'GENE-003')
+            ->assertJsonPath('data.rows.5.errors.0', 'Duplicate of line 2 in this file')
+            ->assertJsonPath('data.rows.6.errors.0', 'Cost price must be lower than selling price');
+
+        $this->assertDatabaseMissing('products', ['sku' => 'GENE-002']);
+        $this->assertDatabaseHas('products', ['id' => $existing->id, 'price' => 20.00]);
+
+        $this->postJson('/api/products/import', ['rows' => $rows, 'dry_run' => false])
+            ->assertStatus(200)
+            ->assertJsonPath('data.summary.create', 2);
+
+        $this->assertDatabaseHas('products', ['id' => $existing->id, 'price' => 25.00, 'stock_quantity' => 8, 'name' => 'Desk Mat']);
+        $this->assertDatabaseHas('products', ['sku' => 'GENE-002', 'name' => 'Desk Lamp', 'cost_price' => 12.00, 'status' => 'active']);
+        $this->assertDatabaseHas('inventory_transactions', [
+            'product_id' => $existing->id,
+            'transaction_type' => 'adjustment',
+            'quantity' => 3,
+            'notes' => 'CSV import'
+        ]);
+    }
+
+    public function test_stock_adjustments_are_logged_in_the_ledger_with_running_balance()
+    {
+        $product = Product::create([
+            'name' => 'Shelf Bracket',
+            'sku' => 'SHELF-01',
+            'price' => 12.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+
+        $this->postJson('/api/inventory/adjust', ['product_id' => $product->id, 'action' => 'stock_in', 'quantity' => 5])
+            ->assertStatus(400)
+            ->assertJsonStructure(['errors' => ['reason']]);
+
+        $this->postJson('/api/inventory/adjust', ['product_id' => $product->id, 'action' => 'stock_in', 'quantity' => 5, 'reason' => 'Supplier delivery'])
+            ->assertStatus(201)
+            ->assertJsonPath('data.transaction_type', 'purchase');
+
+        $this->postJson('/api/inventory/adjust', ['product_id' => $product->id, 'action' => 'write_off', 'quantity' => 20, 'reason' => 'Broken'])
+            ->assertStatus(400)
+            ->assertJsonPath('message', 'Only 15 in stock');
+
+        $this->postJson('/api/inventory/adjust', ['product_id' => $product->id, 'action' => 'write_off', 'quantity' => 2, 'reason' => 'Broken in storage'])
+            ->assertStatus(201);
+
+        $this->postJson('/api/inventory/adjust', ['product_id' => $product->id, 'action' => 'set_count', 'quantity' => 11, 'reason' => 'Monthly count'])
+            ->assertStatus(201)
+            ->assertJsonPath('data.quantity', -2);
+
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 11]);
+
+        $this->getJson("/api/inventory/transactions?product_id={$product->id}")
+            ->assertStatus(200)
+            ->assertJsonPath('pagination.total', 3)
+            ->assertJsonPath('data.0.notes', 'Monthly count')
+            ->assertJsonPath('data.0.balance_after', 11)
+            ->assertJsonPath('data.1.transaction_type', 'write_off')
+            ->assertJsonPath('data.1.balance_after', 13)
+            ->assertJsonPath('data.2.balance_after', 15);
+
+        $this->getJson('/api/inventory/transactions?search=Broken')
+            ->assertStatus(200)
+            ->assertJsonPath('pagination.total', 1);
+    }
+
+    public function test_stocktake_counts_scans_and_posts_approved_variances()
+    {
+        $counted = Product::create([
+            'name' => 'Cable Tie',
+            'sku' => 'GENE-101',
+            'price' => 5.00,
+            'cost_price' => 2.00,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id
+        ]);
+        $skipped = Product::create([
+            'name' => 'Hook',
+            'sku' => 'GENE-102',
+            'price' => 3.00,
+            'stock_quantity' => 3,
+            'category_id' => $this->category->id
+        ]);
+
+        $stocktakeId = $this->postJson('/api/stocktakes', ['category_id' => $this->category->id, 'location' => 'Rak A'])
+            ->assertStatus(201)
+            ->json('data.id');
+
+        $this->postJson("/api/stocktakes/{$stocktakeId}/scan", ['sku' => 'gene-101', 'quantity' => 8])->assertStatus(200);
+        $this->postJson("/api/stocktakes/{$stocktakeId}/scan", ['sku' => 'GENE-101'])
+            ->assertStatus(200)
+            ->assertJsonPath('data.counted_quantity', 9)
+            ->assertJsonPath('data.variance', -1);
+
+        $this->postJson("/api/stocktakes/{$stocktakeId}/scan", ['sku' => 'NOPE-999'])->assertStatus(400);
+
+        $report = $this->getJson("/api/stocktakes/{$stocktakeId}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.summary.lines', 2)
+            ->assertJsonPath('data.summary.counted', 1);
+
+        $skippedLine = collect($report->json('data.items'))->firstWhere('product_id', $skipped->id);
+        $countedLine = collect($report->json('data.items'))->firstWhere('product_id', $counted->id);
+
+        $this->putJson("/api/stocktakes/{$stocktakeId}/items", ['items' => [['id' => $skippedLine['id'], 'counted_quantity' => 5]]])
+            ->assertStatus(200);
+
+        $this->getJson("/api/stocktakes/{$stocktakeId}")
+            ->assertJsonPath('data.summary.with_variance', 2)
+            ->assertJsonPath('data.summary.variance_units', 1);
+
+        // Only the approved line touches stock
+        $this->postJson("/api/stocktakes/{$stocktakeId}/post", ['item_ids' => [$countedLine['id']]])
+            ->assertStatus(200)
+            ->assertJsonPath('data.adjusted', 1);
+
+        $this->assertDatabaseHas('products', ['id' => $counted->id, 'stock_quantity' => 9]);
+        $this->assertDatabaseHas('products', ['id' => $skipped->id, 'stock_quantity' => 3]);
+        $this->assertDatabaseHas('stocktakes', ['id' => $stocktakeId, 'status' => 'posted']);
+        $this->assertDatabaseHas('inventory_transactions', ['product_id' => $counted->id, 'transaction_type' => 'adjustment', 'quantity' => -1]);
+
+        $this->postJson("/api/stocktakes/{$stocktakeId}/scan", ['sku' => 'GENE-101'])->assertStatus(400);
+    }
+
+    public function test_stocktake_variance_keeps_stock_moved_after_counting()
+    {
+        $product = Product::create([
+            'name' => 'Masking Tape',
+            'sku' => 'GENE-201',
+            'price' => 4.00,
+            'stock_quantity' => 12,
+            'category_id' => $this->category->id
+        ]);
+
+        $stocktakeId = $this->postJson('/api/stocktakes', ['category_id' => $this->category->id])->json('data.id');
+
+        // Counted 10 against 12 in the system: 2 missing
+        $this->postJson("/api/stocktakes/{$stocktakeId}/scan", ['sku' => 'GENE-201', 'quantity' => 10])
+            ->assertStatus(200)
+            ->assertJsonPath('data.system_quantity', 12)
+            ->assertJsonPath('data.variance', -2);
+
+        // 3 sell before the count is posted
+        Product::adjustStock($product->id, null, -3);
+
+        $line = $this->getJson("/api/stocktakes/{$stocktakeId}")->json('data.items.0');
+        $this->assertEquals(12, $line['system_quantity']);
+        $this->assertEquals(9, $line['current_quantity']);
+        $this->assertEquals(-2, $line['variance']);
+
+        // Posting removes the 2 missing units without undoing the sale
+        $this->postJson("/api/stocktakes/{$stocktakeId}/post", ['item_ids' => [$line['id']]])
+            ->assertStatus(200)
+            ->assertJsonPath('data.units', -2);
+
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 7]);
+        $this->assertDatabaseHas('stocktake_items', ['id' => $line['id'], 'expected_quantity' => 12, 'adjusted_quantity' => -2]);
+    }
+
+    public function test_products_link_to_suppliers_with_preferred_cost()
+    {
+        $supplierId = $this->postJson('/api/suppliers', [
+            'name' => 'Acme Trading',
+            'currency' => 'myr',
+            'lead_time_days' => 7,
+            'payment_terms' => 'Net 30'
+        ])
+            ->assertStatus(201)
+            ->assertJsonPath('data.currency', 'MYR')
+            ->json('data.id');
+        $backupId = $this->postJson('/api/suppliers', ['name' => 'Backup Supply'])->json('data.id');
+
+        $this->postJson('/api/suppliers', ['name' => 'Acme Trading'])->assertStatus(400);
+
+        // Cost price defaults to the preferred supplier's last cost
+        $productId = $this->postJson('/api/products', [
+            'category_id' => $this->category->id,
+            'name' => 'Desk Lamp',
+            'price' => 59.90,
+            'stock_quantity' => 5,
+            'suppliers' => [
+                ['supplier_id' => $backupId, 'last_cost' => 30.00],
+                ['supplier_id' => $supplierId, 'supplier_sku' => 'AC-LAMP', 'last_cost' => 24.50, 'is_preferred' => true]
+            ]
+        ])->assertStatus(201)->json('productId');
+
+        $this->assertDatabaseHas('products', ['id' => $productId, 'cost_price' => 24.50]);
+        $this->assertDatabaseHas('product_suppliers', ['product_id' => $productId, 'supplier_id' => $supplierId, 'is_preferred' => true]);
+        $this->assertDatabaseHas('product_suppliers', ['product_id' => $productId, 'supplier_id' => $backupId, 'is_preferred' => false]);
+
+        $this->getJson("/api/products/{$productId}")
+            ->assertJsonPath('data.suppliers.0.name', 'Acme Trading')
+            ->assertJsonPath('data.suppliers.0.supplier_sku', 'AC-LAMP');
+
+        Product::create(['name' => 'Unlinked', 'sku' => 'GENE-900', 'price' => 1, 'stock_quantity' => 1, 'category_id' => $this->category->id]);
+
+        $this->getJson("/api/products?supplier={$supplierId}")
+            ->assertJsonPath('pagination.total', 1)
+            ->assertJsonPath('data.0.id', $productId);
+
+        $this->getJson("/api/suppliers/{$supplierId}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.products.0.id', $productId);
+
+        // Dropping a link leaves the remaining supplier preferred
+        $this->putJson("/api/products/{$productId}", ['suppliers' => [['supplier_id' => $backupId]]])->assertStatus(200);
+        $this->assertDatabaseMissing('product_suppliers', ['product_id' => $productId, 'supplier_id' => $supplierId]);
+        $this->assertDatabaseHas('product_suppliers', ['product_id' => $productId, 'supplier_id' => $backupId, 'is_preferred' => true]);
+
+        $this->putJson("/api/products/{$productId}", ['suppliers' => [['supplier_id' => 9999]]])->assertStatus(400);
+    }
+
+    public function test_reorder_suggestions_become_purchase_orders_received_in_parts()
+    {
+        $supplierId = $this->postJson('/api/suppliers', ['name' => 'Paper Co', 'lead_time_days' => 10])->json('data.id');
+
+        $productId = $this->postJson('/api/products', [
+            'category_id' => $this->category->id,
+            'name' => 'Notebook',
+            'price' => 8.00,
+            'stock_quantity' => 10,
+            'low_stock_threshold' => 5,
+            'suppliers' => [['supplier_id' => $supplierId, 'last_cost' => 3.50]]
+        ])->assertStatus(201)->json('productId');
+
+        Product::create(['name' => 'Pen', 'sku' => 'PEN-01', 'price' => 2, 'stock_quantity' => 100, 'low_stock_threshold' => 5, 'category_id' => $this->category->id]);
+
+        $customer = Customer::create(['full_name' => 'Aisyah', 'email' => 'aisyah@example.com', 'phone' => '0127778888']);
+        $channel = SalesChannel::create(['name' => 'Web Store', 'type' => 'website', 'is_active' => true]);
+        $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '2 Jalan Ampang',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $productId, 'quantity' => 6, 'unit_price' => 8.00]]
+        ])->assertStatus(201);
+
+        // 4 left, reorder point 5 + 2 (6 sold in 30 days over a 10 day lead time),
+        // topped up with another 30 days of sales
+        $this->getJson('/api/purchase-orders/suggestions?days=30&lead_time_days=3')
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.product_id', $productId)
+            ->assertJsonPath('data.0.sold', 6)
+            ->assertJsonPath('data.0.lead_time_days', 10)
+            ->assertJsonPath('data.0.supplier_id', $supplierId)
+            ->assertJsonPath('data.0.suggested_quantity', 9);
+
+        $order = $this->postJson('/api/purchase-orders', [
+            'items' => [['supplier_id' => $supplierId, 'product_id' => $productId, 'quantity' => 9, 'unit_cost' => 3.50]]
+        ])
+            ->assertStatus(201)
+            ->assertJsonPath('data.0.status', 'ordered')
+            ->json('data.0');
+        $itemId = $order['items'][0]['id'];
+
+        // What is on order counts towards the stock
+        $this->getJson('/api/purchase-orders/suggestions?days=30')->assertJsonCount(0, 'data');
+
+        $this->postJson("/api/purchase-orders/{$order['id']}/receive", ['items' => [['item_id' => $itemId, 'quantity' => 10]]])
+            ->assertStatus(400)
+            ->assertJsonPath('message', 'Only 9 of Notebook still to receive');
+
+        $this->postJson("/api/purchase-orders/{$order['id']}/receive", ['items' => [['item_id' => $itemId, 'quantity' => 4]]])
+            ->assertStatus(200)
+            ->assertJsonPath('data.status', 'partial')
+            ->assertJsonPath('data.items.0.quantity_received', 4);
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 8]);
+
+        $this->postJson("/api/purchase-orders/{$order['id']}/receive", ['items' => [['item_id' => $itemId, 'quantity' => 5]]])
+            ->assertStatus(200)
+            ->assertJsonPath('data.status', 'received');
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 13]);
+        $this->assertDatabaseHas('location_stocks', ['location_id' => \App\Models\Location::defaultId(), 'product_id' => $productId, 'quantity' => 13]);
+
+        // Each receipt is a stock-in against the purchase order
+        $this->assertEquals(2, \Illuminate\Support\Facades\DB::table('inventory_transactions')
+            ->where('reference_type', 'purchase_order')
+            ->where('reference_id', $order['id'])
+            ->where('transaction_type', 'purchase')
+            ->count());
+
+        $this->postJson("/api/purchase-orders/{$order['id']}/receive", ['items' => [['item_id' => $itemId, 'quantity' => 1]]])->assertStatus(400);
+        $this->postJson("/api/purchase-orders/{$order['id']}/cancel")->assertStatus(400);
+
+        $list = $this->getJson("/api/purchase-orders?supplier_id={$supplierId}")->assertJsonPath('pagination.total', 1);
+        $this->assertEquals(9, $list->json('data.0.units_received'));
+    }
+
+    public function test_stock_is_tracked_per_location_with_transfers_and_order_allocation()
+    {
+        $product = Product::create([
+            'name' => 'Travel Mug',
+            'sku' => 'MUG-01',
+            'price' => 25.00,
+            'stock_quantity' => 20,
+            'low_stock_threshold' => 2,
+            'category_id' => $this->category->id
+        ]);
+        $warehouseId = \App\Models\Location::defaultId();
+
+        // Stock created on the product starts at the default location
+        $this->assertDatabaseHas('location_stocks', ['location_id' => $warehouseId, 'product_id' => $product->id, 'quantity' => 20]);
+
+        $storeId = $this->postJson('/api/locations', ['name' => 'Penang Store', 'code' => 'pg', 'type' => 'store'])
+            ->assertStatus(201)
+            ->assertJsonPath('data.code', 'PG')
+            ->json('data.id');
+
+        $this->postJson('/api/stock-transfers', [
+            'from_location_id' => $warehouseId,
+            'to_location_id' => $storeId,
+            'items' => [['product_id' => $product->id, 'quantity' => 30]]
+        ])->assertStatus(400);
+
+        $transferId = $this->postJson('/api/stock-transfers', [
+            'from_location_id' => $warehouseId,
+            'to_location_id' => $storeId,
+            'items' => [['product_id' => $product->id, 'quantity' => 8]]
+        ])
+            ->assertStatus(201)
+            ->assertJsonPath('data.status', 'in_transit')
+            ->json('data.id');
+
+        // In transit: gone from the warehouse, not at the store yet
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 12]);
+        $this->assertDatabaseHas('location_stocks', ['location_id' => $warehouseId, 'product_id' => $product->id, 'quantity' => 12]);
+
+        $this->postJson("/api/stock-transfers/{$transferId}/receive")
+            ->assertStatus(200)
+            ->assertJsonPath('data.status', 'received');
+        $this->postJson("/api/stock-transfers/{$transferId}/receive")->assertStatus(400);
+
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 20]);
+        $this->assertDatabaseHas('location_stocks', ['location_id' => $storeId, 'product_id' => $product->id, 'quantity' => 8]);
+
+        $this->getJson("/api/products/{$product->id}")
+            ->assertJsonFragment(['code' => 'PG', 'quantity' => 8]);
+
+        $this->getJson("/api/inventory/transactions?location_id={$storeId}")
+            ->assertJsonPath('pagination.total', 1)
+            ->assertJsonPath('data.0.transaction_type', 'transfer');
+
+        // A channel selling from the store only is allocated there
+        $channel = SalesChannel::create(['name' => 'Shopee', 'type' => 'shopee', 'is_active' => true]);
+        $this->putJson("/api/channels/{$channel->id}", ['location_ids' => [$storeId]])->assertStatus(200);
+
+        $this->getJson("/api/channels/{$channel->id}/stock")
+            ->assertStatus(200)
+            ->assertJsonPath('data.items.0.channel_stock', 8)
+            ->assertJsonPath('data.items.0.total_stock', 20);
+
+        $customer = Customer::create(['full_name' => 'Mei Ling', 'email' => 'mei@example.com', 'phone' => '0124445555']);
+        $orderId = $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '1 Gurney Drive',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 3, 'unit_price' => 25.00]]
+        ])->assertStatus(201)->json('orderId');
+
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'location_id' => $storeId]);
+        $this->assertDatabaseHas('location_stocks', ['location_id' => $storeId, 'product_id' => $product->id, 'quantity' => 5]);
+
+        // Moving fulfilment moves the order's stock with it
+        $this->patchJson("/api/orders/{$orderId}/location", ['location_id' => $warehouseId])->assertStatus(200);
+        $this->assertDatabaseHas('orders', ['id' => $orderId, 'location_id' => $warehouseId]);
+        $this->assertDatabaseHas('location_stocks', ['location_id' => $storeId, 'product_id' => $product->id, 'quantity' => 8]);
+        $this->assertDatabaseHas('location_stocks', ['location_id' => $warehouseId, 'product_id' => $product->id, 'quantity' => 9]);
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 17]);
+
+        // A location holding stock can't be deleted
+        $this->deleteJson("/api/locations/{$storeId}")->assertStatus(400);
+    }
+
+    public function test_marketplace_parent_sku_line_takes_and_returns_no_stock()
+    {
+        $created = $this->postJson('/api/products', [
+            'name' => 'Batik Scarf',
+            'price' => 40.00,
+            'category_id' => $this->category->id,
+            'variant_options' => [['name' => 'Colour', 'values' => ['Red', 'Blue']]],
+            'variants' => [
+                ['options' => ['Colour' => 'Red'], 'stock_quantity' => 4],
+                ['options' => ['Colour' => 'Blue'], 'stock_quantity' => 6]
+            ]
+        ])->assertStatus(201);
+        $productId = $created->json('productId');
+
+        $orderId = $this->postJson('/api/webhooks/order/external', [
+            'marketplace' => 'shopee',
+            'external_order_id' => 'SP-PARENT-1',
+            'customer' => ['email' => 'scarf@example.com', 'name' => 'Nurul', 'phone' => '0123334444'],
+            'items' => [['sku' => $created->json('sku'), 'name' => 'Batik Scarf', 'quantity' => 2, 'price' => 40.00]],
+            'totals' => ['subtotal' => 80.00, 'total' => 80.00],
+            'shipping' => ['address' => '9 Jalan Batik', 'city' => 'Kota Bharu']
+        ])->assertStatus(201)->json('orderId');
+
+        // Kept on the order, but no variant's stock is taken and an admin is asked to pick one
+        $this->assertDatabaseHas('order_items', ['order_id' => $orderId, 'product_id' => $productId, 'variant_id' => null, 'stock_taken' => false]);
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 10]);
+        $this->assertDatabaseHas('notifications', ['title' => 'Variant Needed', 'action_url' => "/orders/{$orderId}"]);
+
+        // Cancelling gives nothing back, so the product stays the total of its variants
+        $this->patchJson("/api/orders/{$orderId}/status", ['status' => 'cancelled'])->assertStatus(200);
+        $this->assertDatabaseHas('products', ['id' => $productId, 'stock_quantity' => 10]);
+        $this->assertEquals(10, \Illuminate\Support\Facades\DB::table('product_variants')->where('product_id', $productId)->sum('stock_quantity'));
+        $this->assertDatabaseMissing('location_stocks', ['product_id' => $productId, 'variant_id' => null]);
+        $this->assertDatabaseMissing('inventory_transactions', ['reference_type' => 'order', 'reference_id' => $orderId]);
+    }
+
+    public function test_unpaid_prepaid_orders_reserve_stock_until_paid_or_expired()
+    {
+        $product = Product::create([
+            'name' => 'Rice Cooker',
+            'sku' => 'RC-01',
+            'price' => 120.00,
+            'stock_quantity' => 10,
+            'low_stock_threshold' => 1,
+            'category_id' => $this->category->id
+        ]);
+        $channel = SalesChannel::create(['name' => 'Website', 'type' => 'website', 'is_active' => true]);
+        $this->putJson("/api/channels/{$channel->id}", ['reservation_hours' => 2])->assertStatus(200);
+        $customer = Customer::create(['full_name' => 'Aiman', 'email' => 'aiman@example.com', 'phone' => '0131112222']);
+
+        $order = fn ($quantity, $extra = []) => $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '5 Jalan Ampang',
+            'payment_method' => 'online_banking',
+            'items' => [['product_id' => $product->id, 'quantity' => $quantity]]
+        ] + $extra);
+
+        // Reserved, not deducted: on hand stays 10, available drops to 6
+        $paidId = $order(4)->assertStatus(201)->json('orderId');
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 10]);
+        $this->assertDatabaseHas('stock_reservations', ['order_id' => $paidId, 'quantity' => 4, 'status' => 'active']);
+        $this->getJson("/api/products/{$product->id}")
+            ->assertJsonPath('data.reserved_quantity', 4)
+            ->assertJsonPath('data.available_quantity', 6);
+        $this->getJson("/api/orders/{$paidId}")->assertJsonPath('data.payment_status', 'pending');
+
+        $order(7)->assertStatus(400);
+
+        // The expiring order earns an affiliate commission
+        $affiliate = User::factory()->create(['role' => 'affiliate']);
+        \App\Models\CommissionConfig::create([
+            'user_id' => $affiliate->id,
+            'commission_type' => 'percentage',
+            'commission_value' => 10,
+            'is_active' => true,
+            'effective_from' => now()->subDay()
+        ]);
+        $expiringId = $order(5, ['affiliate_id' => $affiliate->id])->assertStatus(201)->json('orderId');
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $expiringId, 'user_id' => $affiliate->id, 'status' => 'pending']);
+
+        // Payment turns the reservation into a deduction
+        $this->postJson('/api/webhooks/payment/confirmation', ['order_number' => \App\Models\Order::find($paidId)->order_number])
+            ->assertStatus(200);
+        $this->assertDatabaseHas('stock_reservations', ['order_id' => $paidId, 'status' => 'converted']);
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 6]);
+        $this->assertDatabaseHas('inventory_transactions', ['reference_id' => $paidId, 'transaction_type' => 'sale', 'quantity' => -4]);
+
+        // Not paid in time: cancelled and the stock is free again
+        $this->travel(3)->hours();
+        $this->artisan('reservations:release-expired')->assertExitCode(0);
+        $this->assertDatabaseHas('orders', ['id' => $expiringId, 'status' => 'cancelled']);
+        $this->assertDatabaseHas('stock_reservations', ['order_id' => $expiringId, 'status' => 'expired']);
+        $this->assertDatabaseHas('commission_transactions', ['order_id' => $expiringId, 'status' => 'cancelled']);
+        $this->assertDatabaseHas('orders', ['id' => $paidId, 'status' => 'pending', 'payment_status' => 'paid']);
+        $this->getJson("/api/products/{$product->id}")
+            ->assertJsonPath('data.stock_quantity', 6)
+            ->assertJsonPath('data.available_quantity', 6);
+
+        // Cancelling an unpaid order releases its reservation without restocking
+        $cancelledId = $order(2)->assertStatus(201)->json('orderId');
+        $this->patchJson("/api/orders/{$cancelledId}/status", ['status' => 'cancelled'])->assertStatus(200);
+        $this->assertDatabaseHas('stock_reservations', ['order_id' => $cancelledId, 'status' => 'released']);
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 6]);
+
+        // COD orders still take stock straight away
+        $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '5 Jalan Ampang',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $product->id, 'quantity' => 1]]
+        ])->assertStatus(201);
+        $this->assertDatabaseHas('products', ['id' => $product->id, 'stock_quantity' => 5]);
+    }
+
+    public function test_products_can_be_filtered_by_stock_and_margin_and_sorted()
+    {
+        $make = fn ($name, $price, $cost, $stock, $status = 'active') => Product::create([
+            'name' => $name,
+            'sku' => strtoupper(substr($name, 0, 3)) . '-01',
+            'price' => $price,
+            'cost_price' => $cost,
+            'stock_quantity' => $stock,
+            'low_stock_threshold' => 5,
+            'status' => $status,
+            'category_id' => $this->category->id
+        ]);
+        $make('Kettle', 100, 40, 50);
+        $toaster = $make('Toaster', 80, 70, 3);
+        $make('Blender', 200, 100, 0, 'out_of_stock');
+        $make('Fan', 60, 30, 20, 'inactive');
+
+        $names = fn ($query) => collect($this->getJson("/api/products?{$query}")->assertStatus(200)->json('data'))->pluck('name')->all();
+
+        $this->assertEquals(['Toaster'], $names('stock=low'));
+        $this->assertEquals(['Blender'], $names('stock=out'));
+        $this->assertEquals(['Kettle'], $names('stock=in_stock'));
+        $this->assertEquals(['Blender', 'Kettle'], $names('min_margin=50&sort=name&direction=asc'));
+        $this->assertEquals(['Toaster'], $names('max_margin=20'));
+        $this->assertEquals(['Fan'], $names('status=inactive'));
+        $this->assertCount(4, $names('status=all'));
+        $this->assertEquals(['Blender', 'Kettle', 'Toaster'], $names('sort=price&direction=desc'));
+
+        // Recent sales: units on orders in the last 30 days, cancelled ones excluded
+        $customer = Customer::create(['full_name' => 'Farah', 'email' => 'farah@example.com', 'phone' => '0145556666']);
+        $channel = SalesChannel::create(['name' => 'Website', 'type' => 'website', 'is_active' => true]);
+        $this->postJson('/api/orders', [
+            'customer_id' => $customer->id,
+            'channel_id' => $channel->id,
+            'shipping_address' => '8 Jalan Tun Razak',
+            'payment_method' => 'cod',
+            'items' => [['product_id' => $toaster->id, 'quantity' => 2]]
+        ])->assertStatus(201);
+
+        $this->assertEquals('Toaster', $names('sort=sales')[0]);
+        $this->getJson('/api/products?sort=sales')->assertJsonPath('data.0.recent_sales', 2);
+    }
+
+    public function test_product_images_can_be_uploaded_ordered_and_deleted()
+    {
+        \Illuminate\Support\Facades\Storage::fake('public');
+
+        $product = Product::create([
+            'name' => 'Rice Cooker',
+            'sku' => 'RIC-01',
+            'price' => 150,
+            'stock_quantity' => 10,
+            'category_id' => $this->category->id,
+            'image_url' => 'https://images.unsplash.com/photo-rice'
+        ]);
+
+        // Before any upload the old image_url is the gallery
+        $this->getJson("/api/products/{$product->id}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.images.0.url', 'https://images.unsplash.com/photo-rice')
+            ->assertJsonPath('data.images.0.id', null);
+
+        $this->post("/api/products/{$product->id}/images", ['images' => [UploadedFile::fake()->create('manual.pdf', 20, 'application/pdf')]])
+            ->assertStatus(400);
+
+        $response = $this->post("/api/products/{$product->id}/images", [
+            'images' => [UploadedFile::fake()->image('front.jpg', 800, 800), UploadedFile::fake()->image('back.png', 800, 800)]
+        ])->assertStatus(201);
+
+        // The old URL is kept as the first (primary) image, uploads follow it
+        $images = $response->json('data');
+        $this->assertCount(3, $images);
+        $this->assertEquals('https://images.unsplash.com/photo-rice', $images[0]['url']);
+        $this->assertTrue($images[0]['is_primary']);
+        $this->assertEquals('https://images.unsplash.com/photo-rice', $product->fresh()->image_url);
+
+        $uploads = \App\Models\ProductImage::where('product_id', $product->id)->whereNotNull('path')->orderBy('position')->get();
+        $uploads->each(fn ($image) => \Illuminate\Support\Facades\Storage::disk('public')->assertExists($image->path));
+
+        // Reorder, describe and make the back photo primary
+        [$legacy, $front, $back] = array_column($images, 'id');
+        $this->putJson("/api/products/{$product->id}/images", [
+            'images' => [['id' => $back, 'alt_text' => 'Back view'], ['id' => $front, 'alt_text' => 'Front view'], ['id' => $legacy]],
+            'primary_id' => $back
+        ])
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.id', $back)
+            ->assertJsonPath('data.0.alt_text', 'Back view')
+            ->assertJsonPath('data.0.is_primary', true)
+            ->assertJsonPath('data.2.is_primary', false);
+
+        $backPath = $uploads->firstWhere('id', $back)->path;
+        $this->assertEquals(\Illuminate\Support\Facades\Storage::disk('public')->url($backPath), $product->fresh()->image_url);
+
+        // The list must name every image of the product
+        $this->putJson("/api/products/{$product->id}/images", ['images' => [['id' => $back]]])->assertStatus(400);
+
+        // Deleting the primary image removes its file and promotes the next one
+        $this->deleteJson("/api/products/{$product->id}/images/{$back}")
+            ->assertStatus(200)
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.0.id', $front)
+            ->assertJsonPath('data.0.is_primary', true);
+        \Illuminate\Support\Facades\Storage::disk('public')->assertMissing($backPath);
+
+        // A URL set on the product form becomes the primary image
+        $this->putJson("/api/products/{$product->id}", ['image_url' => 'https://cdn.example.com/rice-new.jpg'])->assertStatus(200);
+        $this->getJson("/api/products/{$product->id}")
+            ->assertJsonCount(3, 'data.images')
+            ->assertJsonPath('data.images.2.url', 'https://cdn.example.com/rice-new.jpg')
+            ->assertJsonPath('data.images.2.is_primary', true);
+    }
+
+    public function test_failed_image_upload_leaves_no_rows_or_files()
+    {
+        \Illuminate\Support\Facades\Storage::fake('public');
+
+        $product = Product::create([
+            'name' => 'Kettle',
+            'sku' => 'KET-01',
+            'price' => 80,
+            'stock_quantity' => 5,
+            'category_id' => $this->category->id
+        ]);
+
+        // The URL image is inserted after the uploads; make that insert fail
+        \App\Models\ProductImage::creating(function ($image) {
+            if ($image->url) {
+                throw new \RuntimeException('Insert failed');
+            }
+        });
+
+        $this->post("/api/products/{$product->id}/images", [
+            'images' => [UploadedFile::fake()->image('front.jpg', 400, 400), UploadedFile::fake()->image('side.jpg', 400, 400)],
+            'url' => 'https://cdn.example.com/kettle.jpg'
+        ])->assertStatus(500);
+
+        $this->assertEquals(0, \App\Models\ProductImage::where('product_id', $product->id)->count());
+        $this->assertEmpty(\Illuminate\Support\Facades\Storage::disk('public')->allFiles("products/{$product->id}"));
+        $this->assertNull($product->fresh()->image_url);
+    }
 }
@@ -18,9 +18,20 @@ import { CartProvider } from './context/CartContext';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Products from './pages/Products';
+import Inventory from './pages/Inventory';
+import Stocktakes from './pages/Stocktakes';
+import StocktakeDetail from './pages/StocktakeDetail';
+import Suppliers from './pages/Suppliers';
+import SupplierDetail from './pages/SupplierDetail';
+import Locations from './pages/Locations';
+import LocationDetail from './pages/LocationDetail';
+import StockTransfers from './pages/StockTransfers';
+import Replenishment from './pages/Replenishment';
 import Orders from './pages/Orders';
 import OrderDetail from './pages/OrderDetail';
+import Returns from './pages/Returns';
 import Customers from './pages/Customers';
+import CustomerDetail from './pages/CustomerDetail';
 import Commissions from './pages/Commissions';
 import Channels from './pages/Channels';
 import ApiLogs from './pages/ApiLogs';
@@ -142,9 +153,20 @@ function App() {
                 
                 {/* Other nested protected routes. */}
                 <Route path="products" element={<Products />} />
+                <Route path="inventory" element={<Inventory />} />
+                <Route path="stocktakes" element={<Stocktakes />} />
+                <Route path="stocktakes/:id" element={<StocktakeDetail />} />
+                <Route path="locations" element={<Locations />} />
+                <Route path="locations/:id" element={<LocationDetail />} />
+                <Route path="stock-transfers" element={<StockTransfers />} />
+                <Route path="suppliers" element={<Suppliers />} />
+                <Route path="suppliers/:id" element={<SupplierDetail />} />
+                <Route path="replenishment" element={<Replenishment />} />
                 <Route path="orders" element={<Orders />} />
                 <Route path="orders/:id" element={<OrderDetail />} />
+                <Route path="returns" element={<Returns />} />
                 <Route path="customers" element={<Customers />} />
+                <Route path="customers/:id" element={<CustomerDetail />} />
                 <Route path="commissions" element={<Commissions />} />
                 <Route path="channels" element={<Channels />} />
                 <Route path="logs" element={<ApiLogs />} />
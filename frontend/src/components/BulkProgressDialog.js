@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  XMarkIcon,
+  CheckCircleIcon,
+  ExclamationCircleIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+
+/**
+ * Runs a bulk action one item at a time and reports each result.
+ *
+ * `action(id)` is awaited per item; a rejection marks the item as failed with
+ * the API's message. Failed items can be retried without re-running the ones
+ * that already succeeded. `onFinish()` fires after every run (e.g. to refresh
+ * queries) and `doneAction` adds a button that receives the resolved values
+ * of the successful items.
+ */
+export default function BulkProgressDialog({ title, ids, labelFor, action, onFinish, onClose, doneAction }) {
+  const [results, setResults] = useState(() => Object.fromEntries(ids.map(id => [id, { state: 'queued' }])));
+  const [isRunning, setIsRunning] = useState(false);
+  const started = useRef(false);
+  const onFinishRef = useRef(onFinish);
+  onFinishRef.current = onFinish;
+
+  const run = useCallback(async (targetIds) => {
+    setIsRunning(true);
+    setResults(prev => ({ ...prev, ...Object.fromEntries(targetIds.map(id => [id, { state: 'queued' }])) }));
+
+    for (const id of targetIds) {
+      setResults(prev => ({ ...prev, [id]: { state: 'running' } }));
+      let result;
+      try {
+        result = { state: 'success', value: await action(id) };
+      } catch (err) {
+        result = { state: 'failed', message: err.response?.data?.message || err.message || 'Server error' };
+      }
+      setResults(prev => ({ ...prev, [id]: result }));
+    }
+
+    setIsRunning(false);
+    if (onFinishRef.current) onFinishRef.current();
+  }, [action]);
+
+  // Start automatically once, when the dialog opens
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    run(ids);
+  }, [ids, run]);
+
+  const entries = ids.map(id => ({ id, ...results[id] }));
+  const done = entries.filter(e => e.state === 'success' || e.state === 'failed').length;
+  const failedIds = entries.filter(e => e.state === 'failed').map(e => e.id);
+  const succeeded = entries.filter(e => e.state === 'success');
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={() => !isRunning && onClose()}></div>
+      <div className="relative bg-white w-full max-w-lg rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">{title}</h2>
+          <button onClick={onClose} disabled={isRunning} className="p-2 hover:bg-white/10 rounded-xl disabled:opacity-30"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <div className="flex justify-between text-xs font-black text-slate-400 uppercase mb-2">
+              <span>{done} / {ids.length} selesai</span>
+              <span>{succeeded.length} berjaya · {failedIds.length} gagal</span>
+            </div>
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+              <div className="h-full bg-brand-600 transition-all" style={{ width: `${ids.length ? (done / ids.length) * 100 : 0}%` }}></div>
+            </div>
+          </div>
+
+          <ul className="max-h-72 overflow-y-auto divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+            {entries.map(entry => (
+              <li key={entry.id} className="px-4 py-3 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-black text-slate-900">{labelFor(entry.id)}</p>
+                  {entry.state === 'failed' && <p className="text-xs text-red-600 mt-1">{entry.message}</p>}
+                </div>
+                {entry.state === 'success' && <CheckCircleIcon className="h-5 w-5 text-success flex-shrink-0" />}
+                {entry.state === 'failed' && <ExclamationCircleIcon className="h-5 w-5 text-danger flex-shrink-0" />}
+                {entry.state === 'running' && <div className="h-4 w-4 border-2 border-brand-600 border-t-transparent rounded-full animate-spin flex-shrink-0"></div>}
+                {entry.state === 'queued' && <span className="text-[10px] font-black text-slate-300 uppercase">Menunggu</span>}
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex gap-3">
+            {failedIds.length > 0 && (
+              <button onClick={() => run(failedIds)} disabled={isRunning} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+                <ArrowPathIcon className="h-4 w-4" /> Cuba Semula Yang Gagal ({failedIds.length})
+              </button>
+            )}
+            {doneAction && succeeded.length > 0 && (
+              <button
+                onClick={() => doneAction.onClick(succeeded.map(e => e.value))}
+                disabled={isRunning}
+                className="flex-1 btn-modern btn-modern-primary disabled:opacity-50"
+              >
+                {doneAction.label} ({succeeded.length})
+              </button>
+            )}
+            <button onClick={onClose} disabled={isRunning} className="flex-1 btn-modern bg-slate-50 text-slate-500 disabled:opacity-50">Tutup</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, MagnifyingGlassIcon, ArrowUpIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Locations a channel sells from (in allocation order) and the stock it
+ * can sell: the sum of those locations. No locations chosen means every
+ * active location.
+ */
+export default function ChannelStockDialog({ channel, onClose }) {
+  const queryClient = useQueryClient();
+  const [chosen, setChosen] = useState(() => (channel.locations || []).map(l => l.id));
+  const [search, setSearch] = useState('');
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  });
+
+  const { data: stock, isLoading } = useQuery(['channel-stock', channel.id, search], async () => {
+    const res = await api.get(`/channels/${channel.id}/stock`, { params: { search } });
+    return res.data.data;
+  }, { keepPreviousData: true });
+
+  const saveMutation = useMutation(async () => api.put(`/channels/${channel.id}`, { location_ids: chosen }), {
+    onSuccess: () => {
+      toast.success('Stock locations saved');
+      queryClient.invalidateQueries('channels');
+      queryClient.invalidateQueries(['channel-stock', channel.id]);
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Failed to save locations'));
+    }
+  });
+
+  const toggle = (id) => setChosen(chosen.includes(id) ? chosen.filter(c => c !== id) : [...chosen, id]);
+  const moveUp = (id) => {
+    const index = chosen.indexOf(id);
+    if (index < 1) return;
+    const next = [...chosen];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    setChosen(next);
+  };
+
+  const ordered = [
+    ...chosen.map(id => locations?.find(l => l.id === id)).filter(Boolean),
+    ...(locations || []).filter(l => !chosen.includes(l.id))
+  ];
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-2xl rounded-3xl shadow-premium overflow-hidden animate-slide-up max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white sticky top-0 z-10">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">{channel.name} Stock</h2>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+        <div className="p-6 space-y-6">
+          <div>
+            <p className={labelClass}>Sells From (first location with stock fills the order)</p>
+            <div className="divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+              {ordered.map(l => (
+                <div key={l.id} className="p-3 flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    aria-label={`Sell from ${l.name}`}
+                    className="rounded border-slate-300 text-brand-600"
+                    checked={chosen.includes(l.id)}
+                    onChange={() => toggle(l.id)}
+                  />
+                  <span className="flex-1 text-sm font-bold text-slate-700">{l.name} <span className="text-xs text-slate-400">({l.code})</span></span>
+                  {chosen.indexOf(l.id) > 0 && (
+                    <button type="button" onClick={() => moveUp(l.id)} className="p-1 text-slate-400 hover:text-brand-600" title="Move up">
+                      <ArrowUpIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {chosen.length === 0 && <p className="text-xs text-slate-400 mt-2">None chosen: the channel sells from every active location.</p>}
+            <button onClick={() => saveMutation.mutate()} disabled={saveMutation.isLoading} className="mt-3 btn-modern btn-modern-primary text-xs">
+              {saveMutation.isLoading ? 'Saving...' : 'Save Locations'}
+            </button>
+          </div>
+
+          <div>
+            <p className={labelClass}>Sellable Stock · {stock?.locations?.map(l => l.code).join(' + ') || '-'}</p>
+            <div className="relative mb-3">
+              <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+              <input type="text" className="input-modern pl-11" placeholder="Search product or SKU..." value={search} onChange={e => setSearch(e.target.value)} />
+            </div>
+            <div className="table-container">
+              <table className="modern-table w-full">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th className="text-right">Channel</th>
+                    <th className="text-right">All Locations</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-50">
+                  {isLoading ? <tr><td colSpan="3" className="py-10 text-center"><div className="spinner mx-auto"></div></td></tr> :
+                    stock?.items?.length === 0 ? <tr><td colSpan="3" className="py-10 text-center text-sm text-slate-400 font-medium">No stock found</td></tr> :
+                    stock?.items?.map(item => (
+                      <tr key={`${item.product_id}-${item.variant_id}`}>
+                        <td>
+                          <p className="text-sm font-black text-slate-900">{item.sku}</p>
+                          <p className="text-xs text-slate-400 font-bold">{item.name}{item.variant_name && ` (${item.variant_name})`}</p>
+                        </td>
+                        <td className={`text-right text-sm font-black ${item.channel_stock > 0 ? 'text-slate-900' : 'text-danger'}`}>{item.channel_stock}</td>
+                        <td className="text-right text-sm font-bold text-slate-500">{item.total_stock}</td>
+                      </tr>
+                    ))
+                  }
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
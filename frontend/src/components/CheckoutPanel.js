@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { validators } from '../utils/validators';
+import { isBlacklisted } from '../utils/customerTags';
+import {
+  ArrowLeftIcon,
+  MagnifyingGlassIcon,
+  UserPlusIcon,
+  UserCircleIcon,
+  XMarkIcon,
+  ExclamationCircleIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline';
+
+const emptyCustomer = { full_name: '', email: '', phone: '', address: '', city: '', state: '', postal_code: '' };
+
+const paymentMethods = [
+  { value: 'online_banking', label: 'Online Banking' },
+  { value: 'cod', label: 'Cash on Delivery' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'ewallet', label: 'E-Wallet' }
+];
+
+/**
+ * Checkout step of the cart drawer.
+ *
+ * Lets staff pick (or register) the customer, choose the sales channel and
+ * fill in shipping/payment details before the order is posted to /orders.
+ */
+export default function CheckoutPanel({ cart, subtotal, onBack, onSubmit, isSubmitting }) {
+  const queryClient = useQueryClient();
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [customer, setCustomer] = useState(null);
+  const [isCreatingCustomer, setIsCreatingCustomer] = useState(false);
+  const [newCustomer, setNewCustomer] = useState(emptyCustomer);
+  const [errors, setErrors] = useState({});
+
+  const [details, setDetails] = useState({
+    channel_id: '',
+    shipping_address: '',
+    shipping_city: '',
+    shipping_state: '',
+    shipping_postal_code: '',
+    payment_method: 'online_banking',
+    discount: '',
+    shipping_fee: '',
+    notes: ''
+  });
+
+  // Debounce customer search to avoid a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(customerSearch.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [customerSearch]);
+
+  const { data: customerResults, isFetching: isSearching } = useQuery(['customers', 'checkout', debouncedSearch], async () => {
+    const res = await api.get(`/customers?search=${encodeURIComponent(debouncedSearch)}&limit=8`);
+    return res.data.data;
+  }, {
+    enabled: debouncedSearch.length >= 2 && !customer,
+    refetchInterval: false
+  });
+
+  const { data: channels } = useQuery('channels', async () => {
+    const res = await api.get('/channels');
+    return res.data.data;
+  }, { refetchInterval: false });
+
+  const activeChannels = useMemo(() => channels?.filter(c => c.is_active) || [], [channels]);
+
+  // Default to the first active channel (usually the website) once loaded
+  useEffect(() => {
+    if (!details.channel_id && activeChannels.length > 0) {
+      setDetails(prev => ({ ...prev, channel_id: activeChannels[0].id }));
+    }
+  }, [activeChannels, details.channel_id]);
+
+  const selectCustomer = (c) => {
+    setCustomer(c);
+    setCustomerSearch('');
+    setErrors({ ...errors, customer: null, shipping_address: null });
+    // Pre-fill shipping from the customer record (staff can still override)
+    setDetails(prev => ({
+      ...prev,
+      shipping_address: c.address || '',
+      shipping_city: c.city || '',
+      shipping_state: c.state || '',
+      shipping_postal_code: c.postal_code || ''
+    }));
+  };
+
+  const createCustomerMutation = useMutation(async (data) => {
+    const res = await api.post('/customers', data);
+    return { ...data, id: res.data.customerId };
+  }, {
+    onSuccess: (created) => {
+      toast.success('Pelanggan berjaya didaftar!');
+      queryClient.invalidateQueries('customers');
+      setIsCreatingCustomer(false);
+      setNewCustomer(emptyCustomer);
+      selectCustomer(created);
+    },
+    onError: (err) => {
+      const apiErrors = err.response?.data?.errors;
+      if (apiErrors?.email) {
+        setErrors({ ...errors, new_email: apiErrors.email[0] });
+      }
+      toast.error(err.response?.data?.message || 'Gagal mendaftar pelanggan');
+    }
+  });
+
+  const handleCreateCustomer = () => {
+    const newErrors = {};
+
+    const nameError = validators.required(newCustomer.full_name, 'Full name');
+    if (nameError) newErrors.new_full_name = nameError;
+
+    const emailError = validators.email(newCustomer.email);
+    if (emailError) newErrors.new_email = emailError;
+
+    const phoneError = validators.required(newCustomer.phone, 'Phone') || validators.phone(newCustomer.phone);
+    if (phoneError) newErrors.new_phone = phoneError;
+
+    const addressError = validators.required(newCustomer.address, 'Address');
+    if (addressError) newErrors.new_address = addressError;
+
+    setErrors(newErrors);
+
+    if (Object.keys(newErrors).length === 0) {
+      createCustomerMutation.mutate(newCustomer);
+    }
+  };
+
+  const discount = parseFloat(details.discount) || 0;
+  const shippingFee = parseFloat(details.shipping_fee) || 0;
+  const tax = subtotal * 0.06; // 6% SST, same as backend
+  const total = subtotal - discount + shippingFee + tax;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!customer) newErrors.customer = 'Please select or register a customer';
+    if (!details.channel_id) newErrors.channel_id = 'Please select a sales channel';
+
+    const addressError = validators.required(details.shipping_address, 'Shipping address');
+    if (addressError) newErrors.shipping_address = addressError;
+
+    if (details.discount && validators.number(details.discount, 'Discount', 0)) {
+      newErrors.discount = validators.number(details.discount, 'Discount', 0);
+    } else if (discount > subtotal) {
+      newErrors.discount = 'Discount cannot exceed the subtotal';
+    }
+
+    if (details.shipping_fee && validators.number(details.shipping_fee, 'Shipping fee', 0)) {
+      newErrors.shipping_fee = validators.number(details.shipping_fee, 'Shipping fee', 0);
+    }
+
+    setErrors(newErrors);
+
+    if (Object.keys(newErrors).length > 0) {
+      toast.error('Please fix validation errors before checkout');
+      return;
+    }
+
+    if (isBlacklisted(customer) && !window.confirm(`${customer.full_name} disenarai hitam. Teruskan juga pesanan ini?`)) {
+      return;
+    }
+
+    onSubmit({
+      customer_id: customer.id,
+      channel_id: parseInt(details.channel_id, 10),
+      items: cart.map(item => ({
+        product_id: item.id,
+        variant_id: item.variant_id || null,
+        quantity: item.quantity
+      })),
+      shipping_address: details.shipping_address,
+      shipping_city: details.shipping_city,
+      shipping_state: details.shipping_state,
+      shipping_postal_code: details.shipping_postal_code,
+      payment_method: details.payment_method,
+      discount,
+      shipping_fee: shippingFee,
+      notes: details.notes
+    });
+  };
+
+  const fieldError = (key) => errors[key] && (
+    <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+      <ExclamationCircleIcon className="h-3 w-3" /> {errors[key]}
+    </p>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="flex-1 flex flex-col min-h-0">
+      <div className="flex-1 overflow-y-auto p-6 space-y-6">
+        <button type="button" onClick={onBack} className="flex items-center gap-2 text-xs font-black text-slate-400 uppercase tracking-widest hover:text-brand-600">
+          <ArrowLeftIcon className="h-4 w-4" /> Kembali ke Troli
+        </button>
+
+        {/* Customer */}
+        <div>
+          <label className="text-sm font-black text-slate-400 uppercase mb-2 block">Pelanggan</label>
+          {customer ? (
+            <div className="space-y-2">
+              <div className="flex items-center gap-3 p-4 bg-brand-50 rounded-2xl border border-brand-100">
+                <UserCircleIcon className="h-8 w-8 text-brand-600" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-black text-slate-900 truncate">{customer.full_name}</p>
+                  <p className="text-xs text-slate-500 font-bold truncate">{customer.email} • {customer.phone}</p>
+                </div>
+                <button type="button" onClick={() => setCustomer(null)} className="text-slate-400 hover:text-danger" title="Change Customer">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+              {isBlacklisted(customer) && (
+                <p role="alert" className="flex items-center gap-2 p-3 bg-danger/10 rounded-xl text-xs font-black text-danger">
+                  <NoSymbolIcon className="h-4 w-4 flex-shrink-0" /> Pelanggan ini disenarai hitam. Sila semak sebelum meneruskan pesanan.
+                </p>
+              )}
+            </div>
+          ) : isCreatingCustomer ? (
+            <div className="space-y-3 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+              <div>
+                <input id="new_full_name" type="text" placeholder="Full name" className={`input-modern text-sm ${errors.new_full_name ? 'border-red-500 bg-red-50' : ''}`} value={newCustomer.full_name} onChange={e => setNewCustomer({ ...newCustomer, full_name: e.target.value })} />
+                {fieldError('new_full_name')}
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <input id="new_email" type="email" placeholder="Email" className={`input-modern text-sm ${errors.new_email ? 'border-red-500 bg-red-50' : ''}`} value={newCustomer.email} onChange={e => setNewCustomer({ ...newCustomer, email: e.target.value })} />
+                  {fieldError('new_email')}
+                </div>
+                <div>
+                  <input id="new_phone" type="text" placeholder="Phone" className={`input-modern text-sm ${errors.new_phone ? 'border-red-500 bg-red-50' : ''}`} value={newCustomer.phone} onChange={e => setNewCustomer({ ...newCustomer, phone: e.target.value })} />
+                  {fieldError('new_phone')}
+                </div>
+              </div>
+              <div>
+                <textarea id="new_address" placeholder="Address" className={`input-modern text-sm h-16 resize-none ${errors.new_address ? 'border-red-500 bg-red-50' : ''}`} value={newCustomer.address} onChange={e => setNewCustomer({ ...newCustomer, address: e.target.value })}></textarea>
+                {fieldError('new_address')}
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                <input type="text" placeholder="City" className="input-modern text-sm" value={newCustomer.city} onChange={e => setNewCustomer({ ...newCustomer, city: e.target.value })} />
+                <input type="text" placeholder="State" className="input-modern text-sm" value={newCustomer.state} onChange={e => setNewCustomer({ ...newCustomer, state: e.target.value })} />
+                <input type="text" placeholder="Postcode" className="input-modern text-sm" value={newCustomer.postal_code} onChange={e => setNewCustomer({ ...newCustomer, postal_code: e.target.value })} />
+              </div>
+              <div className="flex gap-2">
+                <button type="button" onClick={() => { setIsCreatingCustomer(false); setErrors({}); }} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600 text-xs">Batal</button>
+                <button type="button" onClick={handleCreateCustomer} disabled={createCustomerMutation.isLoading} className="flex-1 btn-modern btn-modern-primary text-xs">
+                  {createCustomerMutation.isLoading ? 'Saving...' : 'Daftar & Pilih'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <div className="relative">
+                <MagnifyingGlassIcon className={`absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 ${isSearching ? 'text-brand-500 animate-pulse' : 'text-slate-400'}`} />
+                <input
+                  type="text"
+                  className={`input-modern pl-11 text-sm ${errors.customer ? 'border-red-500 bg-red-50' : ''}`}
+                  placeholder="Cari nama, emel atau telefon..."
+                  value={customerSearch}
+                  onChange={e => setCustomerSearch(e.target.value)}
+                />
+              </div>
+              {debouncedSearch.length >= 2 && customerResults && (
+                <div className="bg-white rounded-2xl border border-slate-100 shadow-soft divide-y divide-slate-50 max-h-56 overflow-y-auto">
+                  {customerResults.length > 0 ? customerResults.map(c => (
+                    <button type="button" key={c.id} onClick={() => selectCustomer(c)} className="w-full text-left p-3 hover:bg-slate-50 transition-all">
+                      <p className="text-sm font-black text-slate-900">
+                        {c.full_name} {isBlacklisted(c) && <span className="status-badge text-[10px] bg-danger/10 text-danger ml-1">Blacklist</span>}
+                      </p>
+                      <p className="text-xs text-slate-400 font-bold">{c.email} • {c.phone}</p>
+                    </button>
+                  )) : (
+                    <p className="p-3 text-xs text-slate-400 font-bold text-center">Tiada pelanggan ditemui</p>
+                  )}
+                </div>
+              )}
+              {fieldError('customer')}
+              <button
+                type="button"
+                onClick={() => {
+                  setIsCreatingCustomer(true);
+                  setErrors({});
+                }}
+                className="flex items-center gap-2 text-xs font-black text-brand-600 uppercase tracking-widest"
+              >
+                <UserPlusIcon className="h-4 w-4" /> Pelanggan Baru
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Channel & Payment */}
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="checkout_channel" className="text-sm font-black text-slate-400 uppercase mb-1 block">Channel</label>
+            <select id="checkout_channel" className={`input-modern text-sm ${errors.channel_id ? 'border-red-500 bg-red-50' : ''}`} value={details.channel_id} onChange={e => setDetails({ ...details, channel_id: e.target.value })}>
+              {activeChannels.length === 0 && <option value="">Loading...</option>}
+              {activeChannels.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            {fieldError('channel_id')}
+          </div>
+          <div>
+            <label htmlFor="checkout_payment" className="text-sm font-black text-slate-400 uppercase mb-1 block">Bayaran</label>
+            <select id="checkout_payment" className="input-modern text-sm" value={details.payment_method} onChange={e => setDetails({ ...details, payment_method: e.target.value })}>
+              {paymentMethods.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {/* Shipping */}
+        <div className="space-y-3">
+          <label htmlFor="checkout_address" className="text-sm font-black text-slate-400 uppercase block">Alamat Penghantaran</label>
+          <textarea
+            id="checkout_address"
+            className={`input-modern text-sm h-20 resize-none ${errors.shipping_address ? 'border-red-500 bg-red-50' : ''}`}
+            value={details.shipping_address}
+            onChange={e => {
+              setDetails({ ...details, shipping_address: e.target.value });
+              setErrors({ ...errors, shipping_address: null });
+            }}
+          ></textarea>
+          {fieldError('shipping_address')}
+          <div className="grid grid-cols-3 gap-3">
+            <input type="text" placeholder="City" className="input-modern text-sm" value={details.shipping_city} onChange={e => setDetails({ ...details, shipping_city: e.target.value })} />
+            <input type="text" placeholder="State" className="input-modern text-sm" value={details.shipping_state} onChange={e => setDetails({ ...details, shipping_state: e.target.value })} />
+            <input type="text" placeholder="Postcode" className="input-modern text-sm" value={details.shipping_postal_code} onChange={e => setDetails({ ...details, shipping_postal_code: e.target.value })} />
+          </div>
+        </div>
+
+        {/* Adjustments */}
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="checkout_discount" className="text-sm font-black text-slate-400 uppercase mb-1 block">Diskaun (RM)</label>
+            <input id="checkout_discount" type="number" step="0.01" min="0" className={`input-modern text-sm ${errors.discount ? 'border-red-500 bg-red-50' : ''}`} value={details.discount} onChange={e => setDetails({ ...details, discount: e.target.value })} />
+            {fieldError('discount')}
+          </div>
+          <div>
+            <label htmlFor="checkout_shipping_fee" className="text-sm font-black text-slate-400 uppercase mb-1 block">Kos Penghantaran (RM)</label>
+            <input id="checkout_shipping_fee" type="number" step="0.01" min="0" className={`input-modern text-sm ${errors.shipping_fee ? 'border-red-500 bg-red-50' : ''}`} value={details.shipping_fee} onChange={e => setDetails({ ...details, shipping_fee: e.target.value })} />
+            {fieldError('shipping_fee')}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="checkout_notes" className="text-sm font-black text-slate-400 uppercase mb-1 block">Nota</label>
+          <textarea id="checkout_notes" className="input-modern text-sm h-16 resize-none" placeholder="Cth: Order melalui telefon" value={details.notes} onChange={e => setDetails({ ...details, notes: e.target.value })}></textarea>
+        </div>
+      </div>
+
+      <div className="p-6 border-t border-slate-50 bg-slate-50/50">
+        <div className="space-y-2 mb-4 text-sm">
+          <div className="flex justify-between"><span>Subtotal:</span><span className="font-bold">RM{subtotal.toFixed(2)}</span></div>
+          {discount > 0 && <div className="flex justify-between"><span>Diskaun:</span><span className="font-bold text-danger">-RM{discount.toFixed(2)}</span></div>}
+          {shippingFee > 0 && <div className="flex justify-between"><span>Penghantaran:</span><span className="font-bold">RM{shippingFee.toFixed(2)}</span></div>}
+          <div className="flex justify-between"><span>Tax (6%):</span><span className="font-bold">RM{tax.toFixed(2)}</span></div>
+          <div className="flex justify-between text-lg font-black border-t border-slate-200 pt-2">
+            <span>TOTAL:</span>
+            <span className="text-brand-600">RM{total.toFixed(2)}</span>
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full btn-modern btn-modern-primary py-4 shadow-brand-200 uppercase text-sm font-black tracking-[0.2em] disabled:opacity-70"
+        >
+          {isSubmitting ? (
+            <span className="flex items-center gap-2">
+              <div className="h-4 w-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              Processing...
+            </span>
+          ) : 'Buat Pesanan Sekarang'}
+        </button>
+      </div>
+    </form>
+  );
+}
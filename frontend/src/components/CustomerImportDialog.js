@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, ArrowUpTrayIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { validators } from '../utils/validators';
+import { parseCsvWithHeader } from '../utils/csv';
+
+// Customer fields a CSV column can map to, with header names we recognise automatically
+const FIELDS = [
+  { key: 'full_name', label: 'Full Name', required: true, aliases: ['fullname', 'name', 'nama', 'customername', 'buyername', 'recipientname'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['email', 'emel', 'emailaddress'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phonenumber', 'telefon', 'notelefon', 'mobile', 'tel', 'contactnumber'] },
+  { key: 'address', label: 'Address', aliases: ['address', 'alamat', 'shippingaddress', 'address1', 'addressline1'] },
+  { key: 'city', label: 'City', aliases: ['city', 'bandar'] },
+  { key: 'state', label: 'State', aliases: ['state', 'negeri'] },
+  { key: 'postal_code', label: 'Postal Code', aliases: ['postalcode', 'poskod', 'postcode', 'zip', 'zipcode'] },
+  { key: 'customer_type', label: 'Customer Type', aliases: ['customertype', 'type', 'jenis'] }
+];
+
+const ACTION_STYLES = {
+  create: { label: 'Baru', className: 'bg-success/10 text-success' },
+  update: { label: 'Kemaskini', className: 'bg-info/10 text-info' },
+  skip: { label: 'Langkau', className: 'bg-warning/10 text-warning' },
+  invalid: { label: 'Tidak Sah', className: 'bg-danger/10 text-danger' }
+};
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const guessMapping = (headers) => Object.fromEntries(FIELDS.map(field => [
+  field.key,
+  headers.find(h => field.aliases.includes(headerKey(h))) || ''
+]));
+
+// Same checks as the Add Customer form
+const validateRow = (row) => [
+  validators.required(row.full_name, 'Full name'),
+  validators.email(row.email),
+  validators.phone(row.phone)
+].filter(Boolean);
+
+/**
+ * Customer CSV import wizard: upload, map columns, dry-run preview, import.
+ *
+ * Rows are validated here first; the rest go through a backend dry run that
+ * flags duplicates (same email or phone) before anything is saved.
+ */
+export default function CustomerImportDialog({ onClose, onImported }) {
+  const [step, setStep] = useState('upload');
+  const [csv, setCsv] = useState({ headers: [], records: [] });
+  const [mapping, setMapping] = useState({});
+  const [updateExisting, setUpdateExisting] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseCsvWithHeader(reader.result);
+      if (parsed.records.length === 0) return toast.error('Fail CSV tiada baris data');
+      setCsv(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setStep('mapping');
+    };
+    reader.readAsText(file);
+  };
+
+  const buildRows = () => csv.records.map(record => {
+    const row = { line: record.line };
+    FIELDS.forEach(field => { row[field.key] = mapping[field.key] ? record.values[mapping[field.key]] : ''; });
+    return row;
+  });
+
+  const postRows = async (rows, dryRun) => {
+    const res = await api.post('/customers/import', { rows, dry_run: dryRun, update_existing: updateExisting });
+    return res.data;
+  };
+
+  const handlePreview = async () => {
+    const missing = FIELDS.filter(field => field.required && !mapping[field.key]);
+    if (missing.length > 0) return toast.error(`Pilih lajur untuk ${missing.map(f => f.label).join(', ')}`);
+
+    const rows = buildRows();
+    const localErrors = Object.fromEntries(rows.map(row => [row.line, validateRow(row)]));
+    const validRows = rows.filter(row => localErrors[row.line].length === 0);
+
+    setIsWorking(true);
+    try {
+      const serverResults = validRows.length > 0 ? (await postRows(validRows, true)).data.rows : [];
+      const resultsByLine = Object.fromEntries(serverResults.map(result => [result.line, result]));
+
+      setPreview({
+        rows,
+        validRows,
+        results: rows.map(row => localErrors[row.line].length > 0
+          ? { line: row.line, action: 'invalid', errors: localErrors[row.line], duplicate_of: null }
+          : resultsByLine[row.line])
+      });
+      setStep('preview');
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyemak fail'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    try {
+      const res = await postRows(preview.validRows, false);
+      toast.success(res.message);
+      setPreview({ ...preview, imported: res.data.summary });
+      setStep('done');
+      onImported();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Gagal mengimport pelanggan');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const counts = preview
+    ? preview.results.reduce((acc, result) => ({ ...acc, [result.action]: (acc[result.action] || 0) + 1 }), {})
+    : {};
+  const importable = (counts.create || 0) + (counts.update || 0);
+  const rowsByLine = preview ? Object.fromEntries(preview.rows.map(row => [row.line, row])) : {};
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={() => !isWorking && onClose()}></div>
+      <div className="relative bg-white w-full max-w-3xl rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Import Pelanggan</h2>
+          <button onClick={onClose} disabled={isWorking} className="p-2 hover:bg-white/10 rounded-xl disabled:opacity-30"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {step === 'upload' && (
+            <>
+              <p className="text-sm text-slate-500">Muat naik fail CSV dengan baris tajuk. Anda boleh padankan lajur pada langkah seterusnya.</p>
+              <input id="customer_import_file" type="file" accept=".csv,text/csv" className="input-modern" onChange={e => handleFile(e.target.files[0])} />
+            </>
+          )}
+
+          {step === 'mapping' && (
+            <>
+              <p className="text-sm text-slate-500">{csv.records.length} baris dijumpai. Padankan lajur CSV dengan medan pelanggan.</p>
+              <div className="grid grid-cols-2 gap-4">
+                {FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label htmlFor={`map_${field.key}`} className={labelClass}>{field.label}{field.required && ' *'}</label>
+                    <select id={`map_${field.key}`} className="input-modern" value={mapping[field.key]} onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })}>
+                      <option value="">(Abaikan)</option>
+                      {csv.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 text-sm font-bold text-slate-600">
+                <input type="checkbox" className="rounded border-slate-300 text-brand-600" checked={updateExisting} onChange={e => setUpdateExisting(e.target.checked)} />
+                Kemaskini pelanggan sedia ada jika pendua (emel / telefon sama)
+              </label>
+              <div className="flex gap-3">
+                <button onClick={() => setStep('upload')} disabled={isWorking} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Kembali</button>
+                <button onClick={handlePreview} disabled={isWorking} className="flex-1 btn-modern btn-modern-primary">{isWorking ? 'Menyemak...' : 'Pratonton'}</button>
+              </div>
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(ACTION_STYLES).map(([action, style]) => (
+                  <span key={action} className={`status-badge text-[11px] ${style.className}`}>{style.label}: {counts[action] || 0}</span>
+                ))}
+              </div>
+              <div className="max-h-80 overflow-y-auto border border-slate-100 rounded-2xl">
+                <table className="modern-table w-full">
+                  <thead>
+                    <tr><th>Baris</th><th>Nama & Emel</th><th>Tindakan</th><th>Catatan</th></tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-50">
+                    {preview.results.map(result => (
+                      <tr key={result.line}>
+                        <td className="text-xs font-black text-slate-400">{result.line}</td>
+                        <td>
+                          <p className="text-sm font-bold text-slate-900">{rowsByLine[result.line].full_name}</p>
+                          <p className="text-xs text-slate-400">{rowsByLine[result.line].email}</p>
+                        </td>
+                        <td><span className={`status-badge text-[11px] ${ACTION_STYLES[result.action].className}`}>{ACTION_STYLES[result.action].label}</span></td>
+                        <td className="text-xs text-slate-500">
+                          {result.errors.join('; ')}
+                          {result.duplicate_of?.full_name && `Sama ${result.duplicate_of.matched_on === 'email' ? 'emel' : 'telefon'} dengan ${result.duplicate_of.full_name}`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex gap-3">
+                <button onClick={() => setStep('mapping')} disabled={isWorking} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Kembali</button>
+                <button onClick={handleImport} disabled={isWorking || importable === 0} className="flex-1 btn-modern btn-modern-primary disabled:opacity-50">
+                  <ArrowUpTrayIcon className="h-4 w-4" /> {isWorking ? 'Mengimport...' : `Import ${importable} Pelanggan`}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'done' && (
+            <>
+              <div className="flex items-center gap-3 p-4 bg-success/10 rounded-2xl">
+                <CheckCircleIcon className="h-6 w-6 text-success" />
+                <p className="text-sm font-bold text-slate-700">
+                  {preview.imported.create} pelanggan baru, {preview.imported.update} dikemaskini, {preview.results.length - preview.imported.create - preview.imported.update} dilangkau.
+                </p>
+              </div>
+              <button onClick={onClose} className="w-full btn-modern bg-slate-900 text-white">Tutup</button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
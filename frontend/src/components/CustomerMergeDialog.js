@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, MagnifyingGlassIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Merge duplicate customers. Pick the records (from the suggested
+ * duplicates or by search), choose the one to keep, and the others are
+ * merged into it: their orders move over and the records are deleted.
+ */
+export default function CustomerMergeDialog({ onClose, onMerged }) {
+  const [selected, setSelected] = useState([]);
+  const [keepId, setKeepId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [isMerging, setIsMerging] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const { data: groups, isLoading } = useQuery('customer-duplicates', async () => {
+    const res = await api.get('/customers/duplicates');
+    return res.data.data;
+  });
+
+  const { data: searchResults } = useQuery(['customers', 'merge-search', debouncedSearch], async () => {
+    const res = await api.get(`/customers?search=${encodeURIComponent(debouncedSearch)}&limit=8`);
+    return res.data.data;
+  }, { enabled: debouncedSearch.length >= 2 });
+
+  const pickGroup = (group) => {
+    setSelected(group.customers);
+    setKeepId(group.customers[0].id);
+  };
+
+  const addCustomer = (customer) => {
+    if (!selected.some(c => c.id === customer.id)) {
+      setSelected([...selected, customer]);
+      if (!keepId) setKeepId(customer.id);
+    }
+    setSearch('');
+  };
+
+  const removeCustomer = (id) => {
+    const remaining = selected.filter(c => c.id !== id);
+    setSelected(remaining);
+    if (keepId === id) setKeepId(remaining[0]?.id || null);
+  };
+
+  const handleMerge = async () => {
+    const keep = selected.find(c => c.id === keepId);
+    const others = selected.filter(c => c.id !== keepId);
+    if (!window.confirm(`Gabung ${others.length} pelanggan ke dalam ${keep.full_name}? Rekod lain akan dipadam.`)) return;
+
+    setIsMerging(true);
+    try {
+      let ordersMoved = 0;
+      for (const customer of others) {
+        const res = await api.post(`/customers/${keepId}/merge`, { merge_id: customer.id });
+        ordersMoved += res.data.data.orders_moved;
+      }
+      toast.success(`Pelanggan digabung, ${ordersMoved} pesanan dipindahkan`);
+      onMerged();
+      onClose();
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menggabung pelanggan'));
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={() => !isMerging && onClose()}></div>
+      <div className="relative bg-white w-full max-w-2xl rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Gabung Pendua</h2>
+          <button onClick={onClose} disabled={isMerging} className="p-2 hover:bg-white/10 rounded-xl disabled:opacity-30"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <p className={labelClass}>Cadangan Pendua</p>
+            {isLoading ? <div className="spinner mx-auto"></div> : groups?.length === 0 ? (
+              <p className="text-sm text-slate-400 font-medium">Tiada pendua dikesan.</p>
+            ) : (
+              <div className="max-h-40 overflow-y-auto divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+                {groups?.map(group => (
+                  <button key={`${group.matched_on}-${group.value}`} onClick={() => pickGroup(group)} className="w-full text-left px-4 py-3 hover:bg-slate-50">
+                    <span className="text-sm font-bold text-slate-900">{group.customers.map(c => c.full_name).join(' · ')}</span>
+                    <span className="block text-xs text-slate-400">Sama {group.matched_on === 'email' ? 'emel' : 'telefon'}: {group.value}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="relative">
+            <label htmlFor="merge_search" className={labelClass}>Tambah Pelanggan</label>
+            <div className="relative">
+              <MagnifyingGlassIcon className="h-4 w-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input id="merge_search" type="text" className="input-modern pl-9" placeholder="Cari nama / emel / telefon" value={search} onChange={e => setSearch(e.target.value)} />
+            </div>
+            {debouncedSearch.length >= 2 && search && searchResults?.length > 0 && (
+              <div className="absolute z-20 left-0 right-0 mt-1 bg-white border border-slate-100 rounded-xl shadow-premium max-h-60 overflow-y-auto">
+                {searchResults.map(c => (
+                  <button key={c.id} onClick={() => addCustomer(c)} className="w-full text-left px-4 py-2 hover:bg-slate-50">
+                    <span className="text-sm font-bold text-slate-900 block">{c.full_name}</span>
+                    <span className="text-xs text-slate-400">{c.email} · {c.phone}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {selected.length > 0 && (
+            <div>
+              <p className={labelClass}>Pilih rekod untuk disimpan</p>
+              <div className="space-y-2">
+                {selected.map(c => (
+                  <label key={c.id} className={`flex items-center gap-3 p-3 rounded-xl border cursor-pointer ${keepId === c.id ? 'border-brand-600 bg-brand-50' : 'border-slate-100'}`}>
+                    <input type="radio" name="keep_customer" className="text-brand-600" checked={keepId === c.id} onChange={() => setKeepId(c.id)} />
+                    <span className="flex-1 min-w-0">
+                      <span className="text-sm font-bold text-slate-900 block">{c.full_name}</span>
+                      <span className="text-xs text-slate-400">{c.email} · {c.phone} · {c.total_orders} pesanan</span>
+                    </span>
+                    <button type="button" onClick={() => removeCustomer(c.id)} className="p-2 text-slate-400 hover:text-danger" title="Remove"><TrashIcon className="h-4 w-4" /></button>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button onClick={handleMerge} disabled={isMerging || selected.length < 2} className="w-full btn-modern btn-modern-primary disabled:opacity-50">
+            {isMerging ? 'Menggabung...' : 'Gabung Pelanggan'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, PlusIcon, TrashIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { SEGMENT_RULE_TYPES, SEGMENT_OPERATORS, describeRule } from '../utils/customerTags';
+
+const emptyRule = { type: 'spend', operator: 'gt', value: '', days: '' };
+
+/**
+ * Manage saved customer segments: list, build from rules (all must match),
+ * preview the matching customer count, save, edit and delete.
+ */
+export default function CustomerSegmentDialog({ onClose }) {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null); // null = list, {} = new, segment = edit
+  const [name, setName] = useState('');
+  const [rules, setRules] = useState([emptyRule]);
+  const [previewCount, setPreviewCount] = useState(null);
+
+  const { data: segments, isLoading } = useQuery('customer-segments', async () => {
+    const res = await api.get('/customer-segments');
+    return res.data.data;
+  });
+
+  const { data: tags } = useQuery('customer-tags', async () => {
+    const res = await api.get('/customer-tags');
+    return res.data.data;
+  });
+
+  const { data: channels } = useQuery('channels', async () => {
+    const res = await api.get('/channels');
+    return res.data.data;
+  });
+
+  const onError = (err) => {
+    const errors = err.response?.data?.errors;
+    toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan segmen'));
+  };
+
+  const saveMutation = useMutation(async (payload) => {
+    return editing.id
+      ? api.put(`/customer-segments/${editing.id}`, payload)
+      : api.post('/customer-segments', payload);
+  }, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('customer-segments');
+      toast.success('Segmen disimpan');
+      setEditing(null);
+    },
+    onError
+  });
+
+  const deleteMutation = useMutation(async (id) => api.delete(`/customer-segments/${id}`), {
+    onSuccess: () => {
+      queryClient.invalidateQueries('customer-segments');
+      toast.success('Segmen dipadam');
+    },
+    onError
+  });
+
+  const startEditing = (segment) => {
+    setEditing(segment);
+    setName(segment.name || '');
+    setRules(segment.rules ? segment.rules.map(rule => ({ ...emptyRule, ...rule, days: rule.days || '' })) : [emptyRule]);
+    setPreviewCount(null);
+  };
+
+  const setRule = (index, changes) => {
+    setRules(rules.map((rule, i) => i === index ? { ...rule, ...changes } : rule));
+    setPreviewCount(null);
+  };
+
+  const payloadRules = () => rules.map(rule => ({ ...rule, days: rule.days || null }));
+
+  const handlePreview = async () => {
+    try {
+      const res = await api.post('/customer-segments/preview', { rules: payloadRules() });
+      setPreviewCount(res.data.data.customer_count);
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const handleSave = () => {
+    if (!name.trim()) return toast.error('Nama segmen diperlukan');
+    if (rules.some(rule => rule.value === '')) return toast.error('Lengkapkan semua syarat');
+    saveMutation.mutate({ name: name.trim(), rules: payloadRules() });
+  };
+
+  const valueInput = (rule, index) => {
+    const props = { 'aria-label': `Rule ${index + 1} Value`, className: 'input-modern text-sm', value: rule.value, onChange: e => setRule(index, { value: e.target.value }) };
+
+    if (rule.type === 'channel') {
+      return (
+        <select {...props}>
+          <option value="">Pilih saluran...</option>
+          {channels?.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+      );
+    }
+    if (rule.type === 'tag') {
+      return (
+        <select {...props}>
+          <option value="">Pilih tag...</option>
+          {tags?.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+      );
+    }
+    if (rule.type === 'customer_type') {
+      return (
+        <select {...props}>
+          <option value="">Pilih jenis...</option>
+          <option value="retail">Retail</option>
+          <option value="wholesale">Wholesale</option>
+          <option value="vip">VIP</option>
+        </select>
+      );
+    }
+    return <input {...props} type="number" min="0" step={rule.type === 'spend' ? '0.01' : '1'} />;
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-2xl rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Segmen Pelanggan</h2>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+
+        {editing ? (
+          <div className="p-6 space-y-4">
+            <div>
+              <label htmlFor="segment_name" className={labelClass}>Nama Segmen</label>
+              <input id="segment_name" type="text" maxLength={100} className="input-modern" placeholder="Cth: Pembeli besar 90 hari" value={name} onChange={e => setName(e.target.value)} />
+            </div>
+
+            <div>
+              <p className={labelClass}>Syarat (semua mesti dipenuhi)</p>
+              <div className="space-y-2">
+                {rules.map((rule, index) => {
+                  const type = SEGMENT_RULE_TYPES.find(t => t.value === rule.type);
+                  return (
+                    <div key={index} className="flex gap-2 items-center">
+                      <select aria-label={`Rule ${index + 1} Type`} className="input-modern text-sm" value={rule.type} onChange={e => setRule(index, { type: e.target.value, value: '' })}>
+                        {SEGMENT_RULE_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                      </select>
+                      {type.hasOperator && (
+                        <select aria-label={`Rule ${index + 1} Operator`} className="input-modern text-sm w-20" value={rule.operator} onChange={e => setRule(index, { operator: e.target.value })}>
+                          {SEGMENT_OPERATORS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                      )}
+                      {valueInput(rule, index)}
+                      {type.hasDays && (
+                        <input aria-label={`Rule ${index + 1} Days`} type="number" min="1" className="input-modern text-sm w-28" placeholder="Hari (pilihan)" value={rule.days} onChange={e => setRule(index, { days: e.target.value })} />
+                      )}
+                      <button onClick={() => setRules(rules.filter((_, i) => i !== index))} disabled={rules.length === 1} className="p-2 text-slate-400 hover:text-danger disabled:opacity-30" title="Remove Rule"><TrashIcon className="h-4 w-4" /></button>
+                    </div>
+                  );
+                })}
+              </div>
+              <button onClick={() => setRules([...rules, emptyRule])} className="mt-2 flex items-center gap-1 text-xs font-black text-brand-600 uppercase tracking-widest">
+                <PlusIcon className="h-4 w-4" /> Tambah Syarat
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between p-4 bg-slate-50 rounded-2xl">
+              <button onClick={handlePreview} className="text-xs font-black text-brand-600 underline">Kira pelanggan sepadan</button>
+              {previewCount !== null && <p className="text-sm font-black text-slate-900">{previewCount} pelanggan</p>}
+            </div>
+
+            <div className="flex gap-3">
+              <button onClick={() => setEditing(null)} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+              <button onClick={handleSave} disabled={saveMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">
+                {saveMutation.isLoading ? 'Menyimpan...' : 'Simpan Segmen'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-4">
+            {isLoading ? <div className="spinner mx-auto"></div> : segments?.length === 0 ? (
+              <p className="text-sm text-slate-400 font-medium">Belum ada segmen.</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+                {segments?.map(segment => (
+                  <div key={segment.id} className="p-4 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-black text-slate-900">{segment.name} <span className="text-xs text-slate-400 font-bold">· {segment.customer_count} pelanggan</span></p>
+                      {segment.rules.map((rule, i) => (
+                        <p key={i} className="text-xs text-slate-500">{describeRule(rule, { channels, tags })}</p>
+                      ))}
+                    </div>
+                    <div className="flex gap-1">
+                      <button onClick={() => startEditing(segment)} className="p-2 text-slate-400 hover:text-brand-600" title="Edit Segment"><PencilSquareIcon className="h-4 w-4" /></button>
+                      <button onClick={() => window.confirm(`Padam segmen "${segment.name}"?`) && deleteMutation.mutate(segment.id)} className="p-2 text-slate-400 hover:text-danger" title="Delete Segment"><TrashIcon className="h-4 w-4" /></button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <button onClick={() => startEditing({})} className="w-full btn-modern btn-modern-primary">
+              <PlusIcon className="h-4 w-4" /> Segmen Baru
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+import { getTagStyle } from '../utils/customerTags';
+
+/**
+ * Small coloured badges for a customer's tags.
+ */
+export default function CustomerTagBadges({ tags }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {tags.map(tag => (
+        <span key={tag.id} className={`status-badge text-[10px] ${getTagStyle(tag.color)}`}>{tag.name}</span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { TagIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { getTagStyle } from '../utils/customerTags';
+
+/**
+ * Tag card for CustomerDetail. Clicking a tag toggles it on the customer
+ * straight away; new tags can be created inline.
+ */
+export default function CustomerTagEditor({ customer }) {
+  const queryClient = useQueryClient();
+  const [newTag, setNewTag] = useState('');
+  const activeIds = (customer.tags || []).map(tag => tag.id);
+
+  const { data: tags } = useQuery('customer-tags', async () => {
+    const res = await api.get('/customer-tags');
+    return res.data.data;
+  });
+
+  const onError = (err) => {
+    const errors = err.response?.data?.errors;
+    toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal mengemaskini tag'));
+  };
+
+  const saveMutation = useMutation(async (tagIds) => api.put(`/customers/${customer.id}/tags`, { tag_ids: tagIds }), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['customer', String(customer.id)]);
+      queryClient.invalidateQueries('customer-tags');
+      queryClient.invalidateQueries('customers');
+    },
+    onError
+  });
+
+  const createMutation = useMutation(async (name) => {
+    const res = await api.post('/customer-tags', { name });
+    return res.data.data;
+  }, {
+    onSuccess: (tag) => {
+      setNewTag('');
+      saveMutation.mutate([...activeIds, tag.id]);
+    },
+    onError
+  });
+
+  const toggle = (tagId) => {
+    saveMutation.mutate(activeIds.includes(tagId) ? activeIds.filter(id => id !== tagId) : [...activeIds, tagId]);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newTag.trim()) createMutation.mutate(newTag.trim());
+  };
+
+  return (
+    <div className="premium-card p-6 border-none shadow-soft">
+      <div className="flex items-center gap-3 mb-4">
+        <TagIcon className="h-6 w-6 text-brand-600" />
+        <h3 className="text-lg font-black text-slate-900">Tag</h3>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {tags?.map(tag => (
+          <button
+            key={tag.id}
+            onClick={() => toggle(tag.id)}
+            disabled={saveMutation.isLoading}
+            aria-pressed={activeIds.includes(tag.id)}
+            className={`status-badge text-[11px] transition-all ${activeIds.includes(tag.id) ? getTagStyle(tag.color) : 'bg-white border border-slate-200 text-slate-400'}`}
+          >
+            {tag.name}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={handleCreate} className="mt-4 flex gap-2">
+        <input type="text" maxLength={50} aria-label="New Tag" className="input-modern text-sm" placeholder="Tag baru" value={newTag} onChange={e => setNewTag(e.target.value)} />
+        <button type="submit" disabled={createMutation.isLoading} className="p-3 rounded-xl bg-slate-50 text-slate-500 hover:text-brand-600" title="Add Tag"><PlusIcon className="h-4 w-4" /></button>
+      </form>
+    </div>
+  );
+}
@@ -2,7 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../api';
+import toast from 'react-hot-toast';
 import { format } from 'date-fns';
+import { downloadFromApi } from '../utils/download';
 import {
   HomeIcon,
   ShoppingBagIcon,
@@ -14,13 +16,27 @@ import {
   ArrowRightOnRectangleIcon,
   BellIcon,
   MagnifyingGlassIcon,
-  CommandLineIcon
+  CommandLineIcon,
+  ArrowUturnLeftIcon,
+  ClipboardDocumentListIcon,
+  ClipboardDocumentCheckIcon,
+  TruckIcon,
+  BuildingStorefrontIcon,
+  ArrowsRightLeftIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 
 const navigation = [
   { name: 'Overview', href: '/', icon: HomeIcon, roles: ['admin', 'staff', 'affiliate'] },
   { name: 'Products', href: '/products', icon: ShoppingBagIcon, roles: ['admin', 'staff'] },
+  { name: 'Inventory', href: '/inventory', icon: ClipboardDocumentListIcon, roles: ['admin', 'staff'] },
+  { name: 'Stocktake', href: '/stocktakes', icon: ClipboardDocumentCheckIcon, roles: ['admin', 'staff'] },
+  { name: 'Locations', href: '/locations', icon: BuildingStorefrontIcon, roles: ['admin', 'staff'] },
+  { name: 'Transfers', href: '/stock-transfers', icon: ArrowsRightLeftIcon, roles: ['admin', 'staff'] },
+  { name: 'Suppliers', href: '/suppliers', icon: TruckIcon, roles: ['admin', 'staff'] },
+  { name: 'Replenishment', href: '/replenishment', icon: ArrowPathIcon, roles: ['admin', 'staff'] },
   { name: 'Order Management', href: '/orders', icon: ShoppingCartIcon, roles: ['admin', 'staff', 'affiliate'] },
+  { name: 'Returns', href: '/returns', icon: ArrowUturnLeftIcon, roles: ['admin', 'staff'] },
   { name: 'Customers', href: '/customers', icon: UsersIcon, roles: ['admin', 'staff'] },
   { name: 'Commissions', href: '/commissions', icon: CurrencyDollarIcon, roles: ['admin', 'staff', 'affiliate'] },
   { name: 'Integrations', href: '/channels', icon: RectangleStackIcon, roles: ['admin'] },
@@ -220,7 +236,12 @@ export default function Layout() {
                           <div 
                             key={n.id} 
                             onClick={() => {
-                              if (n.action_url) navigate(n.action_url);
+                              if (n.action_url?.startsWith('/exports/')) {
+                                // Export files need the auth header, so fetch instead of navigating
+                                downloadFromApi(n.action_url).catch(() => toast.error('Fail eksport tidak tersedia'));
+                              } else if (n.action_url) {
+                                navigate(n.action_url);
+                              }
                               setShowNotifications(false);
                             }}
                             className={`p-4 border-b border-slate-50 hover:bg-slate-50 transition-all cursor-pointer ${!n.is_read ? 'bg-brand-50/30' : ''}`}
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { validators } from '../utils/validators';
+import { XMarkIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Create or edit a stock location (pass `location` to edit).
+ */
+export default function LocationDialog({ location, onClose, onSaved }) {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({
+    name: location?.name || '',
+    code: location?.code || '',
+    type: location?.type || 'warehouse',
+    address: location?.address || '',
+    is_default: location ? location.is_default : false,
+    is_active: location ? location.is_active : true
+  });
+  const [formErrors, setFormErrors] = useState({});
+
+  const saveMutation = useMutation(async (payload) => {
+    const res = location ? await api.put(`/locations/${location.id}`, payload) : await api.post('/locations', payload);
+    return res.data;
+  }, {
+    onSuccess: (data) => {
+      toast.success(location ? 'Lokasi dikemaskini' : 'Lokasi ditambah');
+      queryClient.invalidateQueries('locations');
+      queryClient.invalidateQueries('location-options');
+      if (location) queryClient.invalidateQueries(['location', String(location.id)]);
+      onSaved?.(data.data);
+      onClose();
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan'));
+    }
+  });
+
+  const setField = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setFormErrors({ ...formErrors, [field]: null });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    const nameError = validators.required(form.name, 'Location name');
+    if (nameError) errors.name = nameError;
+    if (!/^[A-Za-z0-9_-]{1,10}$/.test(form.code.trim())) {
+      errors.code = 'Code is 1-10 letters, numbers, dashes or underscores';
+    }
+
+    setFormErrors(errors);
+
+    if (Object.keys(errors).length === 0) {
+      saveMutation.mutate({ ...form, code: form.code.trim().toUpperCase() });
+    } else {
+      toast.error('Please fix validation errors');
+    }
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+  const inputClass = (field) => `input-modern ${formErrors[field] ? 'border-red-500 bg-red-50' : ''}`;
+  const fieldError = (field) => formErrors[field] && (
+    <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+      <ExclamationCircleIcon className="h-3 w-3" /> {formErrors[field]}
+    </p>
+  );
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-lg rounded-3xl shadow-premium overflow-hidden animate-slide-up max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white sticky top-0 z-10">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">{location ? 'Edit Lokasi' : 'Tambah Lokasi'}</h2>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label htmlFor="location_name" className={labelClass}>Nama Lokasi</label>
+              <input id="location_name" type="text" maxLength={100} className={inputClass('name')} value={form.name} onChange={e => setField('name', e.target.value)} />
+              {fieldError('name')}
+            </div>
+            <div>
+              <label htmlFor="location_code" className={labelClass}>Kod</label>
+              <input id="location_code" type="text" maxLength={10} className={`${inputClass('code')} uppercase`} placeholder="KL" value={form.code} onChange={e => setField('code', e.target.value)} />
+              {fieldError('code')}
+            </div>
+          </div>
+          <div>
+            <label htmlFor="location_type" className={labelClass}>Jenis</label>
+            <select id="location_type" className="input-modern" value={form.type} onChange={e => setField('type', e.target.value)}>
+              <option value="warehouse">Gudang</option>
+              <option value="store">Kedai</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="location_address" className={labelClass}>Alamat</label>
+            <textarea id="location_address" rows="2" className="input-modern" value={form.address} onChange={e => setField('address', e.target.value)} />
+          </div>
+          <label className="flex items-center gap-2 text-sm font-bold text-slate-600">
+            <input type="checkbox" className="rounded border-slate-300 text-brand-600" checked={form.is_default} disabled={location?.is_default} onChange={e => setField('is_default', e.target.checked)} />
+            Lokasi utama (stok tanpa lokasi direkodkan di sini)
+          </label>
+          <label className="flex items-center gap-2 text-sm font-bold text-slate-600">
+            <input type="checkbox" className="rounded border-slate-300 text-brand-600" checked={form.is_active || form.is_default} disabled={form.is_default} onChange={e => setField('is_active', e.target.checked)} />
+            Aktif (boleh menerima pesanan dan pindahan)
+          </label>
+          <button type="submit" disabled={saveMutation.isLoading} className="w-full btn-modern btn-modern-primary py-4 uppercase text-sm font-black tracking-[0.2em]">
+            {saveMutation.isLoading ? 'Menyimpan...' : (location ? 'Simpan Perubahan' : 'Tambah Lokasi')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import React, { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ORDER_STATUSES, getStatusStyle, canTransition } from '../utils/orderStatus';
+import { NoSymbolIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const BOARD_LIMIT = 200; // cards loaded per board refresh
+
+/**
+ * Kanban view of orders, one column per status.
+ *
+ * Cards can be dragged (alone or as a multi-selection) to another column,
+ * which calls PATCH /orders/{id}/status. Columns the backend would reject
+ * for the dragged orders are greyed out and refuse the drop.
+ */
+export default function OrderBoard({ filters, transitions, canEdit }) {
+  const queryClient = useQueryClient();
+  const [selected, setSelected] = useState([]);
+  const [dragIds, setDragIds] = useState([]);
+  const [hoverStatus, setHoverStatus] = useState(null);
+
+  const queryString = useMemo(() => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== '' && key !== 'status' && key !== 'page') params.append(key, value);
+    });
+    return params.toString();
+  }, [filters]);
+
+  const { data: orders, isLoading } = useQuery(['orders', 'board', queryString], async () => {
+    const res = await api.get(`/orders?${queryString}&limit=${BOARD_LIMIT}`);
+    return res.data.data;
+  });
+
+  const { data: summary } = useQuery(['orders', 'status-summary', queryString], async () => {
+    const res = await api.get(`/orders/status-summary?${queryString}`);
+    return res.data.data;
+  });
+
+  const byId = useMemo(() => Object.fromEntries((orders || []).map(o => [o.id, o])), [orders]);
+
+  const columns = ORDER_STATUSES.map(s => {
+    const stats = summary?.find(row => row.status === s.value);
+    return {
+      ...s,
+      orders: (orders || []).filter(o => o.status === s.value),
+      count: stats ? stats.count : 0,
+      total: stats ? parseFloat(stats.total_amount || 0) : 0
+    };
+  });
+
+  // A column accepts the drop only if every moving order may transition there
+  const canDropTo = (status, ids = dragIds) => {
+    const moving = ids.map(id => byId[id]).filter(o => o && o.status !== status);
+    return moving.length > 0 && moving.every(o => canTransition(transitions, o.status, status));
+  };
+
+  const moveMutation = useMutation(async ({ ids, status }) => {
+    const result = { moved: 0, failed: [] };
+    // Sequential so each stock/commission side effect commits in order
+    for (const id of ids) {
+      try {
+        await api.patch(`/orders/${id}/status`, { status });
+        result.moved += 1;
+      } catch (err) {
+        result.failed.push({ id, message: err.response?.data?.message || 'Server error' });
+      }
+    }
+    return result;
+  }, {
+    onSuccess: ({ moved, failed }, { status }) => {
+      if (moved > 0) toast.success(`${moved} pesanan dipindah ke ${status}`);
+      failed.forEach(f => toast.error(`#${byId[f.id]?.order_number || f.id}: ${f.message}`));
+      setSelected([]);
+      queryClient.invalidateQueries('orders');
+      queryClient.invalidateQueries('dashboard-stats');
+    }
+  });
+
+  const moveTo = (ids, status) => {
+    const moving = ids.filter(id => byId[id] && byId[id].status !== status);
+    if (moving.length === 0) return;
+    moveMutation.mutate({ ids: moving, status });
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const handleDragStart = (e, id) => {
+    const ids = selected.includes(id) ? selected : [id];
+    setDragIds(ids);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', ids.join(','));
+  };
+
+  const handleDragEnd = () => {
+    setDragIds([]);
+    setHoverStatus(null);
+  };
+
+  if (isLoading) return <div className="py-20 text-center"><div className="spinner mx-auto"></div></div>;
+
+  return (
+    <div className="space-y-4">
+      {canEdit && selected.length > 0 && (
+        <div className="premium-card p-4 border-none shadow-soft flex flex-wrap items-center gap-3">
+          <span className="text-sm font-black text-slate-900">{selected.length} dipilih</span>
+          <select
+            aria-label="Move Selected"
+            className="bg-white border border-slate-200 rounded-xl text-xs font-black uppercase tracking-widest px-4 py-2 outline-none"
+            value=""
+            disabled={moveMutation.isLoading}
+            onChange={e => e.target.value && moveTo(selected, e.target.value)}
+          >
+            <option value="">Pindah ke...</option>
+            {ORDER_STATUSES.map(s => (
+              <option key={s.value} value={s.value} disabled={!canDropTo(s.value, selected)}>{s.label}</option>
+            ))}
+          </select>
+          <button onClick={() => setSelected([])} className="flex items-center gap-1 text-xs font-black text-slate-400 uppercase hover:text-danger">
+            <XMarkIcon className="h-4 w-4" /> Batal Pilihan
+          </button>
+          {moveMutation.isLoading && <div className="h-4 w-4 border-2 border-brand-600 border-t-transparent rounded-full animate-spin"></div>}
+        </div>
+      )}
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {columns.map(col => {
+          const isDragging = dragIds.length > 0;
+          const allowed = isDragging && canDropTo(col.value);
+          const blocked = isDragging && !allowed && !dragIds.every(id => byId[id]?.status === col.value);
+
+          return (
+            <div
+              key={col.value}
+              data-status={col.value}
+              onDragOver={e => {
+                if (!allowed) return; // leaving default = drop refused
+                e.preventDefault();
+                setHoverStatus(col.value);
+              }}
+              onDragLeave={() => setHoverStatus(s => (s === col.value ? null : s))}
+              onDrop={e => {
+                e.preventDefault();
+                if (allowed) moveTo(dragIds, col.value);
+                handleDragEnd();
+              }}
+              className={`flex-shrink-0 w-72 rounded-2xl border transition-all ${
+                hoverStatus === col.value ? 'border-brand-400 bg-brand-50/50 ring-2 ring-brand-200' :
+                blocked ? 'border-slate-100 bg-slate-50 opacity-40 cursor-not-allowed' :
+                'border-slate-100 bg-slate-50/60'
+              }`}
+            >
+              <div className="p-4 border-b border-slate-100 flex items-center justify-between">
+                <div>
+                  <span className={`status-badge ${getStatusStyle(col.value)}`}>{col.label}</span>
+                  <p className="text-xs font-black text-slate-400 mt-2">RM {col.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {blocked && <NoSymbolIcon className="h-4 w-4 text-danger" title="Transition not allowed" />}
+                  <span className="text-lg font-black text-slate-900">{col.count}</span>
+                </div>
+              </div>
+              <div className="p-3 space-y-3 max-h-[65vh] overflow-y-auto">
+                {col.orders.map(order => (
+                  <div
+                    key={order.id}
+                    draggable={canEdit}
+                    onDragStart={e => handleDragStart(e, order.id)}
+                    onDragEnd={handleDragEnd}
+                    className={`p-4 bg-white rounded-xl border shadow-sm transition-all ${canEdit ? 'cursor-grab active:cursor-grabbing' : ''} ${
+                      selected.includes(order.id) ? 'border-brand-400 ring-1 ring-brand-200' : 'border-slate-100'
+                    } ${dragIds.includes(order.id) ? 'opacity-50' : ''}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <Link to={`/orders/${order.id}`} className="text-sm font-black text-slate-900 hover:text-brand-600 truncate">#{order.order_number}</Link>
+                      {canEdit && (
+                        <input
+                          type="checkbox"
+                          aria-label={`Select ${order.order_number}`}
+                          className="mt-1 rounded border-slate-300 text-brand-600"
+                          checked={selected.includes(order.id)}
+                          onChange={() => toggleSelected(order.id)}
+                        />
+                      )}
+                    </div>
+                    <p className="text-xs font-bold text-slate-500 truncate">{order.customer_name}</p>
+                    <div className="flex items-center justify-between mt-3">
+                      <span className="text-sm font-black text-brand-600">RM {parseFloat(order.total).toFixed(2)}</span>
+                      <span className="text-[10px] font-bold text-slate-400 uppercase">{format(new Date(order.created_at), 'dd MMM')}</span>
+                    </div>
+                    <div className="flex items-center justify-between mt-2">
+                      <span className="text-[10px] font-bold text-slate-400 uppercase truncate">{order.channel_name}</span>
+                      <span className={`text-[10px] font-black uppercase ${order.payment_status === 'paid' ? 'text-success' : 'text-warning'}`}>{order.payment_status}</span>
+                    </div>
+                  </div>
+                ))}
+                {col.count > col.orders.length && (
+                  <p className="text-center text-[10px] font-black text-slate-400 uppercase py-2">+{col.count - col.orders.length} lagi (guna penapis)</p>
+                )}
+                {col.count === 0 && (
+                  <p className="text-center text-xs text-slate-300 font-bold py-6">Tiada pesanan</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { MagnifyingGlassIcon, TrashIcon, MinusIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { variantPrice, activeVariants, availableStock } from '../utils/variants';
+
+const TAX_RATE = 0.06; // Same 6% SST the backend applies
+
+const money = (value) => `RM${parseFloat(value || 0).toFixed(2)}`;
+
+// Lines are matched on product + variant, like the backend
+const lineKey = (item) => `${item.product_id}:${item.variant_id || ''}`;
+
+/**
+ * Edit mode for OrderDetail (pending/confirmed orders only).
+ *
+ * Existing lines keep the price they were sold at; added products use their
+ * current price. Products with variants are added per variant.
+ * Totals shown here are a preview, the backend recalculates on save.
+ */
+export default function OrderEditor({ order, onDone }) {
+  const queryClient = useQueryClient();
+  const [items, setItems] = useState(() => order.items.map(item => ({
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    product_name: item.product_name,
+    variant_name: item.variant_name,
+    sku: item.sku,
+    price: parseFloat(item.price),
+    quantity: item.quantity
+  })));
+  const [form, setForm] = useState({
+    discount: order.discount,
+    shipping_fee: order.shipping_fee,
+    shipping_address: order.shipping_address || '',
+    shipping_city: order.shipping_city || '',
+    shipping_state: order.shipping_state || '',
+    shipping_postal_code: order.shipping_postal_code || '',
+    notes: ''
+  });
+  const [productSearch, setProductSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(productSearch.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [productSearch]);
+
+  const { data: productResults } = useQuery(['products', 'order-edit', debouncedSearch], async () => {
+    const res = await api.get(`/products?search=${encodeURIComponent(debouncedSearch)}&status=active&limit=8`);
+    return res.data.data;
+  }, { enabled: debouncedSearch.length >= 2 });
+
+  const saveMutation = useMutation(async (payload) => {
+    const res = await api.put(`/orders/${order.id}`, payload);
+    return res.data;
+  }, {
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['order', String(order.id)]);
+      queryClient.invalidateQueries(['order-timeline', String(order.id)]);
+      queryClient.invalidateQueries(['order-returns', String(order.id)]);
+      queryClient.invalidateQueries('orders');
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('commission-transactions');
+      toast.success(res.message);
+      onDone();
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan perubahan'));
+    }
+  });
+
+  const setQuantity = (key, quantity) => {
+    setItems(items.map(item => lineKey(item) === key ? { ...item, quantity: Math.max(1, quantity || 1) } : item));
+  };
+
+  const addProduct = (product, variant = null) => {
+    const line = {
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      product_name: product.name,
+      variant_name: variant?.name || null,
+      sku: variant ? variant.sku : product.sku,
+      price: parseFloat(variantPrice(product, variant)),
+      quantity: 1
+    };
+    const existing = items.find(item => lineKey(item) === lineKey(line));
+    if (existing) {
+      setQuantity(lineKey(line), existing.quantity + 1);
+    } else {
+      setItems([...items, line]);
+    }
+    setProductSearch('');
+  };
+
+  // Search results, one row per variant for variant products
+  const productChoices = (productResults || []).flatMap(p => (
+    p.has_variants
+      ? activeVariants(p).map(v => ({ key: `${p.id}:${v.id}`, product: p, variant: v, sku: v.sku, stock: availableStock(v) }))
+      : [{ key: `${p.id}:`, product: p, variant: null, sku: p.sku, stock: availableStock(p) }]
+  ));
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const tax = subtotal * TAX_RATE;
+  const total = subtotal - (parseFloat(form.discount) || 0) + (parseFloat(form.shipping_fee) || 0) + tax;
+
+  const handleSave = () => {
+    if (items.length === 0) return toast.error('Pesanan mesti ada sekurang-kurangnya satu item');
+    if (!form.shipping_address.trim()) return toast.error('Alamat penghantaran diperlukan');
+
+    saveMutation.mutate({
+      ...form,
+      discount: parseFloat(form.discount) || 0,
+      shipping_fee: parseFloat(form.shipping_fee) || 0,
+      items: items.map(({ product_id, variant_id, quantity }) => ({ product_id, variant_id, quantity }))
+    });
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="premium-card p-0 border-none shadow-soft overflow-hidden">
+      <div className="p-6 border-b border-slate-50 bg-brand-50 font-black text-brand-600 uppercase text-xs tracking-widest">Edit Pesanan</div>
+
+      <div className="divide-y divide-slate-50">
+        {items.map(item => (
+          <div key={lineKey(item)} className="p-6 flex justify-between items-center gap-4">
+            <div className="min-w-0">
+              <p className="text-sm font-black text-slate-900 truncate">{item.product_name}{item.variant_name && <span className="text-slate-500"> · {item.variant_name}</span>}</p>
+              <p className="text-[10px] font-bold text-slate-400 uppercase">SKU: {item.sku} • {money(item.price)}</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <button onClick={() => setQuantity(lineKey(item), item.quantity - 1)} className="p-2 rounded-xl bg-slate-50 hover:bg-slate-100" title="Decrease"><MinusIcon className="h-4 w-4" /></button>
+              <input
+                type="number"
+                min="1"
+                aria-label={`Quantity ${item.sku}`}
+                className="input-modern w-16 text-center"
+                value={item.quantity}
+                onChange={e => setQuantity(lineKey(item), parseInt(e.target.value, 10))}
+              />
+              <button onClick={() => setQuantity(lineKey(item), item.quantity + 1)} className="p-2 rounded-xl bg-slate-50 hover:bg-slate-100" title="Increase"><PlusIcon className="h-4 w-4" /></button>
+              <p className="w-24 text-right text-sm font-black text-brand-600">{money(item.price * item.quantity)}</p>
+              <button onClick={() => setItems(items.filter(i => lineKey(i) !== lineKey(item)))} className="p-2 text-slate-400 hover:text-danger" title="Remove Item"><TrashIcon className="h-4 w-4" /></button>
+            </div>
+          </div>
+        ))}
+
+        <div className="p-6 relative">
+          <label htmlFor="add_product" className={labelClass}>Tambah Produk</label>
+          <div className="relative">
+            <MagnifyingGlassIcon className="h-4 w-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input id="add_product" type="text" className="input-modern pl-9" placeholder="Cari nama / SKU" value={productSearch} onChange={e => setProductSearch(e.target.value)} />
+          </div>
+          {debouncedSearch.length >= 2 && productSearch && productChoices.length > 0 && (
+            <div className="absolute z-20 left-6 right-6 mt-1 bg-white border border-slate-100 rounded-xl shadow-premium max-h-60 overflow-y-auto">
+              {productChoices.map(choice => (
+                <button key={choice.key} onClick={() => addProduct(choice.product, choice.variant)} className="w-full text-left px-4 py-2 hover:bg-slate-50 flex justify-between">
+                  <span>
+                    <span className="text-sm font-bold text-slate-900 block">{choice.product.name}{choice.variant && ` · ${choice.variant.name}`}</span>
+                    <span className="text-xs text-slate-400">{choice.sku} · Stok {choice.stock}</span>
+                  </span>
+                  <span className="text-sm font-black text-slate-700">{money(variantPrice(choice.product, choice.variant))}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 grid grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="edit_discount" className={labelClass}>Diskaun (RM)</label>
+            <input id="edit_discount" type="number" min="0" step="0.01" className="input-modern" value={form.discount} onChange={e => setForm({ ...form, discount: e.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="edit_shipping_fee" className={labelClass}>Kos Penghantaran (RM)</label>
+            <input id="edit_shipping_fee" type="number" min="0" step="0.01" className="input-modern" value={form.shipping_fee} onChange={e => setForm({ ...form, shipping_fee: e.target.value })} />
+          </div>
+          <div className="col-span-2">
+            <label htmlFor="edit_shipping_address" className={labelClass}>Alamat Penghantaran</label>
+            <textarea id="edit_shipping_address" rows="2" className="input-modern" value={form.shipping_address} onChange={e => setForm({ ...form, shipping_address: e.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="edit_shipping_city" className={labelClass}>Bandar</label>
+            <input id="edit_shipping_city" type="text" className="input-modern" value={form.shipping_city} onChange={e => setForm({ ...form, shipping_city: e.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="edit_shipping_postal_code" className={labelClass}>Poskod</label>
+            <input id="edit_shipping_postal_code" type="text" maxLength={10} className="input-modern" value={form.shipping_postal_code} onChange={e => setForm({ ...form, shipping_postal_code: e.target.value })} />
+          </div>
+          <div className="col-span-2">
+            <label htmlFor="edit_shipping_state" className={labelClass}>Negeri</label>
+            <input id="edit_shipping_state" type="text" className="input-modern" value={form.shipping_state} onChange={e => setForm({ ...form, shipping_state: e.target.value })} />
+          </div>
+          <div className="col-span-2">
+            <label htmlFor="edit_notes" className={labelClass}>Sebab Perubahan (Pilihan)</label>
+            <input id="edit_notes" type="text" maxLength={500} className="input-modern" placeholder="Cth: Pelanggan telefon tukar kuantiti" value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} />
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 bg-slate-50 space-y-3">
+        <div className="flex justify-between text-sm font-bold text-slate-600"><span>Subtotal</span><span>{money(subtotal)}</span></div>
+        <div className="flex justify-between text-sm font-bold text-slate-600"><span>Tax (6%)</span><span>{money(tax)}</span></div>
+        <div className="flex justify-between text-lg font-black text-slate-900 pt-3 border-t border-slate-100">
+          <span>JUMLAH BARU</span>
+          <span className="text-brand-600">{money(total)} <span className="text-xs text-slate-400 line-through ml-2">{money(order.total)}</span></span>
+        </div>
+        <div className="flex gap-3 pt-3">
+          <button onClick={onDone} disabled={saveMutation.isLoading} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+          <button onClick={handleSave} disabled={saveMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">
+            {saveMutation.isLoading ? 'Menyimpan...' : 'Simpan Perubahan'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from 'react-query';
+import api from '../api';
+import { ORDER_STATUSES } from '../utils/orderStatus';
+import { MagnifyingGlassIcon, XMarkIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Filter panel for the Orders page.
+ *
+ * Text inputs (search, amounts) are debounced before calling `onChange`
+ * so typing doesn't trigger a request (and a URL change) per keystroke.
+ * Staff/affiliate filters are only offered to admins; customer tag and
+ * segment filters to admins and staff.
+ */
+export default function OrderFilters({ filters, onChange, onReset, isAdmin, canFilterCustomers, statusDisabled }) {
+  const [showAdvanced, setShowAdvanced] = useState(() =>
+    ['channel', 'customer', 'customer_tag', 'customer_segment', 'staff', 'affiliate', 'date_from', 'date_to', 'min_total', 'max_total'].some(k => filters[k])
+  );
+  const [text, setText] = useState({ search: filters.search, min_total: filters.min_total, max_total: filters.max_total });
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [debouncedCustomer, setDebouncedCustomer] = useState('');
+
+  // Keep local text in sync when filters change from outside (reset, back button)
+  useEffect(() => {
+    setText({ search: filters.search, min_total: filters.min_total, max_total: filters.max_total });
+  }, [filters.search, filters.min_total, filters.max_total]);
+
+  useEffect(() => {
+    if (text.search === filters.search && text.min_total === filters.min_total && text.max_total === filters.max_total) return;
+    const timer = setTimeout(() => onChange(text), 400);
+    return () => clearTimeout(timer);
+  }, [text, filters.search, filters.min_total, filters.max_total, onChange]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedCustomer(customerSearch.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [customerSearch]);
+
+  const { data: channels } = useQuery('channels', async () => {
+    const res = await api.get('/channels');
+    return res.data.data;
+  }, { enabled: showAdvanced });
+
+  const { data: people } = useQuery('order-filter-options', async () => {
+    const res = await api.get('/orders/filter-options');
+    return res.data.data;
+  }, { enabled: showAdvanced && isAdmin, staleTime: 5 * 60 * 1000 });
+
+  const { data: customerTags } = useQuery('customer-tags', async () => {
+    const res = await api.get('/customer-tags');
+    return res.data.data;
+  }, { enabled: showAdvanced && canFilterCustomers });
+
+  const { data: segments } = useQuery('customer-segments', async () => {
+    const res = await api.get('/customer-segments');
+    return res.data.data;
+  }, { enabled: showAdvanced && canFilterCustomers });
+
+  const { data: customerResults } = useQuery(['customers', 'order-filter', debouncedCustomer], async () => {
+    const res = await api.get(`/customers?search=${encodeURIComponent(debouncedCustomer)}&limit=8`);
+    return res.data.data;
+  }, { enabled: debouncedCustomer.length >= 2 });
+
+  // Name of the customer currently filtered on (the URL only carries the id)
+  const { data: selectedCustomer } = useQuery(['customer', filters.customer], async () => {
+    const res = await api.get(`/customers/${filters.customer}`);
+    return res.data.data;
+  }, { enabled: !!filters.customer });
+
+  const labelClass = 'text-sm font-black text-slate-400 uppercase mb-2 block';
+
+  return (
+    <div className="premium-card p-6 border-none shadow-soft space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className={labelClass}>Status</label>
+          <select className="input-modern" value={filters.status} disabled={statusDisabled} onChange={e => onChange({ status: e.target.value })}>
+            <option value="">Semua Status</option>
+            {ORDER_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Bayaran</label>
+          <select className="input-modern" value={filters.payment_status} onChange={e => onChange({ payment_status: e.target.value })}>
+            <option value="">Semua</option>
+            <option value="paid">Sudah Bayar</option>
+            <option value="pending">Belum Bayar</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="order_search" className={labelClass}>Carian</label>
+          <div className="relative">
+            <MagnifyingGlassIcon className="h-4 w-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              id="order_search"
+              type="text"
+              className="input-modern pl-9"
+              placeholder="No. pesanan / ID marketplace"
+              value={text.search}
+              onChange={e => setText({ ...text, search: e.target.value })}
+            />
+          </div>
+        </div>
+        <div className="flex items-end gap-2">
+          <button onClick={() => setShowAdvanced(!showAdvanced)} className={`flex-1 btn-modern ${showAdvanced ? 'bg-brand-50 text-brand-600' : 'bg-slate-50 text-slate-500'}`}>
+            <AdjustmentsHorizontalIcon className="h-4 w-4" /> Lanjutan
+          </button>
+          <button onClick={onReset} className="flex-1 btn-modern bg-slate-50 text-slate-400">Reset</button>
+        </div>
+      </div>
+
+      {showAdvanced && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 pt-4 border-t border-slate-50">
+          <div>
+            <label htmlFor="date_from" className={labelClass}>Dari Tarikh</label>
+            <input id="date_from" type="date" className="input-modern" value={filters.date_from} max={filters.date_to || undefined} onChange={e => onChange({ date_from: e.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="date_to" className={labelClass}>Hingga Tarikh</label>
+            <input id="date_to" type="date" className="input-modern" value={filters.date_to} min={filters.date_from || undefined} onChange={e => onChange({ date_to: e.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="channel" className={labelClass}>Saluran</label>
+            <select id="channel" className="input-modern" value={filters.channel} onChange={e => onChange({ channel: e.target.value })}>
+              <option value="">Semua Saluran</option>
+              {channels?.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+          <div className="relative">
+            <label htmlFor="customer_filter" className={labelClass}>Pelanggan</label>
+            {filters.customer ? (
+              <div className="input-modern flex items-center justify-between">
+                <span className="truncate">{selectedCustomer?.full_name || `#${filters.customer}`}</span>
+                <button onClick={() => onChange({ customer: '' })} className="text-slate-400 hover:text-danger" title="Clear Customer"><XMarkIcon className="h-4 w-4" /></button>
+              </div>
+            ) : (
+              <>
+                <input
+                  id="customer_filter"
+                  type="text"
+                  className="input-modern"
+                  placeholder="Cari nama / telefon"
+                  value={customerSearch}
+                  onChange={e => setCustomerSearch(e.target.value)}
+                />
+                {debouncedCustomer.length >= 2 && customerResults?.length > 0 && (
+                  <div className="absolute z-20 mt-1 w-full bg-white border border-slate-100 rounded-xl shadow-premium max-h-60 overflow-y-auto">
+                    {customerResults.map(c => (
+                      <button
+                        key={c.id}
+                        onClick={() => { onChange({ customer: String(c.id) }); setCustomerSearch(''); }}
+                        className="w-full text-left px-4 py-2 hover:bg-slate-50"
+                      >
+                        <p className="text-sm font-bold text-slate-900">{c.full_name}</p>
+                        <p className="text-xs text-slate-400">{c.phone}</p>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+          {canFilterCustomers && (
+            <>
+              <div>
+                <label htmlFor="customer_tag" className={labelClass}>Tag Pelanggan</label>
+                <select id="customer_tag" className="input-modern" value={filters.customer_tag} onChange={e => onChange({ customer_tag: e.target.value })}>
+                  <option value="">Semua Tag</option>
+                  {customerTags?.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="customer_segment" className={labelClass}>Segmen Pelanggan</label>
+                <select id="customer_segment" className="input-modern" value={filters.customer_segment} onChange={e => onChange({ customer_segment: e.target.value })}>
+                  <option value="">Semua Segmen</option>
+                  {segments?.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+              </div>
+            </>
+          )}
+          <div>
+            <label htmlFor="min_total" className={labelClass}>Jumlah Min (RM)</label>
+            <input id="min_total" type="number" min="0" step="0.01" className="input-modern" value={text.min_total} onChange={e => setText({ ...text, min_total: e.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="max_total" className={labelClass}>Jumlah Max (RM)</label>
+            <input id="max_total" type="number" min="0" step="0.01" className="input-modern" value={text.max_total} onChange={e => setText({ ...text, max_total: e.target.value })} />
+          </div>
+          {isAdmin && (
+            <>
+              <div>
+                <label htmlFor="staff" className={labelClass}>Staf</label>
+                <select id="staff" className="input-modern" value={filters.staff} onChange={e => onChange({ staff: e.target.value })}>
+                  <option value="">Semua Staf</option>
+                  {people?.staff.map(u => <option key={u.id} value={u.id}>{u.full_name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="affiliate" className={labelClass}>Affiliate</label>
+                <select id="affiliate" className="input-modern" value={filters.affiliate} onChange={e => onChange({ affiliate: e.target.value })}>
+                  <option value="">Semua Affiliate</option>
+                  {people?.affiliates.map(u => <option key={u.id} value={u.id}>{u.full_name}</option>)}
+                </select>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
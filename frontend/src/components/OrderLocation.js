@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { BuildingStorefrontIcon } from '@heroicons/react/24/outline';
+
+// Fulfilment can move to another location until the order is packed (LocationService::reallocateOrder)
+const MOVABLE_STATUSES = ['pending', 'confirmed', 'processing'];
+
+/**
+ * The location an order is fulfilled from, with a picker to move it
+ * (the order's stock moves with it).
+ */
+export default function OrderLocation({ order, canEdit }) {
+  const queryClient = useQueryClient();
+  const [locationId, setLocationId] = useState('');
+  const canMove = canEdit && MOVABLE_STATUSES.includes(order.status);
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  }, { enabled: canMove });
+
+  const moveMutation = useMutation(async () => api.patch(`/orders/${order.id}/location`, { location_id: parseInt(locationId, 10) }), {
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      setLocationId('');
+      queryClient.invalidateQueries(['order', String(order.id)]);
+      queryClient.invalidateQueries(['order-timeline', String(order.id)]);
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('locations');
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menukar lokasi'));
+    }
+  });
+
+  const others = (locations || []).filter(l => l.id !== order.location_id);
+
+  return (
+    <div className="premium-card p-6 border-none shadow-soft">
+      <div className="flex items-center gap-3 mb-4">
+        <BuildingStorefrontIcon className="h-6 w-6 text-brand-600" />
+        <h3 className="text-lg font-black text-slate-900">Lokasi Penghantaran</h3>
+      </div>
+      <p className="text-sm font-black text-slate-900">{order.location_name || '-'}</p>
+      {canMove && others.length > 0 && (
+        <div className="mt-4 flex gap-2">
+          <select aria-label="Fulfilment Location" className="input-modern text-sm" value={locationId} onChange={e => setLocationId(e.target.value)}>
+            <option value="">Tukar ke...</option>
+            {others.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <button onClick={() => moveMutation.mutate()} disabled={!locationId || moveMutation.isLoading} className="btn-modern bg-slate-900 text-white text-xs">
+            Tukar
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ArrowUturnLeftIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const RESOLUTIONS = [
+  { value: 'restock', label: 'Masuk Semula Stok', hint: 'Barang boleh dijual semula' },
+  { value: 'write_off', label: 'Hapus Kira', hint: 'Rosak / tidak boleh dijual' }
+];
+
+const EMPTY_FORM = { quantities: {}, reason: '', resolution: 'restock', refund: '' };
+
+/**
+ * Returns (RMA) section for OrderDetail.
+ *
+ * Lists the order's returns and opens a form to return some or all items.
+ * The refund amount follows the selected items' value until it is edited by hand.
+ */
+export default function OrderReturns({ orderId }) {
+  const queryClient = useQueryClient();
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [refundTouched, setRefundTouched] = useState(false);
+
+  const { data, isLoading } = useQuery(['order-returns', orderId], async () => {
+    const res = await api.get(`/orders/${orderId}/returns`);
+    return res.data.data;
+  });
+
+  const itemsValue = (quantities) => (data?.items || []).reduce(
+    (sum, item) => sum + (quantities[item.id] || 0) * parseFloat(item.price), 0
+  );
+
+  const setQuantity = (item, value) => {
+    const quantity = Math.min(Math.max(parseInt(value, 10) || 0, 0), item.returnable);
+    const quantities = { ...form.quantities, [item.id]: quantity };
+    const next = { ...form, quantities };
+    if (!refundTouched) next.refund = Math.min(itemsValue(quantities), data.refundable).toFixed(2);
+    setForm(next);
+  };
+
+  const closeModal = () => {
+    setIsModalOpen(false);
+    setForm(EMPTY_FORM);
+    setRefundTouched(false);
+  };
+
+  const createReturnMutation = useMutation(async (payload) => {
+    const res = await api.post(`/orders/${orderId}/returns`, payload);
+    return res.data;
+  }, {
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['order-returns', orderId]);
+      queryClient.invalidateQueries(['order', orderId]);
+      queryClient.invalidateQueries(['order-timeline', orderId]);
+      queryClient.invalidateQueries('returns');
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('commission-transactions');
+      queryClient.invalidateQueries('commission-summary');
+      toast.success(res.message);
+      closeModal();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || 'Gagal mencipta pulangan');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const items = Object.entries(form.quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItemId, quantity]) => ({ order_item_id: parseInt(orderItemId, 10), quantity }));
+
+    if (items.length === 0) return toast.error('Pilih sekurang-kurangnya satu item');
+    if (!form.reason.trim()) return toast.error('Nyatakan sebab pulangan');
+
+    createReturnMutation.mutate({
+      items,
+      reason: form.reason.trim(),
+      resolution: form.resolution,
+      refund_amount: parseFloat(form.refund) || 0
+    });
+  };
+
+  const hasReturnable = data?.items.some(item => item.returnable > 0);
+
+  return (
+    <div className="premium-card p-0 border-none shadow-soft overflow-hidden">
+      <div className="p-6 border-b border-slate-50 bg-slate-50/30 flex justify-between items-center">
+        <span className="font-black text-slate-900 uppercase text-xs tracking-widest">Pulangan & Bayaran Balik</span>
+        {data?.can_return && hasReturnable && (
+          <button onClick={() => setIsModalOpen(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs">
+            <ArrowUturnLeftIcon className="h-4 w-4" /> Pulangan Baru
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="py-8 text-center"><div className="spinner mx-auto"></div></div>
+      ) : data?.returns.length === 0 ? (
+        <p className="p-6 text-sm text-slate-400 font-medium">Tiada pulangan untuk pesanan ini.</p>
+      ) : (
+        <div className="divide-y divide-slate-50">
+          {data?.returns.map(r => (
+            <div key={r.id} className="p-6 space-y-2">
+              <div className="flex justify-between items-center">
+                <p className="text-sm font-black text-slate-900">{r.rma_number}</p>
+                <span className={`status-badge ${r.resolution === 'restock' ? 'bg-info/10 text-info' : 'bg-warning/10 text-warning'}`}>
+                  {r.resolution === 'restock' ? 'Restock' : 'Write-off'}
+                </span>
+              </div>
+              <p className="text-xs text-slate-600 font-medium">
+                {r.items.map(item => `${item.product_name}${item.variant_name ? ` (${item.variant_name})` : ''} x ${item.quantity}`).join(', ')}
+              </p>
+              <p className="text-sm text-slate-500">{r.reason}</p>
+              <p className="text-[10px] text-slate-400 font-bold">
+                {format(new Date(r.created_at), 'dd MMM yyyy, HH:mm')} · {r.created_by_name} · Refund RM{parseFloat(r.refund_amount).toFixed(2)}
+                {parseFloat(r.commission_reversed) > 0 && ` · Komisen ditarik balik RM${parseFloat(r.commission_reversed).toFixed(2)}`}
+              </p>
+            </div>
+          ))}
+          {data?.refunded_amount > 0 && (
+            <div className="p-6 bg-slate-50 flex justify-between text-sm font-black text-danger">
+              <span>JUMLAH DIBAYAR BALIK</span>
+              <span>RM{data.refunded_amount.toFixed(2)}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isModalOpen && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={closeModal}></div>
+          <div className="relative bg-white w-full max-w-lg rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+            <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+              <h2 className="text-xl font-black italic tracking-tighter uppercase">Pulangan Baru</h2>
+              <button onClick={closeModal} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              <div>
+                <label className="text-sm font-black text-slate-400 uppercase mb-1 block">Item Dipulangkan</label>
+                <div className="divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+                  {data.items.map(item => (
+                    <div key={item.id} className="p-3 flex items-center justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="text-sm font-bold text-slate-900 truncate">{item.product_name}{item.variant_name && <span className="text-slate-500"> · {item.variant_name}</span>}</p>
+                        <p className="text-[10px] font-bold text-slate-400 uppercase">
+                          {item.sku} • RM{item.price} • Boleh pulang {item.returnable} / {item.quantity}
+                        </p>
+                      </div>
+                      <input
+                        type="number"
+                        min="0"
+                        max={item.returnable}
+                        aria-label={`Return quantity ${item.sku}`}
+                        disabled={item.returnable === 0}
+                        className="input-modern w-20 text-center"
+                        value={form.quantities[item.id] || 0}
+                        onChange={e => setQuantity(item, e.target.value)}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label htmlFor="return_reason" className="text-sm font-black text-slate-400 uppercase mb-1 block">Sebab</label>
+                <textarea
+                  id="return_reason"
+                  rows="2"
+                  maxLength={500}
+                  className="input-modern"
+                  placeholder="Cth: Saiz tidak sesuai"
+                  value={form.reason}
+                  onChange={e => setForm({ ...form, reason: e.target.value })}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                {RESOLUTIONS.map(option => (
+                  <label
+                    key={option.value}
+                    className={`p-3 rounded-2xl border cursor-pointer ${form.resolution === option.value ? 'border-brand-600 bg-brand-50' : 'border-slate-100'}`}
+                  >
+                    <input
+                      type="radio"
+                      name="resolution"
+                      value={option.value}
+                      className="mr-2"
+                      checked={form.resolution === option.value}
+                      onChange={() => setForm({ ...form, resolution: option.value })}
+                    />
+                    <span className="text-sm font-black text-slate-900">{option.label}</span>
+                    <p className="text-[10px] text-slate-400 font-bold mt-1">{option.hint}</p>
+                  </label>
+                ))}
+              </div>
+              <div>
+                <label htmlFor="refund_amount" className="text-sm font-black text-slate-400 uppercase mb-1 block">Bayaran Balik (RM)</label>
+                <input
+                  id="refund_amount"
+                  type="number"
+                  min="0"
+                  max={data.refundable}
+                  step="0.01"
+                  className="input-modern"
+                  value={form.refund}
+                  onChange={e => { setRefundTouched(true); setForm({ ...form, refund: e.target.value }); }}
+                />
+                <p className="text-[10px] text-slate-400 font-bold mt-1">
+                  Baki boleh dibayar balik: RM{data.refundable.toFixed(2)}. Komisen dikurangkan mengikut nisbah bayaran balik.
+                </p>
+              </div>
+              <button type="submit" disabled={createReturnMutation.isLoading} className="w-full btn-modern btn-modern-primary">
+                {createReturnMutation.isLoading ? 'Memproses...' : 'Cipta Pulangan'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
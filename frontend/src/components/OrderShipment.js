@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { TruckIcon, ArrowTopRightOnSquareIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { COURIERS, getCourierLabel, getTrackingUrl, TRACKING_STATUS_LABELS } from '../utils/couriers';
+
+/**
+ * Courier, tracking number and ship date fields.
+ * Shared by the shipment card and the "mark as shipped" quick action.
+ */
+export function ShipmentFields({ value, onChange, idPrefix = 'shipment' }) {
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label htmlFor={`${idPrefix}_courier`} className={labelClass}>Kurier</label>
+        <select id={`${idPrefix}_courier`} className="input-modern" value={value.courier} onChange={e => onChange({ ...value, courier: e.target.value })}>
+          <option value="">Pilih kurier...</option>
+          {COURIERS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+        </select>
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}_tracking_number`} className={labelClass}>No. Tracking</label>
+        <input id={`${idPrefix}_tracking_number`} type="text" maxLength={100} className="input-modern" value={value.tracking_number} onChange={e => onChange({ ...value, tracking_number: e.target.value })} />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}_shipped_at`} className={labelClass}>Tarikh Hantar</label>
+        <input id={`${idPrefix}_shipped_at`} type="date" className="input-modern" value={value.shipped_at} onChange={e => onChange({ ...value, shipped_at: e.target.value })} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Shipment card for OrderDetail: courier, tracking link, ship date and
+ * the courier's latest status.
+ */
+export default function OrderShipment({ order, canEdit }) {
+  const queryClient = useQueryClient();
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState({ courier: '', tracking_number: '', shipped_at: '' });
+  const hasTracking = !!(order.courier && order.tracking_number);
+
+  const { data: tracking } = useQuery(['order-tracking', String(order.id)], async () => {
+    const res = await api.get(`/orders/${order.id}/tracking`);
+    return res.data.data;
+  }, { enabled: hasTracking, retry: false });
+
+  const saveMutation = useMutation(async (payload) => {
+    await api.patch(`/orders/${order.id}/shipment`, payload);
+  }, {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['order', String(order.id)]);
+      queryClient.invalidateQueries(['order-tracking', String(order.id)]);
+      toast.success('Maklumat penghantaran disimpan');
+      setIsEditing(false);
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan'));
+    }
+  });
+
+  const startEditing = () => {
+    setForm({
+      courier: order.courier || '',
+      tracking_number: order.tracking_number || '',
+      shipped_at: order.shipped_at ? format(new Date(order.shipped_at), 'yyyy-MM-dd') : ''
+    });
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    if (!form.courier || !form.tracking_number.trim()) return toast.error('Pilih kurier dan isi no. tracking');
+    saveMutation.mutate({ ...form, shipped_at: form.shipped_at || null });
+  };
+
+  const trackingUrl = getTrackingUrl(order.courier, order.tracking_number);
+
+  return (
+    <div className="premium-card p-6 border-none shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <TruckIcon className="h-6 w-6 text-brand-600" />
+          <h3 className="text-lg font-black text-slate-900">Penghantaran</h3>
+        </div>
+        {canEdit && !isEditing && (
+          <button onClick={startEditing} className="p-2 text-slate-400 hover:text-brand-600" title="Edit Shipment"><PencilSquareIcon className="h-4 w-4" /></button>
+        )}
+      </div>
+
+      {isEditing ? (
+        <div className="space-y-4">
+          <ShipmentFields value={form} onChange={setForm} idPrefix="shipment" />
+          <div className="flex gap-3">
+            <button onClick={() => setIsEditing(false)} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+            <button onClick={handleSave} disabled={saveMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">Simpan</button>
+          </div>
+        </div>
+      ) : hasTracking ? (
+        <div className="space-y-3">
+          <div>
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{getCourierLabel(order.courier)}</p>
+            {trackingUrl ? (
+              <a href={trackingUrl} target="_blank" rel="noopener noreferrer" className="text-sm font-black text-brand-600 hover:underline inline-flex items-center gap-1">
+                {order.tracking_number} <ArrowTopRightOnSquareIcon className="h-3 w-3" />
+              </a>
+            ) : (
+              <p className="text-sm font-black text-slate-900">{order.tracking_number}</p>
+            )}
+          </div>
+          {order.shipped_at && (
+            <p className="text-xs text-slate-500 font-medium">Dihantar pada {format(new Date(order.shipped_at), 'dd MMM yyyy')}</p>
+          )}
+          {tracking && (
+            <div className="p-4 bg-slate-50 rounded-xl space-y-2">
+              <p className="text-xs font-black text-slate-900 uppercase">{TRACKING_STATUS_LABELS[tracking.status] || tracking.status}</p>
+              {tracking.checkpoints.map((cp, i) => (
+                <p key={i} className="text-[10px] text-slate-400 font-bold">
+                  {format(new Date(cp.time), 'dd MMM, HH:mm')} · {TRACKING_STATUS_LABELS[cp.status] || cp.status} · {cp.location}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-400 font-medium">Belum ada maklumat penghantaran.</p>
+      )}
+    </div>
+  );
+}
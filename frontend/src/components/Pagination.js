@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { useQueryClient } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+export const PAGE_SIZES = [10, 20, 50, 100];
+
+/**
+ * Page and page size kept in the URL (?page=&limit=), so a list position
+ * survives reloads and can be shared. Defaults are left out of the URL.
+ */
+export const usePageParams = (defaultLimit = 20) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+  const limit = parseInt(searchParams.get('limit'), 10) || defaultLimit;
+
+  const update = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      const isDefault = (key === 'page' && value === 1) || (key === 'limit' && value === defaultLimit);
+      if (isDefault) next.delete(key); else next.set(key, value);
+    });
+    setSearchParams(next);
+  };
+
+  return {
+    page,
+    limit,
+    setPage: (p) => update({ page: p }),
+    setLimit: (l) => update({ limit: l, page: 1 })
+  };
+};
+
+/**
+ * Prefetch the next page of a paginated list so "Seterusnya" is instant.
+ *
+ * `buildQuery(page)` returns `[queryKey, queryFn]` and should be memoised
+ * (useCallback) so the effect only re-runs when the list actually changes.
+ */
+export const usePrefetchNextPage = (pagination, buildQuery) => {
+  const queryClient = useQueryClient();
+  const nextPage = pagination && pagination.page < pagination.pages ? pagination.page + 1 : null;
+
+  useEffect(() => {
+    if (!nextPage) return;
+    const [key, fn] = buildQuery(nextPage);
+    queryClient.prefetchQuery(key, fn);
+  }, [nextPage, buildQuery, queryClient]);
+};
+
+// Page numbers to show: first, last and a window around the current page
+const pageWindow = (page, pages) => {
+  const numbers = new Set([1, pages, page - 1, page, page + 1]);
+  const sorted = [...numbers].filter(n => n >= 1 && n <= pages).sort((a, b) => a - b);
+  return sorted.reduce((acc, n, i) => {
+    if (i > 0 && n - sorted[i - 1] > 1) acc.push('…');
+    acc.push(n);
+    return acc;
+  }, []);
+};
+
+/**
+ * Pager driven by the API's `pagination` block ({ page, limit, total, pages }).
+ */
+export default function Pagination({ pagination, onPageChange, onLimitChange, pageSizes = PAGE_SIZES }) {
+  const [jumpTo, setJumpTo] = useState('');
+
+  if (!pagination || pagination.total === 0) return null;
+
+  const { page, limit, total, pages } = pagination;
+  const from = (page - 1) * limit + 1;
+  const to = Math.min(page * limit, total);
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = parseInt(jumpTo, 10);
+    if (target >= 1 && target <= pages && target !== page) onPageChange(target);
+    setJumpTo('');
+  };
+
+  const buttonClass = 'px-3 py-2 text-xs font-black uppercase tracking-widest bg-white border border-slate-100 rounded-xl text-slate-600 hover:bg-slate-50 disabled:opacity-30 transition-all shadow-sm';
+
+  return (
+    <div className="p-6 bg-slate-50/50 border-t border-slate-50 flex flex-wrap items-center justify-between gap-4">
+      <div className="flex items-center gap-4">
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">
+          {from}–{to} daripada {total}
+        </p>
+        {onLimitChange && (
+          <select
+            aria-label="Page Size"
+            className="bg-white border border-slate-100 rounded-xl text-xs font-black px-3 py-2 outline-none"
+            value={limit}
+            onChange={e => onLimitChange(parseInt(e.target.value, 10))}
+          >
+            {pageSizes.map(size => <option key={size} value={size}>{size} / halaman</option>)}
+          </select>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="flex items-center gap-2">
+          <button onClick={() => onPageChange(page - 1)} disabled={page === 1} className={buttonClass} title="Sebelum">
+            <ChevronLeftIcon className="h-4 w-4" />
+          </button>
+          {pageWindow(page, pages).map((n, i) => n === '…' ? (
+            <span key={`gap-${i}`} className="px-1 text-slate-400">…</span>
+          ) : (
+            <button
+              key={n}
+              onClick={() => onPageChange(n)}
+              aria-current={n === page ? 'page' : undefined}
+              className={n === page ? 'px-3 py-2 text-xs font-black rounded-xl bg-brand-600 text-white shadow-sm' : buttonClass}
+            >
+              {n}
+            </button>
+          ))}
+          <button onClick={() => onPageChange(page + 1)} disabled={page === pages} className={buttonClass} title="Seterusnya">
+            <ChevronRightIcon className="h-4 w-4" />
+          </button>
+          {pages > 5 && (
+            <form onSubmit={handleJump} className="flex items-center gap-2 ml-2">
+              <input
+                type="number"
+                min="1"
+                max={pages}
+                aria-label="Jump to Page"
+                placeholder="Ke..."
+                className="w-16 bg-white border border-slate-100 rounded-xl text-xs font-black px-3 py-2 outline-none"
+                value={jumpTo}
+                onChange={e => setJumpTo(e.target.value)}
+              />
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { primaryIndex } from '../utils/images';
+import { ArchiveBoxIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Image area of a product card. Opens on the primary image; products with
+ * more than one image get previous/next arrows (on hover) and dots.
+ */
+export default function ProductGallery({ product }) {
+  const images = product.images?.length > 0
+    ? product.images
+    : (product.image_url ? [{ url: product.image_url, alt_text: product.name }] : []);
+  const [index, setIndex] = useState(() => primaryIndex(images));
+
+  if (images.length === 0) {
+    return <ArchiveBoxIcon className="h-12 w-12 text-slate-200" />;
+  }
+
+  const current = images[index] || images[0];
+  const step = (delta) => setIndex((index + delta + images.length) % images.length);
+
+  return (
+    <>
+      <img src={current.url} alt={current.alt_text || product.name} className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500" />
+      {images.length > 1 && (
+        <>
+          <button type="button" onClick={() => step(-1)} className="absolute left-2 top-1/2 -translate-y-1/2 p-1.5 bg-white/90 rounded-full shadow-sm text-slate-600 opacity-0 group-hover:opacity-100 transition-all z-10" title="Previous Image">
+            <ChevronLeftIcon className="h-4 w-4" />
+          </button>
+          <button type="button" onClick={() => step(1)} className="absolute right-2 top-1/2 -translate-y-1/2 p-1.5 bg-white/90 rounded-full shadow-sm text-slate-600 opacity-0 group-hover:opacity-100 transition-all z-10" title="Next Image">
+            <ChevronRightIcon className="h-4 w-4" />
+          </button>
+          <div className="absolute bottom-3 left-1/2 -translate-x-1/2 flex gap-1.5 z-10">
+            {images.map((image, i) => (
+              <button
+                key={image.id ?? i}
+                type="button"
+                onClick={() => setIndex(i)}
+                className={`h-1.5 rounded-full transition-all ${i === index ? 'w-4 bg-white' : 'w-1.5 bg-white/60'}`}
+                aria-label={`Image ${i + 1} of ${images.length}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { IMAGE_TYPES, MAX_IMAGES, resizeImage, uploadImages, primaryIndex } from '../utils/images';
+import { ArrowUpTrayIcon, ChevronLeftIcon, ChevronRightIcon, StarIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
+
+/**
+ * Image gallery section of the product modal. Photos are dropped or picked,
+ * shrunk in the browser and uploaded; each one can be moved, given alt text,
+ * made the primary image or deleted.
+ *
+ * A saved product (productId) changes its gallery straight away and reports
+ * it through onChange. A new product has no id yet, so its photos are queued
+ * (onQueue) and uploaded once the product is created; the first one becomes
+ * the primary image.
+ */
+export default function ProductImageManager({ productId, images = [], onChange, queued = [], onQueue }) {
+  const queryClient = useQueryClient();
+  const [isDragging, setIsDragging] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [altEdits, setAltEdits] = useState({}); // image id => alt text not yet saved
+
+  const previews = useMemo(() => queued.map(file => URL.createObjectURL(file)), [queued]);
+  useEffect(() => () => previews.forEach(url => URL.revokeObjectURL(url)), [previews]);
+
+  // Images without an id are an image_url set before the product had a gallery
+  const saved = images.filter(image => image.id);
+  const tiles = productId
+    ? images.map(image => ({ key: image.id ?? 'url', url: image.url, alt: image.alt_text, image }))
+    : queued.map((file, i) => ({ key: `${file.name}-${i}`, url: previews[i], alt: file.name }));
+  const primary = productId ? primaryIndex(images) : 0;
+
+  const showError = (err, fallback) => {
+    const errors = err.response?.data?.errors;
+    toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || fallback));
+  };
+
+  const applyGallery = (gallery) => {
+    onChange(gallery);
+    queryClient.invalidateQueries('products');
+  };
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    const accepted = files.filter(file => IMAGE_TYPES.includes(file.type));
+    if (accepted.length < files.length) toast.error('Hanya JPEG, PNG atau WebP');
+    if (accepted.length === 0) return;
+    if (tiles.length + accepted.length > MAX_IMAGES) return toast.error(`Maksimum ${MAX_IMAGES} gambar setiap produk`);
+
+    setIsBusy(true);
+    try {
+      const resized = await Promise.all(accepted.map(file => resizeImage(file)));
+      if (productId) {
+        applyGallery(await uploadImages(productId, resized));
+        toast.success(`${resized.length} gambar dimuat naik`);
+      } else {
+        onQueue([...queued, ...resized]);
+      }
+    } catch (err) {
+      showError(err, err.message || 'Gagal memuat naik gambar');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Saves the gallery in the given order with the current alt texts
+  const saveGallery = async (ordered, primaryId = null) => {
+    setIsBusy(true);
+    try {
+      const res = await api.put(`/products/${productId}/images`, {
+        images: ordered.map(image => ({ id: image.id, alt_text: image.id in altEdits ? altEdits[image.id] : image.alt_text })),
+        primary_id: primaryId
+      });
+      setAltEdits({});
+      applyGallery(res.data.data);
+    } catch (err) {
+      showError(err, 'Gagal menyimpan galeri');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (productId) {
+      const next = [...saved];
+      [next[index], next[target]] = [next[target], next[index]];
+      return saveGallery(next);
+    }
+    const next = [...queued];
+    [next[index], next[target]] = [next[target], next[index]];
+    onQueue(next);
+  };
+
+  const remove = async (index) => {
+    if (!productId) return onQueue(queued.filter((_, i) => i !== index));
+
+    setIsBusy(true);
+    try {
+      const res = await api.delete(`/products/${productId}/images/${saved[index].id}`);
+      applyGallery(res.data.data);
+    } catch (err) {
+      showError(err, 'Gagal memadam gambar');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const saveAlt = (image) => {
+    if (!(image.id in altEdits) || altEdits[image.id] === (image.alt_text || '')) return;
+    saveGallery(saved);
+  };
+
+  const labelClass = 'text-sm font-black text-slate-400 uppercase mb-1 block';
+  // The legacy image_url tile can't be moved or edited until photos are added
+  const editable = (tile) => !productId || !!tile.image?.id;
+
+  return (
+    <div className="space-y-3">
+      <p className={labelClass}>Gambar Produk</p>
+
+      <label
+        htmlFor="product_images"
+        onDragOver={e => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={e => { e.preventDefault(); setIsDragging(false); addFiles(e.dataTransfer.files); }}
+        className={`flex flex-col items-center justify-center gap-1 p-5 rounded-2xl border-2 border-dashed cursor-pointer transition-all ${isDragging ? 'border-brand-500 bg-brand-50' : 'border-slate-200 bg-slate-50 hover:border-brand-300'} ${isBusy ? 'opacity-50 pointer-events-none' : ''}`}
+      >
+        <ArrowUpTrayIcon className="h-6 w-6 text-slate-400" />
+        <span className="text-xs font-black text-slate-600">{isBusy ? 'Memproses...' : 'Seret gambar ke sini atau klik untuk pilih'}</span>
+        <span className="text-[10px] font-bold text-slate-400">JPEG, PNG, WebP · dikecilkan secara automatik</span>
+        <input
+          id="product_images"
+          type="file"
+          accept={IMAGE_TYPES.join(',')}
+          multiple
+          className="hidden"
+          onChange={e => { addFiles(e.target.files); e.target.value = ''; }}
+        />
+      </label>
+
+      {tiles.length > 0 && (
+        <div className="grid grid-cols-3 gap-3">
+          {tiles.map((tile, index) => (
+            <div key={tile.key} className={`rounded-2xl border overflow-hidden ${index === primary ? 'border-brand-500 ring-2 ring-brand-100' : 'border-slate-100'}`}>
+              <div className="relative h-20 bg-slate-50">
+                <img src={tile.url} alt={tile.alt} className="w-full h-full object-cover" />
+                {editable(tile) && (
+                  <div className="absolute inset-x-0 top-0 flex justify-between p-1">
+                    {productId ? (
+                      <button type="button" onClick={() => index !== primary && saveGallery(saved, tile.image.id)} disabled={isBusy} className="p-1 bg-white/90 rounded-lg text-warning" title={index === primary ? 'Primary Image' : 'Set as Primary'}>
+                        {index === primary ? <StarSolidIcon className="h-3.5 w-3.5" /> : <StarIcon className="h-3.5 w-3.5" />}
+                      </button>
+                    ) : (
+                      <span className="p-1">{index === primary && <StarSolidIcon className="h-3.5 w-3.5 text-warning" />}</span>
+                    )}
+                    <button type="button" onClick={() => remove(index)} disabled={isBusy} className="p-1 bg-white/90 rounded-lg text-danger" title="Remove Image">
+                      <TrashIcon className="h-3.5 w-3.5" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              {editable(tile) && (
+                <div className="p-1.5 space-y-1">
+                  {productId && (
+                    <input
+                      aria-label={`Image ${index + 1} Alt Text`}
+                      className="input-modern text-[10px] py-1 px-2"
+                      placeholder="Alt text"
+                      maxLength={200}
+                      value={tile.image.id in altEdits ? altEdits[tile.image.id] : (tile.image.alt_text || '')}
+                      onChange={e => setAltEdits({ ...altEdits, [tile.image.id]: e.target.value })}
+                      onBlur={() => saveAlt(tile.image)}
+                      onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); e.target.blur(); } }}
+                    />
+                  )}
+                  <div className="flex justify-between">
+                    <button type="button" onClick={() => move(index, -1)} disabled={isBusy || index === 0} className="p-1 text-slate-400 hover:text-slate-900 disabled:opacity-20" title="Move Left">
+                      <ChevronLeftIcon className="h-3.5 w-3.5" />
+                    </button>
+                    <button type="button" onClick={() => move(index, 1)} disabled={isBusy || index === tiles.length - 1} className="p-1 text-slate-400 hover:text-slate-900 disabled:opacity-20" title="Move Right">
+                      <ChevronRightIcon className="h-3.5 w-3.5" />
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
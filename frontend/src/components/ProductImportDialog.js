@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, ArrowUpTrayIcon, ArrowDownTrayIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { validators } from '../utils/validators';
+import { parseCsvWithHeader, rowsWithHeader, toCsv } from '../utils/csv';
+import { parseXlsx } from '../utils/xlsx';
+import { saveBlob } from '../utils/download';
+
+// Product fields a CSV column can map to, with header names we recognise automatically
+const FIELDS = [
+  { key: 'sku', label: 'SKU', aliases: ['sku', 'kodsku', 'productsku', 'itemcode'] },
+  { key: 'name', label: 'Product Name', aliases: ['name', 'nama', 'productname', 'namaproduk', 'title'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'kategori', 'categoryname'] },
+  { key: 'price', label: 'Selling Price', aliases: ['price', 'harga', 'sellingprice', 'hargajualan'] },
+  { key: 'cost_price', label: 'Cost Price', aliases: ['costprice', 'cost', 'kos', 'hargakos'] },
+  { key: 'stock_quantity', label: 'Stock', aliases: ['stock', 'stok', 'stockquantity', 'quantity', 'qty'] },
+  { key: 'low_stock_threshold', label: 'Low Stock Threshold', aliases: ['lowstockthreshold', 'threshold', 'reorderlevel', 'hadstok'] },
+  { key: 'status', label: 'Status', aliases: ['status'] },
+  { key: 'image_url', label: 'Image URL', aliases: ['imageurl', 'image', 'gambar'] }
+];
+
+const TEMPLATE = 'sku,name,category,price,cost_price,stock_quantity,low_stock_threshold,status,image_url\r\n' +
+  'ELEC-001,,,129.00,,25,,,\r\n' +
+  ',Wireless Mouse,Electronics,59.90,32.00,40,10,active,https://images.unsplash.com/photo-xxx?w=500\r\n';
+
+const ACTION_STYLES = {
+  create: { label: 'Baru', className: 'bg-success/10 text-success' },
+  update: { label: 'Kemaskini', className: 'bg-info/10 text-info' },
+  invalid: { label: 'Tidak Sah', className: 'bg-danger/10 text-danger' }
+};
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const guessMapping = (headers) => Object.fromEntries(FIELDS.map(field => [
+  field.key,
+  headers.find(h => field.aliases.includes(headerKey(h))) || ''
+]));
+
+// Same checks as the product form; blank cells keep the current value so only filled ones are checked
+const validateRow = (row) => [
+  row.sku && validators.sku(row.sku),
+  row.price && validators.price(row.price, 'Selling price'),
+  row.cost_price && validators.number(row.cost_price, 'Cost price', 0),
+  row.stock_quantity && !/^\d+$/.test(row.stock_quantity) && 'Stock quantity must be a whole number of 0 or more',
+  row.low_stock_threshold && !/^\d+$/.test(row.low_stock_threshold) && 'Low stock threshold must be a whole number of 0 or more',
+  row.image_url && validators.url(row.image_url),
+  row.price && row.cost_price && parseFloat(row.cost_price) >= parseFloat(row.price) && 'Cost price must be lower than selling price'
+].filter(Boolean);
+
+/**
+ * Product CSV/XLSX import wizard: upload, map columns, dry-run preview, import.
+ *
+ * Rows are matched by SKU: known SKUs (product or variant) are updated,
+ * new or blank SKUs create products. Rows failing the form checks here or
+ * on the backend dry run can be downloaded as an error report.
+ */
+export default function ProductImportDialog({ onClose, onImported }) {
+  const [step, setStep] = useState('upload');
+  const [csv, setCsv] = useState({ headers: [], records: [] });
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    const isXlsx = /\.xlsx$/i.test(file.name);
+    if (!isXlsx && !/\.csv$/i.test(file.name)) return toast.error('Hanya fail CSV atau Excel (.xlsx)');
+    try {
+      const parsed = isXlsx ? rowsWithHeader(await parseXlsx(await file.arrayBuffer())) : parseCsvWithHeader(await file.text());
+      if (parsed.records.length === 0) return toast.error('Fail tiada baris data');
+      setCsv(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setStep('mapping');
+    } catch (err) {
+      toast.error(err.message || 'Gagal membaca fail');
+    }
+  };
+
+  const buildRows = () => csv.records.map(record => {
+    const row = { line: record.line };
+    FIELDS.forEach(field => { row[field.key] = mapping[field.key] ? record.values[mapping[field.key]] : ''; });
+    return row;
+  });
+
+  const postRows = async (rows, dryRun) => {
+    const res = await api.post('/products/import', { rows, dry_run: dryRun });
+    return res.data;
+  };
+
+  const handlePreview = async () => {
+    if (!mapping.sku && !mapping.name) return toast.error('Pilih lajur untuk SKU atau Product Name');
+
+    const rows = buildRows();
+    const localErrors = Object.fromEntries(rows.map(row => [row.line, validateRow(row)]));
+    const validRows = rows.filter(row => localErrors[row.line].length === 0);
+
+    setIsWorking(true);
+    try {
+      const serverResults = validRows.length > 0 ? (await postRows(validRows, true)).data.rows : [];
+      const resultsByLine = Object.fromEntries(serverResults.map(result => [result.line, result]));
+
+      setPreview({
+        rows,
+        validRows,
+        results: rows.map(row => localErrors[row.line].length > 0
+          ? { line: row.line, action: 'invalid', sku: row.sku, errors: localErrors[row.line] }
+          : resultsByLine[row.line])
+      });
+      setStep('preview');
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyemak fail'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    // Invalid rows are left out; the backend skips them anyway but they'd only add noise
+    const invalidLines = new Set(preview.results.filter(r => r.action === 'invalid').map(r => r.line));
+    setIsWorking(true);
+    try {
+      const res = await postRows(preview.validRows.filter(row => !invalidLines.has(row.line)), false);
+      toast.success(res.message);
+      setPreview({ ...preview, imported: res.data.summary });
+      setStep('done');
+      onImported();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Gagal mengimport produk');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Original CSV rows that failed, with the reasons in an extra column
+  const downloadErrorReport = () => {
+    const recordsByLine = Object.fromEntries(csv.records.map(record => [record.line, record]));
+    const failed = preview.results.filter(result => result.action === 'invalid');
+    const rows = [
+      ['Line', ...csv.headers, 'Errors'],
+      ...failed.map(result => [
+        result.line,
+        ...csv.headers.map(h => recordsByLine[result.line].values[h]),
+        result.errors.join('; ')
+      ])
+    ];
+    saveBlob(new Blob([toCsv(rows)], { type: 'text/csv' }), 'product_import_errors.csv');
+  };
+
+  const counts = preview
+    ? preview.results.reduce((acc, result) => ({ ...acc, [result.action]: (acc[result.action] || 0) + 1 }), {})
+    : {};
+  const importable = (counts.create || 0) + (counts.update || 0);
+  const rowsByLine = preview ? Object.fromEntries(preview.rows.map(row => [row.line, row])) : {};
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={() => !isWorking && onClose()}></div>
+      <div className="relative bg-white w-full max-w-3xl rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Import Produk</h2>
+          <button onClick={onClose} disabled={isWorking} className="p-2 hover:bg-white/10 rounded-xl disabled:opacity-30"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {step === 'upload' && (
+            <>
+              <p className="text-sm text-slate-500">
+                Muat naik fail CSV atau Excel (.xlsx) dengan baris tajuk. SKU sedia ada dikemaskini (sel kosong kekal), SKU baru atau kosong dicipta sebagai produk baru.
+                Untuk Excel, lembaran pertama dibaca.
+              </p>
+              <button
+                type="button"
+                onClick={() => saveBlob(new Blob([TEMPLATE], { type: 'text/csv' }), 'product_import_template.csv')}
+                className="text-xs font-black text-brand-600 underline"
+              >
+                Muat turun templat
+              </button>
+              <input id="product_import_file" type="file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" className="input-modern" onChange={e => handleFile(e.target.files[0])} />
+            </>
+          )}
+
+          {step === 'mapping' && (
+            <>
+              <p className="text-sm text-slate-500">{csv.records.length} baris dijumpai. Padankan lajur fail dengan medan produk.</p>
+              <div className="grid grid-cols-3 gap-4">
+                {FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label htmlFor={`map_${field.key}`} className={labelClass}>{field.label}</label>
+                    <select id={`map_${field.key}`} className="input-modern" value={mapping[field.key]} onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })}>
+                      <option value="">(Abaikan)</option>
+                      {csv.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400">Produk baru memerlukan Product Name, Category dan Selling Price. Bagi SKU varian, hanya harga, kos dan stok dikemaskini.</p>
+              <div className="flex gap-3">
+                <button onClick={() => setStep('upload')} disabled={isWorking} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Kembali</button>
+                <button onClick={handlePreview} disabled={isWorking} className="flex-1 btn-modern btn-modern-primary">{isWorking ? 'Menyemak...' : 'Pratonton'}</button>
+              </div>
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <div className="flex flex-wrap items-center gap-2">
+                {Object.entries(ACTION_STYLES).map(([action, style]) => (
+                  <span key={action} className={`status-badge text-[11px] ${style.className}`}>{style.label}: {counts[action] || 0}</span>
+                ))}
+                {counts.invalid > 0 && (
+                  <button onClick={downloadErrorReport} className="ml-auto flex items-center gap-1 text-xs font-black text-brand-600 underline">
+                    <ArrowDownTrayIcon className="h-4 w-4" /> Muat turun laporan ralat
+                  </button>
+                )}
+              </div>
+              <div className="max-h-80 overflow-y-auto border border-slate-100 rounded-2xl">
+                <table className="modern-table w-full">
+                  <thead>
+                    <tr><th>Baris</th><th>SKU & Produk</th><th>Tindakan</th><th>Catatan</th></tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-50">
+                    {preview.results.map(result => (
+                      <tr key={result.line}>
+                        <td className="text-xs font-black text-slate-400">{result.line}</td>
+                        <td>
+                          <p className="text-sm font-bold text-slate-900">{result.sku || '—'}</p>
+                          <p className="text-xs text-slate-400">{rowsByLine[result.line].name}</p>
+                        </td>
+                        <td><span className={`status-badge text-[11px] ${ACTION_STYLES[result.action].className}`}>{ACTION_STYLES[result.action].label}</span></td>
+                        <td className="text-xs text-slate-500">{result.errors.join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex gap-3">
+                <button onClick={() => setStep('mapping')} disabled={isWorking} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Kembali</button>
+                <button onClick={handleImport} disabled={isWorking || importable === 0} className="flex-1 btn-modern btn-modern-primary disabled:opacity-50">
+                  <ArrowUpTrayIcon className="h-4 w-4" /> {isWorking ? 'Mengimport...' : `Import ${importable} Produk`}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'done' && (
+            <>
+              <div className="flex items-center gap-3 p-4 bg-success/10 rounded-2xl">
+                <CheckCircleIcon className="h-6 w-6 text-success" />
+                <p className="text-sm font-bold text-slate-700">
+                  {preview.imported.create} produk baru, {preview.imported.update} dikemaskini, {counts.invalid || 0} tidak sah.
+                </p>
+              </div>
+              <button onClick={onClose} className="w-full btn-modern bg-slate-900 text-white">Tutup</button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { preferredLink } from '../utils/suppliers';
+
+/**
+ * Supplier section of the product modal. Link the product to one or more
+ * suppliers with the supplier's own SKU and the last purchase cost; one
+ * link is the preferred supplier (the first one unless another is picked).
+ */
+export default function ProductSupplierEditor({ links, suppliers = [], onChange }) {
+  const preferred = preferredLink(links);
+  const unused = suppliers.filter(s => !links.some(link => link.supplier_id === s.id));
+
+  const setLink = (index, changes) => onChange(links.map((link, i) => i === index ? { ...link, ...changes } : link));
+
+  const setPreferred = (index) => onChange(links.map((link, i) => ({ ...link, is_preferred: i === index })));
+
+  const addLink = () => {
+    if (unused.length === 0) return;
+    onChange([...links, { supplier_id: unused[0].id, supplier_sku: '', last_cost: '', is_preferred: links.length === 0 }]);
+  };
+
+  const removeLink = (index) => {
+    const next = links.filter((_, i) => i !== index);
+    // Keep a preferred supplier when the preferred one is removed
+    if (next.length > 0 && !next.some(link => link.is_preferred)) next[0] = { ...next[0], is_preferred: true };
+    onChange(next);
+  };
+
+  const currencyOf = (supplierId) => suppliers.find(s => s.id === supplierId)?.currency || '';
+  const nameOf = (supplierId) => suppliers.find(s => s.id === supplierId)?.name || links.find(l => l.supplier_id === supplierId)?.name;
+  const labelClass = 'text-sm font-black text-slate-400 uppercase mb-1 block';
+
+  return (
+    <div className="space-y-3 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+      <div className="flex items-center justify-between">
+        <p className={labelClass}>Pembekal</p>
+        {unused.length > 0 && (
+          <button type="button" onClick={addLink} className="flex items-center gap-1 text-xs font-black text-brand-600 uppercase tracking-widest">
+            <PlusIcon className="h-4 w-4" /> Tambah Pembekal
+          </button>
+        )}
+      </div>
+
+      {links.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          {suppliers.length === 0 ? 'Belum ada pembekal. Tambah pembekal di halaman Suppliers.' : 'Tiada pembekal dipautkan. Kos produk boleh diisi dari kos pembekal utama.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                <th className="py-2 pr-2">Utama</th>
+                <th className="py-2 pr-2">Pembekal</th>
+                <th className="py-2 pr-2">SKU Pembekal</th>
+                <th className="py-2 pr-2">Kos Terakhir</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {links.map((link, index) => {
+                const name = nameOf(link.supplier_id);
+                return (
+                  <tr key={link.supplier_id}>
+                    <td className="py-1 pr-2">
+                      <input type="radio" name="preferred_supplier" aria-label={`${name} Preferred`} checked={preferred === link} onChange={() => setPreferred(index)} />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select
+                        aria-label={`Supplier ${index + 1}`}
+                        className="input-modern text-xs w-40"
+                        value={link.supplier_id}
+                        onChange={e => setLink(index, { supplier_id: parseInt(e.target.value, 10) })}
+                      >
+                        {/* Keep an inactive supplier that is already linked selectable */}
+                        {!suppliers.some(s => s.id === link.supplier_id) && <option value={link.supplier_id}>{name}</option>}
+                        {suppliers.filter(s => s.id === link.supplier_id || !links.some(l => l.supplier_id === s.id)).map(s => (
+                          <option key={s.id} value={s.id}>{s.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input aria-label={`${name} Supplier SKU`} type="text" maxLength={50} className="input-modern text-xs w-28" value={link.supplier_sku || ''} onChange={e => setLink(index, { supplier_sku: e.target.value })} />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <div className="flex items-center gap-1">
+                        <span className="text-[10px] font-black text-slate-400">{currencyOf(link.supplier_id) || link.currency}</span>
+                        <input aria-label={`${name} Last Cost`} type="number" min="0" step="0.01" className="input-modern text-xs w-20" value={link.last_cost ?? ''} onChange={e => setLink(index, { last_cost: e.target.value })} />
+                      </div>
+                    </td>
+                    <td className="py-1">
+                      <button type="button" onClick={() => removeLink(index)} className="p-1 text-slate-400 hover:text-danger" title="Remove Supplier">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400 mt-2">Kos produk diisi dari kos terakhir pembekal utama jika belum diisi.</p>
+        </div>
+      )}
+    </div>
+  );
+}
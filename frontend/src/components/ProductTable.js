@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { isLowStock, availableStock } from '../utils/variants';
+import { PencilSquareIcon, AdjustmentsHorizontalIcon, ArchiveBoxIcon } from '@heroicons/react/24/outline';
+
+const STATUS_BADGES = {
+  active: { label: 'Aktif', className: 'bg-success/10 text-success' },
+  out_of_stock: { label: 'Habis Stok', className: 'bg-warning/10 text-warning' },
+  inactive: { label: 'Diarkib', className: 'bg-slate-100 text-slate-500' }
+};
+
+/**
+ * Dense catalogue view: one row per product with price and stock editable
+ * in place (saved on blur or Enter; a price must stay above the cost price).
+ * Stock of a variant product is the total of its variants, so it's changed
+ * through the stock dialog instead.
+ */
+export default function ProductTable({ products, canEdit, onEdit, onAdjustStock }) {
+  const queryClient = useQueryClient();
+  const [edits, setEdits] = useState({}); // "productId:field" => typed value not yet saved
+
+  const save = async (product, field) => {
+    const key = `${product.id}:${field}`;
+    if (!(key in edits)) return;
+    const value = field === 'price' ? parseFloat(edits[key]) : parseInt(edits[key], 10);
+    const { [key]: _typed, ...rest } = edits;
+
+    if (isNaN(value) || value < 0) {
+      setEdits(rest);
+      return toast.error(field === 'price' ? 'Harga mesti 0 atau lebih' : 'Stok mesti 0 atau lebih');
+    }
+    // Same rule as the product modal
+    if (field === 'price' && product.cost_price && parseFloat(product.cost_price) >= value) {
+      setEdits(rest);
+      return toast.error('Cost price must be lower than selling price');
+    }
+    if (value === parseFloat(product[field])) return setEdits(rest);
+
+    try {
+      await api.put(`/products/${product.id}`, { [field]: value });
+      toast.success(`${product.sku} dikemaskini`);
+      setEdits(rest);
+      queryClient.invalidateQueries('products');
+      if (field === 'stock_quantity') queryClient.invalidateQueries('inventory-ledger');
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan'));
+    }
+  };
+
+  const editableCell = (product, field, step) => {
+    const key = `${product.id}:${field}`;
+    return (
+      <input
+        aria-label={`${product.sku} ${field === 'price' ? 'Price' : 'Stock'}`}
+        type="number"
+        min="0"
+        step={step}
+        className="input-modern text-sm w-24 text-right ml-auto"
+        value={key in edits ? edits[key] : product[field]}
+        onChange={e => setEdits({ ...edits, [key]: e.target.value })}
+        onBlur={() => save(product, field)}
+        onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+      />
+    );
+  };
+
+  return (
+    <div className="table-container">
+      <table className="modern-table w-full">
+        <thead>
+          <tr>
+            <th>Produk</th>
+            <th>Status</th>
+            <th className="text-right">Harga (RM)</th>
+            <th className="text-right">Kos (RM)</th>
+            <th className="text-right">Margin</th>
+            <th className="text-right">Stok</th>
+            <th className="text-right">Jualan 30H</th>
+            {canEdit && <th className="text-right">Tindakan</th>}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-50">
+          {products.length === 0 ? (
+            <tr><td colSpan={canEdit ? 8 : 7} className="py-20 text-center text-sm text-slate-400 font-medium">Tiada produk dijumpai</td></tr>
+          ) : products.map(product => {
+            const status = STATUS_BADGES[product.status] || STATUS_BADGES.active;
+            const margin = product.cost_price > 0 && product.price > 0
+              ? ((product.price - product.cost_price) / product.price) * 100
+              : null;
+
+            return (
+              <tr key={product.id} className="hover:bg-slate-50/50 transition-all">
+                <td>
+                  <div className="flex items-center gap-3">
+                    <div className="h-10 w-10 rounded-xl bg-slate-50 flex items-center justify-center overflow-hidden shrink-0">
+                      {product.image_url
+                        ? <img src={product.image_url} alt={product.name} className="w-full h-full object-cover" />
+                        : <ArchiveBoxIcon className="h-5 w-5 text-slate-200" />}
+                    </div>
+                    <div className="min-w-0">
+                      <p className="text-sm font-black text-slate-900 truncate">{product.name}</p>
+                      <p className="text-xs text-slate-400 font-bold">{product.sku} · {product.category_name}</p>
+                    </div>
+                  </div>
+                </td>
+                <td><span className={`status-badge ${status.className}`}>{status.label}</span></td>
+                <td className="text-right">
+                  {canEdit ? editableCell(product, 'price', '0.01') : <span className="text-sm font-black text-slate-900">{parseFloat(product.price).toFixed(2)}</span>}
+                </td>
+                <td className="text-right text-sm font-bold text-slate-500">{product.cost_price > 0 ? parseFloat(product.cost_price).toFixed(2) : '—'}</td>
+                <td className="text-right text-sm font-bold text-purple-600">{margin === null ? '—' : `${margin.toFixed(0)}%`}</td>
+                <td className="text-right">
+                  {canEdit && !product.has_variants ? editableCell(product, 'stock_quantity', '1') : (
+                    <span className={`text-sm font-black ${isLowStock(product) ? 'text-warning' : 'text-slate-900'}`}>{product.stock_quantity}</span>
+                  )}
+                  {(product.has_variants || product.reserved_quantity > 0) && (
+                    <p className="text-[10px] font-bold text-slate-400 mt-1">
+                      {product.has_variants && 'Jumlah varian'}
+                      {product.has_variants && product.reserved_quantity > 0 && ' · '}
+                      {product.reserved_quantity > 0 && `${availableStock(product)} boleh dijual`}
+                    </p>
+                  )}
+                </td>
+                <td className="text-right text-sm font-bold text-slate-600">{product.recent_sales}</td>
+                {canEdit && (
+                  <td className="text-right whitespace-nowrap">
+                    <button onClick={() => onEdit(product)} className="p-2 text-slate-400 hover:text-brand-600" title="Edit Product">
+                      <PencilSquareIcon className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => onAdjustStock(product)} className="p-2 text-slate-400 hover:text-slate-900" title="Adjust Stock">
+                      <AdjustmentsHorizontalIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
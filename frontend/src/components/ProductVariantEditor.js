@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon, Squares2X2Icon } from '@heroicons/react/24/outline';
+import { variantLabel, buildVariantMatrix } from '../utils/variants';
+
+const MAX_AXES = 3;
+
+/**
+ * Variant section of the product modal. Define option axes (e.g. Size:
+ * S, M, L and Colour: Black, White), generate the variant matrix, then set
+ * SKU, price override, cost and stock per variant. Blank SKUs are generated
+ * by the backend from the product SKU; blank prices use the product's.
+ */
+export default function ProductVariantEditor({ options, variants, productPrice, onChange }) {
+  const [axes, setAxes] = useState(() => (options?.length ? options : []).map(axis => ({
+    name: axis.name,
+    valuesText: axis.values.join(', ')
+  })));
+
+  const parsedAxes = axes.map(axis => ({
+    name: axis.name.trim(),
+    values: [...new Set(axis.valuesText.split(',').map(v => v.trim()).filter(Boolean))]
+  }));
+
+  const setAxis = (index, changes) => setAxes(axes.map((axis, i) => i === index ? { ...axis, ...changes } : axis));
+
+  const generate = () => {
+    const usable = parsedAxes.filter(axis => axis.name && axis.values.length > 0);
+    onChange(usable, buildVariantMatrix(usable, variants));
+  };
+
+  const setVariant = (index, changes) => {
+    onChange(options, variants.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+
+  const labelClass = 'text-sm font-black text-slate-400 uppercase mb-1 block';
+  const totalStock = variants.reduce((sum, row) => sum + (parseInt(row.stock_quantity, 10) || 0), 0);
+
+  return (
+    <div className="space-y-3 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+      <div className="flex items-center justify-between">
+        <p className={labelClass}>Varian</p>
+        {axes.length < MAX_AXES && (
+          <button type="button" onClick={() => setAxes([...axes, { name: '', valuesText: '' }])} className="flex items-center gap-1 text-xs font-black text-brand-600 uppercase tracking-widest">
+            <PlusIcon className="h-4 w-4" /> Tambah Pilihan
+          </button>
+        )}
+      </div>
+
+      {axes.length === 0 && (
+        <p className="text-xs text-slate-400">Produk ini satu SKU. Tambah pilihan (cth: Saiz, Warna) untuk menjual mengikut varian.</p>
+      )}
+
+      {axes.map((axis, index) => (
+        <div key={index} className="flex gap-2 items-center">
+          <input
+            aria-label={`Option ${index + 1} Name`}
+            type="text"
+            maxLength={30}
+            className="input-modern text-sm w-32"
+            placeholder="Saiz"
+            value={axis.name}
+            onChange={e => setAxis(index, { name: e.target.value })}
+          />
+          <input
+            aria-label={`Option ${index + 1} Values`}
+            type="text"
+            className="input-modern text-sm flex-1"
+            placeholder="S, M, L"
+            value={axis.valuesText}
+            onChange={e => setAxis(index, { valuesText: e.target.value })}
+          />
+          <button type="button" onClick={() => setAxes(axes.filter((_, i) => i !== index))} className="p-2 text-slate-400 hover:text-danger" title="Remove Option">
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+
+      {(axes.length > 0 || variants.length > 0) && (
+        <button type="button" onClick={generate} className="w-full btn-modern bg-white border border-slate-200 text-slate-700 text-xs">
+          <Squares2X2Icon className="h-4 w-4" /> {axes.length > 0 ? 'Jana Varian' : 'Buang Semua Varian'}
+        </button>
+      )}
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                <th className="py-2 pr-2">Varian</th>
+                <th className="py-2 pr-2">SKU</th>
+                <th className="py-2 pr-2">Harga</th>
+                <th className="py-2 pr-2">Kos</th>
+                <th className="py-2 pr-2">Stok</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((row, index) => {
+                const label = variantLabel(row.options);
+                return (
+                  <tr key={label} className={row.is_active === false ? 'opacity-50' : ''}>
+                    <td className="py-1 pr-2 font-black text-slate-700 whitespace-nowrap">{label}</td>
+                    <td className="py-1 pr-2">
+                      <input aria-label={`${label} SKU`} type="text" maxLength={50} className="input-modern text-xs w-32" placeholder="Auto" value={row.sku || ''} onChange={e => setVariant(index, { sku: e.target.value })} />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input aria-label={`${label} Price`} type="number" min="0" step="0.01" className="input-modern text-xs w-20" placeholder={productPrice || '0.00'} value={row.price ?? ''} onChange={e => setVariant(index, { price: e.target.value })} />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input aria-label={`${label} Cost`} type="number" min="0" step="0.01" className="input-modern text-xs w-20" value={row.cost_price ?? ''} onChange={e => setVariant(index, { cost_price: e.target.value })} />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input aria-label={`${label} Stock`} type="number" min="0" className="input-modern text-xs w-16" value={row.stock_quantity} onChange={e => setVariant(index, { stock_quantity: e.target.value })} />
+                    </td>
+                    <td className="py-1">
+                      <button type="button" onClick={() => onChange(options, variants.filter((_, i) => i !== index))} className="p-1 text-slate-400 hover:text-danger" title="Remove Variant">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400 mt-2">{variants.length} varian · Jumlah stok {totalStock} unit. Harga kosong guna harga produk.</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Receive stock against a purchase order. Each line starts at what is
+ * still outstanding; lower it (or set 0) for a partial delivery and the
+ * rest stays on order.
+ */
+export default function PurchaseOrderReceiveDialog({ orderId, onClose }) {
+  const queryClient = useQueryClient();
+  const [quantities, setQuantities] = useState({});
+
+  const { data: order, isLoading } = useQuery(['purchase-order', orderId], async () => {
+    const res = await api.get(`/purchase-orders/${orderId}`);
+    return res.data.data;
+  });
+
+  useEffect(() => {
+    if (order) setQuantities(Object.fromEntries(order.items.map(item => [item.id, String(item.quantity_ordered - item.quantity_received)])));
+  }, [order]);
+
+  const receiveMutation = useMutation(async (items) => api.post(`/purchase-orders/${orderId}/receive`, { items }), {
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      queryClient.invalidateQueries('purchase-orders');
+      queryClient.invalidateQueries(['purchase-order', orderId]);
+      queryClient.invalidateQueries('replenishment');
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('inventory-ledger');
+      onClose();
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menerima stok'));
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const items = order.items
+      .map(item => ({ item_id: item.id, quantity: parseInt(quantities[item.id], 10) || 0 }))
+      .filter(line => line.quantity > 0);
+    if (items.length === 0) return toast.error('Masukkan kuantiti untuk diterima');
+    receiveMutation.mutate(items);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-2xl rounded-3xl shadow-premium overflow-hidden animate-slide-up max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white sticky top-0 z-10">
+          <div>
+            <h2 className="text-xl font-black italic tracking-tighter uppercase">Terima Stok</h2>
+            {order && <p className="text-xs text-slate-400 font-bold">{order.reference} · {order.supplier_name} → {order.location_name}</p>}
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+        {isLoading ? <div className="p-10"><div className="spinner mx-auto"></div></div> : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            <div className="divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+              {order.items.map(item => {
+                const outstanding = item.quantity_ordered - item.quantity_received;
+                return (
+                  <div key={item.id} className="p-3 flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-black text-slate-900 truncate">{item.name}{item.variant_name && ` (${item.variant_name})`}</p>
+                      <p className="text-xs text-slate-400 font-bold">{item.sku} · {item.quantity_received}/{item.quantity_ordered} diterima</p>
+                    </div>
+                    <input
+                      aria-label={`${item.sku} Received`}
+                      type="number"
+                      min="0"
+                      max={outstanding}
+                      disabled={outstanding === 0}
+                      className="input-modern text-sm w-24 text-right"
+                      value={quantities[item.id] ?? ''}
+                      onChange={e => setQuantities({ ...quantities, [item.id]: e.target.value })}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex gap-3">
+              <button type="button" onClick={onClose} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+              <button type="submit" disabled={receiveMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">
+                {receiveMutation.isLoading ? 'Menerima...' : 'Terima Stok'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { activeVariants } from '../utils/variants';
+import { MOVEMENT_ACTIONS, stockAfter } from '../utils/inventory';
+
+/**
+ * Record a manual stock movement (stock-in, stock-out, count or write-off)
+ * with a reason, at one stock location. Opened from a product card with
+ * `product` set, or from the Inventory page where the product is picked here.
+ */
+export default function StockAdjustDialog({ product: initialProduct = null, onClose }) {
+  const queryClient = useQueryClient();
+  const [product, setProduct] = useState(initialProduct);
+  const [search, setSearch] = useState('');
+  const [variantId, setVariantId] = useState(() => activeVariants(initialProduct || {})[0]?.id || '');
+  const [action, setAction] = useState('stock_in');
+  const [quantity, setQuantity] = useState('');
+  const [reason, setReason] = useState('');
+  const [locationId, setLocationId] = useState('');
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  });
+
+  const { data: results, isFetching } = useQuery(['stock-adjust-products', search], async () => {
+    const res = await api.get('/products', { params: { search, limit: 10 } });
+    return res.data.data;
+  }, { enabled: !product && search.trim().length > 0, keepPreviousData: true });
+
+  const adjustMutation = useMutation(async (payload) => api.post('/inventory/adjust', payload), {
+    onSuccess: (res) => {
+      queryClient.invalidateQueries('inventory-ledger');
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('location-stock');
+      queryClient.invalidateQueries('locations');
+      toast.success(res.data.message);
+      onClose();
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal mengemaskini stok'));
+    }
+  });
+
+  const pickProduct = (picked) => {
+    setProduct(picked);
+    setVariantId(activeVariants(picked)[0]?.id || '');
+  };
+
+  const variant = product?.has_variants ? product.variants.find(v => v.id === parseInt(variantId, 10)) : null;
+  const sku = variant ? variant.sku : product?.sku;
+  const location = locations?.find(l => l.id === parseInt(locationId, 10)) || locations?.[0];
+
+  // Movements change the stock at the chosen location, so preview that
+  const { data: locationStock } = useQuery(['location-stock', location?.id, sku], async () => {
+    const res = await api.get(`/locations/${location.id}`, { params: { search: sku, limit: 50 } });
+    return res.data.data.stock.find(row => row.sku === sku);
+  }, { enabled: !!location && !!sku });
+  const current = locationStock?.quantity ?? 0;
+  const selectedAction = MOVEMENT_ACTIONS.find(a => a.value === action);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (product.has_variants && !variant) return toast.error('Pilih varian');
+    if (quantity === '' || isNaN(parseInt(quantity, 10))) return toast.error('Masukkan kuantiti');
+    if (!reason.trim()) return toast.error('Sebab diperlukan');
+
+    adjustMutation.mutate({
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      location_id: location?.id || null,
+      action,
+      quantity: parseInt(quantity, 10),
+      reason: reason.trim()
+    });
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-lg rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Laraskan Stok</h2>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+
+        {!product ? (
+          <div className="p-6 space-y-4">
+            <div>
+              <label htmlFor="stock_product_search" className={labelClass}>Produk</label>
+              <input id="stock_product_search" type="text" className="input-modern" placeholder="Cari SKU atau nama produk..." value={search} onChange={e => setSearch(e.target.value)} autoFocus />
+            </div>
+            {isFetching && <div className="spinner mx-auto"></div>}
+            {results?.length === 0 && <p className="text-sm text-slate-400 font-medium">Tiada produk dijumpai</p>}
+            <div className="max-h-72 overflow-y-auto divide-y divide-slate-50">
+              {results?.map(p => (
+                <button key={p.id} onClick={() => pickProduct(p)} className="w-full text-left p-3 hover:bg-slate-50 rounded-xl flex justify-between items-center">
+                  <span>
+                    <span className="block text-sm font-black text-slate-900">{p.name}</span>
+                    <span className="block text-xs text-slate-400 font-bold">{p.sku}</span>
+                  </span>
+                  <span className="text-xs font-black text-slate-500">{p.stock_quantity} unit</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            <div className="flex justify-between items-start p-4 bg-slate-50 rounded-2xl">
+              <div>
+                <p className="text-sm font-black text-slate-900">{product.name}</p>
+                <p className="text-xs text-slate-400 font-bold">{variant ? variant.sku : product.sku}</p>
+              </div>
+              {!initialProduct && (
+                <button type="button" onClick={() => setProduct(null)} className="text-xs font-black text-brand-600 underline">Tukar</button>
+              )}
+            </div>
+
+            {product.has_variants && (
+              <div>
+                <label htmlFor="stock_variant" className={labelClass}>Varian</label>
+                <select id="stock_variant" className="input-modern" value={variantId} onChange={e => setVariantId(e.target.value)}>
+                  {activeVariants(product).map(v => <option key={v.id} value={v.id}>{v.name} · {v.stock_quantity} unit</option>)}
+                </select>
+              </div>
+            )}
+
+            {locations?.length > 1 && (
+              <div>
+                <label htmlFor="stock_location" className={labelClass}>Lokasi</label>
+                <select id="stock_location" className="input-modern" value={location?.id || ''} onChange={e => setLocationId(e.target.value)}>
+                  {locations.map(l => <option key={l.id} value={l.id}>{l.name} ({l.code})</option>)}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <p className={labelClass}>Tindakan</p>
+              <div className="grid grid-cols-2 gap-2">
+                {MOVEMENT_ACTIONS.map(a => (
+                  <button
+                    key={a.value}
+                    type="button"
+                    onClick={() => setAction(a.value)}
+                    className={`btn-modern text-xs ${action === a.value ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200 text-slate-600'}`}
+                  >
+                    {a.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400 mt-2">{selectedAction.hint}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="stock_quantity_change" className={labelClass}>{action === 'set_count' ? 'Stok Dikira' : 'Kuantiti'}</label>
+                <input id="stock_quantity_change" type="number" min={action === 'set_count' ? 0 : 1} className="input-modern" value={quantity} onChange={e => setQuantity(e.target.value)} />
+              </div>
+              <div>
+                <p className={labelClass}>Stok Semasa → Baru</p>
+                <p className="text-lg font-black text-slate-900 py-2">
+                  {current} → <span className={stockAfter(action, current, quantity) < 0 ? 'text-danger' : 'text-brand-600'}>{stockAfter(action, current, quantity)}</span>
+                </p>
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="stock_reason" className={labelClass}>Sebab *</label>
+              <input id="stock_reason" type="text" maxLength={255} className="input-modern" placeholder="Cth: Penghantaran pembekal PO-1024" value={reason} onChange={e => setReason(e.target.value)} />
+            </div>
+
+            <div className="flex gap-3">
+              <button type="button" onClick={onClose} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+              <button type="submit" disabled={adjustMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">
+                {adjustMutation.isLoading ? 'Menyimpan...' : 'Simpan Pergerakan'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { activeVariants } from '../utils/variants';
+import { XMarkIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Ship stock from one location to another. Lines are picked by product
+ * search (and variant for variant products); the stock leaves the source
+ * now and arrives when the transfer is received.
+ */
+export default function StockTransferDialog({ locations, onClose }) {
+  const queryClient = useQueryClient();
+  const [fromId, setFromId] = useState(() => String(locations[0]?.id || ''));
+  const [toId, setToId] = useState(() => String(locations[1]?.id || ''));
+  const [notes, setNotes] = useState('');
+  const [lines, setLines] = useState([]);
+  const [search, setSearch] = useState('');
+
+  const { data: results, isFetching } = useQuery(['stock-transfer-products', search], async () => {
+    const res = await api.get('/products', { params: { search, limit: 10 } });
+    return res.data.data;
+  }, { enabled: search.trim().length > 0, keepPreviousData: true });
+
+  const shipMutation = useMutation(async (payload) => api.post('/stock-transfers', payload), {
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      queryClient.invalidateQueries('stock-transfers');
+      queryClient.invalidateQueries('locations');
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('inventory-ledger');
+      onClose();
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menghantar pindahan'));
+    }
+  });
+
+  const addLine = (product) => {
+    setLines([...lines, { key: `${product.id}-${Date.now()}`, product, variantId: String(activeVariants(product)[0]?.id || ''), quantity: '1' }]);
+    setSearch('');
+  };
+
+  const updateLine = (key, changes) => setLines(lines.map(line => (line.key === key ? { ...line, ...changes } : line)));
+
+  const fromStock = (product) => product.locations?.find(l => l.location_id === parseInt(fromId, 10))?.quantity ?? 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (fromId === toId) return toast.error('Pilih dua lokasi berbeza');
+    if (lines.length === 0) return toast.error('Tambah sekurang-kurangnya satu produk');
+    if (lines.some(line => !(parseInt(line.quantity, 10) > 0))) return toast.error('Kuantiti mesti 1 atau lebih');
+
+    shipMutation.mutate({
+      from_location_id: parseInt(fromId, 10),
+      to_location_id: parseInt(toId, 10),
+      notes: notes.trim() || null,
+      items: lines.map(line => ({
+        product_id: line.product.id,
+        variant_id: line.product.has_variants ? parseInt(line.variantId, 10) : null,
+        quantity: parseInt(line.quantity, 10)
+      }))
+    });
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-2xl rounded-3xl shadow-premium overflow-hidden animate-slide-up max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white sticky top-0 z-10">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Pindahan Stok</h2>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="transfer_from" className={labelClass}>Dari</label>
+              <select id="transfer_from" className="input-modern" value={fromId} onChange={e => setFromId(e.target.value)}>
+                {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="transfer_to" className={labelClass}>Ke</label>
+              <select id="transfer_to" className="input-modern" value={toId} onChange={e => setToId(e.target.value)}>
+                {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="transfer_product_search" className={labelClass}>Tambah Produk</label>
+            <input id="transfer_product_search" type="text" className="input-modern" placeholder="Cari SKU atau nama produk..." value={search} onChange={e => setSearch(e.target.value)} />
+            {search && (
+              <div className="mt-2 max-h-48 overflow-y-auto divide-y divide-slate-50 border border-slate-100 rounded-xl">
+                {isFetching && <div className="spinner mx-auto my-2"></div>}
+                {results?.length === 0 && <p className="p-3 text-sm text-slate-400 font-medium">Tiada produk dijumpai</p>}
+                {results?.map(p => (
+                  <button type="button" key={p.id} onClick={() => addLine(p)} className="w-full text-left p-3 hover:bg-slate-50 flex justify-between items-center">
+                    <span>
+                      <span className="block text-sm font-black text-slate-900">{p.name}</span>
+                      <span className="block text-xs text-slate-400 font-bold">{p.sku}</span>
+                    </span>
+                    <span className="text-xs font-black text-slate-500">{fromStock(p)} unit di sumber</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {lines.length > 0 && (
+            <div className="divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+              {lines.map(line => (
+                <div key={line.key} className="p-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-black text-slate-900 truncate">{line.product.name}</p>
+                    {line.product.has_variants ? (
+                      <select aria-label={`${line.product.sku} Variant`} className="input-modern text-xs mt-1" value={line.variantId} onChange={e => updateLine(line.key, { variantId: e.target.value })}>
+                        {activeVariants(line.product).map(v => <option key={v.id} value={v.id}>{v.name} · {v.sku}</option>)}
+                      </select>
+                    ) : (
+                      <p className="text-xs text-slate-400 font-bold">{line.product.sku}</p>
+                    )}
+                  </div>
+                  <input
+                    aria-label={`${line.product.sku} Quantity`}
+                    type="number"
+                    min="1"
+                    className="input-modern text-sm w-24 text-right"
+                    value={line.quantity}
+                    onChange={e => updateLine(line.key, { quantity: e.target.value })}
+                  />
+                  <button type="button" onClick={() => setLines(lines.filter(l => l.key !== line.key))} className="p-2 text-slate-400 hover:text-red-600" title="Buang">
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="transfer_notes" className={labelClass}>Nota</label>
+            <input id="transfer_notes" type="text" maxLength={500} className="input-modern" placeholder="Cth: Stok untuk promosi hujung minggu" value={notes} onChange={e => setNotes(e.target.value)} />
+          </div>
+
+          <div className="flex gap-3">
+            <button type="button" onClick={onClose} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+            <button type="submit" disabled={shipMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">
+              {shipMutation.isLoading ? 'Menghantar...' : 'Hantar Pindahan'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { validators } from '../utils/validators';
+import { CURRENCIES, PAYMENT_TERMS } from '../utils/suppliers';
+import { XMarkIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
+
+const FIELDS = ['name', 'contact_name', 'email', 'phone', 'address', 'currency', 'lead_time_days', 'payment_terms', 'notes', 'is_active'];
+
+/**
+ * Create or edit a supplier (pass `supplier` to edit).
+ */
+export default function SupplierDialog({ supplier, onClose, onSaved }) {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(() => Object.fromEntries(FIELDS.map(field => [
+    field,
+    field === 'is_active' ? (supplier ? supplier.is_active : true) : (supplier?.[field] ?? (field === 'currency' ? 'MYR' : ''))
+  ])));
+  const [formErrors, setFormErrors] = useState({});
+
+  const saveMutation = useMutation(async (payload) => {
+    const res = supplier ? await api.put(`/suppliers/${supplier.id}`, payload) : await api.post('/suppliers', payload);
+    return res.data;
+  }, {
+    onSuccess: (data) => {
+      toast.success(supplier ? 'Pembekal dikemaskini' : 'Pembekal ditambah');
+      queryClient.invalidateQueries('suppliers');
+      queryClient.invalidateQueries('supplier-options');
+      if (supplier) queryClient.invalidateQueries(['supplier', String(supplier.id)]);
+      onSaved?.(data.data);
+      onClose();
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan'));
+    }
+  });
+
+  const setField = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setFormErrors({ ...formErrors, [field]: null });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    const nameError = validators.required(form.name, 'Supplier name');
+    if (nameError) errors.name = nameError;
+    if (form.email) {
+      const emailError = validators.email(form.email);
+      if (emailError) errors.email = emailError;
+    }
+    if (form.lead_time_days !== '' && (parseInt(form.lead_time_days, 10) < 0 || isNaN(parseInt(form.lead_time_days, 10)))) {
+      errors.lead_time_days = 'Lead time must be 0 or more days';
+    }
+
+    setFormErrors(errors);
+
+    if (Object.keys(errors).length === 0) {
+      saveMutation.mutate({ ...form, lead_time_days: form.lead_time_days === '' ? null : parseInt(form.lead_time_days, 10) });
+    } else {
+      toast.error('Please fix validation errors');
+    }
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+  const inputClass = (field) => `input-modern ${formErrors[field] ? 'border-red-500 bg-red-50' : ''}`;
+  const fieldError = (field) => formErrors[field] && (
+    <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+      <ExclamationCircleIcon className="h-3 w-3" /> {formErrors[field]}
+    </p>
+  );
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-lg rounded-3xl shadow-premium overflow-hidden animate-slide-up max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white sticky top-0 z-10">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">{supplier ? 'Edit Pembekal' : 'Tambah Pembekal'}</h2>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label htmlFor="supplier_name" className={labelClass}>Nama Pembekal</label>
+            <input id="supplier_name" type="text" maxLength={150} className={inputClass('name')} value={form.name} onChange={e => setField('name', e.target.value)} />
+            {fieldError('name')}
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="supplier_contact_name" className={labelClass}>Orang Dihubungi</label>
+              <input id="supplier_contact_name" type="text" maxLength={100} className="input-modern" value={form.contact_name} onChange={e => setField('contact_name', e.target.value)} />
+            </div>
+            <div>
+              <label htmlFor="supplier_phone" className={labelClass}>Telefon</label>
+              <input id="supplier_phone" type="text" maxLength={20} className="input-modern" value={form.phone} onChange={e => setField('phone', e.target.value)} />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="supplier_email" className={labelClass}>Email</label>
+            <input id="supplier_email" type="email" className={inputClass('email')} value={form.email} onChange={e => setField('email', e.target.value)} />
+            {fieldError('email')}
+          </div>
+          <div>
+            <label htmlFor="supplier_address" className={labelClass}>Alamat</label>
+            <textarea id="supplier_address" rows="2" className="input-modern" value={form.address} onChange={e => setField('address', e.target.value)} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="supplier_currency" className={labelClass}>Mata Wang</label>
+              <select id="supplier_currency" className="input-modern" value={form.currency} onChange={e => setField('currency', e.target.value)}>
+                {[...new Set([...CURRENCIES, form.currency])].map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="supplier_lead_time" className={labelClass}>Tempoh Penghantaran (Hari)</label>
+              <input id="supplier_lead_time" type="number" min="0" max="365" className={inputClass('lead_time_days')} value={form.lead_time_days} onChange={e => setField('lead_time_days', e.target.value)} />
+              {fieldError('lead_time_days')}
+            </div>
+          </div>
+          <div>
+            <label htmlFor="supplier_payment_terms" className={labelClass}>Terma Bayaran</label>
+            <input id="supplier_payment_terms" type="text" maxLength={100} list="supplier_payment_terms_list" className="input-modern" placeholder="Cth: Net 30" value={form.payment_terms} onChange={e => setField('payment_terms', e.target.value)} />
+            <datalist id="supplier_payment_terms_list">
+              {PAYMENT_TERMS.map(term => <option key={term} value={term} />)}
+            </datalist>
+          </div>
+          <div>
+            <label htmlFor="supplier_notes" className={labelClass}>Nota</label>
+            <textarea id="supplier_notes" rows="2" className="input-modern" value={form.notes} onChange={e => setField('notes', e.target.value)} />
+          </div>
+          <label className="flex items-center gap-2 text-sm font-bold text-slate-600">
+            <input type="checkbox" className="rounded border-slate-300 text-brand-600" checked={form.is_active} onChange={e => setField('is_active', e.target.checked)} />
+            Aktif (boleh dipilih pada produk)
+          </label>
+          <button type="submit" disabled={saveMutation.isLoading} className="w-full btn-modern btn-modern-primary py-4 uppercase text-sm font-black tracking-[0.2em]">
+            {saveMutation.isLoading ? 'Menyimpan...' : (supplier ? 'Simpan Perubahan' : 'Tambah Pembekal')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
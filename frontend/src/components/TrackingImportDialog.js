@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, ArrowUpTrayIcon, CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
+import { saveBlob } from '../utils/download';
+import { COURIERS } from '../utils/couriers';
+
+const TEMPLATE = 'order_number,courier,tracking_number,shipped_at\r\nORD-20260101000000-ABC123,J&T,JT0000000001,2026-01-02\r\n';
+
+/**
+ * Upload a CSV of tracking numbers keyed by order number.
+ * Orders that haven't shipped yet are marked shipped by the backend.
+ */
+export default function TrackingImportDialog({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) return toast.error('Pilih fail CSV');
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setIsUploading(true);
+    try {
+      const res = await api.post('/orders/tracking/import', formData);
+      setResult(res.data.data);
+      toast.success(res.data.message);
+      onImported();
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal memuat naik fail'));
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={() => !isUploading && onClose()}></div>
+      <div className="relative bg-white w-full max-w-lg rounded-3xl shadow-premium overflow-hidden animate-slide-up">
+        <div className="p-6 border-b border-slate-50 flex justify-between items-center bg-slate-900 text-white">
+          <h2 className="text-xl font-black italic tracking-tighter uppercase">Import Tracking</h2>
+          <button onClick={onClose} disabled={isUploading} className="p-2 hover:bg-white/10 rounded-xl disabled:opacity-30"><XMarkIcon className="h-5 w-5" /></button>
+        </div>
+        <div className="p-6 space-y-4">
+          {result ? (
+            <>
+              <div className="flex items-center gap-3 p-4 bg-success/10 rounded-2xl">
+                <CheckCircleIcon className="h-6 w-6 text-success" />
+                <p className="text-sm font-bold text-slate-700">{result.updated} pesanan dikemaskini, {result.shipped} ditanda shipped.</p>
+              </div>
+              {result.errors.length > 0 && (
+                <ul className="max-h-60 overflow-y-auto divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+                  {result.errors.map(error => (
+                    <li key={error.line} className="p-3 flex items-start gap-2 text-xs">
+                      <ExclamationCircleIcon className="h-4 w-4 text-danger flex-shrink-0" />
+                      <span><span className="font-black">Baris {error.line}</span> {error.order_number && `(${error.order_number})`}: {error.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button onClick={onClose} className="w-full btn-modern bg-slate-900 text-white">Tutup</button>
+            </>
+          ) : (
+            <form onSubmit={handleUpload} className="space-y-4">
+              <p className="text-sm text-slate-500">
+                Lajur: <span className="font-mono text-xs">order_number, courier, tracking_number, shipped_at</span> (pilihan).
+                Kurier: {COURIERS.map(c => c.label).join(', ')}.
+              </p>
+              <button
+                type="button"
+                onClick={() => saveBlob(new Blob([TEMPLATE], { type: 'text/csv' }), 'tracking_template.csv')}
+                className="text-xs font-black text-brand-600 underline"
+              >
+                Muat turun templat
+              </button>
+              <input id="tracking_file" type="file" accept=".csv,text/csv" className="input-modern" onChange={e => setFile(e.target.files[0] || null)} />
+              <button type="submit" disabled={isUploading} className="w-full btn-modern btn-modern-primary disabled:opacity-50">
+                <ArrowUpTrayIcon className="h-4 w-4" /> {isUploading ? 'Memuat naik...' : 'Muat Naik'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
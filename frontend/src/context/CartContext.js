@@ -1,56 +1,366 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
 import toast from 'react-hot-toast';
+import api from '../api';
+import { useAuth } from './AuthContext';
+import { variantPrice, availableStock } from '../utils/variants';
 
 const CartContext = createContext();
 
 export const useCart = () => useContext(CartContext);
 
+// Identifies a cart line: a product, or one variant of it
+export const cartLineKey = (item) => item.variant_id ? `${item.id}:${item.variant_id}` : String(item.id);
+
+const DEFAULT_DRAFT_NAME = 'Troli Utama';
+const SAVE_DELAY = 800; // ms to wait after the last change before saving to the server
+
+/**
+ * Cart state backed by per-user drafts saved through /cart-drafts.
+ *
+ * Each draft is a named cart (e.g. "Phone order – Pn. Aminah"). The original
+ * cart API (cart, addToCart, updateQuantity, subtotal...) always operates on
+ * the active draft, so existing consumers keep working unchanged.
+ *
+ * Lines are identified by cartLineKey(): products with variants get one
+ * line per variant, carrying the variant's SKU, price and stock.
+ */
 export const CartProvider = ({ children }) => {
-  const [cart, setCart] = useState([]);
+  const { user } = useAuth();
+  const [drafts, setDrafts] = useState([]);
+  const [activeDraftId, setActiveDraftId] = useState(null);
   const [isCartOpen, setIsCartOpen] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [cartIssues, setCartIssues] = useState({});
+  const [isValidating, setIsValidating] = useState(false);
+  const pendingSaves = useRef({});
 
-  // Load cart from local storage
+  const activeKey = user ? `cart_active_draft_${user.id}` : null;
+  const activeDraft = drafts.find(d => d.id === activeDraftId) || null;
+  const cart = activeDraft?.items || [];
+  const cartRef = useRef(cart);
+  cartRef.current = cart;
+
+  // Load drafts from the server whenever the logged-in user changes
   useEffect(() => {
-    const savedCart = localStorage.getItem('cart');
-    if (savedCart) setCart(JSON.parse(savedCart));
+    if (!user) {
+      setDrafts([]);
+      setActiveDraftId(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadDrafts = async () => {
+      try {
+        const res = await api.get('/cart-drafts');
+        let list = res.data.data;
+
+        // First run: seed a draft, carrying over any legacy localStorage cart
+        if (list.length === 0) {
+          const legacy = JSON.parse(localStorage.getItem('cart') || '[]');
+          const created = await api.post('/cart-drafts', { name: DEFAULT_DRAFT_NAME, items: legacy });
+          list = [created.data.data];
+        }
+        localStorage.removeItem('cart');
+
+        if (cancelled) return;
+
+        const savedActive = parseInt(localStorage.getItem(`cart_active_draft_${user.id}`), 10);
+        setDrafts(list);
+        setActiveDraftId(list.some(d => d.id === savedActive) ? savedActive : list[0].id);
+      } catch (err) {
+        console.error('Failed to load cart drafts:', err);
+      }
+    };
+
+    loadDrafts();
+    return () => { cancelled = true; };
+  }, [user]);
+
+  // Remember the active draft per user on this browser
+  useEffect(() => {
+    if (activeKey && activeDraftId) localStorage.setItem(activeKey, activeDraftId);
+  }, [activeKey, activeDraftId]);
+
+  // Debounced save of a draft's items to the server
+  const scheduleSave = useCallback((draftId, items) => {
+    clearTimeout(pendingSaves.current[draftId]);
+    pendingSaves.current[draftId] = setTimeout(async () => {
+      delete pendingSaves.current[draftId];
+      setIsSaving(true);
+      try {
+        await api.put(`/cart-drafts/${draftId}`, { items });
+      } catch (err) {
+        toast.error('Gagal menyimpan draf troli');
+      } finally {
+        setIsSaving(false);
+      }
+    }, SAVE_DELAY);
   }, []);
 
-  // Save cart to local storage
+  // Flush timers on unmount so pending saves don't fire after logout
   useEffect(() => {
-    localStorage.setItem('cart', JSON.stringify(cart));
-  }, [cart]);
+    const timers = pendingSaves.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
+  // Apply an update to the active draft's items and queue a save. The new
+  // items are worked out first (cartRef carries them to a following call in
+  // the same event) so the state updater stays pure.
+  const setCart = (updater) => {
+    if (!activeDraftId) return;
+    const items = typeof updater === 'function' ? updater(cartRef.current) : updater;
+    cartRef.current = items;
+    setDrafts(prev => prev.map(d => d.id === activeDraftId ? { ...d, items } : d));
+    scheduleSave(activeDraftId, items);
+  };
+
+  // Drop resolved issues for a line (all of them, or only one type)
+  const dropIssue = (key, type = null) => {
+    setCartIssues(prev => {
+      if (!prev[key]) return prev;
+      const remaining = type ? prev[key].filter(issue => issue.type !== type) : [];
+      const next = { ...prev };
+      if (remaining.length) next[key] = remaining; else delete next[key];
+      return next;
+    });
+  };
+
+  const addToCart = (product, variant = null) => {
+    if (product.status === 'inactive') {
+      toast.error(`${product.name} telah diarkibkan`);
+      return;
+    }
+
+    if (product.has_variants && !variant) {
+      toast.error(`Pilih varian ${product.name} dahulu`);
+      return;
+    }
+
+    // The line carries the variant's SKU, price and stock in place of the product's;
+    // its stock is what's available (stock reserved for unpaid orders can't be sold)
+    const { variants, variant_options, ...base } = product;
+    const line = variant
+      ? { ...base, variant_id: variant.id, variant_name: variant.name, sku: variant.sku, price: variantPrice(product, variant), stock_quantity: availableStock(variant) }
+      : { ...base, stock_quantity: availableStock(product) };
+    const key = cartLineKey(line);
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+
+    const existing = cart.find(item => cartLineKey(item) === key);
+    const inCart = existing ? existing.quantity : 0;
+    if (inCart + 1 > line.stock_quantity) {
+      toast.error(`Stok tidak mencukupi: hanya ${line.stock_quantity} unit ${name}`);
+      return;
+    }
 
-  const addToCart = (product) => {
     setCart(prev => {
-      const existing = prev.find(item => item.id === product.id);
-      if (existing) {
-        toast.success(`Ditambah lagi: ${product.name}`);
-        return prev.map(item => 
-          item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item
+      if (prev.some(item => cartLineKey(item) === key)) {
+        return prev.map(item =>
+          cartLineKey(item) === key ? { ...item, stock_quantity: line.stock_quantity, quantity: item.quantity + 1 } : item
         );
       }
-      toast.success(`${product.name} ditambah ke troli!`);
-      return [...prev, { ...product, quantity: 1 }];
+      return [...prev, { ...line, quantity: 1 }];
     });
+    toast.success(existing ? `Ditambah lagi: ${name}` : `${name} ditambah ke troli!`);
   };
 
-  const removeFromCart = (id) => {
-    setCart(prev => prev.filter(item => item.id !== id));
+  const removeFromCart = (key) => {
+    setCart(prev => prev.filter(item => cartLineKey(item) !== key));
+    dropIssue(key);
   };
 
-  const updateQuantity = (id, q) => {
-    if (q < 1) return removeFromCart(id);
-    setCart(prev => prev.map(item => item.id === id ? { ...item, quantity: q } : item));
+  const updateQuantity = (key, q) => {
+    if (q < 1) return removeFromCart(key);
+    const item = cart.find(i => cartLineKey(i) === key);
+    // Never allow more than the last known stock level
+    const quantity = item ? Math.min(q, item.stock_quantity) : q;
+    setCart(prev => prev.map(i => cartLineKey(i) === key ? { ...i, quantity } : i));
+    if (item && quantity <= item.stock_quantity) dropIssue(key, 'stock');
   };
 
   const clearCart = () => setCart([]);
 
   const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 
+  /**
+   * Re-check every cart item against /products/{id}.
+   *
+   * Refreshes the stock snapshot used for quantity caps and flags price
+   * changes, stock shortfalls and archived/deleted products (or variants)
+   * so they can be fixed before the backend rejects the order.
+   *
+   * @returns {Promise<object>} Map of cart line key => list of issues (empty when the cart is valid)
+   */
+  const validateCart = useCallback(async () => {
+    const items = cartRef.current;
+    if (!activeDraftId || items.length === 0) {
+      setCartIssues({});
+      return {};
+    }
+
+    setIsValidating(true);
+    try {
+      const results = await Promise.all(items.map(item =>
+        api.get(`/products/${item.id}`)
+          .then(res => ({ item, product: res.data.data }))
+          .catch(err => ({ item, product: null, notFound: err.response?.status === 404 }))
+      ));
+
+      const issues = {};
+      const fresh = {};
+      results.forEach(({ item, product, notFound }) => {
+        const key = cartLineKey(item);
+        const variant = product && item.variant_id ? (product.variants || []).find(v => v.id === item.variant_id) : null;
+        const list = [];
+        if (!product || (item.variant_id && !variant)) {
+          // Network errors are not the item's fault; only flag real 404s
+          if (notFound || product) list.push({ type: 'missing' });
+        } else {
+          const current = {
+            stock_quantity: availableStock(variant || product),
+            price: variantPrice(product, variant),
+            status: variant && !variant.is_active ? 'inactive' : product.status
+          };
+          fresh[key] = current;
+          if (current.status === 'inactive') {
+            list.push({ type: 'inactive' });
+          } else {
+            if (current.stock_quantity < item.quantity) {
+              list.push({ type: 'stock', available: current.stock_quantity });
+            }
+            if (parseFloat(current.price) !== parseFloat(item.price)) {
+              list.push({ type: 'price', oldPrice: item.price, newPrice: current.price });
+            }
+          }
+        }
+        if (list.length) issues[key] = list;
+      });
+
+      // Refresh stock/status snapshots (not price: that needs staff approval),
+      // on the cart as it is now since it may have changed while checking
+      const latest = cartRef.current;
+      const stale = latest.some(i => {
+        const current = fresh[cartLineKey(i)];
+        return current && (current.stock_quantity !== i.stock_quantity || current.status !== i.status);
+      });
+      if (stale) {
+        const refreshed = latest.map(i => {
+          const current = fresh[cartLineKey(i)];
+          return current ? { ...i, stock_quantity: current.stock_quantity, status: current.status } : i;
+        });
+        cartRef.current = refreshed;
+        setDrafts(prev => prev.map(d => d.id === activeDraftId ? { ...d, items: refreshed } : d));
+        scheduleSave(activeDraftId, refreshed);
+      }
+
+      setCartIssues(issues);
+      return issues;
+    } finally {
+      setIsValidating(false);
+    }
+  }, [activeDraftId, scheduleSave]);
+
+  // Validate whenever the drawer opens (or the active draft changes while open)
+  useEffect(() => {
+    if (isCartOpen) validateCart();
+  }, [isCartOpen, validateCart]);
+
+  // One-click fix for a flagged issue
+  const fixIssue = (key, issue) => {
+    switch (issue.type) {
+      case 'price':
+        setCart(prev => prev.map(item => cartLineKey(item) === key ? { ...item, price: issue.newPrice } : item));
+        dropIssue(key, 'price');
+        break;
+      case 'stock':
+        if (issue.available > 0) {
+          setCart(prev => prev.map(item => cartLineKey(item) === key ? { ...item, quantity: issue.available } : item));
+          dropIssue(key, 'stock');
+        } else {
+          removeFromCart(key);
+        }
+        break;
+      default: // inactive, missing
+        removeFromCart(key);
+    }
+  };
+
+  // --- Draft management ---
+
+  const createDraft = async (name, items = []) => {
+    try {
+      const res = await api.post('/cart-drafts', { name, items });
+      const draft = res.data.data;
+      setDrafts(prev => [draft, ...prev]);
+      setActiveDraftId(draft.id);
+      return draft;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Gagal mencipta draf');
+      return null;
+    }
+  };
+
+  const switchDraft = (id) => {
+    setCartIssues({});
+    setActiveDraftId(id);
+  };
+
+  const renameDraft = async (id, name) => {
+    try {
+      await api.put(`/cart-drafts/${id}`, { name });
+      setDrafts(prev => prev.map(d => d.id === id ? { ...d, name } : d));
+    } catch (err) {
+      toast.error('Gagal menamakan semula draf');
+    }
+  };
+
+  const duplicateDraft = async (id) => {
+    try {
+      const res = await api.post(`/cart-drafts/${id}/duplicate`);
+      const copy = res.data.data;
+      setDrafts(prev => [copy, ...prev]);
+      setActiveDraftId(copy.id);
+      toast.success(`Draf disalin: ${copy.name}`);
+    } catch (err) {
+      toast.error('Gagal menyalin draf');
+    }
+  };
+
+  const discardDraft = async (id) => {
+    try {
+      clearTimeout(pendingSaves.current[id]);
+      delete pendingSaves.current[id];
+      await api.delete(`/cart-drafts/${id}`);
+      const remaining = drafts.filter(d => d.id !== id);
+      setDrafts(remaining);
+
+      if (remaining.length === 0) {
+        await createDraft(DEFAULT_DRAFT_NAME);
+      } else if (id === activeDraftId) {
+        setActiveDraftId(remaining[0].id);
+      }
+    } catch (err) {
+      toast.error('Gagal membuang draf');
+    }
+  };
+
+  // Called after a successful checkout: the draft has become a real order
+  const completeActiveDraft = () => {
+    if (!activeDraftId) return;
+    if (drafts.length > 1) {
+      discardDraft(activeDraftId);
+    } else {
+      clearCart();
+    }
+  };
+
   return (
-    <CartContext.Provider value={{ 
-      cart, addToCart, removeFromCart, updateQuantity, 
-      clearCart, subtotal, isCartOpen, setIsCartOpen 
+    <CartContext.Provider value={{
+      cart, addToCart, removeFromCart, updateQuantity,
+      clearCart, subtotal, isCartOpen, setIsCartOpen,
+      drafts, activeDraft, createDraft, switchDraft, renameDraft,
+      duplicateDraft, discardDraft, completeActiveDraft, isSaving,
+      cartIssues, validateCart, fixIssue, isValidating
     }}>
       {children}
     </CartContext.Provider>
@@ -4,6 +4,7 @@ import api from '../api';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 import { validators } from '../utils/validators';
+import ChannelStockDialog from '../components/ChannelStockDialog';
 import { 
   PlusIcon, 
   ArrowPathIcon,
@@ -14,15 +15,18 @@ import {
   XMarkIcon,
   KeyIcon,
   LinkIcon,
-  ExclamationCircleIcon
+  ExclamationCircleIcon,
+  BuildingStorefrontIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 
 export default function Channels() {
   const queryClient = useQueryClient();
   const [isConfigModalOpen, setIsConfigModalOpen] = useState(false);
   const [selectedChannel, setSelectedChannel] = useState(null);
-  const [apiConfig, setApiConfig] = useState({ api_endpoint: '', api_key: '' });
+  const [apiConfig, setApiConfig] = useState({ api_endpoint: '', api_key: '', reservation_hours: 24 });
   const [configErrors, setConfigErrors] = useState({});
+  const [stockChannel, setStockChannel] = useState(null);
 
   const { data: channels } = useQuery('channels', async () => {
     const res = await api.get('/channels');
@@ -58,7 +62,8 @@ export default function Channels() {
     setSelectedChannel(channel);
     setApiConfig({
       api_endpoint: channel.api_endpoint || '',
-      api_key: channel.api_key || ''
+      api_key: channel.api_key || '',
+      reservation_hours: channel.reservation_hours ?? 24
     });
     setConfigErrors({}); // Clear previous errors
     setIsConfigModalOpen(true);
@@ -84,6 +89,14 @@ export default function Channels() {
         errors.api_key = 'API Key seems too short (minimum 10 characters)';
       }
     }
+
+    // How long an unpaid (prepaid) order holds its stock before it's cancelled
+    const hoursError = validators.number(String(apiConfig.reservation_hours), 'Reservation hours', 1);
+    if (hoursError) {
+      errors.reservation_hours = hoursError;
+    } else if (!Number.isInteger(Number(apiConfig.reservation_hours)) || Number(apiConfig.reservation_hours) > 720) {
+      errors.reservation_hours = 'Reservation hours must be a whole number up to 720';
+    }
     
     setConfigErrors(errors);
     
@@ -91,7 +104,7 @@ export default function Channels() {
     if (Object.keys(errors).length === 0) {
       updateChannelMutation.mutate({
         id: selectedChannel.id,
-        data: apiConfig
+        data: { ...apiConfig, reservation_hours: parseInt(apiConfig.reservation_hours, 10) }
       });
     } else {
       toast.error('Please fix validation errors');
@@ -258,6 +271,14 @@ export default function Channels() {
                   <ArrowPathIcon className={`h-3 w-3 ${syncMutation.isLoading ? 'animate-spin' : ''}`} /> 
                   {channel.connection_status === 'disconnected' ? 'Retry' : 'Sync Now'}
                 </button>
+                <button
+                  onClick={() => setStockChannel(channel)}
+                  className="p-3 bg-white border border-slate-200 rounded-xl text-slate-400 hover:text-brand-600 transition-all"
+                  title={`Stock locations: ${channel.locations?.length ? channel.locations.map(l => l.code).join(', ') : 'All'}`}
+                  aria-label={`Stock ${channel.name}`}
+                >
+                  <BuildingStorefrontIcon className="h-4 w-4" />
+                </button>
                 <button 
                   onClick={() => openConfigModal(channel)}
                   className="p-3 bg-white border border-slate-200 rounded-xl text-slate-400 hover:text-brand-600 transition-all"
@@ -283,6 +304,8 @@ export default function Channels() {
         ))}
       </div>
 
+      {stockChannel && <ChannelStockDialog channel={stockChannel} onClose={() => setStockChannel(null)} />}
+
       {/* Configure API Modal */}
       {isConfigModalOpen && selectedChannel && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
@@ -339,6 +362,30 @@ export default function Channels() {
                   </p>
                 )}
               </div>
+              <div>
+                <label htmlFor="reservation_hours" className="text-sm font-black text-slate-400 uppercase mb-1 block flex items-center gap-2">
+                  <ClockIcon className="h-3 w-3" /> Reservation Hours
+                </label>
+                <input
+                  id="reservation_hours"
+                  type="number"
+                  min="1"
+                  max="720"
+                  className={`input-modern ${configErrors.reservation_hours ? 'border-red-500 bg-red-50' : ''}`}
+                  value={apiConfig.reservation_hours}
+                  onChange={e => {
+                    setApiConfig({...apiConfig, reservation_hours: e.target.value});
+                    setConfigErrors({...configErrors, reservation_hours: null});
+                  }}
+                />
+                {configErrors.reservation_hours ? (
+                  <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+                    <ExclamationCircleIcon className="h-3 w-3" /> {configErrors.reservation_hours}
+                  </p>
+                ) : (
+                  <p className="text-xs text-slate-400 mt-1">Unpaid orders hold their stock this long, then are cancelled</p>
+                )}
+              </div>
               <div className="bg-blue-50 border border-blue-100 rounded-xl p-4">
                 <p className="text-xs font-black text-blue-900 uppercase mb-2 flex items-center gap-2">
                   📌 Setup Guide for {selectedChannel.name}:
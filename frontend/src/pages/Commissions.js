@@ -1,8 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import api from '../api';
 import { format } from 'date-fns';
 import { useAuth } from '../context/AuthContext';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
 import toast from 'react-hot-toast';
 import { 
   CurrencyDollarIcon, 
@@ -16,22 +17,33 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContaine
 export default function Commissions() {
   const { user } = useAuth();
   const queryClient = useQueryClient();
-  const [filters, setFilters] = useState({ status: '', page: 1 });
+  const [filters, setFilters] = useState({ status: '' });
+  const { page, limit, setPage, setLimit } = usePageParams();
 
   const { data: summary } = useQuery('commission-summary', async () => {
     const res = await api.get('/commissions/summary');
     return res.data.data;
   });
 
-  const { data: transactions, isLoading } = useQuery(['commission-transactions', filters], async () => {
+  const fetchTransactions = useCallback(async (pageNumber) => {
     const params = new URLSearchParams();
     if (filters.status) params.append('status', filters.status);
-    params.append('page', filters.page);
-    params.append('limit', '20');
+    params.append('page', pageNumber);
+    params.append('limit', limit);
     const res = await api.get(`/commissions/transactions?${params.toString()}`);
     return res.data;
+  }, [filters.status, limit]);
+
+  const { data: transactions, isLoading } = useQuery(['commission-transactions', filters, page, limit], () => fetchTransactions(page), {
+    keepPreviousData: true
   });
 
+  const buildPageQuery = useCallback((nextPage) => (
+    [['commission-transactions', filters, nextPage, limit], () => fetchTransactions(nextPage)]
+  ), [filters, limit, fetchTransactions]);
+
+  usePrefetchNextPage(transactions?.pagination, buildPageQuery);
+
   const { data: leaderboard } = useQuery('commission-leaderboard', async () => {
     const res = await api.get('/commissions/leaderboard?period=month');
     return res.data.data;
@@ -189,7 +201,10 @@ export default function Commissions() {
           <select 
             className="bg-white border border-slate-200 rounded-xl text-xs font-black uppercase tracking-widest px-4 py-2 outline-none" 
             value={filters.status} 
-            onChange={e => setFilters({...filters, status: e.target.value, page: 1})}
+            onChange={e => {
+              setFilters({...filters, status: e.target.value});
+              setPage(1);
+            }}
           >
             <option value="">Semua Status</option>
             <option value="pending">Pending</option>
@@ -263,29 +278,7 @@ export default function Commissions() {
         </div>
         
         {/* Pagination */}
-        {transactions?.pagination && transactions.pagination.pages > 1 && (
-          <div className="p-6 bg-slate-50/50 border-t border-slate-50 flex items-center justify-between">
-            <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">
-              Halaman {filters.page} dari {transactions.pagination.pages}
-            </p>
-            <div className="flex gap-2">
-              <button 
-                onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
-                disabled={filters.page === 1}
-                className="px-6 py-2 text-xs font-black uppercase tracking-widest bg-white border border-slate-100 rounded-xl text-slate-600 hover:bg-slate-50 disabled:opacity-30 transition-all shadow-sm"
-              >
-                Sebelum
-              </button>
-              <button 
-                onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
-                disabled={filters.page === transactions.pagination.pages}
-                className="px-6 py-2 text-xs font-black uppercase tracking-widest bg-white border border-slate-100 rounded-xl text-slate-600 hover:bg-slate-50 disabled:opacity-30 transition-all shadow-sm"
-              >
-                Seterusnya
-              </button>
-            </div>
-          </div>
-        )}
+        <Pagination pagination={transactions?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
       </div>
     </div>
   );
@@ -0,0 +1,315 @@
+import React, { useState, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { format } from 'date-fns';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { validators } from '../utils/validators';
+import { getStatusStyle } from '../utils/orderStatus';
+import { isBlacklisted } from '../utils/customerTags';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import CustomerTagEditor from '../components/CustomerTagEditor';
+import {
+  ArrowLeftIcon,
+  UserCircleIcon,
+  PencilSquareIcon,
+  MapPinIcon,
+  GlobeAltIcon,
+  ExclamationCircleIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline';
+
+const money = (value) => `RM${parseFloat(value || 0).toFixed(2)}`;
+
+const EDITABLE_FIELDS = ['full_name', 'email', 'phone', 'address', 'city', 'state', 'postal_code', 'customer_type'];
+
+/**
+ * Customer profile: contact details (editable inline), lifetime stats,
+ * channels, shipping addresses and the full order history.
+ */
+export default function CustomerDetail() {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const { page, limit, setPage, setLimit } = usePageParams();
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState({});
+  const [formErrors, setFormErrors] = useState({});
+
+  const { data: customer, isLoading } = useQuery(['customer', id], async () => {
+    const res = await api.get(`/customers/${id}`);
+    return res.data.data;
+  });
+
+  const fetchOrders = useCallback(async (pageNumber) => {
+    const res = await api.get(`/orders?customer=${id}&page=${pageNumber}&limit=${limit}`);
+    return res.data;
+  }, [id, limit]);
+
+  const { data: orders, isLoading: isOrdersLoading } = useQuery(['orders', 'customer', id, page, limit], () => fetchOrders(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['orders', 'customer', id, nextPage, limit], () => fetchOrders(nextPage)]
+  ), [id, limit, fetchOrders]);
+
+  usePrefetchNextPage(orders?.pagination, buildPageQuery);
+
+  const updateMutation = useMutation(async (payload) => {
+    const res = await api.put(`/customers/${id}`, payload);
+    return res.data;
+  }, {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['customer', id]);
+      queryClient.invalidateQueries('customers');
+      toast.success('Maklumat pelanggan dikemaskini');
+      setIsEditing(false);
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan'));
+    }
+  });
+
+  const startEditing = () => {
+    setForm(Object.fromEntries(EDITABLE_FIELDS.map(field => [field, customer[field] || ''])));
+    setFormErrors({});
+    setIsEditing(true);
+  };
+
+  const setField = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setFormErrors({ ...formErrors, [field]: null });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    const nameError = validators.required(form.full_name, 'Full name');
+    if (nameError) errors.full_name = nameError;
+    const emailError = validators.email(form.email);
+    if (emailError) errors.email = emailError;
+    const phoneError = validators.phone(form.phone);
+    if (phoneError) errors.phone = phoneError;
+    const addressError = validators.required(form.address, 'Address');
+    if (addressError) errors.address = addressError;
+
+    setFormErrors(errors);
+
+    if (Object.keys(errors).length === 0) {
+      updateMutation.mutate(form);
+    } else {
+      toast.error('Please fix validation errors');
+    }
+  };
+
+  if (isLoading) return <div className="flex items-center justify-center h-[60vh]"><div className="spinner"></div></div>;
+  if (!customer) return <div className="text-center py-12 text-slate-500">Pelanggan tidak dijumpai</div>;
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+  const fieldError = (field) => formErrors[field] && (
+    <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+      <ExclamationCircleIcon className="h-3 w-3" /> {formErrors[field]}
+    </p>
+  );
+  const inputClass = (field) => `input-modern ${formErrors[field] ? 'border-red-500 bg-red-50' : ''}`;
+
+  const stats = [
+    { label: 'Jumlah Pesanan', value: customer.stats.order_count },
+    { label: 'Jumlah Belanja', value: money(customer.stats.lifetime_spend) },
+    { label: 'Purata Pesanan', value: money(customer.stats.average_order_value) },
+    { label: 'Pesanan Terakhir', value: customer.stats.last_order_at ? format(new Date(customer.stats.last_order_at), 'dd MMM yyyy') : '-' }
+  ];
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex items-center gap-4">
+        <Link to="/customers" className="p-3 bg-white rounded-2xl shadow-soft hover:bg-slate-50 transition-all"><ArrowLeftIcon className="h-5 w-5 text-slate-600" /></Link>
+        <div>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">{customer.full_name}</h1>
+          <p className="mt-1 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">
+            Pelanggan sejak {format(new Date(customer.created_at), 'dd MMM yyyy')} · <span className="text-brand-600">{customer.customer_type}</span>
+          </p>
+        </div>
+      </div>
+
+      {isBlacklisted(customer) && (
+        <div className="flex items-center gap-3 p-4 bg-danger/10 rounded-2xl text-danger">
+          <NoSymbolIcon className="h-6 w-6" />
+          <p className="text-sm font-black">Pelanggan ini disenarai hitam.</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+        {stats.map(stat => (
+          <div key={stat.label} className="premium-card p-6 border-none shadow-soft">
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{stat.label}</p>
+            <p className="mt-2 text-2xl font-black text-slate-900 tracking-tighter">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 space-y-8">
+          <div className="table-container">
+            <div className="p-6 border-b border-slate-50 font-black text-slate-900 uppercase text-xs tracking-widest">Sejarah Pesanan</div>
+            <table className="modern-table w-full">
+              <thead>
+                <tr>
+                  <th>No. Pesanan</th><th>Saluran</th><th className="text-right">Jumlah</th><th className="text-center">Status</th><th>Tarikh</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-50">
+                {isOrdersLoading ? <tr><td colSpan="5" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+                  orders?.data?.length === 0 ? <tr><td colSpan="5" className="py-12 text-center text-sm font-bold text-slate-400">Tiada pesanan lagi.</td></tr> :
+                  orders?.data?.map(order => (
+                    <tr key={order.id}>
+                      <td><Link to={`/orders/${order.id}`} className="text-sm font-black text-brand-600 hover:underline">#{order.order_number}</Link></td>
+                      <td className="text-sm font-bold text-slate-600">{order.channel_name}</td>
+                      <td className="text-right text-sm font-black text-slate-900">{money(order.total)}</td>
+                      <td className="text-center"><span className={`status-badge text-[11px] ${getStatusStyle(order.status)}`}>{order.status}</span></td>
+                      <td className="text-sm text-slate-500 font-bold">{format(new Date(order.created_at), 'dd MMM yyyy')}</td>
+                    </tr>
+                  ))
+                }
+              </tbody>
+            </table>
+            <Pagination pagination={orders?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+          </div>
+        </div>
+
+        <div className="space-y-8">
+          <div className="premium-card p-6 border-none shadow-soft">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-3">
+                <UserCircleIcon className="h-6 w-6 text-brand-600" />
+                <h3 className="text-lg font-black text-slate-900">Maklumat Hubungan</h3>
+              </div>
+              {!isEditing && (
+                <button onClick={startEditing} className="p-2 text-slate-400 hover:text-brand-600" title="Edit Customer"><PencilSquareIcon className="h-4 w-4" /></button>
+              )}
+            </div>
+
+            {isEditing ? (
+              <form onSubmit={handleSave} className="space-y-3">
+                <div>
+                  <label htmlFor="customer_full_name" className={labelClass}>Full Name</label>
+                  <input id="customer_full_name" type="text" className={inputClass('full_name')} value={form.full_name} onChange={e => setField('full_name', e.target.value)} />
+                  {fieldError('full_name')}
+                </div>
+                <div>
+                  <label htmlFor="customer_email" className={labelClass}>Email</label>
+                  <input id="customer_email" type="email" className={inputClass('email')} value={form.email} onChange={e => setField('email', e.target.value)} />
+                  {fieldError('email')}
+                </div>
+                <div>
+                  <label htmlFor="customer_phone" className={labelClass}>Phone Number</label>
+                  <input id="customer_phone" type="text" className={inputClass('phone')} value={form.phone} onChange={e => setField('phone', e.target.value)} />
+                  {fieldError('phone')}
+                </div>
+                <div>
+                  <label htmlFor="customer_address" className={labelClass}>Alamat</label>
+                  <textarea id="customer_address" rows="2" className={inputClass('address')} value={form.address} onChange={e => setField('address', e.target.value)} />
+                  {fieldError('address')}
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="customer_city" className={labelClass}>Bandar</label>
+                    <input id="customer_city" type="text" className="input-modern" value={form.city} onChange={e => setField('city', e.target.value)} />
+                  </div>
+                  <div>
+                    <label htmlFor="customer_postal_code" className={labelClass}>Poskod</label>
+                    <input id="customer_postal_code" type="text" maxLength={10} className="input-modern" value={form.postal_code} onChange={e => setField('postal_code', e.target.value)} />
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="customer_state" className={labelClass}>Negeri</label>
+                  <input id="customer_state" type="text" className="input-modern" value={form.state} onChange={e => setField('state', e.target.value)} />
+                </div>
+                <div>
+                  <label htmlFor="customer_type" className={labelClass}>Jenis Pelanggan</label>
+                  <select id="customer_type" className="input-modern" value={form.customer_type} onChange={e => setField('customer_type', e.target.value)}>
+                    <option value="retail">Retail</option>
+                    <option value="wholesale">Wholesale</option>
+                    <option value="vip">VIP</option>
+                  </select>
+                </div>
+                <div className="flex gap-3 pt-2">
+                  <button type="button" onClick={() => setIsEditing(false)} className="flex-1 btn-modern bg-white border border-slate-200 text-slate-600">Batal</button>
+                  <button type="submit" disabled={updateMutation.isLoading} className="flex-1 btn-modern btn-modern-primary">
+                    {updateMutation.isLoading ? 'Menyimpan...' : 'Simpan'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="space-y-3">
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Email</p>
+                  <p className="text-sm font-bold text-slate-900">{customer.email}</p>
+                </div>
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Telefon</p>
+                  <p className="text-sm font-bold text-slate-900">{customer.phone}</p>
+                </div>
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Alamat Utama</p>
+                  <p className="text-xs text-slate-600 font-medium leading-relaxed">
+                    {[customer.address, customer.postal_code, customer.city, customer.state].filter(Boolean).join(', ')}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <CustomerTagEditor customer={customer} />
+
+          <div className="premium-card p-6 border-none shadow-soft">
+            <div className="flex items-center gap-3 mb-4">
+              <GlobeAltIcon className="h-6 w-6 text-brand-600" />
+              <h3 className="text-lg font-black text-slate-900">Saluran Jualan</h3>
+            </div>
+            {customer.channels.length === 0 ? (
+              <p className="text-sm text-slate-400 font-medium">Belum ada pesanan.</p>
+            ) : (
+              <div className="space-y-3">
+                {customer.channels.map(channel => (
+                  <div key={channel.id} className="flex justify-between items-center">
+                    <div>
+                      <p className="text-sm font-black text-slate-900">{channel.name}</p>
+                      <p className="text-[10px] font-bold text-slate-400 uppercase">{channel.order_count} pesanan</p>
+                    </div>
+                    <p className="text-sm font-black text-brand-600">{money(channel.spend)}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="premium-card p-6 border-none shadow-soft">
+            <div className="flex items-center gap-3 mb-4">
+              <MapPinIcon className="h-6 w-6 text-brand-600" />
+              <h3 className="text-lg font-black text-slate-900">Alamat Penghantaran</h3>
+            </div>
+            {customer.addresses.length === 0 ? (
+              <p className="text-sm text-slate-400 font-medium">Belum ada pesanan.</p>
+            ) : (
+              <div className="space-y-3">
+                {customer.addresses.map((address, i) => (
+                  <div key={i} className="p-4 bg-slate-50 rounded-xl">
+                    <p className="text-xs text-slate-600 font-medium leading-relaxed">
+                      {[address.address, address.postal_code, address.city, address.state].filter(Boolean).join(', ')}
+                    </p>
+                    <p className="text-[10px] font-bold text-slate-400 uppercase mt-1">
+                      {address.order_count} pesanan · terakhir {format(new Date(address.last_used_at), 'dd MMM yyyy')}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
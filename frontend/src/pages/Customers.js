@@ -1,31 +1,74 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import api from '../api';
+import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { validators } from '../utils/validators';
+import { downloadFromApi } from '../utils/download';
+import { useAuth } from '../context/AuthContext';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import CustomerImportDialog from '../components/CustomerImportDialog';
+import CustomerMergeDialog from '../components/CustomerMergeDialog';
+import CustomerSegmentDialog from '../components/CustomerSegmentDialog';
+import CustomerTagBadges from '../components/CustomerTagBadges';
 import { 
   PlusIcon, 
   MagnifyingGlassIcon,
   XMarkIcon,
-  ExclamationCircleIcon
+  ExclamationCircleIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  ArrowsPointingInIcon,
+  FunnelIcon
 } from '@heroicons/react/24/outline';
 
 export default function Customers() {
+  const { user } = useAuth();
+  const canEdit = ['admin', 'staff'].includes(user?.role);
   const [search, setSearch] = useState('');
-  const [page] = useState(1);
+  const [tag, setTag] = useState('');
+  const [segment, setSegment] = useState('');
+  const { page, limit, setPage, setLimit } = usePageParams();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  const [showImport, setShowImport] = useState(false);
+  const [showMerge, setShowMerge] = useState(false);
+  const [showSegments, setShowSegments] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
   const queryClient = useQueryClient();
 
   const [formData, setFormData] = useState({
     full_name: '', email: '', phone: '', address: '', city: '', state: '', postal_code: ''
   });
 
-  const { data, isLoading } = useQuery(['customers', search, page], async () => {
-    const res = await api.get(`/customers?search=${search}&page=${page}&limit=20`);
+  const fetchCustomers = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ search, page: pageNumber, limit });
+    if (tag) params.set('tag', tag);
+    if (segment) params.set('segment', segment);
+    const res = await api.get(`/customers?${params}`);
     return res.data;
+  }, [search, tag, segment, limit]);
+
+  const { data, isLoading } = useQuery(['customers', search, tag, segment, page, limit], () => fetchCustomers(page), {
+    keepPreviousData: true
   });
 
+  const buildPageQuery = useCallback((nextPage) => (
+    [['customers', search, tag, segment, nextPage, limit], () => fetchCustomers(nextPage)]
+  ), [search, tag, segment, limit, fetchCustomers]);
+
+  const { data: tags } = useQuery('customer-tags', async () => {
+    const res = await api.get('/customer-tags');
+    return res.data.data;
+  }, { enabled: canEdit });
+
+  const { data: segments } = useQuery('customer-segments', async () => {
+    const res = await api.get('/customer-segments');
+    return res.data.data;
+  }, { enabled: canEdit });
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
   const addCustomerMutation = useMutation(async (data) => {
     return await api.post('/customers', data);
   }, {
@@ -38,6 +81,17 @@ export default function Customers() {
     onError: (err) => toast.error(err.response?.data?.message || 'Gagal mendaftar pelanggan')
   });
 
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await downloadFromApi('/customers/export', {}, 'Customers.csv');
+    } catch (err) {
+      toast.error('Gagal mengeksport pelanggan');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleSubmitCustomer = (e) => {
     e.preventDefault();
     
@@ -72,16 +126,50 @@ export default function Customers() {
           <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Customer <span className="text-brand-600">Database</span></h1>
           <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Pangkalan data pelanggan sistem</p>
         </div>
-        <button onClick={() => setIsModalOpen(true)} className="btn-modern btn-modern-primary">
-          <PlusIcon className="h-4 w-4" /> Daftar Pelanggan
-        </button>
+        <div className="flex gap-3">
+          {user?.role === 'admin' && (
+            <button onClick={() => setShowMerge(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+              <ArrowsPointingInIcon className="h-4 w-4" /> Gabung Pendua
+            </button>
+          )}
+          {canEdit && (
+            <>
+              <button onClick={() => setShowImport(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+                <ArrowUpTrayIcon className="h-4 w-4" /> Import CSV
+              </button>
+              <button onClick={handleExport} disabled={isExporting} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+                <ArrowDownTrayIcon className="h-4 w-4" /> {isExporting ? 'Mengeksport...' : 'Export CSV'}
+              </button>
+            </>
+          )}
+          <button onClick={() => setIsModalOpen(true)} className="btn-modern btn-modern-primary">
+            <PlusIcon className="h-4 w-4" /> Daftar Pelanggan
+          </button>
+        </div>
       </div>
 
-      <div className="premium-card p-4 border-none shadow-soft">
-        <div className="relative w-full">
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className={`relative w-full ${canEdit ? 'md:col-span-2' : 'md:col-span-4'}`}>
           <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
-          <input type="text" className="input-modern pl-11" placeholder="Cari pelanggan..." value={search} onChange={(e) => setSearch(e.target.value)} />
+          <input type="text" className="input-modern pl-11" placeholder="Cari pelanggan..." value={search} onChange={(e) => { setSearch(e.target.value); if (page !== 1) setPage(1); }} />
         </div>
+        {canEdit && (
+          <>
+            <select aria-label="Tag" className="input-modern" value={tag} onChange={(e) => { setTag(e.target.value); if (page !== 1) setPage(1); }}>
+              <option value="">Semua Tag</option>
+              {tags?.map(t => <option key={t.id} value={t.id}>{t.name} ({t.customer_count})</option>)}
+            </select>
+            <div className="flex gap-2">
+              <select aria-label="Segment" className="input-modern" value={segment} onChange={(e) => { setSegment(e.target.value); if (page !== 1) setPage(1); }}>
+                <option value="">Semua Segmen</option>
+                {segments?.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+              <button onClick={() => setShowSegments(true)} className="p-3 rounded-xl bg-slate-50 text-slate-500 hover:text-brand-600" title="Manage Segments">
+                <FunnelIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </>
+        )}
       </div>
 
       <div className="table-container">
@@ -102,8 +190,9 @@ export default function Customers() {
                     <div className="flex items-center gap-3">
                       <div className="h-10 w-10 rounded-full bg-slate-100 flex items-center justify-center text-slate-400 font-black text-xs">{c.full_name.charAt(0)}</div>
                       <div>
-                        <p className="text-sm font-black text-slate-900">{c.full_name}</p>
+                        <Link to={`/customers/${c.id}`} className="text-sm font-black text-slate-900 hover:text-brand-600">{c.full_name}</Link>
                         <p className="text-xs text-slate-400 font-bold">{c.email}</p>
+                        <CustomerTagBadges tags={c.tags} />
                       </div>
                     </div>
                   </td>
@@ -117,8 +206,21 @@ export default function Customers() {
             }
           </tbody>
         </table>
+        <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
       </div>
 
+      {showImport && (
+        <CustomerImportDialog onClose={() => setShowImport(false)} onImported={() => queryClient.invalidateQueries('customers')} />
+      )}
+
+      {showSegments && (
+        <CustomerSegmentDialog onClose={() => { setShowSegments(false); queryClient.invalidateQueries('customers'); }} />
+      )}
+
+      {showMerge && (
+        <CustomerMergeDialog onClose={() => setShowMerge(false)} onMerged={() => queryClient.invalidateQueries('customers')} />
+      )}
+
       {/* Modal Add Customer */}
       {isModalOpen && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
@@ -0,0 +1,141 @@
+import React, { useState, useCallback } from 'react';
+import { useQuery } from 'react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import api from '../api';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import StockAdjustDialog from '../components/StockAdjustDialog';
+import { TRANSACTION_TYPES } from '../utils/inventory';
+import { MagnifyingGlassIcon, AdjustmentsHorizontalIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+export default function Inventory() {
+  const [search, setSearch] = useState('');
+  const [type, setType] = useState('');
+  const [locationId, setLocationId] = useState('');
+  const [showAdjust, setShowAdjust] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const productId = searchParams.get('product_id') || '';
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const fetchLedger = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (search) params.set('search', search);
+    if (type) params.set('type', type);
+    if (locationId) params.set('location_id', locationId);
+    if (productId) params.set('product_id', productId);
+    const res = await api.get(`/inventory/transactions?${params}`);
+    return res.data;
+  }, [search, type, locationId, productId, limit]);
+
+  const { data, isLoading } = useQuery(['inventory-ledger', search, type, locationId, productId, page, limit], () => fetchLedger(page), {
+    keepPreviousData: true
+  });
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['inventory-ledger', search, type, locationId, productId, nextPage, limit], () => fetchLedger(nextPage)]
+  ), [search, type, locationId, productId, limit, fetchLedger]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  const filterProduct = (id) => {
+    const next = new URLSearchParams(searchParams);
+    if (id) next.set('product_id', id); else next.delete('product_id');
+    next.delete('page');
+    setSearchParams(next);
+  };
+
+  const filteredProductName = productId && data?.data?.[0]?.product_name;
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-end gap-4">
+        <div>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Stock <span className="text-brand-600">Ledger</span></h1>
+          <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Setiap pergerakan stok dan baki selepasnya</p>
+        </div>
+        <button onClick={() => setShowAdjust(true)} className="btn-modern btn-modern-primary">
+          <AdjustmentsHorizontalIcon className="h-4 w-4" /> Laraskan Stok
+        </button>
+      </div>
+
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="relative md:col-span-2">
+          <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <input type="text" className="input-modern pl-11" placeholder="Cari produk, SKU, no. pesanan atau sebab..." value={search} onChange={(e) => { setSearch(e.target.value); if (page !== 1) setPage(1); }} />
+        </div>
+        <select aria-label="Movement Type" className="input-modern" value={type} onChange={(e) => { setType(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Pergerakan</option>
+          {Object.entries(TRANSACTION_TYPES).map(([value, t]) => <option key={value} value={value}>{t.label}</option>)}
+        </select>
+        <select aria-label="Location" className="input-modern" value={locationId} onChange={(e) => { setLocationId(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Lokasi</option>
+          {locations?.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+        </select>
+        {productId && (
+          <div className="md:col-span-4">
+            <button onClick={() => filterProduct(null)} className="status-badge bg-brand-50 text-brand-600 flex items-center gap-1">
+              Produk: {filteredProductName || `#${productId}`} <XMarkIcon className="h-3 w-3" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>Tarikh</th>
+              <th>Produk</th>
+              <th>Pergerakan</th>
+              <th>Lokasi</th>
+              <th className="text-right">Kuantiti</th>
+              <th className="text-right">Baki</th>
+              <th>Rujukan & Sebab</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {isLoading ? <tr><td colSpan="7" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              data?.data?.length === 0 ? <tr><td colSpan="7" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada pergerakan stok dijumpai</td></tr> :
+              data?.data?.map(t => {
+                const typeStyle = TRANSACTION_TYPES[t.transaction_type] || TRANSACTION_TYPES.adjustment;
+                return (
+                  <tr key={t.id} className="hover:bg-slate-50/50 transition-all">
+                    <td className="text-xs font-bold text-slate-500 whitespace-nowrap">{format(new Date(t.created_at), 'dd MMM yyyy, HH:mm')}</td>
+                    <td>
+                      <button onClick={() => filterProduct(t.product_id)} className="text-sm font-black text-slate-900 hover:text-brand-600 text-left" title="Show this product only">
+                        {t.product_name}{t.variant_name && ` (${t.variant_name})`}
+                      </button>
+                      <p className="text-xs text-slate-400 font-bold">{t.variant_sku || t.product_sku}</p>
+                    </td>
+                    <td><span className={`status-badge ${typeStyle.className}`}>{typeStyle.label}</span></td>
+                    <td className="text-xs font-black text-slate-500" title={t.location_name}>{t.location_code || '-'}</td>
+                    <td className={`text-right text-sm font-black ${t.quantity > 0 ? 'text-success' : 'text-danger'}`}>{t.quantity > 0 ? `+${t.quantity}` : t.quantity}</td>
+                    <td className="text-right text-sm font-black text-slate-900">{t.balance_after}</td>
+                    <td>
+                      {t.order_number ? (
+                        <Link to={`/orders/${t.reference_id}`} className="text-sm font-black text-brand-600 hover:underline">{t.order_number}</Link>
+                      ) : t.reference_type === 'transfer' ? (
+                        <Link to="/stock-transfers" className="text-xs font-black text-brand-600 hover:underline uppercase">Pindahan</Link>
+                      ) : (
+                        <p className="text-xs font-black text-slate-400 uppercase">Manual</p>
+                      )}
+                      <p className="text-xs text-slate-500 max-w-xs truncate">{t.notes}{t.created_by_name && ` · ${t.created_by_name}`}</p>
+                    </td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+        </table>
+        <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+      </div>
+
+      {showAdjust && <StockAdjustDialog onClose={() => setShowAdjust(false)} />}
+    </div>
+  );
+}
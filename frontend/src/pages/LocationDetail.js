@@ -0,0 +1,159 @@
+import React, { useState, useCallback } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import LocationDialog from '../components/LocationDialog';
+import { ArrowLeftIcon, MagnifyingGlassIcon, PencilSquareIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Stock location: the stock held there with a low-stock threshold per
+ * row (blank uses the product's threshold).
+ */
+export default function LocationDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [lowOnly, setLowOnly] = useState(false);
+  const [thresholds, setThresholds] = useState({});
+  const [isEditing, setIsEditing] = useState(false);
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const fetchLocation = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (search) params.set('search', search);
+    if (lowOnly) params.set('low', '1');
+    const res = await api.get(`/locations/${id}?${params}`);
+    return res.data;
+  }, [id, search, lowOnly, limit]);
+
+  const { data, isLoading } = useQuery(['location', id, search, lowOnly, page, limit], () => fetchLocation(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['location', id, search, lowOnly, nextPage, limit], () => fetchLocation(nextPage)]
+  ), [id, search, lowOnly, limit, fetchLocation]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  const deleteMutation = useMutation(async () => api.delete(`/locations/${id}`), {
+    onSuccess: () => {
+      toast.success('Lokasi dipadam');
+      queryClient.invalidateQueries('locations');
+      queryClient.invalidateQueries('location-options');
+      navigate('/locations');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Gagal memadam lokasi')
+  });
+
+  const saveThreshold = async (row) => {
+    if (!(row.id in thresholds)) return;
+    const value = thresholds[row.id];
+    const threshold = value === '' ? null : parseInt(value, 10);
+    if (threshold !== null && (isNaN(threshold) || threshold < 0)) return toast.error('Had stok mesti 0 atau lebih');
+
+    try {
+      await api.put(`/locations/${id}/stock/${row.id}`, { low_stock_threshold: threshold });
+      const { [row.id]: _saved, ...rest } = thresholds;
+      setThresholds(rest);
+      queryClient.invalidateQueries(['location', id]);
+      queryClient.invalidateQueries('locations');
+      queryClient.invalidateQueries('products');
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan had stok'));
+    }
+  };
+
+  const location = data?.data?.location;
+
+  if (isLoading && !data) return <div className="flex items-center justify-center h-[60vh]"><div className="spinner"></div></div>;
+  if (!location) return <div className="text-center py-12 text-slate-500">Lokasi tidak dijumpai</div>;
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+        <div className="flex items-center gap-4">
+          <Link to="/locations" className="p-3 bg-white rounded-2xl shadow-soft hover:bg-slate-50 transition-all"><ArrowLeftIcon className="h-5 w-5 text-slate-600" /></Link>
+          <div>
+            <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">{location.name}</h1>
+            <p className="mt-1 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">
+              {location.code} · {location.type === 'store' ? 'Kedai' : 'Gudang'}{location.is_default ? ' · Utama' : ''} · <span className={location.is_active ? 'text-success' : 'text-slate-400'}>{location.is_active ? 'Aktif' : 'Tidak Aktif'}</span>
+            </p>
+            {location.address && <p className="mt-1 text-xs font-bold text-slate-400">{location.address}</p>}
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <button onClick={() => setIsEditing(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+            <PencilSquareIcon className="h-4 w-4" /> Edit
+          </button>
+          {user?.role === 'admin' && !location.is_default && (
+            <button
+              onClick={() => { if (window.confirm(`Padam ${location.name}?`)) deleteMutation.mutate(); }}
+              className="btn-modern bg-white border border-slate-200 text-red-600 hover:bg-red-50"
+            >
+              <TrashIcon className="h-4 w-4" /> Padam
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="relative md:col-span-2">
+          <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <input type="text" className="input-modern pl-11" placeholder="Cari nama produk atau SKU..." value={search} onChange={(e) => { setSearch(e.target.value); if (page !== 1) setPage(1); }} />
+        </div>
+        <label className="flex items-center gap-2 text-sm font-bold text-slate-600">
+          <input type="checkbox" className="rounded border-slate-300 text-brand-600" checked={lowOnly} onChange={e => { setLowOnly(e.target.checked); if (page !== 1) setPage(1); }} />
+          Stok rendah sahaja
+        </label>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>Produk</th>
+              <th className="text-right">Stok</th>
+              <th className="text-right">Had Stok Rendah</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {data.data.stock.length === 0 ? <tr><td colSpan="3" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada stok di lokasi ini</td></tr> :
+              data.data.stock.map(row => (
+                <tr key={row.id} className="hover:bg-slate-50/50 transition-all">
+                  <td>
+                    <p className="text-sm font-black text-slate-900">{row.sku}</p>
+                    <p className="text-xs text-slate-400 font-bold">{row.name}{row.variant_name && ` (${row.variant_name})`}</p>
+                  </td>
+                  <td className={`text-right text-sm font-black ${row.is_low ? 'text-danger' : 'text-slate-900'}`}>{row.quantity}</td>
+                  <td className="text-right">
+                    <input
+                      aria-label={`${row.sku} Threshold`}
+                      type="number"
+                      min="0"
+                      className="input-modern text-sm w-24 text-right ml-auto"
+                      placeholder={String(row.product_threshold)}
+                      value={row.id in thresholds ? thresholds[row.id] : (row.low_stock_threshold ?? '')}
+                      onChange={e => setThresholds({ ...thresholds, [row.id]: e.target.value })}
+                      onBlur={() => saveThreshold(row)}
+                      onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                    />
+                  </td>
+                </tr>
+              ))
+            }
+          </tbody>
+        </table>
+        <Pagination pagination={data.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+      </div>
+
+      {isEditing && <LocationDialog location={location} onClose={() => setIsEditing(false)} />}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../api';
+import LocationDialog from '../components/LocationDialog';
+import { PlusIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+
+export default function Locations() {
+  const navigate = useNavigate();
+  const [isAdding, setIsAdding] = useState(false);
+
+  const { data: locations, isLoading } = useQuery('locations', async () => {
+    const res = await api.get('/locations');
+    return res.data.data;
+  });
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-end gap-4">
+        <div>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Stock <span className="text-brand-600">Locations</span></h1>
+          <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Gudang dan kedai yang memegang stok</p>
+        </div>
+        <div className="flex gap-3">
+          <Link to="/stock-transfers" className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+            <ArrowsRightLeftIcon className="h-4 w-4" /> Pindahan Stok
+          </Link>
+          <button onClick={() => setIsAdding(true)} className="btn-modern btn-modern-primary">
+            <PlusIcon className="h-4 w-4" /> Tambah Lokasi
+          </button>
+        </div>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>Lokasi</th>
+              <th>Jenis</th>
+              <th className="text-right">Unit</th>
+              <th className="text-right">SKU</th>
+              <th className="text-right">Stok Rendah</th>
+              <th className="text-right">Pindahan Masuk</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {isLoading ? <tr><td colSpan="6" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              locations?.length === 0 ? <tr><td colSpan="6" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada lokasi dijumpai</td></tr> :
+              locations?.map(l => (
+                <tr key={l.id} className={`hover:bg-slate-50/50 transition-all ${l.is_active ? '' : 'opacity-50'}`}>
+                  <td>
+                    <Link to={`/locations/${l.id}`} className="text-sm font-black text-brand-600 hover:underline">{l.name}</Link>
+                    <p className="text-[10px] font-black text-slate-400 uppercase">
+                      {l.code}{l.is_default ? ' · Utama' : ''}{!l.is_active ? ' · Tidak Aktif' : ''}
+                    </p>
+                  </td>
+                  <td className="text-sm font-bold text-slate-600">{l.type === 'store' ? 'Kedai' : 'Gudang'}</td>
+                  <td className="text-right text-sm font-black text-slate-900">{l.units}</td>
+                  <td className="text-right text-sm font-bold text-slate-600">{l.sku_count}</td>
+                  <td className="text-right">
+                    {l.low_count > 0
+                      ? <span className="status-badge bg-danger/10 text-danger">{l.low_count}</span>
+                      : <span className="text-sm font-bold text-slate-400">0</span>}
+                  </td>
+                  <td className="text-right text-sm font-bold text-slate-600">{l.incoming_transfers}</td>
+                </tr>
+              ))
+            }
+          </tbody>
+        </table>
+      </div>
+
+      {isAdding && <LocationDialog onClose={() => setIsAdding(false)} onSaved={(location) => navigate(`/locations/${location.id}`)} />}
+    </div>
+  );
+}
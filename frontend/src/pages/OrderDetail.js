@@ -4,46 +4,96 @@ import { useQuery, useMutation, useQueryClient } from 'react-query';
 import api from '../api';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
+import { getStatusStyle } from '../utils/orderStatus';
+import { printOrderDocuments } from '../utils/printDocuments';
+import { useAuth } from '../context/AuthContext';
+import OrderReturns from '../components/OrderReturns';
+import OrderEditor from '../components/OrderEditor';
+import OrderShipment, { ShipmentFields } from '../components/OrderShipment';
+import OrderLocation from '../components/OrderLocation';
 import { 
   ArrowLeftIcon,
   UserCircleIcon,
   ShieldCheckIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  DocumentTextIcon,
+  ClipboardDocumentListIcon,
+  TagIcon,
+  PencilSquareIcon
 } from '@heroicons/react/24/outline';
 
+// Timeline dot colour per event type (see OrderController::timeline)
+const TIMELINE_DOT_STYLES = {
+  created: 'bg-brand-600 border-brand-50',
+  status: 'bg-info border-info/10',
+  payment: 'bg-success border-success/10',
+  stock_deducted: 'bg-warning border-warning/10',
+  stock_restored: 'bg-purple-500 border-purple-100',
+  commission: 'bg-slate-900 border-slate-100',
+  return: 'bg-danger border-danger/10',
+  edit: 'bg-brand-400 border-brand-50',
+  reservation: 'bg-amber-400 border-amber-100'
+};
+
+// Items, amounts and address can be edited until fulfilment starts (Order::EDITABLE_STATUSES)
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
 export default function OrderDetail() {
   const { id } = useParams();
   const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const canEdit = ['admin', 'staff'].includes(user?.role);
   const [selectedStatus, setSelectedStatus] = useState('');
+  const [changeNotes, setChangeNotes] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [shipment, setShipment] = useState({ courier: '', tracking_number: '', shipped_at: '' });
 
   const { data: order, isLoading } = useQuery(['order', id], async () => {
     const res = await api.get(`/orders/${id}`);
     return res.data.data;
   });
 
+  const { data: timeline, isLoading: isTimelineLoading } = useQuery(['order-timeline', id], async () => {
+    const res = await api.get(`/orders/${id}/timeline`);
+    return res.data.data;
+  });
+
   const updateStatusMutation = useMutation(async ({ status, type }) => {
     const endpoint = type === 'order' ? `/orders/${id}/status` : `/orders/${id}/payment`;
     const payload = type === 'order' ? { status } : { payment_status: status };
+    if (changeNotes.trim()) payload.notes = changeNotes.trim();
+    if (type === 'order' && status === 'shipped') {
+      if (shipment.courier) payload.courier = shipment.courier;
+      if (shipment.tracking_number.trim()) payload.tracking_number = shipment.tracking_number.trim();
+      if (shipment.shipped_at) payload.shipped_at = shipment.shipped_at;
+    }
     await api.patch(endpoint, payload);
   }, {
     onSuccess: () => {
       queryClient.invalidateQueries(['order', id]);
+      queryClient.invalidateQueries(['order-timeline', id]);
+      queryClient.invalidateQueries(['order-tracking', id]);
       queryClient.invalidateQueries('commission-transactions');
       queryClient.invalidateQueries('commission-summary');
       queryClient.invalidateQueries('dashboard-stats');
+      queryClient.invalidateQueries('products');
       toast.success('Status dikemaskini!');
       setSelectedStatus('');
+      setChangeNotes('');
+      setShipment({ courier: '', tracking_number: '', shipped_at: '' });
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || 'Gagal mengemaskini status');
     }
   });
 
+  const handlePrint = (type) => {
+    if (!printOrderDocuments(type, [order])) toast.error('Benarkan pop-up untuk mencetak');
+  };
+
   if (isLoading) return <div className="flex items-center justify-center h-[60vh]"><div className="spinner"></div></div>;
   if (!order) return <div className="text-center py-12 text-slate-500">Pesanan tidak dijumpai</div>;
 
-  const getStatusStyle = (status) => {
-    const styles = { pending: 'bg-warning/10 text-warning', confirmed: 'bg-info/10 text-info', processing: 'bg-purple-100 text-purple-600', delivered: 'bg-success/10 text-success' };
-    return styles[status] || 'bg-slate-100 text-slate-600';
-  };
-
   return (
     <div className="space-y-10 page-transition">
       <div className="flex items-center justify-between">
@@ -54,51 +104,96 @@ export default function OrderDetail() {
             <p className="text-[10px] text-slate-400 font-bold uppercase tracking-widest">Dibuat pada {format(new Date(order.created_at), 'dd MMM yyyy, HH:mm')}</p>
           </div>
         </div>
-        <div className="flex gap-3">
+        <div className="flex items-center gap-3">
+          <div className="flex gap-2 mr-2">
+            {canEdit && EDITABLE_STATUSES.includes(order.status) && !isEditing && (
+              <button onClick={() => setIsEditing(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs" title="Edit Order">
+                <PencilSquareIcon className="h-4 w-4" /> Edit
+              </button>
+            )}
+            <button onClick={() => handlePrint('invoice')} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs" title="Print Invoice">
+              <DocumentTextIcon className="h-4 w-4" /> Invois
+            </button>
+            <button onClick={() => handlePrint('packing_slip')} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs" title="Print Packing Slip">
+              <ClipboardDocumentListIcon className="h-4 w-4" /> Slip
+            </button>
+            <button onClick={() => handlePrint('label')} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs" title="Print Shipping Label">
+              <TagIcon className="h-4 w-4" /> Label
+            </button>
+          </div>
           <span className={`status-badge ${getStatusStyle(order.status)}`}>{order.status}</span>
           <span className={`status-badge ${order.payment_status === 'paid' ? 'bg-success/10 text-success' : 'bg-danger/10 text-danger'}`}>{order.payment_status}</span>
+          {order.reserved_until && (
+            <span className="status-badge bg-warning/10 text-warning" title="Stok ditempah sehingga bayaran diterima; pesanan dibatalkan selepas tarikh ini">
+              Stok ditempah · {format(new Date(order.reserved_until), 'dd MMM, HH:mm')}
+            </span>
+          )}
         </div>
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         <div className="lg:col-span-2 space-y-8">
           {/* Order Items */}
-          <div className="premium-card p-0 border-none shadow-soft overflow-hidden">
-            <div className="p-6 border-b border-slate-50 bg-slate-50/30 font-black text-slate-900 uppercase text-xs tracking-widest">Senarai Item</div>
-            <div className="divide-y divide-slate-50">
-              {order.items?.map((item, i) => (
-                <div key={i} className="p-6 flex justify-between items-center">
-                  <div>
-                    <p className="text-sm font-black text-slate-900">{item.product_name}</p>
-                    <p className="text-[10px] font-bold text-slate-400 uppercase">SKU: {item.sku} • RM{item.price} x {item.quantity}</p>
+          {isEditing ? (
+            <OrderEditor order={order} onDone={() => setIsEditing(false)} />
+          ) : (
+            <div className="premium-card p-0 border-none shadow-soft overflow-hidden">
+              <div className="p-6 border-b border-slate-50 bg-slate-50/30 font-black text-slate-900 uppercase text-xs tracking-widest">Senarai Item</div>
+              <div className="divide-y divide-slate-50">
+                {order.items?.map((item, i) => (
+                  <div key={i} className="p-6 flex justify-between items-center">
+                    <div>
+                      <p className="text-sm font-black text-slate-900">{item.product_name}{item.variant_name && <span className="text-slate-500"> · {item.variant_name}</span>}</p>
+                      <p className="text-[10px] font-bold text-slate-400 uppercase">SKU: {item.sku} • RM{item.price} x {item.quantity}</p>
+                    </div>
+                    <p className="text-sm font-black text-brand-600">RM{parseFloat(item.subtotal).toFixed(2)}</p>
                   </div>
-                  <p className="text-sm font-black text-brand-600">RM{parseFloat(item.subtotal).toFixed(2)}</p>
-                </div>
-              ))}
-            </div>
-            <div className="p-6 bg-slate-50 space-y-3">
-              <div className="flex justify-between text-sm font-bold text-slate-600">
-                <span>Subtotal</span>
-                <span>RM{parseFloat(order.subtotal).toFixed(2)}</span>
+                ))}
               </div>
-              <div className="flex justify-between text-sm font-bold text-slate-600">
-                <span>Tax (6%)</span>
-                <span>RM{parseFloat(order.tax).toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between text-lg font-black text-slate-900 pt-3 border-t border-slate-100">
-                <span>JUMLAH KESELURUHAN</span>
-                <span className="text-brand-600 text-2xl tracking-tighter">RM{parseFloat(order.total).toFixed(2)}</span>
-              </div>
-              {order.items?.reduce((sum, item) => sum + parseFloat(item.profit || 0), 0) > 0 && (
-                <div className="flex justify-between text-base font-black text-purple-600 pt-3 border-t border-purple-100 bg-purple-50/50 -mx-6 px-6 py-3 mt-3">
-                  <span className="flex items-center gap-2">
-                    <ChartBarIcon className="h-5 w-5" /> GROSS PROFIT
-                  </span>
-                  <span>RM{order.items?.reduce((sum, item) => sum + parseFloat(item.profit || 0), 0).toFixed(2)}</span>
+              <div className="p-6 bg-slate-50 space-y-3">
+                <div className="flex justify-between text-sm font-bold text-slate-600">
+                  <span>Subtotal</span>
+                  <span>RM{parseFloat(order.subtotal).toFixed(2)}</span>
                 </div>
-              )}
+                {parseFloat(order.discount) > 0 && (
+                  <div className="flex justify-between text-sm font-bold text-slate-600">
+                    <span>Diskaun</span>
+                    <span>-RM{parseFloat(order.discount).toFixed(2)}</span>
+                  </div>
+                )}
+                {parseFloat(order.shipping_fee) > 0 && (
+                  <div className="flex justify-between text-sm font-bold text-slate-600">
+                    <span>Penghantaran</span>
+                    <span>RM{parseFloat(order.shipping_fee).toFixed(2)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between text-sm font-bold text-slate-600">
+                  <span>Tax (6%)</span>
+                  <span>RM{parseFloat(order.tax).toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between text-lg font-black text-slate-900 pt-3 border-t border-slate-100">
+                  <span>JUMLAH KESELURUHAN</span>
+                  <span className="text-brand-600 text-2xl tracking-tighter">RM{parseFloat(order.total).toFixed(2)}</span>
+                </div>
+                {parseFloat(order.refunded_amount) > 0 && (
+                  <div className="flex justify-between text-sm font-bold text-danger">
+                    <span>Dibayar Balik</span>
+                    <span>-RM{parseFloat(order.refunded_amount).toFixed(2)}</span>
+                  </div>
+                )}
+                {order.items?.reduce((sum, item) => sum + parseFloat(item.profit || 0), 0) > 0 && (
+                  <div className="flex justify-between text-base font-black text-purple-600 pt-3 border-t border-purple-100 bg-purple-50/50 -mx-6 px-6 py-3 mt-3">
+                    <span className="flex items-center gap-2">
+                      <ChartBarIcon className="h-5 w-5" /> GROSS PROFIT
+                    </span>
+                    <span>RM{order.items?.reduce((sum, item) => sum + parseFloat(item.profit || 0), 0).toFixed(2)}</span>
+                  </div>
+                )}
+              </div>
             </div>
-          </div>
+          )}
+
+          {canEdit && <OrderReturns orderId={id} />}
 
           {/* NEW: Order Timeline (Audit Trail) */}
           <div className="premium-card p-8 border-none shadow-soft">
@@ -106,20 +201,22 @@ export default function OrderDetail() {
               <ShieldCheckIcon className="h-6 w-6 text-brand-600" />
               <h3 className="text-lg font-black text-slate-900 tracking-tight">Order Audit Trail</h3>
             </div>
-            <div className="space-y-8 relative before:absolute before:left-[11px] before:top-2 before:bottom-2 before:w-0.5 before:bg-slate-100">
-              <div className="relative pl-8">
-                <div className="absolute left-0 top-1 h-6 w-6 rounded-full bg-brand-600 border-4 border-brand-50 flex items-center justify-center z-10"></div>
-                <p className="text-xs font-black text-slate-900 uppercase">Order Created</p>
-                <p className="text-sm text-slate-500 font-medium">Sistem menerima pesanan dari {order.channel_name}.</p>
-                <p className="text-[10px] text-slate-400 font-bold mt-1">{format(new Date(order.created_at), 'dd MMM yyyy, HH:mm')}</p>
-              </div>
-              <div className="relative pl-8">
-                <div className="absolute left-0 top-1 h-6 w-6 rounded-full bg-slate-200 border-4 border-white z-10"></div>
-                <p className="text-xs font-black text-slate-900 uppercase">Current Status: {order.status}</p>
-                <p className="text-sm text-slate-500 font-medium">Status pesanan terkini direkodkan sebagai {order.status}.</p>
-                <p className="text-[10px] text-slate-400 font-bold mt-1">Sistem Log: OK</p>
+            {isTimelineLoading ? (
+              <div className="py-8 text-center"><div className="spinner mx-auto"></div></div>
+            ) : (
+              <div className="space-y-8 relative before:absolute before:left-[11px] before:top-2 before:bottom-2 before:w-0.5 before:bg-slate-100">
+                {timeline?.map((event, i) => (
+                  <div key={i} className="relative pl-8">
+                    <div className={`absolute left-0 top-1 h-6 w-6 rounded-full border-4 z-10 ${TIMELINE_DOT_STYLES[event.type] || 'bg-slate-200 border-white'}`}></div>
+                    <p className="text-xs font-black text-slate-900 uppercase">{event.title}</p>
+                    {event.notes && <p className="text-sm text-slate-500 font-medium">{event.notes}</p>}
+                    <p className="text-[10px] text-slate-400 font-bold mt-1">
+                      {format(new Date(event.created_at), 'dd MMM yyyy, HH:mm')} · {event.actor}
+                    </p>
+                  </div>
+                ))}
               </div>
-            </div>
+            )}
           </div>
         </div>
 
@@ -135,20 +232,41 @@ export default function OrderDetail() {
                 <option value="shipped">Shipped</option>
                 <option value="delivered">Delivered</option>
               </select>
+              {selectedStatus === 'shipped' && (
+                <div className="mb-3">
+                  <ShipmentFields value={shipment} onChange={setShipment} idPrefix="ship" />
+                </div>
+              )}
               <button onClick={() => updateStatusMutation.mutate({ status: selectedStatus, type: 'order' })} disabled={!selectedStatus} className="w-full btn-modern bg-slate-900 text-white hover:bg-brand-600 transition-all">Sahkan Status</button>
             </div>
+            <div>
+              <label htmlFor="change_notes" className="text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest">Nota Perubahan (Pilihan)</label>
+              <textarea
+                id="change_notes"
+                rows="2"
+                maxLength={500}
+                className="input-modern"
+                placeholder="Cth: Pelanggan minta tangguh penghantaran"
+                value={changeNotes}
+                onChange={e => setChangeNotes(e.target.value)}
+              />
+            </div>
             <div className="pt-6 border-t border-slate-50">
               <label className="text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest">Update Payment</label>
               <button onClick={() => updateStatusMutation.mutate({ status: 'paid', type: 'payment' })} className="w-full btn-modern btn-modern-primary">Tanda Sebagai Dibayar</button>
             </div>
           </div>
 
+          <OrderShipment order={order} canEdit={canEdit} />
+
+          <OrderLocation order={order} canEdit={canEdit} />
+
           <div className="premium-card p-6 border-none shadow-soft">
             <div className="flex items-center gap-3 mb-4">
               <UserCircleIcon className="h-6 w-6 text-brand-600" />
               <h3 className="text-lg font-black text-slate-900">Pelanggan</h3>
             </div>
-            <p className="text-sm font-black text-slate-900">{order.customer_name}</p>
+            <Link to={`/customers/${order.customer_id}`} className="text-sm font-black text-slate-900 hover:text-brand-600">{order.customer_name}</Link>
             <p className="text-xs text-slate-500 font-medium">{order.customer_email}</p>
             <div className="mt-4 p-4 bg-slate-50 rounded-xl">
               <p className="text-[10px] font-black text-slate-400 uppercase mb-2 tracking-widest">Alamat</p>
@@ -1,56 +1,200 @@
-import React, { useState } from 'react';
-import { useQuery } from 'react-query';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { Link, useSearchParams } from 'react-router-dom';
 import api from '../api';
+import toast from 'react-hot-toast';
 import { format } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import OrderBoard from '../components/OrderBoard';
+import OrderFilters from '../components/OrderFilters';
+import Pagination, { usePrefetchNextPage } from '../components/Pagination';
+import BulkProgressDialog from '../components/BulkProgressDialog';
+import TrackingImportDialog from '../components/TrackingImportDialog';
+import { ORDER_STATUSES, getStatusStyle } from '../utils/orderStatus';
+import { printOrderDocuments, DOCUMENT_TYPES } from '../utils/printDocuments';
+import { downloadFromApi } from '../utils/download';
 import { 
-  ArrowDownTrayIcon
+  ArrowDownTrayIcon, ArrowUpTrayIcon, TableCellsIcon, ViewColumnsIcon, PrinterIcon, BanknotesIcon, XMarkIcon
 } from '@heroicons/react/24/outline';
 
+// Every filter lives in the URL so a filtered view can be bookmarked or shared
+const DEFAULT_FILTERS = {
+  status: '', payment_status: '', search: '', channel: '', customer: '', customer_tag: '', customer_segment: '', staff: '', affiliate: '',
+  date_from: '', date_to: '', min_total: '', max_total: '', page: 1, limit: 20
+};
+
+const fetchOrders = async (filters) => {
+  const res = await api.get('/orders', { params: filters });
+  return res.data;
+};
+
 export default function Orders() {
-  const [filters, setFilters] = useState({ status: '', payment_status: '', page: 1 });
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(() => {
+    const next = { ...DEFAULT_FILTERS };
+    Object.keys(DEFAULT_FILTERS).forEach(key => {
+      if (searchParams.has(key)) next[key] = searchParams.get(key);
+    });
+    next.page = parseInt(next.page, 10) || 1;
+    next.limit = parseInt(next.limit, 10) || DEFAULT_FILTERS.limit;
+    return next;
+  }, [searchParams]);
+
+  // Only non-default values are written, to keep shared URLs short
+  const setFilters = useCallback((next) => {
+    const params = {};
+    Object.entries(next).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) return;
+      if ((key === 'page' || key === 'limit') && Number(value) === DEFAULT_FILTERS[key]) return;
+      params[key] = value;
+    });
+    setSearchParams(params);
+  }, [setSearchParams]);
+
+  // Any filter change other than paging goes back to page 1
+  const updateFilters = useCallback((changes) => {
+    setFilters({ ...filters, ...changes, page: 1 });
+  }, [filters, setFilters]);
 
-  const { data, isLoading } = useQuery(['orders', filters], async () => {
-    const params = new URLSearchParams(filters);
-    params.append('limit', '20');
-    const res = await api.get(`/orders?${params.toString()}`);
-    return res.data;
+  const [view, setView] = useState(() => localStorage.getItem('orders_view') || 'table');
+
+  useEffect(() => {
+    localStorage.setItem('orders_view', view);
+  }, [view]);
+
+  const { data, isLoading } = useQuery(['orders', filters], () => fetchOrders(filters), {
+    enabled: view === 'table',
+    keepPreviousData: true
   });
 
-  const handleExport = () => {
-    if (!data?.data) return;
-    
-    // Header CSV
-    const headers = ["Order Number", "Customer", "Total (RM)", "Status", "Payment", "Date"];
-    
-    // Data Rows
-    const rows = data.data.map(o => [
-      o.order_number,
-      o.customer_name,
-      o.total,
-      o.status,
-      o.payment_status,
-      format(new Date(o.created_at), 'yyyy-MM-dd')
-    ]);
-
-    // Combine
-    const csvContent = [headers, ...rows].map(e => e.join(",")).join("\n");
-    
-    // Download Link
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement("a");
-    const url = URL.createObjectURL(blob);
-    link.setAttribute("href", url);
-    link.setAttribute("download", `Sales_Report_${format(new Date(), 'yyyyMMdd')}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const buildPageQuery = useCallback((page) => {
+    const next = { ...filters, page };
+    return [['orders', next], () => fetchOrders(next)];
+  }, [filters]);
+
+  usePrefetchNextPage(view === 'table' ? data?.pagination : null, buildPageQuery);
+
+  const { data: transitions } = useQuery('order-status-transitions', async () => {
+    const res = await api.get('/orders/status-transitions');
+    return res.data.data;
+  }, { staleTime: Infinity });
+
+  // Selection is kept across pages but reset whenever the filters change
+  const [selected, setSelected] = useState({}); // id => order_number
+  const [bulkJob, setBulkJob] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showTrackingImport, setShowTrackingImport] = useState(false);
+  const [exportOptions, setExportOptions] = useState({ format: 'csv', includeItems: false });
+  const [isExporting, setIsExporting] = useState(false);
+  const canEdit = ['admin', 'staff'].includes(user?.role);
+  const selectedIds = Object.keys(selected).map(Number);
+
+  const { page, limit, ...activeFilters } = filters;
+  const filterKey = JSON.stringify(activeFilters);
+
+  useEffect(() => {
+    setSelected({});
+  }, [filterKey]);
+
+  const pageOrders = data?.data || [];
+  const allOnPageSelected = pageOrders.length > 0 && pageOrders.every(o => selected[o.id]);
+  const totalMatching = data?.pagination?.total || 0;
+
+  const toggleOrder = (order) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[order.id]) delete next[order.id]; else next[order.id] = order.order_number;
+      return next;
+    });
+  };
+
+  const togglePage = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      pageOrders.forEach(o => {
+        if (allOnPageSelected) delete next[o.id]; else next[o.id] = o.order_number;
+      });
+      return next;
+    });
+  };
+
+  const selectAllMatching = async () => {
+    try {
+      const res = await api.get('/orders/ids', { params: activeFilters });
+      setSelected(Object.fromEntries(res.data.data.map(o => [o.id, o.order_number])));
+    } catch (err) {
+      toast.error('Gagal memilih semua pesanan');
+    }
+  };
+
+  // Server-side export of every matching order (or just the selection)
+  const runExport = async (extraParams = {}) => {
+    const exportFilters = { ...activeFilters };
+    if (view === 'board') delete exportFilters.status; // the board shows every status
+    setIsExporting(true);
+    try {
+      const queued = await downloadFromApi('/orders/export', {
+        ...exportFilters,
+        format: exportOptions.format,
+        include_items: exportOptions.includeItems ? 1 : 0,
+        ...extraParams
+      }, `Orders.${exportOptions.format}`);
+      if (queued) toast.success('Eksport besar sedang diproses. Pautan muat turun akan dihantar ke notifikasi.');
+      setShowExportMenu(false);
+    } catch (err) {
+      toast.error('Gagal mengeksport pesanan');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportSelected = () => runExport({ ids: selectedIds.join(',') });
+
+  const refreshOrders = () => {
+    queryClient.invalidateQueries('orders');
+    queryClient.invalidateQueries('dashboard-stats');
+  };
+
+  const startBulkStatus = (status) => {
+    if (!status || !window.confirm(`Tukar status ${selectedIds.length} pesanan ke "${status}"?`)) return;
+    setBulkJob({
+      title: `Status: ${status}`,
+      ids: selectedIds,
+      action: (id) => api.patch(`/orders/${id}/status`, { status }),
+      onFinish: refreshOrders
+    });
+  };
+
+  const startBulkPaid = () => {
+    if (!window.confirm(`Tanda ${selectedIds.length} pesanan sebagai dibayar?`)) return;
+    setBulkJob({
+      title: 'Tanda Dibayar',
+      ids: selectedIds,
+      action: (id) => api.patch(`/orders/${id}/payment`, { payment_status: 'paid' }),
+      onFinish: () => {
+        refreshOrders();
+        queryClient.invalidateQueries('commission-transactions');
+        queryClient.invalidateQueries('commission-summary');
+      }
+    });
   };
 
-  const getStatusStyle = (status) => {
-    const styles = { pending: 'bg-warning/10 text-warning', confirmed: 'bg-info/10 text-info', processing: 'bg-purple-100 text-purple-600', delivered: 'bg-success/10 text-success', cancelled: 'bg-danger/10 text-danger' };
-    return styles[status] || 'bg-slate-100 text-slate-600';
+  const startPrint = (type) => {
+    if (!type) return;
+    setBulkJob({
+      title: DOCUMENT_TYPES.find(d => d.value === type).label,
+      ids: selectedIds,
+      action: async (id) => (await api.get(`/orders/${id}`)).data.data,
+      doneAction: {
+        label: 'Cetak',
+        onClick: (orders) => {
+          if (!printOrderDocuments(type, orders)) toast.error('Benarkan pop-up untuk mencetak');
+        }
+      }
+    });
   };
 
   return (
@@ -61,57 +205,159 @@ export default function Orders() {
           <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Sistem kawalan pesanan bersepadu</p>
         </div>
         <div className="flex gap-3">
-          <button onClick={handleExport} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
-            <ArrowDownTrayIcon className="h-4 w-4" /> Export CSV
-          </button>
-        </div>
-      </div>
-
-      <div className="premium-card p-6 border-none shadow-soft">
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <div>
-            <label className="text-sm font-black text-slate-400 uppercase mb-2 block">Status</label>
-            <select className="input-modern" value={filters.status} onChange={e => setFilters({...filters, status: e.target.value, page: 1})}>
-              <option value="">Semua Status</option>
-              <option value="pending">Pending</option>
-              <option value="delivered">Delivered</option>
-            </select>
-          </div>
-          <div>
-            <label className="text-sm font-black text-slate-400 uppercase mb-2 block">Bayaran</label>
-            <select className="input-modern" value={filters.payment_status} onChange={e => setFilters({...filters, payment_status: e.target.value, page: 1})}>
-              <option value="">Semua</option>
-              <option value="paid">Sudah Bayar</option>
-              <option value="pending">Belum Bayar</option>
-            </select>
+          <div className="flex bg-white border border-slate-200 rounded-xl p-1">
+            <button onClick={() => setView('table')} title="Table View" className={`p-2 rounded-lg ${view === 'table' ? 'bg-brand-50 text-brand-600' : 'text-slate-400'}`}>
+              <TableCellsIcon className="h-4 w-4" />
+            </button>
+            <button onClick={() => setView('board')} title="Board View" className={`p-2 rounded-lg ${view === 'board' ? 'bg-brand-50 text-brand-600' : 'text-slate-400'}`}>
+              <ViewColumnsIcon className="h-4 w-4" />
+            </button>
           </div>
-          <div className="flex items-end">
-            <button onClick={() => setFilters({ status: '', payment_status: '', page: 1 })} className="w-full btn-modern bg-slate-50 text-slate-400">Reset</button>
+          {canEdit && (
+            <button onClick={() => setShowTrackingImport(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+              <ArrowUpTrayIcon className="h-4 w-4" /> Import Tracking
+            </button>
+          )}
+          <div className="relative">
+            <button onClick={() => setShowExportMenu(!showExportMenu)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+              <ArrowDownTrayIcon className="h-4 w-4" /> Export
+            </button>
+            {showExportMenu && (
+              <div className="absolute right-0 mt-2 w-64 bg-white rounded-2xl shadow-premium border border-slate-100 p-4 space-y-4 z-50">
+                <div>
+                  <p className="text-xs font-black text-slate-400 uppercase mb-2">Format</p>
+                  <div className="flex gap-2">
+                    {['csv', 'xlsx'].map(f => (
+                      <label key={f} className={`flex-1 text-center py-2 rounded-xl border text-xs font-black uppercase cursor-pointer ${exportOptions.format === f ? 'border-brand-400 bg-brand-50 text-brand-600' : 'border-slate-200 text-slate-500'}`}>
+                        <input type="radio" name="export_format" value={f} className="sr-only" checked={exportOptions.format === f} onChange={() => setExportOptions({ ...exportOptions, format: f })} />
+                        {f}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <label className="flex items-center gap-2 text-sm font-bold text-slate-700">
+                  <input type="checkbox" className="rounded border-slate-300 text-brand-600" checked={exportOptions.includeItems} onChange={e => setExportOptions({ ...exportOptions, includeItems: e.target.checked })} />
+                  Satu baris setiap item
+                </label>
+                <p className="text-[11px] text-slate-400">Semua pesanan yang sepadan dengan penapis akan dieksport.</p>
+                <button onClick={() => runExport()} disabled={isExporting} className="w-full btn-modern btn-modern-primary disabled:opacity-50">
+                  {isExporting ? 'Mengeksport...' : 'Muat Turun'}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
 
-      <div className="table-container">
-        <table className="modern-table w-full">
-          <thead>
-            <tr><th>No. Pesanan</th><th>Pelanggan</th><th className="text-right">Jumlah</th><th className="text-center">Status</th><th>Tarikh</th><th className="text-right">Action</th></tr>
-          </thead>
-          <tbody className="divide-y divide-slate-50">
-            {isLoading ? <tr><td colSpan="6" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
-              data?.data?.map(order => (
-                <tr key={order.id}>
-                  <td><p className="text-sm font-black text-slate-900">#{order.order_number}</p></td>
-                  <td><p className="text-sm font-bold text-slate-700">{order.customer_name}</p></td>
-                  <td className="text-right text-sm font-black text-brand-600">RM {parseFloat(order.total).toFixed(2)}</td>
-                  <td className="text-center"><span className={`status-badge text-[11px] ${getStatusStyle(order.status)}`}>{order.status}</span></td>
-                  <td className="text-sm text-slate-500 font-bold">{format(new Date(order.created_at), 'dd MMM')}</td>
-                  <td className="text-right"><Link to={`/orders/${order.id}`} className="text-brand-600 font-black text-xs uppercase">Detail</Link></td>
+      <OrderFilters
+        filters={filters}
+        onChange={updateFilters}
+        onReset={() => setFilters(DEFAULT_FILTERS)}
+        isAdmin={user?.role === 'admin'}
+        canFilterCustomers={canEdit}
+        statusDisabled={view === 'board'}
+      />
+
+      {view === 'board' ? (
+        <OrderBoard filters={filters} transitions={transitions} canEdit={canEdit} />
+      ) : (
+        <div className="space-y-4">
+          {selectedIds.length > 0 && (
+            <div className="premium-card p-4 border-none shadow-soft space-y-3">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm font-black text-slate-900">{selectedIds.length} pesanan dipilih</span>
+                {canEdit && (
+                  <>
+                    <select
+                      aria-label="Bulk Status"
+                      className="bg-white border border-slate-200 rounded-xl text-xs font-black uppercase tracking-widest px-4 py-2 outline-none"
+                      value=""
+                      onChange={e => startBulkStatus(e.target.value)}
+                    >
+                      <option value="">Tukar Status...</option>
+                      {ORDER_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                    </select>
+                    <button onClick={startBulkPaid} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs">
+                      <BanknotesIcon className="h-4 w-4" /> Tanda Dibayar
+                    </button>
+                  </>
+                )}
+                <button onClick={handleExportSelected} disabled={isExporting} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 text-xs">
+                  <ArrowDownTrayIcon className="h-4 w-4" /> Export Pilihan
+                </button>
+                <div className="relative">
+                  <PrinterIcon className="h-4 w-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none" />
+                  <select
+                    aria-label="Bulk Print"
+                    className="bg-white border border-slate-200 rounded-xl text-xs font-black uppercase tracking-widest pl-9 pr-4 py-2 outline-none"
+                    value=""
+                    onChange={e => startPrint(e.target.value)}
+                  >
+                    <option value="">Cetak...</option>
+                    {DOCUMENT_TYPES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                  </select>
+                </div>
+                <button onClick={() => setSelected({})} className="flex items-center gap-1 text-xs font-black text-slate-400 uppercase hover:text-danger ml-auto">
+                  <XMarkIcon className="h-4 w-4" /> Batal Pilihan
+                </button>
+              </div>
+              {allOnPageSelected && selectedIds.length < totalMatching && (
+                <p className="text-xs font-bold text-slate-500">
+                  Semua {pageOrders.length} pesanan di halaman ini dipilih.{' '}
+                  <button onClick={selectAllMatching} className="text-brand-600 font-black underline">Pilih kesemua {totalMatching} pesanan yang sepadan</button>
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="table-container">
+            <table className="modern-table w-full">
+              <thead>
+                <tr>
+                  <th className="w-10">
+                    <input type="checkbox" aria-label="Select Page" className="rounded border-slate-300 text-brand-600" checked={allOnPageSelected} onChange={togglePage} />
+                  </th>
+                  <th>No. Pesanan</th><th>Pelanggan</th><th className="text-right">Jumlah</th><th className="text-center">Status</th><th>Tarikh</th><th className="text-right">Action</th>
                 </tr>
-              ))
-            }
-          </tbody>
-        </table>
-      </div>
+              </thead>
+              <tbody className="divide-y divide-slate-50">
+                {isLoading ? <tr><td colSpan="7" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+                  data?.data?.map(order => (
+                    <tr key={order.id} className={selected[order.id] ? 'bg-brand-50/40' : ''}>
+                      <td>
+                        <input type="checkbox" aria-label={`Select ${order.order_number}`} className="rounded border-slate-300 text-brand-600" checked={!!selected[order.id]} onChange={() => toggleOrder(order)} />
+                      </td>
+                      <td><p className="text-sm font-black text-slate-900">#{order.order_number}</p></td>
+                      <td><p className="text-sm font-bold text-slate-700">{order.customer_name}</p></td>
+                      <td className="text-right text-sm font-black text-brand-600">RM {parseFloat(order.total).toFixed(2)}</td>
+                      <td className="text-center"><span className={`status-badge text-[11px] ${getStatusStyle(order.status)}`}>{order.status}</span></td>
+                      <td className="text-sm text-slate-500 font-bold">{format(new Date(order.created_at), 'dd MMM')}</td>
+                      <td className="text-right"><Link to={`/orders/${order.id}`} className="text-brand-600 font-black text-xs uppercase">Detail</Link></td>
+                    </tr>
+                  ))
+                }
+              </tbody>
+            </table>
+            <Pagination
+              pagination={data?.pagination}
+              onPageChange={(p) => setFilters({ ...filters, page: p })}
+              onLimitChange={(l) => setFilters({ ...filters, limit: l, page: 1 })}
+            />
+          </div>
+        </div>
+      )}
+
+      {showTrackingImport && (
+        <TrackingImportDialog onClose={() => setShowTrackingImport(false)} onImported={refreshOrders} />
+      )}
+
+      {bulkJob && (
+        <BulkProgressDialog
+          {...bulkJob}
+          labelFor={(id) => `#${selected[id] || id}`}
+          onClose={() => setBulkJob(null)}
+        />
+      )}
     </div>
   );
 }
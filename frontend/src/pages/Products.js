@@ -1,10 +1,22 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
 import api from '../api';
 import { useAuth } from '../context/AuthContext';
-import { useCart } from '../context/CartContext';
+import { useCart, cartLineKey } from '../context/CartContext';
 import toast from 'react-hot-toast';
 import { validators } from '../utils/validators';
+import { variantPrice, activeVariants, isLowStock, availableStock } from '../utils/variants';
+import { preferredLink, preferredCost } from '../utils/suppliers';
+import { uploadImages, primaryIndex } from '../utils/images';
+import CheckoutPanel from '../components/CheckoutPanel';
+import ProductVariantEditor from '../components/ProductVariantEditor';
+import ProductSupplierEditor from '../components/ProductSupplierEditor';
+import ProductImportDialog from '../components/ProductImportDialog';
+import StockAdjustDialog from '../components/StockAdjustDialog';
+import ProductTable from '../components/ProductTable';
+import ProductImageManager from '../components/ProductImageManager';
+import ProductGallery from '../components/ProductGallery';
 import { 
   PlusIcon, 
   MagnifyingGlassIcon,
@@ -14,28 +26,124 @@ import {
   PencilSquareIcon,
   TrashIcon,
   PhotoIcon,
-  ExclamationCircleIcon
+  ExclamationCircleIcon,
+  DocumentDuplicateIcon,
+  ArrowUpTrayIcon,
+  AdjustmentsHorizontalIcon,
+  Squares2X2Icon,
+  TableCellsIcon,
+  BarsArrowUpIcon,
+  BarsArrowDownIcon
 } from '@heroicons/react/24/outline';
 
+// View, filters and sort saved per user through /preferences/products (see ProductController::index for the filters)
+const DEFAULT_PREFS = { view: 'grid', category: '', status: '', stock: '', min_margin: '', max_margin: '', sort: 'newest', direction: 'desc' };
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Terbaru', direction: 'desc' },
+  { value: 'name', label: 'Nama', direction: 'asc' },
+  { value: 'price', label: 'Harga', direction: 'desc' },
+  { value: 'stock', label: 'Stok', direction: 'asc' },
+  { value: 'margin', label: 'Margin', direction: 'desc' },
+  { value: 'sales', label: 'Jualan 30 Hari', direction: 'desc' }
+];
+
 export default function Products() {
   const { user } = useAuth();
   const [search, setSearch] = useState('');
   const [page, setPage] = useState(1);
+  const [prefs, setPrefs] = useState(DEFAULT_PREFS);
+  const [prefsLoaded, setPrefsLoaded] = useState(false);
+  const [margins, setMargins] = useState({ min_margin: '', max_margin: '' }); // typed, not yet applied
+  const [searchParams, setSearchParams] = useSearchParams();
+  const supplier = searchParams.get('supplier') || '';
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [stockProduct, setStockProduct] = useState(null); // product whose stock is being adjusted
   const [editingProduct, setEditingProduct] = useState(null);
   const [formErrors, setFormErrors] = useState({});
-  const { addToCart, cart, clearCart, isCartOpen, setIsCartOpen, removeFromCart, updateQuantity, subtotal } = useCart();
+  const [queuedImages, setQueuedImages] = useState([]); // photos picked for a product not created yet
+  const [checkoutStep, setCheckoutStep] = useState('cart');
+  const [selectedVariants, setSelectedVariants] = useState({}); // product id => variant id picked on the card
+  const {
+    addToCart, cart, isCartOpen, setIsCartOpen, removeFromCart, updateQuantity, subtotal,
+    drafts, activeDraft, createDraft, switchDraft, renameDraft, duplicateDraft, discardDraft, completeActiveDraft, isSaving,
+    cartIssues, validateCart, fixIssue, isValidating
+  } = useCart();
   const queryClient = useQueryClient();
 
   const [formData, setFormData] = useState({
     name: '', price: '', cost_price: '', stock_quantity: '', category_id: 1, 
-    low_stock_threshold: 5, description: '', image_url: '', status: 'active'
+    low_stock_threshold: 5, description: '', image_url: '', status: 'active',
+    variant_options: [], variants: [], suppliers: []
   });
 
-  const { data, isLoading } = useQuery(['products', search, page], async () => {
-    const res = await api.get(`/products?search=${search}&page=${page}&limit=20`);
+  // Load the user's saved prefs, carrying over any this browser kept before they were saved on the server
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    const legacyKey = `products_prefs_${user.id}`;
+
+    const loadPrefs = async () => {
+      try {
+        const res = await api.get('/preferences/products');
+        const legacy = res.data.data ? null : localStorage.getItem(legacyKey);
+        const saved = res.data.data || (legacy && JSON.parse(legacy));
+        if (!cancelled && saved) setPrefs({ ...DEFAULT_PREFS, ...saved });
+
+        // The browser copy goes only once the server holds it
+        if (legacy) await api.put('/preferences/products', { value: saved });
+        localStorage.removeItem(legacyKey);
+      } catch (err) {
+        console.error('Failed to load product preferences:', err);
+      } finally {
+        if (!cancelled) setPrefsLoaded(true);
+      }
+    };
+
+    loadPrefs();
+    return () => { cancelled = true; };
+  }, [user]);
+
+  const { view, ...filters } = prefs;
+
+  // Any filter or sort change goes back to page 1
+  const updatePrefs = useCallback((changes) => {
+    const next = { ...prefs, ...changes };
+    setPrefs(next);
+    if (!('view' in changes)) setPage(1);
+    api.put('/preferences/products', { value: next }).catch(() => toast.error('Gagal menyimpan tetapan paparan'));
+  }, [prefs]);
+
+  // Margin inputs apply 400ms after the last keystroke, not per keystroke
+  useEffect(() => {
+    setMargins({ min_margin: prefs.min_margin, max_margin: prefs.max_margin });
+  }, [prefs.min_margin, prefs.max_margin]);
+
+  useEffect(() => {
+    if (margins.min_margin === prefs.min_margin && margins.max_margin === prefs.max_margin) return;
+    const timer = setTimeout(() => updatePrefs(margins), 400);
+    return () => clearTimeout(timer);
+  }, [margins, prefs.min_margin, prefs.max_margin, updatePrefs]);
+
+  const { data, isLoading } = useQuery(['products', search, supplier, page, filters], async () => {
+    const params = new URLSearchParams({ search, supplier, page, limit: 20 });
+    Object.entries(filters).forEach(([key, value]) => { if (value !== '') params.set(key, value); });
+    const res = await api.get(`/products?${params}`);
     return res.data;
-  });
+  }, { keepPreviousData: true, enabled: prefsLoaded });
+
+  const { data: suppliers } = useQuery('supplier-options', async () => {
+    const res = await api.get('/suppliers/all');
+    return res.data.data;
+  }, { enabled: !!user && user.role !== 'affiliate' });
+
+  const filterSupplier = (id) => {
+    const next = new URLSearchParams(searchParams);
+    if (id) next.set('supplier', id); else next.delete('supplier');
+    setSearchParams(next);
+    setPage(1);
+  };
 
   const { data: categories } = useQuery('categories', async () => {
     const res = await api.get('/products/categories/all');
@@ -47,7 +155,16 @@ export default function Products() {
     if (editingProduct) {
       return await api.put(`/products/${editingProduct.id}`, data);
     }
-    return await api.post('/products', data);
+    const response = await api.post('/products', data);
+    // A new product's photos can only be uploaded once it has an id
+    if (queuedImages.length > 0) {
+      try {
+        await uploadImages(response.data.productId, queuedImages);
+      } catch (err) {
+        toast.error('Produk disimpan tetapi gambar gagal dimuat naik');
+      }
+    }
+    return response;
   }, {
     onSuccess: (response) => {
       if (response.data.sku) {
@@ -59,7 +176,10 @@ export default function Products() {
       setEditingProduct(null);
       queryClient.invalidateQueries('products');
     },
-    onError: (err) => toast.error(err.response?.data?.message || 'Gagal menyimpan')
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal menyimpan'));
+    }
   });
 
   // Delete Product
@@ -102,8 +222,9 @@ export default function Products() {
   }, {
     onSuccess: (data) => {
       // Clear cart & close modal IMMEDIATELY (optimistic UI)
-      clearCart();
+      completeActiveDraft();
       setIsCartOpen(false);
+      setCheckoutStep('cart');
       
       // Show success
       toast.success(`🎉 Order ${data.orderNumber} created!`, { duration: 3000 });
@@ -122,16 +243,46 @@ export default function Products() {
 
   const openAddModal = () => {
     setEditingProduct(null);
-    setFormData({ name: '', price: '', cost_price: '', stock_quantity: '', category_id: 1, low_stock_threshold: 5, description: '', image_url: '', status: 'active' });
+    setFormData({ name: '', price: '', cost_price: '', stock_quantity: '', category_id: 1, low_stock_threshold: 5, description: '', image_url: '', status: 'active', variant_options: [], variants: [], suppliers: [] });
+    setQueuedImages([]);
     setIsModalOpen(true);
   };
 
   const openEditModal = (product) => {
     setEditingProduct(product);
-    setFormData({ ...product });
+    setFormData({ ...product, variant_options: product.variant_options || [], variants: product.variants || [], suppliers: product.suppliers || [], images: product.images || [] });
     setIsModalOpen(true);
   };
 
+  // Cost price follows the preferred supplier's last cost until it's typed over by hand
+  const handleSuppliersChange = (links) => {
+    const currentCost = formData.cost_price;
+    const followsSupplier = currentCost === '' || currentCost === null || parseFloat(currentCost) === 0
+      || parseFloat(currentCost) === parseFloat(preferredCost(formData.suppliers));
+    const nextCost = preferredCost(links);
+
+    setFormData({ ...formData, suppliers: links, cost_price: followsSupplier && nextCost !== '' ? nextCost : currentCost });
+    if (followsSupplier && nextCost !== '') setFormErrors({ ...formErrors, cost_price: null });
+  };
+
+  // Gallery changes are saved as they're made; the URL field follows the primary image
+  const handleGalleryChange = (images) => {
+    setFormData(current => ({ ...current, images, image_url: images.length > 0 ? images[primaryIndex(images)].url : '' }));
+    setFormErrors(current => ({ ...current, image_url: null }));
+  };
+
+  const hasVariants = formData.variants.length > 0;
+  const variantStockTotal = formData.variants.reduce((sum, v) => sum + (parseInt(v.stock_quantity, 10) || 0), 0);
+
+  // Variant picked on a product card (defaults to the first one in stock)
+  const cardVariant = (product) => {
+    const variants = activeVariants(product);
+    return variants.find(v => v.id === selectedVariants[product.id])
+      || variants.find(v => availableStock(v) > 0)
+      || variants[0]
+      || null;
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
@@ -146,9 +297,15 @@ export default function Products() {
     const priceError = validators.price(formData.price, 'Selling price');
     if (priceError) errors.price = priceError;
     
-    // Validate stock
-    const stockError = validators.number(formData.stock_quantity, 'Stock quantity', 0);
-    if (stockError) errors.stock_quantity = stockError;
+    // Validate stock (variant products: every variant's stock)
+    if (hasVariants) {
+      // 0 is a valid variant stock, so validators.number (which treats it as blank) isn't used
+      const badVariant = formData.variants.find(v => isNaN(parseInt(v.stock_quantity, 10)) || parseInt(v.stock_quantity, 10) < 0);
+      if (badVariant) errors.stock_quantity = `Stock for ${Object.values(badVariant.options).join(' / ')} must be 0 or more`;
+    } else {
+      const stockError = validators.number(formData.stock_quantity, 'Stock quantity', 0);
+      if (stockError) errors.stock_quantity = stockError;
+    }
     
     // Validate cost price (optional but must be valid number if provided)
     if (formData.cost_price && validators.number(formData.cost_price, 'Cost price', 0)) {
@@ -172,43 +329,52 @@ export default function Products() {
     
     // Only submit if no errors
     if (Object.keys(errors).length === 0) {
-      saveProductMutation.mutate(formData);
+      const { variants, suppliers: links, images: _gallery, ...product } = formData;
+      const preferred = preferredLink(links);
+      saveProductMutation.mutate({
+        ...product,
+        suppliers: links.map(link => ({
+          supplier_id: link.supplier_id,
+          supplier_sku: link.supplier_sku || null,
+          last_cost: link.last_cost === '' || link.last_cost === undefined ? null : link.last_cost,
+          is_preferred: link === preferred
+        })),
+        stock_quantity: hasVariants ? variantStockTotal : formData.stock_quantity,
+        variants: variants.map(({ id, options, sku, price, cost_price, stock_quantity, is_active }) => ({
+          id, options, sku, price, cost_price, stock_quantity: parseInt(stock_quantity, 10) || 0, is_active
+        }))
+      });
     } else {
       toast.error('Please fix validation errors before saving');
     }
   };
 
-  const handleCheckout = () => {
-    if (cart.length === 0) return;
-    
-    /**
-     * Manual Order Entry (Internal Use)
-     * 
-     * This is for staff/admin to create orders on behalf of customers
-     * (e.g., phone orders, walk-in sales, B2B orders)
-     * 
-     * In production, implement customer selection dropdown
-     * For demo/portfolio: Uses default customer (ID: 1) and main channel (ID: 1)
-     */
-    const orderData = {
-      customer_id: 1,  // Default demo customer
-      channel_id: 1,   // Main website channel
-      items: cart.map(item => ({ 
-        product_id: item.id, 
-        quantity: item.quantity 
-      })),
-      shipping_address: "123 Jalan Ampang",
-      shipping_city: "Kuala Lumpur",
-      shipping_state: "WP Kuala Lumpur",
-      shipping_postal_code: "50450",
-      payment_method: "online_banking",
-      discount: 0,
-      shipping_fee: 0,
-      notes: "Order dari Shopping Cart"
-    };
-    
-    // Send order to backend
-    checkoutMutation.mutate(orderData);
+  // Re-validate the cart against live product data before moving on
+  const proceedIfCartValid = async (next) => {
+    const issues = await validateCart();
+    if (Object.keys(issues).length > 0) {
+      setCheckoutStep('cart');
+      toast.error('Sila betulkan item bertanda dalam troli dahulu');
+      return;
+    }
+    next();
+  };
+
+  const issueMessage = (issue) => {
+    switch (issue.type) {
+      case 'price': return `Harga berubah: RM${parseFloat(issue.oldPrice).toFixed(2)} → RM${parseFloat(issue.newPrice).toFixed(2)}`;
+      case 'stock': return issue.available > 0 ? `Stok tidak cukup: tinggal ${issue.available} unit` : 'Stok habis';
+      case 'inactive': return 'Produk telah diarkibkan';
+      default: return 'Produk tidak lagi wujud';
+    }
+  };
+
+  const issueFixLabel = (issue) => {
+    switch (issue.type) {
+      case 'price': return 'Guna harga baru';
+      case 'stock': return issue.available > 0 ? `Kurangkan ke ${issue.available}` : 'Buang';
+      default: return 'Buang';
+    }
   };
 
   return (
@@ -220,9 +386,14 @@ export default function Products() {
         </div>
         <div className="flex gap-3 w-full md:w-auto">
           {user?.role !== 'affiliate' && (
-            <button onClick={openAddModal} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 flex-1">
-              <PlusIcon className="h-4 w-4" /> Tambah Item
-            </button>
+            <>
+              <button onClick={() => setShowImport(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 flex-1">
+                <ArrowUpTrayIcon className="h-4 w-4" /> Import CSV
+              </button>
+              <button onClick={openAddModal} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50 flex-1">
+                <PlusIcon className="h-4 w-4" /> Tambah Item
+              </button>
+            </>
           )}
           <button onClick={() => setIsCartOpen(true)} className="btn-modern btn-modern-primary relative flex-1">
             <ShoppingCartIcon className="h-4 w-4" /> Troli ({cart.length})
@@ -230,33 +401,103 @@ export default function Products() {
         </div>
       </div>
 
-      <div className="premium-card p-4 border-none shadow-soft">
-        <div className="relative w-full">
-          <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
-          <input type="text" className="input-modern pl-11" placeholder="Cari SKU atau nama produk..." value={search} onChange={(e) => setSearch(e.target.value)} />
+      <div className="premium-card p-4 border-none shadow-soft space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className={`relative ${suppliers ? 'md:col-span-2' : 'md:col-span-3'}`}>
+            <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+            <input type="text" className="input-modern pl-11" placeholder="Cari SKU atau nama produk..." value={search} onChange={(e) => { setSearch(e.target.value); setPage(1); }} />
+          </div>
+          {suppliers && (
+            <select aria-label="Supplier" className="input-modern" value={supplier} onChange={(e) => filterSupplier(e.target.value)}>
+              <option value="">Semua Pembekal</option>
+              {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          )}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-8 gap-4">
+          <select aria-label="Category" className="input-modern" value={filters.category} onChange={(e) => updatePrefs({ category: e.target.value })}>
+            <option value="">Semua Kategori</option>
+            {categories?.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <select aria-label="Product Status" className="input-modern" value={filters.status} onChange={(e) => updatePrefs({ status: e.target.value })}>
+            <option value="">Aktif & Habis Stok</option>
+            <option value="active">Aktif</option>
+            <option value="out_of_stock">Habis Stok</option>
+            <option value="inactive">Diarkibkan</option>
+            <option value="all">Semua Status</option>
+          </select>
+          <select aria-label="Stock Level" className="input-modern" value={filters.stock} onChange={(e) => updatePrefs({ stock: e.target.value })}>
+            <option value="">Semua Stok</option>
+            <option value="in_stock">Ada Stok</option>
+            <option value="low">Stok Rendah</option>
+            <option value="out">Kehabisan</option>
+          </select>
+          <input aria-label="Minimum Margin" type="number" className="input-modern" placeholder="Margin min %" value={margins.min_margin} onChange={(e) => setMargins({ ...margins, min_margin: e.target.value })} />
+          <input aria-label="Maximum Margin" type="number" className="input-modern" placeholder="Margin maks %" value={margins.max_margin} onChange={(e) => setMargins({ ...margins, max_margin: e.target.value })} />
+          <select
+            aria-label="Sort By"
+            className="input-modern"
+            value={filters.sort}
+            onChange={(e) => updatePrefs({ sort: e.target.value, direction: SORT_OPTIONS.find(o => o.value === e.target.value).direction })}
+          >
+            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>Susun: {o.label}</option>)}
+          </select>
+          <button
+            onClick={() => updatePrefs({ direction: filters.direction === 'asc' ? 'desc' : 'asc' })}
+            className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50"
+            title={filters.direction === 'asc' ? 'Menaik' : 'Menurun'}
+            aria-label="Sort Direction"
+          >
+            {filters.direction === 'asc' ? <BarsArrowUpIcon className="h-4 w-4" /> : <BarsArrowDownIcon className="h-4 w-4" />}
+            {filters.direction === 'asc' ? 'Menaik' : 'Menurun'}
+          </button>
+          <div className="flex bg-white border border-slate-200 rounded-xl p-1 justify-center">
+            <button onClick={() => updatePrefs({ view: 'grid' })} title="Grid View" className={`p-2 rounded-lg ${view === 'grid' ? 'bg-brand-50 text-brand-600' : 'text-slate-400'}`}>
+              <Squares2X2Icon className="h-4 w-4" />
+            </button>
+            <button onClick={() => updatePrefs({ view: 'list' })} title="List View" className={`p-2 rounded-lg ${view === 'list' ? 'bg-brand-50 text-brand-600' : 'text-slate-400'}`}>
+              <TableCellsIcon className="h-4 w-4" />
+            </button>
+          </div>
         </div>
       </div>
 
-      {isLoading ? <div className="py-20 text-center"><div className="spinner mx-auto"></div></div> : (
+      {isLoading || !prefsLoaded ? <div className="py-20 text-center"><div className="spinner mx-auto"></div></div> : view === 'list' ? (
+        <ProductTable
+          products={data?.data || []}
+          canEdit={user?.role !== 'affiliate'}
+          onEdit={openEditModal}
+          onAdjustStock={setStockProduct}
+        />
+      ) : (
         <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
           {data?.data?.map((product) => (
             <div key={product.id} className="group premium-card p-0 border-none shadow-soft overflow-hidden">
               <div className="relative h-44 bg-slate-50 flex items-center justify-center overflow-hidden">
-                {product.image_url ? (
-                  <img src={product.image_url} alt={product.name} className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500" />
-                ) : (
-                  <ArchiveBoxIcon className="h-12 w-12 text-slate-200" />
-                )}
+                <ProductGallery product={product} />
                 <div className="absolute top-3 left-3 flex gap-2 z-10">
-                  <span className={`status-badge bg-white border border-slate-100 shadow-sm ${product.stock_quantity <= product.low_stock_threshold ? 'text-warning' : 'text-success'}`}>
-                    {product.stock_quantity} UNIT
+                  <span className={`status-badge bg-white border border-slate-100 shadow-sm ${isLowStock(product) ? 'text-warning' : 'text-success'}`} title={`${product.stock_quantity} on hand`}>
+                    {availableStock(product)} UNIT
                   </span>
+                  {product.reserved_quantity > 0 && (
+                    <span className="status-badge bg-white border border-slate-100 shadow-sm text-info" title="Held for unpaid orders">
+                      {product.reserved_quantity} DITEMPAH
+                    </span>
+                  )}
+                  {product.has_variants && (
+                    <span className="status-badge bg-white border border-slate-100 shadow-sm text-brand-600">
+                      {activeVariants(product).length} VARIAN
+                    </span>
+                  )}
                 </div>
                 {user?.role !== 'affiliate' && (
                   <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-all flex gap-2 z-10">
                     <button onClick={() => openEditModal(product)} className="p-2 bg-white/90 backdrop-blur shadow-sm rounded-lg text-brand-600 hover:bg-brand-600 hover:text-white transition-all" title="Edit Product">
                       <PencilSquareIcon className="h-4 w-4" />
                     </button>
+                    <button onClick={() => setStockProduct(product)} className="p-2 bg-white/90 backdrop-blur shadow-sm rounded-lg text-slate-600 hover:bg-slate-900 hover:text-white transition-all" title="Adjust Stock">
+                      <AdjustmentsHorizontalIcon className="h-4 w-4" />
+                    </button>
                     <button 
                       onClick={() => {
                         if(window.confirm('Archive this product? It will be hidden from the catalog.')) {
@@ -284,14 +525,42 @@ export default function Products() {
                   )}
                 </div>
                 <h3 className="text-sm font-black text-slate-900 truncate mb-4">{product.name}</h3>
+                {product.locations?.length > 1 && (
+                  <div className="flex flex-wrap gap-x-3 gap-y-1 mb-3" aria-label="Stock by location">
+                    {product.locations.map(l => (
+                      <span key={l.location_id} title={l.name} className={`text-[10px] font-black uppercase tracking-widest ${l.is_low ? 'text-danger' : 'text-slate-400'}`}>
+                        {l.code}: {l.quantity}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {product.has_variants && (
+                  <select
+                    aria-label="Variant"
+                    className="input-modern text-xs mb-3"
+                    value={cardVariant(product)?.id || ''}
+                    onChange={e => setSelectedVariants({ ...selectedVariants, [product.id]: parseInt(e.target.value, 10) })}
+                  >
+                    {activeVariants(product).map(v => (
+                      <option key={v.id} value={v.id} disabled={availableStock(v) <= 0}>
+                        {v.name} · {availableStock(v) <= 0 ? 'Habis' : `${availableStock(v)} unit`}{v.reserved_quantity > 0 ? ` (${v.reserved_quantity} ditempah)` : ''}
+                      </option>
+                    ))}
+                  </select>
+                )}
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-lg font-black text-brand-600">RM{parseFloat(product.price).toFixed(2)}</p>
+                    <p className="text-lg font-black text-brand-600">RM{parseFloat(variantPrice(product, cardVariant(product))).toFixed(2)}</p>
                     {product.cost_price > 0 && (
                       <p className="text-xs text-slate-400 font-bold">Cost: RM{parseFloat(product.cost_price).toFixed(2)}</p>
                     )}
                   </div>
-                  <button onClick={() => addToCart(product)} disabled={product.stock_quantity === 0} aria-label="Add to Cart" className="h-9 w-9 bg-slate-900 text-white rounded-xl flex items-center justify-center hover:bg-brand-600 transition-all disabled:opacity-20">
+                  <button
+                    onClick={() => addToCart(product, cardVariant(product))}
+                    disabled={(product.has_variants ? (cardVariant(product) ? availableStock(cardVariant(product)) : 0) : availableStock(product)) <= 0 || product.status === 'inactive'}
+                    aria-label="Add to Cart"
+                    className="h-9 w-9 bg-slate-900 text-white rounded-xl flex items-center justify-center hover:bg-brand-600 transition-all disabled:opacity-20"
+                  >
                     <PlusIcon className="h-4 w-4" />
                   </button>
                 </div>
@@ -324,7 +593,7 @@ export default function Products() {
         </div>
       )}
 
-      {/* Modal Add/Edit Product - UPDATED dengan Image URL */}
+      {/* Modal Add/Edit Product - gallery + Image URL */}
       {isModalOpen && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
           <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" onClick={() => setIsModalOpen(false)}></div>
@@ -334,6 +603,13 @@ export default function Products() {
               <button onClick={() => setIsModalOpen(false)} className="p-2 hover:bg-white/10 rounded-xl"><XMarkIcon className="h-5 w-5" /></button>
             </div>
             <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              <ProductImageManager
+                productId={editingProduct?.id}
+                images={formData.images}
+                onChange={handleGalleryChange}
+                queued={queuedImages}
+                onQueue={setQueuedImages}
+              />
               <div>
                 <label htmlFor="image_url" className="text-sm font-black text-slate-400 uppercase mb-1 block flex items-center gap-2">
                   <PhotoIcon className="h-3 w-3" /> Image URL (Unsplash/CDN)
@@ -437,13 +713,17 @@ export default function Products() {
                   <input 
                     id="stock_quantity"
                     type="number" 
-                    className={`input-modern ${formErrors.stock_quantity ? 'border-red-500 bg-red-50' : ''}`}
-                    value={formData.stock_quantity} 
+                    className={`input-modern ${formErrors.stock_quantity ? 'border-red-500 bg-red-50' : ''} ${hasVariants ? 'bg-slate-100' : ''}`}
+                    value={hasVariants ? variantStockTotal : formData.stock_quantity} 
+                    disabled={hasVariants}
                     onChange={e => {
                       setFormData({...formData, stock_quantity: e.target.value});
                       setFormErrors({...formErrors, stock_quantity: null});
                     }}
                   />
+                  {hasVariants && !formErrors.stock_quantity && (
+                    <p className="text-xs text-slate-400 mt-1">Jumlah stok semua varian</p>
+                  )}
                   {formErrors.stock_quantity && (
                     <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
                       <ExclamationCircleIcon className="h-3 w-3" /> {formErrors.stock_quantity}
@@ -475,6 +755,23 @@ export default function Products() {
                   </select>
                   <p className="text-xs text-slate-400 mt-1">Use 'Archived' if the product has orders and cannot be deleted.</p>
                 </div>
+                <div className="col-span-2">
+                  <ProductVariantEditor
+                    key={editingProduct?.id || 'new'}
+                    options={formData.variant_options}
+                    variants={formData.variants}
+                    productPrice={formData.price}
+                    onChange={(variant_options, variants) => {
+                      setFormData({ ...formData, variant_options, variants });
+                      setFormErrors({ ...formErrors, stock_quantity: null });
+                    }}
+                  />
+                </div>
+                {suppliers && (
+                  <div className="col-span-2">
+                    <ProductSupplierEditor links={formData.suppliers} suppliers={suppliers} onChange={handleSuppliersChange} />
+                  </div>
+                )}
               </div>
               <button type="submit" disabled={saveProductMutation.isLoading} className="w-full btn-modern btn-modern-primary py-4 mt-4 uppercase text-sm font-black tracking-[0.2em]">
                 {saveProductMutation.isLoading ? 'Menyimpan...' : (editingProduct ? 'Simpan Perubahan' : 'Tambah Produk')}
@@ -491,70 +788,143 @@ export default function Products() {
           <div className="absolute inset-y-0 right-0 max-w-full flex">
             <div className="w-screen max-w-md bg-white shadow-premium flex flex-col">
               <div className="p-6 bg-brand-600 text-white flex justify-between items-center">
-                <h2 className="text-xl font-black italic uppercase tracking-tighter flex items-center gap-2"><ShoppingCartIcon className="h-6 w-6" /> Ringkasan Troli</h2>
+                <h2 className="text-xl font-black italic uppercase tracking-tighter flex items-center gap-2"><ShoppingCartIcon className="h-6 w-6" /> {checkoutStep === 'checkout' ? 'Checkout' : 'Ringkasan Troli'}</h2>
                 <button onClick={() => setIsCartOpen(false)} className="p-2 hover:bg-white/10 rounded-lg"><XMarkIcon className="h-6 w-6" /></button>
               </div>
-              <div className="flex-1 overflow-y-auto p-6 space-y-4">
-                {cart.length === 0 ? (
-                  <p className="text-center py-20 text-slate-400 font-bold uppercase text-sm tracking-widest">Troli Kosong</p>
-                ) : (
-                  cart.map(item => (
-                    <div key={item.id} className="flex gap-4 p-4 bg-slate-50 rounded-2xl border border-slate-100">
-                      <div className="h-14 w-14 bg-white rounded-xl flex items-center justify-center border border-slate-100 overflow-hidden">
-                        {item.image_url ? (
-                          <img src={item.image_url} alt={item.name} className="w-full h-full object-cover" />
-                        ) : (
-                          <ArchiveBoxIcon className="h-6 w-6 text-slate-200" />
-                        )}
-                      </div>
-                      <div className="flex-1">
-                        <p className="text-sm font-black text-slate-900">{item.name}</p>
-                        <p className="text-xs text-brand-600 font-bold">RM{item.price} x {item.quantity}</p>
-                        <div className="flex items-center gap-3 mt-2">
-                          <button onClick={() => updateQuantity(item.id, item.quantity - 1)} className="h-6 w-6 bg-white border border-slate-200 rounded-lg flex items-center justify-center text-xs font-bold hover:bg-slate-100">-</button>
-                          <span className="text-sm font-black text-slate-700">{item.quantity}</span>
-                          <button 
-                            onClick={() => updateQuantity(item.id, item.quantity + 1)} 
-                            disabled={item.quantity >= item.stock_quantity}
-                            className="h-6 w-6 bg-white border border-slate-200 rounded-lg flex items-center justify-center text-xs font-bold hover:bg-slate-100 disabled:opacity-20"
-                          >
-                            +
-                          </button>
-                        </div>
-                      </div>
-                      <button onClick={() => removeFromCart(item.id)} className="text-slate-300 hover:text-danger"><XMarkIcon className="h-5 w-5" /></button>
-                    </div>
-                  ))
-                )}
-              </div>
-              {cart.length > 0 && (
-                <div className="p-6 border-t border-slate-50 bg-slate-50/50">
-                  <div className="space-y-2 mb-4 text-sm">
-                    <div className="flex justify-between"><span>Subtotal:</span><span className="font-bold">RM{subtotal.toFixed(2)}</span></div>
-                    <div className="flex justify-between"><span>Tax (6%):</span><span className="font-bold">RM{(subtotal * 0.06).toFixed(2)}</span></div>
-                    <div className="flex justify-between text-lg font-black border-t border-slate-200 pt-2">
-                      <span>TOTAL:</span>
-                      <span className="text-brand-600">RM{(subtotal * 1.06).toFixed(2)}</span>
-                    </div>
-                  </div>
-                  <button 
-                    onClick={handleCheckout}
-                    disabled={checkoutMutation.isLoading}
-                    className="w-full btn-modern btn-modern-primary py-4 shadow-brand-200 uppercase text-sm font-black tracking-[0.2em] disabled:opacity-70"
+              {/* Draft Switcher */}
+              {checkoutStep === 'cart' && activeDraft && (
+                <div className="px-6 py-3 border-b border-slate-100 bg-slate-50 flex items-center gap-2">
+                  <select
+                    aria-label="Draft Order"
+                    className="flex-1 min-w-0 bg-white border border-slate-200 rounded-xl text-xs font-black px-3 py-2 outline-none"
+                    value={activeDraft.id}
+                    onChange={e => switchDraft(parseInt(e.target.value, 10))}
                   >
-                    {checkoutMutation.isLoading ? (
-                      <span className="flex items-center gap-2">
-                        <div className="h-4 w-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                        Processing...
-                      </span>
-                    ) : 'Buat Pesanan Sekarang'}
+                    {drafts.map(d => (
+                      <option key={d.id} value={d.id}>{d.name} ({d.items.length})</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => {
+                      const name = window.prompt('Nama draf baru:', 'Phone order – ');
+                      if (name && name.trim()) createDraft(name.trim());
+                    }}
+                    className="p-2 bg-white border border-slate-200 rounded-lg text-slate-500 hover:text-brand-600"
+                    title="New Draft"
+                  >
+                    <PlusIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      const name = window.prompt('Namakan semula draf:', activeDraft.name);
+                      if (name && name.trim()) renameDraft(activeDraft.id, name.trim());
+                    }}
+                    className="p-2 bg-white border border-slate-200 rounded-lg text-slate-500 hover:text-brand-600"
+                    title="Rename Draft"
+                  >
+                    <PencilSquareIcon className="h-4 w-4" />
                   </button>
+                  <button onClick={() => duplicateDraft(activeDraft.id)} className="p-2 bg-white border border-slate-200 rounded-lg text-slate-500 hover:text-brand-600" title="Duplicate Draft">
+                    <DocumentDuplicateIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Buang draf "${activeDraft.name}"?`)) discardDraft(activeDraft.id);
+                    }}
+                    className="p-2 bg-white border border-slate-200 rounded-lg text-slate-500 hover:text-danger"
+                    title="Discard Draft"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                  <span className="text-[10px] font-bold text-slate-400 uppercase w-12 text-right">{isSaving ? 'Saving' : 'Saved'}</span>
                 </div>
               )}
+              {checkoutStep === 'checkout' && cart.length > 0 ? (
+                <CheckoutPanel
+                  cart={cart}
+                  subtotal={subtotal}
+                  onBack={() => setCheckoutStep('cart')}
+                  onSubmit={(orderData) => proceedIfCartValid(() => checkoutMutation.mutate(orderData))}
+                  isSubmitting={checkoutMutation.isLoading || isValidating}
+                />
+              ) : (
+                <>
+                  <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                    {cart.length === 0 ? (
+                      <p className="text-center py-20 text-slate-400 font-bold uppercase text-sm tracking-widest">Troli Kosong</p>
+                    ) : (
+                      cart.map(item => (
+                        <div key={cartLineKey(item)} className={`flex gap-4 p-4 rounded-2xl border ${cartIssues[cartLineKey(item)] ? 'bg-red-50/50 border-red-200' : 'bg-slate-50 border-slate-100'}`}>
+                          <div className="h-14 w-14 bg-white rounded-xl flex items-center justify-center border border-slate-100 overflow-hidden">
+                            {item.image_url ? (
+                              <img src={item.image_url} alt={item.name} className="w-full h-full object-cover" />
+                            ) : (
+                              <ArchiveBoxIcon className="h-6 w-6 text-slate-200" />
+                            )}
+                          </div>
+                          <div className="flex-1">
+                            <p className="text-sm font-black text-slate-900">{item.name}</p>
+                            {item.variant_name && <p className="text-xs text-slate-500 font-bold">{item.variant_name} · {item.sku}</p>}
+                            <p className="text-xs text-brand-600 font-bold">RM{item.price} x {item.quantity}</p>
+                            <div className="flex items-center gap-3 mt-2">
+                              <button onClick={() => updateQuantity(cartLineKey(item), item.quantity - 1)} aria-label={`Decrease ${item.sku}`} className="h-6 w-6 bg-white border border-slate-200 rounded-lg flex items-center justify-center text-xs font-bold hover:bg-slate-100">-</button>
+                              <span className="text-sm font-black text-slate-700">{item.quantity}</span>
+                              <button 
+                                onClick={() => updateQuantity(cartLineKey(item), item.quantity + 1)} 
+                                disabled={item.quantity >= item.stock_quantity}
+                                aria-label={`Increase ${item.sku}`}
+                                className="h-6 w-6 bg-white border border-slate-200 rounded-lg flex items-center justify-center text-xs font-bold hover:bg-slate-100 disabled:opacity-20"
+                              >
+                                +
+                              </button>
+                            </div>
+                            {cartIssues[cartLineKey(item)]?.map(issue => (
+                              <div key={issue.type} className="mt-2 flex items-center justify-between gap-2 text-xs">
+                                <span className="flex items-center gap-1 font-bold text-red-600">
+                                  <ExclamationCircleIcon className="h-3 w-3 flex-shrink-0" /> {issueMessage(issue)}
+                                </span>
+                                <button onClick={() => fixIssue(cartLineKey(item), issue)} className="px-2 py-1 bg-white border border-red-200 rounded-lg font-black text-red-600 hover:bg-red-600 hover:text-white whitespace-nowrap">
+                                  {issueFixLabel(issue)}
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                          <button onClick={() => removeFromCart(cartLineKey(item))} className="text-slate-300 hover:text-danger"><XMarkIcon className="h-5 w-5" /></button>
+                        </div>
+                      ))
+                    )}
+                  </div>
+                  {cart.length > 0 && (
+                    <div className="p-6 border-t border-slate-50 bg-slate-50/50">
+                      <div className="space-y-2 mb-4 text-sm">
+                        <div className="flex justify-between"><span>Subtotal:</span><span className="font-bold">RM{subtotal.toFixed(2)}</span></div>
+                        <div className="flex justify-between"><span>Tax (6%):</span><span className="font-bold">RM{(subtotal * 0.06).toFixed(2)}</span></div>
+                        <div className="flex justify-between text-lg font-black border-t border-slate-200 pt-2">
+                          <span>TOTAL:</span>
+                          <span className="text-brand-600">RM{(subtotal * 1.06).toFixed(2)}</span>
+                        </div>
+                      </div>
+                      <button 
+                        onClick={() => proceedIfCartValid(() => setCheckoutStep('checkout'))}
+                        disabled={isValidating || Object.keys(cartIssues).length > 0}
+                        className="w-full btn-modern btn-modern-primary py-4 shadow-brand-200 uppercase text-sm font-black tracking-[0.2em] disabled:opacity-50"
+                      >
+                        {isValidating ? 'Menyemak stok...' : 'Teruskan ke Checkout'}
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
             </div>
           </div>
         </div>
       )}
+
+      {showImport && (
+        <ProductImportDialog onClose={() => setShowImport(false)} onImported={() => queryClient.invalidateQueries('products')} />
+      )}
+
+      {stockProduct && <StockAdjustDialog product={stockProduct} onClose={() => setStockProduct(null)} />}
     </div>
   );
 }
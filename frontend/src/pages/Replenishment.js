@@ -0,0 +1,323 @@
+import React, { useState, useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { format } from 'date-fns';
+import api from '../api';
+import toast from 'react-hot-toast';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import PurchaseOrderReceiveDialog from '../components/PurchaseOrderReceiveDialog';
+import { PURCHASE_ORDER_STATUSES } from '../utils/inventory';
+import { formatCost } from '../utils/suppliers';
+import { ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
+
+const lineKey = (s) => `${s.product_id}-${s.variant_id ?? ''}`;
+
+function PurchaseOrderLines({ orderId }) {
+  const { data: order, isLoading } = useQuery(['purchase-order', orderId], async () => {
+    const res = await api.get(`/purchase-orders/${orderId}`);
+    return res.data.data;
+  });
+
+  if (isLoading) return <div className="spinner mx-auto"></div>;
+
+  return (
+    <div className="space-y-1">
+      {order.items.map(item => (
+        <div key={item.id} className="flex justify-between text-xs">
+          <span className="font-bold text-slate-600">{item.sku} · {item.name}{item.variant_name && ` (${item.variant_name})`}{item.supplier_sku && ` · ${item.supplier_sku}`}</span>
+          <span className="font-black text-slate-900">{item.quantity_received}/{item.quantity_ordered} · {formatCost(item.unit_cost, order.currency)}</span>
+        </div>
+      ))}
+      {order.notes && <p className="text-xs text-slate-400 pt-1">{order.notes}</p>}
+      {order.received_at && <p className="text-xs text-slate-400">Diterima sepenuhnya {format(new Date(order.received_at), 'dd MMM yyyy, HH:mm')}</p>}
+    </div>
+  );
+}
+
+export default function Replenishment() {
+  const queryClient = useQueryClient();
+  const [days, setDays] = useState('30');
+  const [leadTime, setLeadTime] = useState('7');
+  const [supplierId, setSupplierId] = useState('');
+  const [locationId, setLocationId] = useState('');
+  const [selected, setSelected] = useState({});
+  const [status, setStatus] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [receivingId, setReceivingId] = useState(null);
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const { data: suggestions, isLoading: suggestionsLoading } = useQuery(['replenishment', days, leadTime, supplierId], async () => {
+    const params = new URLSearchParams({
+      days: Math.min(parseInt(days, 10) || 30, 365),
+      lead_time_days: Math.min(parseInt(leadTime, 10) || 0, 365)
+    });
+    if (supplierId) params.set('supplier_id', supplierId);
+    const res = await api.get(`/purchase-orders/suggestions?${params}`);
+    return res.data.data;
+  }, { keepPreviousData: true });
+
+  const fetchOrders = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (status) params.set('status', status);
+    if (supplierId) params.set('supplier_id', supplierId);
+    const res = await api.get(`/purchase-orders?${params}`);
+    return res.data;
+  }, [status, supplierId, limit]);
+
+  const { data, isLoading } = useQuery(['purchase-orders', status, supplierId, page, limit], () => fetchOrders(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['purchase-orders', status, supplierId, nextPage, limit], () => fetchOrders(nextPage)]
+  ), [status, supplierId, limit, fetchOrders]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  const { data: suppliers } = useQuery('supplier-options', async () => {
+    const res = await api.get('/suppliers/all');
+    return res.data.data;
+  });
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  });
+
+  const createMutation = useMutation(async (payload) => api.post('/purchase-orders', payload), {
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      setSelected({});
+      queryClient.invalidateQueries('purchase-orders');
+      queryClient.invalidateQueries('replenishment');
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal mencipta pesanan belian'));
+    }
+  });
+
+  const cancelMutation = useMutation(async (id) => api.post(`/purchase-orders/${id}/cancel`), {
+    onSuccess: (res, id) => {
+      toast.success(res.data.message);
+      queryClient.invalidateQueries('purchase-orders');
+      queryClient.invalidateQueries(['purchase-order', id]);
+      queryClient.invalidateQueries('replenishment');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Gagal membatalkan pesanan belian')
+  });
+
+  const toggle = (s) => {
+    const key = lineKey(s);
+    const { [key]: current, ...rest } = selected;
+    setSelected(current === undefined ? { ...selected, [key]: String(s.suggested_quantity) } : rest);
+  };
+
+  const orderable = suggestions?.filter(s => s.supplier_id) || [];
+  const chosen = orderable.filter(s => selected[lineKey(s)] !== undefined);
+  const allSelected = orderable.length > 0 && chosen.length === orderable.length;
+
+  const toggleAll = () => setSelected(allSelected ? {} : Object.fromEntries(orderable.map(s => [lineKey(s), String(s.suggested_quantity)])));
+
+  const handleCreate = () => {
+    if (chosen.some(s => !(parseInt(selected[lineKey(s)], 10) > 0))) return toast.error('Kuantiti mesti 1 atau lebih');
+
+    createMutation.mutate({
+      location_id: locationId ? parseInt(locationId, 10) : null,
+      items: chosen.map(s => ({
+        supplier_id: s.supplier_id,
+        product_id: s.product_id,
+        variant_id: s.variant_id,
+        quantity: parseInt(selected[lineKey(s)], 10),
+        unit_cost: s.unit_cost
+      }))
+    });
+  };
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div>
+        <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Stock <span className="text-brand-600">Replenishment</span></h1>
+        <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Cadangan pesanan semula dan pesanan belian pembekal</p>
+      </div>
+
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="replenishment_days" className={labelClass}>Tempoh Jualan (hari)</label>
+          <input id="replenishment_days" type="number" min="1" max="365" className="input-modern" value={days} onChange={e => setDays(e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="replenishment_lead_time" className={labelClass} title="Untuk pembekal tanpa masa pendahuluan sendiri">Masa Pendahuluan Lalai (hari)</label>
+          <input id="replenishment_lead_time" type="number" min="0" max="365" className="input-modern" value={leadTime} onChange={e => setLeadTime(e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="replenishment_supplier" className={labelClass}>Pembekal</label>
+          <select id="replenishment_supplier" className="input-modern" value={supplierId} onChange={(e) => { setSupplierId(e.target.value); setSelected({}); if (page !== 1) setPage(1); }}>
+            <option value="">Semua Pembekal</option>
+            {suppliers?.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="replenishment_location" className={labelClass}>Terima Di</label>
+          <select id="replenishment_location" className="input-modern" value={locationId} onChange={e => setLocationId(e.target.value)}>
+            <option value="">Lokasi Lalai</option>
+            {locations?.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="table-container">
+        <div className="p-4 flex justify-between items-center border-b border-slate-50">
+          <h2 className="text-sm font-black text-slate-900 uppercase tracking-widest">Cadangan Pesanan Semula</h2>
+          <button onClick={handleCreate} disabled={chosen.length === 0 || createMutation.isLoading} className="btn-modern btn-modern-primary text-xs">
+            {createMutation.isLoading ? 'Mencipta...' : `Cipta PO (${chosen.length})`}
+          </button>
+        </div>
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th className="w-10">
+                <input type="checkbox" aria-label="Select All Suggestions" className="rounded border-slate-300 text-brand-600" checked={allSelected} onChange={toggleAll} disabled={orderable.length === 0} />
+              </th>
+              <th>Produk</th>
+              <th className="text-right">Stok</th>
+              <th className="text-right">Dipesan</th>
+              <th className="text-right">Jualan / Hari</th>
+              <th className="text-right">Baki (hari)</th>
+              <th>Pembekal</th>
+              <th className="text-right">Kos Seunit</th>
+              <th className="text-right">Kuantiti</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {suggestionsLoading ? <tr><td colSpan="9" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              suggestions?.length === 0 ? <tr><td colSpan="9" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada produk perlu dipesan semula</td></tr> :
+              suggestions?.map(s => {
+                const key = lineKey(s);
+                const isSelected = selected[key] !== undefined;
+                return (
+                  <tr key={key} className="hover:bg-slate-50/50 transition-all">
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${s.sku}`}
+                        className="rounded border-slate-300 text-brand-600"
+                        checked={isSelected}
+                        onChange={() => toggle(s)}
+                        disabled={!s.supplier_id}
+                        title={s.supplier_id ? undefined : 'Tiada pembekal dipautkan'}
+                      />
+                    </td>
+                    <td>
+                      <p className="text-sm font-black text-slate-900">{s.name}{s.variant_name && ` (${s.variant_name})`}</p>
+                      <p className="text-xs text-slate-400 font-bold">{s.sku}{s.supplier_sku && ` · ${s.supplier_sku}`}</p>
+                    </td>
+                    <td className="text-right text-sm font-black text-slate-900">{s.stock_quantity} <span className="text-xs text-slate-400">/ {s.low_stock_threshold}</span></td>
+                    <td className="text-right text-sm font-bold text-slate-500">{s.on_order || '-'}</td>
+                    <td className="text-right text-sm font-bold text-slate-500">{s.daily_sales}</td>
+                    <td className={`text-right text-sm font-black ${s.days_of_stock !== null && s.days_of_stock <= s.lead_time_days ? 'text-danger' : 'text-slate-900'}`}>
+                      {s.days_of_stock ?? '-'}
+                    </td>
+                    <td className="text-sm font-bold text-slate-600">
+                      {s.supplier_name || <span className="text-slate-400">Tiada pembekal</span>}
+                      {s.supplier_name && <p className="text-xs text-slate-400">{s.lead_time_days} hari</p>}
+                    </td>
+                    <td className="text-right text-sm font-bold text-slate-500">{formatCost(s.unit_cost, s.currency || undefined)}</td>
+                    <td className="text-right">
+                      {isSelected ? (
+                        <input
+                          aria-label={`${s.sku} Order Quantity`}
+                          type="number"
+                          min="1"
+                          className="input-modern text-sm w-20 text-right"
+                          value={selected[key]}
+                          onChange={e => setSelected({ ...selected, [key]: e.target.value })}
+                        />
+                      ) : (
+                        <span className="text-sm font-black text-slate-900">{s.suggested_quantity}</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex flex-col md:flex-row justify-between md:items-end gap-4">
+          <h2 className="text-sm font-black text-slate-900 uppercase tracking-widest">Pesanan Belian</h2>
+          <select aria-label="Purchase Order Status" className="input-modern md:w-60" value={status} onChange={(e) => { setStatus(e.target.value); if (page !== 1) setPage(1); }}>
+            <option value="">Semua Status</option>
+            {Object.entries(PURCHASE_ORDER_STATUSES).map(([value, s]) => <option key={value} value={value}>{s.label}</option>)}
+          </select>
+        </div>
+
+        <div className="table-container">
+          <table className="modern-table w-full">
+            <thead>
+              <tr>
+                <th>Rujukan</th>
+                <th>Pembekal → Lokasi</th>
+                <th className="text-right">Diterima</th>
+                <th className="text-right">Jumlah</th>
+                <th>Status</th>
+                <th>Tarikh</th>
+                <th className="text-right">Tindakan</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-50">
+              {isLoading ? <tr><td colSpan="7" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+                data?.data?.length === 0 ? <tr><td colSpan="7" className="py-20 text-center text-sm text-slate-400 font-medium">Belum ada pesanan belian</td></tr> :
+                data?.data?.map(po => (
+                  <React.Fragment key={po.id}>
+                    <tr className="hover:bg-slate-50/50 transition-all">
+                      <td>
+                        <button onClick={() => setExpanded(expanded === po.id ? null : po.id)} className="text-sm font-black text-brand-600 hover:underline flex items-center gap-1">
+                          {po.reference}
+                          {expanded === po.id ? <ChevronUpIcon className="h-3 w-3" /> : <ChevronDownIcon className="h-3 w-3" />}
+                        </button>
+                        <p className="text-xs text-slate-400 font-bold">{po.created_by_name}</p>
+                      </td>
+                      <td className="text-sm font-bold text-slate-600">{po.supplier_name} → {po.location_name}</td>
+                      <td className="text-right text-sm font-black text-slate-900">{po.units_received}/{po.units_ordered} <span className="text-xs text-slate-400">({po.item_count} SKU)</span></td>
+                      <td className="text-right text-sm font-bold text-slate-500">{formatCost(po.total_cost, po.currency)}</td>
+                      <td><span className={`status-badge ${PURCHASE_ORDER_STATUSES[po.status].className}`}>{PURCHASE_ORDER_STATUSES[po.status].label}</span></td>
+                      <td className="text-xs font-bold text-slate-500">{format(new Date(po.created_at), 'dd MMM yyyy, HH:mm')}</td>
+                      <td className="text-right whitespace-nowrap">
+                        {['ordered', 'partial'].includes(po.status) && (
+                          <div className="flex gap-2 justify-end">
+                            <button onClick={() => setReceivingId(po.id)} className="btn-modern text-xs bg-slate-900 text-white">
+                              Terima
+                            </button>
+                            <button
+                              onClick={() => { if (window.confirm(`Batalkan ${po.reference}? Stok yang sudah diterima kekal.`)) cancelMutation.mutate(po.id); }}
+                              disabled={cancelMutation.isLoading}
+                              className="btn-modern text-xs bg-white border border-slate-200 text-red-600 hover:bg-red-50"
+                            >
+                              Batal
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded === po.id && (
+                      <tr>
+                        <td colSpan="7" className="bg-slate-50/50"><PurchaseOrderLines orderId={po.id} /></td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))
+              }
+            </tbody>
+          </table>
+          <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+        </div>
+      </div>
+
+      {receivingId && <PurchaseOrderReceiveDialog orderId={receivingId} onClose={() => setReceivingId(null)} />}
+    </div>
+  );
+}
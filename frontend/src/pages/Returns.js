@@ -0,0 +1,98 @@
+import React, { useState, useCallback } from 'react';
+import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import api from '../api';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+
+export default function Returns() {
+  const [search, setSearch] = useState('');
+  const [resolution, setResolution] = useState('');
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const fetchReturns = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (search) params.set('search', search);
+    if (resolution) params.set('resolution', resolution);
+    const res = await api.get(`/returns?${params}`);
+    return res.data;
+  }, [search, resolution, limit]);
+
+  const { data, isLoading } = useQuery(['returns', search, resolution, page, limit], () => fetchReturns(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['returns', search, resolution, nextPage, limit], () => fetchReturns(nextPage)]
+  ), [search, resolution, limit, fetchReturns]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div>
+        <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Returns <span className="text-brand-600">& Refunds</span></h1>
+        <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Senarai pulangan (RMA) dan bayaran balik</p>
+      </div>
+
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="relative md:col-span-2">
+          <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <input type="text" className="input-modern pl-11" placeholder="Cari No. RMA / No. pesanan..." value={search} onChange={(e) => { setSearch(e.target.value); if (page !== 1) setPage(1); }} />
+        </div>
+        <select aria-label="Resolution" className="input-modern" value={resolution} onChange={(e) => { setResolution(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Tindakan</option>
+          <option value="restock">Masuk Semula Stok</option>
+          <option value="write_off">Hapus Kira</option>
+        </select>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>No. RMA</th>
+              <th>Pesanan</th>
+              <th>Sebab</th>
+              <th>Tindakan</th>
+              <th className="text-right">Bayaran Balik</th>
+              <th>Tarikh</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {isLoading ? <tr><td colSpan="6" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              data?.data?.length === 0 ? <tr><td colSpan="6" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada pulangan dijumpai</td></tr> :
+              data?.data?.map(r => (
+                <tr key={r.id} className="hover:bg-slate-50/50 transition-all">
+                  <td>
+                    <p className="text-sm font-black text-slate-900">{r.rma_number}</p>
+                    <p className="text-xs text-slate-400 font-bold">{r.item_count} unit · {r.created_by_name}</p>
+                  </td>
+                  <td>
+                    <Link to={`/orders/${r.order_id}`} className="text-sm font-black text-brand-600 hover:underline">{r.order_number}</Link>
+                    <p className="text-xs text-slate-400 font-bold">{r.customer_name}</p>
+                  </td>
+                  <td className="text-sm text-slate-600 max-w-xs truncate">{r.reason}</td>
+                  <td>
+                    <span className={`status-badge ${r.resolution === 'restock' ? 'bg-info/10 text-info' : 'bg-warning/10 text-warning'}`}>
+                      {r.resolution === 'restock' ? 'Restock' : 'Write-off'}
+                    </span>
+                  </td>
+                  <td className="text-right">
+                    <p className="text-sm font-black text-slate-900">RM {parseFloat(r.refund_amount).toFixed(2)}</p>
+                    {parseFloat(r.commission_reversed) > 0 && (
+                      <p className="text-xs text-slate-400 font-bold">Komisen -RM {parseFloat(r.commission_reversed).toFixed(2)}</p>
+                    )}
+                  </td>
+                  <td className="text-xs font-bold text-slate-500">{format(new Date(r.created_at), 'dd MMM yyyy, HH:mm')}</td>
+                </tr>
+              ))
+            }
+          </tbody>
+        </table>
+        <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState, useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { format } from 'date-fns';
+import api from '../api';
+import toast from 'react-hot-toast';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import StockTransferDialog from '../components/StockTransferDialog';
+import { TRANSFER_STATUSES } from '../utils/inventory';
+import { PlusIcon, ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
+
+function TransferLines({ transferId }) {
+  const { data: transfer, isLoading } = useQuery(['stock-transfer', transferId], async () => {
+    const res = await api.get(`/stock-transfers/${transferId}`);
+    return res.data.data;
+  });
+
+  if (isLoading) return <div className="spinner mx-auto"></div>;
+
+  return (
+    <div className="space-y-1">
+      {transfer.items.map(item => (
+        <div key={item.id} className="flex justify-between text-xs">
+          <span className="font-bold text-slate-600">{item.sku} · {item.name}{item.variant_name && ` (${item.variant_name})`}</span>
+          <span className="font-black text-slate-900">{item.quantity}</span>
+        </div>
+      ))}
+      {transfer.notes && <p className="text-xs text-slate-400 pt-1">{transfer.notes}</p>}
+      {transfer.received_by_name && (
+        <p className="text-xs text-slate-400">Diterima oleh {transfer.received_by_name}, {format(new Date(transfer.received_at), 'dd MMM yyyy, HH:mm')}</p>
+      )}
+    </div>
+  );
+}
+
+export default function StockTransfers() {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('');
+  const [locationId, setLocationId] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const fetchTransfers = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (status) params.set('status', status);
+    if (locationId) params.set('location_id', locationId);
+    const res = await api.get(`/stock-transfers?${params}`);
+    return res.data;
+  }, [status, locationId, limit]);
+
+  const { data, isLoading } = useQuery(['stock-transfers', status, locationId, page, limit], () => fetchTransfers(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['stock-transfers', status, locationId, nextPage, limit], () => fetchTransfers(nextPage)]
+  ), [status, locationId, limit, fetchTransfers]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  });
+
+  const actionMutation = useMutation(async ({ id, action }) => api.post(`/stock-transfers/${id}/${action}`), {
+    onSuccess: (res, { id }) => {
+      toast.success(res.data.message);
+      queryClient.invalidateQueries('stock-transfers');
+      queryClient.invalidateQueries(['stock-transfer', id]);
+      queryClient.invalidateQueries('locations');
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('inventory-ledger');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Gagal mengemaskini pindahan')
+  });
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-end gap-4">
+        <div>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Stock <span className="text-brand-600">Transfers</span></h1>
+          <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Pindahan stok antara gudang dan kedai</p>
+        </div>
+        <button onClick={() => setIsCreating(true)} disabled={!locations || locations.length < 2} className="btn-modern btn-modern-primary" title={locations?.length < 2 ? 'Perlu sekurang-kurangnya dua lokasi aktif' : undefined}>
+          <PlusIcon className="h-4 w-4" /> Pindahan Baru
+        </button>
+      </div>
+
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-3 gap-4">
+        <select aria-label="Transfer Status" className="input-modern" value={status} onChange={(e) => { setStatus(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Status</option>
+          {Object.entries(TRANSFER_STATUSES).map(([value, s]) => <option key={value} value={value}>{s.label}</option>)}
+        </select>
+        <select aria-label="Transfer Location" className="input-modern" value={locationId} onChange={(e) => { setLocationId(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Lokasi</option>
+          {locations?.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+        </select>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>Rujukan</th>
+              <th>Dari → Ke</th>
+              <th className="text-right">Unit</th>
+              <th>Status</th>
+              <th>Tarikh</th>
+              <th className="text-right">Tindakan</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {isLoading ? <tr><td colSpan="6" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              data?.data?.length === 0 ? <tr><td colSpan="6" className="py-20 text-center text-sm text-slate-400 font-medium">Belum ada pindahan stok</td></tr> :
+              data?.data?.map(t => (
+                <React.Fragment key={t.id}>
+                  <tr className="hover:bg-slate-50/50 transition-all">
+                    <td>
+                      <button onClick={() => setExpanded(expanded === t.id ? null : t.id)} className="text-sm font-black text-brand-600 hover:underline flex items-center gap-1">
+                        {t.reference}
+                        {expanded === t.id ? <ChevronUpIcon className="h-3 w-3" /> : <ChevronDownIcon className="h-3 w-3" />}
+                      </button>
+                      <p className="text-xs text-slate-400 font-bold">{t.created_by_name}</p>
+                    </td>
+                    <td className="text-sm font-bold text-slate-600">{t.from_location} → {t.to_location}</td>
+                    <td className="text-right text-sm font-black text-slate-900">{t.units} <span className="text-xs text-slate-400">({t.item_count} SKU)</span></td>
+                    <td><span className={`status-badge ${TRANSFER_STATUSES[t.status].className}`}>{TRANSFER_STATUSES[t.status].label}</span></td>
+                    <td className="text-xs font-bold text-slate-500">{format(new Date(t.created_at), 'dd MMM yyyy, HH:mm')}</td>
+                    <td className="text-right whitespace-nowrap">
+                      {t.status === 'in_transit' && (
+                        <div className="flex gap-2 justify-end">
+                          <button
+                            onClick={() => actionMutation.mutate({ id: t.id, action: 'receive' })}
+                            disabled={actionMutation.isLoading}
+                            className="btn-modern text-xs bg-slate-900 text-white"
+                          >
+                            Terima
+                          </button>
+                          <button
+                            onClick={() => { if (window.confirm(`Batalkan ${t.reference}? Stok akan dipulangkan ke ${t.from_location}.`)) actionMutation.mutate({ id: t.id, action: 'cancel' }); }}
+                            disabled={actionMutation.isLoading}
+                            className="btn-modern text-xs bg-white border border-slate-200 text-red-600 hover:bg-red-50"
+                          >
+                            Batal
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                  {expanded === t.id && (
+                    <tr>
+                      <td colSpan="6" className="bg-slate-50/50"><TransferLines transferId={t.id} /></td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))
+            }
+          </tbody>
+        </table>
+        <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+      </div>
+
+      {isCreating && <StockTransferDialog locations={locations} onClose={() => setIsCreating(false)} />}
+    </div>
+  );
+}
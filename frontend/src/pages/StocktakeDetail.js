@@ -0,0 +1,290 @@
+import React, { useState, useRef } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { Link, useParams } from 'react-router-dom';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { downloadFromApi } from '../utils/download';
+import { STOCKTAKE_STATUSES } from '../utils/inventory';
+import { ArrowLeftIcon, ArrowDownTrayIcon, QrCodeIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+
+const VIEWS = [
+  { value: 'all', label: 'Semua' },
+  { value: 'uncounted', label: 'Belum Dikira' },
+  { value: 'variance', label: 'Ada Varians' }
+];
+
+/**
+ * Stocktake counting screen.
+ *
+ * The scan box works with keyboard-wedge barcode scanners (they type the
+ * SKU and press Enter): each scan adds the per-scan quantity to that SKU's
+ * count. Counts can also be typed into the table. Everything is saved as
+ * it is entered, so a count can be left and resumed later.
+ */
+export default function StocktakeDetail() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const scanInput = useRef(null);
+  const [scanSku, setScanSku] = useState('');
+  const [perScan, setPerScan] = useState(1);
+  const [lastScan, setLastScan] = useState(null);
+  const [view, setView] = useState('all');
+  const [search, setSearch] = useState('');
+  const [edits, setEdits] = useState({}); // line id => typed count not yet saved
+  const [excluded, setExcluded] = useState(new Set()); // variance lines left out of posting
+  const [isWorking, setIsWorking] = useState(false);
+
+  const { data: stocktake, isLoading } = useQuery(['stocktake', id], async () => {
+    const res = await api.get(`/stocktakes/${id}`);
+    return res.data.data;
+  });
+
+  const refresh = () => queryClient.invalidateQueries(['stocktake', id]);
+
+  const showError = (err, fallback) => {
+    const errors = err.response?.data?.errors;
+    toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || fallback));
+  };
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const sku = scanSku.trim();
+    if (!sku) return;
+    setScanSku('');
+    try {
+      const res = await api.post(`/stocktakes/${id}/scan`, { sku, quantity: parseInt(perScan, 10) || 1 });
+      setLastScan(res.data.data);
+      refresh();
+    } catch (err) {
+      setLastScan(null);
+      showError(err, 'Gagal merekod imbasan');
+    } finally {
+      scanInput.current?.focus();
+    }
+  };
+
+  const saveCount = async (item) => {
+    if (!(item.id in edits)) return;
+    const value = edits[item.id];
+    const counted = value === '' ? null : parseInt(value, 10);
+    if (counted !== null && (isNaN(counted) || counted < 0)) return toast.error('Kiraan mesti 0 atau lebih');
+
+    try {
+      await api.put(`/stocktakes/${id}/items`, { items: [{ id: item.id, counted_quantity: counted }] });
+      const { [item.id]: _saved, ...rest } = edits;
+      setEdits(rest);
+      refresh();
+    } catch (err) {
+      showError(err, 'Gagal menyimpan kiraan');
+    }
+  };
+
+  const toggleExcluded = (itemId) => {
+    const next = new Set(excluded);
+    if (next.has(itemId)) next.delete(itemId); else next.add(itemId);
+    setExcluded(next);
+  };
+
+  const handleExport = async () => {
+    try {
+      await downloadFromApi(`/stocktakes/${id}/export`, {}, `Stocktake_${stocktake.reference}.csv`);
+    } catch (err) {
+      toast.error('Gagal mengeksport laporan varians');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Batalkan ${stocktake.reference}? Kiraan tidak akan dipos.`)) return;
+    try {
+      const res = await api.delete(`/stocktakes/${id}`);
+      toast.success(res.data.message);
+      refresh();
+    } catch (err) {
+      showError(err, 'Gagal membatalkan kiraan');
+    }
+  };
+
+  if (isLoading) return <div className="py-20 text-center"><div className="spinner mx-auto"></div></div>;
+  if (!stocktake) return <div className="py-20 text-center text-sm text-slate-400 font-medium">Kiraan stok tidak dijumpai</div>;
+
+  const isCounting = stocktake.status === 'counting';
+  const approvedLines = stocktake.items.filter(item => item.variance !== null && item.variance !== 0 && !excluded.has(item.id));
+
+  const handlePost = async () => {
+    if (!window.confirm(`Pos ${approvedLines.length} pelarasan stok? Stok akan ditetapkan kepada kiraan.`)) return;
+    setIsWorking(true);
+    try {
+      const res = await api.post(`/stocktakes/${id}/post`, { item_ids: approvedLines.map(item => item.id) });
+      toast.success(res.data.message);
+      refresh();
+      queryClient.invalidateQueries('products');
+      queryClient.invalidateQueries('inventory-ledger');
+    } catch (err) {
+      showError(err, 'Gagal mengepos pelarasan');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const visibleItems = stocktake.items.filter(item => {
+    if (view === 'uncounted' && item.counted_quantity !== null) return false;
+    if (view === 'variance' && !item.variance) return false;
+    return !term || item.sku.toLowerCase().includes(term) || item.name.toLowerCase().includes(term);
+  });
+
+  const { summary } = stocktake;
+  const statusStyle = STOCKTAKE_STATUSES[stocktake.status];
+
+  return (
+    <div className="space-y-8 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-end gap-4">
+        <div>
+          <Link to="/stocktakes" className="text-xs font-black text-slate-400 uppercase tracking-widest flex items-center gap-1 mb-2 hover:text-brand-600">
+            <ArrowLeftIcon className="h-3 w-3" /> Semua Kiraan
+          </Link>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">{stocktake.reference}</h1>
+          <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em] flex items-center gap-2">
+            {stocktake.category_name || 'Semua Kategori'}{stocktake.location_name && ` · ${stocktake.location_name}`}{stocktake.location && ` · ${stocktake.location}`}
+            <span className={`status-badge ${statusStyle.className}`}>{statusStyle.label}</span>
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <button onClick={handleExport} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+            <ArrowDownTrayIcon className="h-4 w-4" /> Eksport Varians
+          </button>
+          {isCounting && (
+            <button onClick={handleCancel} className="btn-modern bg-white border border-slate-200 text-slate-600 hover:bg-slate-50">Batal Kiraan</button>
+          )}
+          {isCounting && user?.role === 'admin' && (
+            <button onClick={handlePost} disabled={isWorking || approvedLines.length === 0} className="btn-modern btn-modern-primary disabled:opacity-50">
+              <CheckCircleIcon className="h-4 w-4" /> {isWorking ? 'Mengepos...' : `Pos ${approvedLines.length} Pelarasan`}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          { label: 'Dikira', value: `${summary.counted} / ${summary.lines}` },
+          { label: 'SKU Ada Varians', value: summary.with_variance },
+          { label: 'Varians Unit', value: summary.variance_units > 0 ? `+${summary.variance_units}` : summary.variance_units },
+          { label: 'Nilai Varians', value: `RM ${summary.variance_value.toFixed(2)}` }
+        ].map(card => (
+          <div key={card.label} className="premium-card p-5 border-none shadow-soft">
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{card.label}</p>
+            <p className="text-2xl font-black text-slate-900 mt-1">{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {isCounting && (
+        <form onSubmit={handleScan} className="premium-card p-4 border-none shadow-soft flex flex-col md:flex-row gap-4 md:items-center">
+          <div className="relative flex-1">
+            <QrCodeIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+            <input
+              id="stocktake_scan"
+              ref={scanInput}
+              type="text"
+              autoFocus
+              autoComplete="off"
+              className="input-modern pl-12 text-lg font-black"
+              placeholder="Imbas barcode atau taip SKU, tekan Enter"
+              value={scanSku}
+              onChange={e => setScanSku(e.target.value)}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <label htmlFor="stocktake_per_scan" className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Unit / imbasan</label>
+            <input id="stocktake_per_scan" type="number" min="1" className="input-modern w-20" value={perScan} onChange={e => setPerScan(e.target.value)} />
+          </div>
+          {lastScan && (
+            <p className="text-sm font-bold text-slate-600">
+              <span className="font-black text-slate-900">{lastScan.sku}</span> · dikira {lastScan.counted_quantity}
+            </p>
+          )}
+        </form>
+      )}
+
+      <div className="premium-card p-4 border-none shadow-soft flex flex-col md:flex-row gap-4">
+        <input type="text" className="input-modern md:flex-1" placeholder="Cari SKU atau nama produk..." value={search} onChange={e => setSearch(e.target.value)} />
+        <div className="flex gap-2">
+          {VIEWS.map(v => (
+            <button key={v.value} onClick={() => setView(v.value)} className={`btn-modern text-xs ${view === v.value ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200 text-slate-600'}`}>
+              {v.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              {isCounting && <th className="w-10">Pos</th>}
+              <th>SKU & Produk</th>
+              <th className="text-right">Sistem</th>
+              <th className="text-right">Dikira</th>
+              <th className="text-right">Varians</th>
+              <th className="text-right">Nilai</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {visibleItems.length === 0 ? <tr><td colSpan="6" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada SKU dalam paparan ini</td></tr> :
+              visibleItems.map(item => (
+                <tr key={item.id} className="hover:bg-slate-50/50 transition-all">
+                  {isCounting && (
+                    <td>
+                      {item.variance !== null && item.variance !== 0 && (
+                        <input
+                          type="checkbox"
+                          aria-label={`Approve ${item.sku}`}
+                          className="rounded border-slate-300 text-brand-600"
+                          checked={!excluded.has(item.id)}
+                          onChange={() => toggleExcluded(item.id)}
+                        />
+                      )}
+                    </td>
+                  )}
+                  <td>
+                    <p className="text-sm font-black text-slate-900">{item.sku}</p>
+                    <p className="text-xs text-slate-400 font-bold">{item.name}{item.variant_name && ` (${item.variant_name})`}</p>
+                  </td>
+                  <td className="text-right text-sm font-bold text-slate-500">
+                    {item.system_quantity}
+                    {/* Stock has moved since the line was counted; the variance is still against the count-time figure */}
+                    {isCounting && item.current_quantity !== item.system_quantity && (
+                      <p className="text-[10px] font-bold text-slate-400" title="Stock now (sales or transfers since counting)">kini {item.current_quantity}</p>
+                    )}
+                  </td>
+                  <td className="text-right">
+                    {isCounting ? (
+                      <input
+                        aria-label={`${item.sku} Counted`}
+                        type="number"
+                        min="0"
+                        className="input-modern text-sm w-24 text-right ml-auto"
+                        value={item.id in edits ? edits[item.id] : (item.counted_quantity ?? '')}
+                        onChange={e => setEdits({ ...edits, [item.id]: e.target.value })}
+                        onBlur={() => saveCount(item)}
+                        onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                      />
+                    ) : (
+                      <span className="text-sm font-black text-slate-900">{item.counted_quantity ?? '—'}</span>
+                    )}
+                  </td>
+                  <td className={`text-right text-sm font-black ${!item.variance ? 'text-slate-400' : item.variance > 0 ? 'text-success' : 'text-danger'}`}>
+                    {item.variance === null ? '—' : item.variance > 0 ? `+${item.variance}` : item.variance}
+                  </td>
+                  <td className="text-right text-xs font-bold text-slate-500">{item.variance_value === null ? '—' : `RM ${item.variance_value.toFixed(2)}`}</td>
+                </tr>
+              ))
+            }
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState, useCallback } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { Link, useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import api from '../api';
+import toast from 'react-hot-toast';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import { STOCKTAKE_STATUSES } from '../utils/inventory';
+import { PlusIcon } from '@heroicons/react/24/outline';
+
+export default function Stocktakes() {
+  const navigate = useNavigate();
+  const [status, setStatus] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+  const [scope, setScope] = useState({ category_id: '', location_id: '', location: '' });
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const fetchStocktakes = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (status) params.set('status', status);
+    const res = await api.get(`/stocktakes?${params}`);
+    return res.data;
+  }, [status, limit]);
+
+  const { data, isLoading } = useQuery(['stocktakes', status, page, limit], () => fetchStocktakes(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['stocktakes', status, nextPage, limit], () => fetchStocktakes(nextPage)]
+  ), [status, limit, fetchStocktakes]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  const { data: categories } = useQuery('categories', async () => {
+    const res = await api.get('/products/categories/all');
+    return res.data.data;
+  });
+
+  const { data: locations } = useQuery('location-options', async () => {
+    const res = await api.get('/locations/all');
+    return res.data.data;
+  });
+
+  const startMutation = useMutation(async () => api.post('/stocktakes', {
+    category_id: scope.category_id || null,
+    location_id: scope.location_id || null,
+    location: scope.location.trim() || null
+  }), {
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      navigate(`/stocktakes/${res.data.data.id}`);
+    },
+    onError: (err) => {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Gagal memulakan kiraan'));
+    }
+  });
+
+  const labelClass = 'text-[10px] font-black text-slate-400 uppercase mb-2 block tracking-widest';
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-end gap-4">
+        <div>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Stock <span className="text-brand-600">Take</span></h1>
+          <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Kiraan stok berkala dan laporan varians</p>
+        </div>
+        <button onClick={() => setIsStarting(!isStarting)} className="btn-modern btn-modern-primary">
+          <PlusIcon className="h-4 w-4" /> Mula Kiraan
+        </button>
+      </div>
+
+      {isStarting && (
+        <div className="premium-card p-6 border-none shadow-soft grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label htmlFor="stocktake_category" className={labelClass}>Kategori</label>
+            <select id="stocktake_category" className="input-modern" value={scope.category_id} onChange={e => setScope({ ...scope, category_id: e.target.value })}>
+              <option value="">Semua Kategori</option>
+              {categories?.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="stocktake_stock_location" className={labelClass}>Lokasi Stok</label>
+            <select id="stocktake_stock_location" className="input-modern" value={scope.location_id} onChange={e => setScope({ ...scope, location_id: e.target.value })}>
+              <option value="">Semua Lokasi (jumlah stok)</option>
+              {locations?.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="stocktake_location" className={labelClass}>Kawasan</label>
+            <input id="stocktake_location" type="text" maxLength={100} className="input-modern" placeholder="Cth: Rak A, Stor Belakang" value={scope.location} onChange={e => setScope({ ...scope, location: e.target.value })} />
+          </div>
+          <button onClick={() => startMutation.mutate()} disabled={startMutation.isLoading} className="btn-modern bg-slate-900 text-white">
+            {startMutation.isLoading ? 'Menyediakan...' : 'Mula'}
+          </button>
+        </div>
+      )}
+
+      <div className="premium-card p-4 border-none shadow-soft">
+        <select aria-label="Stocktake Status" className="input-modern md:w-64" value={status} onChange={(e) => { setStatus(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Status</option>
+          {Object.entries(STOCKTAKE_STATUSES).map(([value, s]) => <option key={value} value={value}>{s.label}</option>)}
+        </select>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>Rujukan</th>
+              <th>Skop</th>
+              <th>Kemajuan</th>
+              <th>Status</th>
+              <th>Tarikh</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {isLoading ? <tr><td colSpan="5" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              data?.data?.length === 0 ? <tr><td colSpan="5" className="py-20 text-center text-sm text-slate-400 font-medium">Belum ada kiraan stok</td></tr> :
+              data?.data?.map(s => (
+                <tr key={s.id} className="hover:bg-slate-50/50 transition-all">
+                  <td>
+                    <Link to={`/stocktakes/${s.id}`} className="text-sm font-black text-brand-600 hover:underline">{s.reference}</Link>
+                    <p className="text-xs text-slate-400 font-bold">{s.created_by_name}</p>
+                  </td>
+                  <td className="text-sm text-slate-600">{s.category_name || 'Semua Kategori'}{s.location_name && ` · ${s.location_name}`}{s.location && ` · ${s.location}`}</td>
+                  <td className="text-sm font-black text-slate-900">{s.counted_count} / {s.line_count} SKU</td>
+                  <td><span className={`status-badge ${STOCKTAKE_STATUSES[s.status].className}`}>{STOCKTAKE_STATUSES[s.status].label}</span></td>
+                  <td className="text-xs font-bold text-slate-500">{format(new Date(s.created_at), 'dd MMM yyyy, HH:mm')}</td>
+                </tr>
+              ))
+            }
+          </tbody>
+        </table>
+        <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+      </div>
+    </div>
+  );
+}
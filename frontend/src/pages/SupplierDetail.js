@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import SupplierDialog from '../components/SupplierDialog';
+import { formatCost } from '../utils/suppliers';
+import { ArrowLeftIcon, TruckIcon, PencilSquareIcon, TrashIcon, StarIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Supplier profile: contact details and terms, plus the products it
+ * supplies with supplier SKU and last purchase cost. Products are linked
+ * from the product form.
+ */
+export default function SupplierDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [isEditing, setIsEditing] = useState(false);
+
+  const { data: supplier, isLoading } = useQuery(['supplier', id], async () => {
+    const res = await api.get(`/suppliers/${id}`);
+    return res.data.data;
+  });
+
+  const deleteMutation = useMutation(async () => api.delete(`/suppliers/${id}`), {
+    onSuccess: () => {
+      toast.success('Pembekal dipadam');
+      queryClient.invalidateQueries('suppliers');
+      queryClient.invalidateQueries('supplier-options');
+      queryClient.invalidateQueries('products');
+      navigate('/suppliers');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Gagal memadam pembekal')
+  });
+
+  if (isLoading) return <div className="flex items-center justify-center h-[60vh]"><div className="spinner"></div></div>;
+  if (!supplier) return <div className="text-center py-12 text-slate-500">Pembekal tidak dijumpai</div>;
+
+  const details = [
+    { label: 'Orang Dihubungi', value: supplier.contact_name },
+    { label: 'Telefon', value: supplier.phone },
+    { label: 'Email', value: supplier.email },
+    { label: 'Alamat', value: supplier.address },
+    { label: 'Nota', value: supplier.notes }
+  ];
+
+  const stats = [
+    { label: 'Mata Wang', value: supplier.currency },
+    { label: 'Tempoh Penghantaran', value: supplier.lead_time_days !== null ? `${supplier.lead_time_days} hari` : '-' },
+    { label: 'Terma Bayaran', value: supplier.payment_terms || '-' },
+    { label: 'Produk Dibekalkan', value: supplier.products.length }
+  ];
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+        <div className="flex items-center gap-4">
+          <Link to="/suppliers" className="p-3 bg-white rounded-2xl shadow-soft hover:bg-slate-50 transition-all"><ArrowLeftIcon className="h-5 w-5 text-slate-600" /></Link>
+          <div>
+            <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">{supplier.name}</h1>
+            <p className="mt-1 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">
+              Pembekal · <span className={supplier.is_active ? 'text-success' : 'text-slate-400'}>{supplier.is_active ? 'Aktif' : 'Tidak Aktif'}</span>
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <button onClick={() => setIsEditing(true)} className="btn-modern bg-white border border-slate-200 text-slate-700 hover:bg-slate-50">
+            <PencilSquareIcon className="h-4 w-4" /> Edit
+          </button>
+          {user?.role === 'admin' && (
+            <button
+              onClick={() => { if (window.confirm(`Padam ${supplier.name}? Pautan ke ${supplier.products.length} produk juga akan dibuang.`)) deleteMutation.mutate(); }}
+              className="btn-modern bg-white border border-slate-200 text-red-600 hover:bg-red-50"
+            >
+              <TrashIcon className="h-4 w-4" /> Padam
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+        {stats.map(stat => (
+          <div key={stat.label} className="premium-card p-6 border-none shadow-soft">
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{stat.label}</p>
+            <p className="mt-2 text-xl font-black text-slate-900 tracking-tighter">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 table-container">
+          <div className="p-6 border-b border-slate-50 flex justify-between items-center">
+            <p className="font-black text-slate-900 uppercase text-xs tracking-widest">Produk Dibekalkan</p>
+            {supplier.products.length > 0 && (
+              <Link to={`/products?supplier=${supplier.id}`} className="text-xs font-black text-brand-600 hover:underline uppercase tracking-widest">Lihat di katalog</Link>
+            )}
+          </div>
+          <table className="modern-table w-full">
+            <thead>
+              <tr>
+                <th>Produk</th><th>SKU Pembekal</th><th className="text-right">Kos Terakhir</th><th className="text-right">Kos Produk</th><th className="text-right">Stok</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-50">
+              {supplier.products.length === 0 ? <tr><td colSpan="5" className="py-12 text-center text-sm font-bold text-slate-400">Belum ada produk. Pautkan pembekal ini dari borang produk.</td></tr> :
+                supplier.products.map(product => (
+                  <tr key={product.id}>
+                    <td>
+                      <p className="text-sm font-black text-slate-900 flex items-center gap-1">
+                        {product.name}
+                        {product.is_preferred ? <StarIcon className="h-3 w-3 text-warning" title="Preferred supplier" /> : null}
+                      </p>
+                      <p className="text-xs text-slate-400 font-bold">{product.sku}</p>
+                    </td>
+                    <td className="text-sm font-bold text-slate-600">{product.supplier_sku || '-'}</td>
+                    <td className="text-right text-sm font-black text-slate-900">{formatCost(product.last_cost, supplier.currency)}</td>
+                    <td className="text-right text-sm font-bold text-slate-500">{formatCost(product.cost_price)}</td>
+                    <td className="text-right text-sm font-bold text-slate-600">{product.stock_quantity}</td>
+                  </tr>
+                ))
+              }
+            </tbody>
+          </table>
+        </div>
+
+        <div className="premium-card p-6 border-none shadow-soft h-fit">
+          <div className="flex items-center gap-3 mb-4">
+            <TruckIcon className="h-6 w-6 text-brand-600" />
+            <h3 className="text-lg font-black text-slate-900">Maklumat Hubungan</h3>
+          </div>
+          <div className="space-y-3">
+            {details.map(detail => (
+              <div key={detail.label}>
+                <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{detail.label}</p>
+                <p className="text-sm font-bold text-slate-900 whitespace-pre-line">{detail.value || '-'}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {isEditing && <SupplierDialog supplier={supplier} onClose={() => setIsEditing(false)} />}
+    </div>
+  );
+}
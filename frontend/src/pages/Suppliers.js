@@ -0,0 +1,98 @@
+import React, { useState, useCallback } from 'react';
+import { useQuery } from 'react-query';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../api';
+import Pagination, { usePageParams, usePrefetchNextPage } from '../components/Pagination';
+import SupplierDialog from '../components/SupplierDialog';
+import { MagnifyingGlassIcon, PlusIcon } from '@heroicons/react/24/outline';
+
+export default function Suppliers() {
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const { page, limit, setPage, setLimit } = usePageParams();
+
+  const fetchSuppliers = useCallback(async (pageNumber) => {
+    const params = new URLSearchParams({ page: pageNumber, limit });
+    if (search) params.set('search', search);
+    if (status) params.set('status', status);
+    const res = await api.get(`/suppliers?${params}`);
+    return res.data;
+  }, [search, status, limit]);
+
+  const { data, isLoading } = useQuery(['suppliers', search, status, page, limit], () => fetchSuppliers(page), {
+    keepPreviousData: true
+  });
+
+  const buildPageQuery = useCallback((nextPage) => (
+    [['suppliers', search, status, nextPage, limit], () => fetchSuppliers(nextPage)]
+  ), [search, status, limit, fetchSuppliers]);
+
+  usePrefetchNextPage(data?.pagination, buildPageQuery);
+
+  return (
+    <div className="space-y-10 page-transition">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-end gap-4">
+        <div>
+          <h1 className="text-3xl font-black text-slate-900 tracking-tight italic">Supplier <span className="text-brand-600">Directory</span></h1>
+          <p className="mt-2 text-slate-500 font-medium uppercase text-xs tracking-[0.2em]">Pembekal, terma dan produk yang dibekalkan</p>
+        </div>
+        <button onClick={() => setIsAdding(true)} className="btn-modern btn-modern-primary">
+          <PlusIcon className="h-4 w-4" /> Tambah Pembekal
+        </button>
+      </div>
+
+      <div className="premium-card p-4 border-none shadow-soft grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="relative md:col-span-2">
+          <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <input type="text" className="input-modern pl-11" placeholder="Cari nama, orang dihubungi, email atau telefon..." value={search} onChange={(e) => { setSearch(e.target.value); if (page !== 1) setPage(1); }} />
+        </div>
+        <select aria-label="Supplier Status" className="input-modern" value={status} onChange={(e) => { setStatus(e.target.value); if (page !== 1) setPage(1); }}>
+          <option value="">Semua Status</option>
+          <option value="active">Aktif</option>
+          <option value="inactive">Tidak Aktif</option>
+        </select>
+      </div>
+
+      <div className="table-container">
+        <table className="modern-table w-full">
+          <thead>
+            <tr>
+              <th>Pembekal</th>
+              <th>Hubungan</th>
+              <th>Mata Wang</th>
+              <th className="text-right">Tempoh</th>
+              <th>Terma Bayaran</th>
+              <th className="text-right">Produk</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {isLoading ? <tr><td colSpan="6" className="py-20 text-center"><div className="spinner mx-auto"></div></td></tr> :
+              data?.data?.length === 0 ? <tr><td colSpan="6" className="py-20 text-center text-sm text-slate-400 font-medium">Tiada pembekal dijumpai</td></tr> :
+              data?.data?.map(s => (
+                <tr key={s.id} className={`hover:bg-slate-50/50 transition-all ${s.is_active ? '' : 'opacity-50'}`}>
+                  <td>
+                    <Link to={`/suppliers/${s.id}`} className="text-sm font-black text-brand-600 hover:underline">{s.name}</Link>
+                    {!s.is_active && <p className="text-[10px] font-black text-slate-400 uppercase">Tidak Aktif</p>}
+                  </td>
+                  <td>
+                    <p className="text-sm font-bold text-slate-900">{s.contact_name || '-'}</p>
+                    <p className="text-xs text-slate-400 font-bold">{[s.phone, s.email].filter(Boolean).join(' · ')}</p>
+                  </td>
+                  <td className="text-sm font-black text-slate-600">{s.currency}</td>
+                  <td className="text-right text-sm font-bold text-slate-600">{s.lead_time_days !== null ? `${s.lead_time_days} hari` : '-'}</td>
+                  <td className="text-sm text-slate-600">{s.payment_terms || '-'}</td>
+                  <td className="text-right text-sm font-black text-slate-900">{s.product_count}</td>
+                </tr>
+              ))
+            }
+          </tbody>
+        </table>
+        <Pagination pagination={data?.pagination} onPageChange={setPage} onLimitChange={setLimit} />
+      </div>
+
+      {isAdding && <SupplierDialog onClose={() => setIsAdding(false)} onSaved={(supplier) => navigate(`/suppliers/${supplier.id}`)} />}
+    </div>
+  );
+}
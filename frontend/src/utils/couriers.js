@@ -0,0 +1,23 @@
+// Supported couriers (mirrors CourierTrackingService::COURIERS) with public tracking pages
+export const COURIERS = [
+  { value: 'jnt', label: 'J&T Express', trackingUrl: (n) => `https://www.jtexpress.my/tracking/${n}` },
+  { value: 'poslaju', label: 'Pos Laju', trackingUrl: (n) => `https://tracking.pos.com.my/tracking/${n}` },
+  { value: 'dhl', label: 'DHL eCommerce', trackingUrl: (n) => `https://www.dhl.com/my-en/home/tracking.html?tracking-id=${n}` },
+  { value: 'ninjavan', label: 'Ninja Van', trackingUrl: (n) => `https://www.ninjavan.co/en-my/tracking?id=${n}` }
+];
+
+export const getCourierLabel = (courier) => COURIERS.find(c => c.value === courier)?.label || courier;
+
+export const getTrackingUrl = (courier, trackingNumber) => {
+  const match = COURIERS.find(c => c.value === courier);
+  return match && trackingNumber ? match.trackingUrl(encodeURIComponent(trackingNumber)) : null;
+};
+
+// Stub courier statuses returned by GET /orders/{id}/tracking
+export const TRACKING_STATUS_LABELS = {
+  pending: 'Menunggu Pickup',
+  picked_up: 'Telah Dipickup',
+  in_transit: 'Dalam Perjalanan',
+  out_for_delivery: 'Sedang Dihantar',
+  delivered: 'Telah Diterima'
+};
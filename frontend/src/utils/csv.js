@@ -0,0 +1,92 @@
+// CSV Parsing Helpers
+
+/**
+ * Parse CSV text into rows of cells.
+ *
+ * Handles quoted cells (with "" escapes and embedded newlines), CRLF line
+ * endings and a leading UTF-8 BOM. Blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Turn rows of cells with a header row into objects keyed by header.
+ *
+ * Shared by CSV and XLSX imports so both feed the same row pipeline.
+ *
+ * @param {string[][]} rows
+ * @returns {{ headers: string[], records: { line: number, values: object }[] }}
+ *   `line` is the row number counting the header as 1 (blank lines skipped)
+ */
+export const rowsWithHeader = (rows) => {
+  const [headerRow = [], ...dataRows] = rows;
+  const headers = headerRow.map(h => h.trim());
+
+  const records = dataRows.map((cells, index) => {
+    const values = {};
+    headers.forEach((header, i) => { values[header] = (cells[i] || '').trim(); });
+    return { line: index + 2, values };
+  });
+
+  return { headers, records };
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], records: { line: number, values: object }[] }}
+ */
+export const parseCsvWithHeader = (text) => rowsWithHeader(parseCsv(text));
+
+/**
+ * Build CSV text from rows of cells, quoting cells that need it.
+ *
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map(row => row.map(value => {
+  const cell = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,47 @@
+// Customer Tag & Segment Helpers
+
+// Slug of the tag that triggers the checkout warning (CustomerTag::BLACKLIST)
+export const BLACKLIST_SLUG = 'blacklist';
+
+// Badge colours per tag colour (mirrors CustomerTag::COLORS)
+export const TAG_COLOR_STYLES = {
+  slate: 'bg-slate-100 text-slate-600',
+  brand: 'bg-brand-50 text-brand-600',
+  info: 'bg-info/10 text-info',
+  success: 'bg-success/10 text-success',
+  warning: 'bg-warning/10 text-warning',
+  danger: 'bg-danger/10 text-danger',
+  purple: 'bg-purple-100 text-purple-600'
+};
+
+export const getTagStyle = (color) => TAG_COLOR_STYLES[color] || TAG_COLOR_STYLES.slate;
+
+export const isBlacklisted = (customer) => (customer?.tags || []).some(tag => tag.slug === BLACKLIST_SLUG);
+
+// Segment rule types (CustomerSegment::RULE_TYPES)
+export const SEGMENT_RULE_TYPES = [
+  { value: 'spend', label: 'Jumlah belanja (RM)', hasOperator: true, hasDays: true },
+  { value: 'orders', label: 'Bilangan pesanan', hasOperator: true, hasDays: true },
+  { value: 'channel', label: 'Beli dari saluran', hasDays: true },
+  { value: 'tag', label: 'Ada tag' },
+  { value: 'customer_type', label: 'Jenis pelanggan' }
+];
+
+export const SEGMENT_OPERATORS = [
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '≥' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '≤' }
+];
+
+// Human-readable rule, e.g. "Jumlah belanja (RM) > 1000 dalam 90 hari"
+export const describeRule = (rule, { channels = [], tags = [] } = {}) => {
+  const type = SEGMENT_RULE_TYPES.find(t => t.value === rule.type);
+  let value = rule.value;
+  if (rule.type === 'channel') value = channels.find(c => String(c.id) === String(rule.value))?.name || `#${rule.value}`;
+  if (rule.type === 'tag') value = tags.find(t => String(t.id) === String(rule.value))?.name || `#${rule.value}`;
+
+  const operator = type?.hasOperator ? `${SEGMENT_OPERATORS.find(o => o.value === rule.operator)?.label || '>'} ` : '';
+  const days = rule.days ? ` dalam ${rule.days} hari` : '';
+  return `${type?.label || rule.type} ${operator}${value}${days}`;
+};
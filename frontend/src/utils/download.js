@@ -0,0 +1,44 @@
+// File Download Helpers
+import api from '../api';
+
+// Trigger a browser download for an in-memory file
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Pick the file name from Content-Disposition, falling back to the given name
+const filenameFrom = (headers, fallback) => {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(headers['content-disposition'] || '');
+  return match ? decodeURIComponent(match[1]) : fallback;
+};
+
+/**
+ * Download a file from an authenticated API endpoint.
+ *
+ * Plain links can't carry the JWT header, so the file is fetched through
+ * the api instance and saved from memory. Endpoints that answer 202 (e.g.
+ * a queued export) resolve with their JSON body instead of downloading.
+ *
+ * @param {string} url API path, e.g. '/orders/export'
+ * @param {object} params Query parameters
+ * @param {string} fallbackName File name used when the server sends none
+ * @returns {Promise<object|null>} Parsed JSON for 202 responses, otherwise null
+ */
+export const downloadFromApi = async (url, params = {}, fallbackName = 'download') => {
+  const res = await api.get(url, { params, responseType: 'blob' });
+
+  if (res.status === 202) {
+    return JSON.parse(await res.data.text());
+  }
+
+  saveBlob(res.data, filenameFrom(res.headers, fallbackName));
+  return null;
+};
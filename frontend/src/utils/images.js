@@ -0,0 +1,65 @@
+// Product Image Helpers
+import api from '../api';
+
+// Types the backend accepts (mirrors ProductImageController::store)
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Most images a product can hold (mirrors ProductImageService::MAX_IMAGES)
+export const MAX_IMAGES = 12;
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+  img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`${file.name} is not a readable image`)); };
+  img.src = url;
+});
+
+/**
+ * Shrink a photo before upload so phone pictures (often 4000px, 5 MB+)
+ * go up as ~200 KB JPEGs.
+ *
+ * The longest side is scaled down to maxSize and the result is re-encoded
+ * as JPEG on a white background (PNG transparency would turn black).
+ * Files the re-encode wouldn't make smaller are returned as they are.
+ *
+ * @param {File} file
+ * @param {number} maxSize Longest side in pixels
+ * @param {number} quality JPEG quality, 0-1
+ * @returns {Promise<File>}
+ */
+export const resizeImage = async (file, maxSize = 1600, quality = 0.82) => {
+  const img = await loadImage(file);
+  const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  if (!blob || (scale === 1 && blob.size >= file.size)) return file;
+
+  return new File([blob], file.name.replace(/\.\w+$/, '') + '.jpg', { type: 'image/jpeg' });
+};
+
+/**
+ * Upload files to a product's gallery
+ *
+ * @param {number} productId
+ * @param {File[]} files Already resized
+ * @returns {Promise<Array>} The product's gallery
+ */
+export const uploadImages = async (productId, files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('images[]', file));
+
+  const res = await api.post(`/products/${productId}/images`, formData);
+  return res.data.data;
+};
+
+// Index of the primary image (the first one when none is marked)
+export const primaryIndex = (images) => Math.max(0, (images || []).findIndex(image => image.is_primary));
@@ -0,0 +1,49 @@
+// Stock Movement Helpers
+
+// Manual movements on the Inventory page (mirrors InventoryService::MOVEMENT_ACTIONS)
+export const MOVEMENT_ACTIONS = [
+  { value: 'stock_in', label: 'Stok Masuk', hint: 'Barang diterima (cth: penghantaran pembekal)' },
+  { value: 'stock_out', label: 'Stok Keluar', hint: 'Dikeluarkan untuk sebab lain (cth: sampel, guna dalaman)' },
+  { value: 'set_count', label: 'Kiraan Stok', hint: 'Masukkan jumlah sebenar yang dikira; perbezaan direkod' },
+  { value: 'write_off', label: 'Rosak / Hapus Kira', hint: 'Barang rosak, hilang atau tamat tempoh' }
+];
+
+// Ledger transaction types (inventory_transactions.transaction_type)
+export const TRANSACTION_TYPES = {
+  sale: { label: 'Jualan', className: 'bg-brand-50 text-brand-600' },
+  purchase: { label: 'Stok Masuk', className: 'bg-success/10 text-success' },
+  return: { label: 'Pulangan', className: 'bg-info/10 text-info' },
+  adjustment: { label: 'Pelarasan', className: 'bg-slate-100 text-slate-600' },
+  write_off: { label: 'Hapus Kira', className: 'bg-danger/10 text-danger' },
+  transfer: { label: 'Pindahan', className: 'bg-warning/10 text-warning' }
+};
+
+// Stock after a movement, for the adjust dialog preview
+export const stockAfter = (action, current, quantity) => {
+  const qty = parseInt(quantity, 10) || 0;
+  if (action === 'stock_in') return current + qty;
+  if (action === 'set_count') return qty;
+  return current - qty;
+};
+
+// Stocktake statuses (stocktakes.status)
+export const STOCKTAKE_STATUSES = {
+  counting: { label: 'Sedang Dikira', className: 'bg-warning/10 text-warning' },
+  posted: { label: 'Dipos', className: 'bg-success/10 text-success' },
+  cancelled: { label: 'Dibatalkan', className: 'bg-slate-100 text-slate-500' }
+};
+
+// Stock transfer statuses (stock_transfers.status)
+export const TRANSFER_STATUSES = {
+  in_transit: { label: 'Dalam Transit', className: 'bg-warning/10 text-warning' },
+  received: { label: 'Diterima', className: 'bg-success/10 text-success' },
+  cancelled: { label: 'Dibatalkan', className: 'bg-slate-100 text-slate-500' }
+};
+
+// Purchase order statuses (purchase_orders.status)
+export const PURCHASE_ORDER_STATUSES = {
+  ordered: { label: 'Dipesan', className: 'bg-info/10 text-info' },
+  partial: { label: 'Diterima Separa', className: 'bg-warning/10 text-warning' },
+  received: { label: 'Diterima', className: 'bg-success/10 text-success' },
+  cancelled: { label: 'Dibatalkan', className: 'bg-slate-100 text-slate-500' }
+};
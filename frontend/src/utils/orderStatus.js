@@ -0,0 +1,35 @@
+// Order Status Helpers
+
+// Every status the backend accepts, in fulfilment order
+export const ORDER_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'packed', label: 'Packed' },
+  { value: 'shipped', label: 'Shipped' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'refunded', label: 'Refunded' }
+];
+
+// Badge colours per status
+export const getStatusStyle = (status) => {
+  const styles = {
+    pending: 'bg-warning/10 text-warning',
+    confirmed: 'bg-info/10 text-info',
+    processing: 'bg-purple-100 text-purple-600',
+    packed: 'bg-indigo-100 text-indigo-600',
+    shipped: 'bg-brand-50 text-brand-600',
+    delivered: 'bg-success/10 text-success',
+    cancelled: 'bg-danger/10 text-danger',
+    refunded: 'bg-slate-200 text-slate-600'
+  };
+  return styles[status] || 'bg-slate-100 text-slate-600';
+};
+
+// Whether the backend allows moving an order from one status to another
+// (`transitions` is the map served by GET /orders/status-transitions)
+export const canTransition = (transitions, from, to) => {
+  if (!transitions) return false;
+  return (transitions[from] || []).includes(to);
+};
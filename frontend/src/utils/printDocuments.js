@@ -0,0 +1,166 @@
+// Printable Order Documents
+//
+// Invoices, packing slips and 4x6 shipping labels rendered as print-optimised
+// HTML in a new window. Orders must include `items` (as returned by GET /orders/{id}).
+import { format } from 'date-fns';
+import { code128Svg } from './barcode';
+import { getCourierLabel } from './couriers';
+
+const COMPANY_NAME = process.env.REACT_APP_COMPANY_NAME || 'SystemOMS';
+const COMPANY_ADDRESS = process.env.REACT_APP_COMPANY_ADDRESS || '';
+const COMPANY_SST_NO = process.env.REACT_APP_COMPANY_SST_NO || '';
+
+export const DOCUMENT_TYPES = [
+  { value: 'invoice', label: 'Invois Cukai' },
+  { value: 'packing_slip', label: 'Slip Pembungkusan' },
+  { value: 'label', label: 'Label Penghantaran (4x6)' }
+];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const money = (value) => `RM${parseFloat(value || 0).toFixed(2)}`;
+
+// Product name with the variant, e.g. "Cotton T-Shirt (M / Black)"
+const itemName = (item) => item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name;
+
+const BASE_STYLES = `
+  body { font-family: Arial, sans-serif; color: #0f172a; margin: 0; }
+  .page { padding: 32px; page-break-after: always; }
+  .page:last-child { page-break-after: auto; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .muted { color: #64748b; font-size: 12px; }
+  .address { margin: 24px 0; font-size: 14px; white-space: pre-line; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e2e8f0; }
+  th.num, td.num { text-align: right; width: 100px; }
+  .header { display: flex; justify-content: space-between; align-items: flex-start; }
+  .totals { margin-left: auto; width: 280px; margin-top: 16px; font-size: 13px; }
+  .totals div { display: flex; justify-content: space-between; padding: 4px 0; }
+  .totals .grand { font-weight: bold; font-size: 16px; border-top: 2px solid #0f172a; margin-top: 4px; padding-top: 8px; }
+`;
+
+// 4x6 inch thermal label stock
+const LABEL_STYLES = `
+  @page { size: 4in 6in; margin: 0; }
+  body { font-family: Arial, sans-serif; color: #000; margin: 0; }
+  .label { width: 4in; height: 6in; box-sizing: border-box; padding: 0.2in; page-break-after: always; display: flex; flex-direction: column; }
+  .label:last-child { page-break-after: auto; }
+  .box { border: 2px solid #000; padding: 8px; margin-bottom: 8px; }
+  .small { font-size: 10px; text-transform: uppercase; font-weight: bold; }
+  .to { font-size: 16px; line-height: 1.35; white-space: pre-line; flex: 1; }
+  .barcode { text-align: center; }
+  .barcode p { font-size: 14px; font-weight: bold; margin: 4px 0 0; letter-spacing: 2px; }
+`;
+
+// Open the given HTML pages in a new window and trigger the print dialog
+const openPrintWindow = (title, pages, styles = BASE_STYLES) => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.write(`<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title><style>${styles}</style></head><body>${pages.join('')}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+};
+
+const shippingLines = (order) => [
+  order.customer_name,
+  order.shipping_address,
+  [order.shipping_postal_code, order.shipping_city].filter(Boolean).join(' '),
+  order.shipping_state,
+  order.customer_phone
+].filter(Boolean).map(escapeHtml).join('\n');
+
+const invoicePage = (order) => `
+  <div class="page">
+    <div class="header">
+      <div>
+        <h1>${escapeHtml(COMPANY_NAME)}</h1>
+        ${COMPANY_ADDRESS ? `<p class="muted">${escapeHtml(COMPANY_ADDRESS)}</p>` : ''}
+        ${COMPANY_SST_NO ? `<p class="muted">No. SST: ${escapeHtml(COMPANY_SST_NO)}</p>` : ''}
+      </div>
+      <div style="text-align:right">
+        <h1>INVOIS CUKAI</h1>
+        <p class="muted">No. Invois: INV-${escapeHtml(order.order_number)}</p>
+        <p class="muted">Tarikh: ${format(new Date(order.created_at), 'dd MMM yyyy')}</p>
+      </div>
+    </div>
+    <div class="address"><strong>Bil Kepada:</strong>
+${shippingLines(order)}${order.customer_email ? `\n${escapeHtml(order.customer_email)}` : ''}</div>
+    <table>
+      <thead><tr><th>SKU</th><th>Item</th><th class="num">Qty</th><th class="num">Harga</th><th class="num">Jumlah</th></tr></thead>
+      <tbody>
+        ${(order.items || []).map(item => `<tr><td>${escapeHtml(item.sku)}</td><td>${escapeHtml(itemName(item))}</td><td class="num">${escapeHtml(item.quantity)}</td><td class="num">${money(item.price)}</td><td class="num">${money(item.price * item.quantity)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+    <div class="totals">
+      <div><span>Subtotal</span><span>${money(order.subtotal)}</span></div>
+      ${parseFloat(order.discount) > 0 ? `<div><span>Diskaun</span><span>-${money(order.discount)}</span></div>` : ''}
+      ${parseFloat(order.shipping_fee) > 0 ? `<div><span>Penghantaran</span><span>${money(order.shipping_fee)}</span></div>` : ''}
+      <div><span>Tax (6%)</span><span>${money(order.tax)}</span></div>
+      <div class="grand"><span>JUMLAH</span><span>${money(order.total)}</span></div>
+    </div>
+    <p class="muted">Kaedah bayaran: ${escapeHtml(order.payment_method)} · Status bayaran: ${escapeHtml(order.payment_status)}</p>
+  </div>
+`;
+
+const packingSlipPage = (order) => `
+  <div class="page">
+    <h1>Packing Slip #${escapeHtml(order.order_number)}</h1>
+    <p class="muted">${format(new Date(order.created_at), 'dd MMM yyyy')} · ${escapeHtml(order.channel_name)}</p>
+    <div class="address">${shippingLines(order)}</div>
+    <table>
+      <thead><tr><th>SKU</th><th>Item</th><th class="num">Qty</th></tr></thead>
+      <tbody>
+        ${(order.items || []).map(item => `<tr><td>${escapeHtml(item.sku)}</td><td>${escapeHtml(itemName(item))}</td><td class="num">${escapeHtml(item.quantity)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+    ${order.notes ? `<p class="muted">Nota: ${escapeHtml(order.notes)}</p>` : ''}
+  </div>
+`;
+
+const labelPage = (order) => {
+  const units = (order.items || []).reduce((sum, item) => sum + Number(item.quantity), 0);
+  return `
+    <div class="label">
+      <div class="box">
+        <div class="small">Dari</div>
+        <div>${escapeHtml(COMPANY_NAME)}${COMPANY_ADDRESS ? `<br/>${escapeHtml(COMPANY_ADDRESS)}` : ''}</div>
+      </div>
+      <div class="box to">
+        <div class="small">Kepada</div>
+${shippingLines(order)}
+      </div>
+      <div class="box">
+        <div class="small">${escapeHtml(order.channel_name)} · ${units} unit · ${escapeHtml(order.payment_method === 'cod' ? `COD ${money(order.total)}` : 'Prepaid')}</div>
+        ${order.tracking_number ? `<div>${escapeHtml(getCourierLabel(order.courier) || 'Tracking')}: ${escapeHtml(order.tracking_number)}</div>` : ''}
+      </div>
+      <div class="barcode">
+        ${code128Svg(order.order_number, { height: 70 })}
+        <p>${escapeHtml(order.order_number)}</p>
+      </div>
+    </div>
+  `;
+};
+
+/**
+ * Print one document per order.
+ *
+ * @param {'invoice'|'packing_slip'|'label'} type
+ * @param {object[]} orders Orders with items
+ * @returns {boolean} false if the print window was blocked
+ */
+export const printOrderDocuments = (type, orders) => {
+  switch (type) {
+    case 'invoice':
+      return openPrintWindow('Invoices', orders.map(invoicePage));
+    case 'label':
+      return openPrintWindow('Shipping Labels', orders.map(labelPage), LABEL_STYLES);
+    default:
+      return openPrintWindow('Packing Slips', orders.map(packingSlipPage));
+  }
+};
@@ -0,0 +1,20 @@
+// Supplier Helpers
+
+// Currencies offered on the supplier form (ISO 4217)
+export const CURRENCIES = ['MYR', 'USD', 'CNY', 'SGD', 'THB', 'IDR'];
+
+// Suggestions for the free-text payment terms field
+export const PAYMENT_TERMS = ['COD', 'Prepaid', 'Net 7', 'Net 30', 'Net 60', '30% deposit, balance before shipping'];
+
+// A product's preferred supplier link (first link when none is flagged, like Supplier::syncProduct)
+export const preferredLink = (links = []) => links.find(link => link.is_preferred) || links[0] || null;
+
+// Last cost of the preferred supplier as a cost_price string, or '' when there is none
+export const preferredCost = (links) => {
+  const cost = preferredLink(links)?.last_cost;
+  return cost === null || cost === undefined || cost === '' ? '' : String(cost);
+};
+
+export const formatCost = (value, currency = 'MYR') => (
+  value === null || value === undefined || value === '' ? '-' : `${currency} ${parseFloat(value).toFixed(2)}`
+);
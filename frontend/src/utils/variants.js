@@ -0,0 +1,46 @@
+// Product Variant Helpers
+
+// Display name from option values, e.g. { Size: 'M', Colour: 'Red' } => "M / Red" (mirrors ProductVariant::label)
+export const variantLabel = (options) => Object.values(options || {}).join(' / ');
+
+// Selling price of a variant: its own price when set, otherwise the product's
+export const variantPrice = (product, variant) => (
+  variant && variant.price !== null && variant.price !== '' && variant.price !== undefined ? variant.price : product.price
+);
+
+// Variants that can still be sold
+export const activeVariants = (product) => (product.variants || []).filter(v => v.is_active);
+
+// Stock that can still be sold: on hand less what unpaid orders have reserved
+export const availableStock = (item) => item.available_quantity ?? item.stock_quantity;
+
+// Low on stock overall, or in any variant (variants share the product's threshold)
+export const isLowStock = (product) => (
+  product.stock_quantity <= product.low_stock_threshold ||
+  activeVariants(product).some(v => v.stock_quantity <= product.low_stock_threshold)
+);
+
+/**
+ * Every combination of the option axes, e.g. Size [S, M] x Colour [Black, White]
+ * gives four variants. Rows that already exist for a combination are kept
+ * (with their id, SKU, prices and stock) so regenerating never loses data.
+ *
+ * @param {Array} axes [{ name, values: [...] }]
+ * @param {Array} existing Current variant rows
+ * @returns {Array} Variant rows
+ */
+export const buildVariantMatrix = (axes, existing = []) => {
+  const usable = axes.filter(axis => axis.name.trim() && axis.values.length > 0);
+  if (usable.length === 0) return [];
+
+  const combinations = usable.reduce((acc, axis) => acc.flatMap(options =>
+    axis.values.map(value => ({ ...options, [axis.name.trim()]: value }))
+  ), [{}]);
+
+  return combinations.map(options => {
+    const match = existing.find(row => variantLabel(row.options) === variantLabel(options));
+    return match
+      ? { ...match, options }
+      : { options, sku: '', price: '', cost_price: '', stock_quantity: 0, is_active: true };
+  });
+};
@@ -0,0 +1,117 @@
+// XLSX Reading Helpers
+//
+// An .xlsx file is a zip of XML parts. Only what an import needs is read:
+// the first worksheet's cell values, as text.
+
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+
+// Zip entries by name, as { method, offset, size } into the file
+const readZipEntries = (view) => {
+  let end = view.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== ZIP_END_SIGNATURE) end--;
+  if (end < 0) throw new Error('Fail bukan XLSX yang sah');
+
+  const entries = {};
+  const decoder = new TextDecoder();
+  let pos = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    if (view.getUint32(pos, true) !== ZIP_ENTRY_SIGNATURE) throw new Error('Fail bukan XLSX yang sah');
+
+    const nameLength = view.getUint16(pos + 28, true);
+    const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength));
+    const localHeader = view.getUint32(pos + 42, true);
+
+    entries[name] = {
+      method: view.getUint16(pos + 10, true),
+      size: view.getUint32(pos + 20, true),
+      // Data follows the local header, whose name and extra field lengths can differ from the directory's
+      offset: localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true)
+    };
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+
+  return entries;
+};
+
+// Text of a zip entry, inflating it when compressed (null when missing)
+const readZipText = async (view, entries, name) => {
+  const entry = entries[name];
+  if (!entry) return null;
+
+  const data = new Uint8Array(view.buffer, view.byteOffset + entry.offset, entry.size);
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error('Format mampatan XLSX tidak disokong');
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// Concatenated <t> text, which covers rich text runs split across elements
+const textOf = (node) => Array.from(node.getElementsByTagName('t')).map(t => t.textContent).join('');
+
+// Zero-based column index of a cell reference, e.g. "C7" => 2
+const columnIndex = (ref) => ref.replace(/\d+$/, '').split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Path of the first worksheet, following the workbook's relationships
+const firstSheetPath = async (view, entries) => {
+  const workbook = await readZipText(view, entries, 'xl/workbook.xml');
+  const rels = await readZipText(view, entries, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook && parseXml(workbook).getElementsByTagName('sheet')[0];
+
+  if (sheet && rels) {
+    const id = sheet.getAttribute('r:id');
+    const rel = Array.from(parseXml(rels).getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === id);
+    const target = rel?.getAttribute('Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+};
+
+/**
+ * Read the first worksheet of an .xlsx file into rows of cells.
+ *
+ * Cells come back as text the way a CSV export would hold them: shared and
+ * inline strings as they are, numbers without floating point noise and
+ * booleans as TRUE/FALSE. Blank rows are dropped, like parseCsv.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string[][]>}
+ */
+export const parseXlsx = async (buffer) => {
+  const view = new DataView(buffer);
+  const entries = readZipEntries(view);
+
+  const sharedXml = await readZipText(view, entries, 'xl/sharedStrings.xml');
+  const shared = sharedXml ? Array.from(parseXml(sharedXml).getElementsByTagName('si')).map(textOf) : [];
+
+  const sheetXml = await readZipText(view, entries, await firstSheetPath(view, entries));
+  if (!sheetXml) throw new Error('Fail XLSX tiada lembaran kerja');
+
+  const rows = Array.from(parseXml(sheetXml).getElementsByTagName('row')).map(rowNode => {
+    const cells = [];
+
+    Array.from(rowNode.getElementsByTagName('c')).forEach(cell => {
+      const ref = cell.getAttribute('r');
+      const type = cell.getAttribute('t');
+      const raw = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      let value = raw;
+
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(cell);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== '' && (!type || type === 'n')) value = String(Number(Number(raw).toPrecision(15)));
+
+      cells[ref ? columnIndex(ref) : cells.length] = value;
+    });
+
+    return Array.from(cells, value => value ?? '');
+  });
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
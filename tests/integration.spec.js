@@ -130,6 +130,78 @@ test.describe('End-to-End Integration Tests', () => {
     await expect(page.locator('text=Daftar Pelanggan').nth(1)).not.toBeVisible({ timeout: 15000 });
   });
 
+  test('should open a customer profile with stats and inline edit', async ({ page }) => {
+    await page.goto('/login');
+    await page.fill('input[type="email"]', 'admin@ecommerce.com');
+    await page.fill('input[type="password"]', 'admin123');
+    await page.click('button[type="submit"]');
+    await page.waitForURL('/');
+
+    await page.click('text=Customers');
+    await page.waitForURL('/customers');
+    await page.locator('tbody tr a').first().click();
+    await page.waitForURL(/\/customers\/\d+/);
+
+    await expect(page.locator('text=Jumlah Belanja')).toBeVisible();
+    await expect(page.locator('text=Sejarah Pesanan')).toBeVisible();
+
+    await page.getByTitle('Edit Customer').click();
+    await expect(page.locator('#customer_email')).toBeVisible();
+    await page.click('text=Batal');
+    await expect(page.locator('#customer_email')).not.toBeVisible();
+  });
+
+  test('should preview a customer CSV import before saving', async ({ page }) => {
+    await page.goto('/login');
+    await page.fill('input[type="email"]', 'admin@ecommerce.com');
+    await page.fill('input[type="password"]', 'admin123');
+    await page.click('button[type="submit"]');
+    await page.waitForURL('/');
+
+    await page.click('text=Customers');
+    await page.waitForURL('/customers');
+    await page.click('text=Import CSV');
+
+    const timestamp = Date.now();
+    await page.setInputFiles('#customer_import_file', {
+      name: 'customers.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from(`Nama,Emel,Telefon\nImport Test ${timestamp},import${timestamp}@example.com,0123456780\nBad Row,not-an-email,\n`)
+    });
+
+    // Columns are matched automatically from the headers
+    await expect(page.locator('#map_full_name')).toHaveValue('Nama');
+    await expect(page.locator('#map_email')).toHaveValue('Emel');
+
+    await page.click('text=Pratonton');
+    await expect(page.locator('text=Tidak Sah: 1')).toBeVisible();
+    await expect(page.locator('text=Import 1 Pelanggan')).toBeVisible();
+  });
+
+  test('should build a customer segment and count matching customers', async ({ page }) => {
+    await page.goto('/login');
+    await page.fill('input[type="email"]', 'admin@ecommerce.com');
+    await page.fill('input[type="password"]', 'admin123');
+    await page.click('button[type="submit"]');
+    await page.waitForURL('/');
+
+    await page.click('text=Customers');
+    await page.waitForURL('/customers');
+    await page.click('button[title="Manage Segments"]');
+    await page.click('text=Segmen Baru');
+
+    await page.fill('#segment_name', `Pembeli Besar ${Date.now()}`);
+    await page.selectOption('select[aria-label="Rule 1 Type"]', 'spend');
+    await page.fill('input[aria-label="Rule 1 Value"]', '0');
+    await page.fill('input[aria-label="Rule 1 Days"]', '90');
+
+    await page.click('text=Kira pelanggan sepadan');
+    await expect(page.locator('text=/\\d+ pelanggan/')).toBeVisible();
+
+    await page.click('text=Simpan Segmen');
+    await expect(page.locator('text=Segmen disimpan')).toBeVisible();
+  });
+
   test('CRITICAL: Channel sync functionality', async ({ page }) => {
     // Login
     await page.goto('/login');
@@ -79,4 +79,126 @@ test.describe('Order Management System', () => {
       await page.waitForTimeout(2000);
     }
   });
+
+  test('should print a 4x6 shipping label from order detail', async ({ page }) => {
+    const firstOrderLink = page.locator('text=Detail').first();
+    if (await firstOrderLink.isVisible()) {
+      await firstOrderLink.click();
+      await expect(page.locator('text=Order #')).toBeVisible();
+
+      // Label opens in a print window with the order number as a barcode
+      const [popup] = await Promise.all([
+        page.waitForEvent('popup'),
+        page.click('button[title="Print Shipping Label"]')
+      ]);
+      await expect(popup.locator('.label svg')).toHaveCount(1);
+      await popup.close();
+    }
+  });
+
+  test('should show the returns section on order detail and the returns list', async ({ page }) => {
+    const firstOrderLink = page.locator('text=Detail').first();
+    if (await firstOrderLink.isVisible()) {
+      await firstOrderLink.click();
+      await expect(page.locator('text=Pulangan & Bayaran Balik')).toBeVisible();
+    }
+
+    await page.click('text=Returns');
+    await page.waitForURL('/returns');
+    await expect(page.locator('text=No. RMA')).toBeVisible();
+  });
+
+  test('should open edit mode for an order before fulfilment', async ({ page }) => {
+    await page.locator('select >> nth=0').selectOption('pending');
+    await page.waitForTimeout(1000);
+
+    const firstOrderLink = page.locator('text=Detail').first();
+    if (await firstOrderLink.isVisible()) {
+      await firstOrderLink.click();
+      await page.click('button[title="Edit Order"]');
+      await expect(page.locator('#add_product')).toBeVisible();
+      await expect(page.locator('text=JUMLAH BARU')).toBeVisible();
+
+      await page.click('text=Batal');
+      await expect(page.locator('text=Senarai Item')).toBeVisible();
+    }
+  });
+
+  test('should open the tracking import dialog with a template', async ({ page }) => {
+    await page.click('text=Import Tracking');
+    await expect(page.locator('#tracking_file')).toBeVisible();
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.click('text=Muat turun templat')
+    ]);
+    expect(download.suggestedFilename()).toBe('tracking_template.csv');
+  });
+
+  test('should switch to board view with a column per status', async ({ page }) => {
+    await page.click('button[title="Board View"]');
+
+    // Every status gets a column, including the final ones
+    await expect(page.locator('[data-status="pending"]')).toBeVisible();
+    await expect(page.locator('[data-status="refunded"]')).toBeVisible();
+
+    // The choice is remembered on reload
+    await page.reload();
+    await expect(page.locator('[data-status="pending"]')).toBeVisible();
+
+    await page.click('button[title="Table View"]');
+    await expect(page.locator('table')).toBeVisible();
+  });
+
+  test('should select orders and open the bulk action bar', async ({ page }) => {
+    const firstCheckbox = page.locator('tbody input[type="checkbox"]').first();
+    if (await firstCheckbox.isVisible()) {
+      await firstCheckbox.check();
+      await expect(page.locator('text=pesanan dipilih')).toBeVisible();
+
+      // Packing slips report per-order progress
+      await page.selectOption('select[aria-label="Bulk Print"]', 'packing_slip');
+      await expect(page.locator('text=1 / 1 selesai')).toBeVisible();
+      await page.click('text=Tutup');
+
+      await page.click('text=Batal Pilihan');
+      await expect(page.locator('text=pesanan dipilih')).toHaveCount(0);
+    }
+  });
+
+  test('should keep advanced filters in the URL', async ({ page }) => {
+    await page.click('text=Lanjutan');
+    await page.fill('#date_from', '2026-01-01');
+    await page.fill('#min_total', '50');
+    await page.fill('#order_search', 'ORD');
+
+    // Debounced inputs land in the query string
+    await expect(page).toHaveURL(/date_from=2026-01-01/);
+    await expect(page).toHaveURL(/min_total=50/);
+    await expect(page).toHaveURL(/search=ORD/);
+
+    // Reloading the shared URL restores the filtered view
+    await page.reload();
+    await expect(page.locator('#order_search')).toHaveValue('ORD');
+    await expect(page.locator('#date_from')).toHaveValue('2026-01-01');
+
+    await page.click('text=Reset');
+    await expect(page).toHaveURL(/\/orders$/);
+  });
+
+  test('should keep page size and page in the URL', async ({ page }) => {
+    const pageSize = page.locator('select[aria-label="Page Size"]');
+    if (await pageSize.isVisible()) {
+      await pageSize.selectOption('10');
+      await expect(page).toHaveURL(/limit=10/);
+
+      const next = page.locator('button[title="Seterusnya"]');
+      if (await next.isEnabled()) {
+        await next.click();
+        await expect(page).toHaveURL(/page=2/);
+        await page.reload();
+        await expect(page.locator('button[aria-current="page"]')).toHaveText('2');
+      }
+    }
+  });
 });
@@ -1,4 +1,92 @@
 const { test, expect } = require('@playwright/test');
+const zlib = require('zlib');
+
+const API_URL = 'http://localhost:8000/api';
+
+// Call the backend directly as the logged-in user (changes made "elsewhere")
+const apiRequest = async (page, method, path, data) => {
+  const token = await page.evaluate(() => localStorage.getItem('token'));
+  const response = await page.request.fetch(`${API_URL}${path}`, { method, data, headers: { Authorization: `Bearer ${token}` } });
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+};
+
+// Empty a cart line through its - button and wait for the draft to be saved
+const emptyCartLine = async (page, sku, quantity) => {
+  const saved = page.waitForResponse(response => response.url().includes('/cart-drafts/') && response.request().method() === 'PUT');
+  for (let i = 0; i < quantity; i++) {
+    await page.getByLabel(`Decrease ${sku}`).click();
+  }
+  await saved;
+};
+
+const crc32 = (data) => {
+  let crc = ~0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+};
+
+// Minimal .xlsx (deflated zip parts) with one sheet; strings go in sharedStrings, numbers inline
+const xlsxBuffer = (rows) => {
+  const strings = [];
+  const cell = (value, ref) => typeof value === 'number'
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" t="s"><v>${strings.push(value) - 1}</v></c>`;
+  const sheet = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => cell(value, String.fromCharCode(65 + c) + (r + 1))).join('')}</row>`).join('');
+  const ns = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  const parts = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/></Types>',
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8"?><workbook xmlns="${ns}" xmlns:r="${rel}"><sheets><sheet name="Produk" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${rel}/sharedStrings" Target="sharedStrings.xml"/></Relationships>`,
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8"?><worksheet xmlns="${ns}"><sheetData>${sheet}</sheetData></worksheet>`
+  };
+  parts['xl/sharedStrings.xml'] = `<?xml version="1.0" encoding="UTF-8"?><sst xmlns="${ns}" count="${strings.length}" uniqueCount="${strings.length}">${strings.map(s => `<si><t>${s}</t></si>`).join('')}</sst>`;
+
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(parts)) {
+    const fileName = Buffer.from(name);
+    const data = Buffer.from(text);
+    const compressed = zlib.deflateRawSync(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(crc32(data), 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    header.copy(entry, 8, 6, 30);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(header, fileName, compressed);
+    central.push(entry, fileName);
+    offset += header.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 8);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
 
 test.describe('Product Management & Shopping Cart', () => {
   test.beforeEach(async ({ page }) => {
@@ -73,6 +161,327 @@ test.describe('Product Management & Shopping Cart', () => {
     await expect(page.locator(`text=Test Product ${timestamp}`)).toBeVisible();
   });
 
+  test('should create a product with size variants', async ({ page }) => {
+    await page.locator('button:has-text("Tambah Item")').click();
+
+    const timestamp = Date.now();
+    await page.fill('#product_name', `Variant Tee ${timestamp}`);
+    await page.fill('#price', '39.90');
+
+    await page.click('text=Tambah Pilihan');
+    await page.fill('input[aria-label="Option 1 Name"]', 'Saiz');
+    await page.fill('input[aria-label="Option 1 Values"]', 'S, M');
+    await page.click('text=Jana Varian');
+
+    await page.fill('input[aria-label="S Stock"]', '4');
+    await page.fill('input[aria-label="M Stock"]', '6');
+    await page.fill('input[aria-label="M Price"]', '42.90');
+
+    // Product stock becomes the total of its variants
+    await expect(page.locator('#stock_quantity')).toBeDisabled();
+    await expect(page.locator('#stock_quantity')).toHaveValue('10');
+
+    await page.click('button[type="submit"]', { force: true });
+    await expect(page.locator('text=Produk ditambah')).toBeVisible({ timeout: 15000 });
+
+    await page.fill('input[placeholder*="Cari"]', `Variant Tee ${timestamp}`);
+    await expect(page.locator('text=2 VARIAN')).toBeVisible({ timeout: 15000 });
+  });
+
+  test('should preview a product CSV import with an error report', async ({ page }) => {
+    await page.click('text=Import CSV');
+
+    const timestamp = Date.now();
+    await page.setInputFiles('#product_import_file', {
+      name: 'products.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from(`SKU,Nama,Kategori,Harga,Kos,Stok\nELEC-001,,,209.99,,\n,Import Item ${timestamp},Electronics,49.90,20.00,12\n,Loss Item ${timestamp},Electronics,10.00,15.00,5\n`)
+    });
+
+    // Columns are matched automatically from the headers
+    await expect(page.locator('#map_sku')).toHaveValue('SKU');
+    await expect(page.locator('#map_price')).toHaveValue('Harga');
+
+    await page.click('text=Pratonton');
+    await expect(page.locator('text=Kemaskini: 1')).toBeVisible();
+    await expect(page.locator('text=Tidak Sah: 1')).toBeVisible();
+    await expect(page.locator('text=Cost price must be lower than selling price')).toBeVisible();
+    await expect(page.locator('text=Import 2 Produk')).toBeVisible();
+
+    const download = page.waitForEvent('download');
+    await page.click('text=Muat turun laporan ralat');
+    expect((await download).suggestedFilename()).toBe('product_import_errors.csv');
+  });
+
+  test('should preview a product import from an Excel file', async ({ page }) => {
+    await page.click('text=Import CSV');
+
+    const timestamp = Date.now();
+    await page.setInputFiles('#product_import_file', {
+      name: 'products.xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      buffer: xlsxBuffer([
+        ['SKU', 'Nama', 'Kategori', 'Harga', 'Kos', 'Stok'],
+        ['', `Excel Item ${timestamp}`, 'Electronics', 49.9, 20, 12]
+      ])
+    });
+
+    // The sheet goes through the same column mapping as a CSV
+    await expect(page.locator('text=1 baris dijumpai')).toBeVisible();
+    await expect(page.locator('#map_name')).toHaveValue('Nama');
+    await expect(page.locator('#map_price')).toHaveValue('Harga');
+
+    await page.click('text=Pratonton');
+    await expect(page.locator('text=Baru: 1')).toBeVisible();
+    await expect(page.locator(`text=Excel Item ${timestamp}`)).toBeVisible();
+    await expect(page.locator('text=Import 1 Produk')).toBeVisible();
+  });
+
+  test('should record a stock-in with a reason and show it in the ledger', async ({ page }) => {
+    await page.goto('/inventory');
+    await expect(page.locator('text=Stock Ledger')).toBeVisible();
+
+    const reason = `Supplier delivery ${Date.now()}`;
+    await page.click('text=Laraskan Stok');
+    await page.fill('#stock_product_search', 'ELEC-002');
+    await page.click('button:has-text("Bluetooth Speaker")');
+
+    // Reason is required
+    await page.fill('#stock_quantity_change', '5');
+    await page.click('text=Simpan Pergerakan');
+    await expect(page.locator('text=Sebab diperlukan')).toBeVisible();
+
+    await page.fill('#stock_reason', reason);
+    await page.click('text=Simpan Pergerakan');
+    await expect(page.locator('text=Stock updated')).toBeVisible();
+
+    await page.fill('input[placeholder*="Cari produk"]', reason);
+    await expect(page.locator(`text=${reason}`)).toBeVisible();
+    await expect(page.locator('td:has-text("+5")')).toBeVisible();
+  });
+
+  test('should count a stocktake by scanning and show the variance', async ({ page }) => {
+    await page.goto('/stocktakes');
+    await page.click('text=Mula Kiraan');
+    await page.fill('#stocktake_location', 'Rak E2E');
+    await page.click('button:text-is("Mula")');
+    await expect(page.locator('text=Semua Kiraan')).toBeVisible({ timeout: 10000 });
+
+    // Scanner types the SKU and presses Enter
+    await page.fill('#stocktake_scan', 'ELEC-001');
+    await page.press('#stocktake_scan', 'Enter');
+    await page.fill('#stocktake_scan', 'elec-001');
+    await page.press('#stocktake_scan', 'Enter');
+    await expect(page.getByLabel('ELEC-001 Counted')).toHaveValue('2');
+    await expect(page.locator('#stocktake_scan')).toBeFocused();
+
+    await page.fill('#stocktake_scan', 'NO-SUCH-SKU');
+    await page.press('#stocktake_scan', 'Enter');
+    await expect(page.locator('text=SKU NO-SUCH-SKU not found')).toBeVisible();
+
+    await page.click('button:has-text("Ada Varians")');
+    await expect(page.getByLabel('Approve ELEC-001')).toBeChecked();
+
+    page.on('dialog', dialog => dialog.accept());
+    await page.click('text=Batal Kiraan');
+    await expect(page.locator('text=Stocktake cancelled')).toBeVisible();
+  });
+
+  test('should link a supplier in the product form and default the cost price', async ({ page }) => {
+    const timestamp = Date.now();
+    const supplierName = `Supplier ${timestamp}`;
+
+    await page.goto('/suppliers');
+    await page.click('text=Tambah Pembekal');
+    await page.fill('#supplier_name', supplierName);
+    await page.selectOption('#supplier_currency', 'MYR');
+    await page.fill('#supplier_lead_time', '5');
+    await page.fill('#supplier_payment_terms', 'Net 30');
+    await page.click('form button[type="submit"]:has-text("Tambah Pembekal")');
+    await expect(page.locator('text=Pembekal ditambah')).toBeVisible();
+    await expect(page.locator('h1', { hasText: supplierName })).toBeVisible();
+
+    await page.goto('/products');
+    await page.locator('button:has-text("Tambah Item")').click();
+    await page.fill('#product_name', `Supplied Item ${timestamp}`);
+    await page.fill('#price', '49.90');
+    await page.fill('#stock_quantity', '10');
+
+    await page.click('text=Tambah Pembekal');
+    await page.selectOption('select[aria-label="Supplier 1"]', { label: supplierName });
+    await page.fill(`input[aria-label="${supplierName} Last Cost"]`, '21.50');
+    await expect(page.locator('#cost_price')).toHaveValue('21.50');
+
+    await page.click('button[type="submit"]', { force: true });
+    await expect(page.locator('text=Produk ditambah')).toBeVisible({ timeout: 15000 });
+
+    // Supplier filter on the product grid
+    await page.selectOption('select[aria-label="Supplier"]', { label: supplierName });
+    await expect(page.locator(`text=Supplied Item ${timestamp}`)).toBeVisible();
+    await expect(page.locator('text=Wireless Headphones')).not.toBeVisible();
+  });
+
+  test('should transfer stock between locations and receive it', async ({ page }) => {
+    await page.goto('/stock-transfers');
+    await expect(page.locator('text=Stock Transfers')).toBeVisible();
+
+    await page.click('text=Pindahan Baru');
+    await page.selectOption('#transfer_from', { label: 'KL Warehouse' });
+    await page.selectOption('#transfer_to', { label: 'Penang Store' });
+    await page.fill('#transfer_product_search', 'ELEC-002');
+    await page.click('button:has-text("Bluetooth Speaker")');
+    await page.fill('input[aria-label="ELEC-002 Quantity"]', '2');
+    await page.click('text=Hantar Pindahan');
+    await expect(page.locator('text=shipped')).toBeVisible();
+
+    const row = page.locator('tr', { hasText: 'KL Warehouse → Penang Store' }).first();
+    await expect(row.locator('text=Dalam Transit')).toBeVisible();
+    await row.locator('button:has-text("Terima")').click();
+    await expect(page.locator('text=received')).toBeVisible();
+
+    // Store stock shows on the location page
+    await page.goto('/locations');
+    await page.click('text=Penang Store');
+    await expect(page.getByLabel('ELEC-002 Threshold')).toBeVisible();
+  });
+
+  test('should reserve stock for an unpaid online banking order', async ({ page }) => {
+    await page.getByLabel('Add to Cart').first().click({ force: true });
+    await page.getByRole('button', { name: /Troli/ }).click();
+    await page.click('text=Teruskan ke Checkout');
+
+    await page.fill('input[placeholder*="Cari nama"]', 'Walk-in');
+    await page.locator('button:has-text("Walk-in Customer")').first().click();
+    await page.selectOption('#checkout_payment', 'online_banking');
+    await page.click('text=Buat Pesanan Sekarang');
+    await expect(page.getByRole('button', { name: /Troli \(0\)/ })).toBeVisible({ timeout: 10000 });
+
+    // Held for the order until it's paid, not taken off the shelf
+    await page.goto('/products');
+    await expect(page.locator('text=DITEMPAH').first()).toBeVisible();
+  });
+
+  test('should filter and sort in list view and edit a price inline', async ({ page }) => {
+    await page.click('button[title="List View"]');
+    await page.selectOption('select[aria-label="Stock Level"]', 'in_stock');
+    await page.selectOption('select[aria-label="Sort By"]', 'price');
+
+    const price = page.getByLabel('ELEC-002 Price');
+    await expect(price).toBeVisible();
+
+    // A price at or below cost is refused, as in the product form
+    await price.fill('30');
+    await price.press('Enter');
+    await expect(page.locator('text=Cost price must be lower than selling price')).toBeVisible();
+
+    await price.fill('199.90');
+    await price.press('Enter');
+    await expect(page.locator('text=ELEC-002 dikemaskini')).toBeVisible();
+
+    // Margin filters apply once typing stops, in a single request
+    const marginRequests = [];
+    page.on('request', request => { if (request.url().includes('min_margin=')) marginRequests.push(request.url()); });
+    await page.locator('input[aria-label="Minimum Margin"]').pressSequentially('15', { delay: 50 });
+    await page.waitForResponse(response => response.url().includes('min_margin=15'));
+    expect(marginRequests).toHaveLength(1);
+
+    // View and filters are saved for the user and come back on the next visit
+    await page.reload();
+    await expect(page.locator('select[aria-label="Stock Level"]')).toHaveValue('in_stock');
+    await expect(page.locator('input[aria-label="Minimum Margin"]')).toHaveValue('15');
+    await expect(page.getByLabel('ELEC-002 Price')).toHaveValue('199.90');
+
+    // Put the saved prefs back so other tests start from the grid
+    await page.selectOption('select[aria-label="Stock Level"]', '');
+    await page.selectOption('select[aria-label="Sort By"]', 'newest');
+    await page.click('button[title="Grid View"]');
+    const saved = page.waitForResponse(response => response.url().includes('/preferences/products')
+      && response.request().method() === 'PUT' && response.request().postDataJSON().value.min_margin === '');
+    await page.fill('input[aria-label="Minimum Margin"]', '');
+    await saved;
+  });
+
+  test('should upload product photos and show them as a gallery', async ({ page }) => {
+    // 1x1 PNG (too small for the resize to shrink, so it goes up as is)
+    const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+    await page.locator('button:has-text("Tambah Item")').click();
+    const timestamp = Date.now();
+    await page.fill('#product_name', `Gallery Mug ${timestamp}`);
+    await page.fill('#price', '25');
+    await page.fill('#stock_quantity', '10');
+    await page.setInputFiles('#product_images', [
+      { name: 'front.png', mimeType: 'image/png', buffer: png },
+      { name: 'side.png', mimeType: 'image/png', buffer: png }
+    ]);
+    await expect(page.locator('button[title="Move Right"]')).toHaveCount(2);
+
+    await page.click('button[type="submit"]', { force: true });
+    await expect(page.locator('text=Produk ditambah')).toBeVisible({ timeout: 15000 });
+
+    // The card shows the gallery, opening on the primary image
+    await page.fill('input[placeholder*="Cari"]', `Gallery Mug ${timestamp}`);
+    await expect(page.locator('img[src*="/storage/products/"]')).toBeVisible({ timeout: 15000 });
+    await expect(page.getByLabel('Image 2 of 2')).toBeVisible();
+
+    // Edit: choose the second photo as primary and describe it
+    await page.locator('button[title="Edit Product"]').first().click({ force: true });
+    await page.locator('button[title="Set as Primary"]').click();
+    await expect(page.locator('button[title="Primary Image"]')).toHaveCount(1);
+    await page.fill('input[aria-label="Image 2 Alt Text"]', 'Mug from the side');
+    await page.press('input[aria-label="Image 2 Alt Text"]', 'Enter');
+    await expect(page.locator('#image_url')).toHaveValue(/\/storage\/products\//);
+  });
+
+  test('should not put more in the cart than is in stock', async ({ page }) => {
+    const name = `Limited Lamp ${Date.now()}`;
+    const { sku } = await apiRequest(page, 'POST', '/products', { name, price: 15, stock_quantity: 2, category_id: 1 });
+    await page.fill('input[placeholder="Cari SKU atau nama produk..."]', sku);
+    await expect(page.locator(`text=${name}`)).toBeVisible();
+
+    const add = page.getByLabel('Add to Cart').first();
+    await add.click({ force: true });
+    await add.click({ force: true });
+    await add.click({ force: true });
+    await expect(page.locator('text=Stok tidak mencukupi: hanya 2 unit')).toBeVisible();
+
+    // The drawer caps the quantity at the stock level too
+    await page.getByRole('button', { name: /Troli/ }).click();
+    await expect(page.getByLabel(`Increase ${sku}`)).toBeDisabled();
+    await expect(page.getByLabel(`Decrease ${sku}`).locator('xpath=following-sibling::span[1]')).toHaveText('2');
+
+    await emptyCartLine(page, sku, 2);
+  });
+
+  test('should flag price and stock changes when the cart opens and fix them in one click', async ({ page }) => {
+    const name = `Changing Kettle ${Date.now()}`;
+    const { productId, sku } = await apiRequest(page, 'POST', '/products', { name, price: 20, stock_quantity: 5, category_id: 1 });
+    await page.fill('input[placeholder="Cari SKU atau nama produk..."]', sku);
+    await expect(page.locator(`text=${name}`)).toBeVisible();
+
+    const add = page.getByLabel('Add to Cart').first();
+    for (let i = 0; i < 3; i++) {
+      await add.click({ force: true });
+    }
+
+    // Price goes up and stock drops after the items were added
+    await apiRequest(page, 'PUT', `/products/${productId}`, { price: 25, stock_quantity: 2 });
+
+    await page.getByRole('button', { name: /Troli/ }).click();
+    await expect(page.locator('text=Harga berubah: RM20.00 → RM25.00')).toBeVisible();
+    await expect(page.locator('text=Stok tidak cukup: tinggal 2 unit')).toBeVisible();
+    await expect(page.locator('text=Teruskan ke Checkout')).toBeDisabled();
+
+    await page.click('text=Guna harga baru');
+    await page.click('text=Kurangkan ke 2');
+    await expect(page.locator('text=Harga berubah')).toHaveCount(0);
+    await expect(page.locator('text=Stok tidak cukup')).toHaveCount(0);
+    await expect(page.locator('text=/RM25(\\.00)? x 2/')).toBeVisible();
+    await expect(page.getByLabel(`Increase ${sku}`)).toBeDisabled();
+
+    await emptyCartLine(page, sku, 2);
+  });
+
   test('CRITICAL: should complete checkout flow', async ({ page }) => {
     // Add first product to cart (using aria-label)
     await page.getByLabel('Add to Cart').first().click({ force: true });
@@ -84,7 +493,15 @@ test.describe('Product Management & Shopping Cart', () => {
     // Cart should open
     await page.waitForTimeout(1000);
     
-    // Click checkout
+    // Proceed to checkout step
+    await page.click('text=Teruskan ke Checkout');
+
+    // Pick the seeded walk-in customer (address is pre-filled from the record)
+    await page.fill('input[placeholder*="Cari nama"]', 'Walk-in');
+    await page.locator('button:has-text("Walk-in Customer")').first().click();
+    await expect(page.locator('#checkout_address')).not.toHaveValue('');
+
+    // Place the order
     await page.click('text=Buat Pesanan Sekarang');
     
     // Should show success message